@@ -0,0 +1,605 @@
+// Copyright (c) 2026 Spencer Williams
+// Licensed under the MIT License.
+
+/* global FloatingPoint, FloatArithmetic, FORMATS, ROUNDING_MODES, renderNav, formatValue */
+// Bit-level arithmetic visualizer: walks through floating-point addition and
+// multiplication the way hardware performs them (exponent alignment, the
+// significand add or multiply, normalization into guard, round and sticky
+// bits), then rounds the result under every rounding mode. The results
+// themselves come from FloatArithmetic, so the page never disagrees with the
+// converter. Requires floating-point.js and format-common.js to be loaded first.
+
+// In Node.js (testing), import from the library; in browser, rely on globals.
+let _ArithFloatingPoint, _ArithFloatArithmetic, _ARITH_FORMATS, _ARITH_ROUNDING_MODES, _arithRenderNav, _arithFormatValue;
+if (typeof require !== 'undefined') {
+    const lib = require('../lib/floating-point.js');
+    const common = require('./format-common.js');
+    _ArithFloatingPoint = lib.FloatingPoint;
+    _ArithFloatArithmetic = lib.FloatArithmetic;
+    _ARITH_FORMATS = lib.FORMATS;
+    _ARITH_ROUNDING_MODES = lib.ROUNDING_MODES;
+    _arithRenderNav = common.renderNav;
+    _arithFormatValue = common.formatValue;
+} else {
+    /* istanbul ignore next */
+    _ArithFloatingPoint = FloatingPoint;
+    /* istanbul ignore next */
+    _ArithFloatArithmetic = FloatArithmetic;
+    /* istanbul ignore next */
+    _ARITH_FORMATS = FORMATS;
+    /* istanbul ignore next */
+    _ARITH_ROUNDING_MODES = ROUNDING_MODES;
+    /* istanbul ignore next */
+    _arithRenderNav = renderNav;
+    /* istanbul ignore next */
+    _arithFormatValue = formatValue;
+}
+
+// ── Formats and operations ───────────────────────────────────
+// Every signed floating-point preset; E8M0 has neither a sign nor a zero
+const ARITHMETIC_FORMATS = Object.keys(_ARITH_FORMATS).filter(key => _ARITH_FORMATS[key].exponent > 0 && _ARITH_FORMATS[key].sign === 1);
+
+// FloatArithmetic operations the page walks through
+const VISUALIZED_OPERATIONS = ['add', 'mul'];
+
+// Guard, round and sticky columns kept past the last mantissa bit
+const GRS_BITS = 3;
+
+function arithmeticFormat(key) {
+    const fmt = _ARITH_FORMATS[key];
+    if (!ARITHMETIC_FORMATS.includes(key)) throw new Error(`Unknown format: "${key}"`);
+    return new _ArithFloatingPoint(fmt.sign, fmt.exponent, fmt.mantissa, {
+        bias: fmt.bias,
+        hasInfinity: fmt.hasInfinity,
+        hasNaN: fmt.hasNaN,
+        hasNegativeZero: fmt.hasNegativeZero,
+    });
+}
+
+// ── Operand parsing ──────────────────────────────────────────
+// An operand is a decimal (rounded into the format to nearest, ties to even),
+// inf, -inf, nan, or a 0x bit pattern taken as is
+function parseOperand(format, text) {
+    const input = String(text).trim();
+    const lower = input.toLowerCase();
+    if (/^0x[0-9a-f]+$/.test(lower)) {
+        const bits = BigInt(input);
+        if (bits >> BigInt(format.totalBits)) {
+            throw new Error(`Bit pattern ${input} does not fit in ${format.totalBits} bits`);
+        }
+        const mantissaBits = BigInt(format.mantissaBits);
+        return {
+            sign: Number(bits >> (mantissaBits + BigInt(format.exponentBits))),
+            exponent: Number((bits >> mantissaBits) & BigInt(format.maxExponent)),
+            mantissa: format.toMantissa(bits & ((1n << mantissaBits) - 1n)),
+            exact: true,
+        };
+    }
+    if (/^[+-]?(inf|infinity)$/.test(lower)) {
+        return { ...format.encode(lower.startsWith('-') ? -Infinity : Infinity), exact: format.hasInfinity };
+    }
+    if (lower === 'nan') return { ...format.encode(NaN), exact: format.hasNaN };
+    return format.encodeExact(input);
+}
+
+// Sign, unbiased exponent and significand (hidden bit included) of an encoding
+function describeOperand(format, encoded) {
+    const { sign, exponent } = encoded;
+    const mantissa = BigInt(encoded.mantissa);
+    const value = format.decode(sign, exponent, encoded.mantissa);
+    const subnormal = exponent === 0;
+    const hidden = subnormal ? 0n : 1n;
+    return {
+        sign,
+        exponent,
+        mantissa,
+        value,
+        bits: format.toBinaryString(sign, exponent, encoded.mantissa),
+        hex: format.toHexString(sign, exponent, encoded.mantissa),
+        power: (subnormal ? 1 : exponent) - format.bias,
+        significand: (hidden << BigInt(format.mantissaBits)) | mantissa,
+    };
+}
+
+// ── Bit rows ─────────────────────────────────────────────────
+// Split an unsigned significand `value` with `fractionBits` fraction bits into
+// digit strings: the integer part, the fraction, and the last `extraBits`
+// fraction bits, which are the guard, round and sticky columns.
+function bitRow(label, value, fractionBits, extraBits = 0) {
+    const digits = value.toString(2).padStart(fractionBits + 1, '0');
+    const point = digits.length - fractionBits;
+    return {
+        label,
+        integer: digits.slice(0, point),
+        fraction: digits.slice(point, digits.length - extraBits),
+        extra: digits.slice(digits.length - extraBits),
+    };
+}
+
+// Shift right, ORing every bit shifted out into the lowest bit kept
+function shiftRightSticky(value, shift) {
+    const shifted = value >> BigInt(shift);
+    return (shifted << BigInt(shift)) === value ? shifted : shifted | 1n;
+}
+
+function significandWidth(value) {
+    return value.toString(2).length;
+}
+
+function powerText(power) {
+    return `2^${power}`;
+}
+
+// ── Step generation ──────────────────────────────────────────
+// Why an operation on NaN or infinity skips the significand datapath, or
+// null when every operand is finite
+function specialCase(operation, x, y) {
+    if (isNaN(x.value) || isNaN(y.value)) return 'A NaN operand makes the result NaN, whatever the rounding mode.';
+    const infinite = [x, y].filter(operand => !isFinite(operand.value));
+    if (!infinite.length) return null;
+    if (operation === 'add') {
+        return infinite.length === 2 && x.sign !== y.sign
+            ? '∞ − ∞ is invalid: the result is NaN and the invalid flag is raised.'
+            : 'An infinite operand makes the sum infinite; no significand bits need adding.';
+    }
+    return x.value === 0 || y.value === 0
+        ? '0 × ∞ is invalid: the result is NaN and the invalid flag is raised.'
+        : 'An infinite operand makes the product infinite; no significand bits need multiplying.';
+}
+
+// Normalize a significand `value` with `fractionBits` fraction bits at
+// unbiased exponent `power`: shift its leading one into the units column, or
+// only as far as the format's minimum exponent (a subnormal result), then
+// keep the mantissa plus guard and round bits, folding the rest into sticky.
+function normalize(format, value, fractionBits, power) {
+    const minPower = 1 - format.bias;
+    const lead = significandWidth(value) - 1 - fractionBits;
+    const shift = power + lead < minPower ? minPower - power : lead;
+    const drop = fractionBits + shift - (format.mantissaBits + GRS_BITS);
+    return {
+        shift,
+        power: power + shift,
+        value: drop > 0 ? shiftRightSticky(value, drop) : value << BigInt(-drop),
+    };
+}
+
+function normalizeText(format, normalized) {
+    const { shift, power } = normalized;
+    let text;
+    if (shift > 0) {
+        text = `Shift right by ${shift} and add ${shift} to the exponent, giving ${powerText(power)}; ` +
+            'bits shifted past the round column fold into the sticky bit.';
+    } else if (shift < 0) {
+        text = `Shift left by ${-shift} and subtract ${-shift} from the exponent, giving ${powerText(power)}.`;
+    } else {
+        text = `The leading one is already in the units column at ${powerText(power)}.`;
+    }
+    if (normalized.value >> BigInt(format.mantissaBits + GRS_BITS) === 0n) {
+        text = (shift ? text : 'No shift is needed.') +
+            ` The exponent cannot go below ${powerText(1 - format.bias)}, so the result is subnormal.`;
+    }
+    return text;
+}
+
+function additionSteps(format, x, y) {
+    const fractionBits = format.mantissaBits + GRS_BITS;
+    // The larger magnitude leads, so an effective subtraction never goes negative
+    const swap = y.power > x.power || (y.power === x.power && y.significand > x.significand);
+    const [big, small] = swap ? [y, x] : [x, y];
+    const [bigName, smallName] = swap ? ['b', 'a'] : ['a', 'b'];
+    const shift = big.power - small.power;
+    const leading = big.significand << BigInt(GRS_BITS);
+    const aligned = shiftRightSticky(small.significand << BigInt(GRS_BITS), shift);
+    const subtract = big.sign !== small.sign;
+    const total = subtract ? leading - aligned : leading + aligned;
+
+    const leadingRow = bitRow(bigName, leading, fractionBits, GRS_BITS);
+    const alignedRow = bitRow(shift ? `${smallName} >> ${shift}` : smallName, aligned, fractionBits, GRS_BITS);
+    const totalLabel = subtract ? `${bigName} − ${smallName}` : `${bigName} + ${smallName}`;
+    const steps = [
+        {
+            id: 'align',
+            title: 'Align the exponents',
+            text: shift
+                ? `${bigName} has the larger exponent (${powerText(big.power)}), so ${smallName}'s significand ` +
+                  `shifts right by ${big.power} − (${small.power}) = ${shift} places. Three extra columns keep ` +
+                  'the guard and round bits, and a sticky bit that ORs together everything shifted further.'
+                : `Both exponents are ${powerText(big.power)}, so no shift is needed. Three extra columns ` +
+                  'hold the guard, round and sticky bits.',
+            rows: [leadingRow, { ...alignedRow, shift }],
+        },
+        {
+            id: 'add',
+            title: subtract ? 'Subtract the significands' : 'Add the significands',
+            text: subtract
+                ? `The signs differ, so ${smallName} is subtracted from ${bigName}; the result takes ${bigName}'s sign.`
+                : 'The signs match, so the aligned significands are added; the result keeps their sign.',
+            rows: [leadingRow, alignedRow, { ...bitRow(totalLabel, total, fractionBits, GRS_BITS), result: true }],
+        },
+    ];
+    return { steps, sign: big.sign, value: total, fractionBits, power: big.power };
+}
+
+function multiplicationSteps(format, x, y) {
+    const fractionBits = 2 * format.mantissaBits;
+    const sign = x.sign ^ y.sign;
+    const power = x.power + y.power;
+    const product = x.significand * y.significand;
+    const steps = [
+        {
+            id: 'exponent',
+            title: 'Add the exponents and combine the signs',
+            text: `The exponents add: ${x.power} + ${y.power} = ${power}, or in biased form ` +
+                `${Math.max(x.exponent, 1)} + ${Math.max(y.exponent, 1)} − ${format.bias} = ${power + format.bias}. ` +
+                `The sign is ${x.sign} XOR ${y.sign} = ${sign}.`,
+            rows: [],
+        },
+        {
+            id: 'multiply',
+            title: 'Multiply the significands',
+            text: `Two ${format.mantissaBits + 1}-bit significands give an exact product of up to ` +
+                `${2 * format.mantissaBits + 2} bits with ${fractionBits} fraction bits, between 1 and 4 for normal operands.`,
+            rows: [
+                bitRow('a', x.significand, format.mantissaBits),
+                bitRow('b', y.significand, format.mantissaBits),
+                { ...bitRow('a × b', product, fractionBits), result: true },
+            ],
+        },
+    ];
+    return { steps, sign, value: product, fractionBits, power };
+}
+
+// Whether rounding adds one ulp to the kept significand, from its last bit
+// and the guard, round and sticky bits. Stochastic rounding has no fixed
+// answer; the results give its probability instead.
+function roundsUp(roundingMode, sign, lsb, guard, round, sticky) {
+    const rest = round || sticky;
+    switch (roundingMode) {
+        case _ARITH_ROUNDING_MODES.tiesToEven: return Boolean(guard && (rest || lsb));
+        case _ARITH_ROUNDING_MODES.tiesToAway: return Boolean(guard);
+        case _ARITH_ROUNDING_MODES.towardPositive: return Boolean(!sign && (guard || rest));
+        case _ARITH_ROUNDING_MODES.towardNegative: return Boolean(sign && (guard || rest));
+        case _ARITH_ROUNDING_MODES.toOdd: return Boolean(!lsb && (guard || rest));
+        case _ARITH_ROUNDING_MODES.tiesToZero: return Boolean(guard && rest);
+        case _ARITH_ROUNDING_MODES.tiesToOdd: return Boolean(guard && (rest || !lsb));
+        default: return false;
+    }
+}
+
+// How each rounding mode treats the guard, round and sticky bits
+const ROUNDING_RULES = {
+    tiesToEven: 'G and (R or S or LSB)',
+    tiesToAway: 'G',
+    towardZero: 'never (truncate)',
+    towardPositive: 'positive and (G or R or S)',
+    towardNegative: 'negative and (G or R or S)',
+    toOdd: 'LSB is 0 and (G or R or S)',
+    tiesToZero: 'G and (R or S)',
+    tiesToOdd: 'G and (R or S or not LSB)',
+    stochastic: 'with probability equal to the discarded fraction',
+};
+
+function resultOf(format, encoded) {
+    const operand = describeOperand(format, encoded);
+    return { bits: operand.bits, hex: operand.hex, value: operand.value, flags: encoded.flags };
+}
+
+// Round under every ROUNDING_MODES entry. `normalized` (absent for special
+// operands and exact zeros) supplies the significand each mode rounds to.
+function roundingResults(format, operation, a, b, normalized, sign) {
+    const arithmetic = new _ArithFloatArithmetic(format);
+    const away = sign ? _ARITH_ROUNDING_MODES.towardNegative : _ARITH_ROUNDING_MODES.towardPositive;
+    return Object.values(_ARITH_ROUNDING_MODES).map((roundingMode) => {
+        const result = { roundingMode, rule: ROUNDING_RULES[roundingMode] };
+        if (roundingMode === _ARITH_ROUNDING_MODES.stochastic) {
+            // The two neighbours are the truncated and the rounded-away results
+            const { roundUpProbability } = arithmetic[operation](a, b, { roundingMode, seed: 0 });
+            const down = resultOf(format, arithmetic[operation](a, b, { roundingMode: _ARITH_ROUNDING_MODES.towardZero }));
+            const up = resultOf(format, arithmetic[operation](a, b, { roundingMode: away }));
+            return { ...result, probability: roundUpProbability, candidates: roundUpProbability ? [down, up] : [down] };
+        }
+        Object.assign(result, resultOf(format, arithmetic[operation](a, b, { roundingMode })));
+        if (normalized) {
+            const { value } = normalized;
+            const kept = value >> BigInt(GRS_BITS);
+            const up = roundsUp(roundingMode, sign, Number(kept & 1n), Number((value >> 2n) & 1n),
+                Number((value >> 1n) & 1n), Number(value & 1n));
+            result.increment = up;
+            result.significand = bitRow('', up ? kept + 1n : kept, format.mantissaBits);
+        }
+        return result;
+    });
+}
+
+// Every step of `a op b` in `format`, for operand encodings a and b:
+// { operation, operands, steps: [{ id, title, text, rows }], grs, results },
+// where grs holds the normalized exponent and the guard, round and sticky bits.
+// Rows are bitRow() digit strings, with `shift` on a row that slid right and
+// `result` on the row a step computed.
+function arithmeticSteps(format, operation, a, b) {
+    if (!VISUALIZED_OPERATIONS.includes(operation)) {
+        throw new Error(`Unknown operation: "${operation}"`);
+    }
+    const x = describeOperand(format, a);
+    const y = describeOperand(format, b);
+    const steps = [{
+        id: 'unpack',
+        title: 'Unpack the operands',
+        text: 'Each significand is the mantissa with its hidden bit restored: 1 for normal numbers, ' +
+            `0 for subnormals and zeros, whose exponent reads as the minimum, ${powerText(1 - format.bias)}.`,
+        rows: [bitRow('a', x.significand, format.mantissaBits), bitRow('b', y.significand, format.mantissaBits)],
+    }];
+
+    const special = specialCase(operation, x, y);
+    let normalized = null;
+    let grs = null;
+    let sign = 0;
+    let roundText = 'The result is the same in every mode: rounding only applies to finite results.';
+    if (special) {
+        steps.push({ id: 'special', title: 'Special operands', text: special, rows: [] });
+    } else {
+        const datapath = operation === 'add' ? additionSteps(format, x, y) : multiplicationSteps(format, x, y);
+        steps.push(...datapath.steps);
+        sign = datapath.sign;
+        if (datapath.value === 0n) {
+            steps.push({
+                id: 'normalize',
+                title: 'Exact zero',
+                text: operation === 'add'
+                    ? 'The significands cancel exactly. The sum is +0, or −0 when both operands are −0 or when rounding toward negative.'
+                    : 'A zero significand makes the product an exact zero carrying the XOR of the signs.',
+                rows: [],
+            });
+            roundText = 'An exact zero needs no rounding; only its sign can depend on the mode.';
+        } else {
+            normalized = normalize(format, datapath.value, datapath.fractionBits, datapath.power);
+            grs = {
+                power: normalized.power,
+                guard: Number((normalized.value >> 2n) & 1n),
+                round: Number((normalized.value >> 1n) & 1n),
+                sticky: Number(normalized.value & 1n),
+            };
+            steps.push({
+                id: 'normalize',
+                title: 'Normalize',
+                text: `${normalizeText(format, normalized)} The bits past the mantissa are guard ${grs.guard}, ` +
+                    `round ${grs.round} and sticky ${grs.sticky}.`,
+                rows: [bitRow('normalized', normalized.value, format.mantissaBits + GRS_BITS, GRS_BITS)],
+            });
+            roundText = grs.guard || grs.round || grs.sticky
+                ? 'Each mode decides from the last kept bit (LSB) and the guard (G), round (R) and sticky (S) bits ' +
+                  'whether to add one ulp. A carry out of the significand raises the exponent by one.'
+                : 'Guard, round and sticky are all zero, so no mode needs to round.';
+        }
+    }
+    const results = roundingResults(format, operation, a, b, normalized, sign);
+    if (results.some(result => (result.candidates || [result]).some(outcome => outcome.flags.overflow))) {
+        roundText += ' The result is past the largest finite value, so it overflows: to infinity or to the ' +
+            'largest finite value, depending on the mode and the format.';
+    }
+    steps.push({ id: 'round', title: 'Round under every mode', text: roundText, rows: [] });
+    return { operation, operands: [x, y], steps, grs, results };
+}
+
+// ── Rendering ────────────────────────────────────────────────
+const GRS_CLASSES = ['guard', 'round', 'sticky'];
+
+// Milliseconds between steps while playing
+const STEP_INTERVAL_MS = 1500;
+
+// Widest slide animated for an aligned row, in bit columns
+const MAX_ANIMATED_SHIFT = 24;
+
+function element(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text !== undefined) el.textContent = text;
+    return el;
+}
+
+function bitCell(bit, className = '') {
+    return element('span', `arith-bit${className ? ' ' + className : ''}`, bit);
+}
+
+// Significand rows lined up on the binary point, with the guard, round and
+// sticky columns highlighted and aligned rows sliding in from the left
+function renderBitRows(rows) {
+    const container = element('div', 'arith-rows');
+    const integerWidth = Math.max(...rows.map(row => row.integer.length));
+    const fractionWidth = Math.max(...rows.map(row => row.fraction.length + row.extra.length));
+    for (const row of rows) {
+        const line = element('div', 'arith-row');
+        line.appendChild(element('span', 'arith-row-label', row.label));
+        const bits = element('span', 'arith-row-bits');
+        for (let i = row.integer.length; i < integerWidth; i++) bits.appendChild(bitCell('', 'arith-blank'));
+        for (const bit of row.integer) bits.appendChild(bitCell(bit));
+        bits.appendChild(element('span', 'arith-point', '.'));
+        for (const bit of row.fraction) bits.appendChild(bitCell(bit));
+        [...row.extra].forEach((bit, i) => bits.appendChild(bitCell(bit, `arith-${GRS_CLASSES[i]}`)));
+        for (let i = row.fraction.length + row.extra.length; i < fractionWidth; i++) {
+            bits.appendChild(bitCell('', 'arith-blank'));
+        }
+        if (row.result) line.classList.add('arith-result');
+        if (row.shift) {
+            line.classList.add('arith-shifted');
+            line.style.setProperty('--shift', Math.min(row.shift, MAX_ANIMATED_SHIFT));
+        }
+        line.appendChild(bits);
+        container.appendChild(line);
+    }
+    return container;
+}
+
+function flagsText(flags) {
+    const raised = Object.keys(flags).filter(flag => flags[flag]);
+    return raised.length ? raised.join(', ') : '—';
+}
+
+function resultText(result) {
+    return `${result.hex} = ${_arithFormatValue(result.value)}`;
+}
+
+// One row per rounding mode: its rule, the rounded significand and the result
+function renderRoundingTable(results) {
+    const table = element('table', 'info-table arith-rounding-table');
+    const head = element('tr');
+    for (const heading of ['Mode', 'Adds one ulp when', 'Significand', 'Result', 'Flags']) {
+        head.appendChild(element('th', '', heading));
+    }
+    table.appendChild(element('thead')).appendChild(head);
+    const body = table.appendChild(element('tbody'));
+    for (const result of results) {
+        const tr = element('tr');
+        tr.dataset.mode = result.roundingMode;
+        tr.appendChild(element('td', '', result.roundingMode));
+        tr.appendChild(element('td', 'text-cell', result.rule));
+        const significand = element('td', 'arith-significand');
+        if (result.significand) {
+            significand.textContent = `${result.significand.integer}.${result.significand.fraction}`;
+            if (result.increment) significand.appendChild(element('span', 'arith-increment', '+1'));
+        } else if (result.candidates) {
+            significand.textContent = result.probability
+                ? `up with p = ${_arithFormatValue(result.probability * 100)}%`
+                : 'exact';
+        } else {
+            significand.textContent = '—';
+        }
+        tr.appendChild(significand);
+        const outcomes = result.candidates || [result];
+        tr.appendChild(element('td', '', outcomes.map(resultText).join(' or ')));
+        tr.appendChild(element('td', 'text-cell', flagsText(outcomes[outcomes.length - 1].flags)));
+        body.appendChild(tr);
+    }
+    return table;
+}
+
+// Colored sign, exponent and mantissa fields of an operand
+function renderOperand(name, format, operand, input) {
+    const card = element('div', 'arith-operand');
+    card.appendChild(element('span', 'arith-operand-name', name));
+    const bits = element('span', 'bit-pattern');
+    const fields = [
+        ['sign-bits', operand.bits.slice(0, format.signBits)],
+        ['exp-bits', operand.bits.slice(format.signBits, format.signBits + format.exponentBits)],
+        ['mant-bits', operand.bits.slice(format.signBits + format.exponentBits)],
+    ];
+    for (const [cls, text] of fields) bits.appendChild(element('span', cls, text));
+    card.appendChild(bits);
+    const rounded = input.exact ? '' : ' (rounded to nearest, ties to even)';
+    card.appendChild(element('span', 'arith-operand-value',
+        `${operand.hex} = ${_arithFormatValue(operand.value)}${rounded}`));
+    return card;
+}
+
+// ── Page controller ──────────────────────────────────────────
+function initArithmeticPage() {
+    const root = document.getElementById('arithmetic');
+    if (!root) return;
+    _arithRenderNav(null);
+
+    const formatSelect = document.getElementById('arith-format');
+    const operationSelect = document.getElementById('arith-operation');
+    const inputs = [document.getElementById('arith-a'), document.getElementById('arith-b')];
+    const operandsEl = document.getElementById('arith-operands');
+    const messageEl = document.getElementById('arith-message');
+    const stepsEl = document.getElementById('arith-steps');
+    const playBtn = document.getElementById('arith-play');
+    const prevBtn = document.getElementById('arith-prev');
+    const nextBtn = document.getElementById('arith-next');
+    const allBtn = document.getElementById('arith-all');
+    const progressEl = document.getElementById('arith-progress');
+
+    for (const key of ARITHMETIC_FORMATS) {
+        const option = element('option', '', _ARITH_FORMATS[key].name);
+        option.value = key;
+        formatSelect.appendChild(option);
+    }
+    formatSelect.value = 'fp8_e4m3';
+
+    let visible = 0;
+    let timer = null;
+
+    function showSteps(count) {
+        const items = stepsEl.querySelectorAll('.arith-step');
+        visible = Math.max(Math.min(count, items.length), items.length ? 1 : 0);
+        items.forEach((item, i) => item.classList.toggle('visible', i < visible));
+        progressEl.textContent = items.length ? `Step ${visible} of ${items.length}` : '';
+        prevBtn.disabled = visible <= 1;
+        nextBtn.disabled = visible >= items.length;
+        playBtn.disabled = !items.length;
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+        playBtn.textContent = 'Play';
+    }
+
+    function update() {
+        stop();
+        operandsEl.innerHTML = '';
+        stepsEl.innerHTML = '';
+        messageEl.hidden = true;
+        const format = arithmeticFormat(formatSelect.value);
+        let parsed, walkthrough;
+        try {
+            parsed = inputs.map(input => parseOperand(format, input.value));
+            walkthrough = arithmeticSteps(format, operationSelect.value, parsed[0], parsed[1]);
+        } catch (err) {
+            messageEl.textContent = err.message;
+            messageEl.hidden = false;
+            showSteps(0);
+            return;
+        }
+        walkthrough.operands.forEach((operand, i) => {
+            operandsEl.appendChild(renderOperand(i ? 'b' : 'a', format, operand, parsed[i]));
+        });
+        walkthrough.steps.forEach((step) => {
+            const item = element('li', `arith-step arith-step-${step.id}`);
+            item.appendChild(element('h3', '', step.title));
+            item.appendChild(element('p', '', step.text));
+            if (step.rows.length) item.appendChild(renderBitRows(step.rows));
+            if (step.id === 'round') item.appendChild(renderRoundingTable(walkthrough.results));
+            stepsEl.appendChild(item);
+        });
+        showSteps(walkthrough.steps.length);
+    }
+
+    playBtn.addEventListener('click', () => {
+        if (timer) {
+            stop();
+            return;
+        }
+        showSteps(1);
+        playBtn.textContent = 'Pause';
+        timer = setInterval(() => {
+            showSteps(visible + 1);
+            if (nextBtn.disabled) stop();
+        }, STEP_INTERVAL_MS);
+    });
+    prevBtn.addEventListener('click', () => { stop(); showSteps(visible - 1); });
+    nextBtn.addEventListener('click', () => { stop(); showSteps(visible + 1); });
+    allBtn.addEventListener('click', () => { stop(); showSteps(Infinity); });
+    formatSelect.addEventListener('change', update);
+    operationSelect.addEventListener('change', update);
+    inputs.forEach(input => input.addEventListener('input', update));
+
+    update();
+}
+
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', initArithmeticPage);
+}
+
+// Export for Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ARITHMETIC_FORMATS,
+        arithmeticFormat,
+        parseOperand,
+        arithmeticSteps,
+        renderBitRows,
+        renderRoundingTable,
+        initArithmeticPage,
+    };
+}
@@ -1,16 +1,17 @@
 // Copyright (c) 2026 Spencer Williams
 // Licensed under the MIT License.
 
-/* global FloatingPoint, Integer, FORMATS */
+/* global FloatingPoint, Integer, FixedPoint, FORMATS */
 // Shared JavaScript for format documentation pages.
 // Requires floating-point.js to be loaded first.
 
 // In Node.js (testing), import from the library; in browser, rely on globals.
-let _FloatingPoint, _Integer, _FORMATS;
+let _FloatingPoint, _Integer, _FixedPoint, _FORMATS;
 if (typeof require !== 'undefined') {
     const lib = require('../lib/floating-point.js');
     _FloatingPoint = lib.FloatingPoint;
     _Integer = lib.Integer;
+    _FixedPoint = lib.FixedPoint;
     _FORMATS = lib.FORMATS;
 } else {
     /* istanbul ignore next */
@@ -18,6 +19,8 @@ if (typeof require !== 'undefined') {
     /* istanbul ignore next */
     _Integer = Integer;
     /* istanbul ignore next */
+    _FixedPoint = FixedPoint;
+    /* istanbul ignore next */
     _FORMATS = FORMATS;
 }
 
@@ -30,6 +33,8 @@ const FORMAT_PAGES = {
     // ML
     bf16:         { file: 'bf16.html',      label: 'BF16',      group: 'ml' },
     tf32:         { file: 'tf32.html',      label: 'TF32',      group: 'ml' },
+    fp8_e4m3fnuz: { file: 'fp8-e4m3fnuz.html', label: 'FP8 E4M3 FNUZ', group: 'ml' },
+    fp8_e5m2fnuz: { file: 'fp8-e5m2fnuz.html', label: 'FP8 E5M2 FNUZ', group: 'ml' },
     // OCP
     fp8_e5m2:     { file: 'fp8-e5m2.html',  label: 'FP8 E5M2',  group: 'ocp' },
     fp8_e4m3:     { file: 'fp8-e4m3.html',  label: 'FP8 E4M3',  group: 'ocp' },
@@ -45,15 +50,25 @@ const FORMAT_PAGES = {
     uint8:        { file: 'uint8.html',     label: 'UINT8',     group: 'int' },
     int4:         { file: 'int4.html',      label: 'INT4',      group: 'int' },
     uint4:        { file: 'uint4.html',     label: 'UINT4',     group: 'int' },
+    // Fixed-point
+    q31:          { file: 'q31.html',       label: 'Q31',       group: 'fixed' },
+    q15:          { file: 'q15.html',       label: 'Q15',       group: 'fixed' },
+    q8_8:         { file: 'q8-8.html',      label: 'Q8.8',      group: 'fixed' },
 };
 
 const GROUP_LABELS = {
-    ieee: 'IEEE 754',
-    ml:   'ML',
-    ocp:  'OCP',
-    int:  'Integer',
+    ieee:  'IEEE 754',
+    ml:    'ML',
+    ocp:   'OCP',
+    int:   'Integer',
+    fixed: 'Fixed-Point',
 };
 
+// Build the FixedPoint instance described by a page config
+function fixedPointFromConfig(config) {
+    return new _FixedPoint(config.integerBits, config.fractionBits, config.signed !== false);
+}
+
 // ── Navigation renderer ──────────────────────────────────────
 function renderNav(currentKey) {
     const nav = document.getElementById('format-nav');
@@ -83,6 +98,8 @@ function renderNav(currentKey) {
 }
 
 // ── Bit layout diagram renderer ──────────────────────────────
+const BIT_BOX_LETTERS = { Sign: 'S', Exponent: 'E', Mantissa: 'M', Integer: 'I', Fraction: 'F' };
+
 function renderBitLayout(containerId, config) {
     const container = document.getElementById(containerId);
     if (!container) return;
@@ -97,6 +114,13 @@ function renderBitLayout(containerId, config) {
         } else {
             fields.push({ label: 'Value', bits: config.totalBits, cls: 'integer' });
         }
+    } else if (config.isFixedPoint) {
+        // Fixed-point: the sign bit counts towards the integer bits of Qm.n
+        const signed = config.signed !== false;
+        const integerBits = config.integerBits - (signed ? 1 : 0);
+        if (signed) fields.push({ label: 'Sign', bits: 1, cls: 'sign' });
+        if (integerBits) fields.push({ label: 'Integer', bits: integerBits, cls: 'integer' });
+        if (config.fractionBits) fields.push({ label: 'Fraction', bits: config.fractionBits, cls: 'mantissa' });
     } else {
         if (config.signBits) fields.push({ label: 'Sign', bits: 1, cls: 'sign' });
         if (config.exponentBits) fields.push({ label: 'Exponent', bits: config.exponentBits, cls: 'exponent' });
@@ -117,7 +141,7 @@ function renderBitLayout(containerId, config) {
             html += `<span class="bit-field-label">${field.label}</span>`;
             html += '<div class="bit-field-boxes">';
             for (let i = 0; i < field.bits; i++) {
-                html += `<div class="bit-box">${field.label === 'Sign' ? 'S' : (field.label === 'Exponent' ? 'E' : (field.label === 'Mantissa' ? 'M' : 'V'))}</div>`;
+                html += `<div class="bit-box">${BIT_BOX_LETTERS[field.label] || 'V'}</div>`;
             }
             html += '</div>';
             html += `<span class="bit-field-width">${field.bits} bit${field.bits > 1 ? 's' : ''}</span>`;
@@ -196,11 +220,17 @@ function renderRangeTable(containerId, config) {
         return;
     }
 
+    if (config.isFixedPoint) {
+        renderFixedPointRangeTable(container, config);
+        return;
+    }
+
     // Floating-point format
     const fp = new _FloatingPoint(config.signBits, config.exponentBits, config.mantissaBits, {
         bias: config.bias,
         hasInfinity: config.hasInfinity,
         hasNaN: config.hasNaN,
+        hasNegativeZero: config.hasNegativeZero,
     });
 
     const maxNorm = fp.getMaxNormal(false);
@@ -230,11 +260,41 @@ function renderRangeTable(containerId, config) {
         ['Machine Epsilon (at 1.0)', formatValue(epsilon)],
         ['Approx. Decimal Digits', '~' + decimalDigits.toFixed(1)],
         ['Exponent Bias', fp.bias.toString()],
-        ['Exponent Range', `2^${1 - fp.bias} to 2^${fp.maxExponent - (fp.hasInfinity ? 1 : 0) - fp.bias}`],
+        ['Exponent Range', `2^${1 - fp.bias} to 2^${maxNorm.exponent - fp.bias}`],
         ['Total Bit Patterns', totalBitPatterns.toLocaleString()],
         ['Supports Infinity', fp.hasInfinity ? 'Yes' : 'No'],
         ['Supports NaN', fp.hasNaN ? 'Yes' : 'No'],
     ];
+    if (fp.signBits && !fp.hasNegativeZero) {
+        rows.push(['Negative Zero', fp.specialValues.nan === 'negativeZero' ? 'No (pattern is NaN)' : 'No']);
+    }
+
+    let html = '<table class="info-table">';
+    html += '<tr><th>Property</th><th>Value</th></tr>';
+    for (const [label, value] of rows) {
+        html += `<tr><td class="text-cell">${label}</td><td>${value}</td></tr>`;
+    }
+    html += '</table>';
+    container.innerHTML = html;
+}
+
+function renderFixedPointRangeTable(container, config) {
+    const fmt = fixedPointFromConfig(config);
+    const exact = (encoded) => fmt.toDecimalString(0, 0, encoded.mantissa);
+    const q = `${fmt.signed ? '' : 'U'}Q${fmt.integerBits}.${fmt.fractionBits}`;
+
+    const rows = [
+        ['Notation', q],
+        ['Total Bits', fmt.totalBits.toString()],
+        ['Integer Bits', fmt.integerBits + (fmt.signed ? ' (including sign)' : '')],
+        ['Fraction Bits', fmt.fractionBits.toString()],
+        ['Minimum Value', exact(fmt.getMinValue())],
+        ['Maximum Value', exact(fmt.getMaxValue())],
+        ['Resolution (1 LSB)', `2^-${fmt.fractionBits} = ${fmt.toDecimalString(0, 0, 1)}`],
+        ['Approx. Decimal Digits', '~' + (fmt.fractionBits * Math.log10(2)).toFixed(1) + ' after the point'],
+        ['Representable Values', Math.pow(2, fmt.totalBits).toLocaleString()],
+        ['Overflow', 'Saturate or wrap'],
+    ];
 
     let html = '<table class="info-table">';
     html += '<tr><th>Property</th><th>Value</th></tr>';
@@ -254,11 +314,16 @@ function renderSpecialValues(containerId, config) {
         renderIntegerSpecialValues(container, config);
         return;
     }
+    if (config.isFixedPoint) {
+        renderFixedPointSpecialValues(container, config);
+        return;
+    }
 
     const fp = new _FloatingPoint(config.signBits, config.exponentBits, config.mantissaBits, {
         bias: config.bias,
         hasInfinity: config.hasInfinity,
         hasNaN: config.hasNaN,
+        hasNegativeZero: config.hasNegativeZero,
     });
 
     const entries = [];
@@ -266,8 +331,8 @@ function renderSpecialValues(containerId, config) {
     // +0
     entries.push({ name: '+0', sign: 0, exp: 0, mant: 0 });
 
-    // -0
-    if (fp.signBits) {
+    // -0 (FNUZ formats use this pattern for NaN, listed below)
+    if (fp.signBits && fp.hasNegativeZero) {
         entries.push({ name: '-0', sign: 1, exp: 0, mant: 0 });
     }
 
@@ -300,7 +365,7 @@ function renderSpecialValues(containerId, config) {
     // NaN
     if (fp.hasNaN) {
         const nan = fp.getNaN();
-        entries.push({ name: 'NaN', sign: 0, exp: nan.exponent, mant: nan.mantissa });
+        entries.push({ name: 'NaN', sign: nan.sign, exp: nan.exponent, mant: nan.mantissa });
     }
 
     let html = '<table class="info-table special-table">';
@@ -365,6 +430,47 @@ function renderIntegerSpecialValues(container, config) {
     container.innerHTML = html;
 }
 
+function renderFixedPointSpecialValues(container, config) {
+    const fmt = fixedPointFromConfig(config);
+    const maxRaw = Number(fmt.maxRaw);
+    const allOnes = Math.pow(2, fmt.totalBits) - 1;
+
+    const entries = [
+        { name: 'Zero', raw: 0 },
+        { name: 'Smallest Step (1 LSB)', raw: 1 },
+    ];
+    if (Math.pow(2, fmt.fractionBits) <= maxRaw) {
+        entries.push({ name: 'One', raw: Math.pow(2, fmt.fractionBits) });
+    }
+    entries.push({ name: 'Max Value', raw: maxRaw });
+    if (fmt.signed) {
+        entries.push({ name: '-1 LSB', raw: allOnes });
+        entries.push({ name: 'Min Value', raw: maxRaw + 1 });
+    }
+
+    let html = '<table class="info-table special-table">';
+    html += '<tr><th>Value</th><th>Bit Pattern</th><th>Decimal</th><th>Raw Integer</th></tr>';
+
+    for (const entry of entries) {
+        const bits = entry.raw.toString(2).padStart(fmt.totalBits, '0');
+        const intStr = bits.slice(0, fmt.integerBits);
+        const fracStr = bits.slice(fmt.integerBits);
+        const bitPattern = `<span class="exp-bits">${intStr}</span>` +
+            (intStr && fracStr ? ' ' : '') +
+            `<span class="mant-bits">${fracStr}</span>`;
+
+        html += '<tr>';
+        html += `<td class="text-cell">${entry.name}</td>`;
+        html += `<td class="bit-pattern">${bitPattern}</td>`;
+        html += `<td>${fmt.toDecimalString(0, 0, entry.raw)}</td>`;
+        html += `<td>${fmt.toInteger(entry.raw)}</td>`;
+        html += '</tr>';
+    }
+
+    html += '</table>';
+    container.innerHTML = html;
+}
+
 // ── Comparison table renderer ────────────────────────────────
 function renderComparisonTable(containerId, currentKey, compareKeys) {
     const container = document.getElementById(containerId);
@@ -388,16 +494,18 @@ function renderComparisonTable(containerId, currentKey, compareKeys) {
     // Rows: total bits, sign, exponent, mantissa, bias, max value, min normal, epsilon, decimal digits
     const rows = [];
     const fpInstances = allConfigs.map(({ fmt }) => {
-        if (fmt.isInteger) return null;
+        if (fmt.isInteger || fmt.isFixedPoint) return null;
         return new _FloatingPoint(fmt.sign, fmt.exponent, fmt.mantissa, {
             bias: fmt.bias,
             hasInfinity: fmt.hasInfinity,
             hasNaN: fmt.hasNaN,
+            hasNegativeZero: fmt.hasNegativeZero,
         });
     });
 
     const isAllFloat = fpInstances.every(fp => fp !== null);
-    const isAllInt = fpInstances.every(fp => fp === null);
+    const isAllInt = allConfigs.every(({ fmt }) => fmt.isInteger);
+    const isAllFixed = allConfigs.every(({ fmt }) => fmt.isFixedPoint);
 
     if (isAllFloat) {
         rows.push(['Total Bits', ...fpInstances.map(fp => fp.totalBits)]);
@@ -414,6 +522,9 @@ function renderComparisonTable(containerId, currentKey, compareKeys) {
         rows.push(['~Decimal Digits', ...fpInstances.map(fp => '~' + (fp.mantissaBits * Math.log10(2)).toFixed(1))]);
         rows.push(['Has Infinity', ...fpInstances.map(fp => fp.hasInfinity ? 'Yes' : 'No')]);
         rows.push(['Has NaN', ...fpInstances.map(fp => fp.hasNaN ? 'Yes' : 'No')]);
+        if (fpInstances.some(fp => !fp.hasNegativeZero)) {
+            rows.push(['Has -0', ...fpInstances.map(fp => fp.hasNegativeZero ? 'Yes' : 'No')]);
+        }
     } else if (isAllInt) {
         const intInstances = allConfigs.map(({ fmt }) => ({
             s: new _Integer(fmt.bits, true),
@@ -425,6 +536,15 @@ function renderComparisonTable(containerId, currentKey, compareKeys) {
         rows.push(['Signed Max', ...intInstances.map(i => i.s.maxValue.toLocaleString())]);
         rows.push(['Unsigned Max', ...intInstances.map(i => i.u.maxValue.toLocaleString())]);
         rows.push(['Values', ...intInstances.map(i => Math.pow(2, i.bits).toLocaleString())]);
+    } else if (isAllFixed) {
+        const fixedInstances = allConfigs.map(({ fmt }) => fixedPointFromConfig(fmt));
+        const exact = (f, encoded) => f.toDecimalString(0, 0, encoded.mantissa);
+        rows.push(['Total Bits', ...fixedInstances.map(f => f.totalBits)]);
+        rows.push(['Integer Bits', ...fixedInstances.map(f => f.integerBits)]);
+        rows.push(['Fraction Bits', ...fixedInstances.map(f => f.fractionBits)]);
+        rows.push(['Min Value', ...fixedInstances.map(f => exact(f, f.getMinValue()))]);
+        rows.push(['Max Value', ...fixedInstances.map(f => exact(f, f.getMaxValue()))]);
+        rows.push(['Resolution', ...fixedInstances.map(f => formatValue(Math.pow(2, -f.fractionBits)))]);
     }
 
     for (const row of rows) {
@@ -448,18 +568,26 @@ function initVisualizer(config) {
 
     let format;
     let isInteger = false;
+    let isFixedPoint = false;
 
     if (config.isInteger) {
         isInteger = true;
         format = new _Integer(config.totalBits, config.signed !== false);
+    } else if (config.isFixedPoint) {
+        isFixedPoint = true;
+        format = fixedPointFromConfig(config);
     } else {
         format = new _FloatingPoint(config.signBits, config.exponentBits, config.mantissaBits, {
             bias: config.bias,
             hasInfinity: config.hasInfinity,
             hasNaN: config.hasNaN,
+            hasNegativeZero: config.hasNegativeZero,
         });
     }
 
+    // Integer and fixed-point formats show every bit in one section
+    const singleField = isInteger || isFixedPoint;
+
     // State
     let currentSign = 0;
     let currentExponent = 0;
@@ -476,13 +604,17 @@ function initVisualizer(config) {
     function buildBits() {
         binaryContainer.innerHTML = '';
 
-        if (isInteger) {
+        if (singleField) {
             // Single section for all bits
             const section = document.createElement('div');
             section.className = 'viz-bit-section integer-section';
             const label = document.createElement('div');
             label.className = 'viz-section-label';
-            label.textContent = config.signed !== false ? 'Signed Integer' : 'Unsigned Integer';
+            if (isFixedPoint) {
+                label.textContent = `${format.signed ? 'Q' : 'UQ'}${format.integerBits}.${format.fractionBits} Fixed-Point`;
+            } else {
+                label.textContent = config.signed !== false ? 'Signed Integer' : 'Unsigned Integer';
+            }
             section.appendChild(label);
 
             const bitsDiv = document.createElement('div');
@@ -601,7 +733,7 @@ function initVisualizer(config) {
         }
 
         // Update bits display
-        if (!isInteger) {
+        if (!singleField) {
             // Sign bits
             binaryContainer.querySelectorAll('.sign-section .viz-bit').forEach(bit => {
                 const val = currentSign;
@@ -637,7 +769,13 @@ function initVisualizer(config) {
         }
 
         // Update components
-        if (componentsContainer && !isInteger) {
+        if (componentsContainer && isFixedPoint) {
+            componentsContainer.innerHTML = `
+                <div class="viz-component"><span class="viz-comp-label">Value:</span> <span class="viz-comp-value">${format.toDecimalString(0, 0, currentMantissa)}</span></div>
+                <div class="viz-component"><span class="viz-comp-label">Raw Integer:</span> <span class="viz-comp-value">${format.toInteger(currentMantissa)}</span></div>
+                <div class="viz-component"><span class="viz-comp-label">Scale:</span> <span class="viz-comp-value">× 2^-${format.fractionBits}</span></div>
+            `;
+        } else if (componentsContainer && !isInteger) {
             const expActual = currentExponent === 0
                 ? 1 - format.bias
                 : currentExponent - format.bias;
@@ -647,16 +785,10 @@ function initVisualizer(config) {
                 : (format.mantissaBits > 0 ? 1 + currentMantissa / Math.pow(2, format.mantissaBits) : 1);
 
             let type = 'Normal';
-            if (currentExponent === 0 && currentMantissa === 0) type = 'Zero';
+            if (isNaN(decoded)) type = 'NaN';
+            else if (currentExponent === 0 && currentMantissa === 0) type = 'Zero';
             else if (currentExponent === 0) type = 'Subnormal';
-            else if (currentExponent === format.maxExponent) {
-                if (format.hasInfinity && currentMantissa === 0) type = 'Infinity';
-                else if (format.hasNaN) {
-                    const maxMant = Math.pow(2, format.mantissaBits) - 1;
-                    if (format.hasInfinity ? currentMantissa !== 0 : currentMantissa === maxMant) type = 'NaN';
-                    else type = 'Normal';
-                } else type = 'Normal';
-            }
+            else if (!isFinite(decoded)) type = 'Infinity';
 
             componentsContainer.innerHTML = `
                 <div class="viz-component"><span class="viz-comp-label">Sign:</span> <span class="viz-comp-value">${currentSign} (${currentSign ? '-' : '+'})</span></div>
@@ -689,13 +821,14 @@ function initVisualizer(config) {
     }
 
     function getPresetEncoding(preset) {
-        if (isInteger) {
+        if (singleField) {
             switch (preset) {
                 case 'zero': return format.encode(0);
                 case 'one': return format.encode(1);
                 case 'neg-one': return format.encode(-1);
                 case 'max': return format.getMaxValue();
                 case 'min': return format.getMinValue();
+                case 'lsb': return { sign: 0, exponent: 0, mantissa: 1 };
                 case 'all-ones': return { sign: 0, exponent: 0, mantissa: Math.pow(2, format.totalBits) - 1 };
                 default: return null;
             }
@@ -747,7 +880,7 @@ function initVisualizer(config) {
     function encodeFromHex(str) {
         const hex = str.replace(/^0x/i, '').trim();
         if (!/^[0-9a-f]+$/i.test(hex) || hex.length === 0) return;
-        const totalBits = isInteger ? format.totalBits : format.signBits + format.exponentBits + format.mantissaBits;
+        const totalBits = singleField ? format.totalBits : format.signBits + format.exponentBits + format.mantissaBits;
         const expectedHexLen = Math.ceil(totalBits / 4);
         const padded = hex.padStart(expectedHexLen, '0');
         if (padded.length > expectedHexLen) return;
@@ -758,7 +891,7 @@ function initVisualizer(config) {
         // Trim leading bits if total isn't a multiple of 4
         binary = binary.slice(binary.length - totalBits);
 
-        if (isInteger) {
+        if (singleField) {
             currentSign = 0;
             currentExponent = 0;
             currentMantissa = parseInt(binary, 2);
@@ -802,13 +935,14 @@ function initVisualizer(config) {
             const preset = btn.dataset.preset;
             let encoded;
 
-            if (isInteger) {
+            if (singleField) {
                 switch (preset) {
                     case 'zero': encoded = format.encode(0); break;
                     case 'one': encoded = format.encode(1); break;
                     case 'neg-one': encoded = format.encode(-1); break;
                     case 'max': encoded = format.getMaxValue(); break;
                     case 'min': encoded = format.getMinValue(); break;
+                    case 'lsb': encoded = { sign: 0, exponent: 0, mantissa: 1 }; break;
                     case 'all-ones':
                         currentSign = 0;
                         currentExponent = 0;
@@ -1005,12 +1139,13 @@ function computeNiceTicks(maxVal, targetCount) {
 
 function initValueDistribution(config) {
     const container = document.getElementById(config.valueDistributionId);
-    if (!container || config.isInteger) return;
+    if (!container || config.isInteger || config.isFixedPoint) return;
 
     const fp = new _FloatingPoint(config.signBits, config.exponentBits, config.mantissaBits, {
         bias: config.bias,
         hasInfinity: config.hasInfinity,
         hasNaN: config.hasNaN,
+        hasNegativeZero: config.hasNegativeZero,
     });
 
     const data = generatePositiveValues(fp);
@@ -1760,6 +1895,7 @@ if (typeof module !== 'undefined' && module.exports) {
         renderRangeTable,
         renderSpecialValues,
         renderIntegerSpecialValues,
+        renderFixedPointSpecialValues,
         renderComparisonTable,
         initVisualizer,
         generatePositiveValues,
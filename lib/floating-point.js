@@ -8,13 +8,21 @@ const FORMATS = {
     bf16: { sign: 1, exponent: 8, mantissa: 7, name: 'BF16 (Brain Float 16)' },
     tf32: { sign: 1, exponent: 8, mantissa: 10, name: 'TF32 (TensorFloat-32)' },
     fp64: { sign: 1, exponent: 11, mantissa: 52, name: 'FP64 (IEEE 754 Double)' },
+    // FNUZ FP8 (PyTorch float8_*fnuz, AMD/Graphcore): finite, no negative zero,
+    // and the negative-zero pattern 0x80 is the single NaN
+    fp8_e4m3fnuz: { sign: 1, exponent: 4, mantissa: 3, bias: 8, hasInfinity: false, hasNaN: true, hasNegativeZero: false, name: 'FP8 E4M3 FNUZ' },
+    fp8_e5m2fnuz: { sign: 1, exponent: 5, mantissa: 2, bias: 16, hasInfinity: false, hasNaN: true, hasNegativeZero: false, name: 'FP8 E5M2 FNUZ' },
     // OCP (Open Compute Project) Formats
     fp4_e2m1: { sign: 1, exponent: 2, mantissa: 1, bias: 1, hasInfinity: false, hasNaN: false, name: 'FP4 E2M1' },
     fp6_e2m3: { sign: 1, exponent: 2, mantissa: 3, bias: 1, hasInfinity: false, hasNaN: false, name: 'FP6 E2M3' },
     fp6_e3m2: { sign: 1, exponent: 3, mantissa: 2, bias: 3, hasInfinity: false, hasNaN: false, name: 'FP6 E3M2' },
     fp8_e4m3: { sign: 1, exponent: 4, mantissa: 3, bias: 7, hasInfinity: false, hasNaN: true, name: 'FP8 E4M3' },
     fp8_e5m2: { sign: 1, exponent: 5, mantissa: 2, bias: 15, hasInfinity: true, hasNaN: true, name: 'FP8 E5M2' },
+    // OCP MX scale: unsigned powers of two 2^-127..2^127, 0xFF is NaN and there is no zero
+    e8m0: { sign: 0, exponent: 8, mantissa: 0, bias: 127, hasInfinity: false, hasNaN: true, hasZero: false, name: 'E8M0 (MX Scale)' },
     // Integer Formats
+    int64: { bits: 64, signed: true, isInteger: true, name: 'INT64' },
+    uint64: { bits: 64, signed: false, isInteger: true, name: 'UINT64' },
     int32: { bits: 32, signed: true, isInteger: true, name: 'INT32' },
     uint32: { bits: 32, signed: false, isInteger: true, name: 'UINT32' },
     int16: { bits: 16, signed: true, isInteger: true, name: 'INT16' },
@@ -22,23 +30,155 @@ const FORMATS = {
     int8: { bits: 8, signed: true, isInteger: true, name: 'INT8' },
     uint8: { bits: 8, signed: false, isInteger: true, name: 'UINT8' },
     int4: { bits: 4, signed: true, isInteger: true, name: 'INT4' },
-    uint4: { bits: 4, signed: false, isInteger: true, name: 'UINT4' }
+    uint4: { bits: 4, signed: false, isInteger: true, name: 'UINT4' },
+    // Fixed-Point Formats (Qm.n: m integer bits including the sign bit, n fraction bits)
+    q31: { integerBits: 1, fractionBits: 31, signed: true, isFixedPoint: true, name: 'Q31 (Q1.31)' },
+    q15: { integerBits: 1, fractionBits: 15, signed: true, isFixedPoint: true, name: 'Q15 (Q1.15)' },
+    q8_8: { integerBits: 8, fractionBits: 8, signed: true, isFixedPoint: true, name: 'Q8.8' },
+    uq8_8: { integerBits: 8, fractionBits: 8, signed: false, isFixedPoint: true, name: 'UQ8.8' }
 };
 
-// IEEE 754 Rounding Modes
+// IEEE 754 Rounding Modes, plus non-IEEE modes found in hardware:
+//   toOdd      - truncate, then set the last bit if anything was discarded
+//                (sticky LSB, for double-rounding-free intermediate results)
+//   tiesToZero - nearest, ties toward zero (round half down on magnitude)
+//   tiesToOdd  - nearest, ties to the odd neighbour
+//   stochastic - round away from zero with probability equal to the
+//                discarded fraction of an ulp
 const ROUNDING_MODES = Object.freeze({
     tiesToEven: 'tiesToEven',
     tiesToAway: 'tiesToAway',
     towardZero: 'towardZero',
     towardPositive: 'towardPositive',
-    towardNegative: 'towardNegative'
+    towardNegative: 'towardNegative',
+    toOdd: 'toOdd',
+    tiesToZero: 'tiesToZero',
+    tiesToOdd: 'tiesToOdd',
+    stochastic: 'stochastic'
 });
 
+// Integer and fixed-point overflow handling: clamp to the nearest bound, keep
+// the low bits (modulo 2^n, as C casts and NumPy astype do), or throw a RangeError
+const OVERFLOW_MODES = Object.freeze({
+    saturate: 'saturate',
+    wrap: 'wrap',
+    error: 'error'
+});
+
+// When a floating-point result counts as tiny for the underflow flag: its
+// exact value is below the smallest normal, or it would still be below it
+// after rounding to the format's precision with an unbounded exponent range
+const TININESS_MODES = Object.freeze({
+    beforeRounding: 'beforeRounding',
+    afterRounding: 'afterRounding'
+});
+
+// Special-value policy choices for FloatingPoint. NaN patterns:
+//   ieee         - max exponent, any non-zero mantissa (max exponent reserved)
+//   allOnes      - OCP-style: only max exponent with all-ones mantissa
+//   negativeZero - FNUZ: only the negative-zero pattern (sign 1, all else 0)
+//   none         - the format has no NaN
+// Finite results past the largest normal become infinity, saturate to the
+// largest normal, or become NaN (e.g. non-saturating E4M3 conversions).
+const NAN_ENCODINGS = Object.freeze(['ieee', 'allOnes', 'negativeZero', 'none']);
+const INFINITY_ENCODINGS = Object.freeze(['ieee', 'none']);
+const FLOAT_OVERFLOW_MODES = Object.freeze(['infinity', 'saturate', 'nan']);
+
+// Operations FloatArithmetic performs, with their operand counts
+const ARITHMETIC_OPERATIONS = Object.freeze({ add: 2, sub: 2, mul: 2, div: 2, sqrt: 1, fma: 3 });
+
+// Bits a square root keeps below the format's precision before rounding
+const SQRT_GUARD_BITS = 64;
+
+// Orders in which DotProduct sums its products:
+//   sequential - one running sum, as a scalar loop or a single FMA chain
+//   pairwise   - a balanced tree of partial sums, as in reduction kernels
+//   blocked    - a running sum per block of `blockSize` products, then a
+//                running sum of the block sums, as tensor-core K-chunks do
+const ACCUMULATION_ORDERS = Object.freeze({
+    sequential: 'sequential',
+    pairwise: 'pairwise',
+    blocked: 'blocked'
+});
+const DOT_PRODUCT_BLOCK_SIZE = 32;
+
+// Byte order of tensor elements wider than a byte, and which end of each byte
+// holds the first of the elements packed into it for formats narrower than a
+// byte (FP4, FP6, INT4): lowFirst, as PyTorch and the OCP MX spec pack FP4,
+// or highFirst
+const ENDIANNESS = Object.freeze({ little: 'little', big: 'big' });
+const NIBBLE_ORDERS = Object.freeze({ lowFirst: 'lowFirst', highFirst: 'highFirst' });
+
+// OCP Microscaling (MX) block formats. Each element is a FORMATS key or, for
+// MXINT8, a fixed-point layout: 8-bit two's complement with an implicit 2^-6.
+const MX_BLOCK_SIZE = 32;
+const MX_FORMATS = {
+    mxfp8_e5m2: { element: 'fp8_e5m2', name: 'MXFP8 (E5M2)' },
+    mxfp8_e4m3: { element: 'fp8_e4m3', name: 'MXFP8 (E4M3)' },
+    mxfp6_e3m2: { element: 'fp6_e3m2', name: 'MXFP6 (E3M2)' },
+    mxfp6_e2m3: { element: 'fp6_e2m3', name: 'MXFP6 (E2M3)' },
+    mxfp4_e2m1: { element: 'fp4_e2m1', name: 'MXFP4 (E2M1)' },
+    mxint8: { element: { integerBits: 2, fractionBits: 6, signed: true }, name: 'MXINT8' }
+};
+
+function unknownOverflowMode(overflow) {
+    return new Error(`Unknown overflow mode: "${overflow}". ` +
+        `Valid modes: ${Object.values(OVERFLOW_MODES).join(', ')}.`);
+}
+
+function unknownRoundingMode(roundingMode) {
+    return new Error(`Unknown rounding mode: "${roundingMode}". ` +
+        `Valid modes: ${Object.values(ROUNDING_MODES).join(', ')}.`);
+}
+
+// Seeded PRNG (mulberry32) returning uniform 32-bit unsigned integers, so
+// stochastic rounding is reproducible for a given seed.
+function createRandom(seed) {
+    if (!Number.isInteger(seed)) {
+        throw new TypeError(`Stochastic rounding seed must be an integer, got ${seed}`);
+    }
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = Math.imul(state ^ (state >>> 15), state | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return (t ^ (t >>> 14)) >>> 0;
+    };
+}
+
+// Per-encode stochastic rounding state, or undefined for the other modes:
+// one 32-bit draw from `options.random` (a createRandom generator), a fresh
+// generator seeded with `options.seed`, or Math.random. The rounding step
+// records the probability it had of rounding away from zero.
+function stochasticState(options) {
+    if (options.roundingMode !== ROUNDING_MODES.stochastic) return undefined;
+    let draw;
+    if (options.random) {
+        draw = options.random();
+    } else if (options.seed !== undefined) {
+        draw = createRandom(options.seed)();
+    } else {
+        draw = Math.floor(Math.random() * 0x100000000);
+    }
+    return { draw, roundUpProbability: 0 };
+}
+
+// Stochastic rounding of a non-negative real: floor + 1 when the draw falls
+// below the fractional part
+function roundStochastic(magnitude, stochastic) {
+    const floor = Math.floor(magnitude);
+    const frac = magnitude - floor;
+    stochastic.roundUpProbability = frac;
+    return stochastic.draw < frac * 0x100000000 ? floor + 1 : floor;
+}
+
 // Round a scaled mantissa value according to the specified rounding mode.
-// `scaledMantissa` is the real-valued mantissa × 2^mantissaBits (may have a fractional part).
-// `sign` is 0 for positive, 1 for negative.
+// `scaledMantissa` is the real-valued significand × 2^mantissaBits (may have a fractional part).
+// It must include the implicit bit of normal values: toOdd, tiesToOdd and
+// tiesToEven look at its parity, and with no mantissa bits that bit is the LSB.
+// `sign` is 0 for positive, 1 for negative. `stochastic` is the stochasticState.
 // Returns the rounded integer mantissa.
-function roundMantissa(scaledMantissa, sign, roundingMode) {
+function roundMantissa(scaledMantissa, sign, roundingMode, stochastic) {
     switch (roundingMode) {
         case ROUNDING_MODES.tiesToEven: {
             const floor = Math.floor(scaledMantissa);
@@ -56,14 +196,30 @@ function roundMantissa(scaledMantissa, sign, roundingMode) {
             return sign ? Math.floor(scaledMantissa) : Math.ceil(scaledMantissa);
         case ROUNDING_MODES.towardNegative:
             return sign ? Math.ceil(scaledMantissa) : Math.floor(scaledMantissa);
+        case ROUNDING_MODES.toOdd: {
+            const floor = Math.floor(scaledMantissa);
+            return (floor === scaledMantissa || floor % 2 === 1) ? floor : floor + 1;
+        }
+        case ROUNDING_MODES.tiesToZero: {
+            const floor = Math.floor(scaledMantissa);
+            return scaledMantissa - floor > 0.5 ? floor + 1 : floor;
+        }
+        case ROUNDING_MODES.tiesToOdd: {
+            const floor = Math.floor(scaledMantissa);
+            const frac = scaledMantissa - floor;
+            if (frac > 0.5) return floor + 1;
+            if (frac < 0.5) return floor;
+            return (floor % 2 === 1) ? floor : floor + 1;
+        }
+        case ROUNDING_MODES.stochastic:
+            return roundStochastic(scaledMantissa, stochastic);
         default:
-            throw new Error(`Unknown rounding mode: "${roundingMode}". ` +
-                'Valid modes: tiesToEven, tiesToAway, towardZero, towardPositive, towardNegative.');
+            throw unknownRoundingMode(roundingMode);
     }
 }
 
 // Round a real number to an integer according to the specified rounding mode.
-function roundInteger(value, roundingMode) {
+function roundInteger(value, roundingMode, stochastic) {
     switch (roundingMode) {
         case ROUNDING_MODES.tiesToEven: {
             const floor = Math.floor(value);
@@ -83,29 +239,299 @@ function roundInteger(value, roundingMode) {
             return Math.ceil(value);
         case ROUNDING_MODES.towardNegative:
             return Math.floor(value);
+        case ROUNDING_MODES.toOdd:
+        case ROUNDING_MODES.tiesToZero:
+        case ROUNDING_MODES.tiesToOdd: {
+            // Defined on magnitudes, as for mantissas
+            const magnitude = roundMantissa(Math.abs(value), value < 0 ? 1 : 0, roundingMode);
+            return value < 0 ? -magnitude : magnitude;
+        }
+        case ROUNDING_MODES.stochastic: {
+            const magnitude = roundStochastic(Math.abs(value), stochastic);
+            return value < 0 ? -magnitude : magnitude;
+        }
+        default:
+            throw unknownRoundingMode(roundingMode);
+    }
+}
+
+// ── Exact (BigInt) arithmetic helpers ────────────────────────
+// Formats wider than FP64 cannot be encoded or decoded through JS doubles
+// without silently losing bits, so they use these exact rational helpers.
+
+// Number of significant bits in a positive BigInt.
+function bitLength(n) {
+    return n.toString(2).length;
+}
+
+// floor(sqrt(n)) for a BigInt n > 0, by Newton's method from above
+function integerSqrt(n) {
+    let root = 1n << BigInt(Math.ceil(bitLength(n) / 2));
+    for (;;) {
+        const next = (root + n / root) >> 1n;
+        if (next >= root) return root;
+        root = next;
+    }
+}
+
+// Exponent of the leading bit of a finite, non-zero double: floor(log2(|value|)),
+// computed exactly (Math.log2 can round up just below a power of two).
+function floorLog2(value) {
+    const { numerator, denominator } = numberToRational(value);
+    return bitLength(numerator) - bitLength(denominator);
+}
+
+// Split a finite, non-zero double into an exact rational |value| = numerator / denominator,
+// where the denominator is a power of two.
+function numberToRational(value) {
+    const view = new DataView(new ArrayBuffer(8));
+    view.setFloat64(0, Math.abs(value));
+    const bits = view.getBigUint64(0);
+    const biasedExponent = Number(bits >> 52n);
+    let significand = bits & ((1n << 52n) - 1n);
+    let power = -1074;
+    if (biasedExponent !== 0) {
+        significand |= 1n << 52n;
+        power = biasedExponent - 1075;
+    }
+    return power >= 0
+        ? { numerator: significand << BigInt(power), denominator: 1n }
+        : { numerator: significand, denominator: 1n << BigInt(-power) };
+}
+
+// Round the exact quotient numerator / denominator (both non-negative) to an
+// integer magnitude. `sign` is 0 for positive, 1 for negative, as in roundMantissa.
+function roundQuotient(numerator, denominator, sign, roundingMode, stochastic) {
+    const quotient = numerator / denominator;
+    const remainder = numerator % denominator;
+    switch (roundingMode) {
+        case ROUNDING_MODES.tiesToEven: {
+            if (remainder === 0n) return quotient;
+            const twice = remainder * 2n;
+            if (twice > denominator) return quotient + 1n;
+            if (twice < denominator) return quotient;
+            return quotient % 2n === 0n ? quotient : quotient + 1n;
+        }
+        case ROUNDING_MODES.tiesToAway:
+            return remainder * 2n >= denominator ? quotient + 1n : quotient;
+        case ROUNDING_MODES.towardZero:
+            return quotient;
+        case ROUNDING_MODES.towardPositive:
+            return (sign || remainder === 0n) ? quotient : quotient + 1n;
+        case ROUNDING_MODES.towardNegative:
+            return (sign && remainder !== 0n) ? quotient + 1n : quotient;
+        case ROUNDING_MODES.toOdd:
+            return (remainder === 0n || quotient % 2n === 1n) ? quotient : quotient + 1n;
+        case ROUNDING_MODES.tiesToZero:
+            return remainder * 2n > denominator ? quotient + 1n : quotient;
+        case ROUNDING_MODES.tiesToOdd: {
+            const twice = remainder * 2n;
+            if (twice > denominator) return quotient + 1n;
+            if (twice < denominator) return quotient;
+            return quotient % 2n === 1n ? quotient : quotient + 1n;
+        }
+        case ROUNDING_MODES.stochastic:
+            // draw / 2^32 < remainder / denominator, compared exactly
+            stochastic.roundUpProbability = Number((remainder << 53n) / denominator) / Math.pow(2, 53);
+            return BigInt(stochastic.draw) * denominator < remainder << 32n ? quotient + 1n : quotient;
         default:
-            throw new Error(`Unknown rounding mode: "${roundingMode}". ` +
-                'Valid modes: tiesToEven, tiesToAway, towardZero, towardPositive, towardNegative.');
+            throw unknownRoundingMode(roundingMode);
+    }
+}
+
+// Round (numerator / denominator) × 2^shift to an integer magnitude.
+function roundScaled(numerator, denominator, shift, sign, roundingMode, stochastic) {
+    return shift >= 0
+        ? roundQuotient(numerator << BigInt(shift), denominator, sign, roundingMode, stochastic)
+        : roundQuotient(numerator, denominator << BigInt(-shift), sign, roundingMode, stochastic);
+}
+
+// IEEE 754 exception flags raised by an encode. Integer and fixed-point
+// formats raise `invalid` for NaN, infinities and out-of-range values (as
+// convertToInteger does) and `inexact` when rounding changed the value.
+function exceptionFlags({ invalid = false, overflow = false, underflow = false, inexact = false } = {}) {
+    return { invalid, overflow, underflow, inexact };
+}
+
+// Exact value of a Number or BigInt encode input: { special } for NaN,
+// ±Infinity and ±0, else its sign and magnitude numerator / denominator
+function exactInput(value) {
+    if (typeof value === 'bigint') {
+        if (value === 0n) return { special: 0 };
+        return { sign: value < 0n ? 1 : 0, numerator: value < 0n ? -value : value, denominator: 1n };
+    }
+    if (!isFinite(value) || value === 0) return { special: value };
+    return { sign: value < 0 ? 1 : 0, ...numberToRational(value) };
+}
+
+// Add the stochastic rounding probability to an encode result
+function withRoundUpProbability(encoded, stochastic) {
+    return stochastic ? { ...encoded, roundUpProbability: stochastic.roundUpProbability } : encoded;
+}
+
+// Compute x × 2^power, splitting the scale so no intermediate power of two
+// overflows or underflows before the final multiplication.
+function scaleByPowerOfTwo(x, power) {
+    while (power > 1023 && isFinite(x)) {
+        x *= Math.pow(2, 1023);
+        power -= 1023;
+    }
+    while (power < -1022 && x !== 0) {
+        x *= Math.pow(2, -1022);
+        power += 1022;
+    }
+    return x * Math.pow(2, power);
+}
+
+// Whether candidate × 10^exponent10 is within half a unit (2^(power - 1)) of
+// value.significand × 2^value.power, comparing exact integers.
+function withinHalfUlp(candidate, exponent10, value) {
+    const scaleTen = 10n ** BigInt(Math.abs(exponent10));
+    // Candidate as c / cDen
+    const c = exponent10 >= 0 ? candidate * scaleTen : candidate;
+    const cDen = exponent10 >= 0 ? 1n : scaleTen;
+    const half = value.power - 1;
+    let diff, bound;
+    if (half >= 0) {
+        diff = c - (value.significand << BigInt(value.power)) * cDen;
+        bound = cDen << BigInt(half);
+    } else {
+        diff = (c << BigInt(-half)) - value.significand * 2n * cDen;
+        bound = cDen;
+    }
+    return (diff < 0n ? -diff : diff) <= bound;
+}
+
+// Shortest decimal that lies within half a unit (2^(power - 1)) of the exact
+// value significand × 2^power and for which `roundsBack(text)` holds, i.e. it
+// encodes back to the same bits. Formatted like Number.prototype.toString.
+function shortestDecimalString(sign, exact, roundsBack) {
+    if (exact.significand === 0n) return sign ? '-0' : '0';
+
+    // Exact value as significand × 10^exponent10
+    const significand = exact.power >= 0
+        ? exact.significand << BigInt(exact.power)
+        : exact.significand * 5n ** BigInt(-exact.power);
+    const exponent10 = Math.min(exact.power, 0);
+    const digits = significand.toString();
+
+    // Candidates must also lie within half a unit, so values that merely
+    // saturate to this encoding don't count.
+    const matches = (candidate, candidateExponent) =>
+        withinHalfUlp(candidate, candidateExponent, exact) &&
+        roundsBack(`${sign ? '-' : ''}${candidate}e${candidateExponent}`);
+
+    for (let n = 1; n < digits.length; n++) {
+        const drop = digits.length - n;
+        const scale = 10n ** BigInt(drop);
+        const lower = significand / scale;
+        // Try the nearer of the two n-digit neighbours first
+        const candidates = (significand % scale) * 2n <= scale
+            ? [lower, lower + 1n]
+            : [lower + 1n, lower];
+        for (const candidate of candidates) {
+            if (candidate > 0n && matches(candidate, exponent10 + drop)) {
+                return formatDecimalDigits(sign, candidate.toString(), exponent10 + drop);
+            }
+        }
+    }
+    return formatDecimalDigits(sign, digits, exponent10);
+}
+
+// Exact decimal expansion of significand × 2^power (significand ≥ 0). Every
+// dyadic rational has a terminating decimal expansion, so no digits are lost.
+function dyadicToDecimalString(significand, power) {
+    if (power >= 0) {
+        return (significand << BigInt(power)).toString();
+    }
+    const fractionDigits = -power;
+    const digits = (significand * (5n ** BigInt(fractionDigits))).toString()
+        .padStart(fractionDigits + 1, '0');
+    const integerPart = digits.slice(0, digits.length - fractionDigits);
+    const fractionPart = digits.slice(digits.length - fractionDigits).replace(/0+$/, '');
+    return fractionPart ? `${integerPart}.${fractionPart}` : integerPart;
+}
+
+// Format (-1)^sign × digits × 10^exponent the way Number.prototype.toString
+// does: plain notation for magnitudes in [1e-7, 1e21), exponential otherwise.
+// `digits` is a string of decimal digits without leading zeros.
+function formatDecimalDigits(sign, digits, exponent) {
+    const trimmed = digits.replace(/0+$/, '');
+    exponent += digits.length - trimmed.length;
+    const k = trimmed.length;
+    const n = k + exponent; // position of the decimal point
+    let text;
+    if (k <= n && n <= 21) {
+        text = trimmed + '0'.repeat(n - k);
+    } else if (0 < n && n <= 21) {
+        text = trimmed.slice(0, n) + '.' + trimmed.slice(n);
+    } else if (-6 < n && n <= 0) {
+        text = '0.' + '0'.repeat(-n) + trimmed;
+    } else {
+        const e = n - 1;
+        text = (k === 1 ? trimmed : trimmed[0] + '.' + trimmed.slice(1)) +
+            'e' + (e > 0 ? '+' : '-') + Math.abs(e);
     }
+    return (sign ? '-' : '') + text;
 }
 
-// Integer class for integer format handling
+// Parse a finite decimal literal such as "-12.5e-3", ".5" or "1e400" into
+// { sign, significand, exponent } meaning (-1)^sign × significand × 10^exponent,
+// with a BigInt significand. Returns null for anything else (keywords, hex, etc.).
+function parseDecimalString(text) {
+    const match = /^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(String(text).trim());
+    if (!match) return null;
+    const integerDigits = match[2];
+    const fractionDigits = match[3] || '';
+    if (integerDigits === '' && fractionDigits === '') return null;
+    return {
+        sign: match[1] === '-' ? 1 : 0,
+        significand: BigInt((integerDigits + fractionDigits) || '0'),
+        exponent: Number(match[4] || 0) - fractionDigits.length
+    };
+}
+
+// Expand a parsed decimal's magnitude into an exact rational. Magnitudes far
+// above 2^overflowPower or below 2^underflowPower are replaced by that power of
+// two, which rounds the same way, so inputs like "1e999999999" never expand.
+function decimalToRational(decimal, underflowPower, overflowPower) {
+    const powerOfTwo = (power) => power >= 0
+        ? { numerator: 1n << BigInt(power), denominator: 1n }
+        : { numerator: 1n, denominator: 1n << BigInt(-power) };
+    // Position of the leading decimal digit: 10^lead ≤ magnitude < 10^(lead + 1)
+    const lead = decimal.significand.toString().length - 1 + decimal.exponent;
+    if (lead * Math.log2(10) > overflowPower + 1) return powerOfTwo(overflowPower);
+    if ((lead + 1) * Math.log2(10) < underflowPower - 1) return powerOfTwo(underflowPower);
+    return decimal.exponent >= 0
+        ? { numerator: decimal.significand * 10n ** BigInt(decimal.exponent), denominator: 1n }
+        : { numerator: decimal.significand, denominator: 10n ** BigInt(-decimal.exponent) };
+}
+
+// Integer class for integer format handling. `options.overflow` picks what
+// out-of-range values do (OVERFLOW_MODES, saturate by default) and
+// `options.nanValue` the integer NaN encodes as (0 by default). Infinities
+// have no low bits to keep, so they saturate unless overflow is an error.
 class Integer {
-    constructor(bits, signed = true) {
+    constructor(bits, signed = true, options = {}) {
         this.bits = bits;
         this.totalBits = bits;
         this.signed = signed;
         this.isInteger = true;
-        
+        // Raw bits above 2^53 do not fit a double, so wider formats hold their
+        // values and bit patterns as BigInt.
+        this.bigIntMantissa = bits > 53;
+
         // Calculate range based on signedness
-        // Use Math.pow to avoid JavaScript's 32-bit signed integer limitation with <<
-        if (signed) {
-            this.minValue = -Math.pow(2, bits - 1);
-            this.maxValue = Math.pow(2, bits - 1) - 1;
-        } else {
-            this.minValue = 0;
-            this.maxValue = Math.pow(2, bits) - 1;
+        const limit = 1n << BigInt(signed ? bits - 1 : bits);
+        this.minValue = this.toMantissa(signed ? -limit : 0n);
+        this.maxValue = this.toMantissa(limit - 1n);
+
+        const overflow = options.overflow || OVERFLOW_MODES.saturate;
+        if (!Object.values(OVERFLOW_MODES).includes(overflow)) {
+            throw unknownOverflowMode(overflow);
         }
+        this.overflow = overflow;
+        this.nanValue = this._checkNaNValue(options.nanValue === undefined ? 0 : options.nanValue);
         
         // Properties for compatibility with FloatingPoint
         this.signBits = 0;
@@ -117,57 +543,151 @@ class Integer {
         this.hasNaN = false;
     }
 
-    // Encode a decimal number to this integer format (with saturation)
+    // A NaN result must be an integer this format can hold
+    _checkNaNValue(nanValue) {
+        const isInteger = typeof nanValue === 'bigint' || Number.isInteger(nanValue);
+        if (!isInteger || BigInt(nanValue) < BigInt(this.minValue) || BigInt(nanValue) > BigInt(this.maxValue)) {
+            throw new RangeError(`nanValue must be an integer between ${this.minValue} and ${this.maxValue}`);
+        }
+        return this.toMantissa(nanValue);
+    }
+
+    // Encode a decimal number to this integer format. `options.overflow` and
+    // `options.nanValue` override the format's own. The result carries
+    // exception `flags`; stochastic rounding adds `roundUpProbability`.
     encode(value, options = {}) {
+        const stochastic = stochasticState(options);
+        return withRoundUpProbability(this._encode(value, options, stochastic), stochastic);
+    }
+
+    _encode(value, options, stochastic) {
         const roundingMode = options.roundingMode || ROUNDING_MODES.tiesToEven;
+        const overflow = options.overflow || this.overflow;
+
+        // BigInt values are already integers
+        if (typeof value === 'bigint') {
+            const result = this._applyOverflow(value, overflow, value);
+            return { ...this._createEncoded(result), flags: exceptionFlags({ invalid: result !== value }) };
+        }
 
         // Handle special floating-point values
         if (isNaN(value)) {
-            // NaN becomes 0 for integers
-            return this._createEncoded(0);
+            if (overflow === OVERFLOW_MODES.error) {
+                throw new RangeError(`NaN has no ${this._name()} encoding`);
+            }
+            const nanValue = options.nanValue === undefined ? this.nanValue : this._checkNaNValue(options.nanValue);
+            return { ...this._createEncoded(nanValue), flags: exceptionFlags({ invalid: true }) };
         }
         
         if (!isFinite(value)) {
-            // Infinity saturates to max/min
-            if (value > 0) {
-                return this._createEncoded(this.maxValue);
-            } else {
-                return this._createEncoded(this.minValue);
+            if (overflow === OVERFLOW_MODES.error) {
+                throw this._outOfRange(value);
             }
+            // Infinity saturates to max/min
+            const bound = value > 0 ? this.maxValue : this.minValue;
+            return { ...this._createEncoded(bound), flags: exceptionFlags({ invalid: true }) };
         }
         
         // Round to integer using specified rounding mode
-        let intValue = roundInteger(value, roundingMode);
-        
-        // Saturate to range
-        if (intValue > this.maxValue) {
-            intValue = this.maxValue;
-        } else if (intValue < this.minValue) {
-            intValue = this.minValue;
+        const intValue = BigInt(roundInteger(value, roundingMode, stochastic));
+        const result = this._applyOverflow(intValue, overflow, value);
+        const flags = result !== intValue
+            ? exceptionFlags({ invalid: true })
+            : exceptionFlags({ inexact: Number(intValue) !== value });
+        return { ...this._createEncoded(result), flags };
+    }
+
+    // Name of this format, e.g. "int8" or "uint16"
+    _name() {
+        return `${this.signed ? 'int' : 'uint'}${this.bits}`;
+    }
+
+    _outOfRange(input) {
+        return new RangeError(`${input} is out of range for ${this._name()} [${this.minValue}, ${this.maxValue}]`);
+    }
+
+    // Bring a BigInt into the representable range per the overflow mode.
+    // `input` is the value being encoded, for the error message.
+    _applyOverflow(intValue, overflow, input) {
+        const min = BigInt(this.minValue);
+        const max = BigInt(this.maxValue);
+        if (intValue >= min && intValue <= max) return intValue;
+        switch (overflow) {
+            case OVERFLOW_MODES.saturate:
+                return intValue < min ? min : max;
+            case OVERFLOW_MODES.wrap: {
+                const modulus = 1n << BigInt(this.bits);
+                const wrapped = ((intValue % modulus) + modulus) % modulus;
+                return wrapped > max ? wrapped - modulus : wrapped;
+            }
+            case OVERFLOW_MODES.error:
+                throw this._outOfRange(input);
+            default:
+                throw unknownOverflowMode(overflow);
         }
-        
-        return this._createEncoded(intValue);
+    }
+
+    // Encode a Number or decimal string, rounding once from its exact value.
+    // The result carries `exact: true` when no rounding or saturation was needed.
+    encodeExact(value, options = {}) {
+        if (typeof value === 'bigint') {
+            const encoded = this.encode(value, options);
+            return { ...encoded, exact: BigInt(encoded.intValue) === value };
+        }
+        if (typeof value !== 'string') {
+            const encoded = this.encode(value, options);
+            return { ...encoded, exact: Number.isInteger(value) && BigInt(encoded.intValue) === BigInt(value) };
+        }
+
+        const decimal = parseDecimalString(value);
+        if (!decimal) {
+            throw new Error(`Invalid decimal value: "${value}"`);
+        }
+        if (decimal.significand === 0n) {
+            return { ...this.encode(0, options), exact: true };
+        }
+        const roundingMode = options.roundingMode || ROUNDING_MODES.tiesToEven;
+        const overflow = options.overflow || this.overflow;
+        const stochastic = stochasticState(options);
+        // Wrapping needs the low bits exactly. Whole numbers divisible by 2^bits
+        // wrap to zero, and anything smaller expands cheaply.
+        const wrapsToZero = overflow === OVERFLOW_MODES.wrap && decimal.exponent >= this.bits;
+        const { numerator, denominator } = wrapsToZero
+            ? { numerator: 0n, denominator: 1n }
+            : decimalToRational(decimal, -2, overflow === OVERFLOW_MODES.wrap ? Infinity : this.bits + 1);
+        const magnitude = roundQuotient(numerator, denominator, decimal.sign, roundingMode, stochastic);
+        const intValue = decimal.sign ? -magnitude : magnitude;
+
+        const result = this._applyOverflow(intValue, overflow, value);
+        const flags = result !== intValue || wrapsToZero
+            ? exceptionFlags({ invalid: true })
+            : exceptionFlags({ inexact: numerator % denominator !== 0n });
+        return withRoundUpProbability({
+            ...this._createEncoded(result),
+            flags,
+            exact: !flags.invalid && !flags.inexact
+        }, stochastic);
     }
     
     _createEncoded(intValue) {
         // Convert to two's complement representation for storage
-        // Use Math.pow to avoid JavaScript's 32-bit limitation
+        const value = BigInt(intValue);
         let rawBits;
-        if (intValue < 0) {
+        if (value < 0n) {
             // Two's complement: add 2^bits to negative values
-            rawBits = Math.pow(2, this.bits) + intValue;
+            rawBits = (1n << BigInt(this.bits)) + value;
         } else {
-            rawBits = intValue;
+            rawBits = value;
         }
         
         return {
             sign: 0,
             exponent: 0,
-            mantissa: rawBits,
-            intValue: intValue,
+            mantissa: this.toMantissa(rawBits),
+            intValue: this.toMantissa(value),
             isNormal: false,
             isSubnormal: false,
-            isZero: intValue === 0,
+            isZero: value === 0n,
             isInfinite: false,
             isNaN: false,
             isInteger: true
@@ -177,19 +697,31 @@ class Integer {
     // Decode integer representation to decimal
     decode(sign, exponent, mantissa) {
         // For integers, mantissa holds the raw bit value
-        let rawBits = mantissa;
+        const rawBits = BigInt(mantissa);
         
         // Handle two's complement for signed types
-        if (this.signed) {
-            // Use Math.pow for sign bit check to handle 32-bit properly
-            const signBitMask = Math.pow(2, this.bits - 1);
-            if (rawBits >= signBitMask) {
-                // Negative number: convert from two's complement
-                return rawBits - Math.pow(2, this.bits);
-            }
+        if (this.signed && rawBits >= 1n << BigInt(this.bits - 1)) {
+            // Negative number: convert from two's complement
+            return this.toMantissa(rawBits - (1n << BigInt(this.bits)));
         }
         
-        return rawBits;
+        return this.toMantissa(rawBits);
+    }
+
+    // Convert a raw bit value (Number or BigInt) to this format's mantissa
+    // representation. Decoded values share it: BigInt above 53 bits, else Number.
+    toMantissa(value) {
+        return this.bigIntMantissa ? BigInt(value) : Number(value);
+    }
+
+    // Exact decimal string of the encoded integer
+    toDecimalString(sign, exponent, mantissa) {
+        return String(this.decode(sign, exponent, mantissa));
+    }
+
+    // Integers have no shorter round-tripping form than their exact value
+    toShortestDecimalString(sign, exponent, mantissa) {
+        return this.toDecimalString(sign, exponent, mantissa);
     }
 
     // Convert to binary string
@@ -222,179 +754,876 @@ class Integer {
     getMinValue() {
         return this._createEncoded(this.minValue);
     }
+
+    // Next integer up or down, staying put at the ends of the range
+    nextUp(sign, exponent, mantissa) {
+        const value = BigInt(this.decode(sign, exponent, mantissa));
+        return this._createEncoded(value < BigInt(this.maxValue) ? value + 1n : value);
+    }
+
+    nextDown(sign, exponent, mantissa) {
+        const value = BigInt(this.decode(sign, exponent, mantissa));
+        return this._createEncoded(value > BigInt(this.minValue) ? value - 1n : value);
+    }
+
+    // Consecutive integers are always 1 apart
+    ulp() {
+        return 1;
+    }
+
+    // Number of integers from one encoding to the other
+    ulpDistance(a, b) {
+        const distance = BigInt(this.decode(a.sign, a.exponent, a.mantissa)) -
+            BigInt(this.decode(b.sign, b.exponent, b.mantissa));
+        return this.toMantissa(distance < 0n ? -distance : distance);
+    }
 }
 
-// FloatingPoint class for custom format handling
-class FloatingPoint {
-    constructor(signBits, exponentBits, mantissaBits, options = {}) {
-        if (!Number.isInteger(signBits) || signBits < 0 || signBits > 1) {
-            throw new RangeError('signBits must be 0 or 1');
+// FixedPoint class for two's complement Qm.n and unsigned UQm.n formats.
+// m counts the integer bits including the sign bit, so Q15 is Q1.15 and
+// Q8.8 is 16 bits wide. The stored integer is value × 2^n.
+class FixedPoint {
+    constructor(integerBits, fractionBits, signed = true, options = {}) {
+        const minIntegerBits = signed ? 1 : 0;
+        if (!Number.isInteger(integerBits) || integerBits < minIntegerBits) {
+            throw new RangeError(`integerBits must be an integer of at least ${minIntegerBits}`);
         }
-        if (!Number.isInteger(exponentBits) || exponentBits < 0 || exponentBits > 15) {
-            throw new RangeError('exponentBits must be an integer between 0 and 15');
+        if (!Number.isInteger(fractionBits) || fractionBits < 0) {
+            throw new RangeError('fractionBits must be a non-negative integer');
         }
-        if (!Number.isInteger(mantissaBits) || mantissaBits < 0 || mantissaBits > 112) {
-            throw new RangeError('mantissaBits must be an integer between 0 and 112');
+        if (integerBits + fractionBits < 1 || integerBits + fractionBits > 128) {
+            throw new RangeError('Fixed-point formats must be between 1 and 128 bits wide');
+        }
+        const overflow = options.overflow || OVERFLOW_MODES.saturate;
+        if (!Object.values(OVERFLOW_MODES).includes(overflow)) {
+            throw unknownOverflowMode(overflow);
         }
 
-        this.signBits = signBits;
-        this.exponentBits = exponentBits;
-        this.mantissaBits = mantissaBits;
-        this.totalBits = signBits + exponentBits + mantissaBits;
-        
-        // Support custom bias (for OCP formats) or use standard formula
-        // Use Math.pow/2** rather than bit-shifts to avoid JS 32-bit << behavior
-        this.bias = options.bias !== undefined
-            ? options.bias
-            : (exponentBits > 0 ? Math.pow(2, exponentBits - 1) - 1 : 0);
+        this.integerBits = integerBits;
+        this.fractionBits = fractionBits;
+        this.bits = integerBits + fractionBits;
+        this.totalBits = this.bits;
+        this.signed = signed;
+        this.overflow = overflow;
+        this.isFixedPoint = true;
+        this.bigIntMantissa = this.bits > 53;
 
-        this.maxExponent = exponentBits > 0 ? Math.pow(2, exponentBits) - 1 : 0;
-        
-        // Special value support flags (default true for backward compatibility)
-        this.hasInfinity = options.hasInfinity !== false;
-        this.hasNaN = options.hasNaN !== false;
+        // Range of the stored integer, as BigInt
+        const limit = 1n << BigInt(signed ? this.bits - 1 : this.bits);
+        this.minRaw = signed ? -limit : 0n;
+        this.maxRaw = limit - 1n;
+        this.minValue = scaleByPowerOfTwo(Number(this.minRaw), -fractionBits);
+        this.maxValue = scaleByPowerOfTwo(Number(this.maxRaw), -fractionBits);
+
+        // Properties for compatibility with FloatingPoint
+        this.signBits = 0;
+        this.exponentBits = 0;
+        this.mantissaBits = this.bits;
+        this.bias = 0;
+        this.maxExponent = 0;
+        this.hasInfinity = false;
+        this.hasNaN = false;
     }
 
-    // Encode a decimal number to this floating-point format
+    // Encode a decimal number to this fixed-point format. `options.overflow`
+    // overrides the format's own overflow mode. The result carries exception `flags`.
     encode(value, options = {}) {
-        const roundingMode = options.roundingMode || ROUNDING_MODES.tiesToEven;
-
-        // Special handling for 0 exponent bits (fixed-point format)
-        if (this.exponentBits === 0) {
-            const sign = value < 0 ? 1 : 0;
-            const absValue = Math.abs(value);
+        const stochastic = stochasticState(options);
+        const { raw, flags } = this._encodeValue(value, options, stochastic);
+        return withRoundUpProbability({ ...this._createEncoded(raw), flags }, stochastic);
+    }
 
-            // For fixed-point: value = mantissa / 2^mantissaBits
-            const mantissaInt = this.mantissaBits > 0 ?
-                roundMantissa(absValue * Math.pow(2, this.mantissaBits), sign, roundingMode) :
-                0;
+    // Encode a Number, BigInt or decimal string, rounding once from its exact value.
+    // The result carries `exact: true` when no rounding or overflow was needed.
+    encodeExact(value, options = {}) {
+        const stochastic = stochasticState(options);
+        const { raw, flags } = this._encodeValue(value, options, stochastic);
+        return withRoundUpProbability({
+            ...this._createEncoded(raw),
+            flags,
+            exact: !flags.invalid && !flags.inexact
+        }, stochastic);
+    }
 
-            return {
-                sign,
-                exponent: 0,
-                mantissa: mantissaInt,
-                isNormal: false,
-                isSubnormal: false,
-                isZero: mantissaInt === 0,
-                isInfinite: false,
-                isNaN: false
-            };
+    // The stored integer of an encode and its exception flags, as { raw, flags }
+    _encodeValue(value, options, stochastic) {
+        if (typeof value === 'bigint') {
+            if (value === 0n) return { raw: 0n, flags: exceptionFlags() };
+            return this._encodeRational(value < 0n ? 1 : 0, value < 0n ? -value : value, 1n, options, stochastic);
+        }
+        if (typeof value === 'string') {
+            return this._encodeDecimal(value, options, stochastic);
+        }
+        // NaN becomes 0 and infinities saturate, unless overflow is an error
+        if (!isFinite(value) && (options.overflow || this.overflow) === OVERFLOW_MODES.error) {
+            throw isNaN(value) ? new RangeError(`NaN has no ${this._name()} encoding`) : this._outOfRange();
         }
-
         if (isNaN(value)) {
-            if (this.hasNaN) {
-                return this.getNaN();
-            } else {
-                // Formats without NaN return zero
-                return this.getZero(false);
-            }
+            return { raw: 0n, flags: exceptionFlags({ invalid: true }) };
         }
-
         if (!isFinite(value)) {
-            if (this.hasInfinity) {
-                return this.getInfinity(value < 0);
-            } else {
-                // Formats without Infinity saturate to max normal
-                return this.getMaxNormal(value < 0);
-            }
+            return { raw: value > 0 ? this.maxRaw : this.minRaw, flags: exceptionFlags({ invalid: true }) };
         }
-
         if (value === 0) {
-            return this.getZero(Object.is(value, -0));
+            return { raw: 0n, flags: exceptionFlags() };
         }
+        const { numerator, denominator } = numberToRational(value);
+        return this._encodeRational(value < 0 ? 1 : 0, numerator, denominator, options, stochastic);
+    }
 
-        // Extract sign
-        const sign = value < 0 ? 1 : 0;
-        value = Math.abs(value);
-
-        // Get exponent and mantissa
-        const log2 = Math.log2(value);
-        let exponent = Math.floor(log2);
-        let mantissa = value / Math.pow(2, exponent) - 1.0;
-
-        // Bias the exponent
-        let biasedExponent = exponent + this.bias;
-
-        // Handle subnormal numbers
-        if (biasedExponent <= 0) {
-            // Subnormal
-            mantissa = value / Math.pow(2, 1 - this.bias);
-            biasedExponent = 0;
-        } else if (biasedExponent > this.maxExponent || 
-                   (biasedExponent === this.maxExponent && this.hasInfinity)) {
-            // Overflow: value exceeds the normal range.
-            // For formats with infinity, maxExponent is fully reserved (infinity + NaN).
-            const shouldClamp =
-                roundingMode === ROUNDING_MODES.towardZero ||
-                (roundingMode === ROUNDING_MODES.towardNegative && sign === 0) ||
-                (roundingMode === ROUNDING_MODES.towardPositive && sign === 1);
-
-            if (shouldClamp) {
-                return this.getMaxNormal(sign === 1);
-            }
-            if (this.hasInfinity) {
-                return this.getInfinity(sign === 1);
-            } else {
-                return this.getMaxNormal(sign === 1);
+    _encodeDecimal(value, options, stochastic) {
+        const decimal = parseDecimalString(value);
+        if (!decimal) {
+            throw new Error(`Invalid decimal value: "${value}"`);
+        }
+        if (decimal.significand === 0n) {
+            return { raw: 0n, flags: exceptionFlags() };
+        }
+        const overflow = options.overflow || this.overflow;
+        if (overflow === OVERFLOW_MODES.wrap) {
+            // Whole numbers divisible by 2^(bits - n) wrap to zero; anything
+            // smaller expands cheaply, and wrapping needs its low bits exactly.
+            if (decimal.exponent >= 0 && decimal.exponent + this.fractionBits >= this.bits) {
+                return { raw: 0n, flags: exceptionFlags({ invalid: true }) };
             }
+            const { numerator, denominator } = decimalToRational(decimal, -this.fractionBits - 2, Infinity);
+            return this._encodeRational(decimal.sign, numerator, denominator, options, stochastic);
         }
+        const { numerator, denominator } = decimalToRational(decimal, -this.fractionBits - 2,
+            this.integerBits + 1);
+        return this._encodeRational(decimal.sign, numerator, denominator, options, stochastic);
+    }
 
-        // Convert mantissa to integer representation
-        let mantissaInt = this.mantissaBits > 0 ?
-            roundMantissa(mantissa * Math.pow(2, this.mantissaBits), sign, roundingMode) :
-            0;
+    // Round (-1)^sign × numerator / denominator to the stored integer and apply
+    // the overflow mode.
+    _encodeRational(sign, numerator, denominator, options, stochastic) {
+        const roundingMode = options.roundingMode || ROUNDING_MODES.tiesToEven;
+        const magnitude = roundScaled(numerator, denominator, this.fractionBits, sign, roundingMode, stochastic);
+        const rounded = sign ? -magnitude : magnitude;
+        const raw = this._applyOverflow(rounded, options.overflow || this.overflow);
+        const flags = raw !== rounded
+            ? exceptionFlags({ invalid: true })
+            : exceptionFlags({ inexact: magnitude * denominator !== numerator << BigInt(this.fractionBits) });
+        return { raw, flags };
+    }
 
-        // Handle mantissa overflow after rounding
-        if (mantissaInt >= Math.pow(2, this.mantissaBits)) {
-            mantissaInt = 0;
-            biasedExponent++;
-            
-            // Check for overflow after incrementing exponent
-            if (biasedExponent > this.maxExponent ||
-                (biasedExponent === this.maxExponent && this.hasInfinity)) {
-                // Mantissa overflow only happens when rounding UP, which means
-                // shouldClamp modes (towardZero, towardNegative for positive,
-                // towardPositive for negative) can never reach here — they truncate.
-                if (this.hasInfinity) {
-                    return this.getInfinity(sign === 1);
-                } else {
-                    return this.getMaxNormal(sign === 1);
-                }
+    _applyOverflow(raw, overflow) {
+        if (raw >= this.minRaw && raw <= this.maxRaw) return raw;
+        switch (overflow) {
+            case OVERFLOW_MODES.saturate:
+                return raw < this.minRaw ? this.minRaw : this.maxRaw;
+            case OVERFLOW_MODES.wrap: {
+                const modulus = 1n << BigInt(this.bits);
+                const wrapped = ((raw % modulus) + modulus) % modulus;
+                return wrapped > this.maxRaw ? wrapped - modulus : wrapped;
             }
+            case OVERFLOW_MODES.error:
+                throw this._outOfRange();
+            default:
+                throw unknownOverflowMode(overflow);
         }
+    }
 
-        // For formats with NaN at maxExponent without infinity (OCP-style):
-        // only all-ones mantissa is NaN. Clamp if we landed there.
-        if (biasedExponent === this.maxExponent && this.hasNaN && !this.hasInfinity) {
-            const maxMantissa = this.mantissaBits > 0 ? Math.pow(2, this.mantissaBits) - 1 : 0;
-            if (mantissaInt >= maxMantissa) {
-                return this.getMaxNormal(sign === 1);
-            }
-        }
+    // Name of this format, e.g. "Q8.8" or "UQ0.16"
+    _name() {
+        return `${this.signed ? '' : 'U'}Q${this.integerBits}.${this.fractionBits}`;
+    }
 
-        // Determine classification based on format capabilities
+    _outOfRange() {
+        return new RangeError(`Value is out of range for ${this._name()} [${this.minValue}, ${this.maxValue}]`);
+    }
+
+    _createEncoded(raw) {
+        // Two's complement: add 2^bits to negative values
+        const rawBits = raw < 0n ? (1n << BigInt(this.bits)) + raw : raw;
+        return {
+            sign: 0,
+            exponent: 0,
+            mantissa: this.toMantissa(rawBits),
+            isNormal: false,
+            isSubnormal: false,
+            isZero: raw === 0n,
+            isInfinite: false,
+            isNaN: false,
+            isFixedPoint: true
+        };
+    }
+
+    // The stored integer (value × 2^n) for a raw bit pattern, as BigInt
+    toInteger(mantissa) {
+        const rawBits = BigInt(mantissa);
+        if (this.signed && rawBits >= 1n << BigInt(this.bits - 1)) {
+            return rawBits - (1n << BigInt(this.bits));
+        }
+        return rawBits;
+    }
+
+    // Decode to the nearest double
+    decode(sign, exponent, mantissa) {
+        return scaleByPowerOfTwo(Number(this.toInteger(mantissa)), -this.fractionBits);
+    }
+
+    // Convert a raw bit value (Number or BigInt) to this format's mantissa representation
+    toMantissa(value) {
+        return this.bigIntMantissa ? BigInt(value) : Number(value);
+    }
+
+    // Exact decimal string of the encoded value
+    toDecimalString(sign, exponent, mantissa) {
+        const raw = this.toInteger(mantissa);
+        return (raw < 0n ? '-' : '') + dyadicToDecimalString(raw < 0n ? -raw : raw, -this.fractionBits);
+    }
+
+    // Shortest decimal string that encodes back to the same bits
+    toShortestDecimalString(sign, exponent, mantissa) {
+        const raw = this.toInteger(mantissa);
+        const target = this.toMantissa(mantissa);
+        const exact = { significand: raw < 0n ? -raw : raw, power: -this.fractionBits };
+        return shortestDecimalString(raw < 0n ? 1 : 0, exact,
+            (text) => this.encodeExact(text).mantissa === target);
+    }
+
+    // Convert to binary string
+    toBinaryString(sign, exponent, mantissa) {
+        return mantissa.toString(2).padStart(this.bits, '0');
+    }
+
+    // Convert to hex string
+    toHexString(sign, exponent, mantissa) {
+        const binary = this.toBinaryString(sign, exponent, mantissa);
+        const paddedBinary = binary.padStart(Math.ceil(binary.length / 4) * 4, '0');
+        let hex = '';
+        for (let i = 0; i < paddedBinary.length; i += 4) {
+            hex += parseInt(paddedBinary.substring(i, i + 4), 2).toString(16).toUpperCase();
+        }
+        return '0x' + hex;
+    }
+
+    // Helper to get zero
+    getZero() {
+        return this._createEncoded(0n);
+    }
+
+    // Helper to get max value
+    getMaxValue() {
+        return this._createEncoded(this.maxRaw);
+    }
+
+    // Helper to get min value
+    getMinValue() {
+        return this._createEncoded(this.minRaw);
+    }
+
+    // Next stored integer up or down, staying put at the ends of the range
+    nextUp(sign, exponent, mantissa) {
+        const raw = this.toInteger(mantissa);
+        return this._createEncoded(raw < this.maxRaw ? raw + 1n : raw);
+    }
+
+    nextDown(sign, exponent, mantissa) {
+        const raw = this.toInteger(mantissa);
+        return this._createEncoded(raw > this.minRaw ? raw - 1n : raw);
+    }
+
+    // One LSB, 2^-n, everywhere in the range
+    ulp() {
+        return scaleByPowerOfTwo(1, -this.fractionBits);
+    }
+
+    // Number of LSB steps from one encoding to the other
+    ulpDistance(a, b) {
+        const distance = this.toInteger(a.mantissa) - this.toInteger(b.mantissa);
+        return this.toMantissa(distance < 0n ? -distance : distance);
+    }
+}
+
+// Resolve a FloatingPoint's special-value policy. `options.specialValues`
+// may set any of { nan, infinity, zero, negativeZero, subnormals, overflow };
+// fields it leaves out follow the hasInfinity/hasNaN/hasZero/hasNegativeZero
+// flags, which all default to true (IEEE 754 behavior).
+function resolveSpecialValues(signBits, exponentBits, options) {
+    const policy = options.specialValues || {};
+    const pick = (key, fallback) => (policy[key] === undefined ? fallback : policy[key]);
+
+    const infinity = pick('infinity', options.hasInfinity === false ? 'none' : 'ieee');
+    const zero = pick('zero', options.hasZero !== false);
+    // FNUZ formats have no negative zero: -0 encodes as +0
+    const negativeZero = pick('negativeZero', options.hasNegativeZero !== false);
+    let defaultNaN = 'none';
+    if (options.hasNaN !== false) {
+        if (infinity !== 'none') defaultNaN = 'ieee';
+        else if (!negativeZero && zero && signBits === 1) defaultNaN = 'negativeZero';
+        else defaultNaN = 'allOnes';
+    }
+    const nan = pick('nan', defaultNaN);
+    // Without zero (e.g. E8M0), exponent 0 is an ordinary binade and there
+    // are no subnormals
+    const subnormals = pick('subnormals', zero);
+    const overflow = pick('overflow', infinity !== 'none' ? 'infinity' : 'saturate');
+
+    if (!NAN_ENCODINGS.includes(nan)) {
+        throw new RangeError(`Unknown NaN encoding: "${nan}". Valid encodings: ${NAN_ENCODINGS.join(', ')}.`);
+    }
+    if (!INFINITY_ENCODINGS.includes(infinity)) {
+        throw new RangeError(`Unknown infinity encoding: "${infinity}". Valid encodings: ${INFINITY_ENCODINGS.join(', ')}.`);
+    }
+    if (!FLOAT_OVERFLOW_MODES.includes(overflow)) {
+        throw new RangeError(`Unknown overflow mode: "${overflow}". Valid modes: ${FLOAT_OVERFLOW_MODES.join(', ')}.`);
+    }
+    if (typeof zero !== 'boolean' || typeof negativeZero !== 'boolean' || typeof subnormals !== 'boolean') {
+        throw new TypeError('zero, negativeZero and subnormals must be booleans');
+    }
+    if (!zero && exponentBits === 0) {
+        throw new RangeError('Formats without zero need at least one exponent bit');
+    }
+    if (subnormals && !zero) {
+        throw new RangeError('Formats without zero cannot have subnormals');
+    }
+    if (infinity === 'ieee' ? nan !== 'ieee' && nan !== 'none' : nan === 'ieee') {
+        throw new RangeError('IEEE infinity and IEEE NaN share the max exponent and must be used together');
+    }
+    if (nan === 'negativeZero' && (signBits !== 1 || negativeZero || !zero)) {
+        throw new RangeError('A negative-zero NaN needs a sign bit, a zero and no negative zero');
+    }
+    if (overflow === 'infinity' && infinity === 'none') {
+        throw new RangeError('Overflow to infinity needs a format with infinity');
+    }
+    if (overflow === 'nan' && nan === 'none') {
+        throw new RangeError('Overflow to NaN needs a format with NaN');
+    }
+
+    return Object.freeze({ nan, infinity, zero, negativeZero, subnormals, overflow });
+}
+
+// FloatingPoint class for custom format handling
+class FloatingPoint {
+    constructor(signBits, exponentBits, mantissaBits, options = {}) {
+        if (!Number.isInteger(signBits) || signBits < 0 || signBits > 1) {
+            throw new RangeError('signBits must be 0 or 1');
+        }
+        if (!Number.isInteger(exponentBits) || exponentBits < 0 || exponentBits > 15) {
+            throw new RangeError('exponentBits must be an integer between 0 and 15');
+        }
+        if (!Number.isInteger(mantissaBits) || mantissaBits < 0 || mantissaBits > 112) {
+            throw new RangeError('mantissaBits must be an integer between 0 and 112');
+        }
+
+        this.signBits = signBits;
+        this.exponentBits = exponentBits;
+        this.mantissaBits = mantissaBits;
+        this.totalBits = signBits + exponentBits + mantissaBits;
+        
+        // Support custom bias (for OCP formats) or use standard formula
+        // Use Math.pow/2** rather than bit-shifts to avoid JS 32-bit << behavior
+        this.bias = options.bias !== undefined
+            ? options.bias
+            : (exponentBits > 0 ? Math.pow(2, exponentBits - 1) - 1 : 0);
+
+        this.maxExponent = exponentBits > 0 ? Math.pow(2, exponentBits) - 1 : 0;
+        
+        // Every encode and decode path consults this policy. The boolean flags
+        // below mirror it for callers that only need a yes/no answer.
+        this.specialValues = resolveSpecialValues(signBits, exponentBits, options);
+        this.hasInfinity = this.specialValues.infinity !== 'none';
+        this.hasNaN = this.specialValues.nan !== 'none';
+        this.hasZero = this.specialValues.zero;
+        this.hasNegativeZero = this.specialValues.negativeZero;
+
+        // Mantissas wider than 53 bits do not fit in a Number, so encodings of
+        // such formats carry their mantissa as a BigInt.
+        this.bigIntMantissa = mantissaBits > 53;
+
+        // Formats with more precision or range than FP64 are encoded and decoded
+        // exactly with BigInt arithmetic instead of through JS doubles.
+        const minSubnormalPower = 1 - this.bias - mantissaBits;
+        const maxPower = this.maxExponent - this.bias;
+        this.exactArithmetic = mantissaBits > 52 || minSubnormalPower < -1074 || maxPower > 1024;
+    }
+
+    // Convert a raw mantissa (Number or BigInt) to this format's mantissa representation
+    toMantissa(value) {
+        return this.bigIntMantissa ? BigInt(value) : Number(value);
+    }
+
+    // Encode a decimal number to this floating-point format. With
+    // `options.flushSubnormals` (FTZ), a result that would be subnormal becomes
+    // zero, and the result carries `flushed` saying whether that happened.
+    // Stochastic rounding adds `roundUpProbability`, the chance the magnitude
+    // had of rounding up (0 when no rounding was needed). The result carries
+    // IEEE 754 exception `flags`; `options.tininess` picks when underflow
+    // detects tininess (TININESS_MODES, after rounding by default).
+    encode(value, options = {}) {
+        const stochastic = stochasticState(options);
+        let encoded = this._encode(value, options, stochastic);
+        if (options.flushSubnormals) encoded = this._flushSubnormal(encoded);
+        const flags = this._exceptionFlags(exactInput(value), encoded, options, stochastic);
+        return withRoundUpProbability({ ...encoded, flags }, stochastic);
+    }
+
+    // IEEE 754 exception flags for encoding `input` (see exactInput) as
+    // `encoded`. NaN or infinity the format cannot hold is invalid, as is a
+    // negative value without a sign bit or zero. Overflow and underflow are
+    // judged by rounding again with an unbounded exponent range, reusing the
+    // stochastic draw, and both imply inexact.
+    _exceptionFlags(input, encoded, options, stochastic) {
+        const tininess = options.tininess || TININESS_MODES.afterRounding;
+        if (!Object.values(TININESS_MODES).includes(tininess)) {
+            throw new RangeError(`Unknown tininess mode: "${tininess}". ` +
+                `Valid modes: ${Object.values(TININESS_MODES).join(', ')}.`);
+        }
+        if (input.special !== undefined) {
+            if (isNaN(input.special)) return exceptionFlags({ invalid: !encoded.isNaN });
+            if (!isFinite(input.special)) return exceptionFlags({ invalid: !encoded.isInfinite });
+            // Zero in a format without zero becomes the smallest normal
+            return exceptionFlags({ inexact: !encoded.isZero });
+        }
+        const { sign, numerator, denominator } = input;
+        if (sign === 1 && !this.signBits && !this.hasZero) {
+            return exceptionFlags({ invalid: true });
+        }
+        if (this._isExactly(encoded, numerator, denominator)) {
+            return exceptionFlags();
+        }
+
+        const roundingMode = options.roundingMode || ROUNDING_MODES.tiesToEven;
+        const draw = stochastic && { draw: stochastic.draw, roundUpProbability: 0 };
+        const max = this._exactValue(0, this.getMaxNormal().exponent, this.getMaxNormal().mantissa);
+        const overflow = roundScaled(numerator, denominator, -max.power, sign, roundingMode, draw) >
+            max.significand;
+        let underflow = false;
+        if (this.exponentBits > 0 && !overflow) {
+            const min = this._exactValue(0, this.getMinNormal().exponent, this.getMinNormal().mantissa);
+            if (tininess === TININESS_MODES.beforeRounding) {
+                underflow = min.power >= 0
+                    ? numerator < (min.significand << BigInt(min.power)) * denominator
+                    : numerator << BigInt(-min.power) < min.significand * denominator;
+            } else {
+                // One more bit of precision covers the binade below the smallest normal
+                underflow = roundScaled(numerator, denominator, 1 - min.power, sign, roundingMode, draw) <
+                    min.significand << 1n;
+            }
+        }
+        return exceptionFlags({ overflow, underflow, inexact: true });
+    }
+
+    // Whether an encoding's magnitude is exactly numerator / denominator
+    _isExactly(encoded, numerator, denominator) {
+        const exactValue = this._exactValue(encoded.sign, encoded.exponent, encoded.mantissa);
+        if (exactValue.special !== undefined) return false;
+        return exactValue.power >= 0
+            ? (exactValue.significand << BigInt(exactValue.power)) * denominator === numerator
+            : exactValue.significand * denominator === numerator << BigInt(-exactValue.power);
+    }
+
+    // Flush-to-zero: a subnormal result becomes the zero of the same sign
+    _flushSubnormal(encoded) {
+        if (!encoded.isSubnormal) return { ...encoded, flushed: false };
+        return { ...this.getZero(encoded.sign === 1), flushed: true };
+    }
+
+    // Denormals-are-zero: whether `options.subnormalsAreZero` reads this
+    // encoding as zero
+    _readsAsZero(exponent, mantissa, options) {
+        return options.subnormalsAreZero === true && this.exponentBits > 0 && exponent === 0 &&
+            this.specialValues.subnormals && BigInt(mantissa) !== 0n;
+    }
+
+    _encode(value, options, stochastic) {
+        const roundingMode = options.roundingMode || ROUNDING_MODES.tiesToEven;
+
+        // BigInt values (e.g. decoded 64-bit integers) are rounded once from their exact value
+        if (typeof value === 'bigint') {
+            if (value === 0n) return this._encode(0, options, stochastic);
+            return this._encodeRational(value < 0n ? 1 : 0, value < 0n ? -value : value, 1n,
+                roundingMode, stochastic);
+        }
+
+        if (this.exactArithmetic) {
+            return this._encodeExact(value, roundingMode, stochastic);
+        }
+
+        // Special handling for 0 exponent bits (fixed-point format)
+        if (this.exponentBits === 0) {
+            const sign = value < 0 ? 1 : 0;
+            const absValue = Math.abs(value);
+
+            // For fixed-point: value = mantissa / 2^mantissaBits
+            const mantissaInt = this.mantissaBits > 0 ?
+                roundMantissa(absValue * Math.pow(2, this.mantissaBits), sign, roundingMode, stochastic) :
+                0;
+
+            return {
+                sign,
+                exponent: 0,
+                mantissa: mantissaInt,
+                isNormal: false,
+                isSubnormal: false,
+                isZero: mantissaInt === 0,
+                isInfinite: false,
+                isNaN: false
+            };
+        }
+
+        if (isNaN(value)) {
+            if (this.hasNaN) {
+                return this.getNaN();
+            } else {
+                // Formats without NaN return zero
+                return this._encodeZero(false);
+            }
+        }
+
+        if (!this.hasZero && value < 0 && !this.signBits) {
+            return this._encodeUnsignedNegative();
+        }
+
+        if (!isFinite(value)) {
+            return this._encodeInfinity(value < 0);
+        }
+
+        if (value === 0) {
+            return this._encodeZero(Object.is(value, -0));
+        }
+
+        // Extract sign
+        const sign = value < 0 ? 1 : 0;
+        value = Math.abs(value);
+
+        // Get exponent and mantissa
+        const log2 = Math.log2(value);
+        let exponent = Math.floor(log2);
+        let mantissa = value / Math.pow(2, exponent) - 1.0;
+
+        // Bias the exponent
+        let biasedExponent = exponent + this.bias;
+
+        // Handle subnormal numbers
+        if (biasedExponent < 0 && !this.hasZero) {
+            return this.getMinNormal(sign === 1);
+        } else if (biasedExponent <= 0 && this.hasZero) {
+            if (!this.specialValues.subnormals) {
+                // No subnormals: round between zero and the smallest normal
+                return this._encodeBelowMinNormal(sign,
+                    roundMantissa(value / Math.pow(2, 1 - this.bias), sign, roundingMode, stochastic));
+            }
+            // Subnormal
+            mantissa = value / Math.pow(2, 1 - this.bias);
+            biasedExponent = 0;
+        } else if (biasedExponent > this.maxExponent || 
+                   (biasedExponent === this.maxExponent && this.hasInfinity)) {
+            // Overflow: value exceeds the normal range.
+            // For formats with infinity, maxExponent is fully reserved (infinity + NaN).
+            return this._encodeOverflow(sign, roundingMode);
+        }
+
+        // Convert mantissa to integer representation. Normal values round the
+        // full significand, implicit bit included, so that with no mantissa bits
+        // ties still go to the even significand (4 rather than 2 for 3).
+        const implicitOne = biasedExponent > 0 || !this.hasZero ? 1 : 0;
+        let mantissaInt = roundMantissa((mantissa + implicitOne) * Math.pow(2, this.mantissaBits), sign,
+            roundingMode, stochastic) - implicitOne * Math.pow(2, this.mantissaBits);
+
+        // Handle mantissa overflow after rounding
+        if (mantissaInt >= Math.pow(2, this.mantissaBits)) {
+            mantissaInt = 0;
+            biasedExponent++;
+            
+            // Check for overflow after incrementing exponent
+            if (biasedExponent > this.maxExponent ||
+                (biasedExponent === this.maxExponent && this.hasInfinity)) {
+                return this._encodeOverflow(sign, roundingMode);
+            }
+        }
+
+        // For formats with NaN at maxExponent without infinity (OCP-style):
+        // only all-ones mantissa is NaN. Landing there is an overflow.
+        if (biasedExponent === this.maxExponent && this.specialValues.nan === 'allOnes') {
+            const maxMantissa = this.mantissaBits > 0 ? Math.pow(2, this.mantissaBits) - 1 : 0;
+            if (mantissaInt >= maxMantissa) {
+                return this._encodeOverflow(sign, roundingMode);
+            }
+        }
+
+        // Determine classification based on format capabilities
         const atMaxExponent = biasedExponent === this.maxExponent;
         const isInfinite = this.hasInfinity && atMaxExponent && mantissaInt === 0;
-        const maxMant = this.mantissaBits > 0 ? Math.pow(2, this.mantissaBits) - 1 : 0;
-        const isNaN_ = this.hasNaN && atMaxExponent && (
-            this.hasInfinity ? mantissaInt !== 0 : mantissaInt === maxMant
-        );
+        const isNaN_ = this.specialValues.nan === 'ieee' && atMaxExponent && mantissaInt !== 0;
         const isSpecial = isInfinite || isNaN_;
         
+        const inZeroBinade = biasedExponent === 0 && this.hasZero;
+        if (inZeroBinade && mantissaInt === 0) {
+            // Underflow to zero; FNUZ formats must not produce the -0 (NaN) pattern
+            return this.getZero(sign === 1);
+        }
+        return {
+            sign,
+            exponent: biasedExponent,
+            mantissa: mantissaInt,
+            isNormal: !inZeroBinade && !isSpecial,
+            isSubnormal: inZeroBinade && mantissaInt !== 0,
+            isZero: inZeroBinade && mantissaInt === 0,
+            isInfinite: isInfinite,
+            isNaN: isNaN_
+        };
+    }
+
+    // Encode a Number or decimal string, rounding once from its exact value.
+    // Decimal strings never pass through a JS Number, so inputs with more digits
+    // than a double holds are still correctly rounded. The result carries
+    // `exact: true` when the input was exactly representable.
+    encodeExact(value, options = {}) {
+        if (typeof value === 'bigint') {
+            return this.encodeExact(value.toString(), options);
+        }
+        if (typeof value !== 'string') {
+            const encoded = this.encode(value, options);
+            const decoded = this.decode(encoded.sign, encoded.exponent, encoded.mantissa);
+            return { ...encoded, exact: decoded === value || (isNaN(value) && encoded.isNaN) };
+        }
+
+        const decimal = parseDecimalString(value);
+        if (!decimal) {
+            throw new Error(`Invalid decimal value: "${value}"`);
+        }
+        if (decimal.significand === 0n) {
+            return { ...this.encode(decimal.sign ? -0 : 0, options), exact: this.hasZero };
+        }
+
+        // Magnitudes at or below a quarter of the smallest subnormal all round
+        // alike, as do magnitudes well past the largest finite value.
+        const { numerator, denominator } = this.exponentBits === 0
+            ? decimalToRational(decimal, -this.mantissaBits - 2, 1)
+            : decimalToRational(decimal, 1 - this.bias - this.mantissaBits - 2,
+                this.maxExponent - this.bias + 2);
+        const encoded = this._roundExact(decimal.sign, numerator, denominator, options);
+        return { ...encoded, exact: this._isExactly(encoded, numerator, denominator) };
+    }
+
+    // Round the exact non-zero value (-1)^sign × numerator / denominator once,
+    // applying FTZ and the exception flags as encode() does
+    _roundExact(sign, numerator, denominator, options) {
+        const roundingMode = options.roundingMode || ROUNDING_MODES.tiesToEven;
+        const stochastic = stochasticState(options);
+        let encoded = this._encodeRational(sign, numerator, denominator, roundingMode, stochastic);
+        if (options.flushSubnormals) encoded = this._flushSubnormal(encoded);
+        const flags = this._exceptionFlags({ sign, numerator, denominator }, encoded, options, stochastic);
+        return withRoundUpProbability({ ...encoded, flags }, stochastic);
+    }
+
+    // Zero, or for formats without zero the smallest magnitude
+    _encodeZero(negative) {
+        return this.hasZero ? this.getZero(negative) : this.getMinNormal(negative && this.signBits === 1);
+    }
+
+    // Without a sign bit or zero there is no nearest encoding for a negative
+    // value, so it becomes NaN where the format has one.
+    _encodeUnsignedNegative() {
+        return this.hasNaN ? this.getNaN() : this.getMinNormal(false);
+    }
+
+    // Result of a finite value exceeding the normal range, per the overflow
+    // policy. Directed rounding away from infinity clamps to the max normal,
+    // as does round-to-odd, whose largest odd neighbour is always finite.
+    _encodeOverflow(sign, roundingMode) {
+        const shouldClamp =
+            roundingMode === ROUNDING_MODES.towardZero ||
+            roundingMode === ROUNDING_MODES.toOdd ||
+            (roundingMode === ROUNDING_MODES.towardNegative && sign === 0) ||
+            (roundingMode === ROUNDING_MODES.towardPositive && sign === 1);
+
+        if (shouldClamp) {
+            return this.getMaxNormal(sign === 1);
+        }
+        switch (this.specialValues.overflow) {
+            case 'infinity':
+                return this.getInfinity(sign === 1);
+            case 'nan':
+                return this.getNaN();
+            default:
+                return this.getMaxNormal(sign === 1);
+        }
+    }
+
+    // ±Infinity input: exact in formats with infinity; otherwise it overflows
+    // like any other out-of-range value (NaN or the max normal)
+    _encodeInfinity(negative) {
+        if (this.hasInfinity) {
+            return this.getInfinity(negative);
+        }
+        return this.specialValues.overflow === 'nan' ? this.getNaN() : this.getMaxNormal(negative);
+    }
+
+    // Value below the smallest normal in a format without subnormals, given
+    // its magnitude rounded to units of the smallest normal (0 or 1)
+    _encodeBelowMinNormal(sign, units) {
+        return Number(units) === 0 ? this.getZero(sign === 1) : this.getMinNormal(sign === 1);
+    }
+
+    // Exact encode path for formats wider than FP64. Every finite double is an
+    // exact dyadic rational, so it is rounded once, directly into this format.
+    _encodeExact(value, roundingMode, stochastic) {
+        if (this.exponentBits === 0) {
+            // Fixed-point has no special values: NaN encodes as zero and
+            // ±Infinity saturates to the largest magnitude.
+            const sign = value < 0 ? 1 : 0;
+            if (value === 0 || isNaN(value)) {
+                return this._fixedPointResult(sign, 0n);
+            }
+            if (!isFinite(value)) {
+                return this._fixedPointResult(sign, (1n << BigInt(this.mantissaBits)) - 1n);
+            }
+        } else {
+            if (isNaN(value)) {
+                return this.hasNaN ? this.getNaN() : this._encodeZero(false);
+            }
+            if (!this.hasZero && value < 0 && !this.signBits) {
+                return this._encodeUnsignedNegative();
+            }
+            if (!isFinite(value)) {
+                return this._encodeInfinity(value < 0);
+            }
+            if (value === 0) {
+                return this._encodeZero(Object.is(value, -0));
+            }
+        }
+
+        const { numerator, denominator } = numberToRational(value);
+        return this._encodeRational(value < 0 ? 1 : 0, numerator, denominator, roundingMode, stochastic);
+    }
+
+    // Round the exact magnitude numerator / denominator (BigInts, both > 0)
+    // into this format with a single rounding step.
+    _encodeRational(sign, numerator, denominator, roundingMode, stochastic) {
+        const implicitOne = 1n << BigInt(this.mantissaBits);
+
+        if (this.exponentBits === 0) {
+            // Fixed-point saturates at the largest magnitude
+            const mantissa = roundScaled(numerator, denominator, this.mantissaBits, sign, roundingMode, stochastic);
+            return this._fixedPointResult(sign, mantissa < implicitOne ? mantissa : implicitOne - 1n);
+        }
+        if (!this.hasZero && sign === 1 && !this.signBits) {
+            return this._encodeUnsignedNegative();
+        }
+
+        // exponent = floor(log2(numerator / denominator))
+        let exponent = bitLength(numerator) - bitLength(denominator);
+        const belowPower = exponent >= 0
+            ? numerator < (denominator << BigInt(exponent))
+            : (numerator << BigInt(-exponent)) < denominator;
+        if (belowPower) exponent--;
+
+        let biasedExponent = exponent + this.bias;
+        let mantissa;
+
+        if (biasedExponent < 0 && !this.hasZero) {
+            return this.getMinNormal(sign === 1);
+        } else if (biasedExponent <= 0 && this.hasZero) {
+            if (!this.specialValues.subnormals) {
+                return this._encodeBelowMinNormal(sign,
+                    roundScaled(numerator, denominator, this.bias - 1, sign, roundingMode, stochastic));
+            }
+            // Subnormal: value / 2^(1 - bias), scaled to mantissa units
+            mantissa = roundScaled(numerator, denominator,
+                this.mantissaBits - (1 - this.bias), sign, roundingMode, stochastic);
+            biasedExponent = 0;
+        } else if (biasedExponent > this.maxExponent ||
+                   (biasedExponent === this.maxExponent && this.hasInfinity)) {
+            return this._encodeOverflow(sign, roundingMode);
+        } else {
+            mantissa = roundScaled(numerator, denominator,
+                this.mantissaBits - exponent, sign, roundingMode, stochastic) - implicitOne;
+        }
+
+        // Handle mantissa overflow after rounding
+        if (mantissa >= implicitOne) {
+            mantissa = 0n;
+            biasedExponent++;
+            if (biasedExponent > this.maxExponent ||
+                (biasedExponent === this.maxExponent && this.hasInfinity)) {
+                return this._encodeOverflow(sign, roundingMode);
+            }
+        }
+
+        // OCP-style formats: landing on the all-ones NaN pattern is an overflow
+        if (biasedExponent === this.maxExponent && this.specialValues.nan === 'allOnes' &&
+            mantissa >= implicitOne - 1n) {
+            return this._encodeOverflow(sign, roundingMode);
+        }
+
+        const inZeroBinade = biasedExponent === 0 && this.hasZero;
+        if (inZeroBinade && mantissa === 0n) {
+            return this.getZero(sign === 1);
+        }
+        return {
+            sign,
+            exponent: biasedExponent,
+            mantissa: this.toMantissa(mantissa),
+            isNormal: !inZeroBinade,
+            isSubnormal: inZeroBinade && mantissa !== 0n,
+            isZero: inZeroBinade && mantissa === 0n,
+            isInfinite: false,
+            isNaN: false
+        };
+    }
+
+    // Encoding result for a fixed-point (exponentBits 0) magnitude
+    _fixedPointResult(sign, mantissa) {
+        return {
+            sign,
+            exponent: 0,
+            mantissa: this.toMantissa(mantissa),
+            isNormal: false,
+            isSubnormal: false,
+            isZero: mantissa === 0n,
+            isInfinite: false,
+            isNaN: false
+        };
+    }
+
+    // Exact value of an encoding as { significand, power } meaning
+    // significand × 2^power (BigInt significand, sign not applied), or
+    // { special } holding NaN or ±Infinity.
+    _exactValue(sign, exponent, mantissa) {
+        const mantissaInt = BigInt(mantissa);
+        const implicitOne = 1n << BigInt(this.mantissaBits);
+
+        if (this.exponentBits === 0) {
+            return { significand: mantissaInt, power: -this.mantissaBits };
+        }
+        if (this._isNaNPattern(sign, exponent, mantissaInt === 0n, mantissaInt === implicitOne - 1n)) {
+            return { special: NaN };
+        }
+        if (exponent === this.maxExponent) {
+            if (this.hasInfinity && mantissaInt === 0n) {
+                return { special: sign ? -Infinity : Infinity };
+            }
+        }
+        if (exponent === 0 && this.hasZero) {
+            // Without subnormals every exponent-0 pattern is a zero
+            const significand = this.specialValues.subnormals ? mantissaInt : 0n;
+            return { significand, power: 1 - this.bias - this.mantissaBits };
+        }
         return {
-            sign,
-            exponent: biasedExponent,
-            mantissa: mantissaInt,
-            isNormal: biasedExponent > 0 && !isSpecial,
-            isSubnormal: biasedExponent === 0 && mantissaInt !== 0,
-            isZero: biasedExponent === 0 && mantissaInt === 0,
-            isInfinite: isInfinite,
-            isNaN: isNaN_
+            significand: implicitOne + mantissaInt,
+            power: exponent - this.bias - this.mantissaBits
         };
     }
 
-    // Decode floating-point representation to decimal
-    decode(sign, exponent, mantissa) {
+    // Decode floating-point representation to decimal. With
+    // `options.subnormalsAreZero` (DAZ), subnormal encodings read as zero.
+    decode(sign, exponent, mantissa, options = {}) {
+        if (this._readsAsZero(exponent, mantissa, options)) {
+            return this.decode(sign && this.hasNegativeZero ? 1 : 0, 0, this.toMantissa(0));
+        }
+        // Wide formats: round the exact value to the nearest double
+        if (this.exactArithmetic) {
+            const exact = this._exactValue(sign, exponent, mantissa);
+            if (exact.special !== undefined) return exact.special;
+            if (exact.significand === 0n) return sign && this.hasNegativeZero ? -0 : 0;
+            const value = scaleByPowerOfTwo(Number(exact.significand), exact.power);
+            return sign ? -value : value;
+        }
+
         // Special handling for 0 exponent bits (fixed-point format)
         if (this.exponentBits === 0) {
             const value = this.mantissaBits > 0 ?
@@ -404,19 +1633,11 @@ class FloatingPoint {
         }
 
         // Special cases - only if format supports them
+        const maxMantissa = this.mantissaBits > 0 ? Math.pow(2, this.mantissaBits) - 1 : 0;
+        if (this._isNaNPattern(sign, exponent, mantissa === 0, mantissa === maxMantissa)) {
+            return NaN;
+        }
         if (exponent === this.maxExponent) {
-            // Check for NaN
-            if (this.hasNaN) {
-                if (this.hasInfinity) {
-                    // IEEE-style: any non-zero mantissa at maxExponent is NaN
-                    if (mantissa !== 0) return NaN;
-                } else {
-                    // OCP-style: only all-ones mantissa at maxExponent is NaN
-                    const maxMantissa = this.mantissaBits > 0 ? Math.pow(2, this.mantissaBits) - 1 : 0;
-                    if (mantissa === maxMantissa) return NaN;
-                }
-            }
-            
             // Check for Infinity
             if (this.hasInfinity && mantissa === 0) {
                 return sign ? -Infinity : Infinity;
@@ -426,9 +1647,9 @@ class FloatingPoint {
             // fall through to decode as normal number
         }
 
-        if (exponent === 0) {
-            if (mantissa === 0) {
-                return sign ? -0 : 0;
+        if (exponent === 0 && this.hasZero) {
+            if (mantissa === 0 || !this.specialValues.subnormals) {
+                return sign && this.hasNegativeZero ? -0 : 0;
             }
             // Subnormal number
             const mantissaValue = this.mantissaBits > 0 ? mantissa / Math.pow(2, this.mantissaBits) : 0;
@@ -436,8 +1657,9 @@ class FloatingPoint {
             return sign ? -value : value;
         }
 
-        // Normal number (including maxExponent if no special values)
-        if (exponent > 0) {
+        // Normal number (including maxExponent if no special values, and
+        // exponent 0 in formats without zero)
+        if (exponent > 0 || !this.hasZero) {
             const mantissaValue = this.mantissaBits > 0 ?
                 1.0 + mantissa / Math.pow(2, this.mantissaBits) :
                 1.0;
@@ -451,11 +1673,30 @@ class FloatingPoint {
         return sign ? -0 : 0;
     }
 
+    // Whether an encoding is NaN under this format's NaN policy. The mantissa
+    // is described by two flags so Number and BigInt callers share the logic.
+    _isNaNPattern(sign, exponent, zeroMantissa, allOnesMantissa) {
+        switch (this.specialValues.nan) {
+            case 'ieee':
+                return exponent === this.maxExponent && !zeroMantissa;
+            case 'allOnes':
+                return exponent === this.maxExponent && allOnesMantissa;
+            case 'negativeZero':
+                return sign === 1 && exponent === 0 && zeroMantissa;
+            default:
+                return false;
+        }
+    }
+
+    // Zero; -0 becomes +0 in formats without negative zero
     getZero(negative = false) {
+        if (!this.hasZero) {
+            throw new Error('Format does not support zero');
+        }
         return {
-            sign: negative ? 1 : 0,
+            sign: negative && this.hasNegativeZero ? 1 : 0,
             exponent: 0,
-            mantissa: 0,
+            mantissa: this.toMantissa(0),
             isZero: true,
             isNormal: false,
             isSubnormal: false,
@@ -466,21 +1707,40 @@ class FloatingPoint {
 
     getMaxNormal(negative = false) {
         let exp = this.maxExponent;
-        let mant = this.mantissaBits > 0 ? (Math.pow(2, this.mantissaBits) - 1) : 0;
+        let mant = (1n << BigInt(this.mantissaBits)) - 1n;
 
         if (this.hasInfinity) {
             // maxExponent with mantissa=0 is Infinity, so max normal is one exponent below
             exp = this.maxExponent - 1;
-        } else if (this.hasNaN) {
+        } else if (this.specialValues.nan === 'allOnes') {
             // OCP-style: only all-ones mantissa at maxExponent is NaN.
-            // Max normal is (maxExponent, maxMantissa - 1).
-            mant = this.mantissaBits > 0 ? Math.pow(2, this.mantissaBits) - 2 : 0;
+            // Max normal is (maxExponent, maxMantissa - 1), or one exponent
+            // below when there are no mantissa bits (E8M0's 0xFF).
+            if (this.mantissaBits > 0) {
+                mant -= 1n;
+            } else {
+                exp = this.maxExponent - 1;
+            }
         }
 
         return {
             sign: negative ? 1 : 0,
             exponent: exp,
-            mantissa: mant,
+            mantissa: this.toMantissa(mant),
+            isNormal: true,
+            isSubnormal: false,
+            isZero: false,
+            isInfinite: false,
+            isNaN: false
+        };
+    }
+
+    // Smallest normal magnitude: exponent 1, or exponent 0 in formats without zero
+    getMinNormal(negative = false) {
+        return {
+            sign: negative ? 1 : 0,
+            exponent: this.hasZero ? 1 : 0,
+            mantissa: this.toMantissa(0),
             isNormal: true,
             isSubnormal: false,
             isZero: false,
@@ -496,7 +1756,7 @@ class FloatingPoint {
         return {
             sign: negative ? 1 : 0,
             exponent: this.maxExponent,
-            mantissa: 0,
+            mantissa: this.toMantissa(0),
             isInfinite: true,
             isNormal: false,
             isSubnormal: false,
@@ -509,13 +1769,26 @@ class FloatingPoint {
         if (!this.hasNaN) {
             throw new Error('Format does not support NaN');
         }
+        // FNUZ: the single NaN is the negative-zero pattern
+        if (this.specialValues.nan === 'negativeZero') {
+            return {
+                sign: 1,
+                exponent: 0,
+                mantissa: this.toMantissa(0),
+                isNaN: true,
+                isNormal: false,
+                isSubnormal: false,
+                isZero: false,
+                isInfinite: false
+            };
+        }
         // IEEE-style (hasInfinity): any non-zero mantissa works; use 1 (smallest sNaN)
         // OCP-style (!hasInfinity): only all-ones mantissa is NaN
-        const nanMantissa = this.hasInfinity ? 1 : (this.mantissaBits > 0 ? Math.pow(2, this.mantissaBits) - 1 : 0);
+        const nanMantissa = this.hasInfinity ? 1n : (1n << BigInt(this.mantissaBits)) - 1n;
         return {
             sign: 0,
             exponent: this.maxExponent,
-            mantissa: nanMantissa,
+            mantissa: this.toMantissa(nanMantissa),
             isNaN: true,
             isNormal: false,
             isSubnormal: false,
@@ -524,11 +1797,173 @@ class FloatingPoint {
         };
     }
 
+    // Smallest encoding greater than this one, as IEEE 754 nextUp: zeros step
+    // to the smallest positive value, the largest finite value to infinity,
+    // and -minSubnormal to -0. NaN, and the largest value when nothing is
+    // above it, come back unchanged.
+    nextUp(sign, exponent, mantissa) {
+        return this._step(sign, exponent, mantissa, 1n);
+    }
+
+    // Largest encoding less than this one, as IEEE 754 nextDown
+    nextDown(sign, exponent, mantissa) {
+        return this._step(sign, exponent, mantissa, -1n);
+    }
+
+    // Unit in the last place: the weight of the lowest mantissa bit in this
+    // value's binade, so zeros and subnormals share the smallest normal's
+    // ulp. Infinity has an infinite ulp and NaN a NaN one.
+    ulp(sign, exponent, mantissa) {
+        const ordinal = this._ordinal(sign, exponent, mantissa);
+        if (ordinal === undefined) return NaN;
+        if ((ordinal < 0n ? -ordinal : ordinal) > this._maxRank()) return Infinity;
+        if (this.exponentBits === 0) return scaleByPowerOfTwo(1, -this.mantissaBits);
+        const binade = exponent === 0 && this.hasZero ? 1 : exponent;
+        return scaleByPowerOfTwo(1, binade - this.bias - this.mantissaBits);
+    }
+
+    // Number of steps of nextUp from the lower of two encodings to the
+    // higher; ±0 are the same value and infinity is one step past the
+    // largest finite value. NaN when either is NaN. BigInt for formats wider
+    // than 53 bits, else a Number.
+    ulpDistance(a, b) {
+        const first = this._ordinal(a.sign, a.exponent, a.mantissa);
+        const second = this._ordinal(b.sign, b.exponent, b.mantissa);
+        if (first === undefined || second === undefined) return NaN;
+        const distance = first > second ? first - second : second - first;
+        return this.totalBits > 53 ? distance : Number(distance);
+    }
+
+    // Move one encoding up (+1n) or down (-1n) in value order
+    _step(sign, exponent, mantissa, direction) {
+        const ordinal = this._ordinal(sign, exponent, mantissa);
+        const maxOrdinal = this._maxRank() + (this.hasInfinity && this.exponentBits > 0 ? 1n : 0n);
+        const minOrdinal = this.signBits ? -maxOrdinal : (this.hasZero ? 0n : 1n);
+        let next = ordinal === undefined ? undefined : ordinal + direction;
+        if (next === 0n && !this.hasZero) next += direction;
+        // NaN, and the ends of the range, stay where they are
+        if (next === undefined || next > maxOrdinal || next < minOrdinal) {
+            return this._classify(sign, exponent, this.toMantissa(mantissa));
+        }
+        // Approaching zero from below gives -0, as in IEEE 754
+        if (next === 0n) return this.getZero(ordinal < 0n);
+
+        const nextSign = next < 0n ? 1 : 0;
+        const rank = next < 0n ? -next : next;
+        if (rank > this._maxRank()) return this.getInfinity(nextSign === 1);
+        const bits = this._unrank(rank);
+        const mantissaMask = (1n << BigInt(this.mantissaBits)) - 1n;
+        return this._classify(nextSign, Number(bits >> BigInt(this.mantissaBits)), this.toMantissa(bits & mantissaMask));
+    }
+
+    // Position of an encoding in value order: 0 for zeros, ±n for the n-th
+    // distinct value away from zero, and infinity one past the largest finite
+    // value. Undefined for NaN and for patterns above the largest finite value.
+    _ordinal(sign, exponent, mantissa) {
+        const mantissaInt = BigInt(mantissa);
+        const allOnes = (1n << BigInt(this.mantissaBits)) - 1n;
+        let rank;
+        if (this.exponentBits === 0) {
+            // Every pattern is a plain fixed-point magnitude
+            rank = mantissaInt;
+        } else if (this._isNaNPattern(sign, exponent, mantissaInt === 0n, mantissaInt === allOnes)) {
+            return undefined;
+        } else {
+            const bits = (BigInt(exponent) << BigInt(this.mantissaBits)) | mantissaInt;
+            if (bits <= this._magnitudeBits(this.getMaxNormal())) {
+                rank = this._rank(bits);
+            } else if (this.hasInfinity && exponent === this.maxExponent && mantissaInt === 0n) {
+                rank = this._maxRank() + 1n;
+            } else {
+                return undefined;
+            }
+        }
+        return sign && rank !== 0n ? -rank : rank;
+    }
+
+    // Exponent and mantissa bits of an encoding as one unsigned magnitude,
+    // which orders finite values of the same sign
+    _magnitudeBits({ exponent, mantissa }) {
+        return (BigInt(exponent) << BigInt(this.mantissaBits)) | BigInt(mantissa);
+    }
+
+    // Rank of a finite magnitude among the distinct magnitudes: 0 for zero.
+    // Without subnormals every exponent-0 pattern reads as zero, and without
+    // zero the smallest pattern is already the first value above it.
+    _rank(bits) {
+        if (!this.hasZero) return bits + 1n;
+        if (this.specialValues.subnormals || this.exponentBits === 0) return bits;
+        const subnormalPatterns = (1n << BigInt(this.mantissaBits)) - 1n;
+        return bits <= subnormalPatterns ? 0n : bits - subnormalPatterns;
+    }
+
+    _unrank(rank) {
+        if (!this.hasZero) return rank - 1n;
+        if (this.specialValues.subnormals || this.exponentBits === 0) return rank;
+        return rank + (1n << BigInt(this.mantissaBits)) - 1n;
+    }
+
+    _maxRank() {
+        if (this.exponentBits === 0) return (1n << BigInt(this.mantissaBits)) - 1n;
+        return this._rank(this._magnitudeBits(this.getMaxNormal()));
+    }
+
+    // Encoding result with the classification of any bit pattern
+    _classify(sign, exponent, mantissa) {
+        if (this.exponentBits === 0) return this._fixedPointResult(sign, BigInt(mantissa));
+        const mantissaInt = BigInt(mantissa);
+        const allOnes = (1n << BigInt(this.mantissaBits)) - 1n;
+        const isNaN_ = this._isNaNPattern(sign, exponent, mantissaInt === 0n, mantissaInt === allOnes);
+        const isInfinite = !isNaN_ && this.hasInfinity && exponent === this.maxExponent && mantissaInt === 0n;
+        const inZeroBinade = !isNaN_ && exponent === 0 && this.hasZero;
+        const isZero = inZeroBinade && (mantissaInt === 0n || !this.specialValues.subnormals);
+        return {
+            sign,
+            exponent,
+            mantissa,
+            isNormal: !isNaN_ && !isInfinite && !inZeroBinade,
+            isSubnormal: inZeroBinade && !isZero,
+            isZero,
+            isInfinite,
+            isNaN: isNaN_
+        };
+    }
+
+    // Convert to the exact decimal expansion of the encoded value. Unlike
+    // decode(), which returns a Number, no precision is lost for any format.
+    // Accepts the same options as decode().
+    toDecimalString(sign, exponent, mantissa, options = {}) {
+        if (this._readsAsZero(exponent, mantissa, options)) {
+            return this.toDecimalString(sign && this.hasNegativeZero ? 1 : 0, 0, this.toMantissa(0));
+        }
+        const exact = this._exactValue(sign, exponent, mantissa);
+        if (exact.special !== undefined) return String(exact.special);
+        return (sign ? '-' : '') + dyadicToDecimalString(exact.significand, exact.power);
+    }
+
+    // Shortest decimal string that encodes back to exactly this bit pattern
+    // (under tiesToEven), formatted like Number.prototype.toString. The digit
+    // count follows this format's precision, not FP64's.
+    toShortestDecimalString(sign, exponent, mantissa, options = {}) {
+        if (this._readsAsZero(exponent, mantissa, options)) {
+            return this.toShortestDecimalString(sign && this.hasNegativeZero ? 1 : 0, 0, this.toMantissa(0));
+        }
+        const exact = this._exactValue(sign, exponent, mantissa);
+        if (exact.special !== undefined) return String(exact.special);
+
+        const target = this.toMantissa(mantissa);
+        return shortestDecimalString(sign, exact, (text) => {
+            const encoded = this.encodeExact(text);
+            return encoded.sign === sign && encoded.exponent === exponent &&
+                encoded.mantissa === target;
+        });
+    }
+
     // Convert to binary string
     toBinaryString(sign, exponent, mantissa) {
         const signStr = this.signBits ? sign.toString() : '';
-        const expStr = exponent.toString(2).padStart(this.exponentBits, '0');
-        const mantStr = mantissa.toString(2).padStart(this.mantissaBits, '0');
+        const expStr = this.exponentBits ? exponent.toString(2).padStart(this.exponentBits, '0') : '';
+        const mantStr = this.mantissaBits ? mantissa.toString(2).padStart(this.mantissaBits, '0') : '';
         return signStr + expStr + mantStr;
     }
 
@@ -544,7 +1979,694 @@ class FloatingPoint {
     }
 }
 
+// ── Exact values of encodings ───────────────────────────────
+// Every format here is binary, so every finite encoding is a dyadic rational
+// { sign, significand, power } meaning (-1)^sign × significand × 2^power
+// (BigInt significand ≥ 0). NaN and infinities are { sign, special }, with an
+// `invalid` mark when an operation produced them from finite operands.
+
+// Exact value of an encoding in any format. Under DAZ
+// (`options.subnormalsAreZero`) floating-point subnormals are zeros of the
+// same sign, or +0 in formats without -0.
+function exactValueOf(format, encoded, options = {}) {
+    const { sign, exponent, mantissa } = encoded;
+    if (format instanceof FloatingPoint) {
+        if (format._readsAsZero(exponent, mantissa, options)) {
+            return { sign: format.hasNegativeZero ? sign : 0, significand: 0n, power: 0 };
+        }
+        const exact = format._exactValue(sign, exponent, mantissa);
+        if (exact.special !== undefined) {
+            return { sign, special: isNaN(exact.special) ? NaN : Infinity };
+        }
+        return { sign, significand: exact.significand, power: exact.power };
+    }
+    const raw = format.isFixedPoint ? format.toInteger(mantissa) : BigInt(format.decode(sign, exponent, mantissa));
+    return {
+        sign: raw < 0n ? 1 : 0,
+        significand: raw < 0n ? -raw : raw,
+        power: format.isFixedPoint ? -format.fractionBits : 0
+    };
+}
+
+// Exact product of two values; 0 × ∞ is invalid
+function exactProduct(x, y) {
+    const sign = x.sign ^ y.sign;
+    if (Number.isNaN(x.special) || Number.isNaN(y.special)) return { sign: 0, special: NaN };
+    if (x.special !== undefined || y.special !== undefined) {
+        const hasZero = x.significand === 0n || y.significand === 0n;
+        return hasZero ? { sign: 0, special: NaN, invalid: true } : { sign, special: Infinity };
+    }
+    return { sign, significand: x.significand * y.significand, power: x.power + y.power };
+}
+
+// Exact sum of two values; ∞ - ∞ is invalid. An exact zero sum of opposite
+// signs is +0, or -0 when rounding toward negative.
+function exactSum(x, y, options = {}) {
+    if (Number.isNaN(x.special) || Number.isNaN(y.special)) return { sign: 0, special: NaN };
+    if (x.special !== undefined && y.special !== undefined && x.sign !== y.sign) {
+        return { sign: 0, special: NaN, invalid: true };
+    }
+    if (x.special !== undefined) return x;
+    if (y.special !== undefined) return y;
+
+    const power = Math.min(x.power, y.power);
+    const signed = ({ sign: s, significand, power: p }) => (s ? -significand : significand) << BigInt(p - power);
+    const total = signed(x) + signed(y);
+    if (total === 0n) {
+        const towardNegative = options.roundingMode === ROUNDING_MODES.towardNegative;
+        return { sign: x.sign === y.sign ? x.sign : (towardNegative ? 1 : 0), significand: 0n, power: 0 };
+    }
+    return { sign: total < 0n ? 1 : 0, significand: total < 0n ? -total : total, power };
+}
+
+// Round an exact value into any format once, with the encode's exception flags
+function roundExactValue(format, value, options = {}) {
+    const { sign, special, significand, power } = value;
+    if (special !== undefined) return format.encode(sign ? -special : special, options);
+    if (significand === 0n) return format.encode(sign ? -0 : 0, options);
+    if (format instanceof FloatingPoint) {
+        return power >= 0
+            ? format._roundExact(sign, significand << BigInt(power), 1n, options)
+            : format._roundExact(sign, significand, 1n << BigInt(-power), options);
+    }
+    // Integer and fixed-point formats round from the exact decimal expansion
+    return format.encodeExact((sign ? '-' : '') + dyadicToDecimalString(significand, power), options);
+}
+
+// Exact decimal string of a value: "NaN", "Infinity", "-Infinity" or digits
+function exactValueString({ sign, special, significand, power }) {
+    if (Number.isNaN(special)) return 'NaN';
+    return (sign ? '-' : '') + (special !== undefined ? 'Infinity' : dyadicToDecimalString(significand, power));
+}
+
+// Correctly rounded arithmetic in a FloatingPoint format. Operands are
+// encodings ({ sign, exponent, mantissa }) in that format; each operation
+// computes the exact result and rounds it once, as IEEE 754 requires. Results
+// are encodings with exception flags, which here include `divideByZero`.
+// Options are those of encode(), plus `subnormalsAreZero` (DAZ) for operands.
+class FloatArithmetic {
+    constructor(format) {
+        if (!(format instanceof FloatingPoint)) {
+            throw new TypeError('FloatArithmetic needs a FloatingPoint format');
+        }
+        this.format = format;
+    }
+
+    // Perform an ARITHMETIC_OPERATIONS operation by name
+    compute(operation, operands, options = {}) {
+        if (!Object.hasOwn(ARITHMETIC_OPERATIONS, operation)) {
+            throw new RangeError(`Unknown operation: "${operation}". ` +
+                `Valid operations: ${Object.keys(ARITHMETIC_OPERATIONS).join(', ')}.`);
+        }
+        const count = ARITHMETIC_OPERATIONS[operation];
+        if (!Array.isArray(operands) || operands.length !== count) {
+            throw new RangeError(`${operation} takes ${count} operand${count === 1 ? '' : 's'}`);
+        }
+        return this[operation](...operands, options);
+    }
+
+    add(a, b, options = {}) {
+        return this._round(exactSum(this._operand(a, options), this._operand(b, options), options), options);
+    }
+
+    sub(a, b, options = {}) {
+        const y = this._operand(b, options);
+        return this._round(exactSum(this._operand(a, options), { ...y, sign: 1 - y.sign }, options), options);
+    }
+
+    mul(a, b, options = {}) {
+        return this._round(exactProduct(this._operand(a, options), this._operand(b, options)), options);
+    }
+
+    div(a, b, options = {}) {
+        const x = this._operand(a, options);
+        const y = this._operand(b, options);
+        const sign = x.sign ^ y.sign;
+        if (Number.isNaN(x.special) || Number.isNaN(y.special)) return this._round({ sign: 0, special: NaN }, options);
+        if (x.special !== undefined) {
+            // ∞ / ∞ is invalid; ∞ / finite stays infinite
+            return y.special !== undefined
+                ? this._round({ sign: 0, special: NaN, invalid: true }, options)
+                : this._round({ sign, special: Infinity }, options);
+        }
+        if (y.special !== undefined) return this._round({ sign, significand: 0n, power: 0 }, options);
+        if (y.significand === 0n) {
+            // 0 / 0 is invalid; any other finite value over zero divides by zero
+            return x.significand === 0n
+                ? this._round({ sign: 0, special: NaN, invalid: true }, options)
+                : this._round({ sign, special: Infinity, divideByZero: true }, options);
+        }
+        if (x.significand === 0n) return this._round({ sign, significand: 0n, power: 0 }, options);
+
+        const power = x.power - y.power;
+        const numerator = power >= 0 ? x.significand << BigInt(power) : x.significand;
+        const denominator = power >= 0 ? y.significand : y.significand << BigInt(-power);
+        return this._result(this.format._roundExact(sign, numerator, denominator, options), {});
+    }
+
+    sqrt(a, options = {}) {
+        const x = this._operand(a, options);
+        // NaN and ±0 are their own square roots
+        if (Number.isNaN(x.special) || x.significand === 0n) return this._round(x, options);
+        if (x.sign === 1) return this._round({ sign: 0, special: NaN, invalid: true }, options);
+        if (x.special !== undefined) return this._round(x, options);
+
+        // Widen the significand so its integer root carries guard bits, with an
+        // even power left over. An inexact root gains a half unit, which lies
+        // strictly between the neighbouring roots and so rounds like the true one.
+        let shift = Math.max(0, 2 * (this.format.mantissaBits + SQRT_GUARD_BITS) - bitLength(x.significand));
+        if ((x.power - shift) % 2 !== 0) shift++;
+        const scaled = x.significand << BigInt(shift);
+        const root = integerSqrt(scaled);
+        const power = (x.power - shift) / 2;
+        return root * root === scaled
+            ? this._round({ sign: 0, significand: root, power }, options)
+            : this._round({ sign: 0, significand: 2n * root + 1n, power: power - 1 }, options);
+    }
+
+    // Fused multiply-add: a × b + c with a single rounding
+    fma(a, b, c, options = {}) {
+        const product = exactProduct(this._operand(a, options), this._operand(b, options));
+        if (product.invalid) return this._round(product, options);
+        return this._round(exactSum(product, this._operand(c, options), options), options);
+    }
+
+    // Exact value of an operand encoding, applying DAZ
+    _operand(encoded, options) {
+        return exactValueOf(this.format, encoded, options);
+    }
+
+    // Round an exact value into the format
+    _round(value, options) {
+        const flags = { invalid: value.invalid, divideByZero: value.divideByZero };
+        return this._result(roundExactValue(this.format, value, options), flags);
+    }
+
+    // Merge an operation's own invalid and divide-by-zero exceptions into the
+    // flags of its rounded result, in IEEE 754 order
+    _result(encoded, { invalid = false, divideByZero = false }) {
+        const { flags } = encoded;
+        return {
+            ...encoded,
+            flags: {
+                invalid: flags.invalid || invalid,
+                divideByZero,
+                overflow: flags.overflow,
+                underflow: flags.underflow,
+                inexact: flags.inexact,
+            },
+        };
+    }
+}
+
+// Dot product as mixed-precision hardware computes it: inputs are encodings in
+// the `input` format, each product a × b is rounded once into `product` (or
+// kept exact when it is null, as in a fused multiply-add) and every partial
+// sum is rounded once into `accumulator`. Any of the formats may be
+// FloatingPoint, Integer or FixedPoint.
+class DotProduct {
+    constructor(input, product, accumulator, options = {}) {
+        const order = options.order || ACCUMULATION_ORDERS.sequential;
+        if (!Object.hasOwn(ACCUMULATION_ORDERS, order)) {
+            throw new RangeError(`Unknown accumulation order: "${order}". ` +
+                `Valid orders: ${Object.keys(ACCUMULATION_ORDERS).join(', ')}.`);
+        }
+        const blockSize = options.blockSize === undefined ? DOT_PRODUCT_BLOCK_SIZE : options.blockSize;
+        if (!Number.isInteger(blockSize) || blockSize < 1) {
+            throw new RangeError('blockSize must be a positive integer');
+        }
+        this.input = input;
+        this.product = product || null;
+        this.accumulator = accumulator;
+        this.order = order;
+        this.blockSize = blockSize;
+    }
+
+    // Dot product of two equal-length arrays of encode inputs (Numbers,
+    // BigInts or decimal strings), each rounded once into the input format.
+    // Options are those of encode() for every rounding, plus
+    // `subnormalsAreZero` (DAZ) for reading the inputs. Returns the inputs,
+    // the rounded products (null when exact), the accumulator result, the
+    // exception flags raised by any product or sum, and the exact dot product
+    // of the encoded inputs as `reference`, with the result's `error` from it.
+    compute(a, b, options = {}) {
+        if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length || a.length === 0) {
+            throw new RangeError('Dot product vectors must be non-empty arrays of the same length');
+        }
+        // Stochastic rounding with a seed draws every rounding from one generator
+        if (options.roundingMode === ROUNDING_MODES.stochastic && options.seed !== undefined && !options.random) {
+            options = { ...options, random: createRandom(options.seed) };
+        }
+        const inputOptions = { ...options, flushSubnormals: false };
+        const inputs = a.map((value, i) => ({
+            a: this.input.encodeExact(value, inputOptions),
+            b: this.input.encodeExact(b[i], inputOptions)
+        }));
+
+        const state = { flags: exceptionFlags(), options };
+        const exactProducts = inputs.map((pair) =>
+            exactProduct(exactValueOf(this.input, pair.a, options), exactValueOf(this.input, pair.b, options)));
+        const products = exactProducts.map((exact) => {
+            state.flags.invalid = state.flags.invalid || Boolean(exact.invalid);
+            return this.product ? this._raise(roundExactValue(this.product, exact, options), state) : null;
+        });
+        const terms = this.product
+            ? products.map((encoded) => exactValueOf(this.product, encoded))
+            : exactProducts;
+
+        let sum;
+        if (this.order === ACCUMULATION_ORDERS.pairwise) {
+            sum = this._pairwise(terms, state);
+        } else if (this.order === ACCUMULATION_ORDERS.blocked) {
+            const blockSums = [];
+            for (let start = 0; start < terms.length; start += this.blockSize) {
+                blockSums.push(this._sequential(terms.slice(start, start + this.blockSize), state));
+            }
+            sum = blockSums.slice(1).reduce((total, block) => this._add(total, block.value, state), blockSums[0]);
+        } else {
+            sum = this._sequential(terms, state);
+        }
+
+        const reference = exactProducts.slice(1).reduce((total, p) => exactSum(total, p, options), exactProducts[0]);
+        const referenceValue = Number(exactValueString(reference));
+        const error = this._error(sum.value, reference, referenceValue, options);
+        return {
+            inputs,
+            products,
+            result: sum.encoded,
+            value: this.accumulator.decode(sum.encoded.sign, sum.encoded.exponent, sum.encoded.mantissa),
+            flags: state.flags,
+            inputsExact: inputs.every((pair) => pair.a.exact && pair.b.exact),
+            reference: exactValueString(reference),
+            referenceValue,
+            error,
+            relativeError: referenceValue !== 0 ? Math.abs(error / referenceValue) : (error === 0 ? 0 : Infinity)
+        };
+    }
+
+    // A running sum of terms, starting from the first term in the accumulator
+    _sequential(terms, state) {
+        let sum = this._convert(terms[0], state);
+        for (let i = 1; i < terms.length; i++) {
+            sum = this._add(sum, terms[i], state);
+        }
+        return sum;
+    }
+
+    // Sum of the two halves of the terms, each summed the same way
+    _pairwise(terms, state) {
+        if (terms.length === 1) return this._convert(terms[0], state);
+        const middle = Math.ceil(terms.length / 2);
+        const left = this._pairwise(terms.slice(0, middle), state);
+        const right = this._pairwise(terms.slice(middle), state);
+        return this._add(left, right.value, state);
+    }
+
+    // A term rounded into the accumulator, as { encoded, value }
+    _convert(term, state) {
+        const encoded = this._raise(roundExactValue(this.accumulator, term, state.options), state);
+        return { encoded, value: exactValueOf(this.accumulator, encoded) };
+    }
+
+    // A partial sum plus a term, rounded once into the accumulator
+    _add(sum, term, state) {
+        const exact = exactSum(sum.value, term, state.options);
+        state.flags.invalid = state.flags.invalid || Boolean(exact.invalid);
+        return this._convert(exact, state);
+    }
+
+    // Fold an encode's exception flags into the flags raised so far
+    _raise(encoded, state) {
+        for (const name of Object.keys(state.flags)) {
+            state.flags[name] = state.flags[name] || encoded.flags[name];
+        }
+        return encoded;
+    }
+
+    // result − reference as a Number, rounded once from the exact difference
+    _error(value, reference, referenceValue, options) {
+        if (value.special !== undefined || reference.special !== undefined) {
+            const resultValue = Number(exactValueString(value));
+            return resultValue - referenceValue;
+        }
+        const negated = { ...reference, sign: 1 - reference.sign };
+        return Number(exactValueString(exactSum(value, negated, options)));
+    }
+}
+
+// OCP Microscaling (MX) block format: every block of `blockSize` elements
+// shares one E8M0 scale, a power of two from 2^-127 to 2^127 (0xFF is NaN).
+class MXFormat {
+    constructor(element, options = {}) {
+        if (!(element instanceof FloatingPoint) && !(element instanceof FixedPoint)) {
+            throw new TypeError('MX elements must be a FloatingPoint or FixedPoint format');
+        }
+        const blockSize = options.blockSize === undefined ? MX_BLOCK_SIZE : options.blockSize;
+        if (!Number.isInteger(blockSize) || blockSize < 1) {
+            throw new RangeError('blockSize must be a positive integer');
+        }
+        const maxElement = element.isFixedPoint
+            ? element.maxValue
+            : element.decode(0, element.getMaxNormal().exponent, element.getMaxNormal().mantissa);
+        if (!(maxElement > 0)) {
+            throw new RangeError('MX elements must have a positive maximum value');
+        }
+
+        this.element = element;
+        this.blockSize = blockSize;
+        this.scaleBias = 127;
+        this.scaleNaN = 0xFF;
+        // emax_elem in the OCP MX spec: exponent of the largest element value
+        this.elementEmax = floorLog2(maxElement);
+        this.elementMaxValue = maxElement;
+    }
+
+    // Quantize an array of Numbers, one block per `blockSize` values. Per the
+    // OCP MX spec the shared exponent is floor(log2(max |v|)) - emax_elem, so
+    // the largest magnitude lands in the element's top binade; elements that
+    // still round past the largest finite element value saturate to it.
+    quantize(values, options = {}) {
+        if (!Array.isArray(values)) {
+            throw new TypeError('MX values must be an array of numbers');
+        }
+        // Stochastic rounding with a seed draws every element from one generator
+        if (options.roundingMode === ROUNDING_MODES.stochastic && options.seed !== undefined && !options.random) {
+            options = { ...options, random: createRandom(options.seed) };
+        }
+        const blocks = [];
+        for (let start = 0; start < values.length; start += this.blockSize) {
+            blocks.push(this._quantizeBlock(values.slice(start, start + this.blockSize), options));
+        }
+        return blocks;
+    }
+
+    _quantizeBlock(values, options) {
+        const scale = this._sharedScale(values);
+        const elements = values.map((input) => {
+            if (scale.isNaN) {
+                // A NaN scale makes every element of the block NaN, whatever its bits
+                return { input, encoded: this.element.encode(0), value: NaN, error: NaN };
+            }
+            const encoded = this._encodeElement(scaleByPowerOfTwo(input, -scale.exponent), options);
+            const elementValue = this.element.decode(encoded.sign, encoded.exponent, encoded.mantissa);
+            const value = scaleByPowerOfTwo(Number(elementValue), scale.exponent);
+            return { input, encoded, value, error: value - input };
+        });
+        return { scale, elements };
+    }
+
+    // Shared E8M0 scale of a block. Blocks holding NaN or Infinity, or whose
+    // exponent exceeds 2^127, get the NaN scale; an all-zero block or one whose
+    // exponent falls below 2^-127 clamps to the smallest scale.
+    _sharedScale(values) {
+        let maxAbs = 0;
+        for (const v of values) {
+            if (typeof v !== 'number') {
+                throw new TypeError(`MX values must be numbers, got ${typeof v}`);
+            }
+            if (!isFinite(v)) return this._scale(null);
+            maxAbs = Math.max(maxAbs, Math.abs(v));
+        }
+        if (maxAbs === 0) return this._scale(-this.scaleBias);
+        const exponent = floorLog2(maxAbs) - this.elementEmax;
+        if (exponent > this.scaleBias) return this._scale(null);
+        return this._scale(Math.max(exponent, -this.scaleBias));
+    }
+
+    _scale(exponent) {
+        if (exponent === null) {
+            return { bits: this.scaleNaN, exponent: null, value: NaN, isNaN: true };
+        }
+        return { bits: exponent + this.scaleBias, exponent, value: Math.pow(2, exponent), isNaN: false };
+    }
+
+    _encodeElement(value, options) {
+        const roundingMode = options.roundingMode || ROUNDING_MODES.tiesToEven;
+        const { random } = options;
+        if (this.element.isFixedPoint) {
+            return this.element.encode(value, { roundingMode, random, overflow: OVERFLOW_MODES.saturate });
+        }
+        const encoded = this.element.encode(value, { roundingMode, random });
+        return encoded.isInfinite ? { ...this.element.getMaxNormal(encoded.sign === 1), flags: encoded.flags } : encoded;
+    }
+
+    // Decode one element of a block given the block's E8M0 scale bits
+    decode(scaleBits, sign, exponent, mantissa) {
+        if (scaleBits === this.scaleNaN) return NaN;
+        const elementValue = this.element.decode(sign, exponent, mantissa);
+        return scaleByPowerOfTwo(Number(elementValue), scaleBits - this.scaleBias);
+    }
+}
+
+// Byte layout of a tensor's elements, shared by TensorReader and TensorWriter.
+// Formats narrower than a byte are packed back to back as one bit stream, so
+// FP6 elements straddle bytes; `nibbleOrder` says whether the stream fills each
+// byte from its low or its high bit. Wider formats take the smallest
+// power-of-two number of bytes that holds them, in `endianness` byte order,
+// with the pattern in the low bits.
+function tensorLayout(format, options) {
+    if (!format || !Number.isInteger(format.totalBits)) {
+        throw new TypeError('Tensors need a FloatingPoint, Integer or FixedPoint format');
+    }
+    const endianness = options.endianness || ENDIANNESS.little;
+    if (!Object.hasOwn(ENDIANNESS, endianness)) {
+        throw new Error(`Unknown endianness: "${endianness}". Use ${Object.keys(ENDIANNESS).join(', ')}.`);
+    }
+    const nibbleOrder = options.nibbleOrder || NIBBLE_ORDERS.lowFirst;
+    if (!Object.hasOwn(NIBBLE_ORDERS, nibbleOrder)) {
+        throw new Error(`Unknown nibble order: "${nibbleOrder}". Use ${Object.keys(NIBBLE_ORDERS).join(', ')}.`);
+    }
+    let elementBytes = 1;
+    while (elementBytes * 8 < format.totalBits) elementBytes *= 2;
+    return {
+        format,
+        endianness,
+        nibbleOrder,
+        elementBits: format.totalBits,
+        packed: format.totalBits < 8,
+        elementBytes,
+    };
+}
+
+// Split a bit-pattern (a BigInt) into a format's sign, exponent and mantissa
+function splitBits(format, bits) {
+    if (format.isInteger || format.isFixedPoint) {
+        return { sign: 0, exponent: 0, mantissa: format.toMantissa(bits) };
+    }
+    const mantissaBits = BigInt(format.mantissaBits);
+    return {
+        sign: Number(bits >> (mantissaBits + BigInt(format.exponentBits))),
+        exponent: Number((bits >> mantissaBits) & ((1n << BigInt(format.exponentBits)) - 1n)),
+        mantissa: format.toMantissa(bits & ((1n << mantissaBits) - 1n)),
+    };
+}
+
+// Slices a raw byte buffer (a .bin dump or a tensor's data) into the elements
+// of a format, laid out as tensorLayout describes
+class TensorReader {
+    constructor(format, options = {}) {
+        Object.assign(this, tensorLayout(format, options));
+    }
+
+    // Number of whole elements in `byteLength` bytes
+    length(byteLength) {
+        return this.packed
+            ? Math.floor(byteLength * 8 / this.elementBits)
+            : Math.floor(byteLength / this.elementBytes);
+    }
+
+    // Byte range [start, end) that holds `count` elements from index `offset`
+    byteRange(offset, count) {
+        if (this.packed) {
+            return {
+                start: Math.floor(offset * this.elementBits / 8),
+                end: Math.ceil((offset + count) * this.elementBits / 8),
+            };
+        }
+        return { start: offset * this.elementBytes, end: (offset + count) * this.elementBytes };
+    }
+
+    // Encodings of `count` elements from index `offset` (all remaining ones by
+    // default). `bytes` may be a window of the buffer starting at `byteOffset`,
+    // as read from byteRange, so large files need not be held in memory.
+    read(bytes, options = {}) {
+        if (!(bytes instanceof Uint8Array)) {
+            throw new TypeError('Tensor data must be a Uint8Array');
+        }
+        const { offset = 0, byteOffset = 0 } = options;
+        const available = this.length(byteOffset + bytes.length);
+        for (const [name, value] of [['offset', offset], ['count', options.count], ['byteOffset', byteOffset]]) {
+            if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+                throw new RangeError(`${name} must be a non-negative integer`);
+            }
+        }
+        const count = options.count === undefined ? Math.max(available - offset, 0) : options.count;
+        const range = this.byteRange(offset, count);
+        if (range.start < byteOffset || offset + count > available) {
+            throw new RangeError(`Elements ${offset} to ${offset + count - 1} are outside the ${available} in the data`);
+        }
+
+        const elements = [];
+        for (let i = offset; i < offset + count; i++) {
+            elements.push(splitBits(this.format, this._bits(bytes, i, byteOffset)));
+        }
+        return elements;
+    }
+
+    // Bit-pattern of element `index` as a BigInt
+    _bits(bytes, index, byteOffset) {
+        let bits = 0n;
+        if (this.packed) {
+            const first = index * this.elementBits - byteOffset * 8;
+            for (let k = 0; k < this.elementBits; k++) {
+                const position = first + k;
+                const byte = bytes[position >> 3];
+                if (this.nibbleOrder === NIBBLE_ORDERS.lowFirst) {
+                    bits |= BigInt((byte >> (position & 7)) & 1) << BigInt(k);
+                } else {
+                    bits = (bits << 1n) | BigInt((byte >> (7 - (position & 7))) & 1);
+                }
+            }
+            return bits;
+        }
+        const start = index * this.elementBytes - byteOffset;
+        for (let k = 0; k < this.elementBytes; k++) {
+            const byte = this.endianness === ENDIANNESS.little
+                ? bytes[start + this.elementBytes - 1 - k]
+                : bytes[start + k];
+            bits = (bits << 8n) | BigInt(byte);
+        }
+        return bits & ((1n << BigInt(this.elementBits)) - 1n);
+    }
+
+}
+
+// Packs encodings into bytes that TensorReader reads back, laid out as
+// tensorLayout describes. `alignment` pads the data with zero bytes to a
+// multiple of that many bytes, as test benches and DMA buffers often need.
+class TensorWriter {
+    constructor(format, options = {}) {
+        Object.assign(this, tensorLayout(format, options));
+        const alignment = options.alignment === undefined ? 1 : options.alignment;
+        if (!Number.isInteger(alignment) || alignment < 1) {
+            throw new RangeError('alignment must be a positive integer');
+        }
+        this.alignment = alignment;
+    }
+
+    // Bytes of `count` packed elements, including the alignment padding
+    byteLength(count) {
+        const data = this._dataLength(count);
+        return Math.ceil(data / this.alignment) * this.alignment;
+    }
+
+    // Zero bytes that follow `count` elements to reach the alignment
+    padding(count) {
+        return this.byteLength(count) - this._dataLength(count);
+    }
+
+    _dataLength(count) {
+        return this.packed ? Math.ceil(count * this.elementBits / 8) : count * this.elementBytes;
+    }
+
+    // Bytes of a run of encodings, without padding. Runs written one after
+    // another form one stream as long as each but the last fills whole bytes
+    // (a multiple of 8 elements always does).
+    write(encodings) {
+        const bytes = new Uint8Array(this._dataLength(encodings.length));
+        encodings.forEach((encoded, index) => {
+            const bits = this._join(encoded);
+            if (this.packed) {
+                const first = index * this.elementBits;
+                for (let k = 0; k < this.elementBits; k++) {
+                    const position = first + k;
+                    const bit = this.nibbleOrder === NIBBLE_ORDERS.lowFirst
+                        ? Number((bits >> BigInt(k)) & 1n)
+                        : Number((bits >> BigInt(this.elementBits - 1 - k)) & 1n);
+                    const shift = this.nibbleOrder === NIBBLE_ORDERS.lowFirst ? position & 7 : 7 - (position & 7);
+                    bytes[position >> 3] |= bit << shift;
+                }
+                return;
+            }
+            const start = index * this.elementBytes;
+            for (let k = 0; k < this.elementBytes; k++) {
+                const byte = Number((bits >> BigInt(8 * k)) & 0xFFn);
+                const at = this.endianness === ENDIANNESS.little ? start + k : start + this.elementBytes - 1 - k;
+                bytes[at] = byte;
+            }
+        });
+        return bytes;
+    }
+
+    // Bit-pattern of an encoding as a BigInt
+    _join({ sign, exponent, mantissa }) {
+        const format = this.format;
+        if (format.isInteger || format.isFixedPoint) {
+            return BigInt(mantissa) & ((1n << BigInt(this.elementBits)) - 1n);
+        }
+        const mantissaBits = BigInt(format.mantissaBits);
+        return (BigInt(sign) << (mantissaBits + BigInt(format.exponentBits)))
+            | (BigInt(exponent) << mantissaBits)
+            | BigInt(mantissa);
+    }
+}
+
+// Widest format whose every encoding valueTable lists: 65,536 rows
+const MAX_TABLE_BITS = 16;
+// How valueTable writes values: Numbers, or exact or shortest decimal strings
+const TABLE_DIGITS = Object.freeze(['number', 'exact', 'shortest']);
+
+// Every encoding of a format of at most 16 bits, in bit-pattern order: the
+// pattern, its fields, its hex and binary strings, its decoded value and its
+// ulp. Rows are made one at a time, for lookup ROMs and test oracles. Values
+// are Numbers unless `options.digits` is "exact" or "shortest", which write
+// them as decimal strings.
+function valueTable(format, options = {}) {
+    if (!format || !Number.isInteger(format.totalBits)) {
+        throw new TypeError('Value tables need a FloatingPoint, Integer or FixedPoint format');
+    }
+    if (format.totalBits > MAX_TABLE_BITS) {
+        throw new RangeError(`Format has ${format.totalBits} bits; value tables list every encoding of formats up to ${MAX_TABLE_BITS} bits.`);
+    }
+    const digits = options.digits === undefined ? 'number' : options.digits;
+    if (!TABLE_DIGITS.includes(digits)) {
+        throw new RangeError(`Unknown digits: "${digits}". Valid digits: ${TABLE_DIGITS.join(', ')}.`);
+    }
+    // Validated here rather than in the generator, which runs on first use
+    return tableRows(format, digits);
+}
+
+function* tableRows(format, digits) {
+    const size = 2n ** BigInt(format.totalBits);
+    for (let bits = 0n; bits < size; bits++) {
+        const { sign, exponent, mantissa } = splitBits(format, bits);
+        let value;
+        if (digits === 'exact') {
+            value = format.toDecimalString(sign, exponent, mantissa);
+        } else if (digits === 'shortest') {
+            value = format.toShortestDecimalString(sign, exponent, mantissa);
+        } else {
+            value = format.decode(sign, exponent, mantissa);
+        }
+        yield {
+            bits: Number(bits),
+            sign,
+            exponent,
+            mantissa,
+            hex: format.toHexString(sign, exponent, mantissa),
+            binary: format.toBinaryString(sign, exponent, mantissa),
+            value,
+            ulp: format.ulp(sign, exponent, mantissa),
+        };
+    }
+}
+
 // Export for Node.js (testing) and browser
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { FloatingPoint, Integer, FORMATS, ROUNDING_MODES };
+    module.exports = {
+        FloatingPoint, Integer, FixedPoint, FloatArithmetic, DotProduct, MXFormat, TensorReader, TensorWriter, FORMATS,
+        MX_FORMATS, MX_BLOCK_SIZE, ARITHMETIC_OPERATIONS, ACCUMULATION_ORDERS, ROUNDING_MODES, OVERFLOW_MODES, TININESS_MODES,
+        ENDIANNESS, NIBBLE_ORDERS, parseDecimalString, createRandom, valueTable, exactValueOf, roundExactValue, exactSum,
+        exactValueString
+    };
 }
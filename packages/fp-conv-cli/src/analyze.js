@@ -0,0 +1,32 @@
+// Copyright (c) 2026 Spencer Williams
+// Licensed under the MIT License.
+
+// The analyze command: quantize an array of values into a format and report
+// error statistics over the whole array. Values are read as pack reads them
+// and fed to createQuantizationAnalyzer in the shared src/quantization.js one
+// at a time, so arrays of any size run in constant memory.
+
+import quantization from "../../../src/quantization.js";
+import { readArrayValues } from "./pack.js";
+
+const { createQuantizationAnalyzer } = quantization;
+
+/**
+ * Analyze the quantization of every value read from `source`.
+ * @param {{source: string, column?: string, input?: AsyncIterable<string|Buffer>} & object} params -
+ *     As for runPack; the remaining parameters are createQuantizationAnalyzer's.
+ * @returns {Promise<object>} The statistics.
+ */
+export async function runAnalyze({ source, column, input, ...params }) {
+    const analyzer = createQuantizationAnalyzer(params);
+    for await (const { where, value, optional } of readArrayValues({ source, column, input })) {
+        try {
+            analyzer.add(value);
+        } catch (err) {
+            // A first CSV row that is not a value is a header
+            if (optional) continue;
+            throw new Error(`${where}: ${err.message}`, { cause: err });
+        }
+    }
+    return analyzer.result();
+}
@@ -0,0 +1,336 @@
+// Copyright (c) 2026 Spencer Williams
+// Licensed under the MIT License.
+
+// Batch mode for encode, decode and convert. Values (or bit-patterns, for
+// decode) are read from a file or stdin as a newline list, a CSV column or a
+// JSON array, and written as CSV or JSON Lines rows. Input is read in chunks
+// and rows are written as they are converted, so memory use stays flat however
+// large the input is. The per-value conversion is createBatchConverter in the
+// shared src/webmcp.js.
+
+import { createReadStream } from "node:fs";
+import { once } from "node:events";
+
+import webmcp from "../../../src/webmcp.js";
+
+const { createBatchConverter } = webmcp;
+
+export const BATCH_OUTPUTS = ["csv", "jsonl"];
+
+// Output is buffered up to about this many characters (or bytes) per write
+const WRITE_BUFFER_SIZE = 64 * 1024;
+
+/**
+ * Convert every value read from `source` and write one row per value.
+ * @param {{mode: "encode"|"decode"|"convert", source: string, column?: string, out?: "csv"|"jsonl",
+ *          input?: AsyncIterable<string|Buffer>, output?: NodeJS.WritableStream} & object} params -
+ *     `source` is a file path or "-" for stdin; `input` and `output` override the streams. The
+ *     remaining parameters are createBatchConverter's.
+ * @returns {Promise<number>} The number of rows written.
+ */
+export async function runBatch({ source, column, out = "csv", input, output = process.stdout, ...conversion }) {
+    if (!BATCH_OUTPUTS.includes(out)) {
+        throw new Error(`Invalid --out: ${out} (expected ${BATCH_OUTPUTS.join(", ")})`);
+    }
+    const { columns, convert } = createBatchConverter(conversion);
+    const chunks = input || (source === "-" ? process.stdin : createReadStream(source));
+    const writer = bufferedWriter(output);
+    let count = 0;
+    try {
+        if (out === "csv") {
+            await writer.write(`${columns.join(",")}\n`);
+        }
+        for await (const { where, value, optional } of readValues(decoded(chunks), source, column)) {
+            if (writer.closed) break;
+            let row;
+            try {
+                row = convert(value);
+            } catch (err) {
+                // A first CSV row that is not a value is a header
+                if (optional) continue;
+                throw new Error(`${where}: ${err.message}`, { cause: err });
+            }
+            const line = out === "csv" ? columns.map((name) => csvField(row[name])).join(",") : JSON.stringify(row);
+            await writer.write(`${line}\n`);
+            count++;
+        }
+        await writer.flush();
+    } catch (err) {
+        // Keep the rows converted before the failure; the error is what to report
+        await writer.flush().catch(() => {});
+        throw err;
+    } finally {
+        writer.release();
+    }
+    return count;
+}
+
+/**
+ * Decode a stream's chunks as UTF-8 text, keeping characters split across
+ * chunks intact.
+ * @param {AsyncIterable<string|Buffer>} chunks
+ * @returns {AsyncGenerator<string>}
+ */
+export async function* decoded(chunks) {
+    const decoder = new TextDecoder();
+    for await (const chunk of chunks) {
+        yield typeof chunk === "string" ? chunk : decoder.decode(chunk, { stream: true });
+    }
+    const rest = decoder.decode();
+    if (rest) yield rest;
+}
+
+/**
+ * Yield the values of a newline list, a CSV column or a JSON array, picking
+ * the layout from the first chunk: JSON when it starts with "[", CSV for .csv
+ * files or when a column is given, else one value per line.
+ * @param {AsyncIterable<string>} chunks
+ * @param {string} source
+ * @param {string|undefined} column
+ * @returns {AsyncGenerator<{where: string, value: string|number, optional?: boolean}>}
+ */
+export async function* readValues(chunks, source, column) {
+    const iterator = chunks[Symbol.asyncIterator]();
+    let first = await iterator.next();
+    while (!first.done && first.value.trim() === "") {
+        first = await iterator.next();
+    }
+    if (first.done) return;
+    const rest = (async function* () {
+        try {
+            yield first.value;
+            for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+                yield next.value;
+            }
+        } finally {
+            // Close the source when the caller stops early
+            await iterator.return?.();
+        }
+    })();
+
+    if (first.value.trimStart().startsWith("[")) {
+        yield* jsonArrayValues(rest);
+    } else if (column !== undefined || /\.csv$/i.test(source)) {
+        yield* csvValues(rest, column);
+    } else {
+        for await (const { number, line } of lines(rest)) {
+            const value = line.trim();
+            if (value !== "") yield { where: `line ${number}`, value };
+        }
+    }
+}
+
+/**
+ * Split text chunks into numbered lines, dropping the "\r" of CRLF endings.
+ * @param {AsyncIterable<string>} chunks
+ * @returns {AsyncGenerator<{number: number, line: string}>}
+ */
+async function* lines(chunks) {
+    let pending = "";
+    let number = 0;
+    for await (const chunk of chunks) {
+        const parts = (pending + chunk).split("\n");
+        pending = parts.pop();
+        for (const line of parts) {
+            yield { number: ++number, line: line.replace(/\r$/, "") };
+        }
+    }
+    if (pending !== "") {
+        yield { number: number + 1, line: pending.replace(/\r$/, "") };
+    }
+}
+
+/**
+ * Yield one column of a CSV file. A column name is looked up in the header
+ * row; a number picks a column by position, counting from 1 (the default).
+ * Without a name, a first row whose field is not a value is taken as a header.
+ * @param {AsyncIterable<string>} chunks
+ * @param {string|undefined} column
+ * @returns {AsyncGenerator<{where: string, value: string, optional?: boolean}>}
+ */
+async function* csvValues(chunks, column = "1") {
+    const byName = !/^\d+$/.test(column.trim());
+    let index = byName ? undefined : Number(column) - 1;
+    if (index !== undefined && index < 0) {
+        throw new Error(`Invalid --column: ${column} (columns count from 1)`);
+    }
+    let first = true;
+    for await (const { number, line } of lines(chunks)) {
+        if (line.trim() === "") continue;
+        const fields = parseCsvLine(line);
+        if (first && byName) {
+            index = fields.findIndex((field) => field.trim() === column.trim());
+            if (index < 0) {
+                throw new Error(`Column "${column}" is not in the CSV header`);
+            }
+            first = false;
+            continue;
+        }
+        const where = `line ${number}`;
+        if (index >= fields.length) {
+            throw new Error(`${where}: no column ${index + 1}`);
+        }
+        yield { where, value: fields[index].trim(), optional: first };
+        first = false;
+    }
+}
+
+/**
+ * Split one CSV line into fields, unquoting "..." fields ("" is a quote).
+ * @param {string} line
+ * @returns {string[]}
+ */
+export function parseCsvLine(line) {
+    const fields = [];
+    let field = "";
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ",") {
+            fields.push(field);
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+    return fields;
+}
+
+/**
+ * Yield the elements of a top-level JSON array of numbers and strings as
+ * they arrive, without holding the whole array in memory. Numbers are yielded
+ * as their literal text, so digits past a double's precision are kept.
+ * @param {AsyncIterable<string>} chunks
+ * @returns {AsyncGenerator<{where: string, value: string}>}
+ */
+async function* jsonArrayValues(chunks) {
+    let started = false;
+    let ended = false;
+    let inString = false;
+    let escaped = false;
+    let element = "";
+    let count = 0;
+
+    const take = () => {
+        const where = `item ${++count}`;
+        let value;
+        try {
+            value = JSON.parse(element);
+        } catch (err) {
+            throw new Error(`${where}: invalid JSON ${element.trim()}`, { cause: err });
+        }
+        if (typeof value !== "number" && typeof value !== "string") {
+            throw new Error(`${where}: JSON values must be numbers or strings`);
+        }
+        if (typeof value === "number") value = element.trim();
+        element = "";
+        return { where, value };
+    };
+
+    for await (const chunk of chunks) {
+        for (const char of chunk) {
+            if (inString) {
+                element += char;
+                if (escaped) {
+                    escaped = false;
+                } else if (char === "\\") {
+                    escaped = true;
+                } else if (char === '"') {
+                    inString = false;
+                }
+            } else if (/\s/.test(char)) {
+                if (started && !ended) element += char;
+            } else if (ended) {
+                throw new Error("Unexpected data after the JSON array");
+            } else if (!started) {
+                // readValues only picks JSON when the input starts with "["
+                started = true;
+            } else if (char === ",") {
+                yield take();
+            } else if (char === "]") {
+                if (element.trim() !== "" || count > 0) yield take();
+                ended = true;
+            } else if (char === "[" || char === "{") {
+                throw new Error(`item ${count + 1}: JSON values must be numbers or strings`);
+            } else {
+                if (char === '"') inString = true;
+                element += char;
+            }
+        }
+    }
+    if (!ended) {
+        throw new Error("Unterminated JSON array");
+    }
+}
+
+/**
+ * Quote a CSV field when it holds a comma, quote or line break. Flag lists
+ * are joined with "|".
+ * @param {unknown} value
+ * @returns {string}
+ */
+export function csvField(value) {
+    const text = Array.isArray(value) ? value.join("|") : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Collect writes into larger chunks and wait for "drain" when the stream's
+ * buffer is full, so a fast producer cannot outrun a slow pipe. Chunks are
+ * all text or all bytes. When the reader goes away (EPIPE, as with `| head`)
+ * `closed` is set and further writes are dropped.
+ * @param {NodeJS.WritableStream} stream
+ * @returns {{closed: boolean, write: (chunk: string|Uint8Array) => Promise<void>, flush: () => Promise<void>,
+ *            release: () => void}} Call `release` when done to remove the error listener.
+ */
+export function bufferedWriter(stream) {
+    let parts = [];
+    let size = 0;
+    let failure;
+    let onClose;
+    const closedPipe = new Promise((resolve) => {
+        onClose = resolve;
+    });
+    const writer = {
+        closed: false,
+        async write(chunk) {
+            parts.push(chunk);
+            size += chunk.length;
+            if (size >= WRITE_BUFFER_SIZE) await writer.flush();
+        },
+        async flush() {
+            if (failure) throw failure;
+            if (size === 0 || writer.closed) return;
+            const chunk = typeof parts[0] === "string" ? parts.join("") : Buffer.concat(parts);
+            parts = [];
+            size = 0;
+            if (!stream.write(chunk)) {
+                // An "error" rejects once(); the listener below records it instead
+                await Promise.race([once(stream, "drain").catch(() => {}), closedPipe]);
+            }
+        },
+    };
+    const onError = (err) => {
+        if (err.code === "EPIPE") {
+            writer.closed = true;
+        } else {
+            failure = err;
+        }
+        onClose();
+    };
+    stream.on("error", onError);
+    writer.release = () => stream.off("error", onError);
+    return writer;
+}
@@ -7,9 +7,25 @@
 // ({ content: [{ type: "text", text: <json> }] }); here we unwrap them into
 // plain objects the CLI can format for the terminal or emit as JSON.
 
+import { openSync, fstatSync, readSync, closeSync } from "node:fs";
+
+import tensorFiles from "../../../src/tensor-files.js";
 import webmcp from "../../../src/webmcp.js";
 
-const { listFormats, encodeNumber, decodeBits, convertFormat, getFormatInfo } = webmcp;
+const {
+    listFormats,
+    encodeNumber,
+    decodeBits,
+    convertFormat,
+    getFormatInfo,
+    quantizeMX,
+    calculate,
+    dotProduct,
+    nextValue,
+    getUlp,
+    ulpDistance,
+} = webmcp;
+const { readTensor } = tensorFiles;
 
 /**
  * Unwrap the MCP-style text envelope into a plain JavaScript object.
@@ -30,30 +46,53 @@ export function runList() {
 
 /**
  * Encode a decimal/keyword value into a format.
- * @param {{value: string, format: string|object, roundingMode?: string}} params
+ * @param {{value: string, format: string|object, roundingMode?: string, flushSubnormals?: boolean,
+ *          tininess?: string, overflow?: string, seed?: number}} params
  * @returns {object}
  */
-export function runEncode({ value, format, roundingMode }) {
-    return unwrap(encodeNumber({ value, format, roundingMode }));
+export function runEncode({ value, format, roundingMode, flushSubnormals, tininess, overflow, seed }) {
+    return unwrap(encodeNumber({ value, format, roundingMode, flushSubnormals, tininess, overflow, seed }));
 }
 
 /**
  * Decode a binary or hex bit-pattern in a given format.
- * @param {{bits: string, format: string|object}} params
+ * @param {{bits: string, format: string|object, subnormalsAreZero?: boolean}} params
  * @returns {object}
  */
-export function runDecode({ bits, format }) {
-    return unwrap(decodeBits({ bits, format }));
+export function runDecode({ bits, format, subnormalsAreZero }) {
+    return unwrap(decodeBits({ bits, format, subnormalsAreZero }));
 }
 
 /**
  * Convert a value from one format to another.
- * @param {{value: string, from: string|object, to: string|object, roundingMode?: string}} params
+ * @param {{value: string, from: string|object, to: string|object, roundingMode?: string,
+ *          flushSubnormals?: boolean, subnormalsAreZero?: boolean, tininess?: string, overflow?: string,
+ *          seed?: number}} params
  * @returns {object}
  */
-export function runConvert({ value, from, to, roundingMode }) {
+export function runConvert({
+    value,
+    from,
+    to,
+    roundingMode,
+    flushSubnormals,
+    subnormalsAreZero,
+    tininess,
+    overflow,
+    seed,
+}) {
     return unwrap(
-        convertFormat({ value, inputFormat: from, outputFormat: to, roundingMode })
+        convertFormat({
+            value,
+            inputFormat: from,
+            outputFormat: to,
+            roundingMode,
+            flushSubnormals,
+            subnormalsAreZero,
+            tininess,
+            overflow,
+            seed,
+        })
     );
 }
 
@@ -65,3 +104,128 @@ export function runConvert({ value, from, to, roundingMode }) {
 export function runInfo({ format }) {
     return unwrap(getFormatInfo({ format }));
 }
+
+/**
+ * Evaluate one arithmetic operation, correctly rounded in a floating-point format.
+ * @param {{expression: string, format: string|object, roundingMode?: string, flushSubnormals?: boolean,
+ *          subnormalsAreZero?: boolean, tininess?: string, seed?: number}} params
+ * @returns {object}
+ */
+export function runCalculate({ expression, format, roundingMode, flushSubnormals, subnormalsAreZero, tininess, seed }) {
+    return unwrap(
+        calculate({ expression, format, roundingMode, flushSubnormals, subnormalsAreZero, tininess, seed })
+    );
+}
+
+/**
+ * Simulate a mixed-precision dot product of two vectors.
+ * @param {{a: string[], b: string[], input: string|object, product?: string|object,
+ *          accumulator: string|object, order?: string, blockSize?: number, roundingMode?: string,
+ *          flushSubnormals?: boolean, subnormalsAreZero?: boolean, tininess?: string, overflow?: string,
+ *          seed?: number}} params
+ * @returns {object}
+ */
+export function runDotProduct({
+    a,
+    b,
+    input,
+    product,
+    accumulator,
+    order,
+    blockSize,
+    roundingMode,
+    flushSubnormals,
+    subnormalsAreZero,
+    tininess,
+    overflow,
+    seed,
+}) {
+    return unwrap(
+        dotProduct({
+            a,
+            b,
+            inputFormat: input,
+            productFormat: product,
+            accumulatorFormat: accumulator,
+            order,
+            blockSize,
+            roundingMode,
+            flushSubnormals,
+            subnormalsAreZero,
+            tininess,
+            overflow,
+            seed,
+        })
+    );
+}
+
+/**
+ * Quantize a vector of values into an MX block format.
+ * @param {{values: string[], format: string|object, roundingMode?: string, seed?: number}} params
+ * @returns {object}
+ */
+export function runQuantizeMX({ values, format, roundingMode, seed }) {
+    return unwrap(quantizeMX({ values, format, roundingMode, seed }));
+}
+
+/**
+ * List the representable values above or below a value.
+ * @param {{value: string, format: string|object, down?: boolean, count?: number, roundingMode?: string}} params
+ * @returns {object}
+ */
+export function runNext({ value, format, down, count, roundingMode }) {
+    return unwrap(nextValue({ value, format, direction: down ? "down" : "up", count, roundingMode }));
+}
+
+/**
+ * Get the ulp of a value and its neighbouring encodings.
+ * @param {{value: string, format: string|object, roundingMode?: string}} params
+ * @returns {object}
+ */
+export function runUlp({ value, format, roundingMode }) {
+    return unwrap(getUlp({ value, format, roundingMode }));
+}
+
+/**
+ * Count the representable steps between two values.
+ * @param {{a: string, b: string, format: string|object, roundingMode?: string}} params
+ * @returns {object}
+ */
+export function runUlpDistance({ a, b, format, roundingMode }) {
+    return unwrap(ulpDistance({ a, b, format, roundingMode }));
+}
+
+/**
+ * Open a file as a { size, read } byte source for readTensor, which reads
+ * only the bytes it needs. Call `close` when done.
+ * @param {string} file
+ * @returns {{size: number, read: (position: number, length: number) => Uint8Array, close: () => void}}
+ */
+export function openByteSource(file) {
+    const fd = openSync(file, "r");
+    return {
+        size: fstatSync(fd).size,
+        read(position, length) {
+            const bytes = new Uint8Array(length);
+            const read = readSync(fd, bytes, 0, length, position);
+            return bytes.subarray(0, read);
+        },
+        close: () => closeSync(fd),
+    };
+}
+
+/**
+ * Decode elements of a raw dump, .npy or safetensors file. Only the header
+ * and the requested elements are read, so large shards need not fit in memory.
+ * @param {{file: string, format?: string|object, container?: string, tensor?: string, offset?: number,
+ *          count?: number, endianness?: string, nibbleOrder?: string, digits?: string}} params
+ * @returns {object}
+ */
+export function runDump({ file, ...params }) {
+    const data = openByteSource(file);
+    try {
+        return readTensor({ data, ...params });
+    } finally {
+        data.close();
+    }
+}
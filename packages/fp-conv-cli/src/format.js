@@ -17,11 +17,16 @@ function pad(label) {
 
 /**
  * Split a flat binary string into sign / exponent / mantissa groups for
- * floating-point formats. Integer formats are returned unchanged.
+ * floating-point formats, or integer / fraction groups for fixed-point
+ * formats. Integer formats are returned unchanged.
  * @param {object} stats
  * @returns {string}
  */
 function groupBinary(stats) {
+    if (stats.fractionBits !== undefined) {
+        const split = stats.integerBits;
+        return [stats.binary.slice(0, split), stats.binary.slice(split)].filter(Boolean).join(" ");
+    }
     if (stats.signBits === undefined) {
         return stats.binary; // integer format: no field boundaries
     }
@@ -36,23 +41,58 @@ function groupBinary(stats) {
         parts.push(bits.slice(i, i + stats.exponentBits));
         i += stats.exponentBits;
     }
-    parts.push(bits.slice(i));
+    if (stats.mantissaBits) {
+        parts.push(bits.slice(i));
+    }
     return parts.join(" ");
 }
 
+/**
+ * Pick the decimal form of a value for the selected digits mode.
+ * @param {object} stats
+ * @param {"number"|"shortest"|"exact"} [digits]
+ * @returns {string|number}
+ */
+function displayValue(stats, digits) {
+    if (digits === "shortest") return stats.shortestValue;
+    // Integers print exactly; 64-bit values would lose digits as a double
+    const isInteger = stats.signBits === undefined && stats.fractionBits === undefined;
+    if (digits === "exact" || isInteger) return stats.exactValue;
+    return stats.actualValue;
+}
+
 /**
  * Render an encoded/decoded value's statistics block.
  * @param {object} stats
+ * @param {{digits?: "number"|"shortest"|"exact"}} [options]
  * @returns {string}
  */
-export function renderStats(stats) {
+export function renderStats(stats, options = {}) {
     const lines = [];
-    lines.push(`${pad("Value")}${stats.actualValue}`);
+    lines.push(`${pad("Value")}${displayValue(stats, options.digits)}`);
     lines.push(`${pad("Type")}${stats.type}`);
+    if (stats.exact !== undefined) {
+        lines.push(`${pad("Exact")}${stats.exact ? "yes" : "no (rounded)"}`);
+    }
+    if (stats.flags !== undefined) {
+        const raised = Object.keys(stats.flags).filter((name) => stats.flags[name]);
+        lines.push(`${pad("Flags")}${raised.length ? raised.join(", ") : "none"}`);
+    }
+    if (stats.roundUpProbability !== undefined) {
+        lines.push(`${pad("Round up")}p = ${stats.roundUpProbability} (stochastic)`);
+    }
+    if (stats.flushed) {
+        lines.push(`${pad("Flushed")}yes (subnormal replaced by zero)`);
+    }
     lines.push(`${pad("Binary")}${groupBinary(stats)}`);
     lines.push(`${pad("Hex")}${stats.hex}`);
 
-    if (stats.signBits === undefined) {
+    if (stats.fractionBits !== undefined) {
+        const signedness = stats.signed ? "signed" : "unsigned";
+        const q = `${stats.signed ? "" : "U"}Q${stats.integerBits}.${stats.fractionBits}`;
+        lines.push(`${pad("Raw")}${stats.rawValue}`);
+        lines.push(`${pad("Bits")}${stats.totalBits} total (${q}, ${signedness}, ${stats.overflow})`);
+    } else if (stats.signBits === undefined) {
         // Integer format
         const signedness = stats.signed ? "signed" : "unsigned";
         lines.push(`${pad("Bits")}${stats.totalBits} total (${signedness})`);
@@ -75,15 +115,16 @@ export function renderStats(stats) {
  * Render a format-to-format conversion result.
  * @param {object} result - { input, output, precisionLoss }
  * @param {{from: string, to: string}} labels
+ * @param {{digits?: "number"|"shortest"|"exact"}} [options]
  * @returns {string}
  */
-export function renderConvert(result, labels) {
+export function renderConvert(result, labels, options = {}) {
     const sections = [];
     sections.push(`Input (${labels.from}):`);
-    sections.push(indent(renderStats(result.input)));
+    sections.push(indent(renderStats(result.input, options)));
     sections.push("");
     sections.push(`Output (${labels.to}):`);
-    sections.push(indent(renderStats(result.output)));
+    sections.push(indent(renderStats(result.output, options)));
     sections.push("");
 
     const loss = result.precisionLoss;
@@ -95,6 +136,106 @@ export function renderConvert(result, labels) {
     return sections.join("\n");
 }
 
+/**
+ * Render an arithmetic operation: each operand as rounded into the format,
+ * then the result.
+ * @param {object} result - { operation, operands, result }
+ * @param {{digits?: "number"|"shortest"|"exact"}} [options]
+ * @returns {string}
+ */
+export function renderCalculate(result, options = {}) {
+    const sections = [`${pad("Operation")}${result.operation}`, ""];
+    result.operands.forEach((operand, index) => {
+        sections.push(`Operand ${index + 1} (${operand.input}):`);
+        sections.push(indent(renderStats(operand, options)));
+        sections.push("");
+    });
+    sections.push("Result:");
+    sections.push(indent(renderStats(result.result, options)));
+    return sections.join("\n");
+}
+
+/**
+ * Render a dot product: how it was summed, the accumulated result, and its
+ * error against the exact dot product of the encoded inputs.
+ * @param {object} result - { length, order, blockSize?, productsExact, result, flags, inputsExact, reference, error }
+ * @param {{digits?: "number"|"shortest"|"exact"}} [options]
+ * @returns {string}
+ */
+export function renderDotProduct(result, options = {}) {
+    const raised = Object.keys(result.flags).filter((name) => result.flags[name]);
+    const order = result.blockSize === undefined ? result.order : `${result.order} (blocks of ${result.blockSize})`;
+    const lines = [
+        `${pad("Order")}${order}`,
+        `${pad("Length")}${result.length}`,
+        `${pad("Products")}${result.productsExact ? "exact" : "rounded"}`,
+        `${pad("Inputs")}${result.inputsExact ? "exact" : "rounded into the input format"}`,
+        `${pad("Flags")}${raised.length ? raised.join(", ") : "none"}`,
+        "",
+        "Result:",
+        indent(renderStats(result.result, options)),
+        "",
+        `${pad("Reference")}${options.digits === "exact" ? result.reference.exactValue : result.reference.value}`,
+        `${pad("Error")}${result.error.absolute} (relative ${result.error.relative})`,
+    ];
+    return lines.join("\n");
+}
+
+/**
+ * One-line summary of an encoding: its value and hex bits.
+ * @param {object} stats
+ * @param {"number"|"shortest"|"exact"} [digits]
+ * @returns {string}
+ */
+function valueWithHex(stats, digits) {
+    return `${displayValue(stats, digits)} (${stats.hex})`;
+}
+
+/**
+ * Render the values stepped to from a start value, one per line.
+ * @param {object} result - { start, direction, values }
+ * @param {{digits?: "number"|"shortest"|"exact"}} [options]
+ * @returns {string}
+ */
+export function renderNext(result, options = {}) {
+    const sign = result.direction === "up" ? "+" : "-";
+    const lines = [`${pad("Start")}${valueWithHex(result.start, options.digits)}`];
+    result.values.forEach((stats, index) => {
+        lines.push(`${pad(`${sign}${index + 1}`)}${valueWithHex(stats, options.digits)}`);
+    });
+    return lines.join("\n");
+}
+
+/**
+ * Render a value's ulp and its neighbours.
+ * @param {object} result - { value, ulp, nextUp, nextDown }
+ * @param {{digits?: "number"|"shortest"|"exact"}} [options]
+ * @returns {string}
+ */
+export function renderUlp(result, options = {}) {
+    return [
+        renderStats(result.value, options),
+        "",
+        `${pad("ULP")}${result.ulp}`,
+        `${pad("Next up")}${valueWithHex(result.nextUp, options.digits)}`,
+        `${pad("Next down")}${valueWithHex(result.nextDown, options.digits)}`,
+    ].join("\n");
+}
+
+/**
+ * Render the distance in ulps between two values.
+ * @param {object} result - { a, b, distance }
+ * @param {{digits?: "number"|"shortest"|"exact"}} [options]
+ * @returns {string}
+ */
+export function renderUlpDistance(result, options = {}) {
+    return [
+        `${pad("A")}${valueWithHex(result.a, options.digits)}`,
+        `${pad("B")}${valueWithHex(result.b, options.digits)}`,
+        `${pad("Distance")}${result.distance} ulp${result.distance === 1 ? "" : "s"}`,
+    ].join("\n");
+}
+
 /**
  * Render detailed format information.
  * @param {object} info
@@ -110,6 +251,12 @@ export function renderInfo(info, labels) {
     if (info.type === "integer") {
         lines.push(`Signed:    ${info.signed}`);
         lines.push(`Range:     ${info.minValue} .. ${info.maxValue}`);
+    } else if (info.type === "fixed-point") {
+        lines.push(`Layout:    ${info.integerBits} integer, ${info.fractionBits} fraction`);
+        lines.push(`Signed:    ${info.signed}`);
+        lines.push(`Overflow:  ${info.overflow}`);
+        lines.push(`Range:     ${info.minValue} .. ${info.maxValue}`);
+        lines.push(`Step:      ${info.resolution}`);
     } else {
         lines.push(
             `Layout:    ${info.signBits} sign, ${info.exponentBits} exponent, ` +
@@ -117,6 +264,10 @@ export function renderInfo(info, labels) {
         );
         lines.push(`Infinity:  ${info.hasInfinity}`);
         lines.push(`NaN:       ${info.hasNaN}`);
+        lines.push(`Zero:      ${info.hasZero}`);
+        lines.push(`Neg zero:  ${info.hasNegativeZero}`);
+        lines.push(`Subnormal: ${info.specialValues.subnormals}`);
+        lines.push(`Overflow:  ${info.specialValues.overflow}`);
         if (info.maxNormal !== undefined) {
             lines.push(`Max normal:    ${info.maxNormal}`);
             lines.push(`Min normal:    ${info.minNormal}`);
@@ -151,9 +302,14 @@ export function renderList(formats) {
     for (const [category, items] of byCategory) {
         lines.push(`${category}:`);
         for (const f of items) {
-            const layout = f.isInteger
-                ? `${f.bits}-bit ${f.signed ? "signed" : "unsigned"}`
-                : `${f.totalBits}-bit (${f.exponentBits}e${f.mantissaBits}m)`;
+            let layout;
+            if (f.isInteger) {
+                layout = `${f.bits}-bit ${f.signed ? "signed" : "unsigned"}`;
+            } else if (f.isFixedPoint) {
+                layout = `${f.totalBits}-bit ${f.signed ? "" : "U"}Q${f.integerBits}.${f.fractionBits}`;
+            } else {
+                layout = `${f.totalBits}-bit (${f.exponentBits}e${f.mantissaBits}m)`;
+            }
             lines.push(`  ${f.key.padEnd(11, " ")}${f.name} \u2014 ${layout}`);
         }
         lines.push("");
@@ -162,6 +318,177 @@ export function renderList(formats) {
     return lines.join("\n").trimEnd();
 }
 
+/**
+ * Render MX block quantization: each block's shared scale, then one row per
+ * element with its bits, dequantized value and error.
+ * @param {object} result
+ * @returns {string}
+ */
+export function renderMX(result) {
+    const lines = [];
+    lines.push(`${pad("Format")}${result.format}`);
+    lines.push(`${pad("Blocks")}${result.blockSize} x ${result.elementBits}-bit elements, E8M0 scale`);
+    result.blocks.forEach((block, index) => {
+        const { scale } = block;
+        const scaleText = scale.exponent === null ? "NaN" : `2^${scale.exponent}`;
+        lines.push("");
+        lines.push(`Block ${index}: scale ${scale.hex} = ${scaleText}`);
+        const rows = block.elements.map((e) => [String(e.input), e.hex, String(e.value), String(e.error)]);
+        const header = ["Input", "Bits", "Value", "Error"];
+        const widths = header.map((h, col) => Math.max(h.length, ...rows.map((r) => r[col].length)));
+        for (const row of [header, ...rows]) {
+            lines.push(`  ${row.map((cell, col) => cell.padEnd(widths[col], " ")).join("  ").trimEnd()}`);
+        }
+    });
+    lines.push("");
+    lines.push(`${pad("Max error")}${result.maxAbsError}`);
+    return lines.join("\n");
+}
+
+/**
+ * Render a tensor dump: where the data came from, then one row per element
+ * with its index, bits, value and class.
+ * @param {object} result
+ * @returns {string}
+ */
+export function renderDump(result) {
+    const lines = [];
+    if (result.tensor) {
+        const name = result.tensor.name === undefined ? "" : `${result.tensor.name}: `;
+        const shape = `[${result.tensor.shape.join(", ")}]`;
+        lines.push(`${pad("Tensor")}${name}${result.tensor.dtype} ${shape} (${result.container})`);
+    }
+    if (result.tensors && result.tensors.length > 1) {
+        lines.push(`${pad("Tensors")}${result.tensors.map((t) => t.name).join(", ")}`);
+    }
+    const format = typeof result.format === "string" ? result.format : "custom";
+    const packing = result.nibbleOrder ? `, ${result.nibbleOrder}` : "";
+    lines.push(`${pad("Format")}${format} (${result.endianness}-endian${packing})`);
+    const last = result.offset + result.elements.length - 1;
+    const range = result.elements.length ? `${result.offset}-${last} of ` : "none of ";
+    lines.push(`${pad("Elements")}${range}${result.totalElements}`);
+
+    if (result.elements.length) {
+        const rows = result.elements.map((e) => [String(e.index), e.hex, String(e.value), e.type]);
+        const header = ["Index", "Bits", "Value", "Type"];
+        const widths = header.map((h, col) => Math.max(h.length, ...rows.map((r) => r[col].length)));
+        lines.push("");
+        for (const row of [header, ...rows]) {
+            lines.push(`  ${row.map((cell, col) => cell.padEnd(widths[col], " ")).join("  ").trimEnd()}`);
+        }
+    }
+    return lines.join("\n");
+}
+
+/**
+ * Render the summary of a pack: the format and layout written, the element
+ * and byte counts, and how often each exception flag was raised.
+ * @param {object} summary
+ * @returns {string}
+ */
+export function renderPack(summary) {
+    const format = typeof summary.format === "string" ? summary.format : "custom";
+    const layout = [summary.dtype ? `npy ${summary.dtype}` : "raw", `${summary.endianness}-endian`];
+    if (summary.nibbleOrder) layout.push(summary.nibbleOrder);
+    if (summary.alignment > 1) layout.push(`${summary.alignment}-byte aligned`);
+    const flags = Object.entries(summary.flags).map(([name, count]) => `${name} ${count}`);
+    const bytes = summary.byteLength === 1 ? "byte" : "bytes";
+    return [
+        `${pad("Packed")}${summary.count} elements of ${format} into ${summary.byteLength} ${bytes}`,
+        `${pad("Layout")}${layout.join(", ")}`,
+        `${pad("Flags")}${flags.length ? flags.join(", ") : "none"}`,
+    ].join("\n");
+}
+
+/**
+ * Round a statistic to six significant digits; "Infinity" and "NaN" pass through.
+ * @param {number|string} value
+ * @returns {string}
+ */
+function significant(value) {
+    return typeof value === "number" ? String(Number(value.toPrecision(6))) : value;
+}
+
+/**
+ * Render quantization error statistics: the error measures, the exceptional
+ * values counted, then the ULP-error histogram.
+ * @param {object} result
+ * @returns {string}
+ */
+export function renderAnalysis(result) {
+    const format = typeof result.format === "string" ? result.format : "custom";
+    const sqnr = typeof result.sqnrDb === "number" ? `${result.sqnrDb.toFixed(2)} dB` : `${result.sqnrDb} dB`;
+    const percent = (fraction) => `${significant(fraction * 100)}%`;
+    const lines = [
+        `${pad("Format")}${format}`,
+        `${pad("Values")}${result.count} (${result.finite} finite)`,
+        `${pad("MSE")}${significant(result.mse)}`,
+        `${pad("SQNR")}${sqnr}`,
+        `${pad("Bias")}${significant(result.meanError)} (mean error)`,
+    ];
+    if (result.worst) {
+        lines.push(`${pad("Max error")}${significant(result.maxAbsError)} (${result.worst.input} -> ${result.worst.value})`);
+    }
+    lines.push(
+        `${pad("Max rel")}${percent(result.maxRelError)}`,
+        `${pad("Overflow")}${result.overflows}`,
+        `${pad("Underflow")}${result.underflows}`,
+        `${pad("Flushed")}${result.flushed}`,
+        `${pad("Invalid")}${result.invalid}`,
+        `${pad("Subnormal")}${result.subnormals} (${percent(result.subnormalFraction)})`,
+        "",
+        "  ULP error  Count"
+    );
+    let previous;
+    for (const { upTo, count } of result.ulpHistogram) {
+        const bucket = upTo === 0 ? "0" : upTo === "Infinity" ? `> ${previous}` : `<= ${upTo}`;
+        lines.push(`  ${bucket.padEnd(9, " ")}  ${count}`);
+        previous = upTo;
+    }
+    return lines.join("\n");
+}
+
+/**
+ * Render a scaling search: the array and how it was scaled, then one row per
+ * recipe with its scale (the range of scales when there are several), error
+ * and clipped values.
+ * @param {object} result
+ * @returns {string}
+ */
+export function renderScaling(result) {
+    const format = typeof result.format === "string" ? result.format : "custom";
+    const channels = result.recipes[0].scales.length;
+    const scaling = [result.granularity === "tensor" ? "per tensor" : `per ${result.granularity} (${channels} scales)`];
+    if (result.powerOfTwo) scaling.push("powers of two");
+    const lines = [
+        `${pad("Format")}${format}`,
+        `${pad("Shape")}${result.shape.join(" x ")}`,
+        `${pad("Scaling")}${scaling.join(", ")}`,
+    ];
+    if (result.best) lines.push(`${pad("Best")}${result.best} (least MSE)`);
+
+    const rows = result.recipes.map(({ method, scales, stats }) => {
+        const low = Math.min(...scales);
+        const high = Math.max(...scales);
+        const sqnr = typeof stats.sqnrDb === "number" ? stats.sqnrDb.toFixed(2) : stats.sqnrDb;
+        return [
+            method === "percentile" ? `percentile ${result.percentile}` : method,
+            low === high ? significant(low) : `${significant(low)} .. ${significant(high)}`,
+            significant(stats.mse),
+            `${sqnr} dB`,
+            significant(stats.maxAbsError),
+            String(stats.overflows),
+        ];
+    });
+    const header = ["Method", "Scale", "MSE", "SQNR", "Max error", "Clipped"];
+    const widths = header.map((h, col) => Math.max(h.length, ...rows.map((r) => r[col].length)));
+    lines.push("");
+    for (const row of [header, ...rows]) {
+        lines.push(`  ${row.map((cell, col) => cell.padEnd(widths[col], " ")).join("  ").trimEnd()}`);
+    }
+    return lines.join("\n");
+}
+
 /**
  * Indent a multi-line block by two spaces.
  * @param {string} text
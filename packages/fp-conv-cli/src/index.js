@@ -5,8 +5,44 @@
 
 import { parseArgs as nodeParseArgs } from "node:util";
 
-import { runEncode, runDecode, runConvert, runInfo, runList } from "./commands.js";
-import { renderStats, renderConvert, renderInfo, renderList } from "./format.js";
+import {
+    runEncode,
+    runDecode,
+    runConvert,
+    runInfo,
+    runList,
+    runQuantizeMX,
+    runCalculate,
+    runDotProduct,
+    runNext,
+    runUlp,
+    runUlpDistance,
+    runDump,
+} from "./commands.js";
+import {
+    renderStats,
+    renderConvert,
+    renderInfo,
+    renderList,
+    renderMX,
+    renderCalculate,
+    renderDotProduct,
+    renderNext,
+    renderUlp,
+    renderUlpDistance,
+    renderDump,
+    renderPack,
+    renderAnalysis,
+    renderScaling,
+} from "./format.js";
+import { runBatch, BATCH_OUTPUTS } from "./batch.js";
+import { runPack } from "./pack.js";
+import { runAnalyze } from "./analyze.js";
+import { runScale } from "./scale.js";
+import { runTable, TABLE_OUTPUTS } from "./table.js";
+import codegen from "../../../src/codegen.js";
+
+const { generateCode, CODE_LANGUAGES } = codegen;
 
 // esbuild (see esbuild.config.mjs) replaces the __CLI_VERSION__ token with the
 // package.json version at build time, keeping package.json as the single source
@@ -29,34 +65,190 @@ Commands:
   convert <value>    Convert a value from one format to another.
   info <format>      Show range, bias, and special-value details for a format.
   list               List all available preset formats.
+  mx <values...>     Quantize values into an MX block format (32 elements
+                     sharing an E8M0 scale). Values may be comma-separated.
+  calc <expression>  Evaluate a + b, a - b, a * b, a / b, sqrt(a) or
+                     fma(a, b, c), rounded once in a floating-point format.
+  dot <a> <b>        Dot product of two comma-separated vectors, with products
+                     and partial sums rounded as mixed-precision hardware does.
+  next <value>       List the representable values above (or, with --down,
+                     below) a value.
+  ulp <value> [<b>]  Show the ulp of a value and its neighbours, or with two
+                     values, the number of ulps between them.
+  dump <file>        Decode the elements of a raw binary dump, NumPy .npy or
+                     safetensors file.
+  pack <in> [<out>]  Quantize the values of a file (one per line, a CSV
+                     column, a JSON array or a .npy array; - for stdin) into
+                     a format and write them as packed bytes to <out>, a raw
+                     or .npy file, or to stdout.
+  analyze <in>       Quantize the values of a file, read as pack reads them,
+                     into a format and report MSE, SQNR, maximum errors, a
+                     histogram of errors in ulps and counts of overflows,
+                     underflows, flushes and subnormals.
+  scale <in>         Search for the scale factors that quantize an array into
+                     a format (amax, percentile, least MSE), per tensor, row
+                     or column, and compare their error. Reads a .npy array,
+                     a JSON array or text with one row of values per line.
+  table              List every encoding of a format of at most 16 bits with
+                     its value, class and ulp, as CSV, JSON, a Markdown table
+                     or a C header (--out).
+  codegen            Write a format's constants and a reference cast from and
+                     to a double, rounding in one mode, as a C header, a
+                     SystemVerilog package or a Python module.
+
+encode, decode and convert also take --batch <file> in place of the value:
+every value (or bit-pattern, for decode) in the file is converted and written
+as one CSV or JSON Lines row with the bits, decoded value and error. Files may
+hold one value per line, a CSV column or a JSON array, and are streamed.
 
 Options:
-  -f, --format <fmt>   Format preset key (e.g. fp32, int8) or a JSON object
-                       string for a custom format. Used by encode/decode.
+  -f, --format <fmt>   Format preset key (e.g. fp32, int8, q15), a Qm.n string
+                       (e.g. q4.12, uq8.8) or a JSON object string for a
+                       custom format. Used by encode/decode. For mx: an MX
+                       preset (mxfp8_e5m2, mxfp8_e4m3, mxfp6_e3m2, mxfp6_e2m3,
+                       mxfp4_e2m1, mxint8) or {"element":..., "blockSize":...}.
       --from <fmt>     Source format for convert.
       --to <fmt>       Target format for convert.
+      --input <fmt>    Format of the dot vectors' elements.
+      --product <fmt>  Format each dot product term is rounded into (default:
+                       exact, as in a fused multiply-add).
+      --accumulator <fmt>
+                       Format every dot partial sum is rounded into.
+      --order <o>      Dot summation order: sequential (default), pairwise or
+                       blocked.
+      --block-size <n> Products per block for --order blocked (default 32).
+      --count <n>      Number of values next lists (default 1, at most 1024),
+                       or elements dump shows (default 64).
+      --down           Make next step toward -infinity.
+      --batch <file>   Read values from a file, or - for stdin (encode,
+                       decode, convert).
+      --column <c>     CSV column to read in batch mode or by pack and analyze,
+                       by header name or by position counting from 1
+                       (default 1).
+      --out <fmt>      Batch output: csv (default) or jsonl. Table output:
+                       csv (default), json, markdown or c-header.
+      --offset <n>     First element dump shows, counting from 0 (default 0).
+      --endianness <e> Byte order of dumped or packed elements: little
+                       (default, or the .npy file's own) or big.
+      --nibble-order <o>
+                       Which end of a byte holds the first of the elements
+                       packed into it (FP4, FP6, INT4): lowFirst (default) or
+                       highFirst.
+      --container <c>  How dump reads the file: auto (default, by its magic),
+                       raw, npy or safetensors. What pack writes: raw or npy
+                       (default: npy for a .npy output file, else raw).
+      --alignment <n>  Pad raw pack output with zero bytes to a multiple of
+                       n bytes (default 1).
+      --tensor <name>  Tensor of a safetensors file to dump (default: the
+                       first).
+      --granularity <g>
+                       One scale per tensor (default), row or column (scale).
+      --method <m>     Scaling method to run: amax, percentile or mse
+                       (default: all three).
+      --percentile <p> Percentile of the magnitudes mapped to the format's
+                       largest value by the percentile method (default 99.9).
+      --power-of-two   Restrict scales to powers of two (scale).
+      --language <l>   Language codegen writes: c (default), systemverilog or
+                       python.
+      --name <id>      Identifier the generated code is named with (default:
+                       the format's preset key, or custom).
   -r, --rounding <m>   Rounding mode: tiesToEven (default), tiesToAway,
-                       towardZero, towardPositive, towardNegative.
+                       towardZero, towardPositive, towardNegative, toOdd,
+                       tiesToZero, tiesToOdd, stochastic.
+      --seed <n>       Integer seed for stochastic rounding, so runs are
+                       reproducible.
+      --ftz            Flush-to-zero: subnormal results become zero (encode,
+                       convert, calc, dot, pack, analyze, scale).
+      --daz            Denormals-are-zero: subnormal inputs read as zero
+                       (decode, convert, calc, dot).
+      --tininess <m>   When the underflow flag detects a tiny result:
+                       afterRounding (default) or beforeRounding.
+      --overflow <m>   Out-of-range integer and fixed-point results: saturate,
+                       wrap (keep the low bits) or error. Defaults to the
+                       format's own policy (encode, convert, dot, pack,
+                       analyze).
+      --digits <mode>  How values are printed: number (default, the nearest
+                       JS double), shortest (fewest digits that round-trip in
+                       the format), or exact (full decimal expansion).
       --json           Emit machine-readable JSON instead of formatted text.
   -h, --help           Show this help.
   -v, --version        Show version.
 
 Values accept a number, hex (e.g. 0xFF), or keyword (infinity, -infinity, nan).
+Operands of calc also accept powers such as 2^-10.
 Bit-patterns accept a binary string (e.g. 0100000) or hex (e.g. 0x40).
 
 Examples:
   fp-conv encode 3.14 --format fp32
   fp-conv decode 0x4048 --format fp16
+  fp-conv decode 0x3FB999999999999A --format fp64 --digits exact
   fp-conv convert 3.14 --from fp32 --to fp16
+  fp-conv convert 1e-6 --from fp32 --to fp16 --ftz
+  fp-conv encode 0.1 --format bf16 --rounding stochastic --seed 42
   fp-conv info bf16
   fp-conv list
-  fp-conv encode 1.5 --format '{"signBits":1,"exponentBits":8,"mantissaBits":7}'`;
+  fp-conv encode 1.5 --format '{"signBits":1,"exponentBits":8,"mantissaBits":7}'
+  fp-conv convert 300 --from fp32 --to uint8 --overflow wrap
+  fp-conv encode 200 --format '{"integerBits":8,"fractionBits":8,"overflow":"wrap"}'
+  fp-conv mx 0.1,-2.5,1000 --format mxfp8_e4m3
+  fp-conv calc "1.5 + 2^-10" --format fp16
+  fp-conv calc "fma(0.1, 10, -1)" --format fp32 --rounding towardZero
+  fp-conv dot 0.1,0.2,0.3 4,5,6 --input fp8_e4m3 --accumulator fp16
+  fp-conv dot 1,2,3 4,5,6 --input int8 --product int16 --accumulator int32
+  fp-conv next 1.0 --format bf16 --count 5
+  fp-conv ulp 1 2 --format bf16
+  fp-conv encode --batch values.txt --format bf16
+  fp-conv convert --batch data.csv --column x --from fp32 --to fp16 --out jsonl
+  cat patterns.txt | fp-conv decode --batch - --format fp8_e4m3
+  fp-conv dump weights.bin --format fp8_e4m3 --offset 1024 --count 16
+  fp-conv dump model.safetensors --tensor lm_head.weight
+  fp-conv dump packed.bin --format fp4_e2m1 --nibble-order highFirst
+  fp-conv pack weights.npy weights_fp4.bin --format fp4_e2m1 --alignment 64
+  fp-conv pack data.csv --column x --format fp16 --endianness big > vec.bin
+  fp-conv pack values.json values_fp16.npy --format fp16
+  fp-conv analyze activations.npy --format fp8_e4m3
+  fp-conv analyze grads.txt --format bf16 --rounding stochastic --seed 1
+  fp-conv scale weights.npy --format fp8_e4m3 --granularity row
+  fp-conv scale activations.txt --format int8 --method percentile --percentile 99.99
+  fp-conv table --format fp8_e5m2 > fp8_e5m2.csv
+  fp-conv table --format fp8_e4m3 --out c-header > fp8_e4m3_table.h
+  fp-conv codegen --format fp8_e4m3 > fp8_e4m3.h
+  fp-conv codegen --format bf16 --language systemverilog --rounding towardZero
+  fp-conv codegen --format q4.12 --language python --name coeff > coeff.py`;
 
 const OPTIONS = {
     format: { type: "string", short: "f" },
     from: { type: "string" },
     to: { type: "string" },
+    input: { type: "string" },
+    product: { type: "string" },
+    accumulator: { type: "string" },
+    order: { type: "string" },
+    "block-size": { type: "string" },
+    count: { type: "string" },
+    down: { type: "boolean", default: false },
+    batch: { type: "string" },
+    column: { type: "string" },
+    out: { type: "string" },
+    offset: { type: "string" },
+    endianness: { type: "string" },
+    "nibble-order": { type: "string" },
+    container: { type: "string" },
+    tensor: { type: "string" },
+    alignment: { type: "string" },
+    granularity: { type: "string" },
+    method: { type: "string" },
+    percentile: { type: "string" },
+    "power-of-two": { type: "boolean", default: false },
+    language: { type: "string" },
+    name: { type: "string" },
     rounding: { type: "string", short: "r" },
+    seed: { type: "string" },
+    ftz: { type: "boolean", default: false },
+    daz: { type: "boolean", default: false },
+    tininess: { type: "string" },
+    overflow: { type: "string" },
+    digits: { type: "string", default: "number" },
     json: { type: "boolean", default: false },
     help: { type: "boolean", short: "h", default: false },
     version: { type: "boolean", short: "v", default: false },
@@ -122,6 +314,147 @@ function requireOption(value, flag) {
     return value;
 }
 
+const DIGITS_MODES = ["number", "shortest", "exact"];
+
+/**
+ * Validate the --digits option.
+ * @param {string} mode
+ * @returns {"number"|"shortest"|"exact"}
+ */
+function parseDigitsMode(mode) {
+    if (!DIGITS_MODES.includes(mode)) {
+        throw new Error(`Invalid --digits mode: ${mode} (expected ${DIGITS_MODES.join(", ")})`);
+    }
+    return mode;
+}
+
+/**
+ * Validate the --seed option.
+ * @param {string|undefined} seed
+ * @returns {number|undefined}
+ */
+function parseSeed(seed) {
+    if (seed === undefined) return undefined;
+    if (!/^-?\d+$/.test(seed.trim())) {
+        throw new Error(`Invalid --seed: ${seed} (expected an integer)`);
+    }
+    return Number(seed);
+}
+
+/**
+ * Validate the --block-size option.
+ * @param {string|undefined} blockSize
+ * @returns {number|undefined}
+ */
+function parseBlockSize(blockSize) {
+    if (blockSize === undefined) return undefined;
+    if (!/^\d+$/.test(blockSize.trim()) || Number(blockSize) < 1) {
+        throw new Error(`Invalid --block-size: ${blockSize} (expected a positive integer)`);
+    }
+    return Number(blockSize);
+}
+
+/**
+ * Validate the --count option.
+ * @param {string|undefined} count
+ * @returns {number|undefined}
+ */
+function parseCount(count) {
+    if (count === undefined) return undefined;
+    if (!/^\d+$/.test(count.trim()) || Number(count) < 1) {
+        throw new Error(`Invalid --count: ${count} (expected a positive integer)`);
+    }
+    return Number(count);
+}
+
+/**
+ * Reject options that only apply to batch mode, and a value given alongside
+ * --batch.
+ * @param {string[]} positionals
+ * @param {object} values
+ */
+function checkBatchOptions(positionals, values) {
+    if (values.batch === undefined) {
+        for (const flag of ["column", "out"]) {
+            if (values[flag] !== undefined) {
+                throw new Error(`--${flag} requires --batch`);
+            }
+        }
+    } else if (positionals.length > 1) {
+        throw new Error("Give either a value or --batch, not both");
+    }
+}
+
+/**
+ * Run encode, decode or convert over the values of a --batch file.
+ * @param {"encode"|"decode"|"convert"} mode
+ * @param {object} values
+ * @param {object} conversion - Formats and options for createBatchConverter.
+ * @returns {Promise<number>}
+ */
+function batch(mode, values, conversion) {
+    if (values.json) {
+        throw new Error(`--json does not apply to --batch (use --out ${BATCH_OUTPUTS.join(" or ")})`);
+    }
+    return runBatch({
+        mode,
+        source: values.batch,
+        column: values.column,
+        out: values.out,
+        digits: parseDigitsMode(values.digits),
+        ...conversion,
+    });
+}
+
+/**
+ * Validate the --offset option.
+ * @param {string|undefined} offset
+ * @returns {number|undefined}
+ */
+function parseOffset(offset) {
+    if (offset === undefined) return undefined;
+    if (!/^\d+$/.test(offset.trim())) {
+        throw new Error(`Invalid --offset: ${offset} (expected a non-negative integer)`);
+    }
+    return Number(offset);
+}
+
+/**
+ * Validate the --alignment option.
+ * @param {string|undefined} alignment
+ * @returns {number|undefined}
+ */
+function parseAlignment(alignment) {
+    if (alignment === undefined) return undefined;
+    if (!/^\d+$/.test(alignment.trim()) || Number(alignment) < 1) {
+        throw new Error(`Invalid --alignment: ${alignment} (expected a positive integer)`);
+    }
+    return Number(alignment);
+}
+
+/**
+ * Validate the --percentile option.
+ * @param {string|undefined} percentile
+ * @returns {number|undefined}
+ */
+function parsePercentile(percentile) {
+    if (percentile === undefined) return undefined;
+    const value = Number(percentile);
+    if (percentile.trim() === "" || !(value > 0 && value <= 100)) {
+        throw new Error(`Invalid --percentile: ${percentile} (expected a number above 0 and at most 100)`);
+    }
+    return value;
+}
+
+/**
+ * Split comma-separated vector arguments into their values.
+ * @param {string} arg
+ * @returns {string[]}
+ */
+function splitValues(arg) {
+    return arg.split(",").filter((v) => v.trim() !== "");
+}
+
 /**
  * Print a result either as JSON or via the supplied text renderer.
  * @param {object} data
@@ -136,33 +469,71 @@ function output(data, json, renderText) {
 /**
  * Dispatch a parsed command. Throws on user errors (handled by main).
  * @param {{command: string|undefined, positionals: string[], values: object}} parsed
+ * @returns {Promise<void>}
  */
-function dispatch({ command, positionals, values }) {
+async function dispatch({ command, positionals, values }) {
+    const renderOptions = { digits: parseDigitsMode(values.digits) };
+    if (["encode", "decode", "convert"].includes(command)) {
+        checkBatchOptions(positionals, values);
+    } else if (values.batch !== undefined) {
+        throw new Error(`--batch does not apply to ${command}`);
+    }
     switch (command) {
         case "encode": {
-            const value = requirePositional(positionals, 1, "value");
             const format = parseFormatSpec(requireOption(values.format, "--format"));
-            const data = runEncode({ value, format, roundingMode: values.rounding });
-            output(data, values.json, () => renderStats(data));
+            const options = {
+                roundingMode: values.rounding,
+                flushSubnormals: values.ftz,
+                tininess: values.tininess,
+                overflow: values.overflow,
+                seed: parseSeed(values.seed),
+            };
+            if (values.batch !== undefined) {
+                await batch("encode", values, { format, ...options });
+                break;
+            }
+            const value = requirePositional(positionals, 1, "value");
+            const data = runEncode({ value, format, ...options });
+            output(data, values.json, () => renderStats(data, renderOptions));
             break;
         }
         case "decode": {
-            const bits = requirePositional(positionals, 1, "bits");
             const format = parseFormatSpec(requireOption(values.format, "--format"));
-            const data = runDecode({ bits, format });
-            output(data, values.json, () => renderStats(data));
+            if (values.batch !== undefined) {
+                await batch("decode", values, { format, subnormalsAreZero: values.daz });
+                break;
+            }
+            const bits = requirePositional(positionals, 1, "bits");
+            const data = runDecode({ bits, format, subnormalsAreZero: values.daz });
+            output(data, values.json, () => renderStats(data, renderOptions));
             break;
         }
         case "convert": {
-            const value = requirePositional(positionals, 1, "value");
             const from = parseFormatSpec(requireOption(values.from, "--from"));
             const to = parseFormatSpec(requireOption(values.to, "--to"));
-            const data = runConvert({ value, from, to, roundingMode: values.rounding });
+            const options = {
+                roundingMode: values.rounding,
+                flushSubnormals: values.ftz,
+                subnormalsAreZero: values.daz,
+                tininess: values.tininess,
+                overflow: values.overflow,
+                seed: parseSeed(values.seed),
+            };
+            if (values.batch !== undefined) {
+                await batch("convert", values, { inputFormat: from, outputFormat: to, ...options });
+                break;
+            }
+            const value = requirePositional(positionals, 1, "value");
+            const data = runConvert({ value, from, to, ...options });
             output(data, values.json, () =>
-                renderConvert(data, {
-                    from: typeof from === "string" ? from : "custom",
-                    to: typeof to === "string" ? to : "custom",
-                })
+                renderConvert(
+                    data,
+                    {
+                        from: typeof from === "string" ? from : "custom",
+                        to: typeof to === "string" ? to : "custom",
+                    },
+                    renderOptions
+                )
             );
             break;
         }
@@ -182,6 +553,179 @@ function dispatch({ command, positionals, values }) {
             output(data, values.json, () => renderList(data));
             break;
         }
+        case "mx": {
+            requirePositional(positionals, 1, "values");
+            const mxValues = positionals.slice(1).flatMap(splitValues);
+            const format = parseFormatSpec(requireOption(values.format, "--format"));
+            const data = runQuantizeMX({
+                values: mxValues,
+                format,
+                roundingMode: values.rounding,
+                seed: parseSeed(values.seed),
+            });
+            output(data, values.json, () => renderMX(data));
+            break;
+        }
+        case "calc": {
+            requirePositional(positionals, 1, "expression");
+            // Unquoted expressions arrive split on spaces
+            const expression = positionals.slice(1).join(" ");
+            const format = parseFormatSpec(requireOption(values.format, "--format"));
+            const data = runCalculate({
+                expression,
+                format,
+                roundingMode: values.rounding,
+                flushSubnormals: values.ftz,
+                subnormalsAreZero: values.daz,
+                tininess: values.tininess,
+                seed: parseSeed(values.seed),
+            });
+            output(data, values.json, () => renderCalculate(data, renderOptions));
+            break;
+        }
+        case "dot": {
+            const a = splitValues(requirePositional(positionals, 1, "a"));
+            const b = splitValues(requirePositional(positionals, 2, "b"));
+            const input = parseFormatSpec(requireOption(values.input, "--input"));
+            const accumulator = parseFormatSpec(requireOption(values.accumulator, "--accumulator"));
+            const data = runDotProduct({
+                a,
+                b,
+                input,
+                product: values.product === undefined ? undefined : parseFormatSpec(values.product),
+                accumulator,
+                order: values.order,
+                blockSize: parseBlockSize(values["block-size"]),
+                roundingMode: values.rounding,
+                flushSubnormals: values.ftz,
+                subnormalsAreZero: values.daz,
+                tininess: values.tininess,
+                overflow: values.overflow,
+                seed: parseSeed(values.seed),
+            });
+            output(data, values.json, () => renderDotProduct(data, renderOptions));
+            break;
+        }
+        case "next": {
+            const value = requirePositional(positionals, 1, "value");
+            const format = parseFormatSpec(requireOption(values.format, "--format"));
+            const data = runNext({
+                value,
+                format,
+                down: values.down,
+                count: parseCount(values.count),
+                roundingMode: values.rounding,
+            });
+            output(data, values.json, () => renderNext(data, renderOptions));
+            break;
+        }
+        case "ulp": {
+            const value = requirePositional(positionals, 1, "value");
+            const format = parseFormatSpec(requireOption(values.format, "--format"));
+            if (positionals[2] === undefined) {
+                const data = runUlp({ value, format, roundingMode: values.rounding });
+                output(data, values.json, () => renderUlp(data, renderOptions));
+            } else {
+                const data = runUlpDistance({ a: value, b: positionals[2], format, roundingMode: values.rounding });
+                output(data, values.json, () => renderUlpDistance(data, renderOptions));
+            }
+            break;
+        }
+        case "dump": {
+            const file = requirePositional(positionals, 1, "file");
+            const data = runDump({
+                file,
+                format: values.format === undefined ? undefined : parseFormatSpec(values.format),
+                container: values.container,
+                tensor: values.tensor,
+                offset: parseOffset(values.offset),
+                count: parseCount(values.count),
+                endianness: values.endianness,
+                nibbleOrder: values["nibble-order"],
+                digits: renderOptions.digits,
+            });
+            output(data, values.json, () => renderDump(data));
+            break;
+        }
+        case "pack": {
+            const source = requirePositional(positionals, 1, "in");
+            const target = positionals[2] === undefined ? "-" : positionals[2];
+            const summary = await runPack({
+                source,
+                target,
+                column: values.column,
+                format: parseFormatSpec(requireOption(values.format, "--format")),
+                container: values.container,
+                endianness: values.endianness,
+                nibbleOrder: values["nibble-order"],
+                alignment: parseAlignment(values.alignment),
+                roundingMode: values.rounding,
+                flushSubnormals: values.ftz,
+                tininess: values.tininess,
+                overflow: values.overflow,
+                seed: parseSeed(values.seed),
+            });
+            // The summary goes to stderr when the bytes go to stdout
+            const text = values.json ? JSON.stringify(summary, null, 2) : renderPack(summary);
+            (target === "-" ? process.stderr : process.stdout).write(`${text}\n`);
+            break;
+        }
+        case "analyze": {
+            const source = requirePositional(positionals, 1, "in");
+            const data = await runAnalyze({
+                source,
+                column: values.column,
+                format: parseFormatSpec(requireOption(values.format, "--format")),
+                roundingMode: values.rounding,
+                flushSubnormals: values.ftz,
+                tininess: values.tininess,
+                overflow: values.overflow,
+                seed: parseSeed(values.seed),
+            });
+            output(data, values.json, () => renderAnalysis(data));
+            break;
+        }
+        case "scale": {
+            const source = requirePositional(positionals, 1, "in");
+            const data = await runScale({
+                source,
+                format: parseFormatSpec(requireOption(values.format, "--format")),
+                granularity: values.granularity,
+                method: values.method,
+                percentile: parsePercentile(values.percentile),
+                powerOfTwo: values["power-of-two"],
+                roundingMode: values.rounding,
+                flushSubnormals: values.ftz,
+                seed: parseSeed(values.seed),
+            });
+            output(data, values.json, () => renderScaling(data));
+            break;
+        }
+        case "table": {
+            if (values.json) {
+                throw new Error(`--json does not apply to table (use --out ${TABLE_OUTPUTS.join(", ")})`);
+            }
+            await runTable({
+                format: parseFormatSpec(requireOption(values.format, "--format")),
+                out: values.out,
+                digits: renderOptions.digits,
+            });
+            break;
+        }
+        case "codegen": {
+            const language = values.language ?? "c";
+            if (!CODE_LANGUAGES.includes(language)) {
+                throw new Error(`Invalid --language: ${language} (expected ${CODE_LANGUAGES.join(", ")})`);
+            }
+            const result = generateCode({
+                format: parseFormatSpec(requireOption(values.format, "--format")),
+                language,
+                roundingMode: values.rounding,
+                name: values.name,
+            });
+            output(result, values.json, () => result.code.trimEnd());
+            break;
+        }
         default:
             throw new Error(`Unknown command: ${command}`);
     }
@@ -213,7 +757,7 @@ export async function main() {
     }
 
     try {
-        dispatch(parsed);
+        await dispatch(parsed);
     } catch (err) {
         fail(err);
     }
@@ -0,0 +1,120 @@
+// Copyright (c) 2026 Spencer Williams
+// Licensed under the MIT License.
+
+// The pack command: quantize an array of values into a format and write the
+// encodings as tensor bytes, raw or as a .npy file, for test vectors and
+// hardware bring-up. Values come from a newline list, a CSV column or a JSON
+// array (read as in batch mode) or from the elements of a .npy file. Raw
+// output is written as values are read; .npy output is held until the end,
+// since its header records the element count. The encoding and byte layout
+// are createTensorPacker in the shared src/tensor-files.js.
+
+import { createReadStream, createWriteStream } from "node:fs";
+import { finished } from "node:stream/promises";
+
+import tensorFiles from "../../../src/tensor-files.js";
+import { bufferedWriter, decoded, readValues } from "./batch.js";
+import { openByteSource } from "./commands.js";
+
+const { createTensorPacker, readTensor } = tensorFiles;
+
+// Elements read from a .npy input at a time
+const NPY_WINDOW = 4096;
+
+/**
+ * Pack every value read from `source` into `target`.
+ * @param {{source: string, target: string, column?: string, container?: string,
+ *          input?: AsyncIterable<string|Buffer>, output?: NodeJS.WritableStream} & object} params -
+ *     `source` is a file path or "-" for stdin, `target` a file path or "-" for stdout; `input` and
+ *     `output` override the streams. The container defaults to npy for a .npy target, else raw. The
+ *     remaining parameters are createTensorPacker's.
+ * @returns {Promise<object>} The packer's summary.
+ */
+export async function runPack({ source, target, column, container, input, output, ...packing }) {
+    const kind = container || (/\.npy$/i.test(target) ? "npy" : "raw");
+    const packer = createTensorPacker({ ...packing, container: kind });
+    const toFile = !output && target !== "-";
+    const stream = output || (toFile ? createWriteStream(target) : process.stdout);
+    if (stream.isTTY) {
+        throw new Error("Refusing to write binary data to a terminal; name an output file or redirect stdout");
+    }
+    const values = readArrayValues({ source, column, input });
+
+    // .npy output waits for the header, which needs the final count
+    const held = [];
+    const writer = bufferedWriter(stream);
+    try {
+        for await (const { where, value, optional } of values) {
+            if (writer.closed) break;
+            let bytes;
+            try {
+                bytes = packer.push(value);
+            } catch (err) {
+                // A first CSV row that is not a value is a header
+                if (optional) continue;
+                throw new Error(`${where}: ${err.message}`, { cause: err });
+            }
+            if (!bytes) continue;
+            if (kind === "npy") {
+                held.push(bytes);
+            } else {
+                await writer.write(bytes);
+            }
+        }
+        const { bytes, header, summary } = packer.finish();
+        for (const chunk of header ? [header, ...held, bytes] : [bytes]) {
+            await writer.write(chunk);
+        }
+        await writer.flush();
+        if (toFile) {
+            stream.end();
+            await finished(stream);
+        }
+        return summary;
+    } catch (err) {
+        if (toFile) stream.destroy();
+        throw err;
+    } finally {
+        writer.release();
+    }
+}
+
+/**
+ * Yield the values of an array: the elements of a .npy file, or a newline
+ * list, CSV column or JSON array read as in batch mode.
+ * @param {{source: string, column?: string, input?: AsyncIterable<string|Buffer>}} params - `source` is
+ *     a file path or "-" for stdin; `input` overrides the stream.
+ * @returns {AsyncIterable<{where: string, value: string|number, optional?: boolean}>}
+ */
+export function readArrayValues({ source, column, input }) {
+    if (!/\.npy$/i.test(source)) {
+        return readValues(decoded(input || (source === "-" ? process.stdin : createReadStream(source))), source, column);
+    }
+    if (column !== undefined) {
+        throw new Error("--column does not apply to .npy input");
+    }
+    return npyValues(source);
+}
+
+/**
+ * Yield the elements of a .npy file in its own dtype, a window at a time.
+ * @param {string} file
+ * @returns {Generator<{where: string, value: number|string}>}
+ */
+function* npyValues(file) {
+    const data = openByteSource(file);
+    try {
+        let offset = 0;
+        let total;
+        do {
+            const window = readTensor({ data, container: "npy", offset, count: NPY_WINDOW });
+            total = window.totalElements;
+            for (const element of window.elements) {
+                yield { where: `element ${element.index}`, value: element.value };
+            }
+            offset += window.elements.length;
+        } while (offset < total);
+    } finally {
+        data.close();
+    }
+}
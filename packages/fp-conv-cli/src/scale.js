@@ -0,0 +1,125 @@
+// Copyright (c) 2026 Spencer Williams
+// Licensed under the MIT License.
+
+// The scale command: search for the scale factors a low-precision recipe
+// would quantize an array with (amax, percentile, MSE-optimal) and compare
+// their error. Per-row and per-column scaling need the array's rows, so the
+// whole array is read into memory: a .npy file with its shape, a JSON array
+// (flat or of rows), or text with one row per line and its values separated
+// by commas or spaces. The search itself is searchScaling in the shared
+// src/scaling.js.
+
+import { createReadStream } from "node:fs";
+
+import scaling from "../../../src/scaling.js";
+import tensorFiles from "../../../src/tensor-files.js";
+import webmcp from "../../../src/webmcp.js";
+import { decoded } from "./batch.js";
+import { openByteSource } from "./commands.js";
+import { readArrayValues } from "./pack.js";
+
+const { searchScaling } = scaling;
+const { readTensor } = tensorFiles;
+const { parseValueInput } = webmcp;
+
+/**
+ * Run the scaling search over the array read from `source`.
+ * @param {{source: string, input?: AsyncIterable<string|Buffer>} & object} params - `source` is a
+ *     file path or "-" for stdin; `input` overrides the stream. The remaining parameters are
+ *     searchScaling's.
+ * @returns {Promise<object>} The scales and error statistics of each recipe.
+ */
+export async function runScale({ source, input, ...params }) {
+    const values = /\.npy$/i.test(source)
+        ? await npyRows(source)
+        : textRows(await readText(input || (source === "-" ? process.stdin : createReadStream(source))));
+    if (values.length === 0) {
+        throw new Error("No values to scale");
+    }
+    return JSON.parse(searchScaling({ values, ...params }).content[0].text);
+}
+
+/**
+ * Read a stream to the end as UTF-8 text.
+ * @param {AsyncIterable<string|Buffer>} chunks
+ * @returns {Promise<string>}
+ */
+async function readText(chunks) {
+    let text = "";
+    for await (const chunk of decoded(chunks)) {
+        text += chunk;
+    }
+    return text;
+}
+
+/**
+ * The values of a JSON array, or the rows of text with one row per line. A
+ * first line that is not values is a header. Text of one value per line is a
+ * flat array.
+ * @param {string} text
+ * @returns {Array<string|number|Array<string|number>>}
+ */
+function textRows(text) {
+    if (text.trimStart().startsWith("[")) {
+        try {
+            return JSON.parse(text);
+        } catch (err) {
+            throw new Error(`Invalid JSON array: ${err.message}`, { cause: err });
+        }
+    }
+    const rows = [];
+    let width;
+    text.split("\n").forEach((line, i) => {
+        const fields = line.trim().split(/\s*,\s*|\s+/).filter((field) => field !== "");
+        if (fields.length === 0) return;
+        if (width === undefined && rows.length === 0 && !fields.every(isValue)) return;
+        if (width !== undefined && fields.length !== width) {
+            throw new Error(`line ${i + 1}: expected ${width} values, found ${fields.length}`);
+        }
+        width = fields.length;
+        rows.push(fields);
+    });
+    return width === 1 ? rows.flat() : rows;
+}
+
+/**
+ * Whether a field parses as a value.
+ * @param {string} field
+ * @returns {boolean}
+ */
+function isValue(field) {
+    try {
+        parseValueInput(field);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * The elements of a .npy file, as rows of its last dimension when it has
+ * more than one.
+ * @param {string} file
+ * @returns {Promise<Array<string|number|Array<string|number>>>}
+ */
+async function npyRows(file) {
+    const data = openByteSource(file);
+    let tensor;
+    try {
+        ({ tensor } = readTensor({ data, container: "npy", count: 0 }));
+    } finally {
+        data.close();
+    }
+    const elements = [];
+    for await (const { value } of readArrayValues({ source: file })) {
+        elements.push(value);
+    }
+    const { shape, fortranOrder } = tensor;
+    if (shape.length < 2) return elements;
+    const columns = shape[shape.length - 1];
+    const rows = elements.length / columns;
+    // Fortran order stores the first index fastest
+    return Array.from({ length: rows }, (_, r) =>
+        Array.from({ length: columns }, (_, c) => elements[fortranOrder ? c * rows + r : r * columns + c])
+    );
+}
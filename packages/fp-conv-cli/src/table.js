@@ -0,0 +1,194 @@
+// Copyright (c) 2026 Spencer Williams
+// Licensed under the MIT License.
+
+// The table command: list every encoding of a format of at most 16 bits with
+// its decoded value, class and ulp, as CSV, a JSON array, a Markdown table or
+// a C header of lookup arrays, for hardware ROMs and test oracles. Rows come
+// from the library's valueTable, classed as in src/webmcp.js, and are written
+// as they are made.
+
+import lib from "../../../lib/floating-point.js";
+import webmcp from "../../../src/webmcp.js";
+import { bufferedWriter, csvField } from "./batch.js";
+
+const { valueTable } = lib;
+const { resolveFormat, classifyValue, jsonSafeNumber } = webmcp;
+
+export const TABLE_OUTPUTS = ["csv", "json", "markdown", "c-header"];
+
+const TABLE_COLUMNS = ["bits", "hex", "binary", "value", "type", "ulp"];
+
+// Width the C header pads literals to before each row's comment
+const C_LITERAL_WIDTH = 26;
+
+/**
+ * Write the value table of a format.
+ * @param {{format: string|object, out?: string, digits?: string, output?: NodeJS.WritableStream}} params -
+ *     `out` is one of TABLE_OUTPUTS (default csv); `output` overrides stdout.
+ * @returns {Promise<number>} The number of rows written.
+ */
+export async function runTable({ format, out = "csv", digits = "number", output = process.stdout }) {
+    if (!TABLE_OUTPUTS.includes(out)) {
+        throw new Error(`Invalid --out: ${out} (expected ${TABLE_OUTPUTS.join(", ")})`);
+    }
+    if (out === "c-header" && digits === "shortest") {
+        // The shortest digits in a narrow format need not read back as the same double
+        throw new Error("--digits shortest does not apply to --out c-header");
+    }
+    const rows = tableRows(resolveFormat(format), digits);
+    const writer = bufferedWriter(output);
+    let count = 0;
+    const counted = (function* () {
+        for (const row of rows) {
+            count++;
+            yield row;
+        }
+    })();
+    const lines = {
+        csv: csvLines,
+        json: jsonLines,
+        markdown: markdownLines,
+        // The ulp array is a second pass over the rows
+        "c-header": (table) => cHeaderLines(table, format, () => tableRows(resolveFormat(format), digits)),
+    }[out](counted);
+    try {
+        for (const line of lines) {
+            if (writer.closed) break;
+            await writer.write(`${line}\n`);
+        }
+        await writer.flush();
+    } finally {
+        writer.release();
+    }
+    return count;
+}
+
+/**
+ * The rows as written: each encoding's class, and values JSON can hold.
+ * @param {object} format - A resolved format.
+ * @param {string} digits
+ * @returns {Iterable<object>}
+ */
+function tableRows(format, digits) {
+    // valueTable checks the format's width before the first row
+    const rows = valueTable(format, { digits });
+    return (function* () {
+        for (const { bits, sign, exponent, mantissa, hex, binary, value, ulp } of rows) {
+            yield {
+                bits,
+                hex,
+                binary,
+                value: jsonSafeNumber(value),
+                type: classifyValue(format, sign, exponent, mantissa),
+                ulp: jsonSafeNumber(ulp),
+            };
+        }
+    })();
+}
+
+/**
+ * @param {Iterable<object>} rows
+ * @returns {Generator<string>}
+ */
+function* csvLines(rows) {
+    yield TABLE_COLUMNS.join(",");
+    for (const row of rows) {
+        yield TABLE_COLUMNS.map((name) => csvField(row[name])).join(",");
+    }
+}
+
+/**
+ * One row object per line, inside a single JSON array.
+ * @param {Iterable<object>} rows
+ * @returns {Generator<string>}
+ */
+function* jsonLines(rows) {
+    yield "[";
+    let previous;
+    for (const row of rows) {
+        if (previous !== undefined) yield `  ${previous},`;
+        previous = JSON.stringify(row);
+    }
+    yield `  ${previous}`;
+    yield "]";
+}
+
+/**
+ * @param {Iterable<object>} rows
+ * @returns {Generator<string>}
+ */
+function* markdownLines(rows) {
+    yield "| Bits | Hex | Binary | Value | Class | ULP |";
+    yield "| ---: | --- | --- | ---: | --- | ---: |";
+    for (const row of rows) {
+        yield `| ${[row.bits, row.hex, row.binary, row.value, row.type, row.ulp].join(" | ")} |`;
+    }
+}
+
+/**
+ * A C header with arrays of the decoded value and the ulp of every bit
+ * pattern, indexed by the pattern. Each value row is commented with its
+ * pattern and class.
+ * @param {Iterable<object>} rows
+ * @param {string|object} format
+ * @param {() => Iterable<object>} again - The rows once more, for the ulp array.
+ * @returns {Generator<string>}
+ */
+function* cHeaderLines(rows, format, again) {
+    const name = typeof format === "string" ? format : "custom";
+    const id = cIdentifier(name);
+    const guard = `${id.toUpperCase()}_TABLE_H`;
+    const size = `${id.toUpperCase()}_TABLE_SIZE`;
+    let count = 0;
+    const body = [];
+    for (const row of rows) {
+        body.push(`    ${`${cLiteral(row.value)},`.padEnd(C_LITERAL_WIDTH, " ")}/* ${row.hex} ${row.type} */`);
+        count++;
+    }
+    yield `/* Every encoding of ${name}, indexed by bit pattern. Generated by fp-conv. */`;
+    yield "";
+    yield `#ifndef ${guard}`;
+    yield `#define ${guard}`;
+    yield "";
+    yield "#include <math.h>";
+    yield "";
+    yield `#define ${size} ${count}`;
+    yield "";
+    yield "/* Decoded value of each bit pattern */";
+    yield `static const double ${id}_values[${size}] = {`;
+    yield* body;
+    yield "};";
+    yield "";
+    yield "/* Unit in the last place at each bit pattern */";
+    yield `static const double ${id}_ulp[${size}] = {`;
+    for (const row of again()) {
+        yield `    ${`${cLiteral(row.ulp)},`.padEnd(C_LITERAL_WIDTH, " ")}/* ${row.hex} */`;
+    }
+    yield "};";
+    yield "";
+    yield `#endif /* ${guard} */`;
+}
+
+/**
+ * A C identifier for a format name: "q8.8" becomes "q8_8".
+ * @param {string} name
+ * @returns {string}
+ */
+function cIdentifier(name) {
+    const id = name.toLowerCase().replace(/[^a-z0-9_]/g, "_");
+    return /^[0-9]/.test(id) ? `fmt_${id}` : id;
+}
+
+/**
+ * A C double literal for a table value: a number, an exact decimal string,
+ * or "Infinity", "-Infinity" and "NaN".
+ * @param {number|string} value
+ * @returns {string}
+ */
+function cLiteral(value) {
+    if (value === "NaN") return "NAN";
+    if (value === "Infinity") return "INFINITY";
+    if (value === "-Infinity") return "-INFINITY";
+    const text = Object.is(value, -0) ? "-0" : String(value);
+    return /^-?\d+$/.test(text) ? `${text}.0` : text;
+}
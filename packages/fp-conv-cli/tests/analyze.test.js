@@ -0,0 +1,104 @@
+// Copyright (c) 2026 Spencer Williams
+// Licensed under the MIT License.
+
+import { mkdtempSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { Readable } from "node:stream";
+
+import { runAnalyze } from "../src/analyze.js";
+import { main } from "../src/index.js";
+import { runCli } from "./helpers.js";
+
+let dir;
+
+beforeAll(() => {
+    dir = mkdtempSync(join(tmpdir(), "fp-conv-analyze-"));
+});
+
+afterAll(() => {
+    rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Write text to a file in the test directory.
+ * @param {string} name
+ * @param {string|Buffer} content
+ * @returns {string} The file's path.
+ */
+function file(name, content) {
+    const path = join(dir, name);
+    writeFileSync(path, content);
+    return path;
+}
+
+describe("runAnalyze", () => {
+    test("analyzes a newline list, a CSV column and a JSON array", async () => {
+        const list = await runAnalyze({ source: "-", input: Readable.from(["1\n0.3\n"]), format: "fp8_e4m3" });
+        expect(list).toMatchObject({ count: 2, finite: 2, worst: { input: "0.3", value: 0.3125 } });
+        const csv = await runAnalyze({ source: file("x.csv", "name,x\na,1000\nb,1\n"), column: "x", format: "int8" });
+        expect(csv).toMatchObject({ count: 2, overflows: 1, worst: { input: "1000", value: 127 } });
+        const json = await runAnalyze({ source: "-", input: Readable.from(["[0.5, 2]"]), format: "fp16" });
+        expect(json.sqnrDb).toBe("Infinity");
+    });
+
+    test("reports bad values with their position", async () => {
+        await expect(
+            runAnalyze({ source: "-", input: Readable.from(["1\nabc\n"]), format: "fp16" })
+        ).rejects.toThrow(/^line 2: Cannot parse value: "abc"/);
+    });
+});
+
+describe("main: analyze", () => {
+    test("renders the statistics and the ULP error histogram", async () => {
+        const source = file("activations.csv", "x\n1\n0.3\n-500\n0.001\n");
+        const { stdout, exitCodes } = await runCli(main, ["analyze", source, "--format", "fp8_e4m3"]);
+        expect(exitCodes).toEqual([]);
+        expect(stdout).toBe(
+            [
+                "Format:    fp8_e4m3",
+                "Values:    4 (4 finite)",
+                "MSE:       676",
+                "SQNR:      19.66 dB",
+                "Bias:      13.0034 (mean error)",
+                "Max error: 52 (-500 -> -448)",
+                "Max rel:   95.3125%",
+                "Overflow:  1",
+                "Underflow: 1",
+                "Flushed:   0",
+                "Invalid:   0",
+                "Subnormal: 1 (25%)",
+                "",
+                "  ULP error  Count",
+                "  0          1",
+                "  <= 0.25    0",
+                "  <= 0.5     2",
+                "  <= 1       0",
+                "  <= 2       1",
+                "  > 2        0",
+                "",
+            ].join("\n")
+        );
+    });
+
+    test("prints JSON and applies the encoding options", async () => {
+        const source = file("small.txt", "0.001\n1\n");
+        const { stdout } = await runCli(main, ["analyze", source, "--format", "fp8_e4m3", "--ftz", "--json"]);
+        expect(JSON.parse(stdout)).toMatchObject({ count: 2, flushed: 1, subnormals: 0, maxRelError: 1 });
+    });
+
+    test("reports bad arguments", async () => {
+        const source = file("one.txt", "1\n");
+        const cases = [
+            [["analyze"], "Missing required argument: <in>"],
+            [["analyze", source], "Missing required option: --format"],
+            [["analyze", source, "--format", "fp99"], "fp99"],
+            [["analyze", file("bad.txt", "1\nabc\n"), "--format", "fp16"], 'line 2: Cannot parse value: "abc"'],
+        ];
+        for (const [args, message] of cases) {
+            const { stderr, exitCodes } = await runCli(main, args);
+            expect(stderr).toContain(message);
+            expect(exitCodes).toEqual([1]);
+        }
+    });
+});
@@ -0,0 +1,221 @@
+// Copyright (c) 2026 Spencer Williams
+// Licensed under the MIT License.
+
+import { mkdtempSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { Readable, Writable, PassThrough } from "node:stream";
+
+import { runBatch, parseCsvLine } from "../src/batch.js";
+import { main } from "../src/index.js";
+import { runCli } from "./helpers.js";
+
+/**
+ * A stream that collects what is written to it in `text`.
+ * @returns {Writable & {text: string}}
+ */
+function collector() {
+    const output = new Writable({
+        write(chunk, _encoding, callback) {
+            output.text += chunk;
+            callback();
+        },
+    });
+    output.text = "";
+    return output;
+}
+
+/**
+ * Run a batch over in-memory text, split into the given chunks.
+ * @param {string[]} chunks
+ * @param {object} params
+ * @returns {Promise<{text: string, count: number}>}
+ */
+async function batch(chunks, params) {
+    const output = collector();
+    const count = await runBatch({ source: "-", input: Readable.from(chunks), output, ...params });
+    return { text: output.text, count };
+}
+
+describe("runBatch", () => {
+    test("encodes a newline list as CSV", async () => {
+        const { text, count } = await batch(["0.1\r\n\n1e1", "0\n-2.5\n"], { mode: "encode", format: "fp16" });
+        expect(count).toBe(3);
+        expect(text.split("\n")).toEqual([
+            "input,hex,binary,value,error,flags",
+            "0.1,0x2E66,0010111001100110,0.0999755859375,-0.00002441406250000555,inexact",
+            "1e10,0x7C00,0111110000000000,Infinity,Infinity,overflow|inexact",
+            "-2.5,0xC100,1100000100000000,-2.5,0,",
+            "",
+        ]);
+    });
+
+    test("decodes bit-patterns as JSON Lines", async () => {
+        const { text } = await batch(["0x3C00\n0x7E00\n"], {
+            mode: "decode",
+            format: "fp16",
+            out: "jsonl",
+        });
+        expect(text.trim().split("\n").map((line) => JSON.parse(line))).toEqual([
+            { input: "0x3C00", hex: "0x3C00", binary: "0011110000000000", value: 1, type: "Normal" },
+            { input: "0x7E00", hex: "0x7E00", binary: "0111111000000000", value: "NaN", type: "NaN" },
+        ]);
+    });
+
+    test("reads a CSV column by name or position", async () => {
+        const csv = ['name,x\n"a, quoted",0.5\nb,70000\n'];
+        const byName = await batch(csv, {
+            mode: "convert",
+            inputFormat: "fp32",
+            outputFormat: "fp16",
+            column: "x",
+            out: "jsonl",
+        });
+        const rows = byName.text.trim().split("\n").map((line) => JSON.parse(line));
+        expect(rows.map((row) => [row.input, row.inputHex, row.hex, row.value])).toEqual([
+            ["0.5", "0x3F000000", "0x3800", 0.5],
+            ["70000", "0x4788B800", "0x7C00", "Infinity"],
+        ]);
+        expect(rows[1].flags).toEqual(["overflow", "inexact"]);
+        // By position the header row is skipped because it is not a value
+        const byPosition = await batch(csv, { mode: "encode", format: "fp16", column: "2" });
+        expect(byPosition.count).toBe(2);
+        await expect(batch(csv, { mode: "encode", format: "fp16", column: "y" })).rejects.toThrow(
+            'Column "y" is not in the CSV header'
+        );
+        await expect(batch(csv, { mode: "encode", format: "fp16", column: "3" })).rejects.toThrow(
+            "line 1: no column 3"
+        );
+        await expect(batch(csv, { mode: "encode", format: "fp16", column: "0" })).rejects.toThrow(
+            "Invalid --column: 0"
+        );
+    });
+
+    test("streams a JSON array split across chunks", async () => {
+        const { text } = await batch([' [0.1, "0x3', 'C00" ,\n 2e-8]  '], {
+            mode: "encode",
+            format: "bf16",
+            digits: "exact",
+        });
+        expect(text.split("\n").slice(1, 4)).toEqual([
+            "0.1,0x3DCD,0011110111001101,0.10009765625,0.00009765624999999445,inexact",
+            "0x3C00,0x4670,0100011001110000,15360,0,",
+            "2e-8,0x32AC,0011001010101100,0.0000000200234353542327880859375,2.3435354232787667e-11,inexact",
+        ]);
+        // Just above the tie between 1 and its fp16 neighbour: as a double it
+        // is the tie itself, which would round to even
+        const long = await batch(["[1.00048828125000000000001]"], { mode: "encode", format: "fp16" });
+        expect(long.text.split("\n")[1]).toMatch(/^1\.00048828125000000000001,0x3C01,/);
+        expect((await batch(["[]"], { mode: "encode", format: "fp16" })).count).toBe(0);
+        expect((await batch(['["a\\"]"]'], { mode: "decode", format: "fp16" }).catch((err) => err)).message).toMatch(
+            /^item 1: /
+        );
+    });
+
+    test("reports malformed input with its position", async () => {
+        const encode = { mode: "encode", format: "fp16" };
+        await expect(batch(["1\nabc\n"], encode)).rejects.toThrow(/^line 2: Cannot parse value: "abc"/);
+        await expect(batch(["[1, [2]]"], encode)).rejects.toThrow("item 2: JSON values must be numbers or strings");
+        await expect(batch(["[1, null]"], encode)).rejects.toThrow("item 2: JSON values must be numbers or strings");
+        await expect(batch(["[1, 2x]"], encode)).rejects.toThrow("item 2: invalid JSON 2x");
+        await expect(batch(["[1, 2"], encode)).rejects.toThrow("Unterminated JSON array");
+        await expect(batch(["[1] 2"], encode)).rejects.toThrow("Unexpected data after the JSON array");
+        await expect(batch(["1"], { ...encode, out: "xml" })).rejects.toThrow("Invalid --out: xml");
+    });
+
+    test("writes the rows converted before a failing row", async () => {
+        const output = collector();
+        const input = Readable.from(["1.5\n2.25\nabc\n"]);
+        await expect(runBatch({ source: "-", input, output, mode: "encode", format: "fp16" })).rejects.toThrow(
+            'line 3: Cannot parse value: "abc"'
+        );
+        expect(output.text.split("\n")).toEqual([
+            "input,hex,binary,value,error,flags",
+            "1.5,0x3E00,0011111000000000,1.5,0,",
+            "2.25,0x4080,0100000010000000,2.25,0,",
+            "",
+        ]);
+    });
+
+    test("writes nothing but the header for empty input", async () => {
+        expect(await batch(["\n  \n"], { mode: "encode", format: "fp16" })).toEqual({
+            text: "input,hex,binary,value,error,flags\n",
+            count: 0,
+        });
+    });
+
+    test("waits for a full output to drain and stops when the reader goes away", async () => {
+        const values = Array.from({ length: 20000 }, (_, i) => `${i}\n`);
+        const output = new PassThrough({ highWaterMark: 1024 });
+        let received = 0;
+        output.on("data", (chunk) => {
+            received += chunk.length;
+        });
+        const count = await runBatch({ mode: "encode", format: "fp32", source: "-", input: Readable.from(values), output });
+        expect(count).toBe(20000);
+        await new Promise((resolve) => setImmediate(resolve));
+        expect(received).toBeGreaterThan(20000 * 30);
+
+        const closed = new Writable({
+            write(_chunk, _encoding, callback) {
+                const err = new Error("write EPIPE");
+                err.code = "EPIPE";
+                callback(err);
+            },
+        });
+        const partial = await runBatch({ mode: "encode", format: "fp32", source: "-", input: Readable.from(values), output: closed });
+        expect(partial).toBeLessThan(20000);
+    });
+});
+
+describe("parseCsvLine", () => {
+    test("splits fields and unquotes them", () => {
+        expect(parseCsvLine('a,"b,c","say ""hi""",')).toEqual(["a", "b,c", 'say "hi"', ""]);
+    });
+});
+
+describe("main: batch mode", () => {
+    let dir;
+
+    beforeAll(() => {
+        dir = mkdtempSync(join(tmpdir(), "fp-conv-batch-"));
+    });
+
+    afterAll(() => {
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    test("converts a file named by --batch", async () => {
+        const file = join(dir, "values.csv");
+        writeFileSync(file, "x\n1.5\n");
+        const { stdout, exitCodes } = await runCli(main, [
+            "convert",
+            "--batch",
+            file,
+            "--from",
+            "fp32",
+            "--to",
+            "bf16",
+        ]);
+        expect(exitCodes).toEqual([]);
+        expect(stdout).toBe("input,inputHex,hex,binary,value,error,flags\n1.5,0x3FC00000,0x3FC0,0011111111000000,1.5,0,\n");
+    });
+
+    test("rejects batch options used out of place", async () => {
+        const file = join(dir, "values.txt");
+        writeFileSync(file, "1\n");
+        const cases = [
+            [["encode", "1", "--batch", file, "--format", "fp16"], "Give either a value or --batch, not both"],
+            [["encode", "1", "--format", "fp16", "--out", "csv"], "--out requires --batch"],
+            [["decode", "0x1", "--format", "fp16", "--column", "1"], "--column requires --batch"],
+            [["list", "--batch", file], "--batch does not apply to list"],
+            [["encode", "--batch", file, "--format", "fp16", "--json"], "--json does not apply to --batch"],
+            [["decode", "--batch", join(dir, "missing.txt"), "--format", "fp16"], "ENOENT"],
+        ];
+        for (const [args, message] of cases) {
+            const { stderr, exitCodes } = await runCli(main, args);
+            expect(stderr).toContain(message);
+            expect(exitCodes).toEqual([1]);
+        }
+    });
+});
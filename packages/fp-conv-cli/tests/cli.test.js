@@ -105,4 +105,39 @@ describe("main: error handling", () => {
         expect(stderr).toMatch(/Invalid custom format JSON/);
         expect(exitCodes).toContain(1);
     });
+
+    test("invalid --digits mode exits with code 1", async () => {
+        const { stderr, exitCodes } = await runCli(main, [
+            "decode",
+            "0x3C00",
+            "--format",
+            "fp16",
+            "--digits",
+            "many",
+        ]);
+        expect(stderr).toMatch(/Invalid --digits mode: many/);
+        expect(exitCodes).toContain(1);
+    });
+
+    test("a non-integer --seed exits with code 1", async () => {
+        const { stderr, exitCodes } = await runCli(main, [
+            "encode", "0.1", "--format", "bf16", "--rounding", "stochastic", "--seed", "1.5",
+        ]);
+        expect(stderr).toMatch(/Invalid --seed: 1.5/);
+        expect(exitCodes).toContain(1);
+    });
+
+    test("an invalid --block-size exits with code 1", async () => {
+        const { stderr, exitCodes } = await runCli(main, [
+            "dot", "1,2", "3,4", "--input", "fp16", "--accumulator", "fp32", "--order", "blocked", "--block-size", "0",
+        ]);
+        expect(stderr).toMatch(/Invalid --block-size: 0/);
+        expect(exitCodes).toContain(1);
+    });
+
+    test("an invalid --count exits with code 1", async () => {
+        const { stderr, exitCodes } = await runCli(main, ["next", "1", "--format", "bf16", "--count", "two"]);
+        expect(stderr).toMatch(/Invalid --count: two/);
+        expect(exitCodes).toContain(1);
+    });
 });
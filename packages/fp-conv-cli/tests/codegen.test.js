@@ -0,0 +1,42 @@
+// Copyright (c) 2026 Spencer Williams
+// Licensed under the MIT License.
+
+import { main } from "../src/index.js";
+import { runCli } from "./helpers.js";
+
+describe("main: codegen", () => {
+    test("writes a C header to stdout", async () => {
+        const { stdout, exitCodes } = await runCli(main, ["codegen", "--format", "fp8_e4m3"]);
+        expect(exitCodes).toEqual([]);
+        const lines = stdout.split("\n");
+        expect(lines[1]).toBe(" * fp8_e4m3: 8-bit floating point: 1 sign, 4 exponent and 3 mantissa bits, bias 7.");
+        expect(lines).toContain("static inline uint8_t fp8_e4m3_encode(double value)");
+        expect(lines.at(-2)).toBe("#endif /* FP8_E4M3_H */");
+        expect(lines.at(-1)).toBe("");
+    });
+
+    test("writes SystemVerilog and Python in the rounding mode, under a name", async () => {
+        const sv = await runCli(main, ["codegen", "-f", "bf16", "--language", "systemverilog", "-r", "towardZero"]);
+        expect(sv.stdout).toContain("package bf16_pkg;");
+        expect(sv.stdout).toContain("    // The bit pattern of a real, rounded towardZero");
+        const python = await runCli(main, ["codegen", "-f", "q4.12", "--language", "python", "--name", "coeff"]);
+        expect(python.stdout.split("\n")[0]).toBe('"""coeff: 16-bit signed fixed point: 4 integer and 12 fraction bits.');
+        const json = JSON.parse((await runCli(main, ["codegen", "-f", "int8", "--language", "python", "--json"])).stdout);
+        expect(json).toMatchObject({ language: "python", name: "int8", filename: "int8.py" });
+    });
+
+    test("reports bad arguments", async () => {
+        const cases = [
+            [["codegen"], "Missing required option: --format"],
+            [["codegen", "-f", "fp16", "--language", "vhdl"], "Invalid --language: vhdl (expected c, systemverilog, python)"],
+            [["codegen", "-f", "fp16", "-r", "stochastic"], "Stochastic rounding has no reference cast"],
+            [["codegen", "-f", "fp16", "--name", "half-float"], 'Parameter "name" must be an identifier'],
+            [["codegen", "-f", "q40.20"], "Code generation needs a fixed-point format of at most 53 bits"],
+        ];
+        for (const [args, message] of cases) {
+            const { stderr, exitCodes } = await runCli(main, args);
+            expect(stderr).toContain(message);
+            expect(exitCodes).toEqual([1]);
+        }
+    });
+});
@@ -1,7 +1,19 @@
 // Copyright (c) 2026 Spencer Williams
 // Licensed under the MIT License.
 
-import { runEncode, runDecode, runConvert, runInfo, runList } from "../src/commands.js";
+import {
+    runEncode,
+    runDecode,
+    runConvert,
+    runInfo,
+    runList,
+    runQuantizeMX,
+    runCalculate,
+    runDotProduct,
+    runNext,
+    runUlp,
+    runUlpDistance,
+} from "../src/commands.js";
 import { main } from "../src/index.js";
 import { runCli } from "./helpers.js";
 
@@ -69,6 +81,42 @@ describe("command functions", () => {
         expect(keys).toContain("int8");
         expect(formats.every((f) => typeof f.category === "string")).toBe(true);
     });
+
+    test("runQuantizeMX returns blocks with a shared scale", () => {
+        const result = runQuantizeMX({ values: ["0.1", "-2.5", "1000"], format: "mxfp8_e4m3" });
+        expect(result.blocks[0].scale.exponent).toBe(1);
+        expect(result.blocks[0].elements[2].value).toBe(896);
+    });
+
+    test("runCalculate rounds the result once in the format", () => {
+        const result = runCalculate({ expression: "1 + 2^-11", format: "fp16", roundingMode: "towardPositive" });
+        expect(result.operation).toBe("add");
+        expect(result.operands.map((operand) => operand.input)).toEqual(["1", "2^-11"]);
+        expect(result.result.hex).toBe("0x3C01");
+        expect(result.result.flags.inexact).toBe(true);
+    });
+
+    test("runDotProduct sums in the accumulator format", () => {
+        const ones = Array(300).fill("1");
+        const result = runDotProduct({ a: ones, b: ones, input: "bf16", accumulator: "bf16", order: "pairwise" });
+        expect(result.result.actualValue).toBe(300);
+        expect(result.error.absolute).toBe(0);
+    });
+
+    test("runNext steps up or down", () => {
+        expect(runNext({ value: "1", format: "bf16", count: 2 }).values.map((v) => v.hex)).toEqual(["0x3F81", "0x3F82"]);
+        const down = runNext({ value: "1", format: "bf16", down: true });
+        expect(down).toMatchObject({ direction: "down", values: [{ hex: "0x3F7F" }] });
+    });
+
+    test("runUlp and runUlpDistance", () => {
+        expect(runUlp({ value: "1", format: "fp16" }).ulp).toBe(Math.pow(2, -10));
+        expect(runUlpDistance({ a: "1", b: "2", format: "fp16" }).distance).toBe(1024);
+    });
+
+    test("runCalculate rejects integer formats", () => {
+        expect(() => runCalculate({ expression: "1 + 2", format: "int8" })).toThrow(/floating-point format/);
+    });
 });
 
 describe("main: text output", () => {
@@ -81,17 +129,98 @@ describe("main: text output", () => {
         expect(stdout).toMatch(/Exponent:/);
     });
 
+    test("encode reports whether the value was exact", async () => {
+        const rounded = await runCli(main, ["encode", "0.1", "--format", "fp16"]);
+        expect(rounded.stdout).toMatch(/Exact:\s+no \(rounded\)/);
+        const exact = await runCli(main, ["encode", "0.5", "--format", "fp16"]);
+        expect(exact.stdout).toMatch(/Exact:\s+yes/);
+    });
+
     test("decode renders the decoded value", async () => {
         const { stdout } = await runCli(main, ["decode", "0x4248", "--format", "fp16"]);
         expect(stdout).toMatch(/Value:\s+3\.140625/);
     });
 
+    test("decode --digits selects the shortest or exact decimal", async () => {
+        const shortest = await runCli(main, ["decode", "0x2E66", "--format", "fp16", "--digits", "shortest"]);
+        // The FP16 value nearest 0.1 prints as "0.1" in its own precision
+        expect(shortest.stdout).toMatch(/Value:\s+0\.1\n/);
+        const exact = await runCli(main, ["decode", "0x2E66", "--format", "fp16", "--digits", "exact"]);
+        expect(exact.stdout).toMatch(/Value:\s+0\.0999755859375\n/);
+    });
+
+    test("convert --digits applies to both sides", async () => {
+        const { stdout } = await runCli(main, [
+            "convert", "0.1", "--from", "fp32", "--to", "bf16", "--digits", "exact",
+        ]);
+        expect(stdout).toMatch(/Value:\s+0\.100000001490116119384765625\n/);
+        expect(stdout).toMatch(/Value:\s+0\.10009765625\n/);
+    });
+
+    test("--ftz and --daz report flushed subnormals", async () => {
+        const encoded = await runCli(main, ["encode", "1e-6", "--format", "fp16", "--ftz"]);
+        expect(encoded.stdout).toMatch(/Flushed:\s+yes/);
+        expect(encoded.stdout).toMatch(/Hex:\s+0x0000/);
+        const decoded = await runCli(main, ["decode", "0x8001", "--format", "fp16", "--daz"]);
+        expect(decoded.stdout).toMatch(/Value:\s+0\n/);
+        expect(decoded.stdout).toMatch(/Flushed:\s+yes/);
+        const plain = await runCli(main, ["decode", "0x0001", "--format", "fp16"]);
+        expect(plain.stdout).not.toMatch(/Flushed/);
+    });
+
+    test("stochastic rounding is reproducible with --seed", async () => {
+        const args = ["encode", "1.000244140625", "--format", "fp16", "--rounding", "stochastic", "--seed", "42"];
+        const first = await runCli(main, args);
+        expect(first.stdout).toMatch(/Round up:\s+p = 0.25 \(stochastic\)/);
+        expect((await runCli(main, args)).stdout).toBe(first.stdout);
+        const mx = await runCli(main, ["mx", "1.03125", "--format", "mxfp8_e4m3", "-r", "stochastic", "--seed", "1", "--json"]);
+        expect(JSON.parse(mx.stdout).blocks[0].elements[0].roundUpProbability).toBe(0.25);
+        const convert = await runCli(main, ["convert", "0.1", "--from", "fp32", "--to", "bf16", "-r", "stochastic", "--seed=-3"]);
+        expect(convert.stdout).toMatch(/Round up:/);
+    });
+
+    test("encode and convert list the exception flags raised", async () => {
+        const exact = await runCli(main, ["encode", "1.5", "--format", "fp16"]);
+        expect(exact.stdout).toMatch(/Flags:\s+none\n/);
+        const overflow = await runCli(main, ["encode", "1e6", "--format", "fp16"]);
+        expect(overflow.stdout).toMatch(/Flags:\s+overflow, inexact\n/);
+        const convert = await runCli(main, ["convert", "1e-6", "--from", "fp32", "--to", "fp16"]);
+        expect(convert.stdout).toMatch(/Flags:\s+underflow, inexact\n/);
+        // Decoding does not round, so it has no flags
+        const decoded = await runCli(main, ["decode", "0x3C00", "--format", "fp16"]);
+        expect(decoded.stdout).not.toMatch(/Flags/);
+    });
+
+    test("--tininess selects when underflow is detected", async () => {
+        // 2^-14 × (1 - 2^-12) rounds up to the smallest fp16 normal
+        const args = ["encode", "0.00006102025508880615234375", "--format", "fp16"];
+        expect((await runCli(main, args)).stdout).toMatch(/Flags:\s+inexact\n/);
+        const before = await runCli(main, [...args, "--tininess", "beforeRounding"]);
+        expect(before.stdout).toMatch(/Flags:\s+underflow, inexact\n/);
+    });
+
+    test("--overflow selects the integer overflow policy", async () => {
+        const wrapped = await runCli(main, ["encode", "200", "--format", "int8", "--overflow", "wrap"]);
+        expect(wrapped.stdout).toMatch(/Value:\s+-56\n/);
+        const converted = await runCli(main, ["convert", "300", "--from", "fp32", "--to", "uint8", "--overflow", "wrap"]);
+        expect(converted.stdout).toMatch(/Value:\s+44\n/);
+        const error = await runCli(main, ["encode", "200", "--format", "int8", "--overflow", "error"]);
+        expect(error.exitCodes).toEqual([1]);
+        expect(error.stderr).toMatch(/200 is out of range for int8 \[-128, 127\]/);
+    });
+
     test("decode of an integer format shows signedness", async () => {
         const { stdout } = await runCli(main, ["decode", "0x2A", "--format", "int8"]);
         expect(stdout).toMatch(/Value:\s+42/);
         expect(stdout).toMatch(/signed/);
     });
 
+    test("decode of a 64-bit integer keeps every digit", async () => {
+        const { stdout } = await runCli(main, ["decode", "0x7FFFFFFFFFFFFFFF", "--format", "int64"]);
+        expect(stdout).toMatch(/Value:\s+9223372036854775807\n/);
+        expect(stdout).toMatch(/Hex:\s+0x7FFFFFFFFFFFFFFF/);
+    });
+
     test("convert renders precision loss", async () => {
         const { stdout } = await runCli(main, ["convert", "3.14", "--from", "fp32", "--to", "fp16"]);
         expect(stdout).toMatch(/Input \(fp32\):/);
@@ -111,13 +240,175 @@ describe("main: text output", () => {
         expect(stdout).toMatch(/Range:\s+-128 \.\. 127/);
     });
 
+    test("info renders exact 64-bit integer bounds", async () => {
+        const { stdout } = await runCli(main, ["info", "uint64"]);
+        expect(stdout).toMatch(/Range:\s+0 \.\. 18446744073709551615/);
+    });
+
+    test("info renders E8M0 without zero or subnormals", async () => {
+        const { stdout } = await runCli(main, ["info", "e8m0"]);
+        expect(stdout).toMatch(/Layout:\s+0 sign, 8 exponent, 0 mantissa \(bias 127\)/);
+        expect(stdout).toMatch(/Zero:\s+false/);
+        expect(stdout).not.toMatch(/subnormal/);
+
+        const decoded = await runCli(main, ["decode", "0x00", "-f", "e8m0"]);
+        expect(decoded.stdout).toMatch(/Binary:\s+00000000\n/);
+        expect(decoded.stdout).toMatch(/Exponent:\s+0 \(biased\) \/ 0 - 127 = -127/);
+    });
+
+    test("info and decode render FNUZ formats", async () => {
+        const { stdout } = await runCli(main, ["info", "fp8_e4m3fnuz"]);
+        expect(stdout).toMatch(/Neg zero:\s+false/);
+        expect(stdout).toMatch(/Subnormal:\s+true/);
+        expect(stdout).toMatch(/Overflow:\s+saturate/);
+        expect(stdout).toMatch(/Max normal:\s+240/);
+
+        const decoded = await runCli(main, ["decode", "0x80", "-f", "fp8_e4m3fnuz"]);
+        expect(decoded.stdout).toMatch(/NaN/);
+    });
+
+    test("info renders fixed-point layout and step", async () => {
+        const { stdout } = await runCli(main, ["info", "q15"]);
+        expect(stdout).toMatch(/Layout:\s+1 integer, 15 fraction/);
+        expect(stdout).toMatch(/Range:\s+-1 \.\. 0\.999969482421875/);
+        expect(stdout).toMatch(/Step:\s+0\.000030517578125/);
+    });
+
+    test("encode into a Qm.n format shows the raw integer", async () => {
+        const { stdout } = await runCli(main, ["encode", "1.5", "--format", "q8.8"]);
+        expect(stdout).toMatch(/Hex:\s+0x0180/);
+        expect(stdout).toMatch(/Raw:\s+384/);
+        expect(stdout).toMatch(/Q8\.8, signed, saturate/);
+    });
+
+    test("encode wraps when the fixed-point format asks for it", async () => {
+        const { stdout } = await runCli(main, [
+            "encode",
+            "200",
+            "--format",
+            '{"integerBits":8,"fractionBits":8,"overflow":"wrap"}',
+        ]);
+        expect(stdout).toMatch(/Value:\s+-56/);
+        expect(stdout).toMatch(/Hex:\s+0xC800/);
+        expect(stdout).toMatch(/Q8\.8, signed, wrap/);
+    });
+
+    test("the Qm.n stats line shows the --overflow mode that applied", async () => {
+        const { stdout } = await runCli(main, ["encode", "200", "--format", "q8.8", "--overflow", "wrap"]);
+        expect(stdout).toMatch(/Value:\s+-56\n/);
+        expect(stdout).toMatch(/Bits:\s+16 total \(Q8\.8, signed, wrap\)/);
+    });
+
     test("list groups formats by category", async () => {
         const { stdout } = await runCli(main, ["list"]);
         expect(stdout).toMatch(/IEEE 754:/);
         expect(stdout).toMatch(/Integer:/);
+        expect(stdout).toMatch(/Fixed-Point:/);
         expect(stdout).toMatch(/fp32/);
     });
 
+    test("mx renders a table per block", async () => {
+        const { stdout } = await runCli(main, ["mx", "0.1,-2.5", "1000", "--format", "mxfp8_e4m3"]);
+        expect(stdout).toMatch(/Format:\s+MXFP8 \(E4M3\)/);
+        expect(stdout).toMatch(/Block 0: scale 0x80 = 2\^1/);
+        expect(stdout).toMatch(/1000\s+0x7E\s+896\s+-104/);
+        expect(stdout).toMatch(/Max error:\s+104/);
+    });
+
+    test("mx accepts a custom block format", async () => {
+        const { stdout, exitCodes } = await runCli(main, [
+            "mx",
+            "1,2",
+            "--format",
+            '{"element":"fp4_e2m1","blockSize":1}',
+        ]);
+        expect(exitCodes).toEqual([]);
+        expect(stdout).toMatch(/Block 1: scale 0x7E = 2\^-1/);
+    });
+
+    test("calc renders each operand and the result", async () => {
+        const { stdout, exitCodes } = await runCli(main, ["calc", "1.5 + 2^-10", "--format", "fp16"]);
+        expect(exitCodes).toEqual([]);
+        expect(stdout).toMatch(/Operation:\s+add/);
+        expect(stdout).toMatch(/Operand 2 \(2\^-10\):\n\s+Value:\s+0\.0009765625/);
+        expect(stdout).toMatch(/Result:\n\s+Value:\s+1\.5009765625/);
+    });
+
+    test("calc joins an unquoted expression and reports division by zero", async () => {
+        const { stdout } = await runCli(main, ["calc", "1", "/", "0", "--format", "bf16"]);
+        expect(stdout).toMatch(/Result:\n\s+Value:\s+Infinity\n\s+Type:\s+\+Infinity\n\s+Flags:\s+divideByZero/);
+    });
+
+    test("calc evaluates fma with a single rounding", async () => {
+        const { stdout } = await runCli(main, ["calc", "fma(0.1, 10, -1)", "--format", "fp32", "--json"]);
+        expect(JSON.parse(stdout).result.actualValue).toBe(Math.pow(2, -26));
+    });
+
+    test("dot renders the result against the exact reference", async () => {
+        const { stdout, exitCodes } = await runCli(main, [
+            "dot",
+            "1.5,0.1",
+            "1.5,3",
+            "--input",
+            "fp16",
+            "--product",
+            "fp16",
+            "--accumulator",
+            "fp32",
+        ]);
+        expect(exitCodes).toEqual([]);
+        expect(stdout).toMatch(/Order:\s+sequential/);
+        expect(stdout).toMatch(/Products:\s+rounded/);
+        expect(stdout).toMatch(/Inputs:\s+rounded into the input format/);
+        expect(stdout).toMatch(/Flags:\s+inexact/);
+        expect(stdout).toMatch(/Result:\n\s+Value:\s+2\.5498046875/);
+        expect(stdout).toMatch(/Reference: 2\.5499267578125/);
+        expect(stdout).toMatch(/Error:\s+-0\.0001220703125/);
+    });
+
+    test("dot shows blocked order and integer accumulators", async () => {
+        const { stdout } = await runCli(main, [
+            "dot",
+            "127,-128,100",
+            "127,-128,100",
+            "--input",
+            "int8",
+            "--accumulator",
+            "int16",
+            "--order",
+            "blocked",
+            "--block-size",
+            "2",
+            "--overflow",
+            "wrap",
+            "--digits",
+            "exact",
+        ]);
+        expect(stdout).toMatch(/Order:\s+blocked \(blocks of 2\)/);
+        expect(stdout).toMatch(/Value:\s+-23023/);
+        expect(stdout).toMatch(/Reference: 42513/);
+    });
+
+    test("next lists one value per line", async () => {
+        const { stdout, exitCodes } = await runCli(main, ["next", "1.0", "--format", "bf16", "--count", "2"]);
+        expect(exitCodes).toEqual([]);
+        expect(stdout).toBe("Start:     1 (0x3F80)\n+1:        1.0078125 (0x3F81)\n+2:        1.015625 (0x3F82)\n");
+        // The bottom of the range repeats
+        const down = await runCli(main, ["next", "0", "--format", "uint8", "--down"]);
+        expect(down.stdout).toMatch(/-1:\s+0 \(0x00\)/);
+    });
+
+    test("ulp shows the ulp and neighbours, or the distance between two values", async () => {
+        const { stdout } = await runCli(main, ["ulp", "1", "--format", "bf16"]);
+        expect(stdout).toMatch(/ULP:\s+0\.0078125/);
+        expect(stdout).toMatch(/Next up:\s+1\.0078125 \(0x3F81\)/);
+        expect(stdout).toMatch(/Next down: 0\.99609375 \(0x3F7F\)/);
+        const distance = await runCli(main, ["ulp", "1", "2", "--format", "bf16"]);
+        expect(distance.stdout).toMatch(/Distance:\s+128 ulps/);
+        const one = await runCli(main, ["ulp", "1", "1.0078125", "--format", "bf16"]);
+        expect(one.stdout).toMatch(/Distance:\s+1 ulp\n/);
+    });
+
     test("encode accepts a custom format JSON string", async () => {
         const { stdout, exitCodes } = await runCli(main, [
             "encode",
@@ -0,0 +1,140 @@
+// Copyright (c) 2026 Spencer Williams
+// Licensed under the MIT License.
+
+import { mkdtempSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import { runDump } from "../src/commands.js";
+import { main } from "../src/index.js";
+import { runCli } from "./helpers.js";
+
+let dir;
+
+beforeAll(() => {
+    dir = mkdtempSync(join(tmpdir(), "fp-conv-dump-"));
+});
+
+afterAll(() => {
+    rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Write bytes to a file in the test directory.
+ * @param {string} name
+ * @param {number[]|Buffer} bytes
+ * @returns {string} The file's path.
+ */
+function file(name, bytes) {
+    const path = join(dir, name);
+    writeFileSync(path, Buffer.from(bytes));
+    return path;
+}
+
+/**
+ * A safetensors file: header length, JSON header, then the data.
+ * @param {object} header
+ * @param {number[]} data
+ * @returns {Buffer}
+ */
+function safetensors(header, data) {
+    const json = Buffer.from(JSON.stringify(header));
+    const length = Buffer.alloc(8);
+    length.writeUInt32LE(json.length);
+    return Buffer.concat([length, json, Buffer.from(data)]);
+}
+
+describe("runDump", () => {
+    test("reads a window of a raw file", () => {
+        const path = file("weights.bin", [0x38, 0x40, 0x7f, 0xff, 0x01, 0x80]);
+        const result = runDump({ file: path, format: "fp8_e4m3", offset: 4, count: 10 });
+        expect(result).toMatchObject({ container: "raw", totalElements: 6, offset: 4 });
+        expect(result.elements.map((e) => [e.hex, e.value, e.type])).toEqual([
+            ["0x01", 0.001953125, "Subnormal"],
+            ["0x80", -0, "-Zero"],
+        ]);
+        expect(() => runDump({ file: join(dir, "missing.bin"), format: "int8" })).toThrow("ENOENT");
+    });
+});
+
+describe("main: dump", () => {
+    test("renders a table of elements", async () => {
+        const path = file("packed.bin", [0x2f, 0x70]);
+        const { stdout, exitCodes } = await runCli(main, [
+            "dump",
+            path,
+            "--format",
+            "fp4_e2m1",
+            "--nibble-order",
+            "highFirst",
+            "--offset",
+            "1",
+            "--count",
+            "2",
+        ]);
+        expect(exitCodes).toEqual([]);
+        expect(stdout).toBe(
+            [
+                "Format:    fp4_e2m1 (little-endian, highFirst)",
+                "Elements:  1-2 of 4",
+                "",
+                "  Index  Bits  Value  Type",
+                "  1      0xF   -6     Normal",
+                "  2      0x7   6      Normal",
+                "",
+            ].join("\n")
+        );
+    });
+
+    test("reads a safetensors tensor with its dtype", async () => {
+        const path = file(
+            "model.safetensors",
+            safetensors(
+                {
+                    w: { dtype: "BF16", shape: [1, 2], data_offsets: [0, 4] },
+                    b: { dtype: "F16", shape: [1], data_offsets: [4, 6] },
+                },
+                [0x80, 0x3f, 0x00, 0xc0, 0x00, 0x3c]
+            )
+        );
+        const { stdout } = await runCli(main, ["dump", path]);
+        expect(stdout.split("\n").slice(0, 4)).toEqual([
+            "Tensor:    w: BF16 [1, 2] (safetensors)",
+            "Tensors:   w, b",
+            "Format:    bf16 (little-endian)",
+            "Elements:  0-1 of 2",
+        ]);
+        const json = await runCli(main, ["dump", path, "--tensor", "b", "--json"]);
+        expect(JSON.parse(json.stdout).elements[0]).toMatchObject({ hex: "0x3C00", value: 1 });
+    });
+
+    test("shows an empty window and big-endian custom formats", async () => {
+        const path = file("big.bin", [0x3f, 0x80]);
+        const { stdout } = await runCli(main, [
+            "dump",
+            path,
+            "--format",
+            '{"signBits":1,"exponentBits":8,"mantissaBits":7}',
+            "--endianness",
+            "big",
+            "--offset",
+            "1",
+        ]);
+        expect(stdout).toBe("Format:    custom (big-endian)\nElements:  none of 1\n");
+    });
+
+    test("reports bad arguments", async () => {
+        const path = file("bytes.bin", [1, 2]);
+        const cases = [
+            [["dump"], "Missing required argument: <file>"],
+            [["dump", path], 'Parameter "format" is required.'],
+            [["dump", path, "--format", "int8", "--offset", "1.5"], "Invalid --offset: 1.5"],
+            [["dump", path, "--format", "int8", "--container", "zip"], 'Unknown container: "zip"'],
+        ];
+        for (const [args, message] of cases) {
+            const { stderr, exitCodes } = await runCli(main, args);
+            expect(stderr).toContain(message);
+            expect(exitCodes).toEqual([1]);
+        }
+    });
+});
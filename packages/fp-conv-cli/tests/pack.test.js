@@ -0,0 +1,155 @@
+// Copyright (c) 2026 Spencer Williams
+// Licensed under the MIT License.
+
+import { mkdtempSync, writeFileSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { Readable, Writable } from "node:stream";
+
+import { runPack } from "../src/pack.js";
+import { main } from "../src/index.js";
+import { runCli } from "./helpers.js";
+
+let dir;
+
+beforeAll(() => {
+    dir = mkdtempSync(join(tmpdir(), "fp-conv-pack-"));
+});
+
+afterAll(() => {
+    rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Write text to a file in the test directory.
+ * @param {string} name
+ * @param {string|Buffer} content
+ * @returns {string} The file's path.
+ */
+function file(name, content) {
+    const path = join(dir, name);
+    writeFileSync(path, content);
+    return path;
+}
+
+/**
+ * Pack in-memory text into collected bytes.
+ * @param {string[]} chunks
+ * @param {object} params
+ * @returns {Promise<{bytes: number[], summary: object}>}
+ */
+async function pack(chunks, params) {
+    const received = [];
+    const output = new Writable({
+        write(chunk, _encoding, callback) {
+            received.push(chunk);
+            callback();
+        },
+    });
+    const summary = await runPack({ source: "-", target: "-", input: Readable.from(chunks), output, ...params });
+    return { bytes: [...Buffer.concat(received)], summary };
+}
+
+describe("runPack", () => {
+    test("packs a newline list, a CSV column and a JSON array", async () => {
+        const fp4 = await pack(["1\n-6\n0.5\n3.3\n"], { format: "fp4_e2m1" });
+        expect(fp4.bytes).toEqual([0xf2, 0x51]);
+        expect(fp4.summary).toMatchObject({ count: 4, byteLength: 2, flags: { inexact: 1 } });
+        const csv = await pack(["name,x\na,1\nb,-2\n"], { format: "fp16", column: "x", endianness: "big" });
+        expect(csv.bytes).toEqual([0x3c, 0x00, 0xc0, 0x00]);
+        const json = await pack(['[1, "0x80", -1]'], { format: "int8", alignment: 4 });
+        expect(json.bytes).toEqual([0x01, 0x7f, 0xff, 0x00]);
+        expect(json.summary.flags).toEqual({ invalid: 1 });
+    });
+
+    test("skips a CSV header and reports bad values with their position", async () => {
+        expect((await pack(["x\n1\n"], { format: "int8", column: "1" })).bytes).toEqual([1]);
+        await expect(pack(["1\nabc\n"], { format: "int8" })).rejects.toThrow(/^line 2: Cannot parse value: "abc"/);
+    });
+
+    test("writes .npy files and reads .npy input", async () => {
+        const target = join(dir, "out.npy");
+        const summary = await runPack({ source: file("values.txt", "0.1\n-2\n"), target, format: "fp32" });
+        expect(summary).toMatchObject({ container: "npy", dtype: "<f4", count: 2, byteLength: 136 });
+        const written = readFileSync(target);
+        expect(written.subarray(0, 6).toString("latin1")).toBe("\x93NUMPY");
+        expect([...written.subarray(128)]).toEqual([0xcd, 0xcc, 0xcc, 0x3d, 0x00, 0x00, 0x00, 0xc0]);
+
+        const bf16 = await pack([], { source: target, format: "bf16" });
+        expect(bf16.bytes).toEqual([0xcd, 0x3d, 0x00, 0xc0]);
+        await expect(runPack({ source: target, target: "-", column: "1", format: "fp16" })).rejects.toThrow(
+            "--column does not apply to .npy input"
+        );
+    });
+
+    test("refuses to write to a terminal and reports unreadable or unwritable files", async () => {
+        const output = new Writable({ write: (_chunk, _encoding, callback) => callback() });
+        output.isTTY = true;
+        await expect(
+            runPack({ source: "-", target: "-", input: Readable.from(["1"]), output, format: "int8" })
+        ).rejects.toThrow("Refusing to write binary data to a terminal");
+        await expect(
+            runPack({ source: join(dir, "missing.txt"), target: join(dir, "partial.bin"), format: "int8" })
+        ).rejects.toThrow("ENOENT");
+        await expect(
+            runPack({ source: file("one.txt", "1\n"), target: join(dir, "no", "such.bin"), format: "int8" })
+        ).rejects.toThrow("ENOENT");
+    });
+});
+
+describe("main: pack", () => {
+    test("writes a file and prints a summary", async () => {
+        const source = file("weights.csv", "w\n1\n-6\n0.25\n");
+        const target = join(dir, "weights.bin");
+        const { stdout, exitCodes } = await runCli(main, [
+            "pack",
+            source,
+            target,
+            "--format",
+            "fp4_e2m1",
+            "--nibble-order",
+            "highFirst",
+            "--alignment",
+            "8",
+            "--rounding",
+            "towardZero",
+        ]);
+        expect(exitCodes).toEqual([]);
+        expect(stdout).toBe(
+            [
+                "Packed:    3 elements of fp4_e2m1 into 8 bytes",
+                "Layout:    raw, little-endian, highFirst, 8-byte aligned",
+                "Flags:     underflow 1, inexact 1",
+                "",
+            ].join("\n")
+        );
+        expect([...readFileSync(target)]).toEqual([0x2f, 0x00, 0, 0, 0, 0, 0, 0]);
+    });
+
+    test("sends the summary to stderr when the bytes go to stdout", async () => {
+        const source = file("two.txt", "1\n2\n");
+        // Jest's stdout is a terminal when run interactively
+        const isTTY = process.stdout.isTTY;
+        process.stdout.isTTY = false;
+        const { stderr } = await runCli(main, ["pack", source, "--format", "uint8", "--json"]).finally(() => {
+            process.stdout.isTTY = isTTY;
+        });
+        expect(JSON.parse(stderr)).toMatchObject({ format: "uint8", container: "raw", count: 2, byteLength: 2 });
+    });
+
+    test("reports bad arguments", async () => {
+        const source = file("three.txt", "1\n");
+        const cases = [
+            [["pack"], "Missing required argument: <in>"],
+            [["pack", source], "Missing required option: --format"],
+            [["pack", source, "--format", "fp16", "--alignment", "0"], "Invalid --alignment: 0"],
+            [["pack", source, join(dir, "x.npy"), "--format", "bf16"], 'Format "bf16" has no NumPy dtype'],
+            [["pack", source, "--format", "fp16", "--container", "zip"], 'Unknown container: "zip"'],
+        ];
+        for (const [args, message] of cases) {
+            const { stderr, exitCodes } = await runCli(main, args);
+            expect(stderr).toContain(message);
+            expect(exitCodes).toEqual([1]);
+        }
+    });
+});
@@ -0,0 +1,156 @@
+// Copyright (c) 2026 Spencer Williams
+// Licensed under the MIT License.
+
+import { mkdtempSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { Readable } from "node:stream";
+
+import { runScale } from "../src/scale.js";
+import { main } from "../src/index.js";
+import { runCli } from "./helpers.js";
+
+let dir;
+
+beforeAll(() => {
+    dir = mkdtempSync(join(tmpdir(), "fp-conv-scale-"));
+});
+
+afterAll(() => {
+    rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Write text or bytes to a file in the test directory.
+ * @param {string} name
+ * @param {string|Buffer} content
+ * @returns {string} The file's path.
+ */
+function file(name, content) {
+    const path = join(dir, name);
+    writeFileSync(path, content);
+    return path;
+}
+
+/**
+ * A little-endian float32 .npy file.
+ * @param {number[]} shape
+ * @param {number[]} values
+ * @param {boolean} [fortranOrder]
+ * @returns {Buffer}
+ */
+function npy(shape, values, fortranOrder = false) {
+    const dict = `{'descr': '<f4', 'fortran_order': ${fortranOrder ? "True" : "False"}, 'shape': (${shape.join(", ")},), }`;
+    // The magic, version and length take 10 bytes; the header pads the data to 64
+    const header = `${dict.padEnd(Math.ceil((dict.length + 11) / 64) * 64 - 11, " ")}\n`;
+    const data = Buffer.alloc(values.length * 4);
+    values.forEach((value, i) => data.writeFloatLE(value, i * 4));
+    const prefix = Buffer.from([0x93, 0x4e, 0x55, 0x4d, 0x50, 0x59, 1, 0, header.length, 0]);
+    return Buffer.concat([prefix, Buffer.from(header), data]);
+}
+
+/**
+ * Scale in-memory text.
+ * @param {string} text
+ * @param {object} params
+ * @returns {Promise<object>}
+ */
+function scale(text, params) {
+    return runScale({ source: "-", input: Readable.from([text]), ...params });
+}
+
+describe("runScale", () => {
+    test("reads rows of text, skipping a header, and a list of values", async () => {
+        const rows = await scale("a, b\n1, 100\n0.01 -2\n", { format: "int8", granularity: "column", method: "amax" });
+        expect(rows.shape).toEqual([2, 2]);
+        expect(rows.recipes[0].scales).toEqual([1 / 127, 100 / 127]);
+        const list = await scale("0.5\n2\n\n-8\n100\n", { format: "fp4_e2m1", powerOfTwo: true });
+        expect(list.shape).toEqual([4]);
+        expect(list.best).toBe("mse");
+    });
+
+    test("reads a JSON array of rows", async () => {
+        const result = await scale("[[1, 100], [0.01, -2]]", { format: "int8", granularity: "row", method: "amax" });
+        expect(result.recipes[0].scales).toEqual([100 / 127, 2 / 127]);
+    });
+
+    test("reads a 2-D .npy file in either order", async () => {
+        const c = file("c.npy", npy([2, 3], [1, 2, 4, 100, 200, 400]));
+        const fortran = file("f.npy", npy([2, 3], [1, 100, 2, 200, 4, 400], true));
+        for (const source of [c, fortran]) {
+            const result = await runScale({ source, format: "int8", granularity: "row", method: "amax" });
+            expect(result.recipes[0].scales).toEqual([4 / 127, 400 / 127]);
+        }
+        const flat = await runScale({ source: file("flat.npy", npy([2], [1, -2])), format: "int8", method: "amax" });
+        expect(flat.shape).toEqual([2]);
+    });
+
+    test("reports ragged rows, bad JSON and empty input", async () => {
+        await expect(scale("1,2\n3\n", { format: "int8" })).rejects.toThrow("line 2: expected 2 values, found 1");
+        await expect(scale("[1, 2", { format: "int8" })).rejects.toThrow("Invalid JSON array");
+        await expect(scale("x\n", { format: "int8" })).rejects.toThrow("No values to scale");
+    });
+});
+
+describe("main: scale", () => {
+    test("renders a table of recipes", async () => {
+        const source = file("weights.txt", "0.5\n2\n-8\n100\n");
+        const { stdout, exitCodes } = await runCli(main, ["scale", source, "--format", "fp4_e2m1", "--power-of-two"]);
+        expect(exitCodes).toEqual([]);
+        expect(stdout).toBe(
+            [
+                "Format:    fp4_e2m1",
+                "Shape:     4",
+                "Scaling:   per tensor, powers of two",
+                "Best:      mse (least MSE)",
+                "",
+                "  Method           Scale  MSE      SQNR      Max error  Clipped",
+                "  amax             32     21.0625  20.77 dB  8          0",
+                "  percentile 99.9  32     21.0625  20.77 dB  8          0",
+                "  mse              16     5.0625   26.97 dB  4          1",
+                "",
+            ].join("\n")
+        );
+    });
+
+    test("shows the range of per-channel scales and prints JSON", async () => {
+        const source = file("matrix.csv", "1,100\n0.01,-2\n");
+        const { stdout } = await runCli(main, [
+            "scale",
+            source,
+            "--format",
+            "int8",
+            "--granularity",
+            "column",
+            "--method",
+            "percentile",
+            "--percentile",
+            "50",
+        ]);
+        expect(stdout.split("\n").slice(2, 7)).toEqual([
+            "Scaling:   per column (2 scales)",
+            "Best:      percentile (least MSE)",
+            "",
+            "  Method         Scale                   MSE      SQNR     Max error  Clipped",
+            "  percentile 50  0.00397638 .. 0.401575  600.311  6.20 dB  49         2",
+        ]);
+        const json = await runCli(main, ["scale", source, "--format", "int8", "--method", "amax", "--json"]);
+        expect(JSON.parse(json.stdout).recipes[0].scales).toEqual([100 / 127]);
+    });
+
+    test("reports bad arguments", async () => {
+        const source = file("one.txt", "1\n");
+        const cases = [
+            [["scale"], "Missing required argument: <in>"],
+            [["scale", source], "Missing required option: --format"],
+            [["scale", source, "--format", "int8", "--percentile", "0"], "Invalid --percentile: 0"],
+            [["scale", source, "--format", "int8", "--granularity", "row"], 'Granularity "row" needs the values'],
+            [["scale", source, "--format", "int8", "--method", "kl"], 'Unknown scaling method: "kl"'],
+        ];
+        for (const [args, message] of cases) {
+            const { stderr, exitCodes } = await runCli(main, args);
+            expect(stderr).toContain(message);
+            expect(exitCodes).toEqual([1]);
+        }
+    });
+});
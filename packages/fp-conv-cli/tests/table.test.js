@@ -0,0 +1,113 @@
+// Copyright (c) 2026 Spencer Williams
+// Licensed under the MIT License.
+
+import { Writable } from "node:stream";
+
+import { runTable } from "../src/table.js";
+import { main } from "../src/index.js";
+import { runCli } from "./helpers.js";
+
+/**
+ * Run the table command into memory.
+ * @param {object} params
+ * @returns {Promise<{count: number, text: string}>}
+ */
+async function table(params) {
+    let text = "";
+    const output = new Writable({
+        write(chunk, _encoding, callback) {
+            text += chunk;
+            callback();
+        },
+    });
+    const count = await runTable({ output, ...params });
+    return { count, text };
+}
+
+describe("runTable", () => {
+    test("writes a CSV row per encoding", async () => {
+        const { count, text } = await table({ format: "fp8_e5m2" });
+        const lines = text.trimEnd().split("\n");
+        expect(count).toBe(256);
+        expect(lines).toHaveLength(257);
+        expect(lines.slice(0, 2)).toEqual([
+            "bits,hex,binary,value,type,ulp",
+            "0,0x00,00000000,0,+Zero,0.0000152587890625",
+        ]);
+        expect(lines[0x7c + 1]).toBe("124,0x7C,01111100,Infinity,+Infinity,Infinity");
+    });
+
+    test("writes a JSON array and a Markdown table", async () => {
+        const json = JSON.parse((await table({ format: "int4", out: "json" })).text);
+        expect(json).toHaveLength(16);
+        expect(json[15]).toEqual({ bits: 15, hex: "0xF", binary: "1111", value: -1, type: "Negative Integer", ulp: 1 });
+        const { text } = await table({ format: "int4", out: "markdown" });
+        expect(text.split("\n").slice(0, 3)).toEqual([
+            "| Bits | Hex | Binary | Value | Class | ULP |",
+            "| ---: | --- | --- | ---: | --- | ---: |",
+            "| 0 | 0x0 | 0000 | 0 | Zero | 1 |",
+        ]);
+    });
+
+    test("writes a C header of value and ulp arrays", async () => {
+        const { text } = await table({ format: "fp8_e4m3", out: "c-header" });
+        const lines = text.split("\n");
+        expect(lines.slice(2, 11)).toEqual([
+            "#ifndef FP8_E4M3_TABLE_H",
+            "#define FP8_E4M3_TABLE_H",
+            "",
+            "#include <math.h>",
+            "",
+            "#define FP8_E4M3_TABLE_SIZE 256",
+            "",
+            "/* Decoded value of each bit pattern */",
+            "static const double fp8_e4m3_values[FP8_E4M3_TABLE_SIZE] = {",
+        ]);
+        expect(lines).toContain("    448.0,                    /* 0x7E Normal */");
+        expect(lines).toContain("    -0.0,                     /* 0x80 -Zero */");
+        expect(lines).toContain("    NAN,                      /* 0xFF NaN */");
+        expect(lines).toContain("static const double fp8_e4m3_ulp[FP8_E4M3_TABLE_SIZE] = {");
+        expect(lines).toContain("    32.0,                     /* 0xFE */");
+        expect(lines.at(-2)).toBe("#endif /* FP8_E4M3_TABLE_H */");
+    });
+
+    test("names C arrays after the format and writes infinities and exact digits", async () => {
+        const fixed = (await table({ format: "q1.3", out: "c-header", digits: "exact" })).text;
+        expect(fixed).toContain("static const double q1_3_values[Q1_3_TABLE_SIZE] = {");
+        expect(fixed).toContain("    -0.125,                   /* 0xF Fixed-point */");
+        const custom = (await table({ format: { exponentBits: 2, mantissaBits: 1 }, out: "c-header" })).text;
+        expect(custom).toContain("#define CUSTOM_TABLE_SIZE 16");
+        expect(custom).toContain("    -INFINITY,                /* 0xE -Infinity */");
+    });
+
+    test("rejects unknown outputs, shortest C digits and wide formats", async () => {
+        await expect(table({ format: "fp8_e5m2", out: "xml" })).rejects.toThrow(
+            "Invalid --out: xml (expected csv, json, markdown, c-header)"
+        );
+        await expect(table({ format: "fp8_e5m2", out: "c-header", digits: "shortest" })).rejects.toThrow(
+            "--digits shortest does not apply to --out c-header"
+        );
+        await expect(table({ format: "fp32" })).rejects.toThrow("Format has 32 bits");
+    });
+});
+
+describe("main: table", () => {
+    test("writes the table to stdout", async () => {
+        const { stdout, exitCodes } = await runCli(main, ["table", "--format", "e8m0", "--out", "markdown"]);
+        expect(exitCodes).toEqual([]);
+        expect(stdout.trimEnd().split("\n")).toHaveLength(258);
+    });
+
+    test("reports bad arguments", async () => {
+        const cases = [
+            [["table"], "Missing required option: --format"],
+            [["table", "--format", "fp16", "--json"], "--json does not apply to table (use --out csv, json"],
+            [["table", "--format", "bf16", "--out", "jsonl"], "Invalid --out: jsonl"],
+        ];
+        for (const [args, message] of cases) {
+            const { stderr, exitCodes } = await runCli(main, args);
+            expect(stderr).toContain(message);
+            expect(exitCodes).toEqual([1]);
+        }
+    });
+});
@@ -13,9 +13,10 @@ const here = dirname(fileURLToPath(import.meta.url));
 const pkg = JSON.parse(readFileSync(join(here, "package.json"), "utf8"));
 
 // Bundle our own source plus the shared root modules (lib/floating-point.js and
-// src/webmcp.js), which live outside this package and would not otherwise be
-// included when publishing to npm. Third-party dependencies such as the MCP SDK
-// stay external and are resolved from node_modules at runtime.
+// src/webmcp.js with the src/ modules beside it), which live outside this
+// package and would not otherwise be included when publishing to npm.
+// Third-party dependencies such as the MCP SDK stay external and are resolved
+// from node_modules at runtime.
 await build({
     entryPoints: ["src/cli.js"],
     outfile: "dist/index.js",
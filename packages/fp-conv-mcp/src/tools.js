@@ -3,8 +3,10 @@
 
 // Reuse the exact same tool descriptors that power the experimental in-browser
 // WebMCP integration. The root `src/webmcp.js` module is CommonJS and already
-// imports the conversion engine from `lib/floating-point.js`; esbuild inlines
-// both into the published bundle so there is a single source of truth.
+// imports the conversion engine from `lib/floating-point.js` and the tools kept
+// in their own modules (`src/quantization.js`, `src/scaling.js`); esbuild
+// inlines them all into the published bundle so there is a single source of
+// truth.
 import webmcp from "../../../src/webmcp.js";
 
 const { buildToolDescriptors } = webmcp;
@@ -13,6 +13,14 @@ const EXPECTED_TOOLS = [
     "decode_bits",
     "convert_format",
     "get_format_info",
+    "quantize_mx",
+    "calculate",
+    "dot_product",
+    "next_value",
+    "get_ulp",
+    "ulp_distance",
+    "analyze_quantization",
+    "search_scaling",
 ];
 
 /** Parse the JSON payload embedded in an MCP tool result's first text block. */
@@ -62,6 +70,59 @@ describe("callTool", () => {
         expect(info.totalBits).toBe(32);
     });
 
+    test("encode_number accepts a Qm.n fixed-point format", () => {
+        const stats = parseResult(callTool("encode_number", { value: "1.5", format: "q8.8" }));
+        expect(stats.hex).toBe("0x0180");
+        expect(stats.rawValue).toBe(384);
+    });
+
+    test("quantize_mx returns the shared scale and elements", () => {
+        const out = parseResult(callTool("quantize_mx", { values: [0.5, 3], format: "mxfp4_e2m1" }));
+        expect(out.blocks[0].scale.hex).toBe("0x7E");
+        expect(out.blocks[0].elements.map((e) => e.value)).toEqual([0.5, 3]);
+    });
+
+    test("calculate rounds an operation once in the format", () => {
+        const out = parseResult(callTool("calculate", { expression: "1 + 2^-11", format: "fp16" }));
+        expect(out.operation).toBe("add");
+        expect(out.result.hex).toBe("0x3C00");
+        expect(out.result.flags.inexact).toBe(true);
+    });
+
+    test("dot_product reports the error of a narrow accumulator", () => {
+        const ones = Array(300).fill(1);
+        const out = parseResult(
+            callTool("dot_product", { a: ones, b: ones, inputFormat: "bf16", accumulatorFormat: "bf16" })
+        );
+        expect(out.result.actualValue).toBe(256);
+        expect(out.reference.value).toBe(300);
+        expect(out.error.absolute).toBe(-44);
+    });
+
+    test("next_value steps through a format", () => {
+        const out = parseResult(callTool("next_value", { value: "1", format: "bf16", count: 2 }));
+        expect(out.values.map((v) => v.hex)).toEqual(["0x3F81", "0x3F82"]);
+    });
+
+    test("get_ulp and ulp_distance measure in ulps", () => {
+        expect(parseResult(callTool("get_ulp", { value: "1", format: "bf16" })).ulp).toBe(0.0078125);
+        expect(parseResult(callTool("ulp_distance", { a: "1", b: "2", format: "bf16" })).distance).toBe(128);
+    });
+
+    test("analyze_quantization summarizes the error over an array", () => {
+        const out = parseResult(callTool("analyze_quantization", { values: [1, 0.3, -500], format: "fp8_e4m3" }));
+        expect(out).toMatchObject({ count: 3, overflows: 1, maxAbsError: 52 });
+        expect(out.ulpHistogram).toHaveLength(6);
+    });
+
+    test("search_scaling finds the scale with the least error", () => {
+        const out = parseResult(
+            callTool("search_scaling", { values: [0.5, 2, -8, 100], format: "fp4_e2m1", powerOfTwo: true })
+        );
+        expect(out.best).toBe("mse");
+        expect(out.recipes.map((r) => r.scales[0])).toEqual([32, 32, 16]);
+    });
+
     test("list_formats returns all presets", () => {
         const formats = parseResult(callTool("list_formats", {}));
         expect(Array.isArray(formats)).toBe(true);
@@ -0,0 +1,983 @@
+// Copyright (c) 2026 Spencer Williams
+// Licensed under the MIT License.
+
+/* global ROUNDING_MODES, OVERFLOW_MODES, resolveFormat, getFormatInfo */
+// Code generation: a format's constants (bias, range, masks, shifts, special
+// encodings) and a reference cast from and to a double, as a C header, a
+// SystemVerilog package or a Python module. The constants come from
+// getFormatInfo; the casts are specialized for one rounding mode and work on
+// the bits of the double, so all three languages round exactly as the
+// library does. Requires ROUNDING_MODES and OVERFLOW_MODES from
+// floating-point.js and resolveFormat and getFormatInfo from webmcp.js.
+
+// In Node.js (testing), import from the library; in browser, rely on globals.
+var _CODEGEN_ROUNDING_MODES, _CODEGEN_OVERFLOW_MODES, _codegenResolveFormat, _codegenFormatInfo;
+if (typeof require !== 'undefined') {
+    const lib = require('../lib/floating-point.js');
+    const webmcp = require('./webmcp.js');
+    _CODEGEN_ROUNDING_MODES = lib.ROUNDING_MODES;
+    _CODEGEN_OVERFLOW_MODES = lib.OVERFLOW_MODES;
+    _codegenResolveFormat = webmcp.resolveFormat;
+    _codegenFormatInfo = webmcp.getFormatInfo;
+} else {
+    /* istanbul ignore next */
+    _CODEGEN_ROUNDING_MODES = ROUNDING_MODES;
+    /* istanbul ignore next */
+    _CODEGEN_OVERFLOW_MODES = OVERFLOW_MODES;
+    /* istanbul ignore next */
+    _codegenResolveFormat = resolveFormat;
+    /* istanbul ignore next */
+    _codegenFormatInfo = getFormatInfo;
+}
+
+const CODE_LANGUAGES = ['c', 'systemverilog', 'python'];
+
+// File name of the generated code, from the identifier
+const CODE_FILENAMES = {
+    c: (name) => `${name}.h`,
+    systemverilog: (name) => `${name}_pkg.sv`,
+    python: (name) => `${name}.py`,
+};
+
+// When the bits dropped by rounding (the first of them `round`, any of the
+// rest `sticky`) carry the kept magnitude `n` up by one. Round-to-odd sets
+// the last kept bit instead, and toward zero never carries.
+const ROUND_UP = {
+    tiesToEven: { c: 'round_bit && (sticky || (n & 1))', python: 'round_bit and (sticky or n & 1)', systemverilog: 'round_bit && (sticky || n[0])' },
+    tiesToAway: { c: 'round_bit', python: 'round_bit', systemverilog: 'round_bit' },
+    tiesToZero: { c: 'round_bit && sticky', python: 'round_bit and sticky', systemverilog: 'round_bit && sticky' },
+    tiesToOdd: { c: 'round_bit && (sticky || !(n & 1))', python: 'round_bit and (sticky or not n & 1)', systemverilog: 'round_bit && (sticky || !n[0])' },
+    towardPositive: { c: '!sign && (round_bit || sticky)', python: 'not sign and (round_bit or sticky)', systemverilog: '!sign && (round_bit || sticky)' },
+    towardNegative: { c: 'sign && (round_bit || sticky)', python: 'sign and (round_bit or sticky)', systemverilog: 'sign && (round_bit || sticky)' },
+};
+
+// The dropped bits a rounding mode looks at
+function roundingBits(roundingMode) {
+    if (roundingMode === 'towardZero') return [];
+    return roundingMode === 'tiesToAway' ? ['round_bit'] : ['round_bit', 'sticky'];
+}
+
+/**
+ * Generate a format's constants and reference encode and decode routines in
+ * C, SystemVerilog or Python. Formats must fit 64 bits and their values a
+ * double: floating-point formats of up to 52 mantissa bits within the double
+ * range, fixed-point formats of up to 53 bits, and integers of up to 64.
+ * @param {{format: string|object, language?: string, roundingMode?: string, name?: string}} params -
+ *     `name` is the identifier the code is named with (default: from the
+ *     format's preset key, or "custom").
+ * @returns {{language: string, name: string, filename: string, code: string}}
+ */
+function generateCode({ format: formatSpec, language = 'c', roundingMode = _CODEGEN_ROUNDING_MODES.tiesToEven, name }) {
+    if (!formatSpec) {
+        throw new Error('Parameter "format" is required.');
+    }
+    if (!CODE_LANGUAGES.includes(language)) {
+        throw new Error(`Unknown language: "${language}". Use ${CODE_LANGUAGES.join(', ')}.`);
+    }
+    if (roundingMode === _CODEGEN_ROUNDING_MODES.stochastic) {
+        throw new Error('Stochastic rounding has no reference cast; choose a deterministic rounding mode.');
+    }
+    if (!Object.values(_CODEGEN_ROUNDING_MODES).includes(roundingMode)) {
+        const modes = Object.values(_CODEGEN_ROUNDING_MODES).filter((mode) => mode !== 'stochastic');
+        throw new Error(`Unknown rounding mode: "${roundingMode}". Valid modes: ${modes.join(', ')}.`);
+    }
+    const identifier = name === undefined ? defaultName(formatSpec) : name;
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(identifier)) {
+        throw new Error(`Parameter "name" must be an identifier (letters, digits and underscores): "${identifier}".`);
+    }
+    const format = _codegenResolveFormat(formatSpec);
+    const info = JSON.parse(_codegenFormatInfo({ format: formatSpec }).content[0].text);
+    const plan = info.type === 'floating-point'
+        ? floatPlan(format, info, roundingMode)
+        : integerPlan(format, info, roundingMode);
+    plan.name = identifier;
+    const code = { c: cCode, systemverilog: svCode, python: pythonCode }[language](plan);
+    return { language, name: identifier, filename: CODE_FILENAMES[language](identifier), code };
+}
+
+// An identifier from a preset key or Qm.n string: "q8.8" becomes "q8_8"
+function defaultName(formatSpec) {
+    if (typeof formatSpec !== 'string') return 'custom';
+    const name = formatSpec.trim().toLowerCase().replace(/[^a-z0-9_]/g, '_');
+    return /^[0-9]/.test(name) ? `fmt_${name}` : name;
+}
+
+// Bit pattern of an encode result, as a BigInt
+function encodedBits(format, encoded) {
+    return BigInt(format.toHexString(encoded.sign, encoded.exponent, encoded.mantissa));
+}
+
+// What a floating-point format's cast needs: its fields, the exponents of
+// its finite range and the encodings each special case rounds to, found by
+// encoding those cases with the library itself.
+function floatPlan(format, info, roundingMode) {
+    const { totalBits, signBits, exponentBits, mantissaBits, bias, hasZero } = info;
+    const subnormals = info.specialValues.subnormals;
+    if (exponentBits === 0) {
+        throw new Error('Code generation needs a floating-point format with exponent bits.');
+    }
+    const maxMagnitude = encodedBits(format, format.getMaxNormal(false));
+    const minExponent = hasZero ? 1 - bias : -bias;
+    const maxExponent = Number(maxMagnitude >> BigInt(mantissaBits)) - bias;
+    const leastExponent = subnormals ? minExponent - mantissaBits : minExponent;
+    if (totalBits > 64 || mantissaBits > 52 || maxExponent > 1023 || leastExponent < -1074) {
+        throw new Error('Code generation needs a format of at most 64 bits whose values a double holds exactly.');
+    }
+    const code = (value) => encodedBits(format, format.encode(value, { roundingMode }));
+    const directed = roundingMode === _CODEGEN_ROUNDING_MODES.towardPositive ||
+        roundingMode === _CODEGEN_ROUNDING_MODES.towardNegative;
+    const plan = {
+        kind: 'float',
+        totalBits,
+        signBits,
+        mantissaBits,
+        bias,
+        hasZero,
+        subnormals,
+        nanEncoding: info.specialValues.nan,
+        hasInfinity: info.hasInfinity,
+        minExponent,
+        maxExponent,
+        maxMagnitude,
+        fieldMax: (1 << exponentBits) - 1,
+        roundingMode,
+        // Without a sign bit, only directed rounding and a missing zero look
+        // at the sign of the double
+        usesSign: signBits > 0 || !hasZero || directed,
+        description: `${totalBits}-bit floating point: ${signBits} sign, ${exponentBits} exponent and ` +
+            `${mantissaBits} mantissa bits, bias ${bias}`,
+        codes: {
+            nan: code(NaN),
+            infinity: code(Infinity),
+            negativeInfinity: code(-Infinity),
+            overflow: code(Number.MAX_VALUE),
+            negativeOverflow: code(-Number.MAX_VALUE),
+            zero: code(0),
+            negativeZero: code(-0),
+            // Without zero, magnitudes below the smallest normal become it
+            tiny: code(Number.MIN_VALUE),
+            negativeTiny: code(-Number.MIN_VALUE),
+            // Without a sign bit or zero, every negative value encodes alike
+            negative: code(-1),
+        },
+    };
+    const mantissaMask = (1n << BigInt(mantissaBits)) - 1n;
+    plan.constants = [
+        { name: 'TOTAL_BITS', type: 'int', value: totalBits },
+        { name: 'SIGN_BITS', type: 'int', value: signBits },
+        { name: 'EXPONENT_BITS', type: 'int', value: exponentBits },
+        { name: 'MANTISSA_BITS', type: 'int', value: mantissaBits },
+        { name: 'BIAS', type: 'int', value: bias },
+        { name: 'MIN_EXPONENT', type: 'int', value: minExponent },
+        { name: 'MAX_EXPONENT', type: 'int', value: maxExponent },
+        { name: 'EXPONENT_SHIFT', type: 'int', value: mantissaBits },
+        ...(signBits ? [{ name: 'SIGN_MASK', type: 'bits', value: 1n << BigInt(totalBits - 1) }] : []),
+        { name: 'EXPONENT_MASK', type: 'bits', value: BigInt(plan.fieldMax) << BigInt(mantissaBits) },
+        { name: 'MANTISSA_MASK', type: 'bits', value: mantissaMask },
+        { name: 'MAX_NORMAL', type: 'real', value: info.maxNormal },
+        { name: 'MIN_NORMAL', type: 'real', value: info.minNormal },
+        ...(info.maxSubnormal === undefined ? [] : [
+            { name: 'MAX_SUBNORMAL', type: 'real', value: info.maxSubnormal },
+            { name: 'MIN_SUBNORMAL', type: 'real', value: info.minSubnormal },
+        ]),
+        { name: 'MAX_NORMAL_BITS', type: 'bits', value: maxMagnitude },
+        ...(info.hasInfinity ? [{ name: 'INFINITY_BITS', type: 'bits', value: plan.codes.infinity }] : []),
+        ...(info.hasNaN ? [{ name: 'NAN_BITS', type: 'bits', value: plan.codes.nan }] : []),
+    ];
+    return plan;
+}
+
+// What an integer or fixed-point format's cast needs: its range as stored
+// integers and how out-of-range values and NaN are handled.
+function integerPlan(format, info, roundingMode) {
+    const fixed = info.type === 'fixed-point';
+    const { totalBits, signed } = info;
+    // Integers have at most 64 bits; a double holds fixed-point values of up to 53 exactly
+    if (fixed && totalBits > 53) {
+        throw new Error('Code generation needs a fixed-point format of at most 53 bits, whose values a double holds exactly.');
+    }
+    const fractionBits = fixed ? info.fractionBits : 0;
+    const limit = 1n << BigInt(signed ? totalBits - 1 : totalBits);
+    const minRaw = signed ? -limit : 0n;
+    const maxRaw = limit - 1n;
+    const overflow = format.overflow;
+    const raw = (value) => BigInt.asUintN(totalBits, value);
+    const plan = {
+        kind: fixed ? 'fixed' : 'integer',
+        totalBits,
+        signed,
+        fractionBits,
+        roundingMode,
+        usesSign: true,
+        overflow,
+        minRaw,
+        maxRaw,
+        mask: (1n << BigInt(totalBits)) - 1n,
+        description: fixed
+            ? `${totalBits}-bit ${signed ? 'signed' : 'unsigned'} fixed point: ${info.integerBits} integer and ` +
+                `${fractionBits} fraction bits`
+            : `${totalBits}-bit ${signed ? 'signed' : 'unsigned'} integer`,
+        codes: {
+            nan: fixed || overflow === _CODEGEN_OVERFLOW_MODES.error ? 0n : raw(BigInt(format.nanValue)),
+            max: raw(maxRaw),
+            min: raw(minRaw),
+        },
+    };
+    plan.constants = [
+        { name: 'TOTAL_BITS', type: 'int', value: totalBits },
+        ...(fixed ? [
+            { name: 'INTEGER_BITS', type: 'int', value: info.integerBits },
+            { name: 'FRACTION_BITS', type: 'int', value: fractionBits },
+        ] : []),
+        { name: 'SIGNED', type: 'int', value: signed ? 1 : 0 },
+        { name: fixed ? 'MIN_RAW' : 'MIN_VALUE', type: signed ? 'signed' : 'unsigned', value: minRaw },
+        { name: fixed ? 'MAX_RAW' : 'MAX_VALUE', type: signed ? 'signed' : 'unsigned', value: maxRaw },
+        ...(fixed ? [
+            { name: 'MIN_VALUE', type: 'real', value: Number(info.minValue) },
+            { name: 'MAX_VALUE', type: 'real', value: Number(info.maxValue) },
+            { name: 'RESOLUTION', type: 'real', value: Number(info.resolution) },
+        ] : []),
+        { name: 'MASK', type: 'bits', value: plan.mask },
+    ];
+    return plan;
+}
+
+// The first comment lines of every generated file
+function headerLines(plan) {
+    const overflow = plan.kind === 'float' ? '' : `; out-of-range values ${{
+        saturate: 'saturate',
+        wrap: 'wrap modulo 2^' + plan.totalBits,
+        error: 'are errors',
+    }[plan.overflow]}`;
+    return [
+        `${plan.name}: ${plan.description}.`,
+        `Constants and a reference cast from and to a double, rounding ${plan.roundingMode}${overflow}.`,
+        'Generated by fp-conv.',
+    ];
+}
+
+// A double literal every language reads alike: "448.0", "1e-7"
+function realLiteral(value) {
+    const text = String(value);
+    return /^-?\d+$/.test(text) ? `${text}.0` : text;
+}
+
+// Uppercase hex digits of a bit pattern, padded to the format's width
+function hexDigits(value, totalBits) {
+    return value.toString(16).toUpperCase().padStart(Math.ceil(totalBits / 4), '0');
+}
+
+// ── C ──────────────────────────────────────────────────────────────
+
+function cCode(plan) {
+    const { name, totalBits } = plan;
+    const prefix = name.toUpperCase();
+    const storage = `uint${storageWidth(totalBits)}_t`;
+    const bits = (value) => (storageWidth(totalBits) === 64
+        ? `UINT64_C(0x${hexDigits(value, totalBits)})`
+        : `0x${hexDigits(value, totalBits)}u`);
+    // Negative macros are parenthesized, so `x-NAME` never reads as `x--1`
+    const literal = ({ type, value }) => {
+        if (type === 'bits') return bits(value);
+        const text = type === 'real' ? realLiteral(value) : cInteger(value, type);
+        return text.startsWith('-') ? `(${text})` : text;
+    };
+    const usesErrno = plan.kind !== 'float' && plan.overflow === _CODEGEN_OVERFLOW_MODES.error;
+    const lines = [
+        '/*',
+        ...headerLines(plan).map((line) => ` * ${line}`),
+        ' */',
+        '',
+        `#ifndef ${prefix}_H`,
+        `#define ${prefix}_H`,
+        '',
+        ...(usesErrno ? ['#include <errno.h>'] : []),
+        ...(plan.kind === 'integer' ? [] : ['#include <math.h>']),
+        '#include <stdint.h>',
+        '#include <string.h>',
+        '',
+        ...plan.constants.map((constant) => `#define ${prefix}_${constant.name} ${literal(constant)}`),
+        '',
+        ...(plan.kind === 'float' ? cFloatFunctions(plan, storage, bits) : cIntegerFunctions(plan, storage, bits)),
+        '',
+        `#endif /* ${prefix}_H */`,
+        '',
+    ];
+    return lines.join('\n');
+}
+
+// Width of the unsigned integer type a format is stored in
+function storageWidth(totalBits) {
+    return [8, 16, 32, 64].find((width) => totalBits <= width);
+}
+
+// A C integer constant; values beyond 32 bits take the stdint.h macros
+function cInteger(value, type) {
+    const big = BigInt(value);
+    if (big >= -(1n << 31n) && big < 1n << 31n) return String(big);
+    if (type === 'unsigned') return `UINT64_C(${big})`;
+    // -2^63 has no literal: its magnitude does not fit int64_t
+    return big === -(1n << 63n) ? '(-INT64_C(9223372036854775807) - 1)' : `INT64_C(${big})`;
+}
+
+// The lines of a C encode that split a double into its sign, a 53-bit
+// significand with its leading bit at bit 52 and the exponent of bit 0
+function cSplitDouble(plan) {
+    return [
+        '    memcpy(&x, &value, sizeof x);',
+        ...(plan.usesSign ? ['    sign = (int)(x >> 63);'] : []),
+        '    exp = (int)((x >> 52) & 0x7FF);',
+        '    sig = x & UINT64_C(0xFFFFFFFFFFFFF);',
+    ];
+}
+
+function cNormalize() {
+    return [
+        '    /* value = sig * 2^exp, with the leading bit of sig at bit 52 */',
+        '    if (exp == 0) {',
+        '        exp = -1074;',
+        '        while (!(sig >> 52)) {',
+        '            sig <<= 1;',
+        '            exp--;',
+        '        }',
+        '    } else {',
+        '        sig |= UINT64_C(1) << 52;',
+        '        exp -= 1075;',
+        '    }',
+    ];
+}
+
+// Round sig * 2^exp to a whole number of 2^q units into n, where `shift`
+// holds q - exp >= 0
+function cRound(plan) {
+    const uses = roundingBits(plan.roundingMode);
+    const lines = [
+        '    if (shift > 53) {',
+        '        n = 0;',
+        ...(uses.includes('round_bit') ? ['        round_bit = 0;'] : []),
+        ...(uses.includes('sticky') ? ['        sticky = 1;'] : []),
+        '    } else {',
+        '        n = sig >> shift;',
+        ...(uses.includes('round_bit') ? ['        round_bit = shift > 0 && ((sig >> (shift - 1)) & 1);'] : []),
+        ...(uses.includes('sticky')
+            ? ['        sticky = shift > 1 && (sig & ((UINT64_C(1) << (shift - 1)) - 1)) != 0;']
+            : []),
+        '    }',
+    ];
+    if (plan.roundingMode === 'toOdd') {
+        lines.push('    if (round_bit || sticky) n |= 1;');
+    } else if (plan.roundingMode !== 'towardZero') {
+        lines.push(`    if (${ROUND_UP[plan.roundingMode].c}) n++;`);
+    }
+    return lines;
+}
+
+function cFloatFunctions(plan, storage, bits) {
+    const { name, codes, mantissaBits } = plan;
+    const prefix = name.toUpperCase();
+    const signShift = plan.totalBits - 1;
+    const either = (negative, positive) => (negative === positive ? bits(positive)
+        : `sign ? ${bits(negative)} : ${bits(positive)}`);
+    const lines = [
+        '/* The value of a bit pattern, exactly */',
+        `static inline double ${name}_decode(${storage} bits)`,
+        '{',
+        ...(plan.signBits ? [`    int sign = (int)((bits >> ${signShift}) & 1);`] : []),
+        `    int exp = (int)((bits >> ${mantissaBits}) & ${plan.fieldMax});`,
+        `    uint64_t man = bits & ${prefix}_MANTISSA_MASK;`,
+        '    double value;',
+        '',
+    ];
+    if (plan.nanEncoding === 'ieee') {
+        lines.push(`    if (exp == ${plan.fieldMax} && man != 0) return NAN;`);
+    } else if (plan.nanEncoding === 'allOnes') {
+        lines.push(`    if (exp == ${plan.fieldMax} && man == ${prefix}_MANTISSA_MASK) return NAN;`);
+    } else if (plan.nanEncoding === 'negativeZero') {
+        lines.push('    if (sign && exp == 0 && man == 0) return NAN;');
+    }
+    if (plan.hasInfinity) {
+        lines.push(`    if (exp == ${plan.fieldMax} && man == 0) return ${plan.signBits ? 'sign ? -INFINITY : ' : ''}INFINITY;`);
+    }
+    if (plan.hasZero) {
+        lines.push(
+            '    if (exp == 0)',
+            plan.subnormals
+                ? `        value = ldexp((double)man, ${plan.minExponent - mantissaBits});`
+                : '        value = 0.0;',
+            '    else',
+            `        value = ldexp((double)(man | (UINT64_C(1) << ${mantissaBits})), exp - ${plan.bias + mantissaBits});`
+        );
+    } else {
+        lines.push(`    value = ldexp((double)(man | (UINT64_C(1) << ${mantissaBits})), exp - ${plan.bias + mantissaBits});`);
+    }
+    lines.push(
+        `    return ${plan.signBits ? 'sign ? -value : ' : ''}value;`,
+        '}',
+        '',
+        `/* The bit pattern of a double, rounded ${plan.roundingMode} */`,
+        `static inline ${storage} ${name}_encode(double value)`,
+        '{',
+        '    uint64_t x, sig, n, mag;',
+        `    int ${[...(plan.usesSign ? ['sign'] : []), 'exp', 'lead', 'shift', ...roundingBits(plan.roundingMode)].join(', ')};`,
+        '',
+        ...cSplitDouble(plan),
+        '    if (exp == 0x7FF) {',
+        `        if (sig != 0) return ${bits(codes.nan)};`,
+        `        return ${either(codes.negativeInfinity, codes.infinity)};`,
+        '    }',
+        `    if (exp == 0 && sig == 0) return ${either(codes.negativeZero, codes.zero)};`,
+        ...(!plan.signBits && !plan.hasZero ? [`    if (sign) return ${bits(codes.negative)};`] : []),
+        ...cNormalize(),
+        '    lead = exp + 52;',
+        `    if (lead > ${prefix}_MAX_EXPONENT) return ${either(codes.negativeOverflow, codes.overflow)};`,
+    );
+    if (plan.hasZero) {
+        const below = plan.subnormals ? `${prefix}_MIN_EXPONENT - ${mantissaBits}` : `${prefix}_MIN_EXPONENT`;
+        lines.push(
+            '    /* bits below the last place the format keeps */',
+            `    shift = (lead >= ${prefix}_MIN_EXPONENT ? lead - ${mantissaBits} : ${below}) - exp;`,
+            ...cRound(plan),
+            `    if (lead >= ${prefix}_MIN_EXPONENT)`,
+            `        mag = ((uint64_t)(lead + ${prefix}_BIAS) << ${mantissaBits}) + n - (UINT64_C(1) << ${mantissaBits});`,
+            '    else',
+            `        mag = ${plan.subnormals ? 'n' : `n << ${mantissaBits}`};`,
+        );
+    } else {
+        lines.push(
+            `    if (lead < ${prefix}_MIN_EXPONENT) return ${either(codes.negativeTiny, codes.tiny)};`,
+            '    /* bits below the last place the format keeps */',
+            `    shift = lead - ${mantissaBits} - exp;`,
+            ...cRound(plan),
+            `    mag = ((uint64_t)(lead + ${prefix}_BIAS) << ${mantissaBits}) + n - (UINT64_C(1) << ${mantissaBits});`,
+        );
+    }
+    lines.push(
+        `    if (mag > ${prefix}_MAX_NORMAL_BITS) return ${either(codes.negativeOverflow, codes.overflow)};`,
+        ...(plan.hasZero ? [`    if (mag == 0) return ${either(codes.negativeZero, codes.zero)};`] : []),
+        plan.signBits
+            ? `    return (${storage})(((uint64_t)sign << ${signShift}) | mag);`
+            : `    return (${storage})mag;`,
+        '}',
+    );
+    return lines;
+}
+
+function cIntegerFunctions(plan, storage, bits) {
+    const { name, codes, totalBits } = plan;
+    const prefix = name.toUpperCase();
+    const error = plan.overflow === _CODEGEN_OVERFLOW_MODES.error;
+    const wrap = plan.overflow === _CODEGEN_OVERFLOW_MODES.wrap;
+    const width = storageWidth(totalBits);
+    const valueType = plan.kind === 'fixed' ? 'double' : `${plan.signed ? 'int' : 'uint'}${width}_t`;
+    const negativeLimit = plan.signed ? bits(1n << BigInt(totalBits - 1)) : '0';
+    const max = `${prefix}_${plan.kind === 'fixed' ? 'MAX_RAW' : 'MAX_VALUE'}`;
+    // Errors saturate after setting errno, as strtol does
+    const outOfRange = [
+        ...(error ? ['        errno = ERANGE;'] : []),
+        `        return sign ? ${bits(codes.min)} : ${bits(codes.max)};`,
+    ];
+    const lines = [
+        plan.kind === 'fixed' ? '/* The value of a bit pattern, exactly */' : '/* The integer a bit pattern holds */',
+        `static inline ${valueType} ${name}_decode(${storage} bits)`,
+        '{',
+        `    uint64_t raw = bits & ${prefix}_MASK;`,
+    ];
+    if (plan.kind === 'fixed') {
+        const magnitude = plan.signed
+            ? `(raw >> ${totalBits - 1}) ? -(double)((~raw & ${prefix}_MASK) + 1) : (double)raw`
+            : '(double)raw';
+        lines.push(`    return ldexp(${magnitude}, -${plan.fractionBits});`);
+    } else if (plan.signed) {
+        lines.push(`    return (raw >> ${totalBits - 1}) ? (${valueType})(-(int64_t)(~raw & ${prefix}_MASK) - 1) : (${valueType})raw;`);
+    } else {
+        lines.push(`    return (${valueType})raw;`);
+    }
+    lines.push(
+        '}',
+        '',
+        `/* The bit pattern of a double, rounded ${plan.roundingMode} */`,
+        `static inline ${storage} ${name}_encode(double value)`,
+        '{',
+        '    uint64_t x, sig, n;',
+        `    int ${['sign', 'exp', ...(wrap ? [] : ['lead']), 'shift', ...roundingBits(plan.roundingMode)].join(', ')};`,
+        '',
+        ...cSplitDouble(plan),
+        '    if (exp == 0x7FF) {',
+        '        if (sig != 0) {',
+        ...(error ? ['            errno = EDOM;'] : []),
+        `            return ${bits(codes.nan)};`,
+        '        }',
+        ...outOfRange,
+        '    }',
+        '    if (exp == 0 && sig == 0) return 0;',
+        ...cNormalize(),
+        ...(plan.fractionBits ? [`    exp += ${prefix}_FRACTION_BITS; /* the stored integer is value * 2^${plan.fractionBits} */`] : []),
+        ...(wrap ? [] : ['    lead = exp + 52;', `    if (lead >= ${totalBits}) {`, ...outOfRange, '    }']),
+        '    if (exp >= 0) {',
+        '        /* a whole number: nothing to round */',
+        `        n = ${wrap ? 'exp < 64 ? sig << exp : 0' : 'sig << exp'};`,
+        '    } else {',
+        '        shift = -exp;',
+        ...cRound(plan).map((line) => `    ${line}`),
+        '    }',
+    );
+    if (!wrap) {
+        lines.push(`    if (n > (sign ? ${negativeLimit} : ${max})) {`, ...outOfRange, '    }');
+    }
+    lines.push(`    return (${storage})((sign ? 0 - n : n) & ${prefix}_MASK);`, '}');
+    return lines;
+}
+
+// ── SystemVerilog ──────────────────────────────────────────────────
+
+function svCode(plan) {
+    const { name, totalBits } = plan;
+    const bits = (value) => `${totalBits}'h${hexDigits(value, totalBits)}`;
+    const declaration = ({ name: constant, type, value }) => {
+        if (type === 'real') return `localparam real ${constant} = ${realLiteral(value)};`;
+        if (type === 'bits') return `localparam logic [${totalBits - 1}:0] ${constant} = ${bits(value)};`;
+        if (type === 'int') return `localparam int ${constant} = ${value};`;
+        return `localparam longint${type === 'unsigned' ? ' unsigned' : ''} ${constant} = ${svInteger(value)};`;
+    };
+    const lines = [
+        ...headerLines(plan).map((line) => `// ${line}`),
+        '',
+        `package ${name}_pkg;`,
+        '',
+        ...plan.constants.map((constant) => `    ${declaration(constant)}`),
+        '',
+        ...(plan.kind === 'float' ? svFloatFunctions(plan, bits) : svIntegerFunctions(plan, bits)),
+        '',
+        `endpackage : ${name}_pkg`,
+        '',
+    ];
+    return lines.join('\n');
+}
+
+// A SystemVerilog longint constant; 64-bit bounds are written as their bits
+function svInteger(value) {
+    const big = BigInt(value);
+    if (big >= -(1n << 31n) && big < 1n << 31n) return String(big);
+    return `64'h${BigInt.asUintN(64, big).toString(16).toUpperCase()}`;
+}
+
+function svSplitDouble(plan) {
+    return [
+        '        x = $realtobits(value);',
+        ...(plan.usesSign ? ['        sign = x[63];'] : []),
+        '        exp = int\'(x[62:52]);',
+        '        sig = {12\'b0, x[51:0]};',
+    ];
+}
+
+function svNormalize() {
+    return [
+        '        // value = sig * 2^exp, with the leading bit of sig at bit 52',
+        '        if (exp == 0) begin',
+        '            exp = -1074;',
+        '            while (!sig[52]) begin',
+        '                sig = sig << 1;',
+        '                exp--;',
+        '            end',
+        '        end else begin',
+        '            sig[52] = 1\'b1;',
+        '            exp -= 1075;',
+        '        end',
+    ];
+}
+
+function svRound(plan) {
+    const uses = roundingBits(plan.roundingMode);
+    const lines = [
+        '        if (shift > 53) begin',
+        '            n = 0;',
+        ...(uses.includes('round_bit') ? ['            round_bit = 1\'b0;'] : []),
+        ...(uses.includes('sticky') ? ['            sticky = 1\'b1;'] : []),
+        '        end else begin',
+        '            n = sig >> shift;',
+        ...(uses.includes('round_bit') ? ['            round_bit = shift > 0 && sig[shift - 1];'] : []),
+        ...(uses.includes('sticky')
+            ? ['            sticky = shift > 1 && (sig & ((64\'d1 << (shift - 1)) - 1)) != 0;']
+            : []),
+        '        end',
+    ];
+    if (plan.roundingMode === 'toOdd') {
+        lines.push('        if (round_bit || sticky) n[0] = 1\'b1;');
+    } else if (plan.roundingMode !== 'towardZero') {
+        lines.push(`        if (${ROUND_UP[plan.roundingMode].systemverilog}) n++;`);
+    }
+    return lines;
+}
+
+// The declaration of single-bit encode variables, if any
+function svBits(names) {
+    return names.length ? [`        logic ${names.join(', ')};`] : [];
+}
+
+function svFloatFunctions(plan, bits) {
+    const { codes, mantissaBits, totalBits } = plan;
+    const either = (negative, positive) => (negative === positive ? bits(positive)
+        : `sign ? ${bits(negative)} : ${bits(positive)}`);
+    const scaled = `real'(man | (64'd1 << ${mantissaBits})) * 2.0 ** (exp - ${plan.bias + mantissaBits})`;
+    const lines = [
+        '    // The value of a bit pattern, exactly',
+        `    function automatic real decode(input logic [${totalBits - 1}:0] bits);`,
+        '        logic sign;',
+        '        int exp;',
+        '        longint unsigned man;',
+        '        real value;',
+        `        sign = ${plan.signBits ? `bits[${totalBits - 1}]` : '1\'b0'};`,
+        `        exp = int'((bits & EXPONENT_MASK) >> ${mantissaBits});`,
+        '        man = bits & MANTISSA_MASK;',
+    ];
+    if (plan.nanEncoding === 'ieee') {
+        lines.push(`        if (exp == ${plan.fieldMax} && man != 0) return $bitstoreal(64'h7FF8000000000000);`);
+    } else if (plan.nanEncoding === 'allOnes') {
+        lines.push(`        if (exp == ${plan.fieldMax} && man == MANTISSA_MASK) return $bitstoreal(64'h7FF8000000000000);`);
+    } else if (plan.nanEncoding === 'negativeZero') {
+        lines.push('        if (sign && exp == 0 && man == 0) return $bitstoreal(64\'h7FF8000000000000);');
+    }
+    if (plan.hasInfinity) {
+        lines.push(`        if (exp == ${plan.fieldMax} && man == 0) return $bitstoreal(sign ? 64'hFFF0000000000000 : 64'h7FF0000000000000);`);
+    }
+    if (plan.hasZero) {
+        lines.push(
+            '        if (exp == 0)',
+            plan.subnormals
+                ? `            value = real'(man) * 2.0 ** (${plan.minExponent - mantissaBits});`
+                : '            value = 0.0;',
+            '        else',
+            `            value = ${scaled};`,
+        );
+    } else {
+        lines.push(`        value = ${scaled};`);
+    }
+    lines.push(
+        '        return sign ? -value : value;',
+        '    endfunction',
+        '',
+        `    // The bit pattern of a real, rounded ${plan.roundingMode}`,
+        `    function automatic logic [${totalBits - 1}:0] encode(input real value);`,
+        '        logic [63:0] x, sig, n, mag;',
+        ...svBits([...(plan.usesSign ? ['sign'] : []), ...roundingBits(plan.roundingMode)]),
+        '        int exp, lead, shift;',
+        ...svSplitDouble(plan),
+        '        if (exp == \'h7FF) begin',
+        `            if (sig != 0) return ${bits(codes.nan)};`,
+        `            return ${either(codes.negativeInfinity, codes.infinity)};`,
+        '        end',
+        `        if (exp == 0 && sig == 0) return ${either(codes.negativeZero, codes.zero)};`,
+        ...(!plan.signBits && !plan.hasZero ? [`        if (sign) return ${bits(codes.negative)};`] : []),
+        ...svNormalize(),
+        '        lead = exp + 52;',
+        `        if (lead > MAX_EXPONENT) return ${either(codes.negativeOverflow, codes.overflow)};`,
+    );
+    if (plan.hasZero) {
+        const below = plan.subnormals ? `MIN_EXPONENT - ${mantissaBits}` : 'MIN_EXPONENT';
+        lines.push(
+            '        // bits below the last place the format keeps',
+            `        shift = (lead >= MIN_EXPONENT ? lead - ${mantissaBits} : ${below}) - exp;`,
+            ...svRound(plan),
+            '        if (lead >= MIN_EXPONENT)',
+            `            mag = (64'(lead + BIAS) << ${mantissaBits}) + n - (64'd1 << ${mantissaBits});`,
+            '        else',
+            `            mag = ${plan.subnormals ? 'n' : `n << ${mantissaBits}`};`,
+        );
+    } else {
+        lines.push(
+            `        if (lead < MIN_EXPONENT) return ${either(codes.negativeTiny, codes.tiny)};`,
+            '        // bits below the last place the format keeps',
+            `        shift = lead - ${mantissaBits} - exp;`,
+            ...svRound(plan),
+            `        mag = (64'(lead + BIAS) << ${mantissaBits}) + n - (64'd1 << ${mantissaBits});`,
+        );
+    }
+    lines.push(
+        `        if (mag > MAX_NORMAL_BITS) return ${either(codes.negativeOverflow, codes.overflow)};`,
+        ...(plan.hasZero ? [`        if (mag == 0) return ${either(codes.negativeZero, codes.zero)};`] : []),
+        plan.signBits
+            ? `        return {sign, mag[${totalBits - 2}:0]};`
+            : `        return mag[${totalBits - 1}:0];`,
+        '    endfunction',
+    );
+    return lines;
+}
+
+function svIntegerFunctions(plan, bits) {
+    const { codes, totalBits } = plan;
+    const error = plan.overflow === _CODEGEN_OVERFLOW_MODES.error;
+    const wrap = plan.overflow === _CODEGEN_OVERFLOW_MODES.wrap;
+    const outOfRange = [
+        ...(error ? ['            $error("value out of range");'] : []),
+        `            return sign ? ${bits(codes.min)} : ${bits(codes.max)};`,
+    ];
+    const negativeLimit = plan.signed ? `64'd1 << ${totalBits - 1}` : '0';
+    const stored = plan.signed ? 'longint\'($signed(bits))' : 'longint\'(bits)';
+    const lines = plan.kind === 'fixed'
+        ? [
+            '    // The value of a bit pattern, exactly',
+            `    function automatic real decode(input logic [${totalBits - 1}:0] bits);`,
+            `        return real'(${stored}) * 2.0 ** (-${plan.fractionBits});`,
+            '    endfunction',
+        ]
+        : [
+            '    // The integer a bit pattern holds',
+            `    function automatic longint${plan.signed ? '' : ' unsigned'} decode(input logic [${totalBits - 1}:0] bits);`,
+            `        return ${plan.signed ? stored : 'bits'};`,
+            '    endfunction',
+        ];
+    lines.push(
+        '',
+        `    // The bit pattern of a real, rounded ${plan.roundingMode}`,
+        `    function automatic logic [${totalBits - 1}:0] encode(input real value);`,
+        '        logic [63:0] x, sig, n;',
+        `        logic ${['sign', ...roundingBits(plan.roundingMode)].join(', ')};`,
+        `        int exp, ${wrap ? '' : 'lead, '}shift;`,
+        ...svSplitDouble(plan),
+        '        if (exp == \'h7FF) begin',
+        '            if (sig != 0) begin',
+        ...(error ? ['                $error("NaN has no encoding");'] : []),
+        `                return ${bits(codes.nan)};`,
+        '            end',
+        ...outOfRange,
+        '        end',
+        '        if (exp == 0 && sig == 0) return 0;',
+        ...svNormalize(),
+        ...(plan.fractionBits ? [`        exp += FRACTION_BITS; // the stored integer is value * 2^${plan.fractionBits}`] : []),
+        ...(wrap ? [] : ['        lead = exp + 52;', `        if (lead >= ${totalBits}) begin`, ...outOfRange, '        end']),
+        '        if (exp >= 0) begin',
+        '            // a whole number: nothing to round',
+        '            n = sig << exp;',
+        '        end else begin',
+        '            shift = -exp;',
+        ...svRound(plan).map((line) => `    ${line}`),
+        '        end',
+    );
+    if (!wrap) {
+        lines.push(
+            `        if (n > (sign ? ${negativeLimit} : ${plan.kind === 'fixed' ? 'MAX_RAW' : 'MAX_VALUE'})) begin`,
+            ...outOfRange,
+            '        end',
+        );
+    }
+    lines.push(
+        '        if (sign) n = -n;',
+        `        return n[${totalBits - 1}:0];`,
+        '    endfunction',
+    );
+    return lines;
+}
+
+// ── Python ─────────────────────────────────────────────────────────
+
+function pythonCode(plan) {
+    const { totalBits } = plan;
+    const literal = ({ type, value }) => {
+        if (type === 'real') return realLiteral(value);
+        if (type === 'bits') return `0x${hexDigits(value, totalBits)}`;
+        return String(value);
+    };
+    const [title, ...rest] = headerLines(plan);
+    const lines = [
+        `"""${title}`,
+        '',
+        ...rest,
+        '"""',
+        '',
+        ...(plan.kind === 'integer' ? [] : ['import math']),
+        'import struct',
+        '',
+        ...plan.constants.map((constant) => `${constant.name} = ${literal(constant)}`),
+        '',
+        '',
+        ...(plan.kind === 'float' ? pythonFloatFunctions(plan) : pythonIntegerFunctions(plan)),
+        '',
+    ];
+    return lines.join('\n');
+}
+
+function pythonSplitDouble(plan) {
+    return [
+        '    x = struct.unpack("<Q", struct.pack("<d", value))[0]',
+        ...(plan.usesSign ? ['    sign = x >> 63'] : []),
+        '    exp = (x >> 52) & 0x7FF',
+        '    sig = x & 0xFFFFFFFFFFFFF',
+    ];
+}
+
+function pythonNormalize() {
+    return [
+        '    # value = sig * 2**exp, with the leading bit of sig at bit 52',
+        '    if exp == 0:',
+        '        exp = -1074',
+        '        while not sig >> 52:',
+        '            sig <<= 1',
+        '            exp -= 1',
+        '    else:',
+        '        sig |= 1 << 52',
+        '        exp -= 1075',
+    ];
+}
+
+function pythonRound(plan) {
+    const uses = roundingBits(plan.roundingMode);
+    const lines = [
+        '    n = sig >> shift',
+        ...(uses.includes('round_bit') ? ['    round_bit = shift > 0 and (sig >> (shift - 1)) & 1'] : []),
+        ...(uses.includes('sticky') ? ['    sticky = shift > 1 and sig & ((1 << (shift - 1)) - 1) != 0'] : []),
+    ];
+    if (plan.roundingMode === 'toOdd') {
+        lines.push('    if round_bit or sticky:', '        n |= 1');
+    } else if (plan.roundingMode !== 'towardZero') {
+        lines.push(`    if ${ROUND_UP[plan.roundingMode].python}:`, '        n += 1');
+    }
+    return lines;
+}
+
+function pythonFloatFunctions(plan) {
+    const { codes, mantissaBits, totalBits } = plan;
+    const hex = (value) => `0x${hexDigits(value, totalBits)}`;
+    const either = (negative, positive) => (negative === positive ? hex(positive)
+        : `${hex(negative)} if sign else ${hex(positive)}`);
+    const lines = [
+        'def decode(bits):',
+        '    """The value of a bit pattern, exactly."""',
+        plan.signBits ? `    sign = (bits >> ${totalBits - 1}) & 1` : '    sign = 0',
+        `    exp = (bits >> ${mantissaBits}) & ${plan.fieldMax}`,
+        '    man = bits & MANTISSA_MASK',
+    ];
+    if (plan.nanEncoding === 'ieee') {
+        lines.push(`    if exp == ${plan.fieldMax} and man != 0:`, '        return math.nan');
+    } else if (plan.nanEncoding === 'allOnes') {
+        lines.push(`    if exp == ${plan.fieldMax} and man == MANTISSA_MASK:`, '        return math.nan');
+    } else if (plan.nanEncoding === 'negativeZero') {
+        lines.push('    if sign and exp == 0 and man == 0:', '        return math.nan');
+    }
+    if (plan.hasInfinity) {
+        lines.push(`    if exp == ${plan.fieldMax} and man == 0:`, '        return -math.inf if sign else math.inf');
+    }
+    const scaled = `math.ldexp(man | (1 << ${mantissaBits}), exp - ${plan.bias + mantissaBits})`;
+    if (plan.hasZero) {
+        lines.push(
+            '    if exp == 0:',
+            plan.subnormals
+                ? `        value = math.ldexp(man, ${plan.minExponent - mantissaBits})`
+                : '        value = 0.0',
+            '    else:',
+            `        value = ${scaled}`,
+        );
+    } else {
+        lines.push(`    value = ${scaled}`);
+    }
+    lines.push(
+        '    return -value if sign else value',
+        '',
+        '',
+        'def encode(value):',
+        `    """The bit pattern of a float, rounded ${plan.roundingMode}."""`,
+        ...pythonSplitDouble(plan),
+        '    if exp == 0x7FF:',
+        '        if sig:',
+        `            return ${hex(codes.nan)}`,
+        `        return ${either(codes.negativeInfinity, codes.infinity)}`,
+        '    if exp == 0 and sig == 0:',
+        `        return ${either(codes.negativeZero, codes.zero)}`,
+        ...(!plan.signBits && !plan.hasZero ? ['    if sign:', `        return ${hex(codes.negative)}`] : []),
+        ...pythonNormalize(),
+        '    lead = exp + 52',
+        '    if lead > MAX_EXPONENT:',
+        `        return ${either(codes.negativeOverflow, codes.overflow)}`,
+    );
+    if (plan.hasZero) {
+        const below = plan.subnormals ? `MIN_EXPONENT - ${mantissaBits}` : 'MIN_EXPONENT';
+        lines.push(
+            '    # bits below the last place the format keeps',
+            `    shift = (lead - ${mantissaBits} if lead >= MIN_EXPONENT else ${below}) - exp`,
+            ...pythonRound(plan),
+            '    if lead >= MIN_EXPONENT:',
+            `        mag = ((lead + BIAS) << ${mantissaBits}) + n - (1 << ${mantissaBits})`,
+            '    else:',
+            `        mag = ${plan.subnormals ? 'n' : `n << ${mantissaBits}`}`,
+        );
+    } else {
+        lines.push(
+            '    if lead < MIN_EXPONENT:',
+            `        return ${either(codes.negativeTiny, codes.tiny)}`,
+            '    # bits below the last place the format keeps',
+            `    shift = lead - ${mantissaBits} - exp`,
+            ...pythonRound(plan),
+            `    mag = ((lead + BIAS) << ${mantissaBits}) + n - (1 << ${mantissaBits})`,
+        );
+    }
+    lines.push(
+        '    if mag > MAX_NORMAL_BITS:',
+        `        return ${either(codes.negativeOverflow, codes.overflow)}`,
+        ...(plan.hasZero ? ['    if mag == 0:', `        return ${either(codes.negativeZero, codes.zero)}`] : []),
+        plan.signBits ? `    return (sign << ${totalBits - 1}) | mag` : '    return mag',
+    );
+    return lines;
+}
+
+function pythonIntegerFunctions(plan) {
+    const { codes, totalBits } = plan;
+    const hex = (value) => `0x${hexDigits(value, totalBits)}`;
+    const error = plan.overflow === _CODEGEN_OVERFLOW_MODES.error;
+    const wrap = plan.overflow === _CODEGEN_OVERFLOW_MODES.wrap;
+    const outOfRange = error
+        ? [`        raise OverflowError(f"{value} is out of range for ${plan.name}")`]
+        : [`        return ${hex(codes.min)} if sign else ${hex(codes.max)}`];
+    const negativeLimit = plan.signed ? `1 << ${totalBits - 1}` : '0';
+    const stored = plan.signed
+        ? `bits - (1 << ${totalBits}) if bits >> ${totalBits - 1} else bits`
+        : 'bits';
+    const lines = plan.kind === 'fixed'
+        ? [
+            'def decode(bits):',
+            '    """The value of a bit pattern, exactly."""',
+            '    bits &= MASK',
+            `    return math.ldexp(${stored}, -FRACTION_BITS)`,
+        ]
+        : [
+            'def decode(bits):',
+            '    """The integer a bit pattern holds."""',
+            '    bits &= MASK',
+            `    return ${stored}`,
+        ];
+    lines.push(
+        '',
+        '',
+        'def encode(value):',
+        `    """The bit pattern of a float, rounded ${plan.roundingMode}."""`,
+        ...pythonSplitDouble(plan),
+        '    if exp == 0x7FF:',
+        '        if sig:',
+        error
+            ? `            raise ValueError("NaN has no ${plan.name} encoding")`
+            : `            return ${hex(codes.nan)}`,
+        ...outOfRange,
+        '    if exp == 0 and sig == 0:',
+        '        return 0',
+        ...pythonNormalize(),
+        ...(plan.fractionBits ? [`    exp += FRACTION_BITS  # the stored integer is value * 2**${plan.fractionBits}`] : []),
+        ...(wrap ? [] : ['    lead = exp + 52', `    if lead >= ${totalBits}:`, ...outOfRange]),
+        '    if exp >= 0:',
+        '        # a whole number: nothing to round',
+        '        n = sig << exp',
+        '    else:',
+        '        shift = -exp',
+        ...pythonRound(plan).map((line) => `    ${line}`),
+    );
+    if (!wrap) {
+        lines.push(`    if n > (${negativeLimit} if sign else ${plan.kind === 'fixed' ? 'MAX_RAW' : 'MAX_VALUE'}):`, ...outOfRange);
+    }
+    lines.push('    return (-n if sign else n) & MASK');
+    return lines;
+}
+
+// Export for Node.js (testing).
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CODE_LANGUAGES,
+        generateCode,
+    };
+}
@@ -0,0 +1,188 @@
+// Copyright (c) 2026 Spencer Williams
+// Licensed under the MIT License.
+
+/* global createRandom, resolveFormat, buildEncodeOptions, parseValueInput, encodeValueInput, valueDifference, jsonSafeNumber */
+// Quantization analysis: quantize arrays of values into a format and measure
+// the error (MSE, SQNR, worst value, ULP-error histogram) and the overflows,
+// underflows and subnormals along the way. Requires createRandom from
+// floating-point.js and resolveFormat, buildEncodeOptions, parseValueInput,
+// encodeValueInput, valueDifference and jsonSafeNumber from webmcp.js.
+
+// In Node.js (testing), import from the library; in browser, rely on globals.
+var _quantizationCreateRandom, _quantizationResolveFormat, _quantizationEncodeOptions, _quantizationParseValue,
+    _quantizationEncodeValue, _quantizationDifference, _quantizationJsonSafe;
+if (typeof require !== 'undefined') {
+    const lib = require('../lib/floating-point.js');
+    const webmcp = require('./webmcp.js');
+    _quantizationCreateRandom = lib.createRandom;
+    _quantizationResolveFormat = webmcp.resolveFormat;
+    _quantizationEncodeOptions = webmcp.buildEncodeOptions;
+    _quantizationParseValue = webmcp.parseValueInput;
+    _quantizationEncodeValue = webmcp.encodeValueInput;
+    _quantizationDifference = webmcp.valueDifference;
+    _quantizationJsonSafe = webmcp.jsonSafeNumber;
+} else {
+    /* istanbul ignore next */
+    _quantizationCreateRandom = createRandom;
+    /* istanbul ignore next */
+    _quantizationResolveFormat = resolveFormat;
+    /* istanbul ignore next */
+    _quantizationEncodeOptions = buildEncodeOptions;
+    /* istanbul ignore next */
+    _quantizationParseValue = parseValueInput;
+    /* istanbul ignore next */
+    _quantizationEncodeValue = encodeValueInput;
+    /* istanbul ignore next */
+    _quantizationDifference = valueDifference;
+    /* istanbul ignore next */
+    _quantizationJsonSafe = jsonSafeNumber;
+}
+
+// Upper bounds, in ulps of the result, of the ULP-error histogram's buckets:
+// exact, then within a quarter, half, one and two ulps, then further
+const ULP_ERROR_BUCKETS = [0, 0.25, 0.5, 1, 2, Infinity];
+
+/**
+ * Build an analyzer that quantizes values into a format one at a time and
+ * keeps running error statistics, so arrays of any length stream through.
+ * `add(input, scale)` encodes one value divided by an optional scale and
+ * measures the error of the result multiplied back; `result()` returns the
+ * statistics so far. An unscaled value rounds into the format once from its
+ * exact input, but scaling works at double precision: the input is divided by
+ * the scale as a double and the result multiplied back as one, so digits a
+ * double cannot hold (long decimal strings, formats wider than FP64) are
+ * rounded away first. Errors (result − input) cover the values whose input and
+ * result are both finite; an overflow to infinity is counted rather than
+ * averaged. ULP errors are measured in the (scaled) ulp of the result's binade.
+ * Out-of-range integer and fixed-point values count as overflows, though they
+ * raise invalid. With `saturate`, values beyond the format's finite range are
+ * clamped to it first, as scaled low-precision recipes do, and count as
+ * overflows.
+ */
+function createQuantizationAnalyzer({
+    format: formatSpec, roundingMode, flushSubnormals, tininess, overflow, seed, saturate,
+}) {
+    if (!formatSpec) {
+        throw new Error('Parameter "format" is required.');
+    }
+    const format = _quantizationResolveFormat(formatSpec);
+    const random = seed !== undefined ? _quantizationCreateRandom(seed) : undefined;
+    const encodeOptions = _quantizationEncodeOptions(roundingMode, { flushSubnormals, tininess, overflow, random });
+    const range = saturate ? finiteRange(format) : undefined;
+
+    const counts = { overflows: 0, underflows: 0, flushed: 0, invalid: 0, subnormals: 0 };
+    const histogram = ULP_ERROR_BUCKETS.map(() => 0);
+    let count = 0;
+    let finite = 0;
+    let signalPower = 0;
+    let noisePower = 0;
+    let errorSum = 0;
+    let maxRelError = 0;
+    let worst;
+    return {
+        add(input, scale = 1) {
+            const reference = _quantizationParseValue(input);
+            const finiteInput = Number.isFinite(Number(reference));
+            // Scaled values are divided and multiplied back as doubles (see above)
+            let scaled = scale === 1 ? input : Number(reference) / scale;
+            let clamped = false;
+            if (range && finiteInput) {
+                const value = Number(scaled);
+                clamped = value > range.max || value < range.min;
+                if (clamped) scaled = Math.min(Math.max(value, range.min), range.max);
+            }
+            const encoded = _quantizationEncodeValue(format, scaled, encodeOptions);
+            count++;
+            // Integer and fixed-point formats flag an out-of-range value as invalid
+            const singleField = format.isInteger || format.isFixedPoint;
+            if (clamped || encoded.flags.overflow || (singleField && finiteInput && encoded.flags.invalid)) {
+                counts.overflows++;
+            }
+            if (encoded.flags.underflow) counts.underflows++;
+            if (encoded.flags.invalid) counts.invalid++;
+            if (encoded.flushed) counts.flushed++;
+            if (encoded.isSubnormal) counts.subnormals++;
+
+            const { sign, exponent, mantissa } = encoded;
+            const element = format.decode(sign, exponent, mantissa);
+            const decoded = scale === 1 ? element : Number(element) * scale;
+            if (!finiteInput || !Number.isFinite(Number(decoded))) return;
+            const error = _quantizationDifference(decoded, reference);
+            finite++;
+            signalPower += Number(reference) ** 2;
+            noisePower += error ** 2;
+            errorSum += error;
+            if (Number(reference) !== 0) {
+                maxRelError = Math.max(maxRelError, Math.abs(error / Number(reference)));
+            }
+            if (!worst || Math.abs(error) > Math.abs(worst.error)) {
+                worst = { input: String(input), value: _quantizationJsonSafe(decoded), error };
+            }
+            const ulps = Math.abs(error) / (format.ulp(sign, exponent, mantissa) * scale);
+            histogram[ULP_ERROR_BUCKETS.findIndex((bound) => ulps <= bound)]++;
+        },
+        result() {
+            let sqnr = noisePower === 0 ? Infinity : 10 * Math.log10(signalPower / noisePower);
+            if (finite === 0) sqnr = NaN;
+            return {
+                format: formatSpec,
+                count,
+                finite,
+                mse: _quantizationJsonSafe(noisePower / finite),
+                sqnrDb: _quantizationJsonSafe(sqnr),
+                meanError: _quantizationJsonSafe(errorSum / finite),
+                maxAbsError: worst ? Math.abs(worst.error) : 0,
+                maxRelError,
+                worst,
+                ulpHistogram: ULP_ERROR_BUCKETS.map((bound, i) => ({ upTo: _quantizationJsonSafe(bound), count: histogram[i] })),
+                ...counts,
+                subnormalFraction: count === 0 ? 0 : counts.subnormals / count,
+            };
+        },
+    };
+}
+
+/**
+ * analyze_quantization – Quantize an array of values into a format and
+ * report error statistics over the whole array.
+ */
+function analyzeQuantization({ values, ...params }) {
+    if (!Array.isArray(values) || values.length === 0) {
+        throw new Error('Parameter "values" must be a non-empty array.');
+    }
+    const analyzer = createQuantizationAnalyzer(params);
+    values.forEach((value, index) => {
+        try {
+            analyzer.add(value);
+        } catch (err) {
+            throw new Error(`values[${index}]: ${err.message}`, { cause: err });
+        }
+    });
+    return { content: [{ type: 'text', text: JSON.stringify(analyzer.result(), null, 2) }] };
+}
+
+/**
+ * Smallest and largest finite values of a format, as Numbers.
+ */
+function finiteRange(format) {
+    if (format.isInteger || format.isFixedPoint) {
+        const min = format.getMinValue();
+        const max = format.getMaxValue();
+        return {
+            min: Number(format.decode(min.sign, min.exponent, min.mantissa)),
+            max: Number(format.decode(max.sign, max.exponent, max.mantissa)),
+        };
+    }
+    const max = format.getMaxNormal();
+    const value = Number(format.decode(max.sign, max.exponent, max.mantissa));
+    return { min: format.signBits ? -value : 0, max: value };
+}
+
+// Export for Node.js (testing).
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createQuantizationAnalyzer,
+        analyzeQuantization,
+        finiteRange,
+    };
+}
@@ -0,0 +1,183 @@
+// Copyright (c) 2026 Spencer Williams
+// Licensed under the MIT License.
+
+/* global resolveFormat, parseValueInput, createQuantizationAnalyzer, finiteRange */
+// Scale search: the scale factors a low-precision recipe would quantize an
+// array with (amax, percentile, MSE-optimal), per tensor, row or column, and
+// the error of each. Requires resolveFormat and parseValueInput from
+// webmcp.js and createQuantizationAnalyzer and finiteRange from
+// quantization.js.
+
+// In Node.js (testing), import from the library; in browser, rely on globals.
+var _scalingResolveFormat, _scalingParseValue, _scalingAnalyzer, _scalingFiniteRange;
+if (typeof require !== 'undefined') {
+    const webmcp = require('./webmcp.js');
+    const quantization = require('./quantization.js');
+    _scalingResolveFormat = webmcp.resolveFormat;
+    _scalingParseValue = webmcp.parseValueInput;
+    _scalingAnalyzer = quantization.createQuantizationAnalyzer;
+    _scalingFiniteRange = quantization.finiteRange;
+} else {
+    /* istanbul ignore next */
+    _scalingResolveFormat = resolveFormat;
+    /* istanbul ignore next */
+    _scalingParseValue = parseValueInput;
+    /* istanbul ignore next */
+    _scalingAnalyzer = createQuantizationAnalyzer;
+    /* istanbul ignore next */
+    _scalingFiniteRange = finiteRange;
+}
+
+// How a scale is chosen: amax maps the largest magnitude to the format's
+// largest value, percentile maps a percentile of the magnitudes there and
+// clips the tail, mse tries scales below amax and keeps the least error
+const SCALING_METHODS = ['amax', 'percentile', 'mse'];
+// One scale for the whole array, or one per row or column of a 2-D array
+const SCALING_GRANULARITIES = ['tensor', 'row', 'column'];
+const DEFAULT_PERCENTILE = 99.9;
+// The MSE search tries scales from the amax scale down this many octaves,
+// in this many steps per octave (one step per octave for powers of two)
+const MSE_SEARCH_OCTAVES = 6;
+const MSE_SEARCH_STEPS = 8;
+
+/**
+ * Split the values of search_scaling into channels, one per scale, each an
+ * array of parsed Numbers. `values` is a flat array or an array of
+ * equal-length rows.
+ */
+function scalingChannels(values, granularity) {
+    const nested = values.map(Array.isArray);
+    if (nested.some((isRow) => isRow !== nested[0]) ||
+        (nested[0] && values.some((row) => row.length !== values[0].length || row.length === 0))) {
+        throw new Error('Parameter "values" must be an array of values or of equal-length, non-empty rows.');
+    }
+    if (!nested[0] && granularity !== 'tensor') {
+        throw new Error(`Granularity "${granularity}" needs the values given as rows.`);
+    }
+    const parse = (value, where) => {
+        try {
+            return Number(_scalingParseValue(value));
+        } catch (err) {
+            throw new Error(`${where}: ${err.message}`, { cause: err });
+        }
+    };
+    if (!nested[0]) {
+        return { shape: [values.length], channels: [values.map((v, i) => parse(v, `values[${i}]`))] };
+    }
+    const rows = values.map((row, r) => row.map((v, c) => parse(v, `values[${r}][${c}]`)));
+    const shape = [rows.length, rows[0].length];
+    if (granularity === 'row') return { shape, channels: rows };
+    if (granularity === 'column') return { shape, channels: rows[0].map((_, c) => rows.map((row) => row[c])) };
+    return { shape, channels: [rows.flat()] };
+}
+
+/**
+ * Linearly interpolated percentile (0–100) of sorted values, as NumPy's
+ * default method computes it.
+ */
+function sortedPercentile(sorted, percentile) {
+    const rank = (percentile / 100) * (sorted.length - 1);
+    const low = Math.floor(rank);
+    const high = Math.ceil(rank);
+    return sorted[low] + (sorted[high] - sorted[low]) * (rank - low);
+}
+
+/**
+ * Scale of one channel for a method. `quantize` and `maxValue` describe the
+ * target format: the scale maps the chosen magnitude to `maxValue`, rounded
+ * up to a power of two with `powerOfTwo` so nothing below it clips. An
+ * all-zero channel gets a scale of 1.
+ */
+function channelScale(channel, method, { maxValue, percentile, powerOfTwo, analyze }) {
+    const magnitudes = channel.filter(Number.isFinite).map(Math.abs).sort((a, b) => a - b);
+    const amax = magnitudes.length ? magnitudes[magnitudes.length - 1] : 0;
+    if (amax === 0) return 1;
+    const round = (scale) => (powerOfTwo ? Math.pow(2, Math.ceil(Math.log2(scale))) : scale);
+    if (method === 'amax') return round(amax / maxValue);
+    if (method === 'percentile') {
+        const threshold = sortedPercentile(magnitudes, percentile);
+        return round((threshold > 0 ? threshold : amax) / maxValue);
+    }
+    const start = round(amax / maxValue);
+    const steps = powerOfTwo ? 1 : MSE_SEARCH_STEPS;
+    let best;
+    for (let i = 0; i <= MSE_SEARCH_OCTAVES * steps; i++) {
+        const scale = start * Math.pow(2, -i / steps);
+        const { mse } = analyze(channel, scale);
+        if (!best || mse < best.mse) best = { scale, mse };
+    }
+    return best.scale;
+}
+
+/**
+ * search_scaling – Compute amax, percentile and MSE-optimal scale factors for
+ * quantizing an array into a format, per tensor or per row or column, and
+ * report the error statistics of each recipe. Each value is divided by its
+ * channel's scale, clamped to the format's finite range, rounded into the
+ * format and multiplied back, all at double precision.
+ */
+function searchScaling({
+    values, format: formatSpec, granularity = 'tensor', method, percentile = DEFAULT_PERCENTILE, powerOfTwo = false,
+    roundingMode, flushSubnormals, seed,
+}) {
+    if (!Array.isArray(values) || values.length === 0) {
+        throw new Error('Parameter "values" must be a non-empty array.');
+    }
+    if (!formatSpec) {
+        throw new Error('Parameter "format" is required.');
+    }
+    if (!SCALING_GRANULARITIES.includes(granularity)) {
+        throw new Error(`Unknown granularity: "${granularity}". Use ${SCALING_GRANULARITIES.join(', ')}.`);
+    }
+    if (method !== undefined && !SCALING_METHODS.includes(method)) {
+        throw new Error(`Unknown scaling method: "${method}". Use ${SCALING_METHODS.join(', ')}.`);
+    }
+    if (typeof percentile !== 'number' || !(percentile > 0 && percentile <= 100)) {
+        throw new Error('Parameter "percentile" must be a number above 0 and at most 100.');
+    }
+    const maxValue = _scalingFiniteRange(_scalingResolveFormat(formatSpec)).max;
+    const { shape, channels } = scalingChannels(values, granularity);
+
+    const analyzerParams = { format: formatSpec, roundingMode, flushSubnormals, seed, saturate: true };
+    const analyze = (channel, scale) => {
+        const analyzer = _scalingAnalyzer(analyzerParams);
+        for (const value of channel) analyzer.add(value, scale);
+        return analyzer.result();
+    };
+
+    const recipes = (method ? [method] : SCALING_METHODS).map((name) => {
+        const scales = channels.map((channel) =>
+            channelScale(channel, name, { maxValue, percentile, powerOfTwo, analyze }));
+        const analyzer = _scalingAnalyzer(analyzerParams);
+        channels.forEach((channel, i) => {
+            for (const value of channel) analyzer.add(value, scales[i]);
+        });
+        const { format: _format, ...stats } = analyzer.result();
+        return { method: name, scales, stats };
+    });
+    const ranked = recipes.filter((recipe) => typeof recipe.stats.mse === 'number');
+    const best = ranked.length
+        ? ranked.reduce((a, b) => (b.stats.mse < a.stats.mse ? b : a)).method
+        : undefined;
+
+    const result = {
+        format: formatSpec,
+        granularity,
+        shape,
+        powerOfTwo,
+        percentile: recipes.some((recipe) => recipe.method === 'percentile') ? percentile : undefined,
+        recipes,
+        best,
+    };
+    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+}
+
+// Export for Node.js (testing).
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SCALING_METHODS,
+        SCALING_GRANULARITIES,
+        DEFAULT_PERCENTILE,
+        searchScaling,
+    };
+}
@@ -0,0 +1,334 @@
+// Copyright (c) 2026 Spencer Williams
+// Licensed under the MIT License.
+
+/* global TensorReader, TensorWriter, createRandom, resolveFormat, batchEncoding, classifyValue, buildEncodeOptions, encodeValueInput, raisedFlags */
+// Tensor files: read the elements of a raw dump, a .npy or a .safetensors
+// file, and pack encoded values into raw or .npy bytes. Requires TensorReader,
+// TensorWriter and createRandom from floating-point.js and resolveFormat,
+// batchEncoding, classifyValue, buildEncodeOptions, encodeValueInput and
+// raisedFlags from webmcp.js.
+
+// In Node.js (testing), import from the library; in browser, rely on globals.
+var _TensorFileReader, _TensorFileWriter, _tensorFileCreateRandom, _tensorFileResolveFormat, _tensorFileBatchEncoding,
+    _tensorFileClassify, _tensorFileEncodeOptions, _tensorFileEncodeValue, _tensorFileRaisedFlags;
+if (typeof require !== 'undefined') {
+    const lib = require('../lib/floating-point.js');
+    const webmcp = require('./webmcp.js');
+    _TensorFileReader = lib.TensorReader;
+    _TensorFileWriter = lib.TensorWriter;
+    _tensorFileCreateRandom = lib.createRandom;
+    _tensorFileResolveFormat = webmcp.resolveFormat;
+    _tensorFileBatchEncoding = webmcp.batchEncoding;
+    _tensorFileClassify = webmcp.classifyValue;
+    _tensorFileEncodeOptions = webmcp.buildEncodeOptions;
+    _tensorFileEncodeValue = webmcp.encodeValueInput;
+    _tensorFileRaisedFlags = webmcp.raisedFlags;
+} else {
+    /* istanbul ignore next */
+    _TensorFileReader = TensorReader;
+    /* istanbul ignore next */
+    _TensorFileWriter = TensorWriter;
+    /* istanbul ignore next */
+    _tensorFileCreateRandom = createRandom;
+    /* istanbul ignore next */
+    _tensorFileResolveFormat = resolveFormat;
+    /* istanbul ignore next */
+    _tensorFileBatchEncoding = batchEncoding;
+    /* istanbul ignore next */
+    _tensorFileClassify = classifyValue;
+    /* istanbul ignore next */
+    _tensorFileEncodeOptions = buildEncodeOptions;
+    /* istanbul ignore next */
+    _tensorFileEncodeValue = encodeValueInput;
+    /* istanbul ignore next */
+    _tensorFileRaisedFlags = raisedFlags;
+}
+
+// Preset formats of NumPy dtypes (kind and size, without the byte order) and
+// of safetensors dtypes
+const NPY_DTYPES = {
+    f2: 'fp16', f4: 'fp32', f8: 'fp64', i1: 'int8', u1: 'uint8', i2: 'int16', u2: 'uint16', i4: 'int32',
+    u4: 'uint32', i8: 'int64', u8: 'uint64',
+};
+const SAFETENSORS_DTYPES = {
+    F64: 'fp64', F32: 'fp32', F16: 'fp16', BF16: 'bf16', F8_E4M3: 'fp8_e4m3', F8_E5M2: 'fp8_e5m2', F8_E8M0: 'e8m0',
+    F6_E2M3: 'fp6_e2m3', F6_E3M2: 'fp6_e3m2', F4: 'fp4_e2m1', I64: 'int64', I32: 'int32', I16: 'int16', I8: 'int8',
+    U64: 'uint64', U32: 'uint32', U16: 'uint16', U8: 'uint8',
+};
+const TENSOR_CONTAINERS = ['raw', 'npy', 'safetensors'];
+const NPY_MAGIC = [0x93, 0x4E, 0x55, 0x4D, 0x50, 0x59];
+// Elements readTensor returns when no count is given
+const DEFAULT_TENSOR_COUNT = 64;
+
+/**
+ * A byte source from a Uint8Array, or from `{ size, read(position, length) }`
+ * for data read on demand (the CLI reads only the bytes a dump needs).
+ */
+function byteSource(data) {
+    if (data instanceof Uint8Array) {
+        return { size: data.length, read: (position, length) => data.subarray(position, position + length) };
+    }
+    if (data && Number.isInteger(data.size) && typeof data.read === 'function') {
+        return data;
+    }
+    throw new Error('Parameter "data" must be a Uint8Array or a { size, read } byte source.');
+}
+
+// Little-endian unsigned integer of `length` bytes at `position`
+function readUintLE(source, position, length) {
+    const bytes = source.read(position, length);
+    let value = 0n;
+    for (let i = bytes.length - 1; i >= 0; i--) {
+        value = (value << 8n) | BigInt(bytes[i]);
+    }
+    return Number(value);
+}
+
+/**
+ * Identify a tensor file by its magic: NumPy's "\x93NUMPY", or a safetensors
+ * header length followed by a JSON object. Anything else is raw data.
+ */
+function detectContainer(source) {
+    const head = source.read(0, Math.min(source.size, 9));
+    if (NPY_MAGIC.every((byte, i) => head[i] === byte)) {
+        return 'npy';
+    }
+    if (head.length === 9 && head[8] === 0x7B && 8 + readUintLE(source, 0, 8) <= source.size) {
+        return 'safetensors';
+    }
+    return 'raw';
+}
+
+/**
+ * Read a .npy header: the dtype, shape and where the data starts. Versions 2
+ * and 3 widen the header length field to four bytes.
+ */
+function parseNpyHeader(source) {
+    const version = source.read(6, 1)[0];
+    const lengthBytes = version === 1 ? 2 : 4;
+    const start = 8 + lengthBytes;
+    const header = new TextDecoder().decode(source.read(start, readUintLE(source, 8, lengthBytes)));
+    const descr = /'descr'\s*:\s*'([^']*)'/.exec(header);
+    const shape = /'shape'\s*:\s*\(([^)]*)\)/.exec(header);
+    if (!descr || !shape) {
+        throw new Error('Invalid .npy header: missing descr or shape.');
+    }
+    const dtype = descr[1];
+    return {
+        dtype,
+        shape: shape[1].split(',').filter((dim) => dim.trim() !== '').map(Number),
+        fortranOrder: /'fortran_order'\s*:\s*True/.test(header),
+        format: NPY_DTYPES[dtype.slice(1)],
+        endianness: dtype[0] === '>' ? 'big' : 'little',
+        dataStart: start + readUintLE(source, 8, lengthBytes),
+        dataEnd: source.size,
+    };
+}
+
+/**
+ * Read a safetensors header and pick one tensor, by name or else the first.
+ * Offsets in the header count from the end of the header; data is little-endian.
+ */
+function parseSafetensorsHeader(source, name) {
+    const headerLength = readUintLE(source, 0, 8);
+    let header;
+    try {
+        header = JSON.parse(new TextDecoder().decode(source.read(8, headerLength)));
+    } catch (err) {
+        throw new Error(`Invalid safetensors header: ${err.message}`, { cause: err });
+    }
+    const tensors = Object.keys(header)
+        .filter((key) => key !== '__metadata__')
+        .map((key) => ({ name: key, dtype: header[key].dtype, shape: header[key].shape }));
+    if (tensors.length === 0) {
+        throw new Error('The safetensors file holds no tensors.');
+    }
+    const chosen = name === undefined ? tensors[0] : tensors.find((t) => t.name === name);
+    if (!chosen) {
+        throw new Error(`Unknown tensor: "${name}". Available: ${tensors.map((t) => t.name).join(', ')}.`);
+    }
+    const [begin, end] = header[chosen.name].data_offsets;
+    return {
+        ...chosen,
+        tensors,
+        format: SAFETENSORS_DTYPES[chosen.dtype],
+        endianness: 'little',
+        dataStart: 8 + headerLength + begin,
+        dataEnd: 8 + headerLength + end,
+    };
+}
+
+/**
+ * Decode elements of a raw buffer or tensor file. `data` is a Uint8Array or
+ * a { size, read } byte source; `container` is "raw", "npy", "safetensors" or
+ * "auto" (by magic). The format defaults to the file's dtype when that has a
+ * preset; an explicit format reads the bytes as that format instead, e.g. FP8
+ * weights NumPy stores as uint8. `offset` and `count` pick elements, and
+ * `digits` how values are written, as for the CLI's --digits.
+ */
+function readTensor({
+    data, format: formatSpec, container = 'auto', tensor, offset = 0, count = DEFAULT_TENSOR_COUNT, endianness,
+    nibbleOrder, digits = 'number',
+}) {
+    const source = byteSource(data);
+    if (container !== 'auto' && !TENSOR_CONTAINERS.includes(container)) {
+        throw new Error(`Unknown container: "${container}". Use auto, ${TENSOR_CONTAINERS.join(', ')}.`);
+    }
+    const kind = container === 'auto' ? detectContainer(source) : container;
+    let layout = { dataStart: 0, dataEnd: source.size };
+    if (kind === 'npy') {
+        layout = parseNpyHeader(source);
+    } else if (kind === 'safetensors') {
+        layout = parseSafetensorsHeader(source, tensor);
+    }
+    if (tensor !== undefined && kind !== 'safetensors') {
+        throw new Error('Parameter "tensor" only applies to safetensors files.');
+    }
+
+    const spec = formatSpec || layout.format;
+    if (!spec) {
+        throw new Error(layout.dtype === undefined
+            ? 'Parameter "format" is required.'
+            : `Parameter "format" is required: dtype "${layout.dtype}" has no preset format.`);
+    }
+    const fmt = _tensorFileResolveFormat(spec);
+    const reader = new _TensorFileReader(fmt, { endianness: endianness || layout.endianness, nibbleOrder });
+
+    const total = reader.length(layout.dataEnd - layout.dataStart);
+    for (const [name, value] of [['offset', offset], ['count', count]]) {
+        if (!Number.isInteger(value) || value < 0) {
+            throw new Error(`Parameter "${name}" must be a non-negative integer.`);
+        }
+    }
+    if (offset > total) {
+        throw new Error(`Offset ${offset} is past the end of the ${total} elements.`);
+    }
+    const shown = Math.min(count, total - offset);
+    const range = reader.byteRange(offset, shown);
+    const bytes = source.read(layout.dataStart + range.start, range.end - range.start);
+    const elements = reader.read(bytes, { offset, count: shown, byteOffset: range.start }).map((encoded, i) => ({
+        index: offset + i,
+        ..._tensorFileBatchEncoding(fmt, encoded, digits),
+        type: _tensorFileClassify(fmt, encoded.sign, encoded.exponent, encoded.mantissa),
+    }));
+
+    const result = { container: kind };
+    if (layout.dtype !== undefined) {
+        result.tensor = { name: layout.name, dtype: layout.dtype, shape: layout.shape, fortranOrder: layout.fortranOrder };
+    }
+    if (layout.tensors) {
+        result.tensors = layout.tensors;
+    }
+    return {
+        ...result,
+        format: spec,
+        endianness: reader.endianness,
+        nibbleOrder: reader.packed ? reader.nibbleOrder : undefined,
+        totalElements: total,
+        offset,
+        elements,
+    };
+}
+
+// Containers createTensorPacker writes
+const PACK_CONTAINERS = ['raw', 'npy'];
+// Elements packed per chunk; a multiple of 8 so sub-byte chunks join up
+const PACK_CHUNK = 4096;
+
+/**
+ * A version 1.0 .npy header for a 1-D array of `count` elements. The header
+ * dict is padded with spaces so the data starts on a 64-byte boundary.
+ */
+function npyHeader(descr, count) {
+    const dict = `{'descr': '${descr}', 'fortran_order': False, 'shape': (${count},), }`;
+    const length = Math.ceil((10 + dict.length + 1) / 64) * 64 - 10;
+    const bytes = new Uint8Array(10 + length);
+    bytes.set(NPY_MAGIC);
+    bytes.set([1, 0, length & 0xFF, length >> 8], 6);
+    bytes.set(new TextEncoder().encode(`${dict.padEnd(length - 1)}\n`), 10);
+    return bytes;
+}
+
+/**
+ * Build a packer that quantizes values into a format and lays the encodings
+ * out as tensor bytes: tightly packed for sub-byte formats, in `endianness`
+ * byte order otherwise, as TensorReader and readTensor read them back.
+ * `container` is "raw" (padded to `alignment` bytes) or "npy", for formats
+ * with a NumPy dtype. `push(input)` encodes one value and returns a chunk of
+ * bytes whenever one is complete, so large arrays stream through; `finish()`
+ * returns the remaining bytes, the .npy header (which needs the final count)
+ * and a summary with the bytes written in all and how often each exception
+ * flag was raised.
+ */
+function createTensorPacker({
+    format: formatSpec, container = 'raw', endianness, nibbleOrder, alignment, roundingMode, flushSubnormals,
+    tininess, overflow, seed,
+}) {
+    if (!formatSpec) {
+        throw new Error('Parameter "format" is required.');
+    }
+    if (!PACK_CONTAINERS.includes(container)) {
+        throw new Error(`Unknown container: "${container}". Use ${PACK_CONTAINERS.join(', ')}.`);
+    }
+    const format = _tensorFileResolveFormat(formatSpec);
+    const writer = new _TensorFileWriter(format, { endianness, nibbleOrder, alignment });
+    let descr;
+    if (container === 'npy') {
+        const kind = Object.keys(NPY_DTYPES).find((key) => NPY_DTYPES[key] === formatSpec);
+        if (!kind) {
+            throw new Error(`Format "${typeof formatSpec === 'string' ? formatSpec : 'custom'}" has no NumPy dtype; use the raw container.`);
+        }
+        if (writer.alignment > 1) {
+            throw new Error('Parameter "alignment" only applies to the raw container.');
+        }
+        const order = writer.elementBytes === 1 ? '|' : writer.endianness === 'big' ? '>' : '<';
+        descr = order + kind;
+    }
+
+    const random = seed !== undefined ? _tensorFileCreateRandom(seed) : undefined;
+    const encodeOptions = _tensorFileEncodeOptions(roundingMode, { flushSubnormals, tininess, overflow, random });
+    const flags = {};
+    let pending = [];
+    let count = 0;
+    return {
+        push(input) {
+            const encoded = _tensorFileEncodeValue(format, input, encodeOptions);
+            for (const name of _tensorFileRaisedFlags(encoded.flags)) {
+                flags[name] = (flags[name] || 0) + 1;
+            }
+            pending.push(encoded);
+            count++;
+            if (pending.length < PACK_CHUNK) return undefined;
+            const bytes = writer.write(pending);
+            pending = [];
+            return bytes;
+        },
+        finish() {
+            const data = writer.write(pending);
+            const bytes = new Uint8Array(data.length + writer.padding(count));
+            bytes.set(data);
+            pending = [];
+            const header = descr ? npyHeader(descr, count) : undefined;
+            const summary = {
+                format: formatSpec,
+                container,
+                dtype: descr,
+                endianness: writer.endianness,
+                nibbleOrder: writer.packed ? writer.nibbleOrder : undefined,
+                alignment: container === 'raw' ? writer.alignment : undefined,
+                count,
+                byteLength: (header ? header.length : 0) + writer.byteLength(count),
+                flags,
+            };
+            return { bytes, header, summary };
+        },
+    };
+}
+
+// Export for Node.js (testing).
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        readTensor,
+        createTensorPacker,
+    };
+}
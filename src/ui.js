@@ -1,63 +1,72 @@
 // Copyright (c) 2025 Spencer Williams
 // Licensed under the MIT License.
 
-/* global FloatingPoint, Integer, FORMATS, buildSearchParams, parseSearchParams, decimalToString */
-// UI code - requires FloatingPoint, Integer, and FORMATS from floating-point.js
-// and the URL helpers from url-state.js.
+/* global FloatingPoint, Integer, FixedPoint, FORMATS, parseDecimalString, buildSearchParams, parseSearchParams, decimalToString, dotProduct, readTensor, analyzeQuantization, searchScaling, generateCode */
+// UI code - requires FloatingPoint, Integer, FixedPoint, FORMATS, and parseDecimalString
+// from floating-point.js, the URL helpers from url-state.js, dotProduct from
+// webmcp.js, readTensor from tensor-files.js, analyzeQuantization from
+// quantization.js, searchScaling from scaling.js, and generateCode from
+// codegen.js.
 
 // Application State
 let currentFormat = new FloatingPoint(1, 8, 23);
 let outputFormat = new FloatingPoint(1, 5, 10); // FP16 by default
 let currentValue = 3.140625;
+let currentValueText = null;  // Decimal literal as typed, rounded exactly into the format
 let currentEncoded = null;
-let currentInputFormatKey = null;  // Track if an integer preset is active
-let currentOutputFormatKey = null; // Track if an integer preset is active
+let currentInputFormatKey = null;  // Track if an integer or fixed-point preset is active
+let currentOutputFormatKey = null; // Track if an integer or fixed-point preset is active
 let currentRoundingMode = 'tiesToEven';
+let currentFlushToZero = false;       // FTZ: subnormal output values become zero
+let currentDenormalsAreZero = false;  // DAZ: subnormal input values read as zero
+let currentDigitsMode = 'number'; // How the output decimal is printed
 let urlSyncEnabled = false; // Suppress URL writes until initial state is loaded
-
-// Helper functions to show/hide format controls for integer vs floating-point
-function updateInputFormatControlsVisibility(isInteger) {
-    const signGroup = document.getElementById('input-sign-bits').closest('.input-group');
-    const expGroup = document.getElementById('input-exponent-bits').closest('.input-group');
-    const infGroup = document.getElementById('input-has-infinity').closest('.input-group');
-    const nanGroup = document.getElementById('input-has-nan').closest('.input-group');
-    const mantissaLabel = document.querySelector('label[for="input-mantissa-bits"]');
-    
-    if (isInteger) {
-        signGroup.style.display = 'none';
-        expGroup.style.display = 'none';
-        infGroup.style.display = 'none';
-        nanGroup.style.display = 'none';
-        mantissaLabel.textContent = 'Bits:';
+let codeRequested = false;  // Regenerate code on output format changes only once asked
+
+// Helper functions to show/hide format controls for floating-point ('float'),
+// integer ('integer') and fixed-point ('fixed') formats. Fixed-point formats
+// reuse the exponent and mantissa inputs for their integer and fraction bits.
+// Integer outputs also get the overflow select; integer inputs are edited as
+// bits and never overflow.
+function updateFormatControlsVisibility(prefix, kind) {
+    const signGroup = document.getElementById(`${prefix}-sign-bits`).closest('.input-group');
+    const expGroup = document.getElementById(`${prefix}-exponent-bits`).closest('.input-group');
+    const infGroup = document.getElementById(`${prefix}-has-infinity`).closest('.input-group');
+    const nanGroup = document.getElementById(`${prefix}-has-nan`).closest('.input-group');
+    const negZeroGroup = document.getElementById(`${prefix}-has-neg-zero`).closest('.input-group');
+    const overflowGroup = document.getElementById(`${prefix}-overflow-mode`).closest('.input-group');
+    const exponentLabel = document.querySelector(`label[for="${prefix}-exponent-bits"]`);
+    const mantissaLabel = document.querySelector(`label[for="${prefix}-mantissa-bits"]`);
+    const isFloat = kind === 'float';
+
+    signGroup.style.display = isFloat ? '' : 'none';
+    expGroup.style.display = kind === 'integer' ? 'none' : '';
+    infGroup.style.display = isFloat ? '' : 'none';
+    nanGroup.style.display = isFloat ? '' : 'none';
+    negZeroGroup.style.display = isFloat ? '' : 'none';
+    const hasOverflow = kind === 'fixed' || (kind === 'integer' && prefix === 'output');
+    overflowGroup.style.display = hasOverflow ? '' : 'none';
+
+    if (kind === 'fixed') {
+        exponentLabel.textContent = 'Integer:';
+        mantissaLabel.textContent = 'Fraction:';
     } else {
-        signGroup.style.display = '';
-        expGroup.style.display = '';
-        infGroup.style.display = '';
-        nanGroup.style.display = '';
-        mantissaLabel.textContent = 'Mantissa:';
+        exponentLabel.textContent = 'Exponent:';
+        mantissaLabel.textContent = kind === 'integer' ? 'Bits:' : 'Mantissa:';
     }
 }
 
-function updateOutputFormatControlsVisibility(isInteger) {
-    const signGroup = document.getElementById('output-sign-bits').closest('.input-group');
-    const expGroup = document.getElementById('output-exponent-bits').closest('.input-group');
-    const infGroup = document.getElementById('output-has-infinity').closest('.input-group');
-    const nanGroup = document.getElementById('output-has-nan').closest('.input-group');
-    const mantissaLabel = document.querySelector('label[for="output-mantissa-bits"]');
-    
-    if (isInteger) {
-        signGroup.style.display = 'none';
-        expGroup.style.display = 'none';
-        infGroup.style.display = 'none';
-        nanGroup.style.display = 'none';
-        mantissaLabel.textContent = 'Bits:';
-    } else {
-        signGroup.style.display = '';
-        expGroup.style.display = '';
-        infGroup.style.display = '';
-        nanGroup.style.display = '';
-        mantissaLabel.textContent = 'Mantissa:';
-    }
+function updateInputFormatControlsVisibility(kind) {
+    updateFormatControlsVisibility('input', kind);
+}
+
+function updateOutputFormatControlsVisibility(kind) {
+    updateFormatControlsVisibility('output', kind);
+}
+
+// Integer and fixed-point formats show all of their bits as a single field
+function isSingleField(format) {
+    return format.isInteger || format.isFixedPoint;
 }
 
 // Initialize the application
@@ -69,6 +78,10 @@ document.addEventListener('DOMContentLoaded', () => {
     updateOutputFormat();
     updateValue();
     setupEventListeners();
+    setupDotProduct();
+    setupTensorInspector();
+    setupQuantizationAnalysis();
+    setupCodeGeneration();
 
     // Restore any state encoded in the URL, then start keeping the URL in sync.
     const restored = applyStateFromUrl();
@@ -87,8 +100,11 @@ function syncUrl() {
             inputFormat: currentFormat,
             outputFormat: outputFormat,
             currentValue: currentValue,
+            currentValueText: currentValueText,
             currentEncoded: currentEncoded,
             roundingMode: currentRoundingMode,
+            flushToZero: currentFlushToZero,
+            denormalsAreZero: currentDenormalsAreZero,
         });
         const newUrl = query
             ? `${window.location.pathname}?${query}`
@@ -152,8 +168,33 @@ function applyFormatDescriptor(desc, which) {
     }
 
     const ids = isInput
-        ? { sign: 'input-sign-bits', exp: 'input-exponent-bits', mant: 'input-mantissa-bits', inf: 'input-has-infinity', nan: 'input-has-nan', preset: '.input-preset' }
-        : { sign: 'output-sign-bits', exp: 'output-exponent-bits', mant: 'output-mantissa-bits', inf: 'output-has-infinity', nan: 'output-has-nan', preset: '.output-preset' };
+        ? { sign: 'input-sign-bits', exp: 'input-exponent-bits', mant: 'input-mantissa-bits', inf: 'input-has-infinity', nan: 'input-has-nan', negZero: 'input-has-neg-zero', overflow: 'input-overflow-mode', preset: '.input-preset' }
+        : { sign: 'output-sign-bits', exp: 'output-exponent-bits', mant: 'output-mantissa-bits', inf: 'output-has-infinity', nan: 'output-has-nan', negZero: 'output-has-neg-zero', overflow: 'output-overflow-mode', preset: '.output-preset' };
+
+    if (desc.kind === 'fixed') {
+        // Same approach as integers: a fixed-point preset carries the signedness
+        const carrier = desc.signed ? 'q8_8' : 'uq8_8';
+        if (isInput) {
+            currentInputFormatKey = carrier;
+        } else {
+            currentOutputFormatKey = carrier;
+        }
+        document.getElementById(ids.sign).checked = false;
+        document.getElementById(ids.exp).value = desc.integerBits;
+        document.getElementById(ids.mant).value = desc.fractionBits;
+        document.getElementById(ids.inf).checked = false;
+        document.getElementById(ids.nan).checked = false;
+        document.getElementById(ids.overflow).value = desc.overflow;
+        document.querySelectorAll(ids.preset).forEach(btn => btn.classList.remove('active'));
+        if (isInput) {
+            updateInputFormatControlsVisibility('fixed');
+            updateFormat();
+        } else {
+            updateOutputFormatControlsVisibility('fixed');
+            updateOutputFormat();
+        }
+        return;
+    }
 
     if (desc.kind === 'int') {
         // Use a matching-signedness integer preset as the signedness carrier so
@@ -169,12 +210,13 @@ function applyFormatDescriptor(desc, which) {
         document.getElementById(ids.mant).value = desc.bits;
         document.getElementById(ids.inf).checked = false;
         document.getElementById(ids.nan).checked = false;
+        if (!isInput) document.getElementById(ids.overflow).value = desc.overflow;
         document.querySelectorAll(ids.preset).forEach(btn => btn.classList.remove('active'));
         if (isInput) {
-            updateInputFormatControlsVisibility(true);
+            updateInputFormatControlsVisibility('integer');
             updateFormat();
         } else {
-            updateOutputFormatControlsVisibility(true);
+            updateOutputFormatControlsVisibility('integer');
             updateOutputFormat();
         }
         return;
@@ -191,12 +233,13 @@ function applyFormatDescriptor(desc, which) {
     document.getElementById(ids.mant).value = desc.mantissaBits;
     document.getElementById(ids.inf).checked = desc.hasInfinity;
     document.getElementById(ids.nan).checked = desc.hasNaN;
+    document.getElementById(ids.negZero).checked = desc.hasNegativeZero !== false;
     document.querySelectorAll(ids.preset).forEach(btn => btn.classList.remove('active'));
     if (isInput) {
-        updateInputFormatControlsVisibility(false);
+        updateInputFormatControlsVisibility('float');
         updateFormat();
     } else {
-        updateOutputFormatControlsVisibility(false);
+        updateOutputFormatControlsVisibility('float');
         updateOutputFormat();
     }
 }
@@ -211,6 +254,10 @@ function applyStateFromUrl() {
         const select = document.getElementById('rounding-mode');
         if (select) select.value = parsed.roundingMode;
     }
+    currentFlushToZero = parsed.flushToZero;
+    currentDenormalsAreZero = parsed.denormalsAreZero;
+    document.getElementById('flush-to-zero').checked = currentFlushToZero;
+    document.getElementById('denormals-are-zero').checked = currentDenormalsAreZero;
 
     if (parsed.input) applyFormatDescriptor(parsed.input, 'input');
     if (parsed.output) applyFormatDescriptor(parsed.output, 'output');
@@ -222,7 +269,9 @@ function applyStateFromUrl() {
     } else {
         if (parsed.value && parsed.value.decimal !== undefined) {
             currentValue = parsed.value.decimal;
-            document.getElementById('input-decimal-input').value = decimalToString(currentValue);
+            currentValueText = parsed.value.text || null;
+            document.getElementById('input-decimal-input').value =
+                currentValueText || decimalToString(currentValue);
         }
         updateValue();
     }
@@ -267,6 +316,8 @@ function setupEventListeners() {
     document.getElementById('input-mantissa-bits').addEventListener('input', updateFormat);
     document.getElementById('input-has-infinity').addEventListener('change', updateFormat);
     document.getElementById('input-has-nan').addEventListener('change', updateFormat);
+    document.getElementById('input-has-neg-zero').addEventListener('change', updateFormat);
+    document.getElementById('input-overflow-mode').addEventListener('change', updateFormat);
 
     // Output format inputs
     document.getElementById('output-sign-bits').addEventListener('change', updateOutputFormat);
@@ -274,6 +325,8 @@ function setupEventListeners() {
     document.getElementById('output-mantissa-bits').addEventListener('input', updateOutputFormat);
     document.getElementById('output-has-infinity').addEventListener('change', updateOutputFormat);
     document.getElementById('output-has-nan').addEventListener('change', updateOutputFormat);
+    document.getElementById('output-has-neg-zero').addEventListener('change', updateOutputFormat);
+    document.getElementById('output-overflow-mode').addEventListener('change', updateOutputFormat);
 
     // Value input
     document.getElementById('input-decimal-input').addEventListener('input', (e) => {
@@ -283,16 +336,43 @@ function setupEventListeners() {
         } else {
             currentValue = parsed;
         }
+        // Decimal literals are rounded once from their exact value, not via parseFloat
+        currentValueText = parseDecimalString(e.target.value) ? e.target.value.trim() : null;
         updateValue();
     });
 
     // Hex input
     document.getElementById('input-hex-input').addEventListener('input', handleHexInput);
+    document.getElementById('input-step-down').addEventListener('click', () => stepInputValue('nextDown'));
+    document.getElementById('input-step-up').addEventListener('click', () => stepInputValue('nextUp'));
 
     // Rounding mode
     document.getElementById('rounding-mode').addEventListener('change', (e) => {
         currentRoundingMode = e.target.value;
         updateValue();
+        updateDotProduct();
+        updateQuantizationAnalysis();
+        updateGeneratedCode();
+    });
+
+    // Flush-to-zero (output) and denormals-are-zero (input)
+    document.getElementById('flush-to-zero').addEventListener('change', (e) => {
+        currentFlushToZero = e.target.checked;
+        updateOutput();
+        updateDotProduct();
+        updateQuantizationAnalysis();
+    });
+    document.getElementById('denormals-are-zero').addEventListener('change', (e) => {
+        currentDenormalsAreZero = e.target.checked;
+        updateOutput();
+        updateDotProduct();
+    });
+
+    // Output decimal digits mode
+    document.getElementById('output-digits-mode').addEventListener('change', (e) => {
+        currentDigitsMode = e.target.value;
+        updateOutput();
+        updateTensorInspector();
     });
 }
 
@@ -310,16 +390,27 @@ function loadInputPreset(formatKey) {
         
         // Store the integer format key for reference
         currentInputFormatKey = formatKey;
-        updateInputFormatControlsVisibility(true);
+        updateInputFormatControlsVisibility('integer');
+    } else if (format.isFixedPoint) {
+        document.getElementById('input-sign-bits').checked = false;
+        document.getElementById('input-exponent-bits').value = format.integerBits;
+        document.getElementById('input-mantissa-bits').value = format.fractionBits;
+        document.getElementById('input-has-infinity').checked = false;
+        document.getElementById('input-has-nan').checked = false;
+        document.getElementById('input-overflow-mode').value = 'saturate';
+
+        currentInputFormatKey = formatKey;
+        updateInputFormatControlsVisibility('fixed');
     } else {
         document.getElementById('input-sign-bits').checked = format.sign === 1;
         document.getElementById('input-exponent-bits').value = format.exponent;
         document.getElementById('input-mantissa-bits').value = format.mantissa;
         document.getElementById('input-has-infinity').checked = format.hasInfinity !== false;
         document.getElementById('input-has-nan').checked = format.hasNaN !== false;
+        document.getElementById('input-has-neg-zero').checked = format.hasNegativeZero !== false;
         
         currentInputFormatKey = null;
-        updateInputFormatControlsVisibility(false);
+        updateInputFormatControlsVisibility('float');
     }
 
     // Update active button
@@ -342,19 +433,31 @@ function loadOutputPreset(formatKey) {
         document.getElementById('output-mantissa-bits').value = format.bits;
         document.getElementById('output-has-infinity').checked = false;
         document.getElementById('output-has-nan').checked = false;
+        document.getElementById('output-overflow-mode').value = 'saturate';
         
         // Store the integer format key for reference
         currentOutputFormatKey = formatKey;
-        updateOutputFormatControlsVisibility(true);
+        updateOutputFormatControlsVisibility('integer');
+    } else if (format.isFixedPoint) {
+        document.getElementById('output-sign-bits').checked = false;
+        document.getElementById('output-exponent-bits').value = format.integerBits;
+        document.getElementById('output-mantissa-bits').value = format.fractionBits;
+        document.getElementById('output-has-infinity').checked = false;
+        document.getElementById('output-has-nan').checked = false;
+        document.getElementById('output-overflow-mode').value = 'saturate';
+
+        currentOutputFormatKey = formatKey;
+        updateOutputFormatControlsVisibility('fixed');
     } else {
         document.getElementById('output-sign-bits').checked = format.sign === 1;
         document.getElementById('output-exponent-bits').value = format.exponent;
         document.getElementById('output-mantissa-bits').value = format.mantissa;
         document.getElementById('output-has-infinity').checked = format.hasInfinity !== false;
         document.getElementById('output-has-nan').checked = format.hasNaN !== false;
+        document.getElementById('output-has-neg-zero').checked = format.hasNegativeZero !== false;
         
         currentOutputFormatKey = null;
-        updateOutputFormatControlsVisibility(false);
+        updateOutputFormatControlsVisibility('float');
     }
 
     // Update active button
@@ -374,10 +477,25 @@ function updateFormat() {
     const mantissaBits = mantissaBitsInput === '' ? 23 : parseInt(mantissaBitsInput);
     const hasInfinity = document.getElementById('input-has-infinity').checked;
     const hasNaN = document.getElementById('input-has-nan').checked;
+    const hasNegativeZero = document.getElementById('input-has-neg-zero').checked;
+
+    const presetKey = currentInputFormatKey && FORMATS[currentInputFormatKey] ? currentInputFormatKey : null;
+
+    if (presetKey && FORMATS[presetKey].isFixedPoint) {
+        const fixedFormat = FORMATS[presetKey];
+        const overflow = document.getElementById('input-overflow-mode').value;
+        try {
+            // The exponent and mantissa inputs hold the integer and fraction bits
+            currentFormat = new FixedPoint(exponentBits, mantissaBits, fixedFormat.signed, { overflow });
+        } catch {
+            return; // Keep the previous format while the inputs are out of range
+        }
 
-    // Check if this matches an integer format
-    if (currentInputFormatKey && FORMATS[currentInputFormatKey] && FORMATS[currentInputFormatKey].isInteger) {
-        const intFormat = FORMATS[currentInputFormatKey];
+        if (exponentBits !== fixedFormat.integerBits || mantissaBits !== fixedFormat.fractionBits) {
+            document.querySelectorAll('.input-preset').forEach(btn => btn.classList.remove('active'));
+        }
+    } else if (presetKey && FORMATS[presetKey].isInteger) {
+        const intFormat = FORMATS[presetKey];
         // Use the bits from UI input, but preserve signedness from the preset
         const bitsFromUI = mantissaBits;
         currentFormat = new Integer(bitsFromUI, intFormat.signed);
@@ -390,18 +508,22 @@ function updateFormat() {
         // Reset integer format key if UI changed
         currentInputFormatKey = null;
         
-        // Find matching format to get bias
+        // Find matching format to get bias and zero support. FNUZ presets share
+        // their bit layout with OCP ones, so negative zero tells them apart.
         let formatOptions = {
             hasInfinity: hasInfinity,
-            hasNaN: hasNaN
+            hasNaN: hasNaN,
+            hasNegativeZero: hasNegativeZero
         };
         const matchingFormat = Object.entries(FORMATS).find(([_key, f]) =>
-            !f.isInteger && f.sign === signBits && f.exponent === exponentBits && f.mantissa === mantissaBits
+            !f.isInteger && f.sign === signBits && f.exponent === exponentBits && f.mantissa === mantissaBits &&
+            (f.hasNegativeZero !== false) === hasNegativeZero
         );
         
         if (matchingFormat) {
             const [_key, format] = matchingFormat;
             if (format.bias !== undefined) formatOptions.bias = format.bias;
+            if (format.hasZero === false) formatOptions.hasZero = false;
         }
 
         currentFormat = new FloatingPoint(signBits, exponentBits, mantissaBits, formatOptions);
@@ -429,24 +551,30 @@ function updateValuePresetButtons() {
     const nanBtn = document.querySelector('.preset-btn[data-value="nan"]');
     const maxSubnormBtn = document.querySelector('.preset-btn[data-value="max-subnorm"]');
     const minSubnormBtn = document.querySelector('.preset-btn[data-value="min-subnorm"]');
+    const zeroBtn = document.querySelector('.preset-btn[data-value="zero"]');
 
-    // Integer formats don't support infinity, NaN, or subnormals
-    const isInteger = currentFormat.isInteger;
+    // Integer and fixed-point formats don't support infinity, NaN, or subnormals
+    const noSpecialValues = isSingleField(currentFormat);
+    // Exponent-only formats such as E8M0 have no zero, and so no subnormals
+    const noZero = !noSpecialValues && !currentFormat.hasZero;
 
     if (infinityBtn) {
-        infinityBtn.disabled = isInteger || !currentFormat.hasInfinity;
+        infinityBtn.disabled = noSpecialValues || !currentFormat.hasInfinity;
     }
     if (negInfinityBtn) {
-        negInfinityBtn.disabled = isInteger || !currentFormat.hasInfinity;
+        negInfinityBtn.disabled = noSpecialValues || !currentFormat.hasInfinity;
     }
     if (nanBtn) {
-        nanBtn.disabled = isInteger || !currentFormat.hasNaN;
+        nanBtn.disabled = noSpecialValues || !currentFormat.hasNaN;
     }
     if (maxSubnormBtn) {
-        maxSubnormBtn.disabled = isInteger;
+        maxSubnormBtn.disabled = noSpecialValues || noZero;
     }
     if (minSubnormBtn) {
-        minSubnormBtn.disabled = isInteger;
+        minSubnormBtn.disabled = noSpecialValues || noZero;
+    }
+    if (zeroBtn) {
+        zeroBtn.disabled = noZero;
     }
 }
 
@@ -458,13 +586,29 @@ function updateOutputFormat() {
     const mantissaBits = mantissaBitsInput === '' ? 10 : parseInt(mantissaBitsInput);
     const hasInfinity = document.getElementById('output-has-infinity').checked;
     const hasNaN = document.getElementById('output-has-nan').checked;
+    const hasNegativeZero = document.getElementById('output-has-neg-zero').checked;
+
+    const presetKey = currentOutputFormatKey && FORMATS[currentOutputFormatKey] ? currentOutputFormatKey : null;
+
+    if (presetKey && FORMATS[presetKey].isFixedPoint) {
+        const fixedFormat = FORMATS[presetKey];
+        const overflow = document.getElementById('output-overflow-mode').value;
+        try {
+            // The exponent and mantissa inputs hold the integer and fraction bits
+            outputFormat = new FixedPoint(exponentBits, mantissaBits, fixedFormat.signed, { overflow });
+        } catch {
+            return; // Keep the previous format while the inputs are out of range
+        }
 
-    // Check if this matches an integer format
-    if (currentOutputFormatKey && FORMATS[currentOutputFormatKey] && FORMATS[currentOutputFormatKey].isInteger) {
-        const intFormat = FORMATS[currentOutputFormatKey];
+        if (exponentBits !== fixedFormat.integerBits || mantissaBits !== fixedFormat.fractionBits) {
+            document.querySelectorAll('.output-preset').forEach(btn => btn.classList.remove('active'));
+        }
+    } else if (presetKey && FORMATS[presetKey].isInteger) {
+        const intFormat = FORMATS[presetKey];
+        const overflow = document.getElementById('output-overflow-mode').value;
         // Use the bits from UI input, but preserve signedness from the preset
         const bitsFromUI = mantissaBits;
-        outputFormat = new Integer(bitsFromUI, intFormat.signed);
+        outputFormat = new Integer(bitsFromUI, intFormat.signed, { overflow });
         
         // Check if bits changed from preset - clear active button if custom
         if (bitsFromUI !== intFormat.bits) {
@@ -474,18 +618,22 @@ function updateOutputFormat() {
         // Reset integer format key if UI changed
         currentOutputFormatKey = null;
         
-        // Find matching format to get bias
+        // Find matching format to get bias and zero support. FNUZ presets share
+        // their bit layout with OCP ones, so negative zero tells them apart.
         let formatOptions = {
             hasInfinity: hasInfinity,
-            hasNaN: hasNaN
+            hasNaN: hasNaN,
+            hasNegativeZero: hasNegativeZero
         };
         const matchingFormat = Object.entries(FORMATS).find(([_key, f]) =>
-            !f.isInteger && f.sign === signBits && f.exponent === exponentBits && f.mantissa === mantissaBits
+            !f.isInteger && f.sign === signBits && f.exponent === exponentBits && f.mantissa === mantissaBits &&
+            (f.hasNegativeZero !== false) === hasNegativeZero
         );
         
         if (matchingFormat) {
             const [_key, format] = matchingFormat;
             if (format.bias !== undefined) formatOptions.bias = format.bias;
+            if (format.hasZero === false) formatOptions.hasZero = false;
         }
 
         outputFormat = new FloatingPoint(signBits, exponentBits, mantissaBits, formatOptions);
@@ -502,11 +650,15 @@ function updateOutputFormat() {
         document.querySelectorAll('.output-preset').forEach(btn => btn.classList.remove('active'));
     }
 
+    updateGeneratedCode();
     updateOutput();
 }
 
 function updateValue() {
-    currentEncoded = currentFormat.encode(currentValue, { roundingMode: currentRoundingMode });
+    currentEncoded = currentFormat.encodeExact(
+        currentValueText !== null ? currentValueText : currentValue,
+        { roundingMode: currentRoundingMode }
+    );
     updateRepresentation();
     updateOutput();
     updateActiveValuePreset();
@@ -519,8 +671,8 @@ function updateRepresentation() {
     const signSection = document.querySelector('#input-binary-sign-checks').closest('.bit-section-container');
     const expSection = document.querySelector('#input-binary-exponent-checks').closest('.bit-section-container');
 
-    // For integer formats, show single contiguous field
-    if (currentFormat.isInteger) {
+    // For integer and fixed-point formats, show single contiguous field
+    if (isSingleField(currentFormat)) {
         // Hide sign and exponent sections entirely
         signSection.style.display = 'none';
         expSection.style.display = 'none';
@@ -555,8 +707,8 @@ function updateRepresentation() {
 }
 
 function calculateBitStartPosition(format, section) {
-    // For integer formats, mantissa holds all bits
-    if (format.isInteger) {
+    // For integer and fixed-point formats, mantissa holds all bits
+    if (isSingleField(format)) {
         return format.bits - 1;
     }
     
@@ -590,7 +742,7 @@ function createBinaryCheckboxes(section, binaryString) {
         return; // No exponent bits
     }
 
-    if (section === 'mantissa' && currentFormat.mantissaBits === 0 && !currentFormat.isInteger) {
+    if (section === 'mantissa' && currentFormat.mantissaBits === 0 && !isSingleField(currentFormat)) {
         return; // No mantissa bits (but allow for integers)
     }
 
@@ -629,16 +781,16 @@ function handleBinaryCheckboxChange(e) {
         binaryString += cb.checked ? '1' : '0';
     });
 
-    // Convert binary to integer safely
-    const value = binaryString === '' ? 0 : Number(BigInt('0b' + binaryString));
+    // Convert binary to integer safely (mantissas wider than 53 bits stay BigInt)
+    const value = binaryString === '' ? 0n : BigInt('0b' + binaryString);
 
     // Update the current encoded value
     if (section === 'sign') {
-        currentEncoded.sign = value;
+        currentEncoded.sign = Number(value);
     } else if (section === 'exponent') {
-        currentEncoded.exponent = value;
+        currentEncoded.exponent = Number(value);
     } else if (section === 'mantissa') {
-        currentEncoded.mantissa = value;
+        currentEncoded.mantissa = currentFormat.toMantissa(value);
     }
 
     // Decode and update current value
@@ -647,6 +799,7 @@ function handleBinaryCheckboxChange(e) {
         currentEncoded.exponent,
         currentEncoded.mantissa
     );
+    currentValueText = null;
 
     // Update UI (but don't recreate checkboxes to avoid losing focus)
     document.getElementById('input-decimal-input').value = currentValue;
@@ -678,11 +831,12 @@ function handleHexInput(e) {
     // Convert hex to binary (BigInt-safe for >53 bits)
     const binary = BigInt('0x' + hexValue).toString(2).padStart(currentFormat.totalBits, '0');
 
-    // Handle integer formats
-    if (currentFormat.isInteger) {
-        const mantissa = Number(BigInt('0b' + binary));
+    // Handle integer and fixed-point formats
+    if (isSingleField(currentFormat)) {
+        const mantissa = currentFormat.toMantissa(BigInt('0b' + binary));
         currentEncoded = { sign: 0, exponent: 0, mantissa };
         currentValue = currentFormat.decode(0, 0, mantissa);
+        currentValueText = null;
         
         // Update UI
         document.getElementById('input-decimal-input').value = currentValue;
@@ -701,13 +855,14 @@ function handleHexInput(e) {
     bitIndex += currentFormat.signBits;
     const exponent = currentFormat.exponentBits ? parseInt(binary.substring(bitIndex, bitIndex + currentFormat.exponentBits), 2) : 0;
     bitIndex += currentFormat.exponentBits;
-    const mantissa = currentFormat.mantissaBits > 0 ? Number(BigInt('0b' + binary.substring(bitIndex, bitIndex + currentFormat.mantissaBits))) : 0;
+    const mantissa = currentFormat.toMantissa(currentFormat.mantissaBits > 0 ? BigInt('0b' + binary.substring(bitIndex, bitIndex + currentFormat.mantissaBits)) : 0n);
 
     // Update current encoded
     currentEncoded = { sign, exponent, mantissa };
 
     // Decode to get value
     currentValue = currentFormat.decode(sign, exponent, mantissa);
+    currentValueText = null;
 
     // Update UI
     document.getElementById('input-decimal-input').value = currentValue;
@@ -721,43 +876,79 @@ function handleHexInput(e) {
     updateOutput();
 }
 
+// Move the input to the neighbouring representable value ('nextUp' or
+// 'nextDown') by writing its bits to the hex field
+function stepInputValue(step) {
+    const { sign, exponent, mantissa } = currentEncoded;
+    const next = currentFormat[step](sign, exponent, mantissa);
+    const hexInput = document.getElementById('input-hex-input');
+    hexInput.value = currentFormat.toHexString(next.sign, next.exponent, next.mantissa);
+    handleHexInput({ target: hexInput });
+    updateActiveValuePreset();
+}
+
+// All-ones mantissa (or raw integer bits) in the format's own representation,
+// which is a BigInt for mantissas wider than 53 bits.
+function allOnesMantissa(format) {
+    const bits = isSingleField(format) ? format.bits : format.mantissaBits;
+    return format.toMantissa((1n << BigInt(bits)) - 1n);
+}
+
+// The sign-only pattern of an FNUZ format, which encodes NaN instead of -0
+function isNegativeZeroNaN(format, sign, exponent, mantissa) {
+    return format.specialValues.nan === 'negativeZero' && sign === 1 && exponent === 0 && Number(mantissa) === 0;
+}
+
 function determineFloatType(format, sign, exponent, mantissa) {
     // Handle integer formats
     if (format.isInteger) {
+        // Relational comparisons work for both Number and BigInt values
         const value = format.decode(sign, exponent, mantissa);
-        if (value === 0) {
-            return 'Zero';
-        } else if (value > 0) {
+        if (value > 0) {
             return 'Positive Integer';
-        } else {
+        } else if (value < 0) {
             return 'Negative Integer';
+        } else {
+            return 'Zero';
         }
     }
 
+    if (format.isFixedPoint) {
+        return Number(mantissa) === 0 ? 'Zero' : 'Fixed-point';
+    }
+
+    // Wide formats carry BigInt mantissas; compare by numeric value.
+    const isZeroMantissa = Number(mantissa) === 0;
+
     if (format.exponentBits === 0) {
         // Fixed-point format
-        if (mantissa === 0) {
+        if (isZeroMantissa) {
             return sign ? '-Zero' : '+Zero';
         }
         return 'Fixed-point';
     }
 
+    // FNUZ formats use the negative-zero pattern as their single NaN
+    if (isNegativeZeroNaN(format, sign, exponent, mantissa)) {
+        return 'NaN';
+    }
+
     if (exponent === format.maxExponent) {
-        if (format.hasInfinity && mantissa === 0) {
+        if (format.hasInfinity && isZeroMantissa) {
             return sign ? '-Infinity' : '+Infinity';
         }
-        if (format.hasNaN) {
-            const maxMant = format.mantissaBits > 0 ? Math.pow(2, format.mantissaBits) - 1 : 0;
-            if (format.hasInfinity ? mantissa !== 0 : mantissa === maxMant) {
-                return 'NaN';
-            }
+        if (format.specialValues.nan === 'ieee' ? !isZeroMantissa :
+            format.specialValues.nan === 'allOnes' && mantissa === allOnesMantissa(format)) {
+            return 'NaN';
         }
         // Not a special value — it's a normal number at maxExponent
         return 'Normal';
     }
 
-    if (exponent === 0) {
-        if (mantissa === 0) {
+    // Formats without zero use exponent 0 for their smallest normal power of two
+    if (exponent === 0 && format.hasZero) {
+        // Without subnormals every exponent-0 pattern is a zero
+        if (isZeroMantissa || !format.specialValues.subnormals) {
             return sign ? '-Zero' : '+Zero';
         } else {
             return 'Subnormal';
@@ -768,20 +959,21 @@ function determineFloatType(format, sign, exponent, mantissa) {
 }
 
 function calculateMantissaDecimal(format, exponent, mantissa) {
-    // For integer formats, return the raw value
-    if (format.isInteger) {
+    // For integer and fixed-point formats, return the value itself
+    if (isSingleField(format)) {
         return format.decode(0, 0, mantissa);
     }
     
+    const subnormal = exponent === 0 && format.hasZero;
     if (format.mantissaBits === 0) {
-        return exponent === 0 ? 0 : 1.0;
+        return subnormal ? 0 : 1.0;
     }
-    return exponent === 0 ?
-        mantissa / Math.pow(2, format.mantissaBits) :
-        1.0 + mantissa / Math.pow(2, format.mantissaBits);
+    return subnormal ?
+        Number(mantissa) / Math.pow(2, format.mantissaBits) :
+        1.0 + Number(mantissa) / Math.pow(2, format.mantissaBits);
 }
 
-function formatExponentActual(format, exponent, mantissa) {
+function formatExponentActual(format, sign, exponent, mantissa) {
     // Integer formats don't have exponents
     if (format.isInteger) {
         return 'N/A';
@@ -790,13 +982,17 @@ function formatExponentActual(format, exponent, mantissa) {
     if (format.exponentBits === 0) {
         return 'N/A';
     }
-    if (exponent === 0) {
+    if (isNegativeZeroNaN(format, sign, exponent, mantissa)) {
+        return 'Special';
+    }
+    if (exponent === 0 && format.hasZero) {
         return `1 - ${format.bias} = ${1 - format.bias}`;
     } else if (exponent === format.maxExponent) {
         // Check if this specific encoding is a special value (Infinity or NaN)
-        const isInf = format.hasInfinity && mantissa === 0;
-        const maxMant = format.mantissaBits > 0 ? Math.pow(2, format.mantissaBits) - 1 : 0;
-        const isNaN_ = format.hasNaN && (format.hasInfinity ? mantissa !== 0 : mantissa === maxMant);
+        const isZeroMantissa = Number(mantissa) === 0;
+        const isInf = format.hasInfinity && isZeroMantissa;
+        const isNaN_ = format.specialValues.nan === 'ieee' ? !isZeroMantissa :
+            format.specialValues.nan === 'allOnes' && mantissa === allOnesMantissa(format);
         if (isInf || isNaN_) {
             return 'Special';
         }
@@ -813,34 +1009,38 @@ function updateComponentsDisplay(format, encoded, idPrefix) {
         format.signBits ? sign : 'N/A';
     document.getElementById(`${idPrefix}-comp-exp-biased`).textContent = exponent;
     document.getElementById(`${idPrefix}-comp-exp-actual`).textContent =
-        formatExponentActual(format, exponent, mantissa);
+        formatExponentActual(format, sign, exponent, mantissa);
     document.getElementById(`${idPrefix}-comp-type`).textContent =
         determineFloatType(format, sign, exponent, mantissa);
+    // 64-bit integers decode to BigInt, which has no fractional digits to show
+    const mantissaDec = calculateMantissaDecimal(format, exponent, mantissa);
     document.getElementById(`${idPrefix}-comp-mantissa-dec`).textContent =
-        calculateMantissaDecimal(format, exponent, mantissa).toFixed(10);
+        typeof mantissaDec === 'bigint' ? mantissaDec.toString() : mantissaDec.toFixed(10);
     document.getElementById(`${idPrefix}-comp-value`).textContent =
         format.decode(sign, exponent, mantissa);
 }
 
 function updateComponents() {
     updateComponentsDisplay(currentFormat, currentEncoded, 'input');
+    // Bit edits and presets are representable by construction
+    document.getElementById('input-comp-exact').textContent =
+        currentEncoded.exact === false ? 'No (rounded)' : 'Yes';
 }
 
 function loadValuePreset(valueKey) {
     // Special handling for all-ones - set bits directly
     if (valueKey === 'all-ones') {
-        if (currentFormat.isInteger) {
+        if (isSingleField(currentFormat)) {
             currentEncoded = {
                 sign: 0,
                 exponent: 0,
-                mantissa: Math.pow(2, currentFormat.bits) - 1,
-                isInteger: true
+                mantissa: allOnesMantissa(currentFormat)
             };
         } else {
             currentEncoded = {
                 sign: currentFormat.signBits ? 1 : 0,
                 exponent: currentFormat.maxExponent,
-                mantissa: Math.pow(2, currentFormat.mantissaBits) - 1
+                mantissa: allOnesMantissa(currentFormat)
             };
         }
         currentValue = currentFormat.decode(
@@ -848,6 +1048,7 @@ function loadValuePreset(valueKey) {
             currentEncoded.exponent,
             currentEncoded.mantissa
         );
+        currentValueText = null;
         document.getElementById('input-decimal-input').value = currentValue;
         updateRepresentation();
         updateOutput();
@@ -855,8 +1056,8 @@ function loadValuePreset(valueKey) {
         return;
     }
 
-    // Handle integer formats differently
-    if (currentFormat.isInteger) {
+    // Handle integer and fixed-point formats differently
+    if (isSingleField(currentFormat)) {
         switch (valueKey) {
             case 'zero':
                 currentValue = 0;
@@ -871,7 +1072,7 @@ function loadValuePreset(valueKey) {
                 currentValue = currentFormat.minValue;
                 break;
             default:
-                // Ignore unsupported presets for integers
+                // Ignore unsupported presets for integers and fixed-point
                 return;
         }
     } else {
@@ -887,17 +1088,15 @@ function loadValuePreset(valueKey) {
                 currentValue = currentFormat.decode(maxNormal.sign, maxNormal.exponent, maxNormal.mantissa);
                 break;
             }
-            case 'min-norm':
-                // Minimum normal number: exponent = 1, mantissa = 0
-                currentValue = currentFormat.decode(0, 1, 0);
+            case 'min-norm': {
+                // Minimum normal number: exponent = 1 (0 without zero), mantissa = 0
+                const minNormal = currentFormat.getMinNormal(false);
+                currentValue = currentFormat.decode(minNormal.sign, minNormal.exponent, minNormal.mantissa);
                 break;
+            }
             case 'max-subnorm':
                 // Maximum subnormal number: exponent = 0, all mantissa bits = 1
-                currentValue = currentFormat.decode(
-                    0,
-                    0,
-                    Math.pow(2, currentFormat.mantissaBits) - 1
-                );
+                currentValue = currentFormat.decode(0, 0, allOnesMantissa(currentFormat));
                 break;
             case 'min-subnorm':
                 // Minimum subnormal number: exponent = 0, mantissa = 1
@@ -915,13 +1114,14 @@ function loadValuePreset(valueKey) {
         }
     }
 
+    currentValueText = null;
     document.getElementById('input-decimal-input').value = currentValue;
     updateValue();
 }
 
 function getPresetValue(valueKey, format) {
-    // Handle integer formats
-    if (format.isInteger) {
+    // Handle integer and fixed-point formats
+    if (isSingleField(format)) {
         switch (valueKey) {
             case 'zero':
                 return 0;
@@ -936,6 +1136,11 @@ function getPresetValue(valueKey, format) {
         }
     }
     
+    // Formats without zero have neither zero nor subnormals
+    if (!format.hasZero && (valueKey === 'zero' || valueKey === 'max-subnorm' || valueKey === 'min-subnorm')) {
+        return null;
+    }
+
     switch (valueKey) {
         case 'zero':
             return 0;
@@ -945,14 +1150,12 @@ function getPresetValue(valueKey, format) {
             const maxNormal = format.getMaxNormal(false);
             return format.decode(maxNormal.sign, maxNormal.exponent, maxNormal.mantissa);
         }
-        case 'min-norm':
-            return format.decode(0, 1, 0);
+        case 'min-norm': {
+            const minNormal = format.getMinNormal(false);
+            return format.decode(minNormal.sign, minNormal.exponent, minNormal.mantissa);
+        }
         case 'max-subnorm':
-            return format.decode(
-                0,
-                0,
-                Math.pow(2, format.mantissaBits) - 1
-            );
+            return format.decode(0, 0, allOnesMantissa(format));
         case 'min-subnorm':
             return format.decode(0, 0, 1);
         case 'infinity':
@@ -980,14 +1183,13 @@ function valuesMatch(a, b, format) {
 
 function isAllOnesMatch(encoded, format) {
     // Check if encoded value has all bits set to 1
-    if (format.isInteger) {
-        const expectedMantissa = Math.pow(2, format.bits) - 1;
-        return encoded.mantissa === expectedMantissa;
+    if (isSingleField(format)) {
+        return encoded.mantissa === allOnesMantissa(format);
     }
     
     const expectedSign = format.signBits ? 1 : 0;
     const expectedExponent = format.maxExponent;
-    const expectedMantissa = Math.pow(2, format.mantissaBits) - 1;
+    const expectedMantissa = allOnesMantissa(format);
     
     return encoded.sign === expectedSign &&
            encoded.exponent === expectedExponent &&
@@ -1040,32 +1242,63 @@ function updateActiveOutputValuePreset(outputEncoded, outputValue) {
     });
 }
 
+// Difference of two decoded values as a Number, subtracting integer operands
+// exactly so 64-bit (BigInt) values do not cancel out.
+function valueDifference(a, b) {
+    if ((typeof a === 'bigint' || typeof b === 'bigint') &&
+        Number.isInteger(Number(a)) && Number.isInteger(Number(b))) {
+        return Number(BigInt(a) - BigInt(b));
+    }
+    return Number(a) - Number(b);
+}
+
 function updateOutput() {
-    // First decode the actual value from the input format
+    // First decode the actual value from the input format, reading subnormals
+    // as zero under DAZ
     const inputValue = currentFormat.decode(
         currentEncoded.sign,
         currentEncoded.exponent,
-        currentEncoded.mantissa
+        currentEncoded.mantissa,
+        { subnormalsAreZero: currentDenormalsAreZero }
     );
     
-    // Encode the input format's actual value into the output format
-    const outputEncoded = outputFormat.encode(inputValue, { roundingMode: currentRoundingMode });
+    // Encode the input format's actual value into the output format. In the
+    // error overflow mode an out-of-range value has no encoding to show.
+    let outputEncoded;
+    try {
+        outputEncoded = outputFormat.encode(inputValue, {
+            roundingMode: currentRoundingMode,
+            flushSubnormals: currentFlushToZero,
+        });
+    } catch (err) {
+        if (!(err instanceof RangeError)) throw err;
+        showOutputOverflowError(err.message);
+        syncUrl();
+        return;
+    }
     const outputValue = outputFormat.decode(
         outputEncoded.sign,
         outputEncoded.exponent,
         outputEncoded.mantissa
     );
 
-    // Update decimal display
-    document.getElementById('output-decimal').textContent = outputValue;
+    // Update decimal display in the selected digits mode
+    const { sign: outSign, exponent: outExponent, mantissa: outMantissa } = outputEncoded;
+    let outputText = outputValue;
+    if (currentDigitsMode === 'shortest') {
+        outputText = outputFormat.toShortestDecimalString(outSign, outExponent, outMantissa);
+    } else if (currentDigitsMode === 'exact') {
+        outputText = outputFormat.toDecimalString(outSign, outExponent, outMantissa);
+    }
+    document.getElementById('output-decimal').textContent = outputText;
 
     // Get output section containers
     const outputSignSection = document.querySelector('#output-binary-sign-values').closest('.bit-section-container');
     const outputExpSection = document.querySelector('#output-binary-exponent-values').closest('.bit-section-container');
 
     // Update binary display (read-only)
-    if (outputFormat.isInteger) {
-        // For integers, hide sign and exponent sections, show single contiguous field
+    if (isSingleField(outputFormat)) {
+        // For integers and fixed-point, hide sign and exponent sections, show single contiguous field
         outputSignSection.style.display = 'none';
         outputExpSection.style.display = 'none';
         createOutputBinaryDisplay('sign', '');
@@ -1095,9 +1328,10 @@ function updateOutput() {
     updateComponentsDisplay(outputFormat, outputEncoded, 'output');
 
     // Calculate precision loss - compare actual decoded values from both formats
-    const loss = Math.abs(inputValue - outputValue);
-    const relativeLoss = (inputValue !== 0 && isFinite(inputValue))
-        ? (loss / Math.abs(inputValue) * 100).toFixed(6)
+    const loss = Math.abs(valueDifference(inputValue, outputValue));
+    const inputNumber = Number(inputValue);
+    const relativeLoss = (inputNumber !== 0 && isFinite(inputNumber))
+        ? (loss / Math.abs(inputNumber) * 100).toFixed(6)
         : '0';
 
     // Show/hide precision loss based on whether there's actual loss
@@ -1110,6 +1344,9 @@ function updateOutput() {
             `${loss.toExponential(6)} (${relativeLoss}%)`;
     }
 
+    updateFlushedDisplay(outputEncoded.flushed === true);
+    updateExceptionFlagsDisplay(outputEncoded.flags);
+
     // Update output value preset highlighting
     updateActiveOutputValuePreset(outputEncoded, outputValue);
 
@@ -1118,6 +1355,61 @@ function updateOutput() {
     syncUrl();
 }
 
+// Whether DAZ reads the current input bit pattern as zero: a nonzero
+// exponent-0 pattern in a float format that has subnormals
+function isInputReadAsZero() {
+    if (!currentDenormalsAreZero || isSingleField(currentFormat)) return false;
+    return currentFormat.exponentBits > 0 &&
+        currentFormat.specialValues.subnormals &&
+        currentEncoded.exponent === 0 &&
+        BigInt(currentEncoded.mantissa) !== 0n;
+}
+
+// Show which of DAZ and FTZ replaced a subnormal with zero, if any
+function updateFlushedDisplay(outputFlushed) {
+    const notes = [];
+    if (isInputReadAsZero()) notes.push('Subnormal input read as zero (DAZ)');
+    if (outputFlushed) notes.push('Subnormal result flushed to zero (FTZ)');
+    document.querySelector('.subnormal-flushed').style.display = notes.length ? 'flex' : 'none';
+    document.getElementById('output-flushed').textContent = notes.join('; ');
+}
+
+// Replace the output with the error raised by the error overflow mode. The
+// conversion traps, so only the invalid flag is left to show.
+function showOutputOverflowError(message) {
+    document.getElementById('output-decimal').textContent = message;
+    document.getElementById('output-hex').textContent = '—';
+    for (const section of ['sign', 'exponent', 'mantissa']) {
+        createOutputBinaryDisplay(section, '');
+    }
+    for (const field of ['sign', 'exp-biased', 'exp-actual', 'type', 'mantissa-dec', 'value']) {
+        document.getElementById(`output-comp-${field}`).textContent = '—';
+    }
+    document.querySelector('.precision-loss').style.display = 'none';
+    updateFlushedDisplay(false);
+    updateExceptionFlagsDisplay({ invalid: true });
+    document.querySelectorAll('.output-value-preset').forEach(btn => btn.classList.remove('active'));
+}
+
+// Highlight the IEEE exception flags the output encode raised, if any
+function updateExceptionFlagsDisplay(flags) {
+    const raised = renderFlagBadges(document.getElementById('output-flags'), flags);
+    document.querySelector('.exception-flags').style.display = raised ? 'flex' : 'none';
+}
+
+// Fill a container with one badge per raised flag; returns how many were raised
+function renderFlagBadges(container, flags) {
+    container.innerHTML = '';
+    const raised = Object.keys(flags).filter((name) => flags[name]);
+    for (const name of raised) {
+        const badge = document.createElement('span');
+        badge.className = `flag-badge flag-${name}`;
+        badge.textContent = name;
+        container.appendChild(badge);
+    }
+    return raised.length;
+}
+
 function createOutputBinaryDisplay(section, binaryString) {
     const valuesContainer = document.getElementById(`output-binary-${section}-values`);
     const positionsContainer = document.getElementById(`output-binary-${section}-positions`);
@@ -1139,7 +1431,7 @@ function createOutputBinaryDisplay(section, binaryString) {
         return; // No exponent bits
     }
 
-    if (section === 'mantissa' && outputFormat.mantissaBits === 0 && !outputFormat.isInteger) {
+    if (section === 'mantissa' && outputFormat.mantissaBits === 0 && !isSingleField(outputFormat)) {
         return; // No mantissa bits (but allow for integers)
     }
 
@@ -1164,3 +1456,370 @@ function createOutputBinaryDisplay(section, binaryString) {
 // Initialize with FP16 input and BF16 output presets
 loadInputPreset('fp16');
 loadOutputPreset('bf16');
+
+// ── Dot product simulator ─────────────────────────────────────
+
+// Fill the format suggestions and default vectors, then simulate on any change
+function setupDotProduct() {
+    const options = document.getElementById('dot-format-options');
+    for (const key of Object.keys(FORMATS)) {
+        const option = document.createElement('option');
+        option.value = key;
+        option.label = FORMATS[key].name;
+        options.appendChild(option);
+    }
+    document.getElementById('dot-vector-a').value = '0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8';
+    document.getElementById('dot-vector-b').value = '8, 7, 6, 5, 4, 3, 2, 1';
+
+    for (const id of ['dot-vector-a', 'dot-vector-b', 'dot-input-format', 'dot-product-format',
+        'dot-accumulator-format', 'dot-block-size']) {
+        document.getElementById(id).addEventListener('input', updateDotProduct);
+    }
+    document.getElementById('dot-order').addEventListener('change', updateDotProduct);
+    updateDotProduct();
+}
+
+// Split a comma- or space-separated vector into its values
+function parseDotVector(text) {
+    return text.split(/[\s,]+/).filter((value) => value !== '');
+}
+
+// Run the dot_product tool on the panel's inputs and show its result. Format
+// fields take anything the tool does: a preset key or a Qm.n string.
+function updateDotProduct() {
+    const order = document.getElementById('dot-order').value;
+    document.querySelector('.dot-block-size-group').style.display = order === 'blocked' ? '' : 'none';
+
+    let result;
+    try {
+        const productFormat = document.getElementById('dot-product-format').value.trim();
+        result = JSON.parse(dotProduct({
+            a: parseDotVector(document.getElementById('dot-vector-a').value),
+            b: parseDotVector(document.getElementById('dot-vector-b').value),
+            inputFormat: document.getElementById('dot-input-format').value.trim(),
+            productFormat: productFormat || undefined,
+            accumulatorFormat: document.getElementById('dot-accumulator-format').value.trim(),
+            order,
+            blockSize: order === 'blocked' ? Number(document.getElementById('dot-block-size').value) : undefined,
+            roundingMode: currentRoundingMode,
+            flushSubnormals: currentFlushToZero,
+            subnormalsAreZero: currentDenormalsAreZero,
+        }).content[0].text);
+    } catch (err) {
+        showDotProductMessage(err.message);
+        return;
+    }
+
+    showDotProductMessage('');
+    document.getElementById('dot-result').textContent = result.result.actualValue;
+    document.getElementById('dot-result-hex').textContent = result.result.hex;
+    document.getElementById('dot-reference').textContent = result.reference.exactValue;
+    document.getElementById('dot-inputs-exact').textContent = result.inputsExact
+        ? 'Exact in the input format'
+        : 'Rounded into the input format';
+    const relative = typeof result.error.relative === 'number'
+        ? `${Number((result.error.relative * 100).toPrecision(6))}%`
+        : result.error.relative;
+    document.getElementById('dot-error').textContent = `${result.error.absolute} (${relative})`;
+
+    const raised = renderFlagBadges(document.getElementById('dot-flags'), result.flags);
+    document.querySelector('.dot-flags').style.display = raised ? 'flex' : 'none';
+}
+
+// Show why the simulation could not run, or hide the message when it can
+function showDotProductMessage(message) {
+    document.getElementById('dot-message').textContent = message;
+    document.querySelector('.dot-message').style.display = message ? 'flex' : 'none';
+    if (!message) return;
+    for (const id of ['dot-result', 'dot-result-hex', 'dot-reference', 'dot-inputs-exact', 'dot-error']) {
+        document.getElementById(id).textContent = '\u2014';
+    }
+    document.querySelector('.dot-flags').style.display = 'none';
+}
+
+// ── Tensor file inspector ─────────────────────────────────────
+
+// Files are read whole in the browser; larger shards are for `fp-conv dump`
+const MAX_TENSOR_FILE_BYTES = 1024 * 1024 * 1024;
+let tensorBytes = null;  // Contents of the dropped file
+
+// Accept a dropped or chosen file, and decode again on any option change
+function setupTensorInspector() {
+    const zone = document.getElementById('tensor-drop-zone');
+    const input = document.getElementById('tensor-file');
+    input.addEventListener('change', () => {
+        if (input.files.length) loadTensorFile(input.files[0]);
+    });
+    zone.addEventListener('dragover', (event) => {
+        event.preventDefault();
+        zone.classList.add('dragging');
+    });
+    zone.addEventListener('dragleave', () => zone.classList.remove('dragging'));
+    zone.addEventListener('drop', (event) => {
+        event.preventDefault();
+        zone.classList.remove('dragging');
+        if (event.dataTransfer.files.length) loadTensorFile(event.dataTransfer.files[0]);
+    });
+
+    for (const id of ['tensor-format', 'tensor-offset', 'tensor-count']) {
+        document.getElementById(id).addEventListener('input', updateTensorInspector);
+    }
+    for (const id of ['tensor-name', 'tensor-endianness', 'tensor-nibble-order']) {
+        document.getElementById(id).addEventListener('change', updateTensorInspector);
+    }
+}
+
+async function loadTensorFile(file) {
+    document.getElementById('tensor-file-name').textContent = `${file.name} (${file.size.toLocaleString()} bytes)`;
+    document.getElementById('tensor-name').replaceChildren();
+    tensorBytes = null;
+    if (file.size > MAX_TENSOR_FILE_BYTES) {
+        showTensorMessage('This file is too large to read in the browser; use fp-conv dump from the command line instead.');
+        return;
+    }
+    tensorBytes = new Uint8Array(await file.arrayBuffer());
+    updateTensorInspector();
+}
+
+// Decode the chosen window of the loaded file and list its elements
+function updateTensorInspector() {
+    if (!tensorBytes) return;
+    const tensorSelect = document.getElementById('tensor-name');
+    let result;
+    try {
+        result = readTensor({
+            data: tensorBytes,
+            format: document.getElementById('tensor-format').value.trim() || undefined,
+            tensor: tensorSelect.value || undefined,
+            offset: Number(document.getElementById('tensor-offset').value),
+            count: Number(document.getElementById('tensor-count').value),
+            endianness: document.getElementById('tensor-endianness').value || undefined,
+            nibbleOrder: document.getElementById('tensor-nibble-order').value,
+            digits: currentDigitsMode,
+        });
+    } catch (err) {
+        showTensorMessage(err.message);
+        return;
+    }
+
+    // Offer every tensor of a safetensors file, keeping the one shown selected
+    const tensors = result.tensors || [];
+    document.querySelector('.tensor-name-group').style.display = tensors.length > 1 ? '' : 'none';
+    if (tensorSelect.options.length !== tensors.length) {
+        tensorSelect.replaceChildren(...tensors.map((t) => new Option(t.name, t.name)));
+        tensorSelect.value = result.tensor ? result.tensor.name : '';
+    }
+
+    showTensorMessage('');
+    const parts = [result.container];
+    if (result.tensor) {
+        const name = result.tensor.name === undefined ? '' : `${result.tensor.name}: `;
+        parts.push(`${name}${result.tensor.dtype} [${result.tensor.shape.join(', ')}]`);
+    }
+    const shown = result.elements.length;
+    parts.push(shown
+        ? `elements ${result.offset}\u2013${result.offset + shown - 1} of ${result.totalElements}`
+        : `no elements of ${result.totalElements} shown`);
+    document.getElementById('tensor-summary').textContent = parts.join(' \u00b7 ');
+
+    const body = document.querySelector('#tensor-elements tbody');
+    body.replaceChildren(...result.elements.map((element) => {
+        const row = document.createElement('tr');
+        for (const cell of [element.index, element.hex, element.value, element.type]) {
+            const td = document.createElement('td');
+            td.textContent = String(cell);
+            row.appendChild(td);
+        }
+        return row;
+    }));
+    document.getElementById('tensor-elements').style.display = shown ? '' : 'none';
+}
+
+// Show why the file cannot be decoded, or hide the message when it can
+function showTensorMessage(message) {
+    const element = document.getElementById('tensor-message');
+    element.textContent = message;
+    element.style.display = message ? '' : 'none';
+    if (!message) return;
+    document.getElementById('tensor-summary').textContent = '';
+    document.getElementById('tensor-elements').style.display = 'none';
+}
+
+// ── Quantization error analysis ───────────────────────────────
+
+let analysisRequested = false;  // Re-run on setting changes only once asked
+
+// Analyze on the button, then again whenever the format or settings change
+function setupQuantizationAnalysis() {
+    document.getElementById('analysis-run').addEventListener('click', () => {
+        analysisRequested = true;
+        updateQuantizationAnalysis();
+    });
+    document.getElementById('analysis-format').addEventListener('input', updateQuantizationAnalysis);
+    document.getElementById('analysis-power-of-two').addEventListener('change', updateQuantizationAnalysis);
+}
+
+// Pasted data: a JSON array, or values separated by commas, spaces or new lines
+function parseAnalysisValues(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('[')) {
+        try {
+            return JSON.parse(trimmed);
+        } catch {
+            throw new Error('The values look like a JSON array but are not valid JSON.');
+        }
+    }
+    return trimmed.split(/[\s,]+/).filter((value) => value !== '');
+}
+
+// Run the analyze_quantization and search_scaling tools on the pasted values
+// and show their statistics
+function updateQuantizationAnalysis() {
+    if (!analysisRequested) return;
+    let result;
+    let scaling;
+    try {
+        const params = {
+            values: parseAnalysisValues(document.getElementById('analysis-values').value),
+            format: document.getElementById('analysis-format').value.trim(),
+            roundingMode: currentRoundingMode,
+            flushSubnormals: currentFlushToZero,
+        };
+        result = JSON.parse(analyzeQuantization(params).content[0].text);
+        scaling = JSON.parse(searchScaling({
+            ...params,
+            powerOfTwo: document.getElementById('analysis-power-of-two').checked,
+        }).content[0].text);
+    } catch (err) {
+        showAnalysisMessage(err.message);
+        return;
+    }
+
+    showAnalysisMessage('');
+    const significant = (value) => (typeof value === 'number' ? String(Number(value.toPrecision(6))) : value);
+    const percent = (fraction) => `${significant(fraction * 100)}%`;
+    const fields = {
+        'analysis-count': `${result.count} (${result.finite} finite)`,
+        'analysis-mse': significant(result.mse),
+        'analysis-sqnr': typeof result.sqnrDb === 'number' ? `${result.sqnrDb.toFixed(2)} dB` : `${result.sqnrDb} dB`,
+        'analysis-bias': significant(result.meanError),
+        'analysis-max-error': result.worst
+            ? `${significant(result.maxAbsError)} (${result.worst.input} \u2192 ${result.worst.value})`
+            : '\u2014',
+        'analysis-max-relative': percent(result.maxRelError),
+        'analysis-overflows': result.overflows,
+        'analysis-underflows': result.underflows,
+        'analysis-flushed': result.flushed,
+        'analysis-subnormals': `${result.subnormals} (${percent(result.subnormalFraction)})`,
+    };
+    for (const [id, text] of Object.entries(fields)) {
+        document.getElementById(id).textContent = String(text);
+    }
+
+    // Buckets hold errors up to their bound and above the previous one
+    const body = document.querySelector('#analysis-histogram tbody');
+    let previous;
+    body.replaceChildren(...result.ulpHistogram.map(({ upTo, count }) => {
+        const label = upTo === 0 ? '0 (exact)' : upTo === 'Infinity' ? `> ${previous}` : `\u2264 ${upTo}`;
+        previous = upTo;
+        const share = result.finite ? count / result.finite : 0;
+        const row = document.createElement('tr');
+        for (const text of [label, String(count)]) {
+            const td = document.createElement('td');
+            td.textContent = text;
+            row.appendChild(td);
+        }
+        const bar = document.createElement('td');
+        const fill = document.createElement('span');
+        fill.className = 'analysis-bar';
+        fill.style.width = `${share * 10}em`;
+        bar.append(fill, ` ${percent(share)}`);
+        row.appendChild(bar);
+        return row;
+    }));
+
+    // One row per recipe; the one with the least error is highlighted
+    document.querySelector('#analysis-scaling tbody').replaceChildren(...scaling.recipes.map(({ method, scales, stats }) => {
+        const row = document.createElement('tr');
+        if (method === scaling.best) row.className = 'analysis-best';
+        const sqnr = typeof stats.sqnrDb === 'number' ? `${stats.sqnrDb.toFixed(2)} dB` : `${stats.sqnrDb} dB`;
+        const name = method === 'percentile' ? `percentile ${scaling.percentile}` : method;
+        for (const text of [name, significant(scales[0]), significant(stats.mse), sqnr, String(stats.overflows)]) {
+            const td = document.createElement('td');
+            td.textContent = text;
+            row.appendChild(td);
+        }
+        return row;
+    }));
+}
+
+// Show why the data cannot be analyzed, or hide the message when it can
+function showAnalysisMessage(message) {
+    const element = document.getElementById('analysis-message');
+    element.textContent = message;
+    element.style.display = message ? '' : 'none';
+    document.getElementById('analysis-results').style.display = message ? 'none' : '';
+}
+
+// ── Code generation ───────────────────────────────────────────
+
+// Generate on the button, then again whenever the output format, rounding
+// mode or language changes
+function setupCodeGeneration() {
+    document.getElementById('codegen-run').addEventListener('click', () => {
+        codeRequested = true;
+        updateGeneratedCode();
+    });
+    document.getElementById('codegen-language').addEventListener('change', updateGeneratedCode);
+    document.getElementById('codegen-copy').addEventListener('click', (e) => {
+        const button = e.currentTarget;
+        const code = document.getElementById('codegen-code').textContent;
+        const showCopied = () => {
+            button.textContent = 'Copied!';
+            clearTimeout(button._copyTimer);
+            button._copyTimer = setTimeout(() => {
+                button.textContent = 'Copy';
+            }, 1500);
+        };
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(code).then(showCopied).catch(() => fallbackCopy(code, showCopied));
+        } else {
+            fallbackCopy(code, showCopied);
+        }
+    });
+    document.getElementById('codegen-download').addEventListener('click', () => {
+        const blob = new Blob([document.getElementById('codegen-code').textContent], { type: 'text/plain' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = document.getElementById('codegen-filename').textContent;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    });
+}
+
+// Write the output format's constants and cast in the chosen language, named
+// after the active output preset
+function updateGeneratedCode() {
+    if (!codeRequested) return;
+    const preset = document.querySelector('.output-preset.active');
+    const message = document.getElementById('codegen-message');
+    const result = document.getElementById('codegen-result');
+    let generated;
+    try {
+        generated = generateCode({
+            format: outputFormat,
+            language: document.getElementById('codegen-language').value,
+            roundingMode: currentRoundingMode,
+            name: preset ? preset.dataset.format : undefined,
+        });
+    } catch (err) {
+        message.textContent = err.message;
+        message.style.display = '';
+        result.style.display = 'none';
+        return;
+    }
+    message.style.display = 'none';
+    result.style.display = '';
+    document.getElementById('codegen-filename').textContent = generated.filename;
+    document.getElementById('codegen-code').textContent = generated.code;
+}
@@ -1,25 +1,34 @@
 // Copyright (c) 2025 Spencer Williams
 // Licensed under the MIT License.
 
-/* global FloatingPoint, Integer, FORMATS */
+/* global FloatingPoint, Integer, FixedPoint, FORMATS, parseDecimalString */
 // URL state serialization for shareable/bookmarkable conversions.
 // Pure (DOM-free) helpers so they can be unit tested under Node.
-// Requires FloatingPoint, Integer, and FORMATS from floating-point.js.
+// Requires FloatingPoint, Integer, FixedPoint, FORMATS, and parseDecimalString
+// from floating-point.js.
 
 // In Node.js (testing), import from the library; in browser, rely on globals.
-let _FloatingPoint, _Integer, _FORMATS;
+// `var`, not `let`: url-state.js and webmcp.js share the page's global scope
+// and declare the same aliases.
+var _FloatingPoint, _Integer, _FixedPoint, _FORMATS, _parseDecimalString;
 if (typeof require !== 'undefined') {
     const lib = require('../lib/floating-point.js');
     _FloatingPoint = lib.FloatingPoint;
     _Integer = lib.Integer;
+    _FixedPoint = lib.FixedPoint;
     _FORMATS = lib.FORMATS;
+    _parseDecimalString = lib.parseDecimalString;
 } else {
     /* istanbul ignore next */
     _FloatingPoint = FloatingPoint;
     /* istanbul ignore next */
     _Integer = Integer;
     /* istanbul ignore next */
+    _FixedPoint = FixedPoint;
+    /* istanbul ignore next */
     _FORMATS = FORMATS;
+    /* istanbul ignore next */
+    _parseDecimalString = parseDecimalString;
 }
 
 const ROUNDING_MODE_VALUES = [
@@ -28,6 +37,9 @@ const ROUNDING_MODE_VALUES = [
     'towardZero',
     'towardPositive',
     'towardNegative',
+    'toOdd',
+    'tiesToZero',
+    'tiesToOdd',
 ];
 const DEFAULT_ROUNDING_MODE = 'tiesToEven';
 
@@ -38,13 +50,16 @@ const DEFAULT_ROUNDING_MODE = 'tiesToEven';
 function findFloatPresetKey(format) {
     const signBits = format.signBits ? 1 : 0;
     for (const [key, f] of Object.entries(_FORMATS)) {
-        if (f.isInteger) continue;
+        if (f.isInteger || f.isFixedPoint) continue;
         if (
             f.sign === signBits &&
             f.exponent === format.exponentBits &&
             f.mantissa === format.mantissaBits &&
             (f.hasInfinity !== false) === !!format.hasInfinity &&
-            (f.hasNaN !== false) === !!format.hasNaN
+            (f.hasNaN !== false) === !!format.hasNaN &&
+            (f.hasZero !== false) === (format.hasZero !== false) &&
+            (f.hasNegativeZero !== false) === (format.hasNegativeZero !== false) &&
+            (f.bias === undefined || f.bias === format.bias)
         ) {
             return key;
         }
@@ -67,16 +82,56 @@ function findIntPresetKey(format) {
 }
 
 /**
- * Serialize a FloatingPoint or Integer instance to a compact URL parameter.
- * Uses the preset key when one matches; otherwise a compact custom spec:
- *   - floating-point: "s1e8m23" (+ "i0"/"n0" when infinity/NaN are disabled)
+ * Find the preset key matching a fixed-point format's layout and signedness,
+ * or null if the format is custom.
+ */
+function findFixedPresetKey(format) {
+    for (const [key, f] of Object.entries(_FORMATS)) {
+        if (!f.isFixedPoint) continue;
+        if (
+            f.integerBits === format.integerBits &&
+            f.fractionBits === format.fractionBits &&
+            f.signed === !!format.signed
+        ) {
+            return key;
+        }
+    }
+    return null;
+}
+
+// URL suffixes for the non-default integer and fixed-point overflow modes
+const OVERFLOW_SUFFIXES = { wrap: 'w', error: 'e' };
+
+function overflowFromSuffix(suffix) {
+    if (suffix === 'w') return 'wrap';
+    return suffix === 'e' ? 'error' : 'saturate';
+}
+
+/**
+ * Serialize a FloatingPoint, Integer or FixedPoint instance to a compact URL
+ * parameter. Uses the preset key when one matches; otherwise a compact custom spec:
+ *   - floating-point: "s1e8m23" (+ "i0"/"n0"/"z0" when infinity/NaN/zero are disabled,
+ *     + "uz" for an unsigned zero, i.e. no negative zero)
  *   - integer: "i8" (signed) / "u8" (unsigned)
+ *   - fixed-point: "q8.8" (signed) / "uq8.8" (unsigned)
+ *   Integer and fixed-point specs end in "w" when wrapping or "e" when
+ *   overflow is an error.
  */
 function formatToParam(format) {
+    // Presets saturate, so other overflow modes always use the custom spec
+    const overflowSuffix = OVERFLOW_SUFFIXES[format.overflow] || '';
+
+    if (format.isFixedPoint) {
+        const key = overflowSuffix ? null : findFixedPresetKey(format);
+        if (key) return key;
+        return (format.signed ? 'q' : 'uq') + format.integerBits + '.' + format.fractionBits + overflowSuffix;
+    }
+
+
     if (format.isInteger) {
-        const key = findIntPresetKey(format);
+        const key = overflowSuffix ? null : findIntPresetKey(format);
         if (key) return key;
-        return (format.signed ? 'i' : 'u') + format.bits;
+        return (format.signed ? 'i' : 'u') + format.bits + overflowSuffix;
     }
 
     const key = findFloatPresetKey(format);
@@ -87,12 +142,15 @@ function formatToParam(format) {
         'm' + format.mantissaBits;
     if (!format.hasInfinity) spec += 'i0';
     if (!format.hasNaN) spec += 'n0';
+    if (format.hasZero === false) spec += 'z0';
+    if (format.hasNegativeZero === false) spec += 'uz';
     return spec;
 }
 
 /**
  * Parse a format URL parameter into a descriptor:
- *   { presetKey } | { kind: 'fp', ... } | { kind: 'int', bits, signed } | null
+ *   { presetKey } | { kind: 'fp', ... } | { kind: 'int', bits, signed, overflow } |
+ *   { kind: 'fixed', integerBits, fractionBits, signed, overflow } | null
  */
 function parseFormatParam(str) {
     if (!str || typeof str !== 'string') return null;
@@ -103,18 +161,31 @@ function parseFormatParam(str) {
     const normalized = lower.replace(/-/g, '_');
     if (_FORMATS[normalized]) return { presetKey: normalized };
 
-    // Custom integer: i<bits> (signed) or u<bits> (unsigned).
-    let m = /^([iu])(\d+)$/.exec(lower);
+    // Custom integer: i<bits> (signed) or u<bits> (unsigned), "w" to wrap or
+    // "e" to make overflow an error.
+    let m = /^([iu])(\d+)([we])?$/.exec(lower);
     if (m) {
         const bits = parseInt(m[2], 10);
         if (bits >= 1 && bits <= 64) {
-            return { kind: 'int', bits, signed: m[1] === 'i' };
+            return { kind: 'int', bits, signed: m[1] === 'i', overflow: overflowFromSuffix(m[3]) };
         }
         return null;
     }
 
-    // Custom floating-point: s<0|1>e<exp>m<mant> with optional i0/i1 and n0/n1.
-    m = /^s([01])e(\d+)m(\d+)(?:i([01]))?(?:n([01]))?$/.exec(lower);
+    // Custom fixed-point: q<m>.<n> (signed) or uq<m>.<n> (unsigned), with the
+    // same overflow suffixes.
+    m = /^(u?)q(\d+)\.(\d+)([we])?$/.exec(lower);
+    if (m) {
+        const integerBits = parseInt(m[2], 10);
+        const fractionBits = parseInt(m[3], 10);
+        const signed = m[1] === '';
+        const total = integerBits + fractionBits;
+        if ((signed && integerBits < 1) || total < 1 || total > 128) return null;
+        return { kind: 'fixed', integerBits, fractionBits, signed, overflow: overflowFromSuffix(m[4]) };
+    }
+
+    // Custom floating-point: s<0|1>e<exp>m<mant> with optional i0/i1, n0/n1, z0/z1 and uz.
+    m = /^s([01])e(\d+)m(\d+)(?:i([01]))?(?:n([01]))?(?:z([01]))?(uz)?$/.exec(lower);
     if (m) {
         const signBits = parseInt(m[1], 10);
         const exponentBits = parseInt(m[2], 10);
@@ -122,14 +193,19 @@ function parseFormatParam(str) {
         if (exponentBits > 15 || mantissaBits > 112) return null;
         const hasInfinity = m[4] === undefined ? true : m[4] === '1';
         const hasNaN = m[5] === undefined ? true : m[5] === '1';
-        return { kind: 'fp', signBits, exponentBits, mantissaBits, hasInfinity, hasNaN };
+        const hasZero = m[6] === undefined ? true : m[6] === '1';
+        // Formats without zero need an exponent to hold their smallest power of two
+        if (!hasZero && exponentBits === 0) return null;
+        const desc = { kind: 'fp', signBits, exponentBits, mantissaBits, hasInfinity, hasNaN, hasZero };
+        if (m[7]) desc.hasNegativeZero = false;
+        return desc;
     }
 
     return null;
 }
 
 /**
- * Build a FloatingPoint or Integer instance from a parsed format descriptor.
+ * Build a FloatingPoint, Integer or FixedPoint instance from a parsed format descriptor.
  * Returns null for a null/preset descriptor (presets are applied via the UI).
  */
 function descriptorToFormat(desc) {
@@ -138,19 +214,27 @@ function descriptorToFormat(desc) {
         const preset = _FORMATS[desc.presetKey];
         if (!preset) return null;
         if (preset.isInteger) return new _Integer(preset.bits, preset.signed);
+        if (preset.isFixedPoint) return new _FixedPoint(preset.integerBits, preset.fractionBits, preset.signed);
         return new _FloatingPoint(preset.sign, preset.exponent, preset.mantissa, {
             bias: preset.bias,
             hasInfinity: preset.hasInfinity,
             hasNaN: preset.hasNaN,
+            hasZero: preset.hasZero,
+            hasNegativeZero: preset.hasNegativeZero,
         });
     }
     if (desc.kind === 'int') {
-        return new _Integer(desc.bits, desc.signed);
+        return new _Integer(desc.bits, desc.signed, { overflow: desc.overflow });
+    }
+    if (desc.kind === 'fixed') {
+        return new _FixedPoint(desc.integerBits, desc.fractionBits, desc.signed, { overflow: desc.overflow });
     }
     if (desc.kind === 'fp') {
         return new _FloatingPoint(desc.signBits, desc.exponentBits, desc.mantissaBits, {
             hasInfinity: desc.hasInfinity,
             hasNaN: desc.hasNaN,
+            hasZero: desc.hasZero,
+            hasNegativeZero: desc.hasNegativeZero,
         });
     }
     return null;
@@ -182,13 +266,25 @@ function parseDecimal(str) {
 }
 
 /**
- * Decide how to serialize the current input value. Prefer the human-friendly
- * decimal; fall back to the exact hex bit pattern when re-encoding the decimal
- * would not reproduce the current bits (manual bit edits, NaN payloads, etc.).
+ * Decide how to serialize the current input value. Prefer the decimal text the
+ * user typed, then the human-friendly decimal; fall back to the exact hex bit
+ * pattern when re-encoding the decimal would not reproduce the current bits
+ * (manual bit edits, NaN payloads, etc.).
  *
  * @returns {{ key: 'val'|'hex', value: string }}
  */
-function valueToParam(format, currentValue, currentEncoded, roundingMode) {
+function valueToParam(format, currentValue, currentEncoded, roundingMode, currentValueText) {
+    if (currentValueText) {
+        const reEncoded = format.encodeExact(currentValueText, { roundingMode });
+        if (
+            reEncoded.sign === currentEncoded.sign &&
+            reEncoded.exponent === currentEncoded.exponent &&
+            reEncoded.mantissa === currentEncoded.mantissa
+        ) {
+            return { key: 'val', value: currentValueText };
+        }
+    }
+
     let faithful;
     try {
         const reEncoded = format.encode(currentValue, { roundingMode });
@@ -212,7 +308,8 @@ function valueToParam(format, currentValue, currentEncoded, roundingMode) {
 /**
  * Build the query string (without leading "?") describing the current state.
  *
- * @param {object} state - { inputFormat, outputFormat, currentValue, currentEncoded, roundingMode }
+ * @param {object} state - { inputFormat, outputFormat, currentValue, currentValueText?,
+ *     currentEncoded, roundingMode, flushToZero?, denormalsAreZero? }
  * @returns {string}
  */
 function buildSearchParams(state) {
@@ -224,13 +321,16 @@ function buildSearchParams(state) {
         state.inputFormat,
         state.currentValue,
         state.currentEncoded,
-        state.roundingMode
+        state.roundingMode,
+        state.currentValueText
     );
     params.set(value.key, value.value);
 
     if (state.roundingMode && state.roundingMode !== DEFAULT_ROUNDING_MODE) {
         params.set('rm', state.roundingMode);
     }
+    if (state.flushToZero) params.set('ftz', '1');
+    if (state.denormalsAreZero) params.set('daz', '1');
 
     return params.toString();
 }
@@ -240,12 +340,14 @@ function buildSearchParams(state) {
  * no recognized parameters are present. Unrecognized/malformed values are
  * ignored rather than throwing.
  *
- * @returns {null | { input, output, value, roundingMode }}
+ * @returns {null | { input, output, value, roundingMode, flushToZero, denormalsAreZero }}
  */
 function parseSearchParams(search) {
     const params = new URLSearchParams(search || '');
 
-    const result = { input: null, output: null, value: null, roundingMode: null };
+    const result = {
+        input: null, output: null, value: null, roundingMode: null, flushToZero: false, denormalsAreZero: false,
+    };
 
     if (params.has('in')) result.input = parseFormatParam(params.get('in'));
     if (params.has('out')) result.output = parseFormatParam(params.get('out'));
@@ -256,9 +358,14 @@ function parseSearchParams(search) {
             result.value = { hex };
         }
     } else if (params.has('val')) {
-        const decimal = parseDecimal(params.get('val'));
+        const text = params.get('val').trim();
+        const decimal = parseDecimal(text);
         if (decimal !== null) {
             result.value = { decimal };
+            // Keep decimal literals verbatim so they can be rounded exactly once
+            if (_parseDecimalString(text)) {
+                result.value.text = text;
+            }
         }
     }
 
@@ -269,7 +376,11 @@ function parseSearchParams(search) {
         }
     }
 
-    const hasAny = result.input || result.output || result.value || result.roundingMode;
+    if (params.get('ftz') === '1') result.flushToZero = true;
+    if (params.get('daz') === '1') result.denormalsAreZero = true;
+
+    const hasAny = result.input || result.output || result.value || result.roundingMode ||
+        result.flushToZero || result.denormalsAreZero;
     return hasAny ? result : null;
 }
 
@@ -280,6 +391,7 @@ if (typeof module !== 'undefined' && module.exports) {
         DEFAULT_ROUNDING_MODE,
         findFloatPresetKey,
         findIntPresetKey,
+        findFixedPresetKey,
         formatToParam,
         parseFormatParam,
         descriptorToFormat,
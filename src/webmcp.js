@@ -1,39 +1,131 @@
 // Copyright (c) 2025 Spencer Williams
 // Licensed under the MIT License.
 
-/* global FloatingPoint, Integer, FORMATS, ROUNDING_MODES */
-// WebMCP integration - requires FloatingPoint, Integer, FORMATS, and ROUNDING_MODES from floating-point.js
+/* global FloatingPoint, Integer, FixedPoint, FloatArithmetic, DotProduct, MXFormat, FORMATS, MX_FORMATS, ARITHMETIC_OPERATIONS, ACCUMULATION_ORDERS, ROUNDING_MODES, OVERFLOW_MODES, TININESS_MODES, parseDecimalString, createRandom, exactValueOf, roundExactValue, exactSum, exactValueString, analyzeQuantization, searchScaling, SCALING_METHODS, SCALING_GRANULARITIES, DEFAULT_PERCENTILE */
+// WebMCP integration - requires FloatingPoint, Integer, FixedPoint,
+// FloatArithmetic, DotProduct, MXFormat, FORMATS, MX_FORMATS,
+// ARITHMETIC_OPERATIONS, ACCUMULATION_ORDERS, ROUNDING_MODES, OVERFLOW_MODES,
+// TININESS_MODES, parseDecimalString, createRandom, and the exact-value helpers
+// (exactValueOf, roundExactValue, exactSum, exactValueString) from
+// floating-point.js.
+// The quantization and scaling tools come from quantization.js and
+// scaling.js, which build on this file and load after it.
 
 // In Node.js (testing), import from the library; in browser, rely on globals.
-let _FloatingPoint, _Integer, _FORMATS, _ROUNDING_MODES;
+// `var`, not `let`: url-state.js and webmcp.js share the page's global scope
+// and declare the same aliases.
+var _FloatingPoint, _Integer, _FixedPoint, _FloatArithmetic, _DotProduct, _MXFormat, _FORMATS, _MX_FORMATS,
+    _ARITHMETIC_OPERATIONS, _ACCUMULATION_ORDERS, _ROUNDING_MODES, _OVERFLOW_MODES, _TININESS_MODES, _parseDecimalString,
+    _createRandom, _exactValueOf, _roundExactValue, _exactSum, _exactValueString;
 if (typeof require !== 'undefined') {
     const lib = require('../lib/floating-point.js');
     _FloatingPoint = lib.FloatingPoint;
     _Integer = lib.Integer;
+    _FixedPoint = lib.FixedPoint;
+    _FloatArithmetic = lib.FloatArithmetic;
+    _DotProduct = lib.DotProduct;
+    _MXFormat = lib.MXFormat;
     _FORMATS = lib.FORMATS;
+    _MX_FORMATS = lib.MX_FORMATS;
+    _ARITHMETIC_OPERATIONS = lib.ARITHMETIC_OPERATIONS;
+    _ACCUMULATION_ORDERS = lib.ACCUMULATION_ORDERS;
     _ROUNDING_MODES = lib.ROUNDING_MODES;
+    _OVERFLOW_MODES = lib.OVERFLOW_MODES;
+    _TININESS_MODES = lib.TININESS_MODES;
+    _parseDecimalString = lib.parseDecimalString;
+    _createRandom = lib.createRandom;
+    _exactValueOf = lib.exactValueOf;
+    _roundExactValue = lib.roundExactValue;
+    _exactSum = lib.exactSum;
+    _exactValueString = lib.exactValueString;
 } else {
     /* istanbul ignore next */
     _FloatingPoint = FloatingPoint;
     /* istanbul ignore next */
     _Integer = Integer;
     /* istanbul ignore next */
+    _FixedPoint = FixedPoint;
+    /* istanbul ignore next */
+    _FloatArithmetic = FloatArithmetic;
+    /* istanbul ignore next */
+    _DotProduct = DotProduct;
+    /* istanbul ignore next */
+    _MXFormat = MXFormat;
+    /* istanbul ignore next */
     _FORMATS = FORMATS;
     /* istanbul ignore next */
+    _MX_FORMATS = MX_FORMATS;
+    /* istanbul ignore next */
+    _ARITHMETIC_OPERATIONS = ARITHMETIC_OPERATIONS;
+    /* istanbul ignore next */
+    _ACCUMULATION_ORDERS = ACCUMULATION_ORDERS;
+    /* istanbul ignore next */
     _ROUNDING_MODES = ROUNDING_MODES;
+    /* istanbul ignore next */
+    _OVERFLOW_MODES = OVERFLOW_MODES;
+    /* istanbul ignore next */
+    _TININESS_MODES = TININESS_MODES;
+    /* istanbul ignore next */
+    _parseDecimalString = parseDecimalString;
+    /* istanbul ignore next */
+    _createRandom = createRandom;
+    /* istanbul ignore next */
+    _exactValueOf = exactValueOf;
+    /* istanbul ignore next */
+    _roundExactValue = roundExactValue;
+    /* istanbul ignore next */
+    _exactSum = exactSum;
+    /* istanbul ignore next */
+    _exactValueString = exactValueString;
 }
 
 /**
- * Resolve a format specification to a FloatingPoint or Integer instance.
- * Accepts either a preset key string (e.g. "fp16", "int8") or a custom
- * format object with explicit parameters.
+ * Build a FixedPoint from a custom descriptor, reporting invalid parameters
+ * as tool errors.
+ */
+function resolveFixedPoint({ integerBits, fractionBits, signed = true, overflow }) {
+    try {
+        return new _FixedPoint(integerBits, fractionBits, signed, { overflow });
+    } catch (err) {
+        throw new Error(`Invalid fixed-point format: ${err.message.replace(/\.$/, '')}.`, { cause: err });
+    }
+}
+
+/**
+ * Build an Integer from a custom descriptor, reporting invalid parameters as
+ * tool errors.
+ */
+function resolveInteger({ bits, signed = true, overflow, nanValue }) {
+    if (!Number.isInteger(bits) || bits < 1 || bits > 64) {
+        throw new Error('Integer format "bits" must be an integer between 1 and 64.');
+    }
+    try {
+        return new _Integer(bits, signed, { overflow, nanValue });
+    } catch (err) {
+        throw new Error(`Invalid integer format: ${err.message.replace(/\.$/, '')}.`, { cause: err });
+    }
+}
+
+/**
+ * Resolve a format specification to a FloatingPoint, Integer or FixedPoint
+ * instance. Accepts either a preset key string (e.g. "fp16", "int8", "q15"),
+ * a Qm.n string (e.g. "q4.12", "uq8.8") or a custom format object with
+ * explicit parameters.
  *
  * @param {string|object} formatSpec - Preset key or custom format descriptor
- * @returns {FloatingPoint|Integer} Format instance
+ * @returns {FloatingPoint|Integer|FixedPoint} Format instance
  * @throws {Error} If the format specification is invalid
  */
 function resolveFormat(formatSpec) {
     if (typeof formatSpec === 'string') {
+        const qFormat = /^(u?)q(\d+)\.(\d+)$/i.exec(formatSpec.trim());
+        if (qFormat) {
+            return resolveFixedPoint({
+                integerBits: Number(qFormat[2]),
+                fractionBits: Number(qFormat[3]),
+                signed: qFormat[1] === '',
+            });
+        }
         let preset = _FORMATS[formatSpec];
         if (!preset) {
             // Fall back to a normalized lookup so common variants (e.g. the
@@ -48,22 +140,28 @@ function resolveFormat(formatSpec) {
         if (preset.isInteger) {
             return new _Integer(preset.bits, preset.signed);
         }
+        if (preset.isFixedPoint) {
+            return new _FixedPoint(preset.integerBits, preset.fractionBits, preset.signed);
+        }
         return new _FloatingPoint(preset.sign, preset.exponent, preset.mantissa, {
             bias: preset.bias,
             hasInfinity: preset.hasInfinity,
             hasNaN: preset.hasNaN,
+            hasZero: preset.hasZero,
+            hasNegativeZero: preset.hasNegativeZero,
+            specialValues: preset.specialValues,
         });
     }
 
     if (typeof formatSpec === 'object' && formatSpec !== null) {
-        // Integer format: { bits, signed }
+        // Fixed-point format: { integerBits, fractionBits, signed, overflow }
+        if (formatSpec.isFixedPoint || formatSpec.fractionBits !== undefined) {
+            return resolveFixedPoint(formatSpec);
+        }
+
+        // Integer format: { bits, signed, overflow, nanValue }
         if (formatSpec.isInteger || (formatSpec.bits !== undefined && formatSpec.exponentBits === undefined)) {
-            const bits = formatSpec.bits;
-            const signed = formatSpec.signed !== undefined ? formatSpec.signed : true;
-            if (!Number.isInteger(bits) || bits < 1 || bits > 64) {
-                throw new Error('Integer format "bits" must be an integer between 1 and 64.');
-            }
-            return new _Integer(bits, signed);
+            return resolveInteger(formatSpec);
         }
 
         // Floating-point format: { signBits, exponentBits, mantissaBits, ... }
@@ -89,10 +187,13 @@ function resolveFormat(formatSpec) {
             bias: formatSpec.bias,
             hasInfinity: formatSpec.hasInfinity,
             hasNaN: formatSpec.hasNaN,
+            hasZero: formatSpec.hasZero,
+            hasNegativeZero: formatSpec.hasNegativeZero,
+            specialValues: formatSpec.specialValues,
         });
     }
 
-    throw new Error('Format must be a preset key string (e.g. "fp16") or a custom format object.');
+    throw new Error('Format must be a preset key string (e.g. "fp16"), a Qm.n string (e.g. "q8.8") or a custom format object.');
 }
 
 /**
@@ -100,22 +201,38 @@ function resolveFormat(formatSpec) {
  */
 function classifyValue(format, sign, exponent, mantissa) {
     if (format.isInteger) {
+        // Relational comparisons work for both Number and BigInt values
         const value = format.decode(sign, exponent, mantissa);
-        if (value === 0) return 'Zero';
-        return value > 0 ? 'Positive Integer' : 'Negative Integer';
+        if (value > 0) return 'Positive Integer';
+        return value < 0 ? 'Negative Integer' : 'Zero';
     }
+    if (format.isFixedPoint) {
+        return Number(mantissa) === 0 ? 'Zero' : 'Fixed-point';
+    }
+
+    // Wide formats carry BigInt mantissas; compare by numeric value.
+    const isZeroMantissa = Number(mantissa) === 0;
 
     if (format.exponentBits === 0) {
-        if (mantissa === 0) return sign ? '-Zero' : '+Zero';
+        if (isZeroMantissa) return sign ? '-Zero' : '+Zero';
         return 'Fixed-point';
     }
 
+    // FNUZ formats use the negative-zero pattern as their single NaN
+    if (format.specialValues.nan === 'negativeZero' && sign === 1 && exponent === 0 && isZeroMantissa) {
+        return 'NaN';
+    }
     if (exponent === format.maxExponent) {
-        if (format.hasNaN && mantissa !== 0) return 'NaN';
-        if (format.hasInfinity && mantissa === 0) return sign ? '-Infinity' : '+Infinity';
+        // Without infinity (OCP-style), only the all-ones mantissa is NaN
+        const allOnes = BigInt(mantissa) === (1n << BigInt(format.mantissaBits)) - 1n;
+        if (format.specialValues.nan === 'ieee' ? !isZeroMantissa : format.specialValues.nan === 'allOnes' && allOnes) {
+            return 'NaN';
+        }
+        if (format.hasInfinity && isZeroMantissa) return sign ? '-Infinity' : '+Infinity';
     }
-    if (exponent === 0) {
-        if (mantissa === 0) return sign ? '-Zero' : '+Zero';
+    if (exponent === 0 && format.hasZero) {
+        // Without subnormals every exponent-0 pattern is a zero
+        if (isZeroMantissa || !format.specialValues.subnormals) return sign ? '-Zero' : '+Zero';
         return 'Subnormal';
     }
     return 'Normal';
@@ -125,21 +242,23 @@ function classifyValue(format, sign, exponent, mantissa) {
  * Calculate the decimal mantissa value for display.
  */
 function mantissaDecimal(format, exponent, mantissa) {
+    if (format.isFixedPoint) return format.decode(0, 0, mantissa);
     if (format.isInteger) return format.decode(0, 0, mantissa);
-    if (format.mantissaBits === 0) return exponent === 0 ? 0 : 1.0;
+    const subnormal = exponent === 0 && format.hasZero;
+    if (format.mantissaBits === 0) return subnormal ? 0 : 1.0;
     const denom = Math.pow(2, format.mantissaBits);
-    return exponent === 0
-        ? mantissa / denom
-        : 1.0 + mantissa / denom;
+    return subnormal
+        ? Number(mantissa) / denom
+        : 1.0 + Number(mantissa) / denom;
 }
 
 /**
  * Format the actual exponent string (e.g. "128 - 127 = 1").
  */
 function exponentActual(format, exponent) {
-    if (format.isInteger) return 'N/A';
+    if (format.isInteger || format.isFixedPoint) return 'N/A';
     if (format.exponentBits === 0) return 'N/A';
-    if (exponent === 0) return `1 - ${format.bias} = ${1 - format.bias}`;
+    if (exponent === 0 && format.hasZero) return `1 - ${format.bias} = ${1 - format.bias}`;
     if (exponent === format.maxExponent && (format.hasInfinity || format.hasNaN)) return 'Special';
     return `${exponent} - ${format.bias} = ${exponent - format.bias}`;
 }
@@ -175,22 +294,70 @@ function parseValueInput(input) {
     throw new Error('Value must be a number or string.');
 }
 
+/**
+ * Normalize a value input for encodeExact(): decimal and hex strings become
+ * exact decimal strings instead of going through a JS Number, so long literals
+ * are not double-rounded; anything else is parsed by parseValueInput.
+ */
+function exactValueInput(input) {
+    if (typeof input === 'string') {
+        const text = input.trim();
+        if (/^0x[0-9a-f]+$/i.test(text)) {
+            return BigInt(text).toString();
+        }
+        if (_parseDecimalString(text)) {
+            return text;
+        }
+    }
+    return parseValueInput(input);
+}
+
+/**
+ * Encode a value input into a format with a single rounding step. The result
+ * carries an `exact` flag.
+ */
+function encodeValueInput(format, input, encodeOptions) {
+    return format.encodeExact(exactValueInput(input), encodeOptions);
+}
+
+/**
+ * Encode options for a rounding mode, the flush-to-zero flag, the underflow
+ * tininess mode, the integer/fixed-point overflow mode, and the seed or
+ * generator for stochastic rounding.
+ */
+function buildEncodeOptions(roundingMode, { flushSubnormals, tininess, overflow, seed, random } = {}) {
+    const options = roundingMode ? { roundingMode } : {};
+    if (flushSubnormals) options.flushSubnormals = true;
+    if (tininess) options.tininess = tininess;
+    if (overflow) options.overflow = overflow;
+    if (random) {
+        options.random = random;
+    } else if (seed !== undefined) {
+        options.seed = seed;
+    }
+    return options;
+}
+
 /**
  * Build the full statistics object for an encoded value in a given format.
  */
 function jsonSafeNumber(value) {
+    // BigInt values (64-bit integers) are approximated; exactValue keeps every digit
+    if (typeof value === 'bigint') return Number(value);
     if (value === Infinity) return 'Infinity';
     if (value === -Infinity) return '-Infinity';
     if (Number.isNaN(value)) return 'NaN';
     return value;
 }
 
-function buildStats(format, encoded) {
+// `encodeOptions` are those the value was encoded with, so a fixed-point
+// value reports the overflow mode that applied rather than the format's own.
+function buildStats(format, encoded, decodeOptions = {}, encodeOptions = {}) {
     const { sign, exponent, mantissa } = encoded;
     const binary = format.toBinaryString(sign, exponent, mantissa);
     const hex = format.toHexString(sign, exponent, mantissa);
     const type = classifyValue(format, sign, exponent, mantissa);
-    const actualValue = format.decode(sign, exponent, mantissa);
+    const actualValue = format.decode(sign, exponent, mantissa, decodeOptions);
 
     const stats = {
         binary,
@@ -198,14 +365,45 @@ function buildStats(format, encoded) {
         sign,
         type,
         actualValue: jsonSafeNumber(actualValue),
+        // Decimal strings computed in the format itself, independent of FP64
+        exactValue: format.toDecimalString(sign, exponent, mantissa, decodeOptions),
+        shortestValue: format.toShortestDecimalString(sign, exponent, mantissa, decodeOptions),
     };
 
+    // Only present for values encoded from an input (not decoded from bits)
+    if (encoded.exact !== undefined) {
+        stats.exact = encoded.exact;
+    }
+    if (encoded.flags !== undefined) {
+        stats.flags = encoded.flags;
+    }
+    // Only present with stochastic rounding
+    if (encoded.roundUpProbability !== undefined) {
+        stats.roundUpProbability = encoded.roundUpProbability;
+    }
+    // Only present with flush-to-zero or denormals-are-zero: whether a
+    // subnormal was replaced by zero
+    if (encoded.flushed !== undefined) {
+        stats.flushed = encoded.flushed;
+    } else if (decodeOptions.subnormalsAreZero) {
+        stats.flushed = type === 'Subnormal';
+    }
+
     if (format.isInteger) {
         stats.totalBits = format.totalBits;
         stats.signed = format.signed;
+    } else if (format.isFixedPoint) {
+        // The stored two's complement integer, value × 2^fractionBits
+        const raw = format.toInteger(mantissa);
+        stats.rawValue = format.bigIntMantissa ? raw.toString() : Number(raw);
+        stats.totalBits = format.totalBits;
+        stats.integerBits = format.integerBits;
+        stats.fractionBits = format.fractionBits;
+        stats.signed = format.signed;
+        stats.overflow = encodeOptions.overflow || format.overflow;
     } else {
         stats.exponentBiased = exponent;
-        stats.exponentActual = exponentActual(format, exponent);
+        stats.exponentActual = type === 'NaN' ? 'Special' : exponentActual(format, exponent);
         stats.mantissaDecimal = mantissaDecimal(format, exponent, mantissa);
         stats.totalBits = format.totalBits;
         stats.signBits = format.signBits;
@@ -225,9 +423,10 @@ function buildStats(format, encoded) {
 function listFormats() {
     const categories = {
         'IEEE 754': ['fp64', 'fp32', 'fp16'],
-        'ML': ['bf16', 'tf32'],
-        'OCP': ['fp8_e5m2', 'fp8_e4m3', 'fp6_e3m2', 'fp6_e2m3', 'fp4_e2m1'],
-        'Integer': ['int32', 'uint32', 'int16', 'uint16', 'int8', 'uint8', 'int4', 'uint4'],
+        'ML': ['bf16', 'tf32', 'fp8_e4m3fnuz', 'fp8_e5m2fnuz'],
+        'OCP': ['fp8_e5m2', 'fp8_e4m3', 'fp6_e3m2', 'fp6_e2m3', 'fp4_e2m1', 'e8m0'],
+        'Integer': ['int64', 'uint64', 'int32', 'uint32', 'int16', 'uint16', 'int8', 'uint8', 'int4', 'uint4'],
+        'Fixed-Point': ['q31', 'q15', 'q8_8', 'uq8_8'],
     };
 
     const formats = [];
@@ -240,6 +439,12 @@ function listFormats() {
                 entry.bits = f.bits;
                 entry.signed = f.signed;
                 entry.isInteger = true;
+            } else if (f.isFixedPoint) {
+                entry.integerBits = f.integerBits;
+                entry.fractionBits = f.fractionBits;
+                entry.totalBits = f.integerBits + f.fractionBits;
+                entry.signed = f.signed;
+                entry.isFixedPoint = true;
             } else {
                 entry.signBits = f.sign;
                 entry.exponentBits = f.exponent;
@@ -247,6 +452,8 @@ function listFormats() {
                 entry.totalBits = f.sign + f.exponent + f.mantissa;
                 entry.hasInfinity = f.hasInfinity !== false;
                 entry.hasNaN = f.hasNaN !== false;
+                entry.hasZero = f.hasZero !== false;
+                entry.hasNegativeZero = f.hasNegativeZero !== false;
                 if (f.bias !== undefined) entry.bias = f.bias;
             }
 
@@ -260,7 +467,7 @@ function listFormats() {
 /**
  * encode_number – Encode a decimal/keyword value into a format.
  */
-function encodeNumber({ value, format: formatSpec, roundingMode }) {
+function encodeNumber({ value, format: formatSpec, roundingMode, flushSubnormals, tininess, overflow, seed }) {
     if (value === undefined || value === null) {
         throw new Error('Parameter "value" is required.');
     }
@@ -269,10 +476,9 @@ function encodeNumber({ value, format: formatSpec, roundingMode }) {
     }
 
     const format = resolveFormat(formatSpec);
-    const numericValue = parseValueInput(value);
-    const encodeOptions = roundingMode ? { roundingMode } : {};
-    const encoded = format.encode(numericValue, encodeOptions);
-    const stats = buildStats(format, encoded);
+    const encodeOptions = buildEncodeOptions(roundingMode, { flushSubnormals, tininess, overflow, seed });
+    const encoded = encodeValueInput(format, value, encodeOptions);
+    const stats = buildStats(format, encoded, {}, encodeOptions);
 
     return { content: [{ type: 'text', text: JSON.stringify(stats, null, 2) }] };
 }
@@ -280,7 +486,7 @@ function encodeNumber({ value, format: formatSpec, roundingMode }) {
 /**
  * decode_bits – Decode a binary or hex bit-pattern.
  */
-function decodeBits({ bits, format: formatSpec }) {
+function decodeBits({ bits, format: formatSpec, subnormalsAreZero }) {
     if (bits === undefined || bits === null) {
         throw new Error('Parameter "bits" is required.');
     }
@@ -289,9 +495,18 @@ function decodeBits({ bits, format: formatSpec }) {
     }
 
     const format = resolveFormat(formatSpec);
-    const bitString = String(bits);
+    const encoded = parseBitsInput(bits, format);
+    const stats = buildStats(format, encoded, subnormalsAreZero ? { subnormalsAreZero } : {});
 
-    let sign, exponent, mantissa;
+    return { content: [{ type: 'text', text: JSON.stringify(stats, null, 2) }] };
+}
+
+/**
+ * Parse a binary or hex bit-pattern into the format's sign, exponent and
+ * mantissa fields.
+ */
+function parseBitsInput(bits, format) {
+    const bitString = String(bits);
 
     if (bitString.toLowerCase().startsWith('0x')) {
         // Hex → binary (BigInt-safe for 64-bit and beyond)
@@ -300,26 +515,20 @@ function decodeBits({ bits, format: formatSpec }) {
             throw new Error(`Invalid hex value: "${bitString}"`);
         }
         const binary = BigInt('0x' + hexDigits).toString(2).padStart(format.totalBits, '0');
-        ({ sign, exponent, mantissa } = extractComponents(binary, format));
-    } else if (/^[01]+$/.test(bitString)) {
-        const padded = bitString.padStart(format.totalBits, '0');
-        ({ sign, exponent, mantissa } = extractComponents(padded, format));
-    } else {
-        throw new Error('Parameter "bits" must be a binary string (e.g. "01000000") or hex string (e.g. "0x40").');
+        return extractComponents(binary, format);
     }
-
-    const encoded = { sign, exponent, mantissa };
-    const stats = buildStats(format, encoded);
-
-    return { content: [{ type: 'text', text: JSON.stringify(stats, null, 2) }] };
+    if (/^[01]+$/.test(bitString)) {
+        return extractComponents(bitString.padStart(format.totalBits, '0'), format);
+    }
+    throw new Error('Parameter "bits" must be a binary string (e.g. "01000000") or hex string (e.g. "0x40").');
 }
 
 /**
  * Extract sign, exponent, mantissa from a full binary string.
  */
 function extractComponents(binary, format) {
-    if (format.isInteger) {
-        return { sign: 0, exponent: 0, mantissa: Number(BigInt('0b' + binary)) };
+    if (format.isInteger || format.isFixedPoint) {
+        return { sign: 0, exponent: 0, mantissa: format.toMantissa(BigInt('0b' + binary)) };
     }
     let idx = 0;
     const sign = format.signBits ? parseInt(binary.substring(idx, idx + format.signBits), 2) : 0;
@@ -328,16 +537,145 @@ function extractComponents(binary, format) {
         ? parseInt(binary.substring(idx, idx + format.exponentBits), 2)
         : 0;
     idx += format.exponentBits;
-    const mantissa = format.mantissaBits > 0
-        ? Number(BigInt('0b' + binary.substring(idx, idx + format.mantissaBits)))
-        : 0;
+    const mantissa = format.toMantissa(format.mantissaBits > 0
+        ? BigInt('0b' + binary.substring(idx, idx + format.mantissaBits))
+        : 0n);
     return { sign, exponent, mantissa };
 }
 
+/**
+ * Resolve an MX block format specification to an MXFormat instance. Accepts an
+ * MX preset key (e.g. "mxfp8_e4m3") or `{ element, blockSize? }`, where
+ * `element` is any floating-point or fixed-point format spec.
+ */
+function resolveMXFormat(formatSpec) {
+    let spec = formatSpec;
+    let name = 'Custom MX';
+    if (typeof formatSpec === 'string') {
+        const key = formatSpec.toLowerCase().replace(/-/g, '_');
+        const preset = _MX_FORMATS[key];
+        if (!preset) {
+            throw new Error(`Unknown MX format preset: "${formatSpec}". Available: ${Object.keys(_MX_FORMATS).join(', ')}.`);
+        }
+        spec = { element: preset.element };
+        name = preset.name;
+    } else if (typeof formatSpec !== 'object' || formatSpec === null || formatSpec.element === undefined) {
+        throw new Error('MX format must be a preset key (e.g. "mxfp8_e4m3") or an object { element, blockSize? }.');
+    }
+
+    const element = resolveFormat(spec.element);
+    try {
+        const mx = new _MXFormat(element, { blockSize: spec.blockSize });
+        return { mx, name };
+    } catch (err) {
+        throw new Error(`Invalid MX format: ${err.message}.`, { cause: err });
+    }
+}
+
+/**
+ * quantize_mx – Quantize a vector into MX blocks sharing an E8M0 scale.
+ */
+function quantizeMX({ values, format: formatSpec, roundingMode, seed }) {
+    if (!Array.isArray(values) || values.length === 0) {
+        throw new Error('Parameter "values" must be a non-empty array.');
+    }
+    if (!formatSpec) {
+        throw new Error('Parameter "format" is required.');
+    }
+
+    const { mx, name } = resolveMXFormat(formatSpec);
+    const element = mx.element;
+    const encodeOptions = buildEncodeOptions(roundingMode, { seed });
+    const blocks = mx.quantize(values.map(parseValueInput), encodeOptions);
+
+    let maxAbsError = 0;
+    const result = {
+        format: name,
+        blockSize: mx.blockSize,
+        elementBits: element.totalBits,
+        elementEmax: mx.elementEmax,
+        blocks: blocks.map(({ scale, elements }) => ({
+            scale: {
+                hex: '0x' + scale.bits.toString(16).toUpperCase().padStart(2, '0'),
+                exponent: scale.exponent,
+                value: jsonSafeNumber(scale.value),
+            },
+            elements: elements.map(({ input, encoded, value, error }) => {
+                maxAbsError = Math.max(maxAbsError, Math.abs(error));
+                const entry = {
+                    input: jsonSafeNumber(input),
+                    hex: element.toHexString(encoded.sign, encoded.exponent, encoded.mantissa),
+                    binary: element.toBinaryString(encoded.sign, encoded.exponent, encoded.mantissa),
+                    value: jsonSafeNumber(value),
+                    error: jsonSafeNumber(error),
+                };
+                if (encoded.roundUpProbability !== undefined) {
+                    entry.roundUpProbability = encoded.roundUpProbability;
+                }
+                return entry;
+            }),
+        })),
+    };
+    result.maxAbsError = jsonSafeNumber(maxAbsError);
+
+    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+}
+
+/**
+ * Difference of two decoded values as a Number. Integer operands are
+ * subtracted exactly first, so 64-bit (BigInt) values do not cancel out.
+ */
+function valueDifference(a, b) {
+    if ((typeof a === 'bigint' || typeof b === 'bigint') &&
+        Number.isInteger(Number(a)) && Number.isInteger(Number(b))) {
+        return Number(BigInt(a) - BigInt(b));
+    }
+    return Number(a) - Number(b);
+}
+
+/**
+ * Encode, decode and seeded-generator options for a conversion. Both roundings
+ * draw from one seeded generator, so they stay independent. Like hardware,
+ * DAZ applies to the input operand and FTZ to the result; the overflow mode,
+ * like a cast, applies to the result.
+ */
+function conversionOptions({ roundingMode, flushSubnormals, subnormalsAreZero, tininess, overflow, seed }) {
+    const random = seed !== undefined ? _createRandom(seed) : undefined;
+    return {
+        inputOptions: buildEncodeOptions(roundingMode, { tininess, random }),
+        outputOptions: buildEncodeOptions(roundingMode, { flushSubnormals, tininess, overflow, random }),
+        decodeOptions: subnormalsAreZero ? { subnormalsAreZero } : {},
+    };
+}
+
+/**
+ * Convert one value: encode it in the input format, then round the exact value
+ * of that encoding once into the output format, so wide formats never pass
+ * through a Number. `error` is the exact output − input; `lossless` says the
+ * output is the input exactly, or NaN for NaN or the same infinity.
+ */
+function convertValue(inFmt, outFmt, value, { inputOptions, outputOptions, decodeOptions }) {
+    const inputEncoded = encodeValueInput(inFmt, value, inputOptions);
+    const inputExact = _exactValueOf(inFmt, inputEncoded, decodeOptions);
+    const outputEncoded = _roundExactValue(outFmt, inputExact, outputOptions);
+    const outputExact = _exactValueOf(outFmt, outputEncoded);
+    const error = _exactSum(outputExact, { ...inputExact, sign: 1 - inputExact.sign });
+    let lossless = error.significand === 0n;
+    if (Number.isNaN(inputExact.special)) {
+        lossless = Number.isNaN(outputExact.special);
+    } else if (inputExact.special !== undefined) {
+        lossless = outputExact.special === Infinity && outputExact.sign === inputExact.sign;
+    }
+    return { inputEncoded, inputExact, outputEncoded, error, lossless };
+}
+
 /**
  * convert_format – Convert a value between two formats.
  */
-function convertFormat({ value, inputFormat: inputSpec, outputFormat: outputSpec, roundingMode }) {
+function convertFormat({
+    value, inputFormat: inputSpec, outputFormat: outputSpec, roundingMode, flushSubnormals, subnormalsAreZero, tininess,
+    overflow, seed,
+}) {
     if (value === undefined || value === null) {
         throw new Error('Parameter "value" is required.');
     }
@@ -350,24 +688,18 @@ function convertFormat({ value, inputFormat: inputSpec, outputFormat: outputSpec
 
     const inFmt = resolveFormat(inputSpec);
     const outFmt = resolveFormat(outputSpec);
-    const numericValue = parseValueInput(value);
-    const encodeOptions = roundingMode ? { roundingMode } : {};
-
-    // Encode in input format, decode to get actual representable value
-    const inputEncoded = inFmt.encode(numericValue, encodeOptions);
-    const inputActual = inFmt.decode(inputEncoded.sign, inputEncoded.exponent, inputEncoded.mantissa);
+    const options = conversionOptions({ roundingMode, flushSubnormals, subnormalsAreZero, tininess, overflow, seed });
+    const { decodeOptions } = options;
+    const { inputEncoded, inputExact, outputEncoded, error, lossless } = convertValue(inFmt, outFmt, value, options);
 
-    // Re-encode in output format
-    const outputEncoded = outFmt.encode(inputActual, encodeOptions);
-    const outputActual = outFmt.decode(outputEncoded.sign, outputEncoded.exponent, outputEncoded.mantissa);
+    const inputStats = buildStats(inFmt, inputEncoded, decodeOptions);
+    const outputStats = buildStats(outFmt, outputEncoded, {}, options.outputOptions);
 
-    const inputStats = buildStats(inFmt, inputEncoded);
-    const outputStats = buildStats(outFmt, outputEncoded);
-
-    // Precision loss
-    const absoluteLoss = Math.abs(inputActual - outputActual);
-    const relativeLossPercent = inputActual !== 0
-        ? (absoluteLoss / Math.abs(inputActual)) * 100
+    // Precision loss, rounded to a Number from the exact difference
+    const absoluteLoss = Math.abs(Number(_exactValueString(error)));
+    const inputValue = Number(_exactValueString(inputExact));
+    const relativeLossPercent = inputValue !== 0
+        ? (absoluteLoss / Math.abs(inputValue)) * 100
         : 0;
 
     const result = {
@@ -376,13 +708,405 @@ function convertFormat({ value, inputFormat: inputSpec, outputFormat: outputSpec
         precisionLoss: {
             absolute: jsonSafeNumber(absoluteLoss),
             relativePercent: jsonSafeNumber(Number(relativeLossPercent.toFixed(6))),
-            lossless: absoluteLoss === 0 || isNaN(absoluteLoss),
+            lossless,
+        },
+    };
+
+    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+}
+
+// Infix operators accepted by calculate, and the operations they perform
+const EXPRESSION_OPERATORS = { '+': 'add', '-': 'sub', '*': 'mul', '/': 'div' };
+
+// Largest |e| accepted in a power operand such as 2^-10
+const MAX_POWER_EXPONENT = 20000;
+
+/**
+ * Parse an arithmetic expression into { operation, operands }, where the
+ * operands are value strings: "a + b", "a - b", "a * b", "a / b", "sqrt(a)"
+ * or "fma(a, b, c)" (a × b + c, rounded once).
+ */
+function parseExpression(expression) {
+    if (typeof expression !== 'string' || expression.trim() === '') {
+        throw new Error('Parameter "expression" is required.');
+    }
+    const text = expression.trim();
+
+    const call = /^([a-z]+)\s*\((.*)\)$/i.exec(text);
+    if (call) {
+        const operation = call[1].toLowerCase();
+        if (operation !== 'sqrt' && operation !== 'fma') {
+            throw new Error(`Unknown function "${call[1]}" in expression. Use sqrt(a) or fma(a, b, c).`);
+        }
+        const operands = call[2].split(',').map((operand) => operand.trim());
+        const count = _ARITHMETIC_OPERATIONS[operation];
+        if (operands.length !== count || operands.includes('')) {
+            throw new Error(`${operation} takes ${count} operand${count === 1 ? '' : 's'}.`);
+        }
+        return { operation, operands };
+    }
+
+    // The operator is the first + - * / that is not a sign: one that follows
+    // another operator, a "^" or the "e" of a decimal exponent
+    for (let i = 1; i < text.length; i++) {
+        const operation = EXPRESSION_OPERATORS[text[i]];
+        if (!operation) continue;
+        const left = text.slice(0, i).trim();
+        const isSign = (text[i] === '+' || text[i] === '-') &&
+            (/[-+*/^]$/.test(left) || /^[+-]?(\d+\.?\d*|\.\d+)e$/i.test(left));
+        if (isSign) continue;
+        const right = text.slice(i + 1).trim();
+        if (left && right) return { operation, operands: [left, right] };
+        break;
+    }
+    throw new Error(`Cannot parse expression: "${expression}". ` +
+        'Use a + b, a - b, a * b, a / b, sqrt(a) or fma(a, b, c).');
+}
+
+/**
+ * Expand a power operand such as "2^-10" or "-10^3" into an exact decimal
+ * string; other operands are returned unchanged. Negative exponents need a
+ * base of 2 or 10 so the value has a finite decimal expansion.
+ */
+function expandPowerOperand(operand) {
+    const match = /^([+-]?)(\d+)\s*\^\s*([+-]?\d+)$/.exec(operand);
+    if (!match) return operand;
+    const [, sign, base, exponentText] = match;
+    const exponent = Number(exponentText);
+    if (Math.abs(exponent) > MAX_POWER_EXPONENT) {
+        throw new Error(`Exponent out of range in "${operand}" (at most ${MAX_POWER_EXPONENT} in magnitude).`);
+    }
+    if (exponent >= 0) return sign + (BigInt(base) ** BigInt(exponent)).toString();
+    if (base === '2') return `${sign}${5n ** BigInt(-exponent)}e${exponent}`;
+    if (base === '10') return `${sign}1e${exponent}`;
+    throw new Error(`Negative powers need a base of 2 or 10, got "${operand}".`);
+}
+
+/**
+ * calculate – Evaluate one arithmetic operation in a floating-point format.
+ */
+function calculate({ expression, format: formatSpec, roundingMode, flushSubnormals, subnormalsAreZero, tininess, seed }) {
+    const { operation, operands } = parseExpression(expression);
+    if (!formatSpec) {
+        throw new Error('Parameter "format" is required.');
+    }
+
+    const format = resolveFormat(formatSpec);
+    if (!(format instanceof _FloatingPoint)) {
+        throw new Error('Arithmetic needs a floating-point format, not an integer or fixed-point one.');
+    }
+    // Operands and the result draw from one seeded generator, as in convert_format
+    const random = seed !== undefined ? _createRandom(seed) : undefined;
+    const operandOptions = buildEncodeOptions(roundingMode, { tininess, random });
+    // DAZ reads subnormal operands as zero; FTZ flushes a subnormal result
+    const decodeOptions = subnormalsAreZero ? { subnormalsAreZero } : {};
+    const resultOptions = {
+        ...buildEncodeOptions(roundingMode, { flushSubnormals, tininess, random }),
+        ...decodeOptions,
+    };
+
+    const encodedOperands = operands.map((operand) =>
+        encodeValueInput(format, expandPowerOperand(operand), operandOptions));
+    const encoded = new _FloatArithmetic(format).compute(operation, encodedOperands, resultOptions);
+
+    const result = {
+        operation,
+        operands: encodedOperands.map((operand, i) => ({
+            input: operands[i],
+            ...buildStats(format, operand, decodeOptions),
+        })),
+        result: buildStats(format, encoded),
+    };
+
+    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+}
+
+/**
+ * dot_product – Simulate a mixed-precision dot product: inputs rounded into
+ * one format, products into another (or kept exact), partial sums into an
+ * accumulator, in a chosen summation order.
+ */
+function dotProduct({
+    a, b, inputFormat: inputSpec, productFormat: productSpec, accumulatorFormat: accumulatorSpec, order, blockSize,
+    roundingMode, flushSubnormals, subnormalsAreZero, tininess, overflow, seed,
+}) {
+    if (!Array.isArray(a) || a.length === 0 || !Array.isArray(b) || b.length === 0) {
+        throw new Error('Parameters "a" and "b" must be non-empty arrays.');
+    }
+    if (a.length !== b.length) {
+        throw new Error(`Vectors "a" and "b" must have the same length (got ${a.length} and ${b.length}).`);
+    }
+    if (!inputSpec) {
+        throw new Error('Parameter "inputFormat" is required.');
+    }
+    if (!accumulatorSpec) {
+        throw new Error('Parameter "accumulatorFormat" is required.');
+    }
+    if (order !== undefined && !Object.hasOwn(_ACCUMULATION_ORDERS, order)) {
+        throw new Error(`Unknown order: "${order}". Use ${Object.keys(_ACCUMULATION_ORDERS).join(', ')}.`);
+    }
+    if (blockSize !== undefined && (!Number.isInteger(blockSize) || blockSize < 1)) {
+        throw new Error('Parameter "blockSize" must be a positive integer.');
+    }
+
+    const inputFormat = resolveFormat(inputSpec);
+    const productFormat = productSpec ? resolveFormat(productSpec) : null;
+    const accumulatorFormat = resolveFormat(accumulatorSpec);
+    const simulator = new _DotProduct(inputFormat, productFormat, accumulatorFormat, { order, blockSize });
+    const options = buildEncodeOptions(roundingMode, { flushSubnormals, tininess, overflow, seed });
+    if (subnormalsAreZero) options.subnormalsAreZero = true;
+
+    let computed;
+    try {
+        computed = simulator.compute(a.map(exactValueInput), b.map(exactValueInput), options);
+    } catch (err) {
+        throw new Error(`Dot product failed: ${err.message}.`, { cause: err });
+    }
+
+    // The accumulator's own flags and exactness cover only its last rounding;
+    // `flags` gathers every product and partial sum instead
+    const { flags: _flags, exact: _exact, roundUpProbability: _probability, ...encoded } = computed.result;
+    const result = {
+        length: a.length,
+        order: simulator.order,
+        productsExact: productFormat === null,
+        result: buildStats(accumulatorFormat, encoded, {}, options),
+        flags: computed.flags,
+        inputsExact: computed.inputsExact,
+        reference: {
+            value: jsonSafeNumber(computed.referenceValue),
+            exactValue: computed.reference,
         },
+        error: {
+            absolute: jsonSafeNumber(computed.error),
+            relative: jsonSafeNumber(computed.relativeError),
+        },
+    };
+    if (simulator.order === _ACCUMULATION_ORDERS.blocked) {
+        result.blockSize = simulator.blockSize;
+    }
+
+    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+}
+
+// Most encodings next_value lists in one call
+const MAX_NEXT_COUNT = 1024;
+
+/**
+ * Encoding to step from: a value rounded into the format, or a bit-pattern
+ * taken as is. Exactly one of the two must be given.
+ */
+function startEncoding(format, { value, bits, roundingMode }) {
+    const hasValue = value !== undefined && value !== null;
+    const hasBits = bits !== undefined && bits !== null;
+    if (hasValue === hasBits) {
+        throw new Error('Provide exactly one of "value" or "bits".');
+    }
+    return hasValue
+        ? encodeValueInput(format, value, buildEncodeOptions(roundingMode))
+        : parseBitsInput(bits, format);
+}
+
+/**
+ * next_value – List the representable values above or below a value.
+ */
+function nextValue({ value, bits, format: formatSpec, direction = 'up', count = 1, roundingMode }) {
+    if (!formatSpec) {
+        throw new Error('Parameter "format" is required.');
+    }
+    if (direction !== 'up' && direction !== 'down') {
+        throw new Error(`Unknown direction: "${direction}". Use up or down.`);
+    }
+    if (!Number.isInteger(count) || count < 1 || count > MAX_NEXT_COUNT) {
+        throw new Error(`Parameter "count" must be an integer from 1 to ${MAX_NEXT_COUNT}.`);
+    }
+
+    const format = resolveFormat(formatSpec);
+    const start = startEncoding(format, { value, bits, roundingMode });
+    const step = direction === 'up' ? 'nextUp' : 'nextDown';
+    const values = [];
+    let current = start;
+    for (let i = 0; i < count; i++) {
+        current = format[step](current.sign, current.exponent, current.mantissa);
+        values.push(buildStats(format, current));
+    }
+
+    const result = { start: buildStats(format, start), direction, values };
+    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+}
+
+/**
+ * get_ulp – The unit in the last place of a value, and its neighbours.
+ */
+function getUlp({ value, bits, format: formatSpec, roundingMode }) {
+    if (!formatSpec) {
+        throw new Error('Parameter "format" is required.');
+    }
+
+    const format = resolveFormat(formatSpec);
+    const encoded = startEncoding(format, { value, bits, roundingMode });
+    const { sign, exponent, mantissa } = encoded;
+    const result = {
+        value: buildStats(format, encoded),
+        ulp: jsonSafeNumber(format.ulp(sign, exponent, mantissa)),
+        nextUp: buildStats(format, format.nextUp(sign, exponent, mantissa)),
+        nextDown: buildStats(format, format.nextDown(sign, exponent, mantissa)),
     };
 
     return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
 }
 
+/**
+ * ulp_distance – How many representable steps separate two values.
+ */
+function ulpDistance({ a, b, format: formatSpec, roundingMode }) {
+    if (a === undefined || a === null || b === undefined || b === null) {
+        throw new Error('Parameters "a" and "b" are required.');
+    }
+    if (!formatSpec) {
+        throw new Error('Parameter "format" is required.');
+    }
+
+    const format = resolveFormat(formatSpec);
+    const encodeOptions = buildEncodeOptions(roundingMode);
+    const first = encodeValueInput(format, a, encodeOptions);
+    const second = encodeValueInput(format, b, encodeOptions);
+    const distance = format.ulpDistance(first, second);
+    const result = {
+        a: buildStats(format, first),
+        b: buildStats(format, second),
+        // Distances past 2^53 (e.g. across FP64) stay exact as a string
+        distance: typeof distance === 'bigint' && distance > BigInt(Number.MAX_SAFE_INTEGER)
+            ? distance.toString()
+            : jsonSafeNumber(distance),
+    };
+
+    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+}
+
+// Columns of each batch mode's rows, in order
+const BATCH_COLUMNS = {
+    encode: ['input', 'hex', 'binary', 'value', 'error', 'flags'],
+    decode: ['input', 'hex', 'binary', 'value', 'type'],
+    convert: ['input', 'inputHex', 'hex', 'binary', 'value', 'error', 'flags'],
+};
+
+/**
+ * Bits and decoded value of an encoding, the value as a Number (a string for
+ * BigInt integers, which it keeps exact) or an exact or shortest decimal.
+ */
+function batchEncoding(format, encoded, digits, decodeOptions = {}) {
+    const { sign, exponent, mantissa } = encoded;
+    let value;
+    if (digits === 'exact') {
+        value = format.toDecimalString(sign, exponent, mantissa, decodeOptions);
+    } else if (digits === 'shortest') {
+        value = format.toShortestDecimalString(sign, exponent, mantissa, decodeOptions);
+    } else {
+        const decoded = format.decode(sign, exponent, mantissa, decodeOptions);
+        value = typeof decoded === 'bigint' ? decoded.toString() : jsonSafeNumber(decoded);
+    }
+    return {
+        hex: format.toHexString(sign, exponent, mantissa),
+        binary: format.toBinaryString(sign, exponent, mantissa),
+        value,
+    };
+}
+
+// Signed error value − reference; equal values (infinities included) are 0 apart
+function signedError(value, reference) {
+    return jsonSafeNumber(Number(value) === Number(reference) ? 0 : valueDifference(value, reference));
+}
+
+// Names of the exception flags an encode raised
+function raisedFlags(flags) {
+    return Object.keys(flags).filter((name) => flags[name]);
+}
+
+/**
+ * Build a converter for batch jobs over many values. Formats are resolved and
+ * any seeded generator created once, so a whole batch draws its stochastic
+ * roundings from one stream. `mode` is "encode", "decode" (inputs are
+ * bit-patterns) or "convert"; `digits` picks how values are written, as for
+ * the CLI's --digits. Returns the row `columns` and `convert(input)`, which
+ * gives one flat row: the bits, the decoded value, and for encode and convert
+ * the signed error against the input and the exception flags raised.
+ */
+function createBatchConverter({
+    mode, format: formatSpec, inputFormat: inputSpec, outputFormat: outputSpec, roundingMode, flushSubnormals,
+    subnormalsAreZero, tininess, overflow, seed, digits = 'number',
+}) {
+    if (!Object.hasOwn(BATCH_COLUMNS, mode)) {
+        throw new Error(`Unknown batch mode: "${mode}". Use ${Object.keys(BATCH_COLUMNS).join(', ')}.`);
+    }
+    const columns = BATCH_COLUMNS[mode];
+
+    if (mode === 'convert') {
+        if (!inputSpec) {
+            throw new Error('Parameter "inputFormat" is required.');
+        }
+        if (!outputSpec) {
+            throw new Error('Parameter "outputFormat" is required.');
+        }
+        const inFmt = resolveFormat(inputSpec);
+        const outFmt = resolveFormat(outputSpec);
+        const options = conversionOptions({ roundingMode, flushSubnormals, subnormalsAreZero, tininess, overflow, seed });
+        return {
+            columns,
+            convert(input) {
+                const { inputEncoded, inputExact, outputEncoded, error, lossless } =
+                    convertValue(inFmt, outFmt, input, options);
+                return {
+                    input: String(input),
+                    inputHex: inFmt.toHexString(inputEncoded.sign, inputEncoded.exponent, inputEncoded.mantissa),
+                    ...batchEncoding(outFmt, outputEncoded, digits),
+                    // Equal infinities are 0 apart, as in signedError; NaN stays NaN
+                    error: lossless && !Number.isNaN(inputExact.special)
+                        ? 0
+                        : jsonSafeNumber(Number(_exactValueString(error))),
+                    flags: raisedFlags(outputEncoded.flags),
+                };
+            },
+        };
+    }
+
+    if (!formatSpec) {
+        throw new Error('Parameter "format" is required.');
+    }
+    const format = resolveFormat(formatSpec);
+
+    if (mode === 'decode') {
+        const decodeOptions = subnormalsAreZero ? { subnormalsAreZero } : {};
+        return {
+            columns,
+            convert(input) {
+                const encoded = parseBitsInput(input, format);
+                return {
+                    input: String(input),
+                    ...batchEncoding(format, encoded, digits, decodeOptions),
+                    type: classifyValue(format, encoded.sign, encoded.exponent, encoded.mantissa),
+                };
+            },
+        };
+    }
+
+    const random = seed !== undefined ? _createRandom(seed) : undefined;
+    const encodeOptions = buildEncodeOptions(roundingMode, { flushSubnormals, tininess, overflow, random });
+    return {
+        columns,
+        convert(input) {
+            const encoded = encodeValueInput(format, input, encodeOptions);
+            const decoded = format.decode(encoded.sign, encoded.exponent, encoded.mantissa);
+            return {
+                input: String(input),
+                ...batchEncoding(format, encoded, digits),
+                error: signedError(decoded, parseValueInput(input)),
+                flags: raisedFlags(encoded.flags),
+            };
+        },
+    };
+}
+
 /**
  * get_format_info – Return detailed information about a format.
  */
@@ -400,8 +1124,21 @@ function getFormatInfo({ format: formatSpec }) {
         info.type = 'integer';
         info.bits = format.bits;
         info.signed = format.signed;
-        info.minValue = format.minValue;
-        info.maxValue = format.maxValue;
+        // Bounds of 64-bit formats do not fit a double; report them as exact strings
+        info.minValue = typeof format.minValue === 'bigint' ? format.minValue.toString() : format.minValue;
+        info.maxValue = typeof format.maxValue === 'bigint' ? format.maxValue.toString() : format.maxValue;
+    } else if (format.isFixedPoint) {
+        info.type = 'fixed-point';
+        info.integerBits = format.integerBits;
+        info.fractionBits = format.fractionBits;
+        info.signed = format.signed;
+        info.overflow = format.overflow;
+        // Exact decimal strings, so wide formats keep every digit
+        const min = format.getMinValue();
+        const max = format.getMaxValue();
+        info.minValue = format.toDecimalString(0, 0, min.mantissa);
+        info.maxValue = format.toDecimalString(0, 0, max.mantissa);
+        info.resolution = format.toDecimalString(0, 0, format.toMantissa(1));
     } else {
         info.type = 'floating-point';
         info.signBits = format.signBits;
@@ -410,30 +1147,35 @@ function getFormatInfo({ format: formatSpec }) {
         info.bias = format.bias;
         info.hasInfinity = format.hasInfinity;
         info.hasNaN = format.hasNaN;
+        info.hasZero = format.hasZero;
+        info.hasNegativeZero = format.hasNegativeZero;
+        info.specialValues = { ...format.specialValues };
+        // Values of wide formats do not fit a double; report them as exact decimal strings
+        const valueOf = (sign, exponent, mantissa) => (format.exactArithmetic
+            ? format.toDecimalString(sign, exponent, mantissa)
+            : format.decode(sign, exponent, mantissa));
+        const maxMantissa = format.toMantissa((1n << BigInt(format.mantissaBits)) - 1n);
 
         if (format.exponentBits > 0) {
-            // Max normal
-            const maxExp = format.hasInfinity || format.hasNaN
-                ? format.maxExponent - 1
-                : format.maxExponent;
-            const maxMantissa = format.mantissaBits > 0
-                ? (Math.pow(2, format.mantissaBits) - 1)
-                : 0;
-            info.maxNormal = format.decode(0, maxExp, maxMantissa);
+            // Max normal: where it sits depends on how NaN and infinity are encoded
+            const maxNormal = format.getMaxNormal();
+            info.maxNormal = valueOf(maxNormal.sign, maxNormal.exponent, maxNormal.mantissa);
 
             // Min normal
-            info.minNormal = format.decode(0, 1, 0);
+            const minNormal = format.getMinNormal();
+            info.minNormal = valueOf(minNormal.sign, minNormal.exponent, minNormal.mantissa);
 
             // Subnormals
-            if (format.mantissaBits > 0) {
-                info.maxSubnormal = format.decode(0, 0, maxMantissa);
-                info.minSubnormal = format.decode(0, 0, 1);
+            if (format.mantissaBits > 0 && format.specialValues.subnormals) {
+                info.maxSubnormal = valueOf(0, 0, maxMantissa);
+                info.minSubnormal = valueOf(0, 0, format.toMantissa(1));
             }
         } else {
             // Fixed-point
             if (format.mantissaBits > 0) {
-                info.maxValue = format.decode(0, 0, (Math.pow(2, format.mantissaBits) - 1));
-                info.minValue = format.signBits ? -info.maxValue : 0;
+                info.maxValue = valueOf(0, 0, maxMantissa);
+                const negated = format.exactArithmetic ? `-${info.maxValue}` : -info.maxValue;
+                info.minValue = format.signBits ? negated : 0;
             }
         }
     }
@@ -443,15 +1185,29 @@ function getFormatInfo({ format: formatSpec }) {
 
 // ── WebMCP registration ───────────────────────────────────────────
 
+/**
+ * The exports of quantization.js and scaling.js, whose tools build on the
+ * helpers here. They load after this file, so they are looked up when the
+ * tools are built and run.
+ */
+function toolModules() {
+    if (typeof require !== 'undefined') {
+        return { ...require('./quantization.js'), ...require('./scaling.js') };
+    }
+    /* istanbul ignore next */
+    return { analyzeQuantization, searchScaling, SCALING_METHODS, SCALING_GRANULARITIES, DEFAULT_PERCENTILE };
+}
+
 /**
  * Build the array of tool descriptors used by registerTool.
  */
 function buildToolDescriptors() {
+    const { SCALING_METHODS, SCALING_GRANULARITIES, DEFAULT_PERCENTILE } = toolModules();
     return [
         {
             name: 'list_formats',
             description:
-                'List all available floating-point and integer format presets supported by this converter. ' +
+                'List all available floating-point, integer and fixed-point format presets supported by this converter. ' +
                 'Returns format keys, names, categories, and parameters (bits, exponent, mantissa, etc.).',
             inputSchema: {
                 type: 'object',
@@ -464,29 +1220,62 @@ function buildToolDescriptors() {
             name: 'encode_number',
             description:
                 'Encode a decimal number (or special value like Infinity / NaN) into a specified ' +
-                'floating-point or integer format. Returns binary, hex, and component breakdown.',
+                'floating-point, integer or fixed-point format. Returns binary, hex, and component breakdown, the ' +
+                'exact and shortest round-tripping decimal strings ("exactValue", "shortestValue"), plus ' +
+                '"exact" telling whether the value was exactly representable and the IEEE 754 exception ' +
+                '"flags" (invalid, overflow, underflow, inexact) the encode raised.',
             inputSchema: {
                 type: 'object',
                 properties: {
                     value: {
                         type: ['number', 'string'],
                         description:
-                            'The value to encode. Accepts a number, hex string (e.g. "0xFF"), ' +
+                            'The value to encode. Accepts a number, decimal string (parsed exactly, ' +
+                            'e.g. "0.1000000000000000055511151231257827"), hex string (e.g. "0xFF"), ' +
                             'or keyword ("infinity", "-infinity", "nan").',
                     },
                     format: {
                         type: ['string', 'object'],
                         description:
-                            'Format preset key (e.g. "fp32", "int8") or custom format object. ' +
-                            'For floating-point: { signBits, exponentBits, mantissaBits, bias?, hasInfinity?, hasNaN? }. ' +
-                            'For integer: { bits, signed }.',
+                            'Format preset key (e.g. "fp32", "int8", "q15"), Qm.n string (e.g. "q4.12", "uq8.8") ' +
+                            'or custom format object. ' +
+                            'For floating-point: { signBits, exponentBits, mantissaBits, bias?, hasInfinity?, hasNaN?, hasZero?, hasNegativeZero?, specialValues? }. ' +
+                            'For integer: { bits, signed, overflow? ("saturate", "wrap" or "error"), nanValue? }. ' +
+                            'For fixed-point: { integerBits, fractionBits, signed?, overflow? ("saturate", "wrap" or "error") }.',
                     },
                     roundingMode: {
                         type: 'string',
                         description:
                             'Rounding mode for encoding. Options: "tiesToEven" (default, IEEE 754), ' +
-                            '"tiesToAway", "towardZero", "towardPositive", "towardNegative".',
-                        enum: ['tiesToEven', 'tiesToAway', 'towardZero', 'towardPositive', 'towardNegative'],
+                            '"tiesToAway", "towardZero", "towardPositive", "towardNegative", "toOdd" (sticky LSB), ' +
+                            '"tiesToZero", "tiesToOdd", or "stochastic" ' +
+                            '(round up with probability equal to the discarded fraction; the response carries ' +
+                            '"roundUpProbability").',
+                        enum: Object.values(_ROUNDING_MODES),
+                    },
+                    seed: {
+                        type: 'integer',
+                        description: 'Seed for stochastic rounding. The same seed reproduces the same result.',
+                    },
+                    flushSubnormals: {
+                        type: 'boolean',
+                        description:
+                            'Flush-to-zero (FTZ): a result that would be subnormal becomes zero of the same sign. ' +
+                            'The response then carries "flushed".',
+                    },
+                    tininess: {
+                        type: 'string',
+                        description:
+                            'When the underflow flag detects a tiny result: "afterRounding" (default) or ' +
+                            '"beforeRounding".',
+                        enum: Object.values(_TININESS_MODES),
+                    },
+                    overflow: {
+                        type: 'string',
+                        description:
+                            'What integer and fixed-point results do out of range: "saturate" (clamp), "wrap" ' +
+                            '(modulo 2^n, like a C cast) or "error" (fail). Defaults to the format\'s own mode.',
+                        enum: Object.values(_OVERFLOW_MODES),
                     },
                 },
                 required: ['value', 'format'],
@@ -497,7 +1286,8 @@ function buildToolDescriptors() {
             name: 'decode_bits',
             description:
                 'Decode a binary or hexadecimal bit-pattern into a specified format. ' +
-                'Returns the decimal value and full component breakdown.',
+                'Returns the decimal value (also as exact and shortest round-tripping decimal strings) ' +
+                'and full component breakdown.',
             inputSchema: {
                 type: 'object',
                 properties: {
@@ -512,6 +1302,12 @@ function buildToolDescriptors() {
                         description:
                             'Format preset key (e.g. "fp16") or custom format object.',
                     },
+                    subnormalsAreZero: {
+                        type: 'boolean',
+                        description:
+                            'Denormals-are-zero (DAZ): read subnormal bit-patterns as zero of the same sign. ' +
+                            'The response then carries "flushed".',
+                    },
                 },
                 required: ['bits', 'format'],
             },
@@ -520,15 +1316,17 @@ function buildToolDescriptors() {
         {
             name: 'convert_format',
             description:
-                'Convert a value from one floating-point or integer format to another. ' +
-                'Returns full encoding details for both formats and precision loss analysis.',
+                'Convert a value from one floating-point, integer or fixed-point format to another. ' +
+                'Returns full encoding details for both formats, including the IEEE 754 exception "flags" ' +
+                'each encode raised, and precision loss analysis.',
             inputSchema: {
                 type: 'object',
                 properties: {
                     value: {
                         type: ['number', 'string'],
                         description:
-                            'The value to convert. Accepts a number, hex string, or keyword.',
+                            'The value to convert. Accepts a number, decimal string (parsed exactly), ' +
+                            'hex string, or keyword.',
                     },
                     inputFormat: {
                         type: ['string', 'object'],
@@ -544,8 +1342,41 @@ function buildToolDescriptors() {
                         type: 'string',
                         description:
                             'Rounding mode for encoding. Options: "tiesToEven" (default, IEEE 754), ' +
-                            '"tiesToAway", "towardZero", "towardPositive", "towardNegative".',
-                        enum: ['tiesToEven', 'tiesToAway', 'towardZero', 'towardPositive', 'towardNegative'],
+                            '"tiesToAway", "towardZero", "towardPositive", "towardNegative", "toOdd" (sticky LSB), ' +
+                            '"tiesToZero", "tiesToOdd", or "stochastic" ' +
+                            '(round up with probability equal to the discarded fraction; the response carries ' +
+                            '"roundUpProbability").',
+                        enum: Object.values(_ROUNDING_MODES),
+                    },
+                    seed: {
+                        type: 'integer',
+                        description: 'Seed for stochastic rounding. The same seed reproduces the same result.',
+                    },
+                    flushSubnormals: {
+                        type: 'boolean',
+                        description:
+                            'Flush-to-zero (FTZ): an output that would be subnormal becomes zero of the same sign. ' +
+                            'The output then carries "flushed".',
+                    },
+                    subnormalsAreZero: {
+                        type: 'boolean',
+                        description:
+                            'Denormals-are-zero (DAZ): a subnormal input value is read as zero of the same sign ' +
+                            'before conversion. The input then carries "flushed".',
+                    },
+                    tininess: {
+                        type: 'string',
+                        description:
+                            'When the underflow flag detects a tiny result: "afterRounding" (default) or ' +
+                            '"beforeRounding".',
+                        enum: Object.values(_TININESS_MODES),
+                    },
+                    overflow: {
+                        type: 'string',
+                        description:
+                            'What integer and fixed-point results do out of range: "saturate" (clamp), "wrap" ' +
+                            '(modulo 2^n, like a C cast) or "error" (fail). Defaults to the format\'s own mode.',
+                        enum: Object.values(_OVERFLOW_MODES),
                     },
                 },
                 required: ['value', 'inputFormat', 'outputFormat'],
@@ -555,8 +1386,8 @@ function buildToolDescriptors() {
         {
             name: 'get_format_info',
             description:
-                'Get detailed information about a floating-point or integer format, including ' +
-                'value range (max/min normal, subnormal), bias, and special value support.',
+                'Get detailed information about a floating-point, integer or fixed-point format, including ' +
+                'value range (max/min normal, subnormal), bias, resolution, and special value support.',
             inputSchema: {
                 type: 'object',
                 properties: {
@@ -570,6 +1401,427 @@ function buildToolDescriptors() {
             },
             execute: (params, _agent) => getFormatInfo(params),
         },
+        {
+            name: 'quantize_mx',
+            description:
+                'Quantize a vector of values into an OCP Microscaling (MX) block format, where each block ' +
+                'of 32 elements shares one E8M0 power-of-two scale. Returns each block\'s scale bits and ' +
+                'exponent, and each element\'s bits, dequantized value and error (value - input).',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    values: {
+                        type: 'array',
+                        items: { type: ['number', 'string'] },
+                        description: 'Values to quantize; split into blocks in order.',
+                    },
+                    format: {
+                        type: ['string', 'object'],
+                        description:
+                            'MX preset key: "mxfp8_e5m2", "mxfp8_e4m3", "mxfp6_e3m2", "mxfp6_e2m3", ' +
+                            '"mxfp4_e2m1" or "mxint8". Or a custom { element, blockSize? } object, where ' +
+                            'element is a floating-point or fixed-point format key or object.',
+                    },
+                    roundingMode: {
+                        type: 'string',
+                        description:
+                            'Rounding mode for the elements. Options: "tiesToEven" (default, IEEE 754), ' +
+                            '"tiesToAway", "towardZero", "towardPositive", "towardNegative", "toOdd" (sticky LSB), ' +
+                            '"tiesToZero", "tiesToOdd", or "stochastic" ' +
+                            '(each element then carries "roundUpProbability").',
+                        enum: Object.values(_ROUNDING_MODES),
+                    },
+                    seed: {
+                        type: 'integer',
+                        description: 'Seed for stochastic rounding. The same seed reproduces the same blocks.',
+                    },
+                },
+                required: ['values', 'format'],
+            },
+            execute: (params, _agent) => quantizeMX(params),
+        },
+        {
+            name: 'calculate',
+            description:
+                'Evaluate one arithmetic operation in a floating-point format, correctly rounded as IEEE 754 ' +
+                'requires: "a + b", "a - b", "a * b", "a / b", "sqrt(a)" or "fma(a, b, c)" (a × b + c with a ' +
+                'single rounding). Each operand is first rounded into the format. Returns the operands and the ' +
+                'result with bits, components and the IEEE 754 exception "flags" (invalid, divideByZero, ' +
+                'overflow, underflow, inexact) the operation raised.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    expression: {
+                        type: 'string',
+                        description:
+                            'The operation, e.g. "1.5 + 2^-10", "sqrt(2)" or "fma(0.1, 10, -1)". Operands accept ' +
+                            'decimal strings (parsed exactly), hex integers ("0xFF"), powers ("2^-10", "10^3") ' +
+                            'and keywords ("infinity", "-infinity", "nan").',
+                    },
+                    format: {
+                        type: ['string', 'object'],
+                        description:
+                            'Floating-point preset key (e.g. "fp16", "bf16", "fp8_e4m3") or custom format object ' +
+                            '{ signBits, exponentBits, mantissaBits, bias?, hasInfinity?, hasNaN?, hasZero?, ' +
+                            'hasNegativeZero?, specialValues? }.',
+                    },
+                    roundingMode: {
+                        type: 'string',
+                        description:
+                            'Rounding mode for the operands and the result. Options: "tiesToEven" (default, ' +
+                            'IEEE 754), "tiesToAway", "towardZero", "towardPositive", "towardNegative", "toOdd" ' +
+                            '(sticky LSB), "tiesToZero", "tiesToOdd", or "stochastic".',
+                        enum: Object.values(_ROUNDING_MODES),
+                    },
+                    seed: {
+                        type: 'integer',
+                        description: 'Seed for stochastic rounding; all roundings draw from one generator.',
+                    },
+                    flushSubnormals: {
+                        type: 'boolean',
+                        description: 'Flush-to-zero (FTZ): a subnormal result becomes zero of the same sign.',
+                    },
+                    subnormalsAreZero: {
+                        type: 'boolean',
+                        description: 'Denormals-are-zero (DAZ): subnormal operands are read as zero.',
+                    },
+                    tininess: {
+                        type: 'string',
+                        description:
+                            'When the underflow flag detects a tiny result: "afterRounding" (default) or ' +
+                            '"beforeRounding".',
+                        enum: Object.values(_TININESS_MODES),
+                    },
+                },
+                required: ['expression', 'format'],
+            },
+            execute: (params, _agent) => calculate(params),
+        },
+        {
+            name: 'dot_product',
+            description:
+                'Simulate a mixed-precision dot product, as tensor cores and GEMM kernels compute it: each input ' +
+                'is rounded into inputFormat, each product a × b into productFormat (or kept exact, as a fused ' +
+                'multiply-add does, when it is omitted) and every partial sum into accumulatorFormat, in ' +
+                'sequential, pairwise or blocked order. Returns the accumulated result, the exception "flags" ' +
+                'raised by any product or sum, and the error against the exact dot product of the rounded inputs.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    a: {
+                        type: 'array',
+                        description:
+                            'First vector: numbers, decimal strings (parsed exactly), hex strings ("0xFF") or ' +
+                            'keywords ("infinity", "-infinity", "nan").',
+                        items: { type: ['number', 'string'] },
+                    },
+                    b: {
+                        type: 'array',
+                        description: 'Second vector, the same length as "a".',
+                        items: { type: ['number', 'string'] },
+                    },
+                    inputFormat: {
+                        type: ['string', 'object'],
+                        description:
+                            'Format of the vector elements: a preset key (e.g. "fp8_e4m3", "bf16", "int8"), a Qm.n ' +
+                            'string (e.g. "q1.7") or a custom format object.',
+                    },
+                    productFormat: {
+                        type: ['string', 'object'],
+                        description:
+                            'Format each product is rounded into, e.g. "fp32" or "int16". Omit to keep products ' +
+                            'exact until they are added.',
+                    },
+                    accumulatorFormat: {
+                        type: ['string', 'object'],
+                        description:
+                            'Format every partial sum is rounded into, e.g. "fp32", "fp16" or "int32".',
+                    },
+                    order: {
+                        type: 'string',
+                        description:
+                            'Summation order: "sequential" (default, one running sum), "pairwise" (a balanced ' +
+                            'tree) or "blocked" (a running sum per block of blockSize products, then a running ' +
+                            'sum of the block sums).',
+                        enum: Object.values(_ACCUMULATION_ORDERS),
+                    },
+                    blockSize: {
+                        type: 'integer',
+                        description: 'Products per block for the "blocked" order (default 32).',
+                    },
+                    roundingMode: {
+                        type: 'string',
+                        description:
+                            'Rounding mode for every rounding. Options: "tiesToEven" (default, IEEE 754), ' +
+                            '"tiesToAway", "towardZero", "towardPositive", "towardNegative", "toOdd" (sticky ' +
+                            'LSB), "tiesToZero", "tiesToOdd", or "stochastic".',
+                        enum: Object.values(_ROUNDING_MODES),
+                    },
+                    seed: {
+                        type: 'integer',
+                        description: 'Seed for stochastic rounding; all roundings draw from one generator.',
+                    },
+                    flushSubnormals: {
+                        type: 'boolean',
+                        description: 'Flush-to-zero (FTZ): subnormal products and partial sums become zero.',
+                    },
+                    subnormalsAreZero: {
+                        type: 'boolean',
+                        description: 'Denormals-are-zero (DAZ): subnormal inputs are read as zero.',
+                    },
+                    tininess: {
+                        type: 'string',
+                        description:
+                            'When the underflow flag detects a tiny result: "afterRounding" (default) or ' +
+                            '"beforeRounding".',
+                        enum: Object.values(_TININESS_MODES),
+                    },
+                    overflow: {
+                        type: 'string',
+                        description:
+                            'Out-of-range integer and fixed-point inputs, products and sums: "saturate", "wrap" or ' +
+                            '"error". Defaults to each format\'s own policy.',
+                        enum: Object.values(_OVERFLOW_MODES),
+                    },
+                },
+                required: ['a', 'b', 'inputFormat', 'accumulatorFormat'],
+            },
+            execute: (params, _agent) => dotProduct(params),
+        },
+        {
+            name: 'next_value',
+            description:
+                'Step through the representable values of a format from a value or bit-pattern, as IEEE 754 ' +
+                'nextUp and nextDown do. Returns the start and each following encoding in order. Zeros step to ' +
+                'the smallest subnormal, the largest finite value to infinity, and the ends of the range (and ' +
+                'NaN) repeat.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    value: {
+                        type: ['number', 'string'],
+                        description:
+                            'Value to start from, rounded into the format first: a number, decimal string, hex ' +
+                            'string ("0xFF") or keyword ("infinity", "-infinity", "nan"). Give this or "bits".',
+                    },
+                    bits: {
+                        type: 'string',
+                        description:
+                            'Bit-pattern to start from instead of a value, as a binary string or hex string with ' +
+                            '0x prefix (e.g. "0x3F80").',
+                    },
+                    format: {
+                        type: ['string', 'object'],
+                        description: 'Format preset key (e.g. "bf16", "int8"), Qm.n string or custom format object.',
+                    },
+                    direction: {
+                        type: 'string',
+                        description: '"up" (default, toward +infinity) or "down".',
+                        enum: ['up', 'down'],
+                    },
+                    count: {
+                        type: 'integer',
+                        description: `Number of values to list, 1 to ${MAX_NEXT_COUNT} (default 1).`,
+                    },
+                    roundingMode: {
+                        type: 'string',
+                        description:
+                            'Rounding mode for encoding "value" (default "tiesToEven").',
+                        enum: Object.values(_ROUNDING_MODES),
+                    },
+                },
+                required: ['format'],
+            },
+            execute: (params, _agent) => nextValue(params),
+        },
+        {
+            name: 'get_ulp',
+            description:
+                'Get the unit in the last place (ulp) of a value in a format: the weight of the lowest ' +
+                'mantissa bit in its binade (1 LSB for integer and fixed-point formats). Also returns the ' +
+                'neighbouring encodings above and below.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    value: {
+                        type: ['number', 'string'],
+                        description:
+                            'Value, rounded into the format first: a number, decimal string, hex ' +
+                            'string ("0xFF") or keyword ("infinity", "-infinity", "nan"). Give this or "bits".',
+                    },
+                    bits: {
+                        type: 'string',
+                        description:
+                            'Bit-pattern instead of a value, as a binary string or hex string with ' +
+                            '0x prefix (e.g. "0x3F80").',
+                    },
+                    format: {
+                        type: ['string', 'object'],
+                        description: 'Format preset key (e.g. "bf16", "int8"), Qm.n string or custom format object.',
+                    },
+                    roundingMode: {
+                        type: 'string',
+                        description:
+                            'Rounding mode for encoding "value" (default "tiesToEven").',
+                        enum: Object.values(_ROUNDING_MODES),
+                    },
+                },
+                required: ['format'],
+            },
+            execute: (params, _agent) => getUlp(params),
+        },
+        {
+            name: 'ulp_distance',
+            description:
+                'Count the representable steps between two values in a format (the distance in ulps). Both ' +
+                'values are rounded into the format first; +0 and -0 are the same value, and infinity is one ' +
+                'step past the largest finite value.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    a: {
+                        type: ['number', 'string'],
+                        description: 'First value: a number, decimal string, hex string or keyword.',
+                    },
+                    b: {
+                        type: ['number', 'string'],
+                        description: 'Second value.',
+                    },
+                    format: {
+                        type: ['string', 'object'],
+                        description: 'Format preset key (e.g. "bf16", "int8"), Qm.n string or custom format object.',
+                    },
+                    roundingMode: {
+                        type: 'string',
+                        description:
+                            'Rounding mode for encoding "a" and "b" (default "tiesToEven").',
+                        enum: Object.values(_ROUNDING_MODES),
+                    },
+                },
+                required: ['a', 'b', 'format'],
+            },
+            execute: (params, _agent) => ulpDistance(params),
+        },
+        {
+            name: 'analyze_quantization',
+            description:
+                'Quantize an array of values into a format and report error statistics over the whole array: ' +
+                'mean squared error, SQNR in dB, mean error (bias), maximum absolute and relative error and ' +
+                'the value that caused it, a histogram of errors in ulps, and how many values overflowed, ' +
+                'underflowed, were flushed to zero or landed in the subnormal range. Use it to choose a ' +
+                'format or rounding mode for weights, activations or gradients.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    values: {
+                        type: 'array',
+                        description:
+                            'Values to quantize: numbers, decimal strings (parsed exactly), hex strings ("0xFF") ' +
+                            'or keywords ("infinity", "-infinity", "nan").',
+                        items: { type: ['number', 'string'] },
+                    },
+                    format: {
+                        type: ['string', 'object'],
+                        description:
+                            'Target format: a preset key (e.g. "fp8_e4m3", "bf16", "int8"), a Qm.n string or a ' +
+                            'custom format object.',
+                    },
+                    roundingMode: {
+                        type: 'string',
+                        description: 'Rounding mode for every value (default "tiesToEven").',
+                        enum: Object.values(_ROUNDING_MODES),
+                    },
+                    seed: {
+                        type: 'integer',
+                        description: 'Seed for stochastic rounding; all values draw from one generator.',
+                    },
+                    flushSubnormals: {
+                        type: 'boolean',
+                        description: 'Flush-to-zero (FTZ): values that would be subnormal become zero.',
+                    },
+                    tininess: {
+                        type: 'string',
+                        description:
+                            'When the underflow flag detects a tiny result: "afterRounding" (default) or ' +
+                            '"beforeRounding".',
+                        enum: Object.values(_TININESS_MODES),
+                    },
+                    overflow: {
+                        type: 'string',
+                        description:
+                            'Out-of-range integer and fixed-point results: "saturate", "wrap" or "error". ' +
+                            'Defaults to the format\'s own policy.',
+                        enum: Object.values(_OVERFLOW_MODES),
+                    },
+                },
+                required: ['values', 'format'],
+            },
+            execute: (params, _agent) => toolModules().analyzeQuantization(params),
+        },
+        {
+            name: 'search_scaling',
+            description:
+                'Compute the scale factors a low-precision recipe would use to quantize an array into a format ' +
+                '(amax, a percentile of the magnitudes, or the scale with the least mean squared error), per ' +
+                'tensor or per row or column, optionally restricted to powers of two. Each value is divided by ' +
+                'its scale, clamped to the format\'s range, rounded and multiplied back, at double precision. ' +
+                'Returns the scales and the error statistics of each recipe (as analyze_quantization reports ' +
+                'them) and the recipe with the least error.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    values: {
+                        type: 'array',
+                        description:
+                            'Values to quantize: a flat array, or an array of equal-length rows for per-row or ' +
+                            'per-column scaling. Elements are numbers, decimal or hex strings, or keywords.',
+                        items: {
+                            type: ['number', 'string', 'array'],
+                            items: { type: ['number', 'string'] },
+                        },
+                    },
+                    format: {
+                        type: ['string', 'object'],
+                        description:
+                            'Target format: a preset key (e.g. "fp8_e4m3", "int8"), a Qm.n string or a custom ' +
+                            'format object.',
+                    },
+                    granularity: {
+                        type: 'string',
+                        description: 'One scale for the whole array ("tensor", default), or one per "row" or "column".',
+                        enum: SCALING_GRANULARITIES,
+                    },
+                    method: {
+                        type: 'string',
+                        description: 'Scaling method to run. Omit to compare all three.',
+                        enum: SCALING_METHODS,
+                    },
+                    percentile: {
+                        type: 'number',
+                        description: `Percentile of the magnitudes the percentile method maps to the format's largest value (default ${DEFAULT_PERCENTILE}).`,
+                    },
+                    powerOfTwo: {
+                        type: 'boolean',
+                        description: 'Restrict scales to powers of two, as hardware scale registers often are.',
+                    },
+                    roundingMode: {
+                        type: 'string',
+                        description: 'Rounding mode for every value (default "tiesToEven").',
+                        enum: Object.values(_ROUNDING_MODES),
+                    },
+                    seed: {
+                        type: 'integer',
+                        description: 'Seed for stochastic rounding; every recipe draws from the same sequence.',
+                    },
+                    flushSubnormals: {
+                        type: 'boolean',
+                        description: 'Flush-to-zero (FTZ): values that would be subnormal become zero.',
+                    },
+                },
+                required: ['values', 'format'],
+            },
+            execute: (params, _agent) => toolModules().searchScaling(params),
+        },
     ];
 }
 
@@ -611,6 +1863,9 @@ if (typeof module !== 'undefined' && module.exports) {
         mantissaDecimal,
         exponentActual,
         parseValueInput,
+        encodeValueInput,
+        buildEncodeOptions,
+        valueDifference,
         jsonSafeNumber,
         buildStats,
         extractComponents,
@@ -619,6 +1874,20 @@ if (typeof module !== 'undefined' && module.exports) {
         decodeBits,
         convertFormat,
         getFormatInfo,
+        resolveMXFormat,
+        quantizeMX,
+        parseExpression,
+        expandPowerOperand,
+        calculate,
+        exactValueInput,
+        dotProduct,
+        parseBitsInput,
+        nextValue,
+        getUlp,
+        ulpDistance,
+        createBatchConverter,
+        batchEncoding,
+        raisedFlags,
         buildToolDescriptors,
         registerWebMCP,
     };
@@ -0,0 +1,176 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// DOM-dependent unit tests for formats/arithmetic.js
+const fs = require('fs');
+const path = require('path');
+
+const {
+    ARITHMETIC_FORMATS,
+    renderBitRows,
+    renderRoundingTable,
+    initArithmeticPage,
+} = require('../formats/arithmetic.js');
+
+// The page body, without its scripts
+const PAGE = fs.readFileSync(path.join(__dirname, '../formats/arithmetic.html'), 'utf8')
+    .match(/<body>([\s\S]*)<\/body>/)[1];
+
+function loadPage() {
+    document.body.innerHTML = PAGE;
+    initArithmeticPage();
+}
+
+function $(id) {
+    return document.getElementById(id);
+}
+
+function visibleSteps() {
+    return [...document.querySelectorAll('.arith-step.visible h3')].map(h => h.textContent);
+}
+
+function setValue(id, value, type) {
+    $(id).value = value;
+    $(id).dispatchEvent(new Event(type));
+}
+
+afterEach(() => {
+    jest.useRealTimers();
+    document.body.innerHTML = '';
+});
+
+describe('renderBitRows', () => {
+    test('lines rows up on the binary point and marks guard, round and sticky', () => {
+        const rows = renderBitRows([
+            { label: 'a', integer: '1', fraction: '011', extra: '000' },
+            { label: 'b >> 3', integer: '0', fraction: '001', extra: '100', shift: 3 },
+            { label: 'a + b', integer: '10', fraction: '100', extra: '', result: true },
+        ]);
+        const lines = rows.querySelectorAll('.arith-row');
+        expect([...lines].map(line => line.querySelector('.arith-row-label').textContent)).toEqual(['a', 'b >> 3', 'a + b']);
+        // Two integer columns, the point and six fraction columns on every row
+        for (const line of lines) {
+            expect(line.querySelector('.arith-row-bits').children.length).toBe(9);
+        }
+        expect(lines[0].querySelectorAll('.arith-blank').length).toBe(1);
+        expect(lines[2].querySelectorAll('.arith-blank').length).toBe(3);
+        expect(lines[1].querySelector('.arith-guard').textContent).toBe('1');
+        expect(lines[1].querySelector('.arith-round').textContent).toBe('0');
+        expect(lines[1].querySelector('.arith-sticky').textContent).toBe('0');
+        expect(lines[1].classList.contains('arith-shifted')).toBe(true);
+        expect(lines[1].style.getPropertyValue('--shift')).toBe('3');
+        expect(lines[2].classList.contains('arith-result')).toBe(true);
+    });
+
+    test('caps the animated slide', () => {
+        const rows = renderBitRows([{ label: 'b', integer: '0', fraction: '0', extra: '001', shift: 1000 }]);
+        expect(rows.querySelector('.arith-row').style.getPropertyValue('--shift')).toBe('24');
+    });
+});
+
+describe('renderRoundingTable', () => {
+    test('shows each rule, significand and result', () => {
+        const flags = { invalid: false, overflow: false, underflow: false, inexact: true };
+        const table = renderRoundingTable([
+            {
+                roundingMode: 'tiesToAway', rule: 'G', hex: '0x3D', value: 1.625, flags,
+                increment: true, significand: { integer: '1', fraction: '101' },
+            },
+            {
+                roundingMode: 'stochastic', rule: 'p', probability: 0.25,
+                candidates: [{ hex: '0x3C', value: 1.5, flags }, { hex: '0x3D', value: 1.625, flags }],
+            },
+            { roundingMode: 'stochastic', rule: 'p', probability: 0, candidates: [{ hex: '0x3C', value: 1.5, flags: {} }] },
+            { roundingMode: 'towardZero', rule: 'never', hex: '0x7F', value: NaN, flags: { invalid: true } },
+        ]);
+        const cells = [...table.querySelectorAll('tbody tr')].map(tr => [...tr.children].map(td => td.textContent));
+        expect(cells).toEqual([
+            ['tiesToAway', 'G', '1.101+1', '0x3D = 1.625', 'inexact'],
+            ['stochastic', 'p', 'up with p = 25%', '0x3C = 1.5 or 0x3D = 1.625', 'inexact'],
+            ['stochastic', 'p', 'exact', '0x3C = 1.5', '—'],
+            ['towardZero', 'never', '—', '0x7F = NaN', 'invalid'],
+        ]);
+        expect(table.querySelector('tbody tr').dataset.mode).toBe('tiesToAway');
+    });
+});
+
+describe('initArithmeticPage', () => {
+    test('does nothing without the page', () => {
+        initArithmeticPage();
+        expect(document.body.innerHTML).toBe('');
+    });
+
+    test('renders the nav, formats and the default walk-through', () => {
+        loadPage();
+        expect($('format-nav').querySelector('.back-link')).toBeTruthy();
+        expect([...$('arith-format').options].map(o => o.value)).toEqual(ARITHMETIC_FORMATS);
+        expect($('arith-format').value).toBe('fp8_e4m3');
+        expect($('arith-operands').textContent).toContain('0x3B = 1.375');
+        expect(visibleSteps()).toEqual([
+            'Unpack the operands', 'Align the exponents', 'Add the significands', 'Normalize', 'Round under every mode',
+        ]);
+        expect(document.querySelectorAll('.arith-rounding-table tbody tr').length).toBe(9);
+        expect($('arith-progress').textContent).toBe('Step 5 of 5');
+        expect($('arith-next').disabled).toBe(true);
+    });
+
+    test('notes operands rounded into the format', () => {
+        loadPage();
+        setValue('arith-a', '1.1', 'input');
+        expect($('arith-operands').textContent).toContain('0x39 = 1.125 (rounded to nearest, ties to even)');
+    });
+
+    test('plays, pauses and steps through the walk-through', () => {
+        jest.useFakeTimers();
+        loadPage();
+        $('arith-play').click();
+        expect(visibleSteps()).toEqual(['Unpack the operands']);
+        expect($('arith-play').textContent).toBe('Pause');
+        expect($('arith-prev').disabled).toBe(true);
+        jest.advanceTimersByTime(1500);
+        expect($('arith-progress').textContent).toBe('Step 2 of 5');
+        $('arith-play').click();
+        expect($('arith-play').textContent).toBe('Play');
+        jest.advanceTimersByTime(3000);
+        expect($('arith-progress').textContent).toBe('Step 2 of 5');
+
+        $('arith-next').click();
+        expect($('arith-progress').textContent).toBe('Step 3 of 5');
+        $('arith-prev').click();
+        $('arith-prev').click();
+        expect($('arith-progress').textContent).toBe('Step 1 of 5');
+
+        $('arith-play').click();
+        jest.advanceTimersByTime(1500 * 4);
+        expect($('arith-progress').textContent).toBe('Step 5 of 5');
+        expect($('arith-play').textContent).toBe('Play');
+
+        $('arith-play').click();
+        $('arith-all').click();
+        expect($('arith-play').textContent).toBe('Play');
+        expect(visibleSteps().length).toBe(5);
+    });
+
+    test('switches operation and format', () => {
+        loadPage();
+        setValue('arith-operation', 'mul', 'change');
+        expect(visibleSteps()[1]).toBe('Add the exponents and combine the signs');
+        setValue('arith-format', 'fp16', 'change');
+        expect($('arith-operands').textContent).toContain('0x3D80 = 1.375');
+        expect(document.querySelector('.arith-step-multiply .arith-result').textContent).toContain('a × b');
+    });
+
+    test('reports bad operands and disables playback', () => {
+        loadPage();
+        setValue('arith-b', '0x1FF', 'input');
+        expect($('arith-message').hidden).toBe(false);
+        expect($('arith-message').textContent).toBe('Bit pattern 0x1FF does not fit in 8 bits');
+        expect($('arith-steps').children.length).toBe(0);
+        expect($('arith-play').disabled).toBe(true);
+        expect($('arith-progress').textContent).toBe('');
+        setValue('arith-b', '0x3B', 'input');
+        expect($('arith-message').hidden).toBe(true);
+        expect($('arith-play').disabled).toBe(false);
+    });
+});
@@ -0,0 +1,210 @@
+// Pure-logic unit tests for formats/arithmetic.js
+const {
+    ARITHMETIC_FORMATS,
+    arithmeticFormat,
+    parseOperand,
+    arithmeticSteps,
+} = require('../formats/arithmetic.js');
+
+// Walk through `a op b`, parsing both operands in the format
+function walk(key, operation, a, b) {
+    const format = arithmeticFormat(key);
+    return arithmeticSteps(format, operation, parseOperand(format, a), parseOperand(format, b));
+}
+
+function step(walkthrough, id) {
+    return walkthrough.steps.find(s => s.id === id);
+}
+
+function resultFor(walkthrough, roundingMode) {
+    return walkthrough.results.find(r => r.roundingMode === roundingMode);
+}
+
+describe('ARITHMETIC_FORMATS', () => {
+    test('lists the signed floating-point presets', () => {
+        expect(ARITHMETIC_FORMATS).toEqual(expect.arrayContaining(['fp64', 'fp32', 'fp16', 'bf16', 'fp8_e4m3', 'fp4_e2m1']));
+        expect(ARITHMETIC_FORMATS).not.toContain('e8m0');
+        expect(ARITHMETIC_FORMATS).not.toContain('int8');
+        expect(ARITHMETIC_FORMATS).not.toContain('q15');
+    });
+
+    test('arithmeticFormat rejects other formats', () => {
+        expect(arithmeticFormat('fp8_e4m3').hasInfinity).toBe(false);
+        expect(() => arithmeticFormat('int8')).toThrow('Unknown format: "int8"');
+    });
+});
+
+describe('parseOperand', () => {
+    const format = arithmeticFormat('fp8_e4m3');
+
+    test('rounds decimals to nearest, ties to even', () => {
+        expect(parseOperand(format, '1.5')).toMatchObject({ sign: 0, exponent: 7, mantissa: 4, exact: true });
+        expect(parseOperand(format, ' 1.0625 ')).toMatchObject({ exponent: 7, mantissa: 0, exact: false });
+    });
+
+    test('takes 0x bit patterns as they are', () => {
+        expect(parseOperand(format, '0xBF')).toEqual({ sign: 1, exponent: 7, mantissa: 7, exact: true });
+        expect(() => parseOperand(format, '0x1FF')).toThrow('Bit pattern 0x1FF does not fit in 8 bits');
+    });
+
+    test('reads inf and nan, exact only where the format has them', () => {
+        expect(parseOperand(format, '-inf')).toMatchObject({ sign: 1, exponent: 15, mantissa: 6, exact: false });
+        expect(parseOperand(format, 'NaN')).toMatchObject({ isNaN: true, exact: true });
+        expect(parseOperand(arithmeticFormat('fp16'), 'Infinity')).toMatchObject({ isInfinite: true, exact: true });
+        expect(() => parseOperand(format, 'bogus')).toThrow('Invalid decimal value: "bogus"');
+    });
+});
+
+describe('arithmeticSteps: addition', () => {
+    test('aligns, adds and rounds a tie under every mode', () => {
+        const walkthrough = walk('fp8_e4m3', 'add', '1.375', '0.1875');
+        expect(walkthrough.steps.map(s => s.id)).toEqual(['unpack', 'align', 'add', 'normalize', 'round']);
+        expect(step(walkthrough, 'unpack').rows).toEqual([
+            { label: 'a', integer: '1', fraction: '011', extra: '' },
+            { label: 'b', integer: '1', fraction: '100', extra: '' },
+        ]);
+        expect(step(walkthrough, 'align').text).toMatch(/^a has the larger exponent \(2\^0\), so b's significand shifts right by 0 − \(-3\) = 3 places/);
+        expect(step(walkthrough, 'align').rows[1]).toEqual({ label: 'b >> 3', integer: '0', fraction: '001', extra: '100', shift: 3 });
+        expect(step(walkthrough, 'add').rows[2]).toEqual({ label: 'a + b', integer: '1', fraction: '100', extra: '100', result: true });
+        expect(walkthrough.grs).toEqual({ power: 0, guard: 1, round: 0, sticky: 0 });
+
+        // 1.5625 lies halfway between 1.5 and 1.625
+        const increments = Object.fromEntries(walkthrough.results.map(r => [r.roundingMode, r.increment]));
+        expect(increments).toEqual({
+            tiesToEven: false, tiesToAway: true, towardZero: false, towardPositive: true, towardNegative: false,
+            toOdd: true, tiesToZero: false, tiesToOdd: true, stochastic: undefined,
+        });
+        expect(resultFor(walkthrough, 'tiesToEven')).toMatchObject({
+            hex: '0x3C', value: 1.5, significand: { integer: '1', fraction: '100' }, rule: 'G and (R or S or LSB)',
+        });
+        expect(resultFor(walkthrough, 'tiesToAway')).toMatchObject({ hex: '0x3D', value: 1.625 });
+        expect(resultFor(walkthrough, 'stochastic')).toMatchObject({ probability: 0.5 });
+        expect(resultFor(walkthrough, 'stochastic').candidates.map(c => c.value)).toEqual([1.5, 1.625]);
+    });
+
+    test('orders by magnitude and folds distant bits into sticky', () => {
+        const walkthrough = walk('fp16', 'add', '0x0001', '-1');
+        expect(step(walkthrough, 'align').text).toMatch(/^b has the larger exponent \(2\^0\), so a's significand shifts right by 0 − \(-14\) = 14/);
+        expect(step(walkthrough, 'align').rows[1]).toMatchObject({ label: 'a >> 14', fraction: '0000000000', extra: '001' });
+        expect(step(walkthrough, 'add').title).toBe('Subtract the significands');
+        expect(step(walkthrough, 'add').rows[2]).toMatchObject({ label: 'b − a', integer: '0', fraction: '1111111111', extra: '111' });
+        expect(step(walkthrough, 'normalize').text).toMatch(/^Shift left by 1 and subtract 1 from the exponent, giving 2\^-1\./);
+        // One left shift brings the round bit up to guard and leaves sticky clear
+        expect(walkthrough.grs).toEqual({ power: -1, guard: 1, round: 1, sticky: 0 });
+        expect(resultFor(walkthrough, 'towardZero').value).toBe(-0.99951171875);
+        expect(resultFor(walkthrough, 'tiesToEven').value).toBe(-1);
+    });
+
+    test('shifts a carry back out', () => {
+        const walkthrough = walk('fp8_e4m3', 'add', '1.875', '1.875');
+        expect(step(walkthrough, 'add').rows[2]).toMatchObject({ integer: '11', fraction: '110' });
+        expect(step(walkthrough, 'normalize').text).toMatch(/^Shift right by 1 and add 1 to the exponent, giving 2\^1;/);
+        expect(step(walkthrough, 'round').text).toBe('Guard, round and sticky are all zero, so no mode needs to round.');
+        expect(walkthrough.results.every(r => (r.value ?? r.candidates[0].value) === 3.75)).toBe(true);
+    });
+
+    test('cancels to an exact zero', () => {
+        const walkthrough = walk('fp8_e4m3', 'add', '-0.5', '0.5');
+        expect(step(walkthrough, 'normalize').title).toBe('Exact zero');
+        expect(step(walkthrough, 'round').text).toBe('An exact zero needs no rounding; only its sign can depend on the mode.');
+        expect(walkthrough.grs).toBeNull();
+        expect(resultFor(walkthrough, 'towardNegative').value).toBe(-0);
+        expect(resultFor(walkthrough, 'tiesToEven').value).toBe(0);
+        expect(resultFor(walkthrough, 'tiesToEven').increment).toBeUndefined();
+    });
+});
+
+describe('arithmeticSteps: multiplication', () => {
+    test('adds exponents and multiplies significands', () => {
+        const walkthrough = walk('fp8_e4m3', 'mul', '1.5', '-1.125');
+        expect(walkthrough.steps.map(s => s.id)).toEqual(['unpack', 'exponent', 'multiply', 'normalize', 'round']);
+        expect(step(walkthrough, 'exponent').text).toBe(
+            'The exponents add: 0 + 0 = 0, or in biased form 7 + 7 − 7 = 7. The sign is 0 XOR 1 = 1.');
+        expect(step(walkthrough, 'multiply').rows[2]).toEqual({ label: 'a × b', integer: '1', fraction: '101100', extra: '', result: true });
+        expect(walkthrough.grs).toEqual({ power: 0, guard: 1, round: 0, sticky: 0 });
+        // -1.6875 is a tie between -1.625 and -1.75
+        expect(resultFor(walkthrough, 'tiesToEven')).toMatchObject({ increment: true, value: -1.75 });
+        expect(resultFor(walkthrough, 'tiesToEven').significand).toMatchObject({ integer: '1', fraction: '110' });
+        expect(resultFor(walkthrough, 'towardNegative')).toMatchObject({ increment: true, value: -1.75 });
+        expect(resultFor(walkthrough, 'towardPositive')).toMatchObject({ increment: false, value: -1.625 });
+    });
+
+    test('carries a rounded-up significand into the next binade', () => {
+        const walkthrough = walk('fp8_e4m3', 'mul', '1.75', '1.125');
+        expect(resultFor(walkthrough, 'towardPositive')).toMatchObject({
+            increment: true, value: 2, significand: { integer: '10', fraction: '000' },
+        });
+    });
+
+    test('shifts a tiny product into the subnormal range', () => {
+        const walkthrough = walk('fp8_e4m3', 'mul', '0.0625', '0.09375');
+        expect(step(walkthrough, 'normalize').text).toMatch(
+            /^Shift right by 2 and add 2 to the exponent, giving 2\^-6; .* so the result is subnormal\./);
+        expect(step(walkthrough, 'normalize').rows[0]).toMatchObject({ integer: '0', fraction: '011', extra: '000' });
+        expect(resultFor(walkthrough, 'tiesToEven').value).toBe(0.005859375);
+    });
+
+    test('reports overflow', () => {
+        const walkthrough = walk('fp8_e4m3', 'mul', '448', '2');
+        expect(step(walkthrough, 'round').text).toMatch(/past the largest finite value, so it overflows/);
+        expect(resultFor(walkthrough, 'towardZero')).toMatchObject({ value: 448, flags: { overflow: true } });
+    });
+});
+
+describe('arithmeticSteps: special operands', () => {
+    test.each([
+        ['fp16', 'add', 'nan', '1', 'A NaN operand makes the result NaN, whatever the rounding mode.', NaN],
+        ['fp16', 'add', 'inf', '-inf', '∞ − ∞ is invalid: the result is NaN and the invalid flag is raised.', NaN],
+        ['fp16', 'add', '-inf', '1', 'An infinite operand makes the sum infinite; no significand bits need adding.', -Infinity],
+        ['fp8_e5m2', 'mul', '0', 'inf', '0 × ∞ is invalid: the result is NaN and the invalid flag is raised.', NaN],
+        ['fp8_e5m2', 'mul', '-2', 'inf', 'An infinite operand makes the product infinite; no significand bits need multiplying.', -Infinity],
+    ])('%s %s %s, %s', (key, operation, a, b, text, value) => {
+        const walkthrough = walk(key, operation, a, b);
+        expect(walkthrough.steps.map(s => s.id)).toEqual(['unpack', 'special', 'round']);
+        expect(step(walkthrough, 'special').text).toBe(text);
+        expect(resultFor(walkthrough, 'tiesToEven').value).toBe(value);
+        expect(resultFor(walkthrough, 'tiesToEven').increment).toBeUndefined();
+    });
+
+    test('rejects other operations', () => {
+        const format = arithmeticFormat('fp16');
+        expect(() => arithmeticSteps(format, 'div', format.encode(1), format.encode(1))).toThrow('Unknown operation: "div"');
+    });
+});
+
+describe('guard, round and sticky rounding', () => {
+    // Every pair of FP6 E3M2 encodings: the rounded significand each mode
+    // picks from G, R and S is the value FloatArithmetic returns
+    test('agrees with FloatArithmetic for every FP6 E3M2 pair', () => {
+        const format = arithmeticFormat('fp6_e3m2');
+        const encode = bits => ({ sign: bits >> 5, exponent: (bits >> 2) & 7, mantissa: bits & 3 });
+        const mismatches = [];
+        let checked = 0;
+        for (let i = 0; i < 64; i++) {
+            for (let j = 0; j < 64; j++) {
+                for (const operation of ['add', 'mul']) {
+                    const walkthrough = arithmeticSteps(format, operation, encode(i), encode(j));
+                    if (!walkthrough.grs) continue;
+                    const { power, guard, round, sticky } = walkthrough.grs;
+                    const inexact = Boolean(guard || round || sticky);
+                    for (const result of walkthrough.results) {
+                        const overflow = (result.candidates || [result]).some(outcome => outcome.flags.overflow);
+                        if (overflow) continue;
+                        checked++;
+                        if (result.candidates) {
+                            if (result.probability > 0 !== inexact) mismatches.push([i, j, operation, result.roundingMode]);
+                            continue;
+                        }
+                        const { integer, fraction } = result.significand;
+                        const rounded = parseInt(integer + fraction, 2) * 2 ** (power - format.mantissaBits);
+                        if (rounded !== Math.abs(result.value) || result.flags.inexact !== inexact) {
+                            mismatches.push([i, j, operation, result.roundingMode]);
+                        }
+                    }
+                }
+            }
+        }
+        expect(mismatches).toEqual([]);
+        expect(checked).toBeGreaterThan(50000);
+    });
+});
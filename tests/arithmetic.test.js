@@ -0,0 +1,168 @@
+// Correctly rounded arithmetic (add, sub, mul, div, sqrt, fma) in a target
+// floating-point format, with IEEE 754 exception flags
+const {
+    FloatingPoint, FixedPoint, FloatArithmetic, ARITHMETIC_OPERATIONS, ROUNDING_MODES, createRandom,
+} = require('../lib/floating-point.js');
+const { fromPreset, raised } = require('./helpers.js');
+
+const fp16 = new FloatingPoint(1, 5, 10);
+const fp32 = new FloatingPoint(1, 8, 23);
+const half = new FloatArithmetic(fp16);
+const single = new FloatArithmetic(fp32);
+const valueOf = (format, encoded) => format.decode(encoded.sign, encoded.exponent, encoded.mantissa);
+const h = (value) => fp16.encode(value);
+
+describe('FloatArithmetic', () => {
+    test('needs a FloatingPoint format', () => {
+        expect(() => new FloatArithmetic(new FixedPoint(8, 8))).toThrow(TypeError);
+        expect(half.format).toBe(fp16);
+    });
+
+    test('matches FP32 hardware arithmetic', () => {
+        // Math.fround of an FP64 result is correctly rounded for FP32 operands
+        const random = createRandom(7);
+        const bits = new Uint32Array(2);
+        const floats = new Float32Array(bits.buffer);
+        for (let i = 0; i < 2000; i++) {
+            bits[0] = random();
+            bits[1] = random();
+            const [a, b] = floats;
+            const [x, y] = [fp32.encode(a), fp32.encode(b)];
+            const expected = [
+                [single.add(x, y), Math.fround(a + b)],
+                [single.sub(x, y), Math.fround(a - b)],
+                [single.mul(x, y), Math.fround(a * b)],
+                [single.div(x, y), Math.fround(a / b)],
+                [single.sqrt(x), Math.fround(Math.sqrt(a))],
+            ];
+            for (const [result, value] of expected) {
+                expect(valueOf(fp32, result)).toBe(value);
+            }
+        }
+    });
+
+    test('rounds once in the target format', () => {
+        // 1 + 2^-11 is a tie between 1 and 1 + 2^-10
+        expect(valueOf(fp16, half.add(h(1), h(Math.pow(2, -11))))).toBe(1);
+        expect(valueOf(fp16, half.add(h(1), h(Math.pow(2, -11)), { roundingMode: ROUNDING_MODES.towardPositive })))
+            .toBe(1 + Math.pow(2, -10));
+        expect(valueOf(fp16, half.sub(h(1), h(Math.pow(2, -12)), { roundingMode: ROUNDING_MODES.towardZero })))
+            .toBe(1 - Math.pow(2, -11));
+        expect(valueOf(fp16, half.div(h(1), h(3)))).toBe(0.333251953125);
+        expect(valueOf(fp16, half.mul(h(-3), h(0.5)))).toBe(-1.5);
+    });
+
+    test('fma rounds the product and sum once', () => {
+        // 0.1 × 10 - 1 is 2^-26 in FP32, but 0 when the product is rounded first
+        const x = fp32.encode(0.1);
+        const product = single.mul(x, fp32.encode(10));
+        expect(valueOf(fp32, single.sub(product, fp32.encode(1)))).toBe(0);
+        expect(valueOf(fp32, single.fma(x, fp32.encode(10), fp32.encode(-1)))).toBe(Math.pow(2, -26));
+        expect(valueOf(fp16, half.fma(h(1.5), h(1.5), h(-2.25)))).toBe(0);
+    });
+
+    test('square roots', () => {
+        expect(valueOf(fp16, half.sqrt(h(2)))).toBe(1.4140625);
+        expect(raised(half.sqrt(h(4)))).toEqual([]);
+        expect(raised(half.sqrt(h(2)))).toEqual(['inexact']);
+        // An odd power of two, and a subnormal operand
+        expect(valueOf(fp16, half.sqrt(h(0.125)))).toBe(0.353515625);
+        expect(valueOf(fp16, half.sqrt(h(Math.pow(2, -24))))).toBe(Math.pow(2, -12));
+        // Wide formats keep every bit: sqrt(2) in FP128
+        const quad = new FloatingPoint(1, 15, 112);
+        const root = new FloatArithmetic(quad).sqrt(quad.encode(2));
+        expect(quad.toDecimalString(root.sign, root.exponent, root.mantissa))
+            .toMatch(/^1\.414213562373095048801688724209697/);
+    });
+
+    test('special operands', () => {
+        expect(half.add(h(Infinity), h(1)).isInfinite).toBe(true);
+        expect(half.sub(h(1), h(Infinity))).toMatchObject({ isInfinite: true, sign: 1 });
+        expect(half.mul(h(-2), h(Infinity))).toMatchObject({ isInfinite: true, sign: 1 });
+        expect(half.div(h(Infinity), h(-2))).toMatchObject({ isInfinite: true, sign: 1 });
+        expect(half.div(h(-2), h(Infinity))).toMatchObject({ isZero: true, sign: 1 });
+        expect(half.div(h(0), h(3))).toMatchObject({ isZero: true, sign: 0 });
+        expect(half.sqrt(h(Infinity)).isInfinite).toBe(true);
+        expect(half.sqrt(h(-0))).toMatchObject({ isZero: true, sign: 1 });
+        // Quiet NaNs propagate without raising invalid
+        for (const result of [half.add(h(NaN), h(1)), half.mul(h(1), h(NaN)), half.div(h(NaN), h(0)),
+            half.sqrt(h(NaN)), half.fma(h(1), h(1), h(NaN))]) {
+            expect(result.isNaN).toBe(true);
+            expect(raised(result)).toEqual([]);
+        }
+    });
+
+    test('invalid operations and division by zero', () => {
+        const invalid = [
+            half.add(h(Infinity), h(-Infinity)),
+            half.sub(h(Infinity), h(Infinity)),
+            half.mul(h(0), h(Infinity)),
+            half.div(h(0), h(0)),
+            half.div(h(Infinity), h(Infinity)),
+            half.sqrt(h(-1)),
+            half.fma(h(Infinity), h(0), h(1)),
+            half.fma(h(Infinity), h(1), h(-Infinity)),
+        ];
+        for (const result of invalid) {
+            expect(result.isNaN).toBe(true);
+            expect(raised(result)).toEqual(['invalid']);
+        }
+        const quotient = half.div(h(-1), h(0));
+        expect(quotient).toMatchObject({ isInfinite: true, sign: 1 });
+        expect(raised(quotient)).toEqual(['divideByZero']);
+        // E4M3 has no infinity, so the quotient becomes NaN
+        const e4m3 = fromPreset('fp8_e4m3');
+        expect(raised(new FloatArithmetic(e4m3).div(e4m3.encode(1), e4m3.encode(0))))
+            .toEqual(['invalid', 'divideByZero']);
+    });
+
+    test('overflow, underflow and inexact', () => {
+        expect(raised(half.add(h(65504), h(65504)))).toEqual(['overflow', 'inexact']);
+        expect(raised(half.mul(h(Math.pow(2, -14)), h(0.75)))).toEqual([]);
+        expect(raised(half.mul(h(Math.pow(2, -24)), h(0.5)))).toEqual(['underflow', 'inexact']);
+        expect(raised(half.add(h(1), h(2)))).toEqual([]);
+        expect(half.add(h(1), h(2)).flags).toEqual({
+            invalid: false, divideByZero: false, overflow: false, underflow: false, inexact: false,
+        });
+    });
+
+    test('exact zero sums are +0, or -0 rounding toward negative', () => {
+        expect(half.sub(h(1), h(1)).sign).toBe(0);
+        expect(half.add(h(1), h(-1), { roundingMode: ROUNDING_MODES.towardNegative }).sign).toBe(1);
+        expect(half.add(h(-0), h(-0)).sign).toBe(1);
+        expect(half.add(h(-0), h(0)).sign).toBe(0);
+        expect(half.fma(h(-1), h(0), h(-0)).sign).toBe(1);
+    });
+
+    test('flush-to-zero and denormals-are-zero', () => {
+        const tiny = h(Math.pow(2, -24));
+        expect(half.add(tiny, tiny)).toMatchObject({ isSubnormal: true });
+        const flushed = half.add(tiny, tiny, { flushSubnormals: true });
+        expect(flushed).toMatchObject({ isZero: true, flushed: true });
+        expect(raised(flushed)).toEqual(['underflow', 'inexact']);
+        expect(valueOf(fp16, half.add(tiny, h(1), { subnormalsAreZero: true }))).toBe(1);
+        expect(half.mul(fp16.encode(-Math.pow(2, -24)), h(1), { subnormalsAreZero: true }))
+            .toMatchObject({ isZero: true, sign: 1 });
+        // FNUZ formats have no -0, so a negative subnormal reads as +0
+        const fnuz = fromPreset('fp8_e4m3fnuz');
+        const result = new FloatArithmetic(fnuz).mul(fnuz.encode(-Math.pow(2, -9)), fnuz.encode(1),
+            { subnormalsAreZero: true });
+        expect(result).toMatchObject({ isZero: true, sign: 0 });
+    });
+
+    test('seeded stochastic rounding', () => {
+        const options = { roundingMode: ROUNDING_MODES.stochastic, seed: 3 };
+        const first = half.div(h(1), h(3), options);
+        expect(half.div(h(1), h(3), options)).toEqual(first);
+        expect(first.roundUpProbability).toBeGreaterThan(0);
+    });
+
+    test('compute dispatches by operation name', () => {
+        expect(Object.keys(ARITHMETIC_OPERATIONS)).toEqual(['add', 'sub', 'mul', 'div', 'sqrt', 'fma']);
+        expect(valueOf(fp16, half.compute('mul', [h(3), h(4)]))).toBe(12);
+        expect(valueOf(fp16, half.compute('sqrt', [h(9)]))).toBe(3);
+        expect(() => half.compute('pow', [h(2), h(3)])).toThrow('Unknown operation: "pow"');
+        expect(() => half.compute('sqrt', [h(1), h(2)])).toThrow('sqrt takes 1 operand');
+        expect(() => half.compute('fma', [h(1)])).toThrow('fma takes 3 operands');
+    });
+});
@@ -0,0 +1,258 @@
+// Code generation tests
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FORMATS, ROUNDING_MODES } = require('../lib/floating-point.js');
+const { CODE_LANGUAGES, generateCode } = require('../src/codegen.js');
+const { resolveFormat } = require('../src/webmcp.js');
+
+// The lines of generated code
+function lines(params) {
+    return generateCode(params).code.split('\n');
+}
+
+describe('generateCode', () => {
+    test('writes a C header of constants and a cast named after the preset', () => {
+        const result = generateCode({ format: 'fp8_e4m3' });
+        expect(result).toMatchObject({ language: 'c', name: 'fp8_e4m3', filename: 'fp8_e4m3.h' });
+        const code = result.code.split('\n');
+        expect(code.slice(0, 5)).toEqual([
+            '/*',
+            ' * fp8_e4m3: 8-bit floating point: 1 sign, 4 exponent and 3 mantissa bits, bias 7.',
+            ' * Constants and a reference cast from and to a double, rounding tiesToEven.',
+            ' * Generated by fp-conv.',
+            ' */',
+        ]);
+        expect(code).toEqual(expect.arrayContaining([
+            '#ifndef FP8_E4M3_H',
+            '#include <math.h>',
+            '#define FP8_E4M3_BIAS 7',
+            '#define FP8_E4M3_MIN_EXPONENT (-6)',
+            '#define FP8_E4M3_MAX_EXPONENT 8',
+            '#define FP8_E4M3_MAX_NORMAL 448.0',
+            '#define FP8_E4M3_MAX_NORMAL_BITS 0x7Eu',
+            '#define FP8_E4M3_NAN_BITS 0x7Fu',
+            'static inline double fp8_e4m3_decode(uint8_t bits)',
+            'static inline uint8_t fp8_e4m3_encode(double value)',
+            '    if (exp == 15 && man == FP8_E4M3_MANTISSA_MASK) return NAN;',
+            '    if (round_bit && (sticky || (n & 1))) n++;',
+        ]));
+        // E4M3 has no infinity: overflow saturates to NaN's neighbour
+        expect(code.some((line) => line.includes('INFINITY'))).toBe(false);
+    });
+
+    test('specializes the rounding step for the mode', () => {
+        expect(lines({ format: 'bf16', roundingMode: 'towardPositive' }))
+            .toContain('    if (!sign && (round_bit || sticky)) n++;');
+        expect(lines({ format: 'bf16', roundingMode: 'toOdd' })).toContain('    if (round_bit || sticky) n |= 1;');
+        const truncate = lines({ format: 'bf16', roundingMode: 'towardZero' });
+        expect(truncate).toContain('    int sign, exp, lead, shift;');
+        expect(truncate.some((line) => line.includes('n++'))).toBe(false);
+        expect(lines({ format: 'bf16', roundingMode: 'tiesToAway' })).toContain('    int sign, exp, lead, shift, round_bit;');
+    });
+
+    test('writes a SystemVerilog package', () => {
+        const result = generateCode({ format: 'fp8_e5m2', language: 'systemverilog' });
+        expect(result.filename).toBe('fp8_e5m2_pkg.sv');
+        const code = result.code.split('\n');
+        expect(code[0]).toBe('// fp8_e5m2: 8-bit floating point: 1 sign, 5 exponent and 2 mantissa bits, bias 15.');
+        expect(code).toEqual(expect.arrayContaining([
+            'package fp8_e5m2_pkg;',
+            '    localparam int BIAS = 15;',
+            '    localparam logic [7:0] INFINITY_BITS = 8\'h7C;',
+            '    function automatic real decode(input logic [7:0] bits);',
+            '    function automatic logic [7:0] encode(input real value);',
+            'endpackage : fp8_e5m2_pkg',
+        ]));
+    });
+
+    test('writes a Python module', () => {
+        const result = generateCode({ format: 'fp16', language: 'python', name: 'half' });
+        expect(result).toMatchObject({ name: 'half', filename: 'half.py' });
+        const code = result.code.split('\n');
+        expect(code[0]).toBe('"""half: 16-bit floating point: 1 sign, 5 exponent and 10 mantissa bits, bias 15.');
+        expect(code).toEqual(expect.arrayContaining([
+            'import math',
+            'import struct',
+            'MAX_NORMAL = 65504.0',
+            'INFINITY_BITS = 0x7C00',
+            'def decode(bits):',
+            'def encode(value):',
+            '    if round_bit and (sticky or n & 1):',
+        ]));
+    });
+
+    test('writes integer and fixed-point casts with their overflow policy', () => {
+        const int8 = lines({ format: 'int8' });
+        expect(int8[2]).toBe(' * Constants and a reference cast from and to a double, rounding tiesToEven; ' +
+            'out-of-range values saturate.');
+        expect(int8).toEqual(expect.arrayContaining([
+            '#define INT8_MIN_VALUE (-128)',
+            '#define INT8_MAX_VALUE 127',
+            'static inline int8_t int8_decode(uint8_t bits)',
+        ]));
+        // Integers need neither libm nor errno
+        expect(int8).not.toContain('#include <math.h>');
+        expect(int8).not.toContain('#include <errno.h>');
+
+        const wrap = lines({ format: { bits: 12, signed: false, overflow: 'wrap' }, language: 'python' });
+        expect(wrap[2]).toBe('Constants and a reference cast from and to a double, rounding tiesToEven; ' +
+            'out-of-range values wrap modulo 2^12.');
+        expect(wrap).not.toContain('import math');
+        expect(wrap).toContain('    return (-n if sign else n) & MASK');
+
+        const error = lines({ format: { integerBits: 4, fractionBits: 4, overflow: 'error' } });
+        expect(error).toEqual(expect.arrayContaining([
+            '#include <errno.h>',
+            '#define CUSTOM_RESOLUTION 0.0625',
+            '            errno = EDOM;',
+        ]));
+        expect(lines({ format: 'q1.7', language: 'python', roundingMode: 'towardZero' })[0])
+            .toBe('"""q1_7: 8-bit signed fixed point: 1 integer and 7 fraction bits.');
+        expect(lines({ format: { bits: 8, overflow: 'error' }, language: 'python' }))
+            .toContain('            raise ValueError("NaN has no custom encoding")');
+    });
+
+    test('writes 64-bit constants with the stdint.h macros', () => {
+        expect(lines({ format: 'int64' })).toEqual(expect.arrayContaining([
+            '#define INT64_MIN_VALUE (-INT64_C(9223372036854775807) - 1)',
+            '#define INT64_MAX_VALUE INT64_C(9223372036854775807)',
+            '#define INT64_MASK UINT64_C(0xFFFFFFFFFFFFFFFF)',
+        ]));
+        expect(lines({ format: 'fp64' })).toContain('#define FP64_SIGN_MASK UINT64_C(0x8000000000000000)');
+    });
+
+    test('validates its parameters', () => {
+        expect(CODE_LANGUAGES).toEqual(['c', 'systemverilog', 'python']);
+        expect(() => generateCode({})).toThrow('Parameter "format" is required.');
+        expect(() => generateCode({ format: 'fp16', language: 'vhdl' }))
+            .toThrow('Unknown language: "vhdl". Use c, systemverilog, python.');
+        expect(() => generateCode({ format: 'fp16', roundingMode: 'stochastic' }))
+            .toThrow('Stochastic rounding has no reference cast');
+        expect(() => generateCode({ format: 'fp16', roundingMode: 'up' })).toThrow('Unknown rounding mode: "up".');
+        expect(() => generateCode({ format: 'fp16', name: '2x' }))
+            .toThrow('Parameter "name" must be an identifier');
+        expect(generateCode({ format: 'q8.8' }).name).toBe('q8_8');
+    });
+
+    test('rejects formats a double cannot carry', () => {
+        expect(() => generateCode({ format: { exponentBits: 15, mantissaBits: 112 } }))
+            .toThrow('Code generation needs a format of at most 64 bits');
+        expect(() => generateCode({ format: { exponentBits: 0, mantissaBits: 3 } }))
+            .toThrow('Code generation needs a floating-point format with exponent bits.');
+        expect(() => generateCode({ format: 'q31.31' })).toThrow('a fixed-point format of at most 53 bits');
+    });
+});
+
+// Compile or run the generated casts, where a C compiler or Python is
+// installed, and check every preset and rounding mode against encode()
+describe('generated casts agree with the library', () => {
+    const modes = Object.values(ROUNDING_MODES).filter((mode) => mode !== ROUNDING_MODES.stochastic);
+    // Every preset, and exponent-only formats with a zero
+    const formats = [
+        ...Object.keys(FORMATS),
+        { exponentBits: 4, mantissaBits: 0 },
+        { signBits: 0, exponentBits: 5, mantissaBits: 0, specialValues: { subnormals: false } },
+    ];
+    const casts = formats.flatMap((format, f) => modes.map((roundingMode, m) => ({
+        format, roundingMode, name: `cast_${f}_${m}`,
+    })));
+    const values = [0, -0, NaN, Infinity, -Infinity, 3, 6, 98304, 0.1, 448, 5e-324, 1e300, -1e300];
+    for (let k = -150; k <= 150; k += 3) {
+        for (const m of [1, 1.25, 1.5, 1.75, 1.9, 1 + Math.pow(2, -30)]) {
+            values.push(m * Math.pow(2, k), -m * Math.pow(2, k));
+        }
+    }
+    // Doubles as the hex of their bits, which both languages read exactly
+    const input = values.map((value) => {
+        const bytes = Buffer.alloc(8);
+        bytes.writeDoubleLE(value);
+        return bytes.readBigUInt64LE().toString(16);
+    }).join('\n') + '\n';
+    // Up to 16 hex digits and a separator per encoding
+    const OUTPUT_BYTES = values.length * casts.length * 17;
+    let dir;
+
+    beforeAll(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fp-conv-codegen-'));
+    });
+
+    afterAll(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    // The mismatching casts, given each value's encodings as output lines
+    function mismatches(output) {
+        const rows = output.trim().split('\n').map((line) => line.split(' '));
+        expect(rows.length).toBe(values.length);
+        const found = [];
+        casts.forEach(({ format: formatSpec, roundingMode }, column) => {
+            const format = resolveFormat(formatSpec);
+            values.forEach((value, row) => {
+                const encoded = format.encode(value, { roundingMode });
+                const expected = BigInt.asUintN(format.totalBits,
+                    BigInt(format.toHexString(encoded.sign, encoded.exponent, encoded.mantissa)));
+                if (BigInt(`0x${rows[row][column]}`) !== expected) {
+                    found.push(`${JSON.stringify(formatSpec)} ${roundingMode} ${value}: ` +
+                        `${rows[row][column]} vs ${expected.toString(16)}`);
+                }
+            });
+        });
+        return found;
+    }
+
+    const cc = spawnSync('cc', ['--version']).status === 0;
+    (cc ? test : test.skip)('C', () => {
+        for (const { format, roundingMode, name } of casts) {
+            fs.writeFileSync(path.join(dir, `${name}.h`), generateCode({ format, roundingMode, name }).code);
+        }
+        fs.writeFileSync(path.join(dir, 'main.c'), [
+            '#include <inttypes.h>',
+            '#include <stdio.h>',
+            '#include <stdlib.h>',
+            ...casts.map(({ name }) => `#include "${name}.h"`),
+            'int main(void)',
+            '{',
+            '    char line[32];',
+            '    while (fgets(line, sizeof line, stdin)) {',
+            '        uint64_t x = strtoull(line, NULL, 16);',
+            '        double value;',
+            '        memcpy(&value, &x, sizeof value);',
+            ...casts.map(({ name }, i) =>
+                `        printf("%" PRIx64 "${i === casts.length - 1 ? '\\n' : ' '}", (uint64_t)${name}_encode(value));`),
+            '    }',
+            '    return 0;',
+            '}',
+            '',
+        ].join('\n'));
+        const program = path.join(dir, 'casts');
+        const build = spawnSync('cc', ['-std=c99', '-Wall', '-Werror', '-o', program, path.join(dir, 'main.c'), '-lm'],
+            { encoding: 'utf8' });
+        expect(build.stderr).toBe('');
+        const run = spawnSync(program, { input, encoding: 'utf8', maxBuffer: OUTPUT_BYTES });
+        expect(mismatches(run.stdout)).toEqual([]);
+    }, 60000);
+
+    const python = spawnSync('python3', ['--version']).status === 0;
+    (python ? test : test.skip)('Python', () => {
+        for (const { format, roundingMode, name } of casts) {
+            fs.writeFileSync(path.join(dir, `${name}.py`),
+                generateCode({ format, language: 'python', roundingMode, name }).code);
+        }
+        fs.writeFileSync(path.join(dir, 'main.py'), [
+            'import struct',
+            'import sys',
+            ...casts.map(({ name }) => `import ${name}`),
+            `casts = [${casts.map(({ name }) => `${name}.encode`).join(', ')}]`,
+            'for line in sys.stdin:',
+            '    value = struct.unpack("<d", struct.pack("<Q", int(line, 16)))[0]',
+            '    print(" ".join(format(cast(value), "x") for cast in casts))',
+            '',
+        ].join('\n'));
+        const run = spawnSync('python3', [path.join(dir, 'main.py')],
+            { input, encoding: 'utf8', cwd: dir, maxBuffer: OUTPUT_BYTES });
+        expect(run.stderr).toBe('');
+        expect(mismatches(run.stdout)).toEqual([]);
+    }, 60000);
+});
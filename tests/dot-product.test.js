@@ -0,0 +1,126 @@
+// Mixed-precision dot products: inputs, products and partial sums each rounded
+// into their own format, summed in sequential, pairwise or blocked order
+const {
+    FloatingPoint, Integer, FixedPoint, DotProduct, ACCUMULATION_ORDERS, ROUNDING_MODES,
+} = require('../lib/floating-point.js');
+const { fromPreset } = require('./helpers.js');
+
+const fp32 = new FloatingPoint(1, 8, 23);
+const fp16 = new FloatingPoint(1, 5, 10);
+const bf16 = fromPreset('bf16');
+const e4m3 = fromPreset('fp8_e4m3');
+
+describe('DotProduct', () => {
+    test('validates its order and block size', () => {
+        expect(Object.keys(ACCUMULATION_ORDERS)).toEqual(['sequential', 'pairwise', 'blocked']);
+        const dot = new DotProduct(fp16, null, fp32);
+        expect(dot).toMatchObject({ product: null, order: 'sequential', blockSize: 32 });
+        expect(() => new DotProduct(fp16, null, fp32, { order: 'random' }))
+            .toThrow('Unknown accumulation order: "random"');
+        expect(() => new DotProduct(fp16, null, fp32, { blockSize: 0 })).toThrow(RangeError);
+        expect(() => dot.compute([1], [1, 2])).toThrow('same length');
+        expect(() => dot.compute([], [])).toThrow('non-empty');
+    });
+
+    test('summation order changes what a narrow accumulator keeps', () => {
+        const ones = Array(1000).fill(1);
+        const sum = (order) => new DotProduct(bf16, null, bf16, { order, blockSize: 64 }).compute(ones, ones);
+        // A running BF16 sum stops growing at 256, where adding 1 is a tie to even
+        const sequential = sum(ACCUMULATION_ORDERS.sequential);
+        expect(sequential).toMatchObject({ value: 256, reference: '1000', referenceValue: 1000, error: -744 });
+        expect(sequential.relativeError).toBe(0.744);
+        expect(sequential.flags).toEqual({ invalid: false, overflow: false, underflow: false, inexact: true });
+        expect(sum(ACCUMULATION_ORDERS.pairwise)).toMatchObject({ value: 1000, error: 0 });
+        expect(sum(ACCUMULATION_ORDERS.blocked)).toMatchObject({ value: 1000, error: 0 });
+    });
+
+    test('FP8 inputs with an FP32 accumulator', () => {
+        const a = [448, -448, 0.015625, 3.5];
+        const b = [448, 448, 0.5, -2];
+        const result = new DotProduct(e4m3, null, fp32).compute(a, b);
+        expect(result.inputsExact).toBe(true);
+        expect(result).toMatchObject({ value: -6.9921875, reference: '-6.9921875', error: 0, relativeError: 0 });
+        expect(result.flags.inexact).toBe(false);
+        // E4M3 products saturate at 448; here the saturated terms still cancel
+        const narrow = new DotProduct(e4m3, e4m3, fp32).compute(a, b);
+        expect(narrow.products.map((p) => e4m3.decode(p.sign, p.exponent, p.mantissa))).toEqual([448, -448, 0.0078125, -7]);
+        expect(narrow.flags.overflow).toBe(true);
+        expect(narrow.value).toBe(-6.9921875);
+    });
+
+    test('products are rounded once before they are added', () => {
+        // 0.1 × 3 ties between two FP16 products and rounds to even
+        const result = new DotProduct(fp16, fp16, fp32).compute(['1.5', '0.1'], ['1.5', '3']);
+        expect(result.inputsExact).toBe(false);
+        expect(result.inputs[1].a.exact).toBe(false);
+        expect(result.reference).toBe('2.5499267578125');
+        expect(result.value).toBe(2.5498046875);
+        expect(result.error).toBe(-Math.pow(2, -13));
+    });
+
+    test('integer and fixed-point formats', () => {
+        const int8 = new Integer(8);
+        const vector = [127, -128, 100];
+        const saturated = new DotProduct(int8, new Integer(16), new Integer(16)).compute(vector, vector);
+        expect(saturated).toMatchObject({ value: 32767, reference: '42513', error: -9746 });
+        expect(saturated.flags.invalid).toBe(true);
+        const wrapped = new DotProduct(int8, null, new Integer(16)).compute(vector, vector, { overflow: 'wrap' });
+        expect(wrapped.value).toBe(42513 - 65536);
+        const wide = new DotProduct(int8, null, new Integer(32)).compute(vector, vector);
+        expect(wide).toMatchObject({ value: 42513, error: 0 });
+        const q = new DotProduct(new FixedPoint(1, 7), null, new FixedPoint(4, 4)).compute(['0.5', '0.0078125'], ['0.5', '0.5']);
+        expect(q).toMatchObject({ value: 0.25, reference: '0.25390625', error: -0.00390625 });
+        // Floating-point inputs may accumulate into an integer, whose NaN is 0
+        const nan = new DotProduct(fp16, null, new Integer(32)).compute([NaN], [1]);
+        expect(nan).toMatchObject({ value: 0, reference: 'NaN' });
+        expect(Number.isNaN(nan.error)).toBe(true);
+    });
+
+    test('special values', () => {
+        const dot = new DotProduct(fp16, null, fp32);
+        expect(dot.compute([Infinity, 1], [2, -1])).toMatchObject({ value: Infinity, reference: 'Infinity' });
+        const invalid = dot.compute([Infinity, 1], [0, 1]);
+        expect(Number.isNaN(invalid.value)).toBe(true);
+        expect(invalid.flags.invalid).toBe(true);
+        const cancelled = dot.compute([Infinity, -Infinity], [1, 1]);
+        expect(cancelled.flags.invalid).toBe(true);
+        expect(cancelled.reference).toBe('NaN');
+        // Overflow in a narrow accumulator against a finite reference
+        const overflow = new DotProduct(fp16, null, fp16).compute([60000, 60000], [1, 1]);
+        expect(overflow).toMatchObject({ value: Infinity, reference: '120000', error: Infinity, relativeError: Infinity });
+        expect(overflow.flags.overflow).toBe(true);
+    });
+
+    test('zero sums', () => {
+        const dot = new DotProduct(fp16, null, fp32);
+        expect(dot.compute([1, -1], [1, 1])).toMatchObject({ reference: '0', error: 0, relativeError: 0 });
+        expect(dot.compute([-0], [1]).reference).toBe('-0');
+        expect(Object.is(dot.compute([-0], [1]).value, -0)).toBe(true);
+        const towardNegative = dot.compute([1, -1], [1, 1], { roundingMode: ROUNDING_MODES.towardNegative });
+        expect(Object.is(towardNegative.value, -0)).toBe(true);
+        // BF16 loses 2^-10 next to 1, so an exactly cancelling sum is not zero
+        const tiny = Math.pow(2, -10);
+        const lossy = new DotProduct(fp32, null, bf16).compute([1, tiny, -1, -tiny], [1, 1, 1, 1]);
+        expect(lossy).toMatchObject({ value: -tiny, reference: '0', error: -tiny, relativeError: Infinity });
+    });
+
+    test('FTZ, DAZ and seeded stochastic rounding', () => {
+        const tiny = Math.pow(2, -14);
+        const dot = new DotProduct(fp16, null, fp16);
+        expect(dot.compute([tiny], [0.5]).result.isSubnormal).toBe(true);
+        const flushed = dot.compute([tiny], [0.5], { flushSubnormals: true });
+        expect(flushed.result).toMatchObject({ isZero: true, flushed: true });
+        expect(flushed.flags.underflow).toBe(true);
+        // FTZ applies to products and sums, not to the inputs
+        expect(flushed.inputs[0].a.flushed).toBeUndefined();
+        const daz = new DotProduct(fp16, null, fp32).compute([tiny / 4, 1], [1, 1], { subnormalsAreZero: true });
+        expect(daz).toMatchObject({ value: 1, reference: '1' });
+
+        const values = Array(50).fill('0.1');
+        const stochastic = { roundingMode: ROUNDING_MODES.stochastic, seed: 3 };
+        const first = new DotProduct(fp32, null, bf16).compute(values, values, stochastic);
+        expect(new DotProduct(fp32, null, bf16).compute(values, values, stochastic)).toEqual(first);
+        expect(new DotProduct(fp32, null, bf16).compute(values, values, { ...stochastic, seed: 4 }).value)
+            .not.toBe(first.value);
+    });
+});
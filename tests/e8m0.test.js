@@ -0,0 +1,160 @@
+// Exponent-only formats without zero, such as the OCP MX E8M0 scale
+const { FloatingPoint, FORMATS, ROUNDING_MODES } = require('../lib/floating-point.js');
+const { fromPreset, hex } = require('./helpers.js');
+
+describe('E8M0', () => {
+    const e8m0 = fromPreset('e8m0');
+
+    describe('Preset', () => {
+        test('is unsigned, exponent-only and has no zero', () => {
+            expect(FORMATS.e8m0).toMatchObject({ sign: 0, exponent: 8, mantissa: 0, bias: 127, hasZero: false });
+            expect(e8m0.totalBits).toBe(8);
+            expect(e8m0.hasZero).toBe(false);
+            expect(e8m0.hasInfinity).toBe(false);
+            expect(e8m0.hasNaN).toBe(true);
+        });
+
+        test('other presets keep their zero', () => {
+            expect(fromPreset('fp8_e4m3').hasZero).toBe(true);
+            expect(new FloatingPoint(1, 8, 23).hasZero).toBe(true);
+        });
+
+        test('rejects formats without zero or exponent bits', () => {
+            expect(() => new FloatingPoint(0, 0, 8, { hasZero: false }))
+                .toThrow('Formats without zero need at least one exponent bit');
+        });
+    });
+
+    describe('Decoding', () => {
+        test('every code below 0xFF is a power of two', () => {
+            expect(e8m0.decode(0, 0x00, 0)).toBe(Math.pow(2, -127));
+            expect(e8m0.decode(0, 0x7F, 0)).toBe(1);
+            expect(e8m0.decode(0, 0x80, 0)).toBe(2);
+            expect(e8m0.decode(0, 0xFE, 0)).toBe(Math.pow(2, 127));
+            expect(e8m0.decode(0, 0xFF, 0)).toBeNaN();
+        });
+
+        test('exact and shortest decimal strings', () => {
+            expect(e8m0.toDecimalString(0, 0x7C, 0)).toBe('0.125');
+            expect(e8m0.toDecimalString(0, 0xFE, 0)).toBe('170141183460469231731687303715884105728');
+            expect(e8m0.toShortestDecimalString(0, 0x00, 0)).toBe('6e-39');
+            expect(e8m0.toShortestDecimalString(0, 0xFF, 0)).toBe('NaN');
+        });
+
+        test('binary and hex strings have exactly eight bits', () => {
+            expect(e8m0.toBinaryString(0, 0x7F, 0)).toBe('01111111');
+            expect(e8m0.toHexString(0, 0xFF, 0)).toBe('0xFF');
+        });
+    });
+
+    describe('Encoding', () => {
+        test('powers of two are exact', () => {
+            expect(hex(e8m0, e8m0.encode(1))).toBe('0x7F');
+            expect(hex(e8m0, e8m0.encode(0.25))).toBe('0x7D');
+            expect(e8m0.encodeExact('1024')).toMatchObject({ exponent: 137, exact: true });
+        });
+
+        test('rounds other values under each rounding mode', () => {
+            expect(hex(e8m0, e8m0.encode(2.9))).toBe('0x80');
+            expect(hex(e8m0, e8m0.encode(3.1))).toBe('0x81');
+            expect(hex(e8m0, e8m0.encode(3, { roundingMode: ROUNDING_MODES.tiesToAway }))).toBe('0x81');
+            expect(hex(e8m0, e8m0.encode(3.9, { roundingMode: ROUNDING_MODES.towardZero }))).toBe('0x80');
+            expect(hex(e8m0, e8m0.encodeExact('1.1', { roundingMode: ROUNDING_MODES.towardPositive }))).toBe('0x80');
+        });
+
+        test('ties go to the even significand, 2^(k+1)', () => {
+            expect(hex(e8m0, e8m0.encode(3))).toBe('0x81');
+            expect(hex(e8m0, e8m0.encode(6))).toBe('0x82');
+            expect(hex(e8m0, e8m0.encode(98304))).toBe('0x90');
+            expect(hex(e8m0, e8m0.encode(0.75))).toBe('0x7F');
+        });
+
+        test('encode rounds Numbers as encodeExact rounds their exact decimals', () => {
+            const fp64 = new FloatingPoint(1, 11, 52);
+            const exactDecimal = (v) => {
+                const enc = fp64.encode(v);
+                return fp64.toDecimalString(enc.sign, enc.exponent, enc.mantissa);
+            };
+            const modes = [ROUNDING_MODES.tiesToEven, ROUNDING_MODES.tiesToAway, ROUNDING_MODES.towardZero,
+                ROUNDING_MODES.towardPositive, ROUNDING_MODES.towardNegative];
+            const mismatches = [];
+            for (let k = -128; k <= 128; k += 4) {
+                for (const m of [1, 1.25, 1.5, 1.75, 1.9]) {
+                    const v = m * Math.pow(2, k);
+                    for (const roundingMode of modes) {
+                        const fast = hex(e8m0, e8m0.encode(v, { roundingMode }));
+                        const exact = hex(e8m0, e8m0.encodeExact(exactDecimal(v), { roundingMode }));
+                        if (fast !== exact) mismatches.push(`${v} ${roundingMode}: ${fast} vs ${exact}`);
+                    }
+                }
+            }
+            expect(mismatches).toEqual([]);
+        });
+
+        test('zero and tiny values clamp to the smallest scale', () => {
+            for (const v of [0, -0, Math.pow(2, -130), Number.MIN_VALUE]) {
+                expect(hex(e8m0, e8m0.encode(v))).toBe('0x00');
+            }
+            const zero = e8m0.encodeExact('0');
+            expect(hex(e8m0, zero)).toBe('0x00');
+            expect(zero.exact).toBe(false);
+            expect(zero.isZero).toBe(false);
+            expect(hex(e8m0, e8m0.encodeExact('1e-999999999'))).toBe('0x00');
+        });
+
+        test('large values and +Infinity saturate', () => {
+            expect(hex(e8m0, e8m0.encode(1e40))).toBe('0xFE');
+            expect(hex(e8m0, e8m0.encode(Infinity))).toBe('0xFE');
+            expect(hex(e8m0, e8m0.encodeExact('1e999999999'))).toBe('0xFE');
+        });
+
+        test('NaN and negative values encode as NaN', () => {
+            expect(e8m0.encode(NaN).isNaN).toBe(true);
+            expect(hex(e8m0, e8m0.encode(-1))).toBe('0xFF');
+            expect(hex(e8m0, e8m0.encode(-Infinity))).toBe('0xFF');
+            expect(hex(e8m0, e8m0.encodeExact('-2'))).toBe('0xFF');
+            expect(e8m0.encodeExact(-0.5)).toMatchObject({ isNaN: true, exact: false });
+        });
+    });
+
+    describe('Helpers', () => {
+        test('min and max normal span the full exponent range', () => {
+            const min = e8m0.getMinNormal();
+            const max = e8m0.getMaxNormal();
+            expect(hex(e8m0, min)).toBe('0x00');
+            expect(hex(e8m0, max)).toBe('0xFE');
+        });
+
+        test('getZero throws', () => {
+            expect(() => e8m0.getZero()).toThrow('Format does not support zero');
+        });
+    });
+});
+
+describe('Signed formats without zero', () => {
+    const f = new FloatingPoint(1, 4, 3, { hasZero: false, hasInfinity: false, hasNaN: false });
+
+    test('exponent 0 is a normal binade', () => {
+        expect(f.decode(0, 0, 0)).toBe(Math.pow(2, -7));
+        expect(f.decode(1, 0, 4)).toBe(-1.5 * Math.pow(2, -7));
+    });
+
+    test('zeros keep their sign as the smallest normal', () => {
+        expect(f.encode(0)).toMatchObject({ sign: 0, exponent: 0, mantissa: 0 });
+        expect(f.encode(-0)).toMatchObject({ sign: 1, exponent: 0, mantissa: 0 });
+    });
+
+    test('unsigned negatives without NaN clamp to the smallest value', () => {
+        const u = new FloatingPoint(0, 4, 0, { hasZero: false, hasInfinity: false, hasNaN: false });
+        expect(u.encode(-5)).toMatchObject({ exponent: 0 });
+        expect(u.encodeExact('-5')).toMatchObject({ exponent: 0, exact: false });
+        expect(u.getMaxNormal().exponent).toBe(15);
+    });
+
+    test('wide formats follow the same rules', () => {
+        const wide = new FloatingPoint(0, 15, 112, { hasZero: false });
+        expect(wide.encode(-1).isNaN).toBe(true);
+        expect(wide.encode(0)).toMatchObject({ exponent: 0, mantissa: 0n });
+        expect(wide.decode(0, 16383, 0n)).toBe(1);
+    });
+});
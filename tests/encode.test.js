@@ -19,7 +19,8 @@ describe('FloatingPoint encode()', () => {
         isNormal: false,
         isSubnormal: false,
         isInfinite: false,
-        isNaN: false
+        isNaN: false,
+        flags: { invalid: false, overflow: false, underflow: false, inexact: false }
       });
     });
 
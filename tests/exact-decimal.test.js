@@ -0,0 +1,199 @@
+// Exact decimal string input: parsed as a rational and rounded once
+const { FloatingPoint, Integer, ROUNDING_MODES, parseDecimalString } = require('../lib/floating-point.js');
+const { hex } = require('./helpers.js');
+
+describe('parseDecimalString', () => {
+  test('parses plain, fractional and exponent forms', () => {
+    expect(parseDecimalString('12.5')).toEqual({ sign: 0, significand: 125n, exponent: -1 });
+    expect(parseDecimalString('-.5')).toEqual({ sign: 1, significand: 5n, exponent: -1 });
+    expect(parseDecimalString('+3.')).toEqual({ sign: 0, significand: 3n, exponent: 0 });
+    expect(parseDecimalString(' 1.25E-3 ')).toEqual({ sign: 0, significand: 125n, exponent: -5 });
+    expect(parseDecimalString('7e+2')).toEqual({ sign: 0, significand: 7n, exponent: 2 });
+  });
+
+  test('rejects anything that is not a finite decimal literal', () => {
+    expect(parseDecimalString('')).toBeNull();
+    expect(parseDecimalString('.')).toBeNull();
+    expect(parseDecimalString('inf')).toBeNull();
+    expect(parseDecimalString('nan')).toBeNull();
+    expect(parseDecimalString('0x10')).toBeNull();
+    expect(parseDecimalString('1e')).toBeNull();
+  });
+});
+
+describe('FloatingPoint.encodeExact', () => {
+  const fp64 = new FloatingPoint(1, 11, 52);
+  const fp16 = new FloatingPoint(1, 5, 10);
+
+  test('rounds decimal text once into FP64', () => {
+    const enc = fp64.encodeExact('0.1');
+    expect(hex(fp64, enc)).toBe('0x3FB999999999999A');
+    expect(enc.exact).toBe(false);
+    expect(fp64.encodeExact('0.1000000000000000055511151231257827021181583404541015625').exact).toBe(true);
+  });
+
+  test('avoids double rounding near a tie', () => {
+    // Parsing to a double first lands exactly on the FP16 midpoint
+    const text = '1.00048828125000000000000001';
+    expect(hex(fp16, fp16.encode(Number(text)))).toBe('0x3C00');
+    expect(hex(fp16, fp16.encodeExact(text))).toBe('0x3C01');
+  });
+
+  test('honors the rounding mode', () => {
+    expect(hex(fp16, fp16.encodeExact('0.1', { roundingMode: ROUNDING_MODES.towardZero }))).toBe('0x2E66');
+    expect(hex(fp16, fp16.encodeExact('0.1', { roundingMode: ROUNDING_MODES.towardPositive }))).toBe('0x2E67');
+    expect(hex(fp16, fp16.encodeExact('-0.1', { roundingMode: ROUNDING_MODES.towardPositive }))).toBe('0xAE66');
+  });
+
+  test('encodes 40-digit literals into FP128', () => {
+    const fp128 = new FloatingPoint(1, 15, 112);
+    // 34 digits fit in the 113-bit significand; 40 digits do not
+    const fits = fp128.encodeExact('1234567890123456789012345678901234');
+    expect(fits.exact).toBe(true);
+    expect(fp128.toDecimalString(fits.sign, fits.exponent, fits.mantissa))
+      .toBe('1234567890123456789012345678901234');
+    const enc = fp128.encodeExact('1234567890123456789012345678901234567890');
+    expect(enc.exact).toBe(false);
+    expect(fp128.toDecimalString(enc.sign, enc.exponent, enc.mantissa))
+      .toBe('1234567890123456789012345678901234630656');
+    // Beyond the double range, but well inside FP128's
+    const large = fp128.encodeExact('1e400');
+    expect(large.isInfinite).toBe(false);
+    expect(fp128.toDecimalString(large.sign, large.exponent, large.mantissa).startsWith('1000000000')).toBe(true);
+  });
+
+  test('handles zeros, including negative zero', () => {
+    const neg = fp16.encodeExact('-0.000');
+    expect(neg.isZero).toBe(true);
+    expect(neg.sign).toBe(1);
+    expect(neg.exact).toBe(true);
+  });
+
+  test('never expands huge exponents', () => {
+    expect(fp16.encodeExact('1e999999999').isInfinite).toBe(true);
+    const clamped = fp16.encodeExact('-1e999999999', { roundingMode: ROUNDING_MODES.towardZero });
+    expect(hex(fp16, clamped)).toBe('0xFBFF');
+    expect(clamped.exact).toBe(false);
+    expect(fp16.encodeExact('1e-999999999').isZero).toBe(true);
+    const up = fp16.encodeExact('1e-999999999', { roundingMode: ROUNDING_MODES.towardPositive });
+    expect(hex(fp16, up)).toBe('0x0001');
+  });
+
+  test('saturates fixed-point formats', () => {
+    const q = new FloatingPoint(1, 0, 8);
+    expect(q.encodeExact('0.5')).toMatchObject({ mantissa: 128, exact: true });
+    expect(q.encodeExact('-3.5')).toMatchObject({ sign: 1, mantissa: 255, exact: false });
+    expect(q.encodeExact('1e-9999').isZero).toBe(true);
+  });
+
+  test('reports exactness for Number inputs', () => {
+    expect(fp16.encodeExact(0.5).exact).toBe(true);
+    expect(fp16.encodeExact(0.1).exact).toBe(false);
+    expect(fp16.encodeExact(NaN).exact).toBe(true);
+    expect(fp16.encodeExact(-Infinity).exact).toBe(true);
+    const fp8 = new FloatingPoint(1, 4, 3, { bias: 7, hasInfinity: false, hasNaN: false });
+    expect(fp8.encodeExact(NaN).exact).toBe(false);
+    expect(fp8.encodeExact(Infinity).exact).toBe(false);
+  });
+
+  test('rejects invalid decimal text', () => {
+    expect(() => fp16.encodeExact('abc')).toThrow('Invalid decimal value: "abc"');
+  });
+});
+
+describe('Integer.encodeExact', () => {
+  const int8 = new Integer(8, true);
+
+  test('rounds decimal text under each mode', () => {
+    expect(int8.encodeExact('2.5')).toMatchObject({ intValue: 2, exact: false });
+    expect(int8.encodeExact('2.5', { roundingMode: ROUNDING_MODES.tiesToAway }).intValue).toBe(3);
+    expect(int8.encodeExact('-2.5', { roundingMode: ROUNDING_MODES.towardNegative }).intValue).toBe(-3);
+    expect(int8.encodeExact('-42')).toMatchObject({ intValue: -42, exact: true });
+  });
+
+  test('saturates out-of-range values', () => {
+    expect(int8.encodeExact('128')).toMatchObject({ intValue: 127, exact: false });
+    expect(int8.encodeExact('-1e999999999')).toMatchObject({ intValue: -128, exact: false });
+    expect(int8.encodeExact('1e-999999999', { roundingMode: ROUNDING_MODES.towardPositive }).intValue).toBe(1);
+  });
+
+  test('encodes zero with fraction digits as exact zero in every mode', () => {
+    for (const text of ['0.00', '-0.00', '0e-10']) {
+      for (const roundingMode of [ROUNDING_MODES.towardPositive, ROUNDING_MODES.towardNegative]) {
+        const enc = int8.encodeExact(text, { roundingMode });
+        expect(enc).toMatchObject({ intValue: 0, exact: true });
+        expect(enc.flags.inexact).toBe(false);
+      }
+    }
+  });
+
+  test('reports exactness for Number inputs', () => {
+    expect(int8.encodeExact(5).exact).toBe(true);
+    expect(int8.encodeExact(5.5).exact).toBe(false);
+    expect(int8.encodeExact(NaN).exact).toBe(false);
+  });
+
+  test('rejects invalid decimal text', () => {
+    expect(() => int8.encodeExact('1/2')).toThrow('Invalid decimal value: "1/2"');
+  });
+});
+
+describe('toShortestDecimalString', () => {
+  const fp64 = new FloatingPoint(1, 11, 52);
+  const shortest = (f, v) => {
+    const enc = f.encode(v);
+    return f.toShortestDecimalString(enc.sign, enc.exponent, enc.mantissa);
+  };
+
+  test('matches Number.prototype.toString for FP64', () => {
+    for (const v of [0.1, 1 / 3, 5e-324, 2.5e-300, 1e21, 1e-7, 123456789012345680000, 100, 1.5, -42.125]) {
+      expect(shortest(fp64, v)).toBe(String(v));
+    }
+  });
+
+  test('uses the precision of the format, not FP64', () => {
+    const fp16 = new FloatingPoint(1, 5, 10);
+    const bf16 = new FloatingPoint(1, 8, 7);
+    expect(shortest(fp16, 0.1)).toBe('0.1');
+    expect(shortest(fp16, 65504)).toBe('65500');
+    expect(shortest(fp16, Math.pow(2, -24))).toBe('6e-8');
+    expect(shortest(bf16, 3.14159)).toBe('3.14');
+    expect(fp16.toDecimalString(0, 30, 1023)).toBe('65504');
+  });
+
+  test('keeps every digit when no shorter decimal rounds back', () => {
+    const fp4 = new FloatingPoint(1, 2, 1, { bias: 1, hasInfinity: false, hasNaN: false });
+    expect(shortest(fp4, 6)).toBe('6');
+    expect(shortest(fp4, -0.5)).toBe('-0.5');
+  });
+
+  test('does not count values that only saturate to the encoding', () => {
+    const e4m3 = new FloatingPoint(1, 4, 3, { bias: 7, hasInfinity: false, hasNaN: true });
+    expect(shortest(e4m3, 448)).toBe('450');
+    expect(e4m3.encodeExact('500').mantissa).toBe(6); // saturates, yet 500 is not shortest
+  });
+
+  test('handles zeros, specials and fixed-point', () => {
+    const fp16 = new FloatingPoint(1, 5, 10);
+    expect(fp16.toShortestDecimalString(0, 0, 0)).toBe('0');
+    expect(fp16.toShortestDecimalString(1, 0, 0)).toBe('-0');
+    expect(fp16.toShortestDecimalString(1, 31, 0)).toBe('-Infinity');
+    expect(fp16.toShortestDecimalString(0, 31, 1)).toBe('NaN');
+    const q = new FloatingPoint(1, 0, 8);
+    expect(q.toShortestDecimalString(1, 0, 64)).toBe('-0.25');
+  });
+
+  test('handles wide formats', () => {
+    const fp128 = new FloatingPoint(1, 15, 112);
+    const enc = fp128.encodeExact('0.1');
+    expect(fp128.toShortestDecimalString(enc.sign, enc.exponent, enc.mantissa)).toBe('0.1');
+    expect(fp128.toShortestDecimalString(0, 0, 1n)).toBe('6e-4966');
+    expect(fp128.toShortestDecimalString(0, 16383 + 100, 0n)).toBe('1.267650600228229401496703205376e+30');
+  });
+
+  test('integers print their exact value', () => {
+    const int8 = new Integer(8, true);
+    expect(int8.toShortestDecimalString(0, 0, 200)).toBe('-56');
+    expect(int8.toDecimalString(0, 0, 5)).toBe('5');
+  });
+});
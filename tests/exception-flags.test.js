@@ -0,0 +1,128 @@
+// IEEE 754 exception flags on encode results: invalid, overflow, underflow
+// (tininess before or after rounding) and inexact
+const {
+    FloatingPoint, Integer, FixedPoint, MXFormat, ROUNDING_MODES, TININESS_MODES,
+} = require('../lib/floating-point.js');
+const { fromPreset, raised } = require('./helpers.js');
+
+const fp16 = new FloatingPoint(1, 5, 10);
+const minNormal = Math.pow(2, -14);
+
+describe('Exception flags', () => {
+    describe('FloatingPoint', () => {
+        test('exact results raise nothing', () => {
+            expect(fp16.encode(1.5).flags).toEqual({ invalid: false, overflow: false, underflow: false, inexact: false });
+            expect(raised(fp16.encode(-0))).toEqual([]);
+            expect(raised(fp16.encode(Infinity))).toEqual([]);
+            expect(raised(fp16.encode(NaN))).toEqual([]);
+            // An exact subnormal is not an underflow
+            expect(raised(fp16.encode(Math.pow(2, -24)))).toEqual([]);
+            expect(raised(fp16.encodeExact('0.5'))).toEqual([]);
+        });
+
+        test('rounding raises inexact', () => {
+            expect(raised(fp16.encode(1.1))).toEqual(['inexact']);
+            expect(raised(fp16.encodeExact('1.0001'))).toEqual(['inexact']);
+            expect(raised(fp16.encode(2049n))).toEqual(['inexact']);
+        });
+
+        test('overflow whatever the overflow policy', () => {
+            expect(raised(fp16.encode(70000))).toEqual(['overflow', 'inexact']);
+            expect(raised(fp16.encode(65520))).toEqual(['overflow', 'inexact']);
+            expect(raised(fp16.encode(65519))).toEqual(['inexact']);
+            // Directed rounding clamps to the max normal but still overflows
+            const clamped = fp16.encode(-70000, { roundingMode: ROUNDING_MODES.towardZero });
+            expect(clamped.isInfinite).toBe(false);
+            expect(raised(clamped)).toEqual(['overflow', 'inexact']);
+            // E4M3 saturates at 448; 460 rounds down to it, 470 rounds past it
+            const e4m3 = fromPreset('fp8_e4m3');
+            expect(raised(e4m3.encode(460))).toEqual(['inexact']);
+            expect(raised(e4m3.encode(470))).toEqual(['overflow', 'inexact']);
+            expect(raised(e4m3.encodeExact('1e99'))).toEqual(['overflow', 'inexact']);
+        });
+
+        test('values the format cannot hold are invalid', () => {
+            const e4m3 = fromPreset('fp8_e4m3');
+            expect(raised(e4m3.encode(Infinity))).toEqual(['invalid']);
+            expect(raised(fromPreset('fp4_e2m1').encode(NaN))).toEqual(['invalid']);
+            const e8m0 = fromPreset('e8m0');
+            expect(raised(e8m0.encode(-2))).toEqual(['invalid']);
+            // Zero becomes the smallest normal
+            expect(raised(e8m0.encode(0))).toEqual(['inexact']);
+        });
+
+        test('underflow needs a tiny, inexact result', () => {
+            expect(raised(fp16.encode(1e-5))).toEqual(['underflow', 'inexact']);
+            expect(raised(fp16.encode(1e-9))).toEqual(['underflow', 'inexact']);
+            expect(raised(fp16.encodeExact('1e-99'))).toEqual(['underflow', 'inexact']);
+            expect(raised(fromPreset('e8m0').encode(1e-40))).toEqual(['underflow', 'inexact']);
+        });
+
+        test('tininess before or after rounding', () => {
+            // Below the smallest normal, but rounds up to it at fp16 precision
+            const value = minNormal * (1 - Math.pow(2, -12));
+            expect(fp16.encode(value)).toMatchObject({ exponent: 1, mantissa: 0 });
+            expect(raised(fp16.encode(value))).toEqual(['inexact']);
+            expect(raised(fp16.encode(value, { tininess: TININESS_MODES.afterRounding }))).toEqual(['inexact']);
+            expect(raised(fp16.encode(value, { tininess: TININESS_MODES.beforeRounding })))
+                .toEqual(['underflow', 'inexact']);
+            // Rounding toward zero keeps it tiny either way
+            expect(raised(fp16.encode(value, { roundingMode: ROUNDING_MODES.towardZero })))
+                .toEqual(['underflow', 'inexact']);
+            expect(() => fp16.encode(1, { tininess: 'never' })).toThrow('Unknown tininess mode: "never"');
+        });
+
+        test('flush-to-zero underflows', () => {
+            const flushed = fp16.encode(Math.pow(2, -24) * 3, { flushSubnormals: true });
+            expect(flushed.isZero).toBe(true);
+            expect(raised(flushed)).toEqual(['underflow', 'inexact']);
+        });
+
+        test('wide formats and fixed-point layouts', () => {
+            const quad = new FloatingPoint(1, 15, 112);
+            expect(raised(quad.encode(0.1))).toEqual([]);
+            expect(raised(quad.encodeExact('0.1'))).toEqual(['inexact']);
+            expect(raised(quad.encodeExact('1e-4940'))).toEqual(['underflow', 'inexact']);
+            const q7 = new FloatingPoint(0, 0, 7);
+            expect(raised(q7.encode(0.5))).toEqual([]);
+            expect(raised(q7.encode(0.3))).toEqual(['inexact']);
+        });
+
+        test('MX elements keep their flags when clamped', () => {
+            const mx = new MXFormat(fromPreset('fp8_e5m2'));
+            const [block] = mx.quantize([1, 1.1]);
+            expect(raised(block.elements[0].encoded)).toEqual([]);
+            expect(raised(block.elements[1].encoded)).toEqual(['inexact']);
+        });
+    });
+
+    describe('Integer and fixed-point', () => {
+        const int8 = new Integer(8);
+
+        test('rounding raises inexact', () => {
+            expect(raised(int8.encode(3))).toEqual([]);
+            expect(raised(int8.encode(2.5))).toEqual(['inexact']);
+            expect(raised(int8.encodeExact('2.5'))).toEqual(['inexact']);
+            expect(raised(int8.encode(-7n))).toEqual([]);
+        });
+
+        test('NaN, infinities and out-of-range values are invalid', () => {
+            expect(raised(int8.encode(NaN))).toEqual(['invalid']);
+            expect(raised(int8.encode(-Infinity))).toEqual(['invalid']);
+            expect(raised(int8.encode(300))).toEqual(['invalid']);
+            expect(raised(int8.encode(1000n))).toEqual(['invalid']);
+            expect(int8.encodeExact('1e9')).toMatchObject({ exact: false, flags: { invalid: true, inexact: false } });
+        });
+
+        test('fixed-point formats', () => {
+            const q = new FixedPoint(4, 4);
+            expect(raised(q.encode(0.0625))).toEqual([]);
+            expect(raised(q.encode(0.03))).toEqual(['inexact']);
+            expect(raised(q.encode(100))).toEqual(['invalid']);
+            expect(raised(q.encode(NaN))).toEqual(['invalid']);
+            expect(raised(q.encodeExact('0'))).toEqual([]);
+            expect(raised(q.encodeExact('1e9', { overflow: 'wrap' }))).toEqual(['invalid']);
+            expect(raised(q.encode(0n))).toEqual([]);
+        });
+    });
+});
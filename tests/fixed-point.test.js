@@ -0,0 +1,217 @@
+// Two's complement Qm.n / unsigned UQm.n fixed-point formats
+const { FixedPoint, FORMATS, ROUNDING_MODES, OVERFLOW_MODES } = require('../lib/floating-point.js');
+const { hex } = require('./helpers.js');
+
+const value = (f, enc) => f.decode(enc.sign, enc.exponent, enc.mantissa);
+
+describe('FixedPoint Class', () => {
+    describe('Constructor', () => {
+        test('Q8.8 has correct properties', () => {
+            const q = new FixedPoint(8, 8);
+            expect(q.bits).toBe(16);
+            expect(q.totalBits).toBe(16);
+            expect(q.signed).toBe(true);
+            expect(q.overflow).toBe(OVERFLOW_MODES.saturate);
+            expect(q.isFixedPoint).toBe(true);
+            expect(q.minRaw).toBe(-32768n);
+            expect(q.maxRaw).toBe(32767n);
+            expect(q.minValue).toBe(-128);
+            expect(q.maxValue).toBe(127.99609375);
+        });
+
+        test('UQ0.8 covers [0, 1)', () => {
+            const uq = new FixedPoint(0, 8, false);
+            expect(uq.minValue).toBe(0);
+            expect(uq.maxValue).toBe(255 / 256);
+        });
+
+        test('exposes FloatingPoint-compatible fields', () => {
+            const q = new FixedPoint(1, 15);
+            expect(q.signBits).toBe(0);
+            expect(q.exponentBits).toBe(0);
+            expect(q.mantissaBits).toBe(16);
+            expect(q.hasInfinity).toBe(false);
+            expect(q.hasNaN).toBe(false);
+        });
+
+        test('rejects invalid layouts and overflow modes', () => {
+            expect(() => new FixedPoint(0, 8, true)).toThrow(RangeError);
+            expect(() => new FixedPoint(1.5, 8)).toThrow('integerBits must be an integer of at least 1');
+            expect(() => new FixedPoint(8, -1)).toThrow('fractionBits must be a non-negative integer');
+            expect(() => new FixedPoint(0, 0, false)).toThrow('between 1 and 128 bits');
+            expect(() => new FixedPoint(64, 65)).toThrow('between 1 and 128 bits');
+            expect(() => new FixedPoint(8, 8, true, { overflow: 'clamp' }))
+                .toThrow('Unknown overflow mode: "clamp". Valid modes: saturate, wrap, error.');
+        });
+    });
+
+    describe('Presets', () => {
+        test('Q15, Q31 and Q8.8 use the ARM convention where m includes the sign bit', () => {
+            expect(FORMATS.q15).toMatchObject({ integerBits: 1, fractionBits: 15, signed: true, isFixedPoint: true });
+            expect(FORMATS.q31).toMatchObject({ integerBits: 1, fractionBits: 31, signed: true });
+            expect(FORMATS.q8_8).toMatchObject({ integerBits: 8, fractionBits: 8, signed: true });
+            expect(FORMATS.uq8_8).toMatchObject({ integerBits: 8, fractionBits: 8, signed: false });
+        });
+    });
+
+    describe('Encoding', () => {
+        const q = new FixedPoint(8, 8);
+
+        test('encodes in two\'s complement', () => {
+            expect(hex(q, q.encode(1.5))).toBe('0x0180');
+            expect(hex(q, q.encode(-1.5))).toBe('0xFE80');
+            expect(hex(q, q.encode(-0.00390625))).toBe('0xFFFF');
+            expect(q.encode(0).isZero).toBe(true);
+            expect(q.encode(-0).isZero).toBe(true);
+        });
+
+        test('rounds to the nearest step under each rounding mode', () => {
+            // 0.005859375 is exactly 1.5 LSB
+            const tie = 0.005859375;
+            expect(q.encode(tie).mantissa).toBe(2);
+            expect(q.encode(tie, { roundingMode: ROUNDING_MODES.towardZero }).mantissa).toBe(1);
+            expect(q.encode(-tie, { roundingMode: ROUNDING_MODES.tiesToAway }).mantissa).toBe(0xFFFE);
+            expect(q.encode(-tie, { roundingMode: ROUNDING_MODES.towardPositive }).mantissa).toBe(0xFFFF);
+            expect(q.encode(-tie, { roundingMode: ROUNDING_MODES.towardNegative }).mantissa).toBe(0xFFFE);
+            expect(() => q.encode(0.1, { roundingMode: 'bogus' })).toThrow('Unknown rounding mode');
+        });
+
+        test('saturates by default', () => {
+            expect(hex(q, q.encode(200))).toBe('0x7FFF');
+            expect(hex(q, q.encode(-200))).toBe('0x8000');
+            expect(hex(q, q.encode(Infinity))).toBe('0x7FFF');
+            expect(hex(q, q.encode(-Infinity))).toBe('0x8000');
+            expect(q.encode(NaN).isZero).toBe(true);
+            // Rounding up past the maximum also saturates
+            expect(hex(q, q.encode(127.999))).toBe('0x7FFF');
+        });
+
+        test('wraps when configured or requested per call', () => {
+            const w = new FixedPoint(8, 8, true, { overflow: OVERFLOW_MODES.wrap });
+            expect(hex(w, w.encode(200))).toBe('0xC800');
+            expect(value(w, w.encode(200))).toBe(-56);
+            expect(value(w, w.encode(-129))).toBe(127);
+            expect(value(q, q.encode(128, { overflow: 'wrap' }))).toBe(-128);
+            expect(value(w, w.encode(300, { overflow: 'saturate' }))).toBe(127.99609375);
+            // Infinities have no low bits to keep, so they still saturate
+            expect(hex(w, w.encode(Infinity))).toBe('0x7FFF');
+        });
+
+        test('unsigned formats clamp negatives to zero', () => {
+            const uq = new FixedPoint(8, 8, false);
+            expect(uq.encode(-3).isZero).toBe(true);
+            expect(hex(uq, uq.encode(255.5))).toBe('0xFF80');
+            expect(value(uq, uq.encode(-1, { overflow: 'wrap' }))).toBe(255);
+        });
+
+        test('throws a RangeError in error mode', () => {
+            const e = new FixedPoint(4, 4, true, { overflow: OVERFLOW_MODES.error });
+            expect(value(e, e.encode(7.5))).toBe(7.5);
+            expect(() => e.encode(100)).toThrow('Value is out of range for Q4.4 [-8, 7.9375]');
+            expect(() => e.encode(-Infinity)).toThrow(RangeError);
+            expect(() => e.encode(NaN)).toThrow('NaN has no Q4.4 encoding');
+            expect(() => e.encodeExact('1e9')).toThrow(RangeError);
+            expect(() => q.encode(1000, { overflow: 'error' })).toThrow('Q8.8');
+            expect(() => new FixedPoint(0, 8, false).encode(-1, { overflow: 'error' })).toThrow('UQ0.8');
+        });
+
+        test('rejects unknown per-call overflow modes on overflow', () => {
+            expect(() => q.encode(1000, { overflow: 'bogus' })).toThrow('Unknown overflow mode: "bogus"');
+        });
+
+        test('encodes BigInt values', () => {
+            expect(value(q, q.encode(-3n))).toBe(-3);
+            expect(hex(q, q.encode(1000n))).toBe('0x7FFF');
+        });
+    });
+
+    describe('encodeExact', () => {
+        const q15 = new FixedPoint(1, 15);
+
+        test('rounds decimal text once and reports exactness', () => {
+            expect(q15.encodeExact('0.5')).toMatchObject({ mantissa: 0x4000, exact: true });
+            expect(q15.encodeExact('-1')).toMatchObject({ mantissa: 0x8000, exact: true });
+            expect(q15.encodeExact('0.1')).toMatchObject({ mantissa: 0x0CCD, exact: false });
+            expect(q15.encodeExact('1')).toMatchObject({ mantissa: 0x7FFF, exact: false });
+            expect(q15.encodeExact('-0.000')).toMatchObject({ isZero: true, exact: true });
+        });
+
+        test('never expands huge exponents', () => {
+            expect(q15.encodeExact('1e999999999').mantissa).toBe(0x7FFF);
+            expect(q15.encodeExact('-1e999999999').mantissa).toBe(0x8000);
+            expect(q15.encodeExact('1e-999999999')).toMatchObject({ isZero: true, exact: false });
+            expect(q15.encodeExact('1e-999999999', { roundingMode: ROUNDING_MODES.towardPositive }).mantissa).toBe(1);
+        });
+
+        test('wraps decimal text using its exact low bits', () => {
+            const w = new FixedPoint(8, 8, true, { overflow: 'wrap' });
+            expect(w.toDecimalString(0, 0, w.encodeExact('200.5').mantissa)).toBe('-55.5');
+            // Multiples of 2^8 wrap to zero without expanding the exponent
+            expect(w.encodeExact('1e999999999')).toMatchObject({ isZero: true, exact: false });
+            expect(w.encodeExact('512')).toMatchObject({ isZero: true, exact: false });
+            expect(w.encodeExact('-1e-999999999')).toMatchObject({ isZero: true, exact: false });
+        });
+
+        test('reports exactness for Number inputs', () => {
+            expect(q15.encodeExact(0.25).exact).toBe(true);
+            expect(q15.encodeExact(0.1).exact).toBe(false);
+            expect(q15.encodeExact(NaN).exact).toBe(false);
+            expect(q15.encodeExact(-Infinity).exact).toBe(false);
+            expect(q15.encodeExact(0).exact).toBe(true);
+        });
+
+        test('rejects invalid decimal text', () => {
+            expect(() => q15.encodeExact('half')).toThrow('Invalid decimal value: "half"');
+        });
+    });
+
+    describe('Decoding and output', () => {
+        const q = new FixedPoint(8, 8);
+
+        test('decode and toInteger read two\'s complement', () => {
+            expect(q.decode(0, 0, 0xFE80)).toBe(-1.5);
+            expect(q.toInteger(0xFE80)).toBe(-384n);
+            expect(new FixedPoint(8, 8, false).toInteger(0xFE80)).toBe(0xFE80n);
+        });
+
+        test('toDecimalString is exact and toShortestDecimalString round-trips', () => {
+            const enc = q.encode(0.1);
+            expect(q.toDecimalString(0, 0, enc.mantissa)).toBe('0.1015625');
+            expect(q.toShortestDecimalString(0, 0, enc.mantissa)).toBe('0.1');
+            expect(q.toShortestDecimalString(0, 0, 0x8000)).toBe('-128');
+            expect(q.toShortestDecimalString(0, 0, 0x7FFF)).toBe('127.996');
+            expect(q.toShortestDecimalString(0, 0, 0)).toBe('0');
+        });
+
+        test('binary and hex strings cover every bit', () => {
+            expect(q.toBinaryString(0, 0, 0x0180)).toBe('0000000110000000');
+            expect(new FixedPoint(3, 3).toHexString(0, 0, 0b101010)).toBe('0x2A');
+        });
+
+        test('helpers return zero and the bounds', () => {
+            expect(q.getZero().isZero).toBe(true);
+            expect(hex(q, q.getMaxValue())).toBe('0x7FFF');
+            expect(hex(q, q.getMinValue())).toBe('0x8000');
+        });
+    });
+
+    describe('Wide formats (BigInt)', () => {
+        const q63 = new FixedPoint(1, 63);
+
+        test('uses BigInt bit patterns beyond 53 bits', () => {
+            expect(q63.bigIntMantissa).toBe(true);
+            const enc = q63.encode(-0.5);
+            expect(enc.mantissa).toBe(0xC000000000000000n);
+            expect(q63.decode(0, 0, enc.mantissa)).toBe(-0.5);
+            expect(q63.toMantissa(3)).toBe(3n);
+        });
+
+        test('keeps every fraction bit of a double', () => {
+            const enc = q63.encodeExact(0.1);
+            expect(enc.exact).toBe(true);
+            expect(q63.toDecimalString(0, 0, enc.mantissa))
+                .toBe('0.1000000000000000055511151231257827021181583404541015625');
+            expect(q63.toShortestDecimalString(0, 0, enc.mantissa)).toBe('0.1000000000000000056');
+        });
+    });
+});
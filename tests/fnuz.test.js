@@ -0,0 +1,88 @@
+// FNUZ formats: finite, a single NaN, and an unsigned zero whose negative
+// pattern is reused as the NaN
+const { FloatingPoint, FORMATS, ROUNDING_MODES } = require('../lib/floating-point.js');
+const { fromPreset, hex } = require('./helpers.js');
+
+describe('FNUZ FP8 presets', () => {
+    const e4m3 = fromPreset('fp8_e4m3fnuz');
+    const e5m2 = fromPreset('fp8_e5m2fnuz');
+
+    test('presets describe the PyTorch float8_*fnuz layouts', () => {
+        expect(FORMATS.fp8_e4m3fnuz).toMatchObject({ sign: 1, exponent: 4, mantissa: 3, bias: 8, hasInfinity: false, hasNegativeZero: false });
+        expect(FORMATS.fp8_e5m2fnuz).toMatchObject({ sign: 1, exponent: 5, mantissa: 2, bias: 16, hasInfinity: false, hasNegativeZero: false });
+        expect(e4m3.specialValues.nan).toBe('negativeZero');
+        expect(e5m2.specialValues.nan).toBe('negativeZero');
+    });
+
+    test('other formats report their NaN encoding', () => {
+        expect(new FloatingPoint(1, 8, 23).specialValues.nan).toBe('ieee');
+        expect(fromPreset('fp8_e4m3').specialValues.nan).toBe('allOnes');
+        expect(fromPreset('fp4_e2m1').specialValues.nan).toBe('none');
+        expect(fromPreset('fp8_e4m3').hasNegativeZero).toBe(true);
+        // Without a sign bit there is no negative-zero pattern to reuse
+        expect(new FloatingPoint(0, 4, 3, { hasInfinity: false, hasNegativeZero: false }).specialValues.nan).toBe('allOnes');
+    });
+
+    describe('Decoding', () => {
+        test('0x80 is the only NaN', () => {
+            expect(e4m3.decode(1, 0, 0)).toBeNaN();
+            expect(e5m2.decode(1, 0, 0)).toBeNaN();
+            expect(e4m3.toShortestDecimalString(1, 0, 0)).toBe('NaN');
+            expect(e4m3.toDecimalString(1, 0, 0)).toBe('NaN');
+            expect(e4m3.decode(0, 0, 0)).toBe(0);
+            expect(Object.is(e4m3.decode(0, 0, 0), -0)).toBe(false);
+        });
+
+        test('the top exponent holds normal numbers', () => {
+            expect(e4m3.decode(0, 15, 7)).toBe(240);
+            expect(e4m3.decode(1, 15, 7)).toBe(-240);
+            expect(e5m2.decode(0, 31, 0)).toBe(32768);
+            expect(e5m2.decode(0, 31, 3)).toBe(57344);
+        });
+
+        test('the bias shifts the range down one binade', () => {
+            expect(e4m3.decode(0, 7, 0)).toBe(0.5);
+            expect(e4m3.decode(0, 0, 1)).toBe(Math.pow(2, -10));
+            expect(e5m2.decode(0, 0, 1)).toBe(Math.pow(2, -17));
+        });
+    });
+
+    describe('Encoding', () => {
+        test('negative zero and negative underflow encode as +0', () => {
+            expect(hex(e4m3, e4m3.encode(-0))).toBe('0x00');
+            expect(e4m3.encode(-0).isZero).toBe(true);
+            expect(hex(e4m3, e4m3.encode(-Math.pow(2, -20)))).toBe('0x00');
+            expect(hex(e4m3, e4m3.encodeExact('-1e-99'))).toBe('0x00');
+            expect(hex(e5m2, e5m2.encodeExact('-0'))).toBe('0x00');
+        });
+
+        test('NaN encodes as 0x80', () => {
+            expect(hex(e4m3, e4m3.encode(NaN))).toBe('0x80');
+            expect(e4m3.encode(NaN).isNaN).toBe(true);
+            expect(hex(e4m3, e4m3.getNaN())).toBe('0x80');
+        });
+
+        test('overflow saturates to the largest finite value', () => {
+            expect(hex(e4m3, e4m3.encode(1000))).toBe('0x7F');
+            expect(hex(e4m3, e4m3.encode(-Infinity))).toBe('0xFF');
+            expect(hex(e5m2, e5m2.encodeExact('1e10'))).toBe('0x7F');
+            expect(hex(e4m3, e4m3.getMaxNormal())).toBe('0x7F');
+        });
+
+        test('directed rounding still gives +0 for tiny negatives', () => {
+            const enc = e4m3.encode(-Math.pow(2, -20), { roundingMode: ROUNDING_MODES.towardZero });
+            expect(hex(e4m3, enc)).toBe('0x00');
+        });
+
+        test('wide formats follow the same rules', () => {
+            const wide = new FloatingPoint(1, 15, 112, { hasInfinity: false, hasNegativeZero: false });
+            expect(wide.specialValues.nan).toBe('negativeZero');
+            expect(wide.encode(-0)).toMatchObject({ sign: 0, exponent: 0, mantissa: 0n });
+            expect(wide.decode(1, 0, 0n)).toBeNaN();
+        });
+    });
+
+    test('getZero drops the sign', () => {
+        expect(e4m3.getZero(true)).toMatchObject({ sign: 0, exponent: 0, mantissa: 0 });
+    });
+});
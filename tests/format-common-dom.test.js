@@ -12,6 +12,7 @@ const {
     renderRangeTable,
     renderSpecialValues,
     renderIntegerSpecialValues,
+    renderFixedPointSpecialValues,
     renderComparisonTable,
     initVisualizer,
     initValueDistribution,
@@ -169,6 +170,31 @@ describe('renderBitLayout', () => {
         expect(collapsed).toBeTruthy();
         expect(collapsed.querySelector('.collapsed-box').textContent).toBe('31 bits');
     });
+
+    test('renders signed fixed-point layout with sign, integer and fraction fields', () => {
+        createContainer('bit-layout');
+        renderBitLayout('bit-layout', { isFixedPoint: true, integerBits: 8, fractionBits: 8, signed: true });
+        const container = document.getElementById('bit-layout');
+
+        expect(container.querySelectorAll('.bit-field.sign .bit-box').length).toBe(1);
+        const intBoxes = container.querySelectorAll('.bit-field.integer .bit-box');
+        expect(intBoxes.length).toBe(7);
+        expect(intBoxes[0].textContent).toBe('I');
+        const fracBoxes = container.querySelectorAll('.bit-field.mantissa .bit-box');
+        expect(fracBoxes.length).toBe(8);
+        expect(fracBoxes[0].textContent).toBe('F');
+    });
+
+    test('omits the integer field for Q1.n and the sign for unsigned formats', () => {
+        createContainer('bit-layout');
+        renderBitLayout('bit-layout', { isFixedPoint: true, integerBits: 1, fractionBits: 15, signed: true });
+        const container = document.getElementById('bit-layout');
+        expect(container.querySelector('.integer')).toBeNull();
+
+        renderBitLayout('bit-layout', { isFixedPoint: true, integerBits: 0, fractionBits: 8, signed: false });
+        expect(container.querySelector('.sign')).toBeNull();
+        expect(container.querySelectorAll('.bit-field.mantissa .bit-box').length).toBe(8);
+    });
 });
 
 // ── renderRangeTable ─────────────────────────────────────────
@@ -223,6 +249,33 @@ describe('renderRangeTable', () => {
         expect(headerTexts).toContain('Value');
         expect(headerTexts).not.toContain('Signed (INT4)');
     });
+
+    test('renders fixed-point range table with exact bounds', () => {
+        createContainer('range-table');
+        renderRangeTable('range-table', {
+            isFixedPoint: true, integerBits: 1, fractionBits: 15, signed: true,
+        });
+        const rows = Array.from(document.querySelectorAll('.info-table tr')).map(r => r.textContent);
+
+        expect(rows).toContain('NotationQ1.15');
+        expect(rows).toContain('Minimum Value-1');
+        expect(rows).toContain('Maximum Value0.999969482421875');
+        expect(rows).toContain('Resolution (1 LSB)2^-15 = 0.000030517578125');
+        expect(rows).toContain('Integer Bits1 (including sign)');
+    });
+
+    test('renders FNUZ range with the negative-zero row', () => {
+        createContainer('range-table');
+        renderRangeTable('range-table', {
+            signBits: 1, exponentBits: 4, mantissaBits: 3,
+            bias: 8, hasInfinity: false, hasNaN: true, hasNegativeZero: false,
+        });
+        const rows = Array.from(document.querySelectorAll('.info-table tr')).map(r => r.textContent);
+
+        expect(rows).toContain('Max Positive (Normal)240');
+        expect(rows).toContain('Exponent Range2^-7 to 2^7');
+        expect(rows).toContain('Negative ZeroNo (pattern is NaN)');
+    });
 });
 
 // ── renderSpecialValues ──────────────────────────────────────
@@ -271,6 +324,21 @@ describe('renderSpecialValues', () => {
         expect(labels).toContain('Max Normal');
     });
 
+    test('FNUZ format lists the negative-zero pattern as NaN', () => {
+        createContainer('special-table');
+        renderSpecialValues('special-table', {
+            signBits: 1, exponentBits: 5, mantissaBits: 2,
+            bias: 16, hasInfinity: false, hasNaN: true, hasNegativeZero: false,
+        });
+        const rows = Array.from(document.querySelectorAll('.special-table tr'));
+        const labels = rows.map(r => r.querySelector('td.text-cell')?.textContent);
+
+        expect(labels).not.toContain('-0');
+        const nan = rows[labels.indexOf('NaN')];
+        expect(nan.querySelector('.sign-bits').textContent).toBe('1');
+        expect(nan.querySelector('.exp-bits').textContent).toBe('00000');
+    });
+
     test('delegates to integer renderer for integer config', () => {
         createContainer('special-table');
         renderSpecialValues('special-table', {
@@ -348,6 +416,38 @@ describe('renderIntegerSpecialValues', () => {
     });
 });
 
+// ── renderFixedPointSpecialValues ────────────────────────────
+
+describe('renderFixedPointSpecialValues', () => {
+    test('lists key Q8.8 patterns split at the binary point', () => {
+        const container = createContainer('special-table');
+        renderFixedPointSpecialValues(container, { integerBits: 8, fractionBits: 8, signed: true });
+        const rows = Array.from(container.querySelectorAll('tr')).slice(1).map(r =>
+            Array.from(r.querySelectorAll('td')).map(td => td.textContent));
+
+        expect(rows).toEqual([
+            ['Zero', '00000000 00000000', '0', '0'],
+            ['Smallest Step (1 LSB)', '00000000 00000001', '0.00390625', '1'],
+            ['One', '00000001 00000000', '1', '256'],
+            ['Max Value', '01111111 11111111', '127.99609375', '32767'],
+            ['-1 LSB', '11111111 11111111', '-0.00390625', '-1'],
+            ['Min Value', '10000000 00000000', '-128', '-32768'],
+        ]);
+    });
+
+    test('skips One when it is out of range and negatives when unsigned', () => {
+        createContainer('special-table');
+        renderSpecialValues('special-table', { isFixedPoint: true, integerBits: 1, fractionBits: 15, signed: true });
+        const names = Array.from(document.querySelectorAll('td.text-cell')).map(c => c.textContent);
+        expect(names).not.toContain('One');
+        expect(names).toContain('Min Value');
+
+        renderSpecialValues('special-table', { isFixedPoint: true, integerBits: 0, fractionBits: 4, signed: false });
+        const unsigned = Array.from(document.querySelectorAll('td.text-cell')).map(c => c.textContent);
+        expect(unsigned).toEqual(['Zero', 'Smallest Step (1 LSB)', 'Max Value']);
+    });
+});
+
 // ── renderComparisonTable ────────────────────────────────────
 
 describe('renderComparisonTable', () => {
@@ -403,6 +503,18 @@ describe('renderComparisonTable', () => {
         expect(labels).toContain('Signed Max');
         expect(labels).toContain('Unsigned Max');
     });
+
+    test('renders fixed-point comparison rows', () => {
+        createContainer('comparison-table');
+        renderComparisonTable('comparison-table', 'q15', ['q31', 'q8_8']);
+        const rows = Array.from(document.querySelectorAll('tr')).map(r =>
+            Array.from(r.children).map(c => c.textContent));
+
+        expect(rows[0]).toEqual(['Property', 'Q15', 'Q31', 'Q8.8']);
+        expect(rows).toContainEqual(['Fraction Bits', '15', '31', '8']);
+        expect(rows).toContainEqual(['Min Value', '-1', '-1', '-128']);
+        expect(rows).toContainEqual(['Max Value', '0.999969482421875', '0.9999999995343387126922607421875', '127.99609375']);
+    });
 });
 
 // ── initVisualizer ───────────────────────────────────────────
@@ -495,6 +607,38 @@ describe('initVisualizer', () => {
         expect(intBits.length).toBe(8);
     });
 
+    test('fixed-point visualizer shows raw integer and LSB preset', () => {
+        const viz = document.createElement('div');
+        viz.id = 'visualizer';
+        viz.innerHTML = `
+            <input type="text" id="viz-decimal" class="viz-decimal-input">
+            <input type="text" id="viz-hex">
+            <button class="viz-preset-btn" data-preset="lsb">1 LSB</button>
+            <button class="viz-preset-btn" data-preset="min">Min</button>
+            <div class="viz-binary"></div>
+            <div class="viz-components"></div>
+        `;
+        document.body.appendChild(viz);
+        initVisualizer({ isFixedPoint: true, integerBits: 8, fractionBits: 8, signed: true, initialValue: 1.5 });
+
+        expect(document.querySelector('.viz-section-label').textContent).toBe('Q8.8 Fixed-Point');
+        expect(document.querySelectorAll('.integer-section .viz-bit').length).toBe(16);
+        expect(document.getElementById('viz-hex').value).toBe('0x0180');
+        expect(document.querySelector('.viz-components').textContent).toContain('384');
+
+        document.querySelector('[data-preset="lsb"]').click();
+        expect(document.getElementById('viz-decimal').value).toBe('0.00390625');
+        expect(document.querySelector('[data-preset="lsb"]').classList.contains('active')).toBe(true);
+
+        document.querySelector('[data-preset="min"]').click();
+        expect(document.getElementById('viz-decimal').value).toBe('-128');
+
+        const hex = document.getElementById('viz-hex');
+        hex.value = '0xFF80';
+        hex.dispatchEvent(new Event('blur'));
+        expect(document.getElementById('viz-decimal').value).toBe('-0.5');
+    });
+
     test('sets initial value from config', () => {
         setupVisualizer({
             signBits: 1, exponentBits: 5, mantissaBits: 10,
@@ -619,6 +763,15 @@ describe('initValueDistribution', () => {
         expect(container.innerHTML).toBe('');
     });
 
+    test('does nothing for fixed-point config', () => {
+        createContainer('value-distribution');
+        initValueDistribution({
+            valueDistributionId: 'value-distribution',
+            isFixedPoint: true, integerBits: 1, fractionBits: 15, signed: true,
+        });
+        expect(document.getElementById('value-distribution').innerHTML).toBe('');
+    });
+
     test('creates chart structure for floating-point format', () => {
         createContainer('value-distribution');
         // Also need visualizer for sync
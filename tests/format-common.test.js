@@ -15,9 +15,10 @@ const {
 describe('FORMAT_PAGES', () => {
     test('contains all expected format keys', () => {
         const expected = [
-            'fp64', 'fp32', 'fp16', 'bf16', 'tf32',
+            'fp64', 'fp32', 'fp16', 'bf16', 'tf32', 'fp8_e4m3fnuz', 'fp8_e5m2fnuz',
             'fp8_e5m2', 'fp8_e4m3', 'fp6_e3m2', 'fp6_e2m3', 'fp4_e2m1',
             'int32', 'int16', 'int8', 'int4',
+            'q31', 'q15', 'q8_8',
         ];
         for (const key of expected) {
             expect(FORMAT_PAGES[key]).toBeDefined();
@@ -0,0 +1,75 @@
+// Flush-to-zero (encode) and denormals-are-zero (decode) modes
+const { FloatingPoint, ROUNDING_MODES } = require('../lib/floating-point.js');
+const { fromPreset } = require('./helpers.js');
+
+describe('Flush-to-zero', () => {
+    const fp16 = new FloatingPoint(1, 5, 10);
+    const minNormal = Math.pow(2, -14);
+
+    test('subnormal results become zero of the same sign', () => {
+        const pos = fp16.encode(minNormal / 4, { flushSubnormals: true });
+        expect(pos).toMatchObject({ sign: 0, exponent: 0, mantissa: 0, isZero: true, flushed: true });
+        const neg = fp16.encode(-minNormal / 4, { flushSubnormals: true });
+        expect(neg).toMatchObject({ sign: 1, isZero: true, flushed: true });
+    });
+
+    test('normal and zero results are left alone', () => {
+        expect(fp16.encode(1.5, { flushSubnormals: true })).toMatchObject({ exponent: 15, flushed: false });
+        expect(fp16.encode(0, { flushSubnormals: true })).toMatchObject({ isZero: true, flushed: false });
+        expect(fp16.encode(minNormal / 4).isSubnormal).toBe(true);
+        expect(fp16.encode(minNormal / 4).flushed).toBeUndefined();
+    });
+
+    test('values that round up to the smallest normal are not flushed', () => {
+        const enc = fp16.encode(minNormal * 0.99999, { flushSubnormals: true });
+        expect(enc).toMatchObject({ exponent: 1, mantissa: 0, flushed: false });
+        const up = fp16.encode(minNormal / 2, { flushSubnormals: true, roundingMode: ROUNDING_MODES.towardPositive });
+        expect(up.flushed).toBe(true);
+    });
+
+    test('encodeExact reports a flushed value as inexact', () => {
+        expect(fp16.encodeExact('1e-6', { flushSubnormals: true })).toMatchObject({ isZero: true, flushed: true, exact: false });
+        expect(fp16.encodeExact(minNormal / 4, { flushSubnormals: true })).toMatchObject({ flushed: true, exact: false });
+        expect(fp16.encodeExact('0.5', { flushSubnormals: true })).toMatchObject({ flushed: false, exact: true });
+    });
+
+    test('FNUZ formats flush negative subnormals to +0', () => {
+        const fnuz = fromPreset('fp8_e4m3fnuz');
+        expect(fnuz.encode(-Math.pow(2, -9), { flushSubnormals: true })).toMatchObject({ sign: 0, isZero: true, flushed: true });
+    });
+
+    test('wide formats flush too', () => {
+        const fp128 = new FloatingPoint(1, 15, 112);
+        expect(fp128.encodeExact('1e-4940', { flushSubnormals: true })).toMatchObject({ isZero: true, flushed: true });
+    });
+});
+
+describe('Denormals-are-zero', () => {
+    const fp16 = new FloatingPoint(1, 5, 10);
+
+    test('subnormal encodings read as zero of the same sign', () => {
+        expect(fp16.decode(0, 0, 1, { subnormalsAreZero: true })).toBe(0);
+        expect(Object.is(fp16.decode(1, 0, 1023, { subnormalsAreZero: true }), -0)).toBe(true);
+        expect(fp16.decode(0, 0, 1)).toBe(Math.pow(2, -24));
+        expect(fp16.decode(0, 1, 0, { subnormalsAreZero: true })).toBe(Math.pow(2, -14));
+    });
+
+    test('decimal strings follow the same rule', () => {
+        expect(fp16.toDecimalString(1, 0, 5, { subnormalsAreZero: true })).toBe('-0');
+        expect(fp16.toShortestDecimalString(0, 0, 5, { subnormalsAreZero: true })).toBe('0');
+        expect(fp16.toShortestDecimalString(0, 0, 5)).toBe('3e-7');
+    });
+
+    test('FNUZ negative subnormals read as +0, not NaN', () => {
+        const fnuz = fromPreset('fp8_e4m3fnuz');
+        expect(Object.is(fnuz.decode(1, 0, 3, { subnormalsAreZero: true }), 0)).toBe(true);
+        expect(fnuz.toDecimalString(1, 0, 3, { subnormalsAreZero: true })).toBe('0');
+    });
+
+    test('wide formats and formats without zero', () => {
+        const fp128 = new FloatingPoint(1, 15, 112);
+        expect(fp128.decode(0, 0, 7n, { subnormalsAreZero: true })).toBe(0);
+        const e8m0 = fromPreset('e8m0');
+        expect(e8m0.decode(0, 0, 0, { subnormalsAreZero: true })).toBe(Math.pow(2, -127));
+    });
+});
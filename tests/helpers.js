@@ -0,0 +1,16 @@
+// Helpers shared by the library tests
+const { FloatingPoint, FORMATS } = require('../lib/floating-point.js');
+
+// A floating-point format from its FORMATS preset, with `extra` options on top
+const fromPreset = (key, extra = {}) => {
+    const f = FORMATS[key];
+    return new FloatingPoint(f.sign, f.exponent, f.mantissa, { ...f, ...extra });
+};
+
+// Hex bit pattern of an encoding
+const hex = (f, enc) => f.toHexString(enc.sign, enc.exponent, enc.mantissa);
+
+// Names of the exception flags an encode raised
+const raised = (encoded) => Object.keys(encoded.flags).filter((name) => encoded.flags[name]);
+
+module.exports = { fromPreset, hex, raised };
@@ -1,5 +1,5 @@
 // Import the Integer class and FORMATS from the pure math module
-const { Integer, FloatingPoint, FORMATS } = require('../lib/floating-point.js');
+const { Integer, FloatingPoint, FORMATS, OVERFLOW_MODES } = require('../lib/floating-point.js');
 
 describe('Integer Class', () => {
     describe('Constructor', () => {
@@ -207,6 +207,59 @@ describe('Integer Class', () => {
         });
     });
 
+    describe('Encode - overflow policy', () => {
+        test('saturates by default and validates the options', () => {
+            expect(new Integer(8).overflow).toBe('saturate');
+            expect(new Integer(8).nanValue).toBe(0);
+            expect(() => new Integer(8, true, { overflow: 'clamp' })).toThrow('Unknown overflow mode: "clamp". Valid modes: saturate, wrap, error.');
+            expect(() => new Integer(8, true, { nanValue: 128 })).toThrow('nanValue must be an integer between -128 and 127');
+            expect(() => new Integer(8, true, { nanValue: 1.5 })).toThrow(RangeError);
+            expect(() => new Integer(8).encode(300, { overflow: 'bogus' })).toThrow('Unknown overflow mode: "bogus"');
+        });
+
+        test('wraps modulo 2^n like a C cast', () => {
+            const int8 = new Integer(8, true, { overflow: OVERFLOW_MODES.wrap });
+            expect(int8.encode(200).intValue).toBe(-56);
+            expect(int8.encode(-129).intValue).toBe(127);
+            expect(int8.encode(1000n).intValue).toBe(-24);
+            expect(new Integer(8, false).encode(-1, { overflow: 'wrap' }).intValue).toBe(255);
+            // Infinities have no low bits to keep, so they still saturate
+            expect(int8.encode(-Infinity).intValue).toBe(-128);
+            // Doubles beyond 2^53 wrap from their exact value
+            const int64 = new Integer(64, true, { overflow: 'wrap' });
+            expect(int64.encode(Math.pow(2, 64) + Math.pow(2, 12)).intValue).toBe(4096n);
+        });
+
+        test('wraps decimal strings exactly', () => {
+            const int8 = new Integer(8, true, { overflow: 'wrap' });
+            expect(int8.encodeExact('300.5')).toMatchObject({ intValue: 44, exact: false });
+            expect(int8.encodeExact('1e9').intValue).toBe(0);
+            expect(int8.encodeExact('-1e9').flags.invalid).toBe(true);
+            expect(int8.encodeExact('123456789012345678901234567890').intValue)
+                .toBe(Number(BigInt.asIntN(8, 123456789012345678901234567890n)));
+            expect(int8.encodeExact('0e99')).toMatchObject({ intValue: 0, exact: true });
+        });
+
+        test('throws a RangeError in error mode', () => {
+            const int8 = new Integer(8, true, { overflow: OVERFLOW_MODES.error });
+            expect(int8.encode(127).intValue).toBe(127);
+            expect(() => int8.encode(200)).toThrow('200 is out of range for int8 [-128, 127]');
+            expect(() => int8.encode(-Infinity)).toThrow(RangeError);
+            expect(() => int8.encode(NaN)).toThrow('NaN has no int8 encoding');
+            expect(() => int8.encode(1000n)).toThrow(RangeError);
+            expect(() => int8.encodeExact('1e99')).toThrow('1e99 is out of range for int8');
+            expect(() => new Integer(16, false).encode(-1, { overflow: 'error' })).toThrow('uint16');
+        });
+
+        test('NaN encodes as the configured value', () => {
+            const int32 = new Integer(32, true, { nanValue: -2147483648 });
+            expect(int32.encode(NaN).intValue).toBe(-2147483648);
+            expect(int32.encode(NaN, { nanValue: 7 }).intValue).toBe(7);
+            expect(new Integer(64, true, { nanValue: -(1n << 63n) }).encode(NaN).intValue).toBe(-(1n << 63n));
+            expect(() => int32.encode(NaN, { nanValue: 2 ** 40 })).toThrow(RangeError);
+        });
+    });
+
     describe('Decode', () => {
         test('decodes zero correctly', () => {
             const int8 = new Integer(8, true);
@@ -844,3 +897,86 @@ describe('Percent Error Calculations', () => {
         });
     });
 });
+
+describe('64-bit Integers (BigInt)', () => {
+    const int64 = new Integer(64, true);
+    const uint64 = new Integer(64, false);
+
+    test('presets are defined', () => {
+        expect(FORMATS.int64).toMatchObject({ bits: 64, signed: true, isInteger: true, name: 'INT64' });
+        expect(FORMATS.uint64).toMatchObject({ bits: 64, signed: false, isInteger: true, name: 'UINT64' });
+    });
+
+    test('ranges are exact BigInts', () => {
+        expect(int64.bigIntMantissa).toBe(true);
+        expect(int64.minValue).toBe(-(2n ** 63n));
+        expect(int64.maxValue).toBe(2n ** 63n - 1n);
+        expect(uint64.minValue).toBe(0n);
+        expect(uint64.maxValue).toBe(2n ** 64n - 1n);
+        // Up to 53 bits the raw bits still fit a Number
+        const uint53 = new Integer(53, false);
+        expect(uint53.bigIntMantissa).toBe(false);
+        expect(uint53.maxValue).toBe(Number.MAX_SAFE_INTEGER);
+    });
+
+    test('0x7FFFFFFFFFFFFFFF round-trips', () => {
+        const max = int64.decode(0, 0, 0x7FFFFFFFFFFFFFFFn);
+        expect(max).toBe(9223372036854775807n);
+        const enc = int64.encode(max);
+        expect(enc.mantissa).toBe(0x7FFFFFFFFFFFFFFFn);
+        expect(int64.toHexString(enc.sign, enc.exponent, enc.mantissa)).toBe('0x7FFFFFFFFFFFFFFF');
+    });
+
+    test('negative values use two\'s complement', () => {
+        const enc = int64.encode(-1n);
+        expect(enc.intValue).toBe(-1n);
+        expect(int64.toHexString(enc.sign, enc.exponent, enc.mantissa)).toBe('0xFFFFFFFFFFFFFFFF');
+        expect(int64.decode(0, 0, 0x8000000000000000n)).toBe(-(2n ** 63n));
+        expect(uint64.decode(0, 0, 0xFFFFFFFFFFFFFFFFn)).toBe(2n ** 64n - 1n);
+    });
+
+    test('Number inputs are rounded and saturated', () => {
+        expect(int64.encode(2.5).intValue).toBe(2n);
+        expect(int64.encode(1e30).intValue).toBe(int64.maxValue);
+        expect(int64.encode(-Infinity).intValue).toBe(int64.minValue);
+        expect(int64.encode(NaN).isZero).toBe(true);
+        expect(uint64.encode(-5n).intValue).toBe(0n);
+    });
+
+    test('encodeExact keeps every digit', () => {
+        expect(int64.encodeExact('9223372036854775807')).toMatchObject({
+            intValue: 9223372036854775807n, exact: true
+        });
+        expect(int64.encodeExact('9223372036854775808').exact).toBe(false);
+        expect(int64.encodeExact(2n ** 63n).exact).toBe(false);
+        expect(int64.encodeExact(-42n).exact).toBe(true);
+        expect(int64.encodeExact(Math.pow(2, 62)).exact).toBe(true);
+        expect(int64.encodeExact(0.5).exact).toBe(false);
+        expect(int64.toDecimalString(0, 0, 0xFFFFFFFFFFFFFFFFn)).toBe('-1');
+    });
+
+    test('narrow formats keep Number values', () => {
+        const int8 = new Integer(8, true);
+        expect(int8.encode(-3n)).toMatchObject({ intValue: -3, mantissa: 253 });
+        expect(int8.encodeExact(300n)).toMatchObject({ intValue: 127, exact: false });
+    });
+});
+
+describe('BigInt to FloatingPoint', () => {
+    const fp32 = new FloatingPoint(1, 8, 23);
+
+    test('rounds once from the exact integer', () => {
+        // Just above a tie; going through a double would drop the +1 and round down
+        const enc = fp32.encode(2n ** 60n + 2n ** 36n + 1n);
+        expect(fp32.decode(enc.sign, enc.exponent, enc.mantissa)).toBe(Math.pow(2, 60) + Math.pow(2, 37));
+        const neg = fp32.encode(-(2n ** 63n));
+        expect(neg.sign).toBe(1);
+        expect(fp32.decode(neg.sign, neg.exponent, neg.mantissa)).toBe(-Math.pow(2, 63));
+        expect(fp32.encode(0n).isZero).toBe(true);
+    });
+
+    test('encodeExact reports exactness', () => {
+        expect(fp32.encodeExact(2n ** 40n).exact).toBe(true);
+        expect(fp32.encodeExact(2n ** 40n + 1n).exact).toBe(false);
+    });
+});
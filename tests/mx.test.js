@@ -0,0 +1,119 @@
+// OCP Microscaling (MX) block formats with a shared E8M0 scale
+const {
+    MXFormat, FloatingPoint, FixedPoint, Integer, MX_FORMATS, MX_BLOCK_SIZE, ROUNDING_MODES,
+} = require('../lib/floating-point.js');
+const { fromPreset } = require('./helpers.js');
+
+describe('MX_FORMATS', () => {
+    test('covers the OCP MX v1.0 concrete formats', () => {
+        expect(Object.keys(MX_FORMATS)).toEqual([
+            'mxfp8_e5m2', 'mxfp8_e4m3', 'mxfp6_e3m2', 'mxfp6_e2m3', 'mxfp4_e2m1', 'mxint8',
+        ]);
+        expect(MX_FORMATS.mxint8.element).toEqual({ integerBits: 2, fractionBits: 6, signed: true });
+        expect(MX_BLOCK_SIZE).toBe(32);
+    });
+});
+
+describe('MXFormat', () => {
+    describe('Constructor', () => {
+        test('derives emax from the largest element value', () => {
+            expect(new MXFormat(fromPreset('fp8_e4m3')).elementEmax).toBe(8);
+            expect(new MXFormat(fromPreset('fp8_e5m2')).elementEmax).toBe(15);
+            expect(new MXFormat(fromPreset('fp6_e3m2')).elementEmax).toBe(4);
+            expect(new MXFormat(fromPreset('fp6_e2m3')).elementEmax).toBe(2);
+            expect(new MXFormat(fromPreset('fp4_e2m1')).elementEmax).toBe(2);
+            expect(new MXFormat(new FixedPoint(2, 6)).elementEmax).toBe(0);
+        });
+
+        test('defaults to 32-element blocks', () => {
+            expect(new MXFormat(fromPreset('fp4_e2m1')).blockSize).toBe(32);
+            expect(new MXFormat(fromPreset('fp4_e2m1'), { blockSize: 16 }).blockSize).toBe(16);
+        });
+
+        test('rejects unsupported elements and block sizes', () => {
+            expect(() => new MXFormat(new Integer(8))).toThrow(TypeError);
+            expect(() => new MXFormat(fromPreset('fp4_e2m1'), { blockSize: 0 })).toThrow('blockSize must be a positive integer');
+            expect(() => new MXFormat(new FloatingPoint(1, 0, 0))).toThrow('positive maximum value');
+        });
+    });
+
+    describe('quantize', () => {
+        const mxfp8 = new MXFormat(fromPreset('fp8_e4m3'));
+
+        test('picks floor(log2(max |v|)) - emax as the shared exponent', () => {
+            const [block] = mxfp8.quantize([0.1, -2.5, 1000]);
+            // floor(log2(1000)) = 9, and 9 - 8 = 1
+            expect(block.scale).toEqual({ bits: 128, exponent: 1, value: 2, isNaN: false });
+            expect(block.elements.map(e => e.value)).toEqual([0.1015625, -2.5, 896]);
+            expect(block.elements[1].error).toBe(0);
+        });
+
+        test('saturates elements past the largest normal instead of overflowing', () => {
+            // 1000 / 2 = 500 rounds past 448; E5M2 would otherwise produce Infinity
+            expect(mxfp8.quantize([1000])[0].elements[0].encoded.mantissa).toBe(6);
+            const e5m2 = new MXFormat(fromPreset('fp8_e5m2'));
+            const [block] = e5m2.quantize([127.9 * 1024]);
+            expect(block.elements[0].encoded.isInfinite).toBe(false);
+            expect(block.elements[0].value).toBe(57344 * 2);
+        });
+
+        test('is exact at powers of two, including just below one', () => {
+            const [block] = mxfp8.quantize([1 - Math.pow(2, -53)]);
+            expect(block.scale.exponent).toBe(-9);
+        });
+
+        test('splits the input into blocks of blockSize', () => {
+            const mx = new MXFormat(fromPreset('fp4_e2m1'), { blockSize: 2 });
+            const blocks = mx.quantize([1, 2, 64, 0.5, 3]);
+            expect(blocks).toHaveLength(3);
+            expect(blocks.map(b => b.scale.exponent)).toEqual([-1, 4, -1]);
+            expect(blocks[1].elements.map(e => e.value)).toEqual([64, 0]);
+        });
+
+        test('uses the smallest scale for all-zero or tiny blocks', () => {
+            expect(mxfp8.quantize([0, -0])[0].scale).toMatchObject({ bits: 0, exponent: -127 });
+            const [tiny] = mxfp8.quantize([Math.pow(2, -140), Math.pow(2, -133)]);
+            expect(tiny.scale.exponent).toBe(-127);
+            // 2^-13 is below the smallest E4M3 subnormal once scaled
+            expect(tiny.elements.map(e => e.value)).toEqual([0, Math.pow(2, -133)]);
+        });
+
+        test('gives blocks with NaN, Infinity or a huge exponent the NaN scale', () => {
+            for (const values of [[1, NaN], [-Infinity], [1e300]]) {
+                const [block] = mxfp8.quantize(values);
+                expect(block.scale).toEqual({ bits: 0xFF, exponent: null, value: NaN, isNaN: true });
+                expect(block.elements.every(e => Number.isNaN(e.value))).toBe(true);
+            }
+        });
+
+        test('honors the rounding mode', () => {
+            const mx = new MXFormat(fromPreset('fp4_e2m1'));
+            // 5 is a tie between 4 and 6 with a scale of 2^0
+            expect(mx.quantize([5, 6])[0].elements[0].value).toBe(4);
+            expect(mx.quantize([5, 6], { roundingMode: ROUNDING_MODES.tiesToAway })[0].elements[0].value).toBe(6);
+        });
+
+        test('quantizes MXINT8 as Q2.6 with a shared scale', () => {
+            const mxint8 = new MXFormat(new FixedPoint(2, 6));
+            const [block] = mxint8.quantize([1.99, -3.9, 0.01]);
+            expect(block.scale.exponent).toBe(1);
+            expect(block.elements.map(e => e.value)).toEqual([2, -3.90625, 0]);
+            // Rounding to -2 is representable, while +2 saturates to 127/64
+            const [edge] = mxint8.quantize([-1.999, 1.999]);
+            expect(edge.elements.map(e => e.encoded.mantissa)).toEqual([0x80, 0x7F]);
+        });
+
+        test('rejects non-array and non-number input', () => {
+            expect(() => mxfp8.quantize(1)).toThrow('MX values must be an array of numbers');
+            expect(() => mxfp8.quantize(['1'])).toThrow('MX values must be numbers, got string');
+        });
+    });
+
+    test('decode applies the scale to one element', () => {
+        const mx = new MXFormat(fromPreset('fp8_e4m3'));
+        const [block] = mx.quantize([0.1, 1000]);
+        const e = block.elements[1].encoded;
+        expect(mx.decode(block.scale.bits, e.sign, e.exponent, e.mantissa)).toBe(896);
+        expect(mx.decode(0xFF, e.sign, e.exponent, e.mantissa)).toBeNaN();
+    });
+});
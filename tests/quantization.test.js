@@ -0,0 +1,96 @@
+// Quantization analysis tests
+const { createQuantizationAnalyzer, analyzeQuantization, finiteRange } = require('../src/quantization.js');
+const { resolveFormat, buildToolDescriptors } = require('../src/webmcp.js');
+
+describe('createQuantizationAnalyzer', () => {
+    const analyze = (values, params) => {
+        const analyzer = createQuantizationAnalyzer(params);
+        values.forEach((v) => analyzer.add(v));
+        return analyzer.result();
+    };
+
+    test('measures the error of the finite values and counts the rest', () => {
+        const result = analyze([1, 0.3, -500, 1e-3, 0, 'nan', 'inf'], { format: 'fp8_e4m3' });
+        expect(result).toMatchObject({
+            format: 'fp8_e4m3', count: 7, finite: 5, maxAbsError: 52, maxRelError: 0.953125,
+            worst: { input: '-500', value: -448, error: 52 },
+            overflows: 1, underflows: 1, flushed: 0, invalid: 1, subnormals: 1,
+        });
+        expect(result.mse).toBeCloseTo(540.8, 3);
+        expect(result.sqnrDb).toBeCloseTo(19.659, 3);
+        expect(result.subnormalFraction).toBeCloseTo(1 / 7);
+        // 0.3 and 1e-3 land within half an ulp; saturating -500 to -448 is 1.625 ulps off
+        expect(result.ulpHistogram).toEqual([
+            { upTo: 0, count: 2 }, { upTo: 0.25, count: 0 }, { upTo: 0.5, count: 2 },
+            { upTo: 1, count: 0 }, { upTo: 2, count: 1 }, { upTo: 'Infinity', count: 0 },
+        ]);
+    });
+
+    test('counts flushed subnormals and out-of-range integers', () => {
+        const flushed = analyze([1e-3, 1], { format: 'fp8_e4m3', flushSubnormals: true });
+        expect(flushed).toMatchObject({ flushed: 1, underflows: 1, subnormals: 0, meanError: -0.0005, maxRelError: 1 });
+        const int8 = analyze(['1000', '1', 'nan'], { format: 'int8' });
+        expect(int8).toMatchObject({ count: 3, finite: 2, overflows: 1, invalid: 2, maxAbsError: 873 });
+        expect(int8.ulpHistogram.map((b) => b.count)).toEqual([1, 0, 0, 0, 0, 1]);
+        expect(analyze([0.5, 2], { format: 'fp32' }).sqnrDb).toBe('Infinity');
+    });
+
+    test('reports NaN statistics before any finite value', () => {
+        expect(analyze([], { format: 'fp16' })).toMatchObject({
+            count: 0, mse: 'NaN', sqnrDb: 'NaN', meanError: 'NaN', maxAbsError: 0, subnormalFraction: 0,
+        });
+        expect(analyze(['inf'], { format: 'fp16' })).toMatchObject({ count: 1, finite: 0, sqnrDb: 'NaN' });
+    });
+
+    test('divides by a scale and clamps to the format with saturate', () => {
+        const analyzer = createQuantizationAnalyzer({ format: 'int8' });
+        // 3 / 2 rounds to 2, which is 4 once multiplied back: half an ulp of 2
+        analyzer.add(3, 2);
+        expect(analyzer.result()).toMatchObject({ worst: { input: '3', value: 4, error: 1 }, maxRelError: 1 / 3 });
+        expect(analyzer.result().ulpHistogram[2].count).toBe(1);
+        const saturated = analyze([1e6, '-inf'], { format: 'fp16', saturate: true });
+        expect(saturated).toMatchObject({ count: 2, finite: 1, overflows: 1, worst: { value: 65504 } });
+    });
+
+    test('draws stochastic roundings from one seed', () => {
+        const values = Array(64).fill(0.3);
+        const a = analyze(values, { format: 'bf16', roundingMode: 'stochastic', seed: 5 });
+        expect(analyze(values, { format: 'bf16', roundingMode: 'stochastic', seed: 5 })).toEqual(a);
+        expect(a.ulpHistogram[3].count).toBeGreaterThan(0);
+    });
+});
+
+describe('analyzeQuantization', () => {
+    const parse = (result) => JSON.parse(result.content[0].text);
+
+    test('analyzes an array of values', () => {
+        const result = parse(analyzeQuantization({ values: ['0.1', 0.25], format: 'bf16', roundingMode: 'towardZero' }));
+        expect(result).toMatchObject({ format: 'bf16', count: 2, finite: 2 });
+        expect(result.meanError).toBeLessThan(0);
+    });
+
+    test('validates its parameters', () => {
+        expect(() => analyzeQuantization({ format: 'fp16' })).toThrow('Parameter "values" must be a non-empty array.');
+        expect(() => analyzeQuantization({ values: [], format: 'fp16' })).toThrow('non-empty array');
+        expect(() => analyzeQuantization({ values: [1] })).toThrow('Parameter "format" is required.');
+        expect(() => analyzeQuantization({ values: [1, 'abc'], format: 'fp16' }))
+            .toThrow(/^values\[1\]: Cannot parse value/);
+    });
+});
+
+describe('finiteRange', () => {
+    test('spans the finite values of each kind of format', () => {
+        expect(finiteRange(resolveFormat('fp8_e4m3'))).toEqual({ min: -448, max: 448 });
+        expect(finiteRange(resolveFormat({ signBits: 0, exponentBits: 5, mantissaBits: 2 }))).toEqual({ min: 0, max: 57344 });
+        expect(finiteRange(resolveFormat('int8'))).toEqual({ min: -128, max: 127 });
+        expect(finiteRange(resolveFormat('q1.3'))).toEqual({ min: -1, max: 0.875 });
+    });
+});
+
+describe('analyze_quantization tool', () => {
+    test('runs analyzeQuantization from the shared tool descriptors', () => {
+        const tool = buildToolDescriptors().find((t) => t.name === 'analyze_quantization');
+        const params = { values: [1, 0.3], format: 'fp8_e4m3' };
+        expect(tool.execute(params)).toEqual(analyzeQuantization(params));
+    });
+});
@@ -1,4 +1,5 @@
 const { FloatingPoint, Integer, ROUNDING_MODES } = require('../lib/floating-point.js');
+const { fromPreset } = require('./helpers.js');
 
 describe('Rounding Modes', () => {
     describe('ROUNDING_MODES constant', () => {
@@ -10,6 +11,13 @@ describe('Rounding Modes', () => {
             expect(ROUNDING_MODES.towardNegative).toBe('towardNegative');
         });
 
+        test('exports the non-IEEE modes', () => {
+            expect(ROUNDING_MODES.toOdd).toBe('toOdd');
+            expect(ROUNDING_MODES.tiesToZero).toBe('tiesToZero');
+            expect(ROUNDING_MODES.tiesToOdd).toBe('tiesToOdd');
+            expect(ROUNDING_MODES.stochastic).toBe('stochastic');
+        });
+
         test('is frozen (immutable)', () => {
             expect(Object.isFrozen(ROUNDING_MODES)).toBe(true);
         });
@@ -164,6 +172,106 @@ describe('Rounding Modes', () => {
         });
     });
 
+    describe('FloatingPoint - toOdd (sticky LSB)', () => {
+        const fp8 = new FloatingPoint(1, 4, 3);
+
+        test('inexact values land on the odd neighbour', () => {
+            // 1.3 → mantissa 2.4: 2 is even, so 3; 1.4 → 3.2: 3 is already odd
+            expect(fp8.encode(1.3, { roundingMode: 'toOdd' }).mantissa).toBe(3);
+            expect(fp8.encode(1.4, { roundingMode: 'toOdd' }).mantissa).toBe(3);
+            expect(fp8.encode(-1.3, { roundingMode: 'toOdd' })).toMatchObject({ sign: 1, mantissa: 3 });
+        });
+
+        test('exact values keep an even mantissa', () => {
+            expect(fp8.encode(1.25, { roundingMode: 'toOdd' }).mantissa).toBe(2);
+        });
+
+        test('overflow clamps to the largest finite value', () => {
+            const fp16 = new FloatingPoint(1, 5, 10);
+            expect(fp16.encode(1e6, { roundingMode: 'toOdd' })).toMatchObject({ exponent: 30, mantissa: 1023 });
+            expect(fp16.encodeExact('-1e999', { roundingMode: 'toOdd' })).toMatchObject({ sign: 1, exponent: 30, mantissa: 1023 });
+            const e4m3 = new FloatingPoint(1, 4, 3, { hasInfinity: false });
+            expect(e4m3.encode(460, { roundingMode: 'toOdd' })).toMatchObject({ exponent: 15, mantissa: 6 });
+        });
+
+        test('removes double rounding: FP64 → FP32 (toOdd) → FP16 matches FP64 → FP16', () => {
+            const fp32 = new FloatingPoint(1, 8, 23);
+            const fp16 = new FloatingPoint(1, 5, 10);
+            const via = (value, mode) => {
+                const mid = fp32.encode(value, { roundingMode: mode });
+                return fp16.encode(fp32.decode(mid.sign, mid.exponent, mid.mantissa)).mantissa;
+            };
+            // Just above an FP16 tie; tiesToEven in FP32 rounds onto the tie
+            const value = 1 + Math.pow(2, -11) + Math.pow(2, -30);
+            expect(fp16.encode(value).mantissa).toBe(1);
+            expect(via(value, 'tiesToEven')).toBe(0);
+            expect(via(value, 'toOdd')).toBe(1);
+            for (const v of [0.1, -Math.E, 1 / 3, 65519.99, 3.0000000000000004]) {
+                expect(via(v, 'toOdd')).toBe(fp16.encode(v).mantissa);
+            }
+        });
+    });
+
+    describe('FloatingPoint - tiesToZero and tiesToOdd', () => {
+        const fp8 = new FloatingPoint(1, 4, 3);
+
+        test('ties go toward zero or to the odd neighbour', () => {
+            // 1.3125 → mantissa 2.5; 1.4375 → 3.5
+            expect(fp8.encode(1.3125, { roundingMode: 'tiesToZero' }).mantissa).toBe(2);
+            expect(fp8.encode(1.4375, { roundingMode: 'tiesToZero' }).mantissa).toBe(3);
+            expect(fp8.encode(-1.3125, { roundingMode: 'tiesToZero' })).toMatchObject({ sign: 1, mantissa: 2 });
+            expect(fp8.encode(1.3125, { roundingMode: 'tiesToOdd' }).mantissa).toBe(3);
+            expect(fp8.encode(1.4375, { roundingMode: 'tiesToOdd' }).mantissa).toBe(3);
+        });
+
+        test('non-ties round to nearest', () => {
+            for (const mode of ['tiesToZero', 'tiesToOdd']) {
+                expect(fp8.encode(1.3, { roundingMode: mode }).mantissa).toBe(2);
+                expect(fp8.encode(1.35, { roundingMode: mode }).mantissa).toBe(3);
+            }
+        });
+
+        test('the exact decimal and BigInt paths agree', () => {
+            const fp16 = new FloatingPoint(1, 5, 10);
+            const tie = '1.00048828125'; // 1 + 2^-11, halfway between 1 and 1 + 2^-10
+            expect(fp16.encodeExact(tie, { roundingMode: 'tiesToZero' }).mantissa).toBe(0);
+            expect(fp16.encodeExact(tie, { roundingMode: 'tiesToOdd' }).mantissa).toBe(1);
+            expect(fp16.encodeExact('1.0007', { roundingMode: 'tiesToZero' }).mantissa).toBe(1);
+            expect(fp16.encodeExact('1.0001', { roundingMode: 'toOdd' }).mantissa).toBe(1);
+            expect(fp16.encodeExact('1.001953125', { roundingMode: 'toOdd' }).mantissa).toBe(2);
+            expect(fp16.encodeExact('1.0029296875', { roundingMode: 'tiesToOdd' }).mantissa).toBe(3);
+            expect(fp16.encodeExact('1.0025', { roundingMode: 'tiesToOdd' }).mantissa).toBe(3);
+            expect(fp16.encodeExact('1.0021', { roundingMode: 'tiesToOdd' }).mantissa).toBe(2);
+        });
+    });
+
+    describe('FloatingPoint - odd rounding without mantissa bits', () => {
+        const e8m0 = fromPreset('e8m0');
+        const scale = (v, roundingMode) => e8m0.decode(0, e8m0.encode(v, { roundingMode }).exponent, 0);
+
+        test('toOdd keeps the odd significand 1, truncating toward zero', () => {
+            expect(scale(0.1, 'toOdd')).toBe(0.0625);
+            expect(scale(448, 'toOdd')).toBe(256);
+            expect(scale(3.9, 'toOdd')).toBe(2);
+            expect(scale(4, 'toOdd')).toBe(4);
+        });
+
+        test('tiesToOdd breaks ties toward the smaller power', () => {
+            expect(scale(3, 'tiesToOdd')).toBe(2);
+            expect(scale(6, 'tiesToOdd')).toBe(4);
+            expect(scale(3.1, 'tiesToOdd')).toBe(4);
+        });
+
+        test('the Number and exact decimal paths agree', () => {
+            for (const roundingMode of ['toOdd', 'tiesToOdd', 'tiesToZero']) {
+                for (const v of [0.1, 0.75, 3, 6, 448, 98304, 1e-30, 1e30]) {
+                    expect(e8m0.encode(v, { roundingMode }).exponent)
+                        .toBe(e8m0.encodeExact(String(v), { roundingMode }).exponent);
+                }
+            }
+        });
+    });
+
     describe('Mantissa overflow from rounding up', () => {
         test('rounding up causes mantissa overflow and exponent increment', () => {
             // FP8 E4M3: format with 3 mantissa bits
@@ -406,6 +514,16 @@ describe('Rounding Modes', () => {
             const encoded = int8.encode(-2.1, { roundingMode: 'towardNegative' });
             expect(encoded.intValue).toBe(-3);
         });
+
+        test('non-IEEE modes round magnitudes', () => {
+            expect(int8.encode(2.2, { roundingMode: 'toOdd' }).intValue).toBe(3);
+            expect(int8.encode(-2.2, { roundingMode: 'toOdd' }).intValue).toBe(-3);
+            expect(int8.encode(4, { roundingMode: 'toOdd' }).intValue).toBe(4);
+            expect(int8.encode(-2.5, { roundingMode: 'tiesToZero' }).intValue).toBe(-2);
+            expect(int8.encode(2.5, { roundingMode: 'tiesToOdd' }).intValue).toBe(3);
+            expect(int8.encodeExact('3.5', { roundingMode: 'tiesToOdd' }).intValue).toBe(3);
+            expect(int8.encodeExact('-3.5', { roundingMode: 'tiesToZero' }).intValue).toBe(-3);
+        });
     });
 
     describe('Fixed-point format rounding', () => {
@@ -0,0 +1,83 @@
+// Scale search tests
+const { SCALING_METHODS, SCALING_GRANULARITIES, searchScaling } = require('../src/scaling.js');
+const { buildToolDescriptors } = require('../src/webmcp.js');
+
+describe('searchScaling', () => {
+    const search = (params) => JSON.parse(searchScaling(params).content[0].text);
+    const summary = (result) => result.recipes.map(({ method, scales, stats }) => [method, scales, stats.overflows]);
+
+    test('compares amax, percentile and MSE-optimal scales for a tensor', () => {
+        const result = search({ values: [-63.5, 1, 0.25], format: 'int8' });
+        expect(result).toMatchObject({ format: 'int8', granularity: 'tensor', shape: [3], powerOfTwo: false, percentile: 99.9 });
+        expect(result.recipes.map((r) => r.method)).toEqual(['amax', 'percentile', 'mse']);
+        // amax maps 63.5 to 127; the 99.9th percentile sits just below it
+        expect(result.recipes[0].scales).toEqual([0.5]);
+        expect(result.recipes[1].scales[0]).toBeCloseTo(63.375 / 127);
+        expect(result.recipes[0].stats).toMatchObject({ count: 3, maxAbsError: 0.25 });
+        expect(result.best).toBe('amax');
+    });
+
+    test('clips outliers when the MSE search finds that cheaper', () => {
+        const result = search({ values: [0.5, 2, -8, 100], format: 'fp4_e2m1', powerOfTwo: true });
+        expect(summary(result)).toEqual([['amax', [32], 0], ['percentile', [32], 0], ['mse', [16], 1]]);
+        expect(result.recipes[2].stats.mse).toBe(5.0625);
+        expect(result.best).toBe('mse');
+    });
+
+    test('rounds scales up to powers of two and takes any percentile', () => {
+        expect(search({ values: [100], format: 'fp8_e4m3', powerOfTwo: true, method: 'amax' }).recipes[0].scales)
+            .toEqual([0.25]);
+        const median = search({
+            values: Array.from({ length: 101 }, (_, i) => i + 1), format: 'int8', method: 'percentile', percentile: 50,
+        });
+        expect(summary(median)).toEqual([['percentile', [51 / 127], 50]]);
+    });
+
+    test('scales each row or column of a 2-D array', () => {
+        const values = [[1, 100], [0.01, -2]];
+        const columns = search({ values, format: 'int8', granularity: 'column', method: 'amax' });
+        expect(columns.shape).toEqual([2, 2]);
+        expect(columns.percentile).toBeUndefined();
+        expect(columns.recipes[0].scales).toEqual([1 / 127, 100 / 127]);
+        expect(search({ values, format: 'int8', granularity: 'row', method: 'amax' }).recipes[0].scales)
+            .toEqual([100 / 127, 2 / 127]);
+        expect(search({ values, format: 'int8', method: 'amax' }).recipes[0].scales).toEqual([100 / 127]);
+    });
+
+    test('gives an all-zero channel a scale of 1 and no best recipe without finite values', () => {
+        expect(search({ values: [['inf', 0]], format: 'fp16', method: 'amax' }).recipes[0].scales).toEqual([1]);
+        const empty = search({ values: ['nan'], format: 'fp16' });
+        expect(empty.recipes[0].stats.mse).toBe('NaN');
+        expect(empty.best).toBeUndefined();
+    });
+
+    test('validates its parameters', () => {
+        expect(() => searchScaling({ values: [], format: 'int8' })).toThrow('Parameter "values" must be a non-empty array.');
+        expect(() => searchScaling({ values: [1] })).toThrow('Parameter "format" is required.');
+        expect(() => searchScaling({ values: [1], format: 'int8', granularity: 'block' }))
+            .toThrow('Unknown granularity: "block". Use tensor, row, column.');
+        expect(() => searchScaling({ values: [1], format: 'int8', method: 'kl' }))
+            .toThrow('Unknown scaling method: "kl". Use amax, percentile, mse.');
+        for (const percentile of [0, 101, '99']) {
+            expect(() => searchScaling({ values: [1], format: 'int8', percentile }))
+                .toThrow('Parameter "percentile" must be a number above 0 and at most 100.');
+        }
+        expect(() => searchScaling({ values: [1], format: 'int8', granularity: 'row' }))
+            .toThrow('Granularity "row" needs the values given as rows.');
+        for (const values of [[[1, 2], [3]], [[1], 2], [[]]]) {
+            expect(() => searchScaling({ values, format: 'int8' })).toThrow('equal-length, non-empty rows');
+        }
+        expect(() => searchScaling({ values: [1, 'abc'], format: 'int8' })).toThrow(/^values\[1\]: Cannot parse value/);
+        expect(() => searchScaling({ values: [[1], ['abc']], format: 'int8' })).toThrow(/^values\[1\]\[0\]: Cannot parse/);
+    });
+});
+
+describe('search_scaling tool', () => {
+    test('offers the methods and granularities searchScaling takes and runs it', () => {
+        const tool = buildToolDescriptors().find((t) => t.name === 'search_scaling');
+        expect(tool.inputSchema.properties.method.enum).toEqual(SCALING_METHODS);
+        expect(tool.inputSchema.properties.granularity.enum).toEqual(SCALING_GRANULARITIES);
+        const params = { values: [0.5, -3, 12], format: 'fp8_e4m3', method: 'amax' };
+        expect(tool.execute(params)).toEqual(searchScaling(params));
+    });
+});
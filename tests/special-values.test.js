@@ -0,0 +1,126 @@
+// Declarative special-value policy: NaN and infinity patterns, zeros,
+// subnormals and overflow behavior
+const { FloatingPoint, ROUNDING_MODES } = require('../lib/floating-point.js');
+const { fromPreset, hex } = require('./helpers.js');
+
+describe('Special-value policy', () => {
+    describe('Defaults from the boolean flags', () => {
+        test('IEEE formats', () => {
+            expect(new FloatingPoint(1, 5, 10).specialValues).toEqual({
+                nan: 'ieee', infinity: 'ieee', zero: true, negativeZero: true, subnormals: true, overflow: 'infinity',
+            });
+        });
+
+        test('OCP, FNUZ and E8M0 presets', () => {
+            expect(fromPreset('fp8_e4m3').specialValues).toMatchObject({ nan: 'allOnes', infinity: 'none', overflow: 'saturate' });
+            expect(fromPreset('fp4_e2m1').specialValues).toMatchObject({ nan: 'none', infinity: 'none' });
+            expect(fromPreset('fp8_e4m3fnuz').specialValues).toMatchObject({ nan: 'negativeZero', negativeZero: false });
+            expect(fromPreset('e8m0').specialValues).toMatchObject({ nan: 'allOnes', zero: false, subnormals: false });
+        });
+
+        test('the policy is frozen and the flags mirror it', () => {
+            const f = new FloatingPoint(1, 4, 3, { specialValues: { infinity: 'none', nan: 'none' } });
+            expect(Object.isFrozen(f.specialValues)).toBe(true);
+            expect(f.hasInfinity).toBe(false);
+            expect(f.hasNaN).toBe(false);
+            expect(f.hasZero).toBe(true);
+            expect(f.hasNegativeZero).toBe(true);
+        });
+
+        test('policy fields win over the flags', () => {
+            const f = new FloatingPoint(1, 4, 3, { hasInfinity: true, specialValues: { infinity: 'none', nan: 'allOnes' } });
+            expect(f.hasInfinity).toBe(false);
+            expect(f.decode(0, 15, 6)).toBe(448);
+        });
+    });
+
+    describe('Validation', () => {
+        test('rejects unknown values', () => {
+            expect(() => new FloatingPoint(1, 4, 3, { specialValues: { nan: 'quiet' } }))
+                .toThrow('Unknown NaN encoding: "quiet"');
+            expect(() => new FloatingPoint(1, 4, 3, { specialValues: { infinity: 'allOnes' } }))
+                .toThrow('Unknown infinity encoding: "allOnes"');
+            expect(() => new FloatingPoint(1, 4, 3, { specialValues: { overflow: 'wrap' } }))
+                .toThrow('Unknown overflow mode: "wrap"');
+            expect(() => new FloatingPoint(1, 4, 3, { specialValues: { subnormals: 'no' } })).toThrow(TypeError);
+        });
+
+        test('rejects contradictory policies', () => {
+            expect(() => new FloatingPoint(1, 4, 3, { specialValues: { infinity: 'none', nan: 'ieee' } }))
+                .toThrow('must be used together');
+            expect(() => new FloatingPoint(1, 4, 3, { specialValues: { nan: 'allOnes' } }))
+                .toThrow('must be used together');
+            expect(() => new FloatingPoint(0, 4, 3, { specialValues: { infinity: 'none', nan: 'negativeZero', negativeZero: false } }))
+                .toThrow('A negative-zero NaN needs a sign bit');
+            expect(() => new FloatingPoint(1, 4, 3, { specialValues: { zero: false, subnormals: true } }))
+                .toThrow('Formats without zero cannot have subnormals');
+            expect(() => new FloatingPoint(1, 4, 3, { hasInfinity: false, specialValues: { overflow: 'infinity' } }))
+                .toThrow('Overflow to infinity needs a format with infinity');
+            expect(() => new FloatingPoint(1, 4, 3, { hasInfinity: false, hasNaN: false, specialValues: { overflow: 'nan' } }))
+                .toThrow('Overflow to NaN needs a format with NaN');
+        });
+    });
+
+    describe('Overflow behavior', () => {
+        test('IEEE formats can saturate instead of overflowing to infinity', () => {
+            const sat = new FloatingPoint(1, 5, 10, { specialValues: { overflow: 'saturate' } });
+            expect(sat.encode(1e6)).toMatchObject({ exponent: 30, mantissa: 1023 });
+            expect(sat.encode(65520)).toMatchObject({ exponent: 30, mantissa: 1023 });
+            expect(sat.encodeExact('-1e999').sign).toBe(1);
+            expect(sat.encodeExact('-1e999').isInfinite).toBe(false);
+            // Infinity itself is representable and stays infinite
+            expect(sat.encode(Infinity).isInfinite).toBe(true);
+        });
+
+        test('non-saturating E4M3 turns overflow and infinity into NaN', () => {
+            const e4m3 = fromPreset('fp8_e4m3', { specialValues: { overflow: 'nan' } });
+            expect(hex(e4m3, e4m3.encode(1000))).toBe('0x7F');
+            // 470 rounds up onto the NaN pattern, which is an overflow
+            expect(e4m3.encode(470).isNaN).toBe(true);
+            expect(e4m3.encode(-Infinity).isNaN).toBe(true);
+            expect(hex(e4m3, e4m3.encode(464))).toBe('0x7E');
+            // Directed rounding toward zero still clamps
+            expect(hex(e4m3, e4m3.encode(1000, { roundingMode: ROUNDING_MODES.towardZero }))).toBe('0x7E');
+            expect(e4m3.encodeExact('1e999').isNaN).toBe(true);
+            expect(e4m3.encodeExact('465').isNaN).toBe(true);
+        });
+
+        test('IEEE formats can overflow to NaN', () => {
+            const f = new FloatingPoint(1, 5, 2, { specialValues: { overflow: 'nan' } });
+            expect(f.encode(1e6).isNaN).toBe(true);
+            expect(f.encode(61440).isNaN).toBe(true);
+            expect(f.encode(Infinity).isInfinite).toBe(true);
+        });
+    });
+
+    describe('Formats without subnormals', () => {
+        const f = new FloatingPoint(1, 5, 2, { specialValues: { subnormals: false } });
+        const minNormal = Math.pow(2, -14);
+
+        test('every exponent-0 pattern decodes as zero', () => {
+            expect(f.decode(0, 0, 3)).toBe(0);
+            expect(Object.is(f.decode(1, 0, 1), -0)).toBe(true);
+            expect(f.toDecimalString(0, 0, 3)).toBe('0');
+            expect(f.decode(0, 1, 0)).toBe(minNormal);
+        });
+
+        test('values below the smallest normal round to zero or the smallest normal', () => {
+            expect(f.encode(minNormal * 0.4)).toMatchObject({ exponent: 0, mantissa: 0, isZero: true });
+            expect(f.encode(minNormal * 0.5).isZero).toBe(true);
+            expect(f.encode(minNormal * 0.6)).toMatchObject({ exponent: 1, mantissa: 0 });
+            expect(f.encode(-minNormal * 0.6)).toMatchObject({ sign: 1, exponent: 1 });
+            expect(f.encode(minNormal * 0.1, { roundingMode: ROUNDING_MODES.towardPositive }).exponent).toBe(1);
+            expect(f.encode(-minNormal * 0.9, { roundingMode: ROUNDING_MODES.towardZero })).toMatchObject({ sign: 1, isZero: true });
+        });
+
+        test('exact and wide paths agree', () => {
+            expect(f.encodeExact('0.00004').exponent).toBe(1);
+            expect(f.encodeExact('0.00001')).toMatchObject({ isZero: true, exact: false });
+            const wide = new FloatingPoint(1, 15, 112, { specialValues: { subnormals: false } });
+            expect(wide.encode(Math.pow(2, -16400)).isZero).toBe(true);
+            expect(wide.encodeExact('2e-4932').exponent).toBe(1);
+            expect(wide.decode(0, 0, 5n)).toBe(0);
+            expect(Object.is(wide.decode(1, 0, 5n), -0)).toBe(true);
+        });
+    });
+});
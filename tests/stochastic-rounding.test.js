@@ -0,0 +1,169 @@
+// Stochastic rounding: round away from zero with probability equal to the
+// discarded fraction of an ulp, driven by a seeded PRNG
+const {
+    FloatingPoint, Integer, FixedPoint, MXFormat, ROUNDING_MODES, createRandom,
+} = require('../lib/floating-point.js');
+
+const stochastic = ROUNDING_MODES.stochastic;
+const fp16 = new FloatingPoint(1, 5, 10);
+const ulp = Math.pow(2, -10);
+
+// Fraction of seeds 0..count-1 whose encoding rounds up
+function roundUpRate(encodeWithSeed, count = 2000) {
+    let ups = 0;
+    for (let seed = 0; seed < count; seed++) {
+        if (encodeWithSeed(seed)) ups++;
+    }
+    return ups / count;
+}
+
+describe('createRandom', () => {
+    test('the same seed gives the same sequence', () => {
+        const a = createRandom(42);
+        const b = createRandom(42);
+        const sequence = [a(), a(), a()];
+        expect([b(), b(), b()]).toEqual(sequence);
+        expect(createRandom(43)()).not.toBe(sequence[0]);
+    });
+
+    test('draws are 32-bit unsigned integers', () => {
+        const random = createRandom(-7);
+        for (let i = 0; i < 100; i++) {
+            const draw = random();
+            expect(Number.isInteger(draw)).toBe(true);
+            expect(draw).toBeGreaterThanOrEqual(0);
+            expect(draw).toBeLessThan(0x100000000);
+        }
+    });
+
+    test('rejects seeds that are not integers', () => {
+        expect(() => createRandom(1.5)).toThrow('seed must be an integer');
+        expect(() => fp16.encode(1.1, { roundingMode: stochastic, seed: 'abc' })).toThrow(TypeError);
+    });
+});
+
+describe('Stochastic rounding', () => {
+    const value = 1 + ulp / 4;
+
+    test('a seed makes the result reproducible', () => {
+        for (let seed = 0; seed < 20; seed++) {
+            const first = fp16.encode(value, { roundingMode: stochastic, seed });
+            expect(fp16.encode(value, { roundingMode: stochastic, seed })).toEqual(first);
+        }
+    });
+
+    test('reports the probability of rounding up', () => {
+        const encoded = fp16.encode(value, { roundingMode: stochastic, seed: 1 });
+        expect(encoded.roundUpProbability).toBe(0.25);
+        expect([0, 1]).toContain(encoded.mantissa);
+        // Other modes do not report it
+        expect(fp16.encode(value).roundUpProbability).toBeUndefined();
+    });
+
+    test('rounds up with the reported probability', () => {
+        const rate = roundUpRate((seed) => fp16.encode(value, { roundingMode: stochastic, seed }).mantissa === 1);
+        expect(rate).toBeGreaterThan(0.22);
+        expect(rate).toBeLessThan(0.28);
+    });
+
+    test('is unbiased in expectation', () => {
+        const target = 1 + 0.3 * ulp;
+        let sum = 0;
+        const count = 2000;
+        for (let seed = 0; seed < count; seed++) {
+            const enc = fp16.encode(target, { roundingMode: stochastic, seed });
+            sum += fp16.decode(enc.sign, enc.exponent, enc.mantissa);
+        }
+        expect(Math.abs(sum / count - target)).toBeLessThan(0.05 * ulp);
+    });
+
+    test('rounds magnitudes, so negative values mirror positive ones', () => {
+        const pos = fp16.encode(value, { roundingMode: stochastic, seed: 9 });
+        const neg = fp16.encode(-value, { roundingMode: stochastic, seed: 9 });
+        expect(neg).toMatchObject({ sign: 1, exponent: pos.exponent, mantissa: pos.mantissa, roundUpProbability: 0.25 });
+    });
+
+    test('exactly representable values never move', () => {
+        for (let seed = 0; seed < 20; seed++) {
+            const enc = fp16.encode(1.5, { roundingMode: stochastic, seed });
+            expect(fp16.decode(enc.sign, enc.exponent, enc.mantissa)).toBe(1.5);
+            expect(enc.roundUpProbability).toBe(0);
+        }
+    });
+
+    test('a generator passed as `random` draws once per encode', () => {
+        const random = createRandom(5);
+        const expected = createRandom(5);
+        for (let i = 0; i < 10; i++) {
+            const draw = expected();
+            const enc = fp16.encode(value, { roundingMode: stochastic, random });
+            expect(enc.mantissa).toBe(draw < 0.25 * 0x100000000 ? 1 : 0);
+        }
+    });
+
+    test('without a seed it still picks one of the two neighbours', () => {
+        const enc = fp16.encode(value, { roundingMode: stochastic });
+        expect([0, 1]).toContain(enc.mantissa);
+        expect(enc.roundUpProbability).toBe(0.25);
+    });
+
+    test('subnormals, flush-to-zero and carries into the exponent', () => {
+        const minSubnormal = Math.pow(2, -24);
+        const sub = fp16.encode(minSubnormal * 2.5, { roundingMode: stochastic, seed: 3 });
+        expect(sub.roundUpProbability).toBe(0.5);
+        expect([2, 3]).toContain(sub.mantissa);
+        const flushed = fp16.encode(minSubnormal * 2.5, { roundingMode: stochastic, seed: 3, flushSubnormals: true });
+        expect(flushed).toMatchObject({ isZero: true, flushed: true, roundUpProbability: 0.5 });
+        const rate = roundUpRate((seed) => fp16.encode(2 - ulp / 4, { roundingMode: stochastic, seed }).exponent === 16);
+        expect(rate).toBeGreaterThan(0.72);
+        expect(rate).toBeLessThan(0.78);
+    });
+
+    test('decimal strings round once from their exact value', () => {
+        const enc = fp16.encodeExact('1.0001220703125', { roundingMode: stochastic, seed: 2 });
+        expect(enc.roundUpProbability).toBe(0.125);
+        expect(enc.exact).toBe(false);
+        expect(fp16.encodeExact('1.5', { roundingMode: stochastic, seed: 2 })).toMatchObject({ exact: true, roundUpProbability: 0 });
+        const rate = roundUpRate((seed) =>
+            fp16.encodeExact('1.0001220703125', { roundingMode: stochastic, seed }).mantissa === 1);
+        expect(rate).toBeGreaterThan(0.1);
+        expect(rate).toBeLessThan(0.15);
+    });
+
+    test('formats wider than FP64 round exactly with BigInt', () => {
+        // 15 exponent bits put this format on the exact path
+        const wide = new FloatingPoint(1, 15, 20);
+        expect(wide.encode(1 + Math.pow(2, -22), { roundingMode: stochastic, seed: 4 }).roundUpProbability).toBe(0.25);
+        const tiny = wide.encodeExact('1e-4000', { roundingMode: stochastic, seed: 4 });
+        expect(tiny.roundUpProbability).toBeGreaterThan(0);
+        expect(tiny.roundUpProbability).toBeLessThan(1);
+        const rate = roundUpRate((seed) => wide.encode(1 + Math.pow(2, -22), { roundingMode: stochastic, seed }).mantissa === 1);
+        expect(rate).toBeGreaterThan(0.22);
+        expect(rate).toBeLessThan(0.28);
+    });
+
+    test('integers and fixed-point formats', () => {
+        const int8 = new Integer(8);
+        const up = roundUpRate((seed) => int8.encode(-2.75, { roundingMode: stochastic, seed }).intValue === -3);
+        expect(up).toBeGreaterThan(0.72);
+        expect(up).toBeLessThan(0.78);
+        expect(int8.encode(-2.75, { roundingMode: stochastic, seed: 1 }).roundUpProbability).toBe(0.75);
+        expect(int8.encodeExact('2.5', { roundingMode: stochastic, seed: 1 }).roundUpProbability).toBe(0.5);
+
+        const q = new FixedPoint(4, 4);
+        const enc = q.encode(0.03125, { roundingMode: stochastic, seed: 8 });
+        expect(enc.roundUpProbability).toBe(0.5);
+        expect([0, 1]).toContain(enc.mantissa);
+        expect(q.encodeExact('0.0625', { roundingMode: stochastic, seed: 8 })).toMatchObject({ exact: true, roundUpProbability: 0 });
+    });
+
+    test('MX quantization draws each element from one seeded generator', () => {
+        const mx = new MXFormat(new FloatingPoint(1, 4, 3, { hasInfinity: false }));
+        const values = Array.from({ length: 8 }, () => 1 + 1 / 32);
+        const run = () => mx.quantize(values, { roundingMode: stochastic, seed: 11 })[0].elements.map((e) => e.value);
+        const first = run();
+        expect(run()).toEqual(first);
+        // Elements see different draws, so equal inputs need not round alike
+        expect(new Set(first).size).toBe(2);
+    });
+});
@@ -0,0 +1,147 @@
+// Tensor file tests: reading raw, .npy and .safetensors data and packing
+// encodings into raw and .npy bytes
+const { readTensor, createTensorPacker } = require('../src/tensor-files.js');
+
+describe('readTensor', () => {
+    // A version 1 .npy file: magic, version, header length, header, data
+    const npy = (descr, shape, data, version = 1) => {
+        const header = `{'descr': '${descr}', 'fortran_order': False, 'shape': ${shape}, }\n`;
+        const lengthBytes = version === 1 ? 2 : 4;
+        const prefix = [0x93, ...Buffer.from('NUMPY'), version, 0, header.length & 0xFF, header.length >> 8];
+        return Uint8Array.from([...prefix, ...Array(lengthBytes - 2).fill(0), ...Buffer.from(header), ...data]);
+    };
+    const safetensors = (header, data) => {
+        const json = Buffer.from(JSON.stringify(header));
+        const length = [json.length & 0xFF, json.length >> 8, 0, 0, 0, 0, 0, 0];
+        return Uint8Array.from([...length, ...json, ...data]);
+    };
+
+    test('reads raw bytes in any format', () => {
+        const out = readTensor({ data: Uint8Array.from([0x00, 0x3C, 0x00, 0xC0, 0x00, 0x7C]), format: 'fp16', offset: 1 });
+        expect(out).toMatchObject({ container: 'raw', format: 'fp16', endianness: 'little', totalElements: 3, offset: 1 });
+        expect(out.nibbleOrder).toBeUndefined();
+        expect(out.elements).toEqual([
+            { index: 1, hex: '0xC000', binary: '1100000000000000', value: -2, type: 'Normal' },
+            { index: 2, hex: '0x7C00', binary: '0111110000000000', value: 'Infinity', type: '+Infinity' },
+        ]);
+        const fp4 = readTensor({ data: Uint8Array.from([0x2F]), format: 'fp4_e2m1', nibbleOrder: 'highFirst' });
+        expect(fp4.nibbleOrder).toBe('highFirst');
+        expect(fp4.elements.map((e) => e.value)).toEqual([1, -6]);
+        const exact = readTensor({ data: Uint8Array.from([0xCD, 0xCC, 0xCC, 0x3D]), format: 'fp32', digits: 'exact' });
+        expect(exact.elements[0].value).toBe('0.100000001490116119384765625');
+    });
+
+    test('reads .npy files with their dtype and byte order', () => {
+        const out = readTensor({ data: npy('>f2', '(2,)', [0x3C, 0x00, 0x40, 0x00]) });
+        expect(out).toMatchObject({ container: 'npy', format: 'fp16', endianness: 'big', totalElements: 2 });
+        expect(out.tensor).toEqual({ name: undefined, dtype: '>f2', shape: [2], fortranOrder: false });
+        expect(out.elements.map((e) => e.value)).toEqual([1, 2]);
+        // ml_dtypes stores FP8 as an opaque one-byte dtype, so the format is needed
+        const fp8 = npy('|V1', '(2, 1)', [0x38, 0xFF], 2);
+        expect(() => readTensor({ data: fp8 })).toThrow('dtype "|V1" has no preset format');
+        expect(readTensor({ data: fp8, format: 'fp8_e4m3' }).elements.map((e) => e.value)).toEqual([1, 'NaN']);
+        expect(() => readTensor({ data: Uint8Array.from([0x93, ...Buffer.from('NUMPY'), 1, 0, 2, 0, 0x7B, 0x7D]) }))
+            .toThrow('Invalid .npy header');
+    });
+
+    test('reads a safetensors tensor by name', () => {
+        const file = safetensors({
+            __metadata__: { format: 'pt' },
+            w: { dtype: 'BF16', shape: [2], data_offsets: [0, 4] },
+            scale: { dtype: 'F8_E8M0', shape: [1], data_offsets: [4, 5] },
+        }, [0x80, 0x3F, 0x00, 0xC0, 0x7F]);
+        const out = readTensor({ data: file });
+        expect(out).toMatchObject({ container: 'safetensors', format: 'bf16', totalElements: 2 });
+        expect(out.tensor).toEqual({ name: 'w', dtype: 'BF16', shape: [2] });
+        expect(out.tensors.map((t) => t.name)).toEqual(['w', 'scale']);
+        expect(out.elements.map((e) => e.value)).toEqual([1, -2]);
+        expect(readTensor({ data: file, tensor: 'scale' }).elements[0].value).toBe(1);
+        expect(() => readTensor({ data: file, tensor: 'b' })).toThrow('Unknown tensor: "b". Available: w, scale.');
+        expect(() => readTensor({ data: safetensors({ __metadata__: {} }, []) })).toThrow('holds no tensors');
+        expect(() => readTensor({ data: Uint8Array.from([2, 0, 0, 0, 0, 0, 0, 0, 0x7B, 0x7B]) }))
+            .toThrow('Invalid safetensors header');
+    });
+
+    test('reads through a byte source without loading the whole buffer', () => {
+        const bytes = Uint8Array.from({ length: 1000 }, (_, i) => i & 0xFF);
+        const reads = [];
+        const source = { size: bytes.length, read: (position, length) => {
+            reads.push([position, length]);
+            return bytes.subarray(position, position + length);
+        } };
+        const out = readTensor({ data: source, format: 'uint8', container: 'raw', offset: 300, count: 2 });
+        expect(out.elements.map((e) => e.value)).toEqual([44, 45]);
+        expect(reads).toEqual([[300, 2]]);
+    });
+
+    test('validates its parameters', () => {
+        const data = Uint8Array.from([1, 2]);
+        expect(() => readTensor({ data: [1, 2], format: 'int8' })).toThrow('"data" must be a Uint8Array');
+        expect(() => readTensor({ data })).toThrow('Parameter "format" is required.');
+        expect(() => readTensor({ data, format: 'int8', container: 'zip' }))
+            .toThrow('Unknown container: "zip". Use auto, raw, npy, safetensors.');
+        expect(() => readTensor({ data, format: 'int8', tensor: 'w' })).toThrow('only applies to safetensors');
+        expect(() => readTensor({ data, format: 'int8', count: -1 })).toThrow('"count" must be a non-negative integer');
+        expect(() => readTensor({ data, format: 'int8', offset: 3 })).toThrow('Offset 3 is past the end of the 2 elements.');
+        expect(() => readTensor({ data, format: 'int8', endianness: 'middle' })).toThrow('Unknown endianness');
+        expect(readTensor({ data, format: 'int8', offset: 2 }).elements).toEqual([]);
+    });
+});
+
+describe('createTensorPacker', () => {
+    const pack = (values, params) => {
+        const packer = createTensorPacker(params);
+        const chunks = values.map((v) => packer.push(v)).filter(Boolean);
+        const { bytes, header, summary } = packer.finish();
+        return { bytes: [...(header || []), ...chunks.flatMap((c) => [...c]), ...bytes], header, summary };
+    };
+
+    test('packs raw bytes with padding and counts the flags raised', () => {
+        const { bytes, header, summary } = pack([1, '-6', 0.5, 3.3, 100], { format: 'fp4_e2m1', alignment: 4 });
+        expect(bytes).toEqual([0xF2, 0x51, 0x07, 0x00]);
+        expect(header).toBeUndefined();
+        expect(summary).toEqual({
+            format: 'fp4_e2m1', container: 'raw', dtype: undefined, endianness: 'little', nibbleOrder: 'lowFirst',
+            alignment: 4, count: 5, byteLength: 4, flags: { inexact: 2, overflow: 1 },
+        });
+        const big = pack(['1.1', 'inf'], { format: 'bf16', endianness: 'big', roundingMode: 'towardZero' });
+        expect(big.bytes).toEqual([0x3F, 0x8C, 0x7F, 0x80]);
+        expect(big.summary.nibbleOrder).toBeUndefined();
+    });
+
+    test('writes a .npy file that readTensor reads back', () => {
+        const { bytes, header, summary } = pack([0.1, -2, 'nan'], { format: 'fp16', container: 'npy' });
+        expect(header).toHaveLength(128);
+        expect(new TextDecoder().decode(header.subarray(10))).toMatch(/^\{'descr': '<f2', 'fortran_order': False, 'shape': \(3,\), \} +\n$/);
+        expect(summary).toMatchObject({ dtype: '<f2', byteLength: 134, alignment: undefined });
+        const back = readTensor({ data: Uint8Array.from(bytes) });
+        expect(back.tensor).toMatchObject({ dtype: '<f2', shape: [3] });
+        expect(back.elements.map((e) => e.value)).toEqual([0.0999755859375, -2, 'NaN']);
+        expect(pack([-1], { format: 'int8', container: 'npy' }).summary.dtype).toBe('|i1');
+        expect(pack([1], { format: 'fp64', container: 'npy', endianness: 'big' }).summary.dtype).toBe('>f8');
+    });
+
+    test('returns chunks as they fill and draws stochastic roundings from one seed', () => {
+        const packer = createTensorPacker({ format: 'fp8_e4m3', roundingMode: 'stochastic', seed: 7 });
+        const chunks = Array.from({ length: 4097 }, () => packer.push(0.3)).filter(Boolean);
+        expect(chunks.map((c) => c.length)).toEqual([4096]);
+        expect(new Set(chunks[0]).size).toBe(2);
+        expect(packer.finish().bytes).toHaveLength(1);
+        const again = createTensorPacker({ format: 'fp8_e4m3', roundingMode: 'stochastic', seed: 7 });
+        expect(Array.from({ length: 4096 }, () => again.push(0.3)).pop()).toEqual(chunks[0]);
+    });
+
+    test('validates its parameters', () => {
+        expect(() => createTensorPacker({})).toThrow('Parameter "format" is required.');
+        expect(() => createTensorPacker({ format: 'fp16', container: 'safetensors' }))
+            .toThrow('Unknown container: "safetensors". Use raw, npy.');
+        expect(() => createTensorPacker({ format: 'bf16', container: 'npy' }))
+            .toThrow('Format "bf16" has no NumPy dtype; use the raw container.');
+        expect(() => createTensorPacker({ format: { signBits: 1, exponentBits: 8, mantissaBits: 23 }, container: 'npy' }))
+            .toThrow('Format "custom" has no NumPy dtype');
+        expect(() => createTensorPacker({ format: 'fp32', container: 'npy', alignment: 8 }))
+            .toThrow('Parameter "alignment" only applies to the raw container.');
+        expect(() => createTensorPacker({ format: 'fp16', alignment: 1.5 })).toThrow('alignment must be a positive integer');
+        expect(() => createTensorPacker({ format: 'fp16' }).push('abc')).toThrow('Cannot parse value');
+    });
+});
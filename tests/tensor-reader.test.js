@@ -0,0 +1,121 @@
+// Reading and writing raw tensor bytes: whole-byte elements in either byte
+// order and sub-byte elements packed from the low or high end of each byte
+const {
+    FloatingPoint, Integer, FixedPoint, TensorReader, TensorWriter, ENDIANNESS, NIBBLE_ORDERS,
+} = require('../lib/floating-point.js');
+const { fromPreset } = require('./helpers.js');
+
+const values = (reader, bytes, options) =>
+    reader.read(Uint8Array.from(bytes), options).map((e) => reader.format.decode(e.sign, e.exponent, e.mantissa));
+
+describe('TensorReader', () => {
+    test('validates its format and options', () => {
+        expect(Object.keys(ENDIANNESS)).toEqual(['little', 'big']);
+        expect(Object.keys(NIBBLE_ORDERS)).toEqual(['lowFirst', 'highFirst']);
+        expect(() => new TensorReader({})).toThrow(TypeError);
+        expect(() => new TensorReader(new Integer(8), { endianness: 'middle' }))
+            .toThrow('Unknown endianness: "middle". Use little, big.');
+        expect(() => new TensorReader(new Integer(8), { nibbleOrder: 'odd' }))
+            .toThrow('Unknown nibble order: "odd". Use lowFirst, highFirst.');
+        const reader = new TensorReader(new Integer(8));
+        expect(() => reader.read([1, 2])).toThrow(TypeError);
+        expect(() => reader.read(new Uint8Array(2), { offset: -1 })).toThrow('offset must be a non-negative integer');
+        expect(() => reader.read(new Uint8Array(2), { count: 1.5 })).toThrow(RangeError);
+        expect(() => reader.read(new Uint8Array(2), { offset: 1, count: 2 }))
+            .toThrow('Elements 1 to 2 are outside the 2 in the data');
+        expect(reader.read(new Uint8Array(2), { offset: 2 })).toEqual([]);
+    });
+
+    test('reads multi-byte elements in either byte order', () => {
+        const fp16 = new FloatingPoint(1, 5, 10);
+        expect(values(new TensorReader(fp16), [0x00, 0x3C, 0x00, 0xC0, 0x00, 0x7C])).toEqual([1, -2, Infinity]);
+        const big = new TensorReader(fp16, { endianness: 'big' });
+        expect(values(big, [0x00, 0x3C, 0x3C, 0x00], { offset: 1 })).toEqual([1]);
+        expect(big.read(Uint8Array.from([0x3C, 0x00]))).toEqual([{ sign: 0, exponent: 15, mantissa: 0 }]);
+        // Odd sizes (TF32, custom) fill a power-of-two number of bytes
+        const tf32 = new TensorReader(fromPreset('tf32'));
+        expect(tf32.elementBytes).toBe(4);
+        expect(values(tf32, [0x00, 0xFC, 0x01, 0x00])).toEqual([1]);
+        const fp64 = new TensorReader(new FloatingPoint(1, 11, 52));
+        expect(values(fp64, [0x9A, 0x99, 0x99, 0x99, 0x99, 0x99, 0xB9, 0x3F])).toEqual([0.1]);
+        expect(values(new TensorReader(fromPreset('fp8_e4m3')), [0x38, 0x7E, 0xFF])[2]).toBeNaN();
+    });
+
+    test('unpacks FP4 nibbles from either end of a byte', () => {
+        const e2m1 = fromPreset('fp4_e2m1');
+        // 0x2F: low nibble 0xF is -6, high nibble 0x2 is 1
+        expect(values(new TensorReader(e2m1), [0x2F, 0x70])).toEqual([-6, 1, 0, 6]);
+        expect(values(new TensorReader(e2m1, { nibbleOrder: 'highFirst' }), [0x2F, 0x70])).toEqual([1, -6, 6, 0]);
+        const int4 = new TensorReader(new Integer(4));
+        expect(values(int4, [0x8F])).toEqual([-1, -8]);
+        expect(values(new TensorReader(new Integer(4, false)), [0x8F])).toEqual([15, 8]);
+    });
+
+    test('reads packed elements that straddle bytes', () => {
+        const e3m2 = fromPreset('fp6_e3m2');
+        const reader = new TensorReader(e3m2);
+        expect(reader.length(3)).toBe(4);
+        expect(reader.byteRange(1, 2)).toEqual({ start: 0, end: 3 });
+        // 1.0 is 0b001100 in E3M2; four of them fill three bytes
+        const low = [0x0C | (0x0C << 6) & 0xFF, (0x0C >> 2) | (0x0C << 4) & 0xFF, (0x0C >> 4) | (0x0C << 2)];
+        expect(values(reader, low)).toEqual([1, 1, 1, 1]);
+        expect(values(new TensorReader(e3m2, { nibbleOrder: 'highFirst' }), [0x30, 0xC3, 0x0C])).toEqual([1, 1, 1, 1]);
+        // A window read from byteRange keeps its place in the stream
+        const window = Uint8Array.from(low).subarray(1, 3);
+        expect(reader.read(window, { offset: 2, count: 2, byteOffset: 1 })).toHaveLength(2);
+        expect(() => reader.read(window, { offset: 1, count: 1, byteOffset: 1 })).toThrow(RangeError);
+    });
+
+    test('reads integers and fixed-point patterns', () => {
+        expect(values(new TensorReader(new Integer(16)), [0xFE, 0xFF, 0x02, 0x00])).toEqual([-2, 2]);
+        const int64 = new TensorReader(new Integer(64));
+        expect(values(int64, [0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0x7F])).toEqual([2n ** 63n - 1n]);
+        expect(values(new TensorReader(new FixedPoint(1, 15)), [0x00, 0xC0])).toEqual([-0.5]);
+    });
+});
+
+describe('TensorWriter', () => {
+    const pack = (writer, values) => Array.from(writer.write(values.map((v) => writer.format.encode(v))));
+
+    test('validates its alignment and sizes padded data', () => {
+        expect(() => new TensorWriter({})).toThrow(TypeError);
+        expect(() => new TensorWriter(new Integer(8), { endianness: 'middle' })).toThrow('Unknown endianness');
+        expect(() => new TensorWriter(new Integer(8), { alignment: 0 })).toThrow('alignment must be a positive integer');
+        const writer = new TensorWriter(fromPreset('fp6_e3m2'), { alignment: 4 });
+        expect([writer.byteLength(5), writer.padding(5)]).toEqual([4, 0]);
+        expect([writer.byteLength(6), writer.padding(6)]).toEqual([8, 3]);
+        expect(new TensorWriter(new Integer(16)).byteLength(3)).toBe(6);
+    });
+
+    test('writes multi-byte elements in either byte order', () => {
+        const fp16 = new FloatingPoint(1, 5, 10);
+        expect(pack(new TensorWriter(fp16), [1, -2])).toEqual([0x00, 0x3C, 0x00, 0xC0]);
+        expect(pack(new TensorWriter(fp16, { endianness: 'big' }), [1, -2])).toEqual([0x3C, 0x00, 0xC0, 0x00]);
+        expect(pack(new TensorWriter(fromPreset('tf32')), [1])).toEqual([0x00, 0xFC, 0x01, 0x00]);
+        expect(pack(new TensorWriter(new Integer(16)), [-2])).toEqual([0xFE, 0xFF]);
+        expect(pack(new TensorWriter(new Integer(64)), [-1n])).toEqual(new Array(8).fill(0xFF));
+        expect(pack(new TensorWriter(new FixedPoint(1, 15)), [-0.5])).toEqual([0x00, 0xC0]);
+    });
+
+    test('packs sub-byte elements that TensorReader reads back', () => {
+        const e2m1 = fromPreset('fp4_e2m1');
+        expect(pack(new TensorWriter(e2m1), [-6, 1, 0, 6])).toEqual([0x2F, 0x70]);
+        expect(pack(new TensorWriter(e2m1, { nibbleOrder: 'highFirst' }), [1, -6, 6])).toEqual([0x2F, 0x70]);
+        expect(pack(new TensorWriter(new Integer(4)), [-1, -8])).toEqual([0x8F]);
+        for (const nibbleOrder of Object.keys(NIBBLE_ORDERS)) {
+            const e3m2 = fromPreset('fp6_e3m2');
+            const input = [1, -0.25, 28, 0.0625, -3, 0.5, 0, -12, 2.5];
+            const bytes = new TensorWriter(e3m2, { nibbleOrder }).write(input.map((v) => e3m2.encode(v)));
+            expect(bytes).toHaveLength(7);
+            expect(values(new TensorReader(e3m2, { nibbleOrder }), bytes)).toEqual(input);
+        }
+    });
+
+    test('joins runs of whole bytes into one stream', () => {
+        const writer = new TensorWriter(fromPreset('fp6_e3m2'));
+        const encode = (v) => writer.format.encode(v);
+        const whole = writer.write([...new Array(8).fill(1), 2, 4].map(encode));
+        const runs = [...writer.write(new Array(8).fill(1).map(encode)), ...writer.write([2, 4].map(encode))];
+        expect(runs).toEqual(Array.from(whole));
+    });
+});
@@ -0,0 +1,131 @@
+// Stepping between neighbouring encodings: nextUp, nextDown, ulp and
+// ulpDistance for floating-point, integer and fixed-point formats
+const { FloatingPoint, Integer, FixedPoint } = require('../lib/floating-point.js');
+const { fromPreset } = require('./helpers.js');
+
+// Decode the encoding reached after `count` steps
+const walk = (format, encoded, method, count) => {
+    const values = [];
+    let current = encoded;
+    for (let i = 0; i < count; i++) {
+        current = format[method](current.sign, current.exponent, current.mantissa);
+        values.push(format.decode(current.sign, current.exponent, current.mantissa));
+    }
+    return values;
+};
+
+describe('FloatingPoint', () => {
+    const fp16 = new FloatingPoint(1, 5, 10);
+    const minSubnormal = Math.pow(2, -24);
+
+    test('steps through neighbouring values', () => {
+        expect(walk(fp16, fp16.encode(1), 'nextUp', 2)).toEqual([1 + Math.pow(2, -10), 1 + Math.pow(2, -9)]);
+        expect(walk(fp16, fp16.encode(1), 'nextDown', 1)).toEqual([1 - Math.pow(2, -11)]);
+        expect(walk(fp16, fp16.encode(-1), 'nextUp', 1)).toEqual([-1 + Math.pow(2, -11)]);
+        expect(walk(fp16, fp16.encode(2048), 'nextUp', 1)).toEqual([2050]);
+    });
+
+    test('crosses zero as IEEE 754 does', () => {
+        expect(walk(fp16, fp16.getZero(), 'nextUp', 1)).toEqual([minSubnormal]);
+        expect(walk(fp16, fp16.getZero(true), 'nextDown', 1)).toEqual([-minSubnormal]);
+        const towardZero = fp16.nextUp(1, 0, 1);
+        expect(towardZero).toMatchObject({ sign: 1, isZero: true });
+        expect(fp16.nextDown(0, 0, 1)).toMatchObject({ sign: 0, isZero: true });
+        expect(fp16.nextUp(0, 0, 1)).toMatchObject({ mantissa: 2, isSubnormal: true });
+        expect(fp16.nextUp(0, 0, 1023)).toMatchObject({ exponent: 1, mantissa: 0, isNormal: true });
+    });
+
+    test('reaches infinity and stays at the ends', () => {
+        const max = fp16.getMaxNormal();
+        expect(fp16.nextUp(max.sign, max.exponent, max.mantissa)).toMatchObject({ isInfinite: true, sign: 0 });
+        expect(fp16.nextUp(0, 31, 0)).toMatchObject({ isInfinite: true, sign: 0 });
+        expect(fp16.nextUp(1, 31, 0)).toMatchObject({ sign: 1, exponent: 30, mantissa: 1023 });
+        expect(fp16.nextDown(1, 31, 0)).toMatchObject({ isInfinite: true, sign: 1 });
+        expect(fp16.nextUp(0, 31, 5)).toMatchObject({ isNaN: true, mantissa: 5 });
+        // Without infinity the largest finite value has nothing above it
+        const e4m3 = fromPreset('fp8_e4m3');
+        expect(e4m3.nextUp(0, 15, 6)).toMatchObject({ exponent: 15, mantissa: 6, isNormal: true });
+        expect(e4m3.nextDown(0, 15, 6)).toMatchObject({ exponent: 15, mantissa: 5 });
+    });
+
+    test('follows each special-value policy', () => {
+        // FNUZ: the -0 pattern is NaN, so stepping up from below lands on +0
+        const fnuz = fromPreset('fp8_e4m3fnuz');
+        expect(fnuz.nextUp(1, 0, 1)).toMatchObject({ sign: 0, isZero: true });
+        // E8M0: unsigned and without zero, so its smallest value is the bottom
+        const e8m0 = fromPreset('e8m0');
+        expect(e8m0.nextDown(0, 0, 0)).toMatchObject({ exponent: 0 });
+        expect(walk(e8m0, e8m0.encode(1), 'nextDown', 1)).toEqual([0.5]);
+        expect(e8m0.nextUp(0, 254, 0)).toMatchObject({ exponent: 254 });
+        const unsigned = new FloatingPoint(0, 5, 10);
+        expect(unsigned.nextDown(0, 0, 0)).toMatchObject({ isZero: true });
+        // Without subnormals zero steps straight to the smallest normal
+        const noSubnormals = new FloatingPoint(1, 5, 10, { specialValues: { subnormals: false } });
+        expect(noSubnormals.nextUp(0, 0, 0)).toMatchObject({ exponent: 1, mantissa: 0 });
+        expect(noSubnormals.nextDown(0, 1, 0)).toMatchObject({ isZero: true, sign: 0 });
+        expect(noSubnormals.ulpDistance(noSubnormals.getZero(), { sign: 0, exponent: 0, mantissa: 7 })).toBe(0);
+        // Without exponent bits values are evenly spaced
+        const fixed = new FloatingPoint(1, 0, 4);
+        expect(walk(fixed, fixed.encode(0.5), 'nextUp', 1)).toEqual([0.5625]);
+        expect(fixed.ulp(0, 0, 8)).toBe(1 / 16);
+    });
+
+    test('ulp', () => {
+        expect(fp16.ulp(0, 15, 0)).toBe(Math.pow(2, -10));
+        expect(fp16.ulp(1, 15, 1023)).toBe(Math.pow(2, -10));
+        expect(fp16.ulp(0, 0, 0)).toBe(minSubnormal);
+        expect(fp16.ulp(0, 0, 5)).toBe(minSubnormal);
+        expect(fp16.ulp(0, 31, 0)).toBe(Infinity);
+        expect(fp16.ulp(0, 31, 1)).toBeNaN();
+        expect(fromPreset('e8m0').ulp(0, 0, 0)).toBe(Math.pow(2, -127));
+        const fp64 = new FloatingPoint(1, 11, 52);
+        expect(fp64.ulp(0, 1023, 0)).toBe(Number.EPSILON);
+    });
+
+    test('ulpDistance', () => {
+        expect(fp16.ulpDistance(fp16.encode(1), fp16.encode(2))).toBe(1024);
+        expect(fp16.ulpDistance(fp16.encode(2), fp16.encode(-2))).toBe(2 * 0x4000);
+        expect(fp16.ulpDistance(fp16.getZero(), fp16.getZero(true))).toBe(0);
+        expect(fp16.ulpDistance(fp16.getMaxNormal(), fp16.getInfinity())).toBe(1);
+        expect(fp16.ulpDistance(fp16.getNaN(), fp16.encode(1))).toBeNaN();
+        // Patterns above the largest finite value have no place in the order
+        const ieeeInfinityOnly = new FloatingPoint(1, 5, 10, { specialValues: { nan: 'none' } });
+        expect(ieeeInfinityOnly.ulpDistance({ sign: 0, exponent: 31, mantissa: 1 }, fp16.encode(1))).toBeNaN();
+        const fp64 = new FloatingPoint(1, 11, 52);
+        expect(fp64.ulpDistance(fp64.encode(-1), fp64.encode(1))).toBe(2n * 0x3FF0000000000000n);
+    });
+});
+
+describe('Integer', () => {
+    const int8 = new Integer(8);
+
+    test('steps by one and stops at the ends of the range', () => {
+        expect(walk(int8, int8.encode(-1), 'nextUp', 2)).toEqual([0, 1]);
+        expect(walk(int8, int8.encode(0), 'nextDown', 1)).toEqual([-1]);
+        expect(walk(int8, int8.getMaxValue(), 'nextUp', 1)).toEqual([127]);
+        expect(walk(int8, int8.getMinValue(), 'nextDown', 1)).toEqual([-128]);
+        expect(int8.ulp()).toBe(1);
+    });
+
+    test('ulpDistance', () => {
+        expect(int8.ulpDistance(int8.getMinValue(), int8.getMaxValue())).toBe(255);
+        const int64 = new Integer(64);
+        expect(int64.ulpDistance(int64.getMaxValue(), int64.getMinValue())).toBe((1n << 64n) - 1n);
+    });
+});
+
+describe('FixedPoint', () => {
+    const q = new FixedPoint(4, 4);
+
+    test('steps by one LSB and stops at the ends of the range', () => {
+        expect(walk(q, q.encode(1), 'nextUp', 1)).toEqual([1.0625]);
+        expect(walk(q, q.encode(0), 'nextDown', 1)).toEqual([-0.0625]);
+        expect(walk(q, q.getMaxValue(), 'nextUp', 1)).toEqual([7.9375]);
+        expect(walk(q, q.getMinValue(), 'nextDown', 1)).toEqual([-8]);
+        expect(q.ulp()).toBe(0.0625);
+    });
+
+    test('ulpDistance', () => {
+        expect(q.ulpDistance(q.encode(-1), q.encode(1))).toBe(32);
+    });
+});
@@ -1,8 +1,9 @@
 // URL state serialization tests
-const { FloatingPoint, Integer } = require('../lib/floating-point.js');
+const { FloatingPoint, Integer, FixedPoint } = require('../lib/floating-point.js');
 const {
     ROUNDING_MODE_VALUES,
     DEFAULT_ROUNDING_MODE,
+    findFixedPresetKey,
     formatToParam,
     parseFormatParam,
     descriptorToFormat,
@@ -23,6 +24,11 @@ describe('formatToParam', () => {
     test('serializes OCP presets (no infinity) to their key', () => {
         expect(formatToParam(new FloatingPoint(1, 4, 3, { hasInfinity: false, hasNaN: true }))).toBe('fp8_e4m3');
         expect(formatToParam(new FloatingPoint(1, 2, 1, { hasInfinity: false, hasNaN: false }))).toBe('fp4_e2m1');
+        expect(formatToParam(new FloatingPoint(0, 8, 0, { hasInfinity: false, hasZero: false }))).toBe('e8m0');
+        // Same bits with a zero is not the E8M0 preset
+        expect(formatToParam(new FloatingPoint(0, 8, 0, { hasInfinity: false }))).toBe('s0e8m0i0');
+        expect(formatToParam(new FloatingPoint(1, 4, 3, { bias: 8, hasInfinity: false, hasNegativeZero: false }))).toBe('fp8_e4m3fnuz');
+        expect(formatToParam(new FloatingPoint(1, 5, 2, { bias: 16, hasInfinity: false, hasNegativeZero: false }))).toBe('fp8_e5m2fnuz');
     });
 
     test('serializes integer presets to their key', () => {
@@ -40,12 +46,32 @@ describe('formatToParam', () => {
         expect(formatToParam(new FloatingPoint(1, 5, 2, { hasInfinity: false }))).toBe('s1e5m2i0');
         expect(formatToParam(new FloatingPoint(1, 6, 9, { hasNaN: false }))).toBe('s1e6m9n0');
         expect(formatToParam(new FloatingPoint(1, 6, 9, { hasInfinity: false, hasNaN: false }))).toBe('s1e6m9i0n0');
+        expect(formatToParam(new FloatingPoint(0, 4, 0, { hasZero: false }))).toBe('s0e4m0z0');
+        expect(formatToParam(new FloatingPoint(1, 4, 3, { hasInfinity: false, hasNegativeZero: false }))).toBe('s1e4m3i0uz');
     });
 
     test('serializes custom integer widths', () => {
         expect(formatToParam(new Integer(6, true))).toBe('i6');
         expect(formatToParam(new Integer(6, false))).toBe('u6');
     });
+
+    test('serializes fixed-point presets to their key', () => {
+        expect(formatToParam(new FixedPoint(1, 15))).toBe('q15');
+        expect(formatToParam(new FixedPoint(8, 8, false))).toBe('uq8_8');
+        expect(findFixedPresetKey(new FixedPoint(4, 12))).toBeNull();
+    });
+
+    test('serializes custom and wrapping fixed-point formats', () => {
+        expect(formatToParam(new FixedPoint(4, 12))).toBe('q4.12');
+        expect(formatToParam(new FixedPoint(0, 8, false))).toBe('uq0.8');
+        expect(formatToParam(new FixedPoint(8, 8, true, { overflow: 'wrap' }))).toBe('q8.8w');
+        expect(formatToParam(new FixedPoint(8, 8, true, { overflow: 'error' }))).toBe('q8.8e');
+    });
+
+    test('serializes non-saturating integer formats as custom specs', () => {
+        expect(formatToParam(new Integer(8, true, { overflow: 'wrap' }))).toBe('i8w');
+        expect(formatToParam(new Integer(16, false, { overflow: 'error' }))).toBe('u16e');
+    });
 });
 
 describe('parseFormatParam', () => {
@@ -58,16 +84,39 @@ describe('parseFormatParam', () => {
 
     test('parses custom floating-point specs', () => {
         expect(parseFormatParam('s1e6m9')).toEqual({
-            kind: 'fp', signBits: 1, exponentBits: 6, mantissaBits: 9, hasInfinity: true, hasNaN: true,
+            kind: 'fp', signBits: 1, exponentBits: 6, mantissaBits: 9, hasInfinity: true, hasNaN: true, hasZero: true,
         });
         expect(parseFormatParam('s0e5m2i0n0')).toEqual({
-            kind: 'fp', signBits: 0, exponentBits: 5, mantissaBits: 2, hasInfinity: false, hasNaN: false,
+            kind: 'fp', signBits: 0, exponentBits: 5, mantissaBits: 2, hasInfinity: false, hasNaN: false, hasZero: true,
+        });
+        expect(parseFormatParam('s0e4m0n0z0')).toEqual({
+            kind: 'fp', signBits: 0, exponentBits: 4, mantissaBits: 0, hasInfinity: true, hasNaN: false, hasZero: false,
         });
+        expect(parseFormatParam('s1e4m3i0uz')).toEqual({
+            kind: 'fp', signBits: 1, exponentBits: 4, mantissaBits: 3, hasInfinity: false, hasNaN: true, hasZero: true,
+            hasNegativeZero: false,
+        });
+        expect(parseFormatParam('s1e0m8z0')).toBeNull();   // no exponent to replace zero
     });
 
     test('parses custom integer specs', () => {
-        expect(parseFormatParam('i6')).toEqual({ kind: 'int', bits: 6, signed: true });
-        expect(parseFormatParam('u6')).toEqual({ kind: 'int', bits: 6, signed: false });
+        expect(parseFormatParam('i6')).toEqual({ kind: 'int', bits: 6, signed: true, overflow: 'saturate' });
+        expect(parseFormatParam('u6')).toEqual({ kind: 'int', bits: 6, signed: false, overflow: 'saturate' });
+        expect(parseFormatParam('I8W')).toEqual({ kind: 'int', bits: 8, signed: true, overflow: 'wrap' });
+        expect(parseFormatParam('u32e')).toEqual({ kind: 'int', bits: 32, signed: false, overflow: 'error' });
+    });
+
+    test('parses custom fixed-point specs', () => {
+        expect(parseFormatParam('q15')).toEqual({ presetKey: 'q15' });
+        expect(parseFormatParam('q4.12')).toEqual({
+            kind: 'fixed', integerBits: 4, fractionBits: 12, signed: true, overflow: 'saturate',
+        });
+        expect(parseFormatParam('UQ0.8w')).toEqual({
+            kind: 'fixed', integerBits: 0, fractionBits: 8, signed: false, overflow: 'wrap',
+        });
+        expect(parseFormatParam('q0.8')).toBeNull();     // no room for the sign bit
+        expect(parseFormatParam('uq0.0')).toBeNull();
+        expect(parseFormatParam('q64.65')).toBeNull();   // wider than 128 bits
     });
 
     test('returns null for malformed or out-of-range specs', () => {
@@ -85,6 +134,11 @@ describe('descriptorToFormat', () => {
         const fp = descriptorToFormat({ presetKey: 'fp16' });
         expect(fp.exponentBits).toBe(5);
         expect(fp.mantissaBits).toBe(10);
+        const e8m0 = descriptorToFormat({ presetKey: 'e8m0' });
+        expect(e8m0.hasZero).toBe(false);
+        const fnuz = descriptorToFormat({ presetKey: 'fp8_e4m3fnuz' });
+        expect(fnuz.bias).toBe(8);
+        expect(fnuz.specialValues.nan).toBe('negativeZero');
         const int = descriptorToFormat({ presetKey: 'int8' });
         expect(int.isInteger).toBe(true);
         expect(int.bits).toBe(8);
@@ -95,9 +149,19 @@ describe('descriptorToFormat', () => {
         const fp = descriptorToFormat({ kind: 'fp', signBits: 1, exponentBits: 6, mantissaBits: 9, hasInfinity: false, hasNaN: true });
         expect(fp.exponentBits).toBe(6);
         expect(fp.hasInfinity).toBe(false);
-        const int = descriptorToFormat({ kind: 'int', bits: 6, signed: false });
+        const int = descriptorToFormat({ kind: 'int', bits: 6, signed: false, overflow: 'wrap' });
         expect(int.bits).toBe(6);
         expect(int.signed).toBe(false);
+        expect(int.overflow).toBe('wrap');
+    });
+
+    test('builds fixed-point formats', () => {
+        const preset = descriptorToFormat({ presetKey: 'q8_8' });
+        expect(preset.isFixedPoint).toBe(true);
+        expect(preset.integerBits).toBe(8);
+        const custom = descriptorToFormat({ kind: 'fixed', integerBits: 4, fractionBits: 12, signed: true, overflow: 'wrap' });
+        expect(custom.fractionBits).toBe(12);
+        expect(custom.overflow).toBe('wrap');
     });
 
     test('returns null for empty descriptor', () => {
@@ -111,6 +175,12 @@ describe('descriptorToFormat', () => {
             new FloatingPoint(1, 5, 2, { hasInfinity: false }),
             new Integer(8, true),
             new Integer(6, false),
+            new FixedPoint(1, 31),
+            new FixedPoint(4, 12, false),
+            new FixedPoint(8, 8, true, { overflow: 'wrap' }),
+            new FixedPoint(4, 4, false, { overflow: 'error' }),
+            new Integer(8, true, { overflow: 'wrap' }),
+            new Integer(12, false, { overflow: 'error' }),
         ];
         for (const format of cases) {
             const param = formatToParam(format);
@@ -165,6 +235,21 @@ describe('valueToParam', () => {
         expect(result.key).toBe('hex');
         expect(result.value).toBe(format.toHexString(0, 31, payload));
     });
+
+    test('prefers the typed decimal text when it reproduces the bits', () => {
+        const format = new FloatingPoint(1, 15, 112);
+        const text = '0.1000000000000000000000000000000001';
+        const encoded = format.encodeExact(text);
+        const result = valueToParam(format, 0.1, encoded, DEFAULT_ROUNDING_MODE, text);
+        expect(result).toEqual({ key: 'val', value: text });
+    });
+
+    test('ignores stale decimal text that no longer matches the bits', () => {
+        const format = new FloatingPoint(1, 5, 10);
+        const encoded = format.encode(1.0);
+        const result = valueToParam(format, 1.0, encoded, DEFAULT_ROUNDING_MODE, '2.5');
+        expect(result).toEqual({ key: 'val', value: '1' });
+    });
 });
 
 describe('buildSearchParams', () => {
@@ -186,6 +271,16 @@ describe('buildSearchParams', () => {
         const params = new URLSearchParams(buildSearchParams(state));
         expect(params.get('rm')).toBe('towardZero');
     });
+
+    test('includes the FTZ and DAZ flags only when set', () => {
+        const state = fp16State(1);
+        expect(buildSearchParams(state)).not.toMatch(/ftz|daz/);
+        state.flushToZero = true;
+        state.denormalsAreZero = true;
+        const params = new URLSearchParams(buildSearchParams(state));
+        expect(params.get('ftz')).toBe('1');
+        expect(params.get('daz')).toBe('1');
+    });
 });
 
 describe('parseSearchParams', () => {
@@ -199,10 +294,22 @@ describe('parseSearchParams', () => {
         const parsed = parseSearchParams('?' + qs);
         expect(parsed.input).toEqual({ presetKey: 'fp32' });
         expect(parsed.output).toEqual({ presetKey: 'fp16' });
-        expect(parsed.value).toEqual({ decimal: 2.5 });
+        expect(parsed.value).toEqual({ decimal: 2.5, text: '2.5' });
         expect(parsed.roundingMode).toBe('towardNegative');
     });
 
+    test('parses the FTZ and DAZ flags', () => {
+        expect(parseSearchParams('?ftz=1')).toMatchObject({ flushToZero: true, denormalsAreZero: false });
+        expect(parseSearchParams('?in=fp16&daz=1')).toMatchObject({ flushToZero: false, denormalsAreZero: true });
+        expect(parseSearchParams('?ftz=yes')).toBeNull();
+    });
+
+    test('keeps long decimal literals verbatim', () => {
+        const parsed = parseSearchParams('?val=0.1000000000000000055511151231257827');
+        expect(parsed.value.text).toBe('0.1000000000000000055511151231257827');
+        expect(parsed.value.decimal).toBe(0.1);
+    });
+
     test('returns null when no recognized params are present', () => {
         expect(parseSearchParams('')).toBeNull();
         expect(parseSearchParams('?foo=bar')).toBeNull();
@@ -236,6 +343,7 @@ describe('parseSearchParams', () => {
     test('exposes the canonical rounding mode list', () => {
         expect(ROUNDING_MODE_VALUES).toContain('tiesToEven');
         expect(ROUNDING_MODE_VALUES).toContain('towardPositive');
-        expect(ROUNDING_MODE_VALUES).toHaveLength(5);
+        expect(ROUNDING_MODE_VALUES).toContain('toOdd');
+        expect(ROUNDING_MODE_VALUES).toHaveLength(8);
     });
 });
@@ -0,0 +1,42 @@
+// Value tables: every encoding of a narrow format, in bit-pattern order
+const { FloatingPoint, Integer, FixedPoint, valueTable } = require('../lib/floating-point.js');
+
+describe('valueTable', () => {
+    test('lists every encoding in bit-pattern order with its fields and ulp', () => {
+        const rows = [...valueTable(new FloatingPoint(1, 5, 2))];
+        expect(rows).toHaveLength(256);
+        expect(rows[0]).toEqual({
+            bits: 0, sign: 0, exponent: 0, mantissa: 0, hex: '0x00', binary: '00000000', value: 0, ulp: 2 ** -16,
+        });
+        expect(rows[0x7b]).toMatchObject({ sign: 0, exponent: 30, mantissa: 3, value: 57344, ulp: 8192 });
+        expect(rows[0xfc]).toMatchObject({ sign: 1, exponent: 31, mantissa: 0, value: -Infinity });
+        expect(rows[0xff].value).toBeNaN();
+        expect(rows[0xff].ulp).toBeNaN();
+    });
+
+    test('writes values with the chosen digits', () => {
+        const fp8 = new FloatingPoint(1, 4, 3);
+        expect([...valueTable(fp8, { digits: 'exact' })][0x01].value).toBe('0.001953125');
+        // 1.625 exactly, and 1.6 is the shortest decimal that reads back as it
+        expect([...valueTable(fp8, { digits: 'exact' })][0x3d].value).toBe('1.625');
+        expect([...valueTable(fp8, { digits: 'shortest' })][0x3d].value).toBe('1.6');
+        expect([...valueTable(fp8, { digits: 'number' })][0xbd].value).toBe(-1.625);
+    });
+
+    test('covers integer and fixed-point formats', () => {
+        expect([...valueTable(new Integer(4))].map((row) => row.value))
+            .toEqual([0, 1, 2, 3, 4, 5, 6, 7, -8, -7, -6, -5, -4, -3, -2, -1]);
+        const q = [...valueTable(new FixedPoint(1, 3))];
+        expect(q).toHaveLength(16);
+        expect(q[0x0f]).toMatchObject({ sign: 0, exponent: 0, mantissa: 15, value: -0.125, ulp: 0.125 });
+    });
+
+    test('validates the format and digits before the first row', () => {
+        expect(() => valueTable({})).toThrow(TypeError);
+        expect(() => valueTable(new FloatingPoint(1, 8, 23)))
+            .toThrow('Format has 32 bits; value tables list every encoding of formats up to 16 bits.');
+        expect(() => valueTable(new Integer(4), { digits: 'hex' }))
+            .toThrow('Unknown digits: "hex". Valid digits: number, exact, shortest.');
+        expect([...valueTable(new Integer(16, false))]).toHaveLength(65536);
+    });
+});
@@ -6,6 +6,7 @@ const {
     mantissaDecimal,
     exponentActual,
     parseValueInput,
+    encodeValueInput,
     jsonSafeNumber,
     buildStats,
     extractComponents,
@@ -14,6 +15,18 @@ const {
     decodeBits,
     convertFormat,
     getFormatInfo,
+    resolveMXFormat,
+    quantizeMX,
+    parseExpression,
+    expandPowerOperand,
+    calculate,
+    exactValueInput,
+    dotProduct,
+    parseBitsInput,
+    nextValue,
+    getUlp,
+    ulpDistance,
+    createBatchConverter,
     buildToolDescriptors,
     registerWebMCP,
 } = require('../src/webmcp.js');
@@ -146,6 +159,32 @@ describe('parseValueInput', () => {
     });
 });
 
+// ── encodeValueInput ──────────────────────────────────────────────
+
+describe('encodeValueInput', () => {
+    const fp64 = resolveFormat('fp64');
+
+    test('parses decimal strings exactly', () => {
+        const enc = encodeValueInput(fp64, '0.1000000000000000055511151231257827021181583404541015625', {});
+        expect(fp64.toHexString(enc.sign, enc.exponent, enc.mantissa)).toBe('0x3FB999999999999A');
+        expect(enc.exact).toBe(true);
+        expect(encodeValueInput(fp64, '0.1', {}).exact).toBe(false);
+    });
+
+    test('parses hex strings as exact integers', () => {
+        const enc = encodeValueInput(fp64, '0x20000000000001', { roundingMode: 'towardPositive' });
+        expect(enc.exact).toBe(false);
+        expect(fp64.decode(enc.sign, enc.exponent, enc.mantissa)).toBe(Math.pow(2, 53) + 2);
+    });
+
+    test('falls back to numeric parsing for numbers and keywords', () => {
+        expect(encodeValueInput(fp64, 2, {}).exact).toBe(true);
+        expect(encodeValueInput(fp64, 'inf', {}).isInfinite).toBe(true);
+        expect(encodeValueInput(fp64, 'nan', {}).exact).toBe(true);
+        expect(() => encodeValueInput(fp64, 'hello', {})).toThrow(/Cannot parse value/);
+    });
+});
+
 // ── classifyValue ─────────────────────────────────────────────────
 
 describe('classifyValue', () => {
@@ -195,6 +234,12 @@ describe('classifyValue', () => {
         expect(classifyValue(fmt, 0, 7, 3)).toBe('Normal');
     });
 
+    test('classifies only the all-ones mantissa as NaN without infinity', () => {
+        const fmt = new FloatingPoint(1, 4, 3, { hasInfinity: false, hasNaN: true, bias: 7 });
+        expect(classifyValue(fmt, 0, 15, 6)).toBe('Normal');
+        expect(classifyValue(fmt, 0, 15, 7)).toBe('NaN');
+    });
+
     test('classifies negative fixed-point zero', () => {
         const fmt = new FloatingPoint(1, 0, 7);
         expect(classifyValue(fmt, 1, 0, 0)).toBe('-Zero');
@@ -285,6 +330,10 @@ describe('jsonSafeNumber', () => {
     test('converts NaN to string', () => {
         expect(jsonSafeNumber(NaN)).toBe('NaN');
     });
+
+    test('approximates BigInt values', () => {
+        expect(jsonSafeNumber(2n ** 63n - 1n)).toBe(Math.pow(2, 63));
+    });
 });
 
 // ── extractComponents ─────────────────────────────────────────────
@@ -350,6 +399,22 @@ describe('buildStats', () => {
         // Integer stats should NOT have floating-point fields
         expect(stats.exponentBiased).toBeUndefined();
     });
+
+    test('includes exact and shortest decimal strings', () => {
+        const fmt = new FloatingPoint(1, 5, 10);
+        const stats = buildStats(fmt, fmt.encode(0.1));
+        expect(stats.actualValue).toBe(0.0999755859375);
+        expect(stats.exactValue).toBe('0.0999755859375');
+        expect(stats.shortestValue).toBe('0.1');
+    });
+
+    test('decimal strings stay exact for values a double cannot hold', () => {
+        const fmt = new FloatingPoint(1, 15, 112);
+        const stats = buildStats(fmt, fmt.encodeExact('1e-4000'));
+        expect(stats.actualValue).toBe(0);
+        expect(stats.shortestValue).toBe('1e-4000');
+        expect(stats.exactValue.startsWith('0.' + '0'.repeat(3999) + '10000')).toBe(true);
+    });
 });
 
 // ── listFormats tool ──────────────────────────────────────────────
@@ -385,6 +450,10 @@ describe('listFormats', () => {
             if (f.isInteger) {
                 expect(f).toHaveProperty('bits');
                 expect(typeof f.signed).toBe('boolean');
+            } else if (f.isFixedPoint) {
+                expect(f).toHaveProperty('integerBits');
+                expect(f).toHaveProperty('fractionBits');
+                expect(f).toHaveProperty('totalBits');
             } else {
                 expect(f).toHaveProperty('exponentBits');
                 expect(f).toHaveProperty('mantissaBits');
@@ -400,6 +469,7 @@ describe('listFormats', () => {
         expect(categories).toContain('ML');
         expect(categories).toContain('OCP');
         expect(categories).toContain('Integer');
+        expect(categories).toContain('Fixed-Point');
     });
 });
 
@@ -487,6 +557,22 @@ describe('encodeNumber', () => {
         expect(stats.actualValue).toBe(255);
     });
 
+    test('reports whether the value was exactly representable', () => {
+        const exact = JSON.parse(encodeNumber({ value: 1.5, format: 'fp16' }).content[0].text);
+        expect(exact.exact).toBe(true);
+        const rounded = JSON.parse(encodeNumber({ value: '0.1', format: 'fp16' }).content[0].text);
+        expect(rounded.exact).toBe(false);
+    });
+
+    test('rounds long decimal strings once, without an intermediate double', () => {
+        // Just above the FP16 midpoint between 1 and 1 + 2^-10; via a double it
+        // collapses to the tie and rounds to even (1.0) instead of up.
+        const result = encodeNumber({ value: '1.00048828125000000000000001', format: 'fp16' });
+        const stats = JSON.parse(result.content[0].text);
+        expect(stats.hex).toBe('0x3C01');
+        expect(stats.exact).toBe(false);
+    });
+
     test('throws when value is missing', () => {
         expect(() => encodeNumber({ format: 'fp32' })).toThrow(/value/);
     });
@@ -717,6 +803,762 @@ describe('convertFormat', () => {
     });
 });
 
+// ── 64-bit integers ───────────────────────────────────────────────
+
+describe('64-bit integer formats', () => {
+    test('decodeBits round-trips 0x7FFFFFFFFFFFFFFF', () => {
+        const stats = JSON.parse(decodeBits({ bits: '0x7FFFFFFFFFFFFFFF', format: 'int64' }).content[0].text);
+        expect(stats.hex).toBe('0x7FFFFFFFFFFFFFFF');
+        expect(stats.exactValue).toBe('9223372036854775807');
+        expect(stats.type).toBe('Positive Integer');
+        const neg = JSON.parse(decodeBits({ bits: '0x8000000000000000', format: 'int64' }).content[0].text);
+        expect(neg.exactValue).toBe('-9223372036854775808');
+        expect(neg.type).toBe('Negative Integer');
+    });
+
+    test('extractComponents keeps BigInt bits', () => {
+        const result = extractComponents('1'.repeat(64), new Integer(64, false));
+        expect(result.mantissa).toBe(2n ** 64n - 1n);
+    });
+
+    test('encodeNumber parses decimal and hex text exactly', () => {
+        const stats = JSON.parse(encodeNumber({ value: '18446744073709551615', format: 'uint64' }).content[0].text);
+        expect(stats.hex).toBe('0xFFFFFFFFFFFFFFFF');
+        expect(stats.exact).toBe(true);
+        const hex = JSON.parse(encodeNumber({ value: '0x7FFFFFFFFFFFFFFF', format: 'int64' }).content[0].text);
+        expect(hex.exactValue).toBe('9223372036854775807');
+        const zero = JSON.parse(encodeNumber({ value: 0, format: 'int64' }).content[0].text);
+        expect(zero.type).toBe('Zero');
+    });
+
+    test('convertFormat measures loss on the exact values', () => {
+        const toFp32 = JSON.parse(convertFormat({
+            value: '9223372036854775807', inputFormat: 'int64', outputFormat: 'fp32',
+        }).content[0].text);
+        expect(toFp32.output.hex).toBe('0x5F000000');
+        expect(toFp32.precisionLoss.absolute).toBe(1);
+        expect(toFp32.precisionLoss.lossless).toBe(false);
+
+        const toInt32 = JSON.parse(convertFormat({
+            value: '-5', inputFormat: 'int64', outputFormat: 'int32',
+        }).content[0].text);
+        expect(toInt32.output.actualValue).toBe(-5);
+        expect(toInt32.precisionLoss.lossless).toBe(true);
+    });
+
+    test('getFormatInfo reports exact bounds as strings', () => {
+        const info = JSON.parse(getFormatInfo({ format: 'int64' }).content[0].text);
+        expect(info.minValue).toBe('-9223372036854775808');
+        expect(info.maxValue).toBe('9223372036854775807');
+        const uint = JSON.parse(getFormatInfo({ format: 'uint64' }).content[0].text);
+        expect(uint.minValue).toBe('0');
+        expect(uint.maxValue).toBe('18446744073709551615');
+    });
+
+    test('listFormats includes the presets', () => {
+        const keys = JSON.parse(listFormats().content[0].text).map(f => f.key);
+        expect(keys).toContain('int64');
+        expect(keys).toContain('uint64');
+    });
+});
+
+// ── Fixed-point formats ───────────────────────────────────────────
+
+describe('fixed-point formats', () => {
+    test('resolveFormat accepts presets, Qm.n strings and objects', () => {
+        const q15 = resolveFormat('q15');
+        expect(q15.isFixedPoint).toBe(true);
+        expect(q15.integerBits).toBe(1);
+        expect(q15.fractionBits).toBe(15);
+
+        const uq = resolveFormat('UQ8.8');
+        expect(uq.signed).toBe(false);
+        expect(uq.totalBits).toBe(16);
+
+        const wrap = resolveFormat({ integerBits: 4, fractionBits: 12, overflow: 'wrap' });
+        expect(wrap.signed).toBe(true);
+        expect(wrap.overflow).toBe('wrap');
+    });
+
+    test('resolveFormat reports invalid fixed-point layouts', () => {
+        expect(() => resolveFormat('q0.8')).toThrow('Invalid fixed-point format: integerBits must be an integer of at least 1.');
+        expect(() => resolveFormat({ integerBits: 8, fractionBits: 8, overflow: 'clamp' }))
+            .toThrow('Invalid fixed-point format: Unknown overflow mode: "clamp". Valid modes: saturate, wrap, error.');
+    });
+
+    test('classifyValue distinguishes zero from other values', () => {
+        const q = resolveFormat('q8_8');
+        expect(classifyValue(q, 0, 0, 0)).toBe('Zero');
+        expect(classifyValue(q, 0, 0, 0xFE80)).toBe('Fixed-point');
+        expect(exponentActual(q, 0)).toBe('N/A');
+        expect(mantissaDecimal(q, 0, 0xFE80)).toBe(-1.5);
+    });
+
+    test('encodeNumber reports the raw integer and layout', () => {
+        const stats = JSON.parse(encodeNumber({ value: '1.5', format: 'q8.8' }).content[0].text);
+        expect(stats.hex).toBe('0x0180');
+        expect(stats.type).toBe('Fixed-point');
+        expect(stats.rawValue).toBe(384);
+        expect(stats.integerBits).toBe(8);
+        expect(stats.fractionBits).toBe(8);
+        expect(stats.overflow).toBe('saturate');
+        expect(stats.exact).toBe(true);
+    });
+
+    test('encodeNumber and convertFormat report the overflow mode that applied', () => {
+        const wrapped = JSON.parse(encodeNumber({ value: '200', format: 'q8.8', overflow: 'wrap' }).content[0].text);
+        expect(wrapped).toMatchObject({ hex: '0xC800', overflow: 'wrap' });
+        const converted = JSON.parse(convertFormat({
+            value: '200', inputFormat: 'fp32', outputFormat: 'q8.8', overflow: 'wrap',
+        }).content[0].text);
+        expect(converted.output.overflow).toBe('wrap');
+    });
+
+    test('decodeBits keeps wide raw values exact', () => {
+        const stats = JSON.parse(decodeBits({
+            bits: '0x8000000000000000', format: { integerBits: 1, fractionBits: 63 },
+        }).content[0].text);
+        expect(stats.actualValue).toBe(-1);
+        expect(stats.rawValue).toBe('-9223372036854775808');
+    });
+
+    test('convertFormat rounds into the fixed-point grid', () => {
+        const result = JSON.parse(convertFormat({
+            value: '0.1', inputFormat: 'fp32', outputFormat: 'q15',
+        }).content[0].text);
+        expect(result.output.hex).toBe('0x0CCD');
+        expect(result.output.shortestValue).toBe('0.1');
+        expect(result.precisionLoss.lossless).toBe(false);
+    });
+
+    test('getFormatInfo reports range and resolution as exact strings', () => {
+        const info = JSON.parse(getFormatInfo({ format: 'q15' }).content[0].text);
+        expect(info.type).toBe('fixed-point');
+        expect(info.totalBits).toBe(16);
+        expect(info.signed).toBe(true);
+        expect(info.minValue).toBe('-1');
+        expect(info.maxValue).toBe('0.999969482421875');
+        expect(info.resolution).toBe('0.000030517578125');
+    });
+
+    test('listFormats includes fixed-point layouts', () => {
+        const formats = JSON.parse(listFormats().content[0].text);
+        const q8 = formats.find(f => f.key === 'q8_8');
+        expect(q8).toMatchObject({ category: 'Fixed-Point', integerBits: 8, fractionBits: 8, totalBits: 16, isFixedPoint: true });
+    });
+});
+
+// ── quantize_mx tool ──────────────────────────────────────────────
+
+describe('E8M0 scale format', () => {
+    const decode = (bits) => JSON.parse(decodeBits({ bits, format: 'e8m0' }).content[0].text);
+
+    test('resolveFormat carries hasZero from presets and custom objects', () => {
+        expect(resolveFormat('e8m0').hasZero).toBe(false);
+        expect(resolveFormat({ signBits: 0, exponentBits: 4, mantissaBits: 0, hasZero: false }).hasZero).toBe(false);
+        expect(resolveFormat('fp16').hasZero).toBe(true);
+    });
+
+    test('decode_bits reads every code as a power of two except 0xFF', () => {
+        const one = decode('0x7F');
+        expect(one.actualValue).toBe(1);
+        expect(one.type).toBe('Normal');
+        expect(one.mantissaDecimal).toBe(1);
+        expect(one.exponentActual).toBe('127 - 127 = 0');
+
+        const min = decode('0x00');
+        expect(min.actualValue).toBe(Math.pow(2, -127));
+        expect(min.type).toBe('Normal');
+        expect(min.exponentActual).toBe('0 - 127 = -127');
+
+        const nan = decode('0xFF');
+        expect(nan.type).toBe('NaN');
+        expect(nan.exponentActual).toBe('Special');
+    });
+
+    test('encode_number clamps zero and saturates large values', () => {
+        const zero = JSON.parse(encodeNumber({ value: 0, format: 'e8m0' }).content[0].text);
+        expect(zero.hex).toBe('0x00');
+        const big = JSON.parse(encodeNumber({ value: 'inf', format: 'e8m0' }).content[0].text);
+        expect(big.hex).toBe('0xFE');
+    });
+
+    test('list_formats and get_format_info report the missing zero', () => {
+        const formats = JSON.parse(listFormats().content[0].text);
+        const e8m0 = formats.find(f => f.key === 'e8m0');
+        expect(e8m0.category).toBe('OCP');
+        expect(e8m0.hasZero).toBe(false);
+        expect(formats.find(f => f.key === 'fp32').hasZero).toBe(true);
+
+        const info = JSON.parse(getFormatInfo({ format: 'e8m0' }).content[0].text);
+        expect(info.hasZero).toBe(false);
+        expect(info.minNormal).toBe(Math.pow(2, -127));
+        expect(info.maxNormal).toBe(Math.pow(2, 127));
+        expect(info.maxSubnormal).toBeUndefined();
+    });
+});
+
+describe('FNUZ FP8 formats', () => {
+    const decode = (bits, format) => JSON.parse(decodeBits({ bits, format }).content[0].text);
+
+    test('resolveFormat carries hasNegativeZero', () => {
+        expect(resolveFormat('fp8_e4m3fnuz').hasNegativeZero).toBe(false);
+        expect(resolveFormat({ signBits: 1, exponentBits: 4, mantissaBits: 3, hasNegativeZero: false }).hasNegativeZero).toBe(false);
+        expect(resolveFormat('fp8_e4m3').hasNegativeZero).toBe(true);
+    });
+
+    test('decode_bits reads the negative-zero pattern as the only NaN', () => {
+        const nan = decode('0x80', 'fp8_e4m3fnuz');
+        expect(nan.type).toBe('NaN');
+        expect(nan.exponentActual).toBe('Special');
+        const max = decode('0x7F', 'fp8_e4m3fnuz');
+        expect(max.type).toBe('Normal');
+        expect(max.actualValue).toBe(240);
+        expect(decode('0x7C', 'fp8_e5m2fnuz').actualValue).toBe(32768);
+    });
+
+    test('encode_number maps -0 to +0', () => {
+        const zero = JSON.parse(encodeNumber({ value: '-0', format: 'fp8_e5m2fnuz' }).content[0].text);
+        expect(zero.hex).toBe('0x00');
+    });
+
+    test('list_formats and get_format_info report the encoding', () => {
+        const formats = JSON.parse(listFormats().content[0].text);
+        const fnuz = formats.find(f => f.key === 'fp8_e4m3fnuz');
+        expect(fnuz.category).toBe('ML');
+        expect(fnuz.hasNegativeZero).toBe(false);
+
+        const info = JSON.parse(getFormatInfo({ format: 'fp8_e4m3fnuz' }).content[0].text);
+        expect(info.hasNegativeZero).toBe(false);
+        expect(info.maxNormal).toBe(240);
+        expect(info.minNormal).toBe(Math.pow(2, -7));
+        expect(JSON.parse(getFormatInfo({ format: 'fp8_e4m3' }).content[0].text).maxNormal).toBe(448);
+    });
+});
+
+describe('Special-value policy', () => {
+    test('get_format_info reports the policy', () => {
+        const info = JSON.parse(getFormatInfo({ format: 'fp8_e4m3' }).content[0].text);
+        expect(info.specialValues).toEqual({
+            nan: 'allOnes', infinity: 'none', zero: true, negativeZero: true, subnormals: true, overflow: 'saturate',
+        });
+    });
+
+    test('custom formats accept a policy object', () => {
+        const format = { signBits: 1, exponentBits: 5, mantissaBits: 2, specialValues: { subnormals: false, overflow: 'saturate' } };
+        expect(resolveFormat(format).specialValues.overflow).toBe('saturate');
+        const info = JSON.parse(getFormatInfo({ format }).content[0].text);
+        expect(info.maxSubnormal).toBeUndefined();
+        expect(classifyValue(resolveFormat(format), 0, 0, 3)).toBe('+Zero');
+        const big = JSON.parse(encodeNumber({ value: 1e6, format }).content[0].text);
+        expect(big.hex).toBe('0x7B');
+        expect(() => resolveFormat({ ...format, specialValues: { nan: 'bogus' } })).toThrow('Unknown NaN encoding');
+    });
+});
+
+describe('Flush-to-zero and denormals-are-zero', () => {
+    const parse = (result) => JSON.parse(result.content[0].text);
+
+    test('encode_number flushes subnormal results with flushSubnormals', () => {
+        const flushed = parse(encodeNumber({ value: -1e-6, format: 'fp16', flushSubnormals: true }));
+        expect(flushed.hex).toBe('0x8000');
+        expect(flushed.flushed).toBe(true);
+        const normal = parse(encodeNumber({ value: 1, format: 'fp16', flushSubnormals: true }));
+        expect(normal.flushed).toBe(false);
+        expect(parse(encodeNumber({ value: 1e-6, format: 'fp16' })).flushed).toBeUndefined();
+    });
+
+    test('decode_bits reads subnormals as zero with subnormalsAreZero', () => {
+        const result = parse(decodeBits({ bits: '0x0001', format: 'fp16', subnormalsAreZero: true }));
+        expect(result.actualValue).toBe(0);
+        expect(result.flushed).toBe(true);
+        expect(parse(decodeBits({ bits: '0x3C00', format: 'fp16', subnormalsAreZero: true })).flushed).toBe(false);
+        expect(parse(decodeBits({ bits: '0x0001', format: 'fp16' })).flushed).toBeUndefined();
+    });
+
+    test('convert_format applies DAZ to the input and FTZ to the output', () => {
+        const ftz = parse(convertFormat({ value: 1e-6, inputFormat: 'fp32', outputFormat: 'fp16', flushSubnormals: true }));
+        expect(ftz.output.hex).toBe('0x0000');
+        expect(ftz.output.flushed).toBe(true);
+        const daz = parse(convertFormat({ value: 1e-40, inputFormat: 'fp32', outputFormat: 'fp64', subnormalsAreZero: true }));
+        expect(daz.input.flushed).toBe(true);
+        expect(daz.output.actualValue).toBe(0);
+    });
+});
+
+describe('Stochastic rounding', () => {
+    const parse = (result) => JSON.parse(result.content[0].text);
+
+    test('encode_number reports the round-up probability and honors the seed', () => {
+        const params = { value: '1.000244140625', format: 'fp16', roundingMode: 'stochastic', seed: 7 };
+        const first = parse(encodeNumber(params));
+        expect(first.roundUpProbability).toBe(0.25);
+        expect(['0x3C00', '0x3C01']).toContain(first.hex);
+        expect(parse(encodeNumber(params))).toEqual(first);
+        expect(parse(encodeNumber({ value: 1.1, format: 'fp16' })).roundUpProbability).toBeUndefined();
+    });
+
+    test('convert_format rounds both sides with one seeded generator', () => {
+        const params = { value: 0.1, inputFormat: 'fp32', outputFormat: 'bf16', roundingMode: 'stochastic', seed: 3 };
+        const first = parse(convertFormat(params));
+        expect(first.input.roundUpProbability).toBeGreaterThan(0);
+        expect(first.output.roundUpProbability).toBeGreaterThan(0);
+        expect(parse(convertFormat(params))).toEqual(first);
+    });
+
+    test('quantize_mx reports a probability per element', () => {
+        const result = parse(quantizeMX({ values: [1.03125, 1.03125], format: 'mxfp8_e4m3', roundingMode: 'stochastic', seed: 1 }));
+        for (const element of result.blocks[0].elements) {
+            expect(element.roundUpProbability).toBe(0.25);
+        }
+    });
+
+    test('schemas list every rounding mode and accept a seed', () => {
+        const encode = buildToolDescriptors().find((t) => t.name === 'encode_number');
+        expect(encode.inputSchema.properties.roundingMode.enum).toContain('stochastic');
+        expect(encode.inputSchema.properties.seed.type).toBe('integer');
+    });
+});
+
+// ── calculate tool ────────────────────────────────────────────────
+
+describe('parseExpression', () => {
+    test('parses infix operations', () => {
+        expect(parseExpression('1.5 + 2^-10')).toEqual({ operation: 'add', operands: ['1.5', '2^-10'] });
+        expect(parseExpression('-1-2')).toEqual({ operation: 'sub', operands: ['-1', '2'] });
+        expect(parseExpression('3 * -0.5')).toEqual({ operation: 'mul', operands: ['3', '-0.5'] });
+        expect(parseExpression('1e-5 / -inf')).toEqual({ operation: 'div', operands: ['1e-5', '-inf'] });
+        expect(parseExpression('2^-3 - 1E+2')).toEqual({ operation: 'sub', operands: ['2^-3', '1E+2'] });
+    });
+
+    test('parses sqrt and fma calls', () => {
+        expect(parseExpression('sqrt(2)')).toEqual({ operation: 'sqrt', operands: ['2'] });
+        expect(parseExpression(' FMA(0.1, 10, -1) ')).toEqual({ operation: 'fma', operands: ['0.1', '10', '-1'] });
+    });
+
+    test('rejects malformed expressions', () => {
+        expect(() => parseExpression('')).toThrow('Parameter "expression" is required.');
+        expect(() => parseExpression(42)).toThrow('Parameter "expression" is required.');
+        expect(() => parseExpression('pow(2, 3)')).toThrow('Unknown function "pow"');
+        expect(() => parseExpression('sqrt(1, 2)')).toThrow('sqrt takes 1 operand.');
+        expect(() => parseExpression('fma(1, , 2)')).toThrow('fma takes 3 operands.');
+        expect(() => parseExpression('1.5')).toThrow('Cannot parse expression: "1.5"');
+        expect(() => parseExpression('1 +')).toThrow('Cannot parse expression');
+    });
+});
+
+describe('expandPowerOperand', () => {
+    test('expands powers into exact decimal strings', () => {
+        expect(expandPowerOperand('2^10')).toBe('1024');
+        expect(expandPowerOperand('-3^2')).toBe('-9');
+        expect(expandPowerOperand('2^-3')).toBe('125e-3');
+        expect(expandPowerOperand('10^-2')).toBe('1e-2');
+        expect(expandPowerOperand('1.5')).toBe('1.5');
+    });
+
+    test('rejects powers without a finite decimal expansion', () => {
+        expect(() => expandPowerOperand('3^-1')).toThrow('Negative powers need a base of 2 or 10');
+        expect(() => expandPowerOperand('2^99999')).toThrow('Exponent out of range');
+    });
+});
+
+describe('calculate', () => {
+    const parse = (result) => JSON.parse(result.content[0].text);
+
+    test('rounds the result once in the format', () => {
+        const out = parse(calculate({ expression: '1.5 + 2^-10', format: 'fp16' }));
+        expect(out.operation).toBe('add');
+        expect(out.operands.map((o) => [o.input, o.exactValue])).toEqual([['1.5', '1.5'], ['2^-10', '0.0009765625']]);
+        expect(out.result).toMatchObject({ hex: '0x3E01', exactValue: '1.5009765625' });
+        expect(out.result.flags).toEqual({
+            invalid: false, divideByZero: false, overflow: false, underflow: false, inexact: false,
+        });
+        expect(parse(calculate({ expression: 'sqrt(2)', format: 'bf16' })).result.exactValue).toBe('1.4140625');
+        expect(parse(calculate({ expression: 'fma(0.1, 10, -1)', format: 'fp32' })).result.exactValue)
+            .toBe('0.00000001490116119384765625');
+    });
+
+    test('operands are rounded into the format first', () => {
+        const out = parse(calculate({ expression: '0.1 + 0.2', format: 'fp16', roundingMode: 'towardZero' }));
+        expect(out.operands[0].exact).toBe(false);
+        expect(out.result.exactValue).toBe('0.2998046875');
+    });
+
+    test('reports division by zero and invalid operations', () => {
+        const quotient = parse(calculate({ expression: '1 / 0', format: 'fp16' })).result;
+        expect(quotient.type).toBe('+Infinity');
+        expect(quotient.flags.divideByZero).toBe(true);
+        expect(parse(calculate({ expression: 'inf - inf', format: 'fp32' })).result.flags.invalid).toBe(true);
+    });
+
+    test('supports FTZ, DAZ and seeded stochastic rounding', () => {
+        const tiny = '2^-24';
+        expect(parse(calculate({ expression: `${tiny} + ${tiny}`, format: 'fp16', flushSubnormals: true }))
+            .result).toMatchObject({ type: '+Zero', flushed: true });
+        const daz = parse(calculate({ expression: `${tiny} + 1`, format: 'fp16', subnormalsAreZero: true }));
+        expect(daz.operands[0].flushed).toBe(true);
+        expect(daz.result.exactValue).toBe('1');
+        const params = { expression: '1 / 3', format: 'fp16', roundingMode: 'stochastic', seed: 5 };
+        expect(parse(calculate(params))).toEqual(parse(calculate(params)));
+        expect(parse(calculate(params)).result.roundUpProbability).toBeGreaterThan(0);
+    });
+
+    test('validates its parameters', () => {
+        expect(() => calculate({ expression: '1 + 1' })).toThrow('Parameter "format" is required.');
+        expect(() => calculate({ expression: '1 + 1', format: 'int8' }))
+            .toThrow('Arithmetic needs a floating-point format');
+        expect(() => calculate({ expression: '1 + x', format: 'fp16' })).toThrow('Cannot parse value');
+    });
+});
+
+describe('exactValueInput', () => {
+    test('keeps decimal strings and expands hex exactly', () => {
+        expect(exactValueInput(' 0.1 ')).toBe('0.1');
+        expect(exactValueInput('0xFFFFFFFFFFFFFFFF')).toBe('18446744073709551615');
+        expect(exactValueInput('-inf')).toBe(-Infinity);
+        expect(exactValueInput(2.5)).toBe(2.5);
+    });
+});
+
+describe('dotProduct', () => {
+    const parse = (result) => JSON.parse(result.content[0].text);
+    const ones = (n) => Array(n).fill('1');
+
+    test('a narrow accumulator stalls in sequential order', () => {
+        // BF16 has 8 significant bits, so 256 + 1 rounds back to 256
+        const params = { a: ones(300), b: ones(300), inputFormat: 'bf16', accumulatorFormat: 'bf16' };
+        const out = parse(dotProduct(params));
+        expect(out).toMatchObject({ length: 300, order: 'sequential', productsExact: true, inputsExact: true });
+        expect(out.result.actualValue).toBe(256);
+        expect(out.reference).toEqual({ value: 300, exactValue: '300' });
+        expect(out.error).toEqual({ absolute: -44, relative: 44 / 300 });
+        expect(out.flags.inexact).toBe(true);
+        expect(parse(dotProduct({ ...params, order: 'pairwise' })).result.actualValue).toBe(300);
+        const blocked = parse(dotProduct({ ...params, order: 'blocked', blockSize: 100 }));
+        expect(blocked).toMatchObject({ order: 'blocked', blockSize: 100 });
+        expect(blocked.result.actualValue).toBe(300);
+    });
+
+    test('rounds products into the product format', () => {
+        const params = { a: ['1.5', '0.1'], b: ['1.5', '3'], inputFormat: 'fp16', accumulatorFormat: 'fp32' };
+        const exact = parse(dotProduct(params));
+        expect(exact.inputsExact).toBe(false);
+        // 0.1 is rounded into FP16 first, and the reference uses the rounded inputs.
+        // 0.1 × 3 then ties between two FP16 products and rounds to even.
+        expect(exact.reference.exactValue).toBe('2.5499267578125');
+        expect(exact.error.absolute).toBe(0);
+        const rounded = parse(dotProduct({ ...params, productFormat: 'fp16' }));
+        expect(rounded.productsExact).toBe(false);
+        expect(rounded.result.exactValue).toBe('2.5498046875');
+        expect(rounded.error.absolute).toBe(-Math.pow(2, -13));
+    });
+
+    test('integer and fixed-point accumulators', () => {
+        const vector = [127, -128, 100];
+        const out = parse(dotProduct({
+            a: vector, b: vector, inputFormat: 'int8', productFormat: 'int16', accumulatorFormat: 'int16',
+        }));
+        expect(out.result.actualValue).toBe(32767);
+        expect(out.flags.invalid).toBe(true);
+        expect(out.reference.exactValue).toBe('42513');
+        const wrapped = parse(dotProduct({
+            a: vector, b: vector, inputFormat: 'int8', accumulatorFormat: 'int16', overflow: 'wrap',
+        }));
+        expect(wrapped.result.actualValue).toBe(42513 - 65536);
+        expect(parse(dotProduct({ a: ['0.5', '0.25'], b: ['0.5', '0.5'], inputFormat: 'q1.7', accumulatorFormat: 'q8.8' }))
+            .result.exactValue).toBe('0.375');
+    });
+
+    test('special values and exception flags', () => {
+        const out = parse(dotProduct({ a: ['inf', 1], b: [0, 2], inputFormat: 'fp16', accumulatorFormat: 'fp32' }));
+        expect(out.result.type).toBe('NaN');
+        expect(out.flags.invalid).toBe(true);
+        expect(out.reference.exactValue).toBe('NaN');
+        expect(out.error.absolute).toBe('NaN');
+        const overflow = parse(dotProduct({ a: [60000, 60000], b: [2, 2], inputFormat: 'fp16', accumulatorFormat: 'fp16' }));
+        expect(overflow.result.type).toBe('+Infinity');
+        expect(overflow.flags.overflow).toBe(true);
+        expect(overflow.reference.exactValue).toBe('240000');
+    });
+
+    test('FTZ, DAZ and seeded stochastic rounding', () => {
+        const tiny = ['0.00006103515625'];
+        const params = { a: tiny, b: ['0.5'], inputFormat: 'fp16', accumulatorFormat: 'fp16' };
+        expect(parse(dotProduct(params)).result.type).toBe('Subnormal');
+        expect(parse(dotProduct({ ...params, flushSubnormals: true })).result.type).toBe('+Zero');
+        expect(parse(dotProduct({ a: ['0.0000152587890625'], b: ['1'], inputFormat: 'fp16', accumulatorFormat: 'fp32',
+            subnormalsAreZero: true })).result.type).toBe('+Zero');
+        const seeded = { a: ones(20), b: Array(20).fill('0.1'), inputFormat: 'fp32', accumulatorFormat: 'fp8_e4m3',
+            roundingMode: 'stochastic', seed: 11 };
+        expect(parse(dotProduct(seeded))).toEqual(parse(dotProduct(seeded)));
+    });
+
+    test('validates its parameters', () => {
+        const base = { a: [1], b: [1], inputFormat: 'fp16', accumulatorFormat: 'fp32' };
+        expect(() => dotProduct({ ...base, a: [] })).toThrow('must be non-empty arrays');
+        expect(() => dotProduct({ ...base, b: [1, 2] })).toThrow('same length (got 1 and 2)');
+        expect(() => dotProduct({ ...base, inputFormat: undefined })).toThrow('"inputFormat" is required');
+        expect(() => dotProduct({ ...base, accumulatorFormat: undefined })).toThrow('"accumulatorFormat" is required');
+        expect(() => dotProduct({ ...base, order: 'random' })).toThrow('Unknown order: "random"');
+        expect(() => dotProduct({ ...base, blockSize: 0 })).toThrow('"blockSize" must be a positive integer');
+        expect(() => dotProduct({ ...base, a: [300], inputFormat: 'int8', overflow: 'error' }))
+            .toThrow('Dot product failed: 300 is out of range for int8');
+    });
+});
+
+describe('parseBitsInput', () => {
+    test('parses hex and binary bit-patterns', () => {
+        const fp16 = resolveFormat('fp16');
+        expect(parseBitsInput('0x3C00', fp16)).toEqual({ sign: 0, exponent: 15, mantissa: 0 });
+        expect(parseBitsInput('1', fp16)).toEqual({ sign: 0, exponent: 0, mantissa: 1 });
+        expect(() => parseBitsInput('0xZZ', fp16)).toThrow('Invalid hex value');
+        expect(() => parseBitsInput('12', fp16)).toThrow('must be a binary string');
+    });
+});
+
+describe('nextValue', () => {
+    const parse = (result) => JSON.parse(result.content[0].text);
+
+    test('lists the values above or below a value', () => {
+        const out = parse(nextValue({ value: '1', format: 'bf16', count: 3 }));
+        expect(out.start.hex).toBe('0x3F80');
+        expect(out.direction).toBe('up');
+        expect(out.values.map((v) => v.hex)).toEqual(['0x3F81', '0x3F82', '0x3F83']);
+        expect(out.values[0].actualValue).toBe(1.0078125);
+        const down = parse(nextValue({ bits: '0x0000', format: 'fp16', direction: 'down' }));
+        expect(down.values[0]).toMatchObject({ hex: '0x8001', type: 'Subnormal' });
+    });
+
+    test('stops at the ends of the range', () => {
+        const out = parse(nextValue({ value: 126, format: 'int8', count: 3 }));
+        expect(out.values.map((v) => v.actualValue)).toEqual([127, 127, 127]);
+        const infinity = parse(nextValue({ value: '65504', format: 'fp16', count: 2 }));
+        expect(infinity.values.map((v) => v.actualValue)).toEqual(['Infinity', 'Infinity']);
+    });
+
+    test('rounds the starting value first', () => {
+        const out = parse(nextValue({ value: '0.1', format: 'fp8_e4m3', roundingMode: 'towardZero' }));
+        expect(out.start).toMatchObject({ actualValue: 0.09375, exact: false });
+        expect(out.values[0].actualValue).toBe(0.1015625);
+    });
+
+    test('validates its parameters', () => {
+        expect(() => nextValue({ value: 1 })).toThrow('"format" is required');
+        expect(() => nextValue({ format: 'fp16' })).toThrow('exactly one of "value" or "bits"');
+        expect(() => nextValue({ value: 1, bits: '0x3C00', format: 'fp16' })).toThrow('exactly one');
+        expect(() => nextValue({ value: 1, format: 'fp16', direction: 'sideways' }))
+            .toThrow('Unknown direction: "sideways"');
+        expect(() => nextValue({ value: 1, format: 'fp16', count: 0 })).toThrow('"count" must be an integer from 1 to 1024');
+        expect(() => nextValue({ value: 1, format: 'fp16', count: 1025 })).toThrow('"count"');
+    });
+});
+
+describe('getUlp', () => {
+    const parse = (result) => JSON.parse(result.content[0].text);
+
+    test('reports the ulp and both neighbours', () => {
+        const out = parse(getUlp({ value: '1', format: 'fp16' }));
+        expect(out.ulp).toBe(Math.pow(2, -10));
+        expect(out.value.actualValue).toBe(1);
+        expect(out.nextUp.actualValue).toBe(1 + Math.pow(2, -10));
+        expect(out.nextDown.actualValue).toBe(1 - Math.pow(2, -11));
+        expect(parse(getUlp({ bits: '0x7C00', format: 'fp16' })).ulp).toBe('Infinity');
+        expect(parse(getUlp({ value: 5, format: 'q8_8' })).ulp).toBe(1 / 256);
+        expect(() => getUlp({ value: 1 })).toThrow('"format" is required');
+    });
+});
+
+describe('ulpDistance', () => {
+    const parse = (result) => JSON.parse(result.content[0].text);
+
+    test('counts the steps between two values', () => {
+        const out = parse(ulpDistance({ a: '1', b: '2', format: 'bf16' }));
+        expect(out.distance).toBe(128);
+        expect(out.a.actualValue).toBe(1);
+        expect(out.b.actualValue).toBe(2);
+        expect(parse(ulpDistance({ a: '0', b: '-0', format: 'fp32' })).distance).toBe(0);
+        expect(parse(ulpDistance({ a: 'nan', b: '1', format: 'fp32' })).distance).toBe('NaN');
+        expect(parse(ulpDistance({ a: -100, b: 100, format: 'int64' })).distance).toBe(200);
+    });
+
+    test('keeps distances past 2^53 exact', () => {
+        const out = parse(ulpDistance({ a: '-1', b: '1', format: 'fp64' }));
+        expect(out.distance).toBe((2n * 0x3FF0000000000000n).toString());
+    });
+
+    test('validates its parameters', () => {
+        expect(() => ulpDistance({ a: 1, format: 'fp16' })).toThrow('"a" and "b" are required');
+        expect(() => ulpDistance({ a: 1, b: 2 })).toThrow('"format" is required');
+    });
+});
+
+describe('createBatchConverter', () => {
+    test('encodes values into flat rows', () => {
+        const { columns, convert } = createBatchConverter({ mode: 'encode', format: 'fp16' });
+        expect(columns).toEqual(['input', 'hex', 'binary', 'value', 'error', 'flags']);
+        expect(convert('1e10')).toEqual({
+            input: '1e10', hex: '0x7C00', binary: '0111110000000000', value: 'Infinity', error: 'Infinity',
+            flags: ['overflow', 'inexact'],
+        });
+        expect(convert('inf')).toMatchObject({ value: 'Infinity', error: 0, flags: [] });
+        expect(convert(0.5)).toMatchObject({ input: '0.5', value: 0.5, error: 0 });
+        const exact = createBatchConverter({ mode: 'encode', format: 'bf16', digits: 'exact' }).convert('0.1');
+        expect(exact.value).toBe('0.10009765625');
+        expect(createBatchConverter({ mode: 'encode', format: 'bf16', digits: 'shortest' }).convert('0.1').value).toBe('0.1');
+        expect(createBatchConverter({ mode: 'encode', format: 'int64' }).convert('9007199254740993').value)
+            .toBe('9007199254740993');
+    });
+
+    test('draws a whole batch from one seeded generator', () => {
+        const run = (seed) => {
+            const { convert } = createBatchConverter({ mode: 'encode', format: 'bf16', roundingMode: 'stochastic', seed });
+            return Array.from({ length: 20 }, () => convert('0.1').hex);
+        };
+        expect(run(7)).toEqual(run(7));
+        expect(new Set(run(7)).size).toBe(2);
+    });
+
+    test('decodes bit-patterns', () => {
+        const { columns, convert } = createBatchConverter({ mode: 'decode', format: 'fp16', subnormalsAreZero: true });
+        expect(columns).toEqual(['input', 'hex', 'binary', 'value', 'type']);
+        expect(convert('0x3C00')).toEqual({ input: '0x3C00', hex: '0x3C00', binary: '0011110000000000', value: 1, type: 'Normal' });
+        expect(convert('0x0001')).toMatchObject({ value: 0, type: 'Subnormal' });
+        expect(() => convert('12')).toThrow('"bits" must be a binary string');
+    });
+
+    test('converts between formats', () => {
+        const { columns, convert } = createBatchConverter({ mode: 'convert', inputFormat: 'fp32', outputFormat: 'fp16' });
+        expect(columns).toEqual(['input', 'inputHex', 'hex', 'binary', 'value', 'error', 'flags']);
+        expect(convert('0.1')).toMatchObject({ inputHex: '0x3DCCCCCD', hex: '0x2E66', flags: ['inexact'] });
+        expect(convert('0.1').error).toBeCloseTo(0.0999755859375 - Math.fround(0.1), 15);
+        expect(convert('1.5')).toMatchObject({ value: 1.5, error: 0, flags: [] });
+
+        const wide = createBatchConverter({
+            mode: 'convert', inputFormat: { signBits: 1, exponentBits: 15, mantissaBits: 112 },
+            outputFormat: { signBits: 1, exponentBits: 15, mantissaBits: 63 }, digits: 'exact',
+        }).convert('1.000000000000000000867361737988403547205962240695953369140625');
+        expect(wide).toMatchObject({ value: '1.000000000000000000867361737988403547205962240695953369140625', error: 0, flags: [] });
+    });
+
+    test('validates its parameters', () => {
+        expect(() => createBatchConverter({ mode: 'sum', format: 'fp16' }))
+            .toThrow('Unknown batch mode: "sum". Use encode, decode, convert.');
+        expect(() => createBatchConverter({ mode: 'encode' })).toThrow('"format" is required');
+        expect(() => createBatchConverter({ mode: 'convert', outputFormat: 'fp16' })).toThrow('"inputFormat" is required');
+        expect(() => createBatchConverter({ mode: 'convert', inputFormat: 'fp32' })).toThrow('"outputFormat" is required');
+    });
+});
+
+describe('Integer overflow policy', () => {
+    const parse = (result) => JSON.parse(result.content[0].text);
+
+    test('resolveFormat accepts overflow and nanValue on integer objects', () => {
+        const int8 = resolveFormat({ bits: 8, overflow: 'wrap', nanValue: -128 });
+        expect(int8).toMatchObject({ signed: true, overflow: 'wrap', nanValue: -128 });
+        expect(() => resolveFormat({ bits: 8, overflow: 'clamp' }))
+            .toThrow('Invalid integer format: Unknown overflow mode: "clamp". Valid modes: saturate, wrap, error.');
+        expect(() => resolveFormat({ bits: 8, nanValue: 999 })).toThrow('Invalid integer format: nanValue');
+    });
+
+    test('encode_number and convert_format take an overflow mode', () => {
+        expect(parse(encodeNumber({ value: 200, format: 'int8', overflow: 'wrap' })).exactValue).toBe('-56');
+        expect(() => encodeNumber({ value: 200, format: 'int8', overflow: 'error' })).toThrow('out of range for int8');
+        const wrapped = parse(convertFormat({ value: 300, inputFormat: 'fp32', outputFormat: 'uint8', overflow: 'wrap' }));
+        expect(wrapped.output.exactValue).toBe('44');
+        expect(wrapped.output.flags.invalid).toBe(true);
+        expect(parse(convertFormat({ value: 300, inputFormat: 'fp32', outputFormat: 'uint8' })).output.exactValue).toBe('255');
+        expect(() => convertFormat({ value: 'nan', inputFormat: 'fp32', outputFormat: 'int32', overflow: 'error' }))
+            .toThrow('NaN has no int32 encoding');
+        // Floating-point formats have their own overflow policy and ignore it
+        expect(parse(encodeNumber({ value: 1e6, format: 'fp16', overflow: 'error' })).type).toBe('+Infinity');
+    });
+
+    test('schemas list the overflow modes', () => {
+        const tools = buildToolDescriptors();
+        for (const name of ['encode_number', 'convert_format']) {
+            const tool = tools.find((t) => t.name === name);
+            expect(tool.inputSchema.properties.overflow.enum).toEqual(['saturate', 'wrap', 'error']);
+        }
+    });
+});
+
+describe('Exception flags', () => {
+    const parse = (result) => JSON.parse(result.content[0].text);
+
+    test('encode_number reports the flags the encode raised', () => {
+        expect(parse(encodeNumber({ value: 1.5, format: 'fp16' })).flags)
+            .toEqual({ invalid: false, overflow: false, underflow: false, inexact: false });
+        expect(parse(encodeNumber({ value: '1e6', format: 'fp16' })).flags).toMatchObject({ overflow: true, inexact: true });
+        expect(parse(encodeNumber({ value: 'nan', format: 'int8' })).flags.invalid).toBe(true);
+        // Decoded bit-patterns were not rounded, so they carry no flags
+        expect(parse(decodeBits({ bits: '0x3C00', format: 'fp16' })).flags).toBeUndefined();
+    });
+
+    test('tininess selects when underflow is detected', () => {
+        // Just below the smallest normal; rounds up to it at fp16 precision
+        const value = Math.pow(2, -14) * (1 - Math.pow(2, -12));
+        expect(parse(encodeNumber({ value, format: 'fp16' })).flags.underflow).toBe(false);
+        expect(parse(encodeNumber({ value, format: 'fp16', tininess: 'beforeRounding' })).flags.underflow).toBe(true);
+    });
+
+    test('convert_format reports flags for both encodes', () => {
+        const result = parse(convertFormat({ value: 1e-6, inputFormat: 'fp32', outputFormat: 'fp16' }));
+        expect(result.input.flags).toMatchObject({ underflow: false, inexact: true });
+        expect(result.output.flags).toMatchObject({ underflow: true, inexact: true });
+        const tools = buildToolDescriptors();
+        for (const name of ['encode_number', 'convert_format']) {
+            const tool = tools.find((t) => t.name === name);
+            expect(tool.inputSchema.properties.tininess.enum).toEqual(['beforeRounding', 'afterRounding']);
+        }
+    });
+});
+
+describe('quantizeMX', () => {
+    const run = (params) => JSON.parse(quantizeMX(params).content[0].text);
+
+    test('resolveMXFormat accepts preset keys and custom blocks', () => {
+        const preset = resolveMXFormat('MXFP8-E4M3');
+        expect(preset.name).toBe('MXFP8 (E4M3)');
+        expect(preset.mx.elementEmax).toBe(8);
+        const custom = resolveMXFormat({ element: 'fp16', blockSize: 4 });
+        expect(custom.name).toBe('Custom MX');
+        expect(custom.mx.blockSize).toBe(4);
+    });
+
+    test('resolveMXFormat rejects unknown or invalid formats', () => {
+        expect(() => resolveMXFormat('mxfp2')).toThrow('Unknown MX format preset: "mxfp2"');
+        expect(() => resolveMXFormat({ blockSize: 32 })).toThrow('an object { element, blockSize? }');
+        expect(() => resolveMXFormat({ element: 'int8' })).toThrow('Invalid MX format: MX elements must be');
+        expect(() => resolveMXFormat({ element: 'fp4_e2m1', blockSize: 0 })).toThrow('blockSize must be a positive integer');
+    });
+
+    test('reports scale and element bits for each block', () => {
+        const result = run({ values: [0.1, '-2.5', 1000], format: 'mxfp8_e4m3' });
+        expect(result).toMatchObject({ format: 'MXFP8 (E4M3)', blockSize: 32, elementBits: 8, elementEmax: 8 });
+        expect(result.blocks).toHaveLength(1);
+        expect(result.blocks[0].scale).toEqual({ hex: '0x80', exponent: 1, value: 2 });
+        expect(result.blocks[0].elements[2]).toEqual({ input: 1000, hex: '0x7E', binary: '01111110', value: 896, error: -104 });
+        expect(result.maxAbsError).toBe(104);
+    });
+
+    test('quantizes MXINT8 and honors the rounding mode', () => {
+        const result = run({ values: [1, 0.0078125], format: 'mxint8', roundingMode: 'towardZero' });
+        expect(result.blocks[0].scale.exponent).toBe(0);
+        expect(result.blocks[0].elements.map(e => e.hex)).toEqual(['0x40', '0x00']);
+    });
+
+    test('NaN scales serialize as strings', () => {
+        const result = run({ values: ['nan', 1], format: 'mxfp4_e2m1' });
+        expect(result.blocks[0].scale).toEqual({ hex: '0xFF', exponent: null, value: 'NaN' });
+        expect(result.blocks[0].elements[1].value).toBe('NaN');
+    });
+
+    test('validates parameters', () => {
+        expect(() => quantizeMX({ values: [], format: 'mxint8' })).toThrow('non-empty array');
+        expect(() => quantizeMX({ values: [1] })).toThrow('Parameter "format" is required.');
+    });
+});
+
 // ── getFormatInfo tool ────────────────────────────────────────────
 
 describe('getFormatInfo', () => {
@@ -798,9 +1640,9 @@ describe('getFormatInfo', () => {
 // ── buildToolDescriptors ──────────────────────────────────────────
 
 describe('buildToolDescriptors', () => {
-    test('returns five tool descriptors', () => {
+    test('returns thirteen tool descriptors', () => {
         const tools = buildToolDescriptors();
-        expect(tools).toHaveLength(5);
+        expect(tools).toHaveLength(13);
     });
 
     test('each tool has required WebMCP properties', () => {
@@ -826,6 +1668,14 @@ describe('buildToolDescriptors', () => {
             'decode_bits',
             'convert_format',
             'get_format_info',
+            'quantize_mx',
+            'calculate',
+            'dot_product',
+            'next_value',
+            'get_ulp',
+            'ulp_distance',
+            'analyze_quantization',
+            'search_scaling',
         ]);
     });
 
@@ -896,7 +1746,7 @@ describe('registerWebMCP', () => {
 
         const controller = registerWebMCP();
         expect(controller).toBeInstanceOf(AbortController);
-        expect(registeredTools).toHaveLength(5);
+        expect(registeredTools).toHaveLength(13);
 
         // Each call should pass a tool object and an options object with a signal
         for (const { tool, options } of registeredTools) {
@@ -909,7 +1759,9 @@ describe('registerWebMCP', () => {
 
         // Verify the expected tool names
         const names = registeredTools.map(r => r.tool.name);
-        expect(names).toEqual(['list_formats', 'encode_number', 'decode_bits', 'convert_format', 'get_format_info']);
+        expect(names).toEqual(['list_formats', 'encode_number', 'decode_bits', 'convert_format', 'get_format_info', 'quantize_mx',
+            'calculate', 'dot_product', 'next_value', 'get_ulp', 'ulp_distance', 'analyze_quantization',
+            'search_scaling']);
 
         // All signals should be from the same controller
         const signal = registeredTools[0].options.signal;
@@ -989,7 +1841,12 @@ describe('End-to-end round-trip scenarios', () => {
             // Each format should be able to encode 0 without error
             const result = encodeNumber({ value: 0, format: key });
             const stats = JSON.parse(result.content[0].text);
-            expect(stats.actualValue).toBe(0);
+            if (FORMATS[key].hasZero === false) {
+                // Formats without zero clamp to their smallest value
+                expect(stats.actualValue).toBeGreaterThan(0);
+            } else {
+                expect(stats.actualValue).toBe(0);
+            }
         }
     });
 
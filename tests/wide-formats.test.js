@@ -0,0 +1,274 @@
+// Exact (BigInt) encode/decode for formats wider than FP64
+const { FloatingPoint, Integer, ROUNDING_MODES } = require('../lib/floating-point.js');
+const { encodeNumber, decodeBits, convertFormat, getFormatInfo } = require('../src/webmcp.js');
+
+function parse(result) {
+  return JSON.parse(result.content[0].text);
+}
+
+describe('FP128 (1,15,112)', () => {
+  const fp128 = new FloatingPoint(1, 15, 112);
+
+  test('uses the exact BigInt path', () => {
+    expect(fp128.bigIntMantissa).toBe(true);
+    expect(fp128.exactArithmetic).toBe(true);
+  });
+
+  test('encodes 1/3 exactly from its double value', () => {
+    const enc = fp128.encode(1 / 3);
+    expect(typeof enc.mantissa).toBe('bigint');
+    expect(fp128.toHexString(enc.sign, enc.exponent, enc.mantissa))
+      .toBe('0x3FFD5555555555555000000000000000');
+    expect(fp128.decode(enc.sign, enc.exponent, enc.mantissa)).toBe(1 / 3);
+  });
+
+  test('round-trips doubles including subnormals and negatives', () => {
+    for (const v of [1, -2.5, 0.1, Number.MAX_VALUE, Number.MIN_VALUE, -1e-300]) {
+      const enc = fp128.encode(v);
+      expect(enc.isNormal).toBe(true);
+      expect(fp128.decode(enc.sign, enc.exponent, enc.mantissa)).toBe(v);
+    }
+  });
+
+  test('encodes special values', () => {
+    expect(fp128.encode(0).isZero).toBe(true);
+    expect(fp128.encode(-0).sign).toBe(1);
+    expect(fp128.encode(NaN).isNaN).toBe(true);
+    const inf = fp128.encode(-Infinity);
+    expect(inf.isInfinite).toBe(true);
+    expect(inf.sign).toBe(1);
+    expect(fp128.decode(inf.sign, inf.exponent, inf.mantissa)).toBe(-Infinity);
+    const nan = fp128.getNaN();
+    expect(fp128.decode(nan.sign, nan.exponent, nan.mantissa)).toBeNaN();
+  });
+
+  test('decodes values beyond the double range', () => {
+    const max = fp128.getMaxNormal();
+    expect(fp128.decode(max.sign, max.exponent, max.mantissa)).toBe(Infinity);
+    expect(fp128.decode(0, 0, 1n)).toBe(0);
+    expect(fp128.decode(1, 0, 0n)).toBe(-0);
+  });
+
+  test('toDecimalString gives the exact expansion', () => {
+    const enc = fp128.encode(0.1);
+    expect(fp128.toDecimalString(enc.sign, enc.exponent, enc.mantissa))
+      .toBe('0.1000000000000000055511151231257827021181583404541015625');
+    expect(fp128.toDecimalString(1, 16383, 0n)).toBe('-1');
+    expect(fp128.toDecimalString(0, 16383 + 10, 0n)).toBe('1024');
+    expect(fp128.toDecimalString(0, 16383 + 120, 0n)).toBe('1329227995784915872903807060280344576');
+    expect(fp128.toDecimalString(1, 0, 0n)).toBe('-0');
+    expect(fp128.toDecimalString(0, 32767, 0n)).toBe('Infinity');
+    expect(fp128.toDecimalString(1, 32767, 0n)).toBe('-Infinity');
+    expect(fp128.toDecimalString(0, 32767, 1n)).toBe('NaN');
+  });
+
+  test('toDecimalString of the smallest subnormal', () => {
+    const str = fp128.toDecimalString(0, 0, 1n);
+    expect(str.startsWith('0.000')).toBe(true);
+    expect(str.endsWith('5')).toBe(true);
+  });
+});
+
+describe('toDecimalString for narrow formats', () => {
+  test('matches the decoded double exactly', () => {
+    const fp16 = new FloatingPoint(1, 5, 10);
+    expect(fp16.exactArithmetic).toBe(false);
+    const enc = fp16.encode(0.1);
+    expect(fp16.toDecimalString(enc.sign, enc.exponent, enc.mantissa)).toBe('0.0999755859375');
+    expect(fp16.toDecimalString(0, 0, 1)).toBe('0.000000059604644775390625');
+  });
+});
+
+describe('exact rounding (1,15,2)', () => {
+  // 15 exponent bits force the exact path while keeping 2 mantissa bits easy to reason about
+  const fmt = new FloatingPoint(1, 15, 2);
+  const value = (v, mode) => {
+    const enc = fmt.encode(v, { roundingMode: mode });
+    return fmt.decode(enc.sign, enc.exponent, enc.mantissa);
+  };
+
+  test('uses the exact path with Number mantissas', () => {
+    expect(fmt.exactArithmetic).toBe(true);
+    expect(fmt.bigIntMantissa).toBe(false);
+    expect(typeof fmt.encode(1.25).mantissa).toBe('number');
+  });
+
+  test('tiesToEven', () => {
+    expect(value(1.125, ROUNDING_MODES.tiesToEven)).toBe(1);
+    expect(value(1.375, ROUNDING_MODES.tiesToEven)).toBe(1.5);
+    expect(value(1.1, ROUNDING_MODES.tiesToEven)).toBe(1);
+    expect(value(1.2, ROUNDING_MODES.tiesToEven)).toBe(1.25);
+  });
+
+  test('tiesToAway', () => {
+    expect(value(1.125, ROUNDING_MODES.tiesToAway)).toBe(1.25);
+    expect(value(-1.125, ROUNDING_MODES.tiesToAway)).toBe(-1.25);
+    expect(value(1.1, ROUNDING_MODES.tiesToAway)).toBe(1);
+  });
+
+  test('towardZero', () => {
+    expect(value(1.2, ROUNDING_MODES.towardZero)).toBe(1);
+    expect(value(-1.2, ROUNDING_MODES.towardZero)).toBe(-1);
+  });
+
+  test('towardPositive', () => {
+    expect(value(1.1, ROUNDING_MODES.towardPositive)).toBe(1.25);
+    expect(value(-1.1, ROUNDING_MODES.towardPositive)).toBe(-1);
+    expect(value(1.25, ROUNDING_MODES.towardPositive)).toBe(1.25);
+  });
+
+  test('towardNegative', () => {
+    expect(value(1.1, ROUNDING_MODES.towardNegative)).toBe(1);
+    expect(value(-1.1, ROUNDING_MODES.towardNegative)).toBe(-1.25);
+    expect(value(-1.25, ROUNDING_MODES.towardNegative)).toBe(-1.25);
+  });
+
+  test('mantissa carry increments the exponent', () => {
+    const enc = fmt.encode(1.9, { roundingMode: ROUNDING_MODES.tiesToEven });
+    expect(enc.exponent).toBe(fmt.bias + 1);
+    expect(enc.mantissa).toBe(0);
+  });
+
+  test('subnormals, including rounding up to the min normal', () => {
+    // A negative bias pushes the range past FP64 while keeping subnormals representable
+    const shifted = new FloatingPoint(1, 8, 2, { bias: -900 });
+    expect(shifted.exactArithmetic).toBe(true);
+    const minNormal = Math.pow(2, 1 - shifted.bias);
+    const sub = shifted.encode(minNormal / 2);
+    expect(sub.isSubnormal).toBe(true);
+    expect(sub.mantissa).toBe(2);
+    const up = shifted.encode(minNormal * 0.9);
+    expect(up.isNormal).toBe(true);
+    expect(up.exponent).toBe(1);
+    const zero = shifted.encode(minNormal / 16);
+    expect(zero.isZero).toBe(true);
+  });
+
+  test('rounds non-dyadic rationals once', () => {
+    // 1/3 → 1.25 × 2^-2 (0.3125) under tiesToEven
+    const enc = fmt._encodeRational(0, 1n, 3n, ROUNDING_MODES.tiesToEven);
+    expect(enc.exponent).toBe(fmt.bias - 2);
+    expect(enc.mantissa).toBe(1);
+  });
+
+  test('rejects unknown rounding modes', () => {
+    expect(() => fmt.encode(1.1, { roundingMode: 'bogus' })).toThrow('Unknown rounding mode: "bogus"');
+  });
+});
+
+describe('exact overflow handling', () => {
+  test('overflows to infinity or clamps under directed rounding', () => {
+    const fmt = new FloatingPoint(1, 8, 60);
+    expect(fmt.encode(1e39).isInfinite).toBe(true);
+    const clamped = fmt.encode(-1e39, { roundingMode: ROUNDING_MODES.towardZero });
+    expect(clamped.isInfinite).toBe(false);
+    expect(clamped.sign).toBe(1);
+    expect(clamped.mantissa).toBe((1n << 60n) - 1n);
+  });
+
+  // A bias of 1100 puts the subnormals below FP64 while the top of the range
+  // stays representable, so carries at the max exponent can be reached.
+  test('mantissa carry past the max normal becomes infinity', () => {
+    const fmt = new FloatingPoint(1, 8, 2, { bias: 1100 });
+    expect(fmt.exactArithmetic).toBe(true);
+    expect(fmt.encode(Math.pow(2, 254 - 1100) * 1.9).isInfinite).toBe(true);
+  });
+
+  test('formats without infinity saturate', () => {
+    const wide = new FloatingPoint(1, 8, 60, { hasInfinity: false, hasNaN: false });
+    const inf = wide.encode(Infinity);
+    expect(inf.isInfinite).toBe(false);
+    expect(inf.exponent).toBe(255);
+    expect(inf.mantissa).toBe((1n << 60n) - 1n);
+    expect(wide.encode(NaN).isZero).toBe(true);
+
+    const fmt = new FloatingPoint(1, 8, 2, { bias: 1100, hasInfinity: false, hasNaN: false });
+    const carried = fmt.encode(Math.pow(2, 255 - 1100) * 1.9);
+    expect(carried.exponent).toBe(255);
+    expect(carried.mantissa).toBe(3);
+  });
+
+  test('OCP-style formats clamp away from the all-ones NaN pattern', () => {
+    const fmt = new FloatingPoint(1, 8, 2, { bias: 1100, hasInfinity: false, hasNaN: true });
+    const enc = fmt.encode(Math.pow(2, 255 - 1100) * 1.7);
+    expect(enc.isNaN).toBe(false);
+    expect(enc.exponent).toBe(255);
+    expect(enc.mantissa).toBe(2);
+    const wide = new FloatingPoint(1, 8, 60, { hasInfinity: false, hasNaN: true });
+    expect(wide.decode(0, 255, (1n << 60n) - 1n)).toBeNaN();
+  });
+});
+
+describe('wide fixed-point (1,0,60)', () => {
+  const fmt = new FloatingPoint(1, 0, 60);
+
+  test('encodes fractions exactly', () => {
+    const enc = fmt.encode(-0.375);
+    expect(enc.sign).toBe(1);
+    expect(enc.mantissa).toBe(3n << 57n);
+    expect(fmt.decode(enc.sign, enc.exponent, enc.mantissa)).toBe(-0.375);
+    expect(fmt.toDecimalString(enc.sign, enc.exponent, enc.mantissa)).toBe('-0.375');
+  });
+
+  test('maps NaN and zero to zero and saturates infinities', () => {
+    expect(fmt.encode(NaN).isZero).toBe(true);
+    expect(fmt.encode(0).isZero).toBe(true);
+    const inf = fmt.encode(-Infinity);
+    expect(inf.sign).toBe(1);
+    expect(inf.mantissa).toBe((1n << 60n) - 1n);
+  });
+});
+
+describe('toMantissa', () => {
+  test('returns the representation used by each format', () => {
+    expect(new FloatingPoint(1, 15, 112).toMantissa(5)).toBe(5n);
+    expect(new FloatingPoint(1, 8, 23).toMantissa(5n)).toBe(5);
+    expect(new Integer(8, true).toMantissa(5n)).toBe(5);
+  });
+});
+
+describe('webmcp with wide formats', () => {
+  const format = { signBits: 1, exponentBits: 15, mantissaBits: 112 };
+
+  test('encodeNumber and decodeBits round-trip FP128', () => {
+    const enc = parse(encodeNumber({ value: 1 / 3, format }));
+    expect(enc.hex).toBe('0x3FFD5555555555555000000000000000');
+    const dec = parse(decodeBits({ bits: enc.hex, format }));
+    expect(dec.actualValue).toBe(1 / 3);
+    expect(dec.type).toBe('Normal');
+  });
+
+  test('decodeBits classifies wide special values', () => {
+    expect(parse(decodeBits({ bits: '0x7FFF0000000000000000000000000000', format })).type)
+      .toBe('+Infinity');
+    expect(parse(decodeBits({ bits: '0x7FFF0000000000000000000000000001', format })).type)
+      .toBe('NaN');
+  });
+
+  test('convertFormat rounds once from the exact FP128 value', () => {
+    const wide = { signBits: 1, exponentBits: 15, mantissaBits: 63 };
+    // 1 + 2^-60 fits the 63-bit mantissa; 10^21 + 1 rounds to 10^21
+    const kept = parse(convertFormat({
+      value: '1.000000000000000000867361737988403547205962240695953369140625', inputFormat: format, outputFormat: wide,
+    }));
+    expect(kept.output.exactValue).toBe('1.000000000000000000867361737988403547205962240695953369140625');
+    expect(kept.precisionLoss).toEqual({ absolute: 0, relativePercent: 0, lossless: true });
+    const lost = parse(convertFormat({ value: `1${'0'.repeat(20)}1`, inputFormat: format, outputFormat: wide }));
+    expect(lost.output.exactValue).toBe(`1${'0'.repeat(21)}`);
+    expect(lost.precisionLoss).toMatchObject({ absolute: 1, lossless: false });
+  });
+
+  test('getFormatInfo reports the FP128 range as exact decimal strings', () => {
+    const info = parse(getFormatInfo({ format }));
+    expect(info.totalBits).toBe(128);
+    expect(info.maxNormal).toBe(((2n ** 113n - 1n) << 16271n).toString());
+    // 2^-n has n fraction digits: 5^n shifted right
+    const powerOfHalf = (n) => `0.${(5n ** BigInt(n)).toString().padStart(n, '0')}`;
+    expect(info.minNormal).toBe(powerOfHalf(16382));
+    expect(info.minSubnormal).toBe(powerOfHalf(16494));
+    expect(info.maxSubnormal).toMatch(/^0\.0{4931}33621/);
+    const fixed = parse(getFormatInfo({ format: { signBits: 1, exponentBits: 0, mantissaBits: 60 } }));
+    expect(fixed.maxValue).toBe('0.999999999999999999132638262011596452794037759304046630859375');
+    expect(fixed.minValue).toBe('-0.999999999999999999132638262011596452794037759304046630859375');
+  });
+});